@@ -2,58 +2,90 @@ import express from 'express';
 import { promises as fs } from 'fs';
 import path from 'path';
 import cors from 'cors';
+import { loadProjectConfig, getPublicConfig } from './backend/config.js';
+import {
+  readJsonFile,
+  writeJsonFile,
+  jsonEtag,
+  CorruptedFileError,
+  VersionConflictError
+} from './backend/jsonFile.js';
+import { RevisionLog } from './backend/revisionLog.js';
+import { ImageCache } from './backend/imageCache.js';
+import { snapThumbnailSize } from './src/utils/ImagePyramid.js';
+import { getFileVersion, sendCachedFile } from './backend/httpCache.js';
+import {
+  ValidationError,
+  installParamValidation,
+  validateBody,
+  validateQuery,
+  validationErrorHandler,
+  resolveWithin
+} from './backend/validation.js';
+import { createStorage } from './backend/storage/index.js';
+import {
+  PLANT_RECORD_FILE_SUFFIXES,
+  sortNotesNewestFirst
+} from './backend/storage/storageUtils.js';
+import { diffAnnotations, summarizeDiff } from './src/utils/AnnotationDiff.js';
+import { Dataset } from './backend/dataset.js';
+import { AnnotationService, ReviewPermissionError } from './backend/annotationService.js';
+import { getAnnotator, getRevisionMeta, getPreconditions, getClientId } from './backend/requestInfo.js';
+import { createLegacyRouter, sendVersionConflict } from './backend/legacyRoutes.js';
+import { createApiV2Router, apiV2ErrorHandler } from './backend/apiV2.js';
+import { ChangeFeed } from './backend/changeFeed.js';
+import { AssignmentQueue } from './backend/assignmentQueue.js';
 
 const app = express();
-const PORT = process.env.PORT || 3003;
+
+// 项目配置（annotation-tool.config.json + 环境变量 + 命令行参数）
+const config = loadProjectConfig();
+const PORT = config.ports.backend;
 
 // 数据集根目录
-const DATASET_ROOT = '/Users/tshoiasc/Brassica napus dataset/dataset';
+const DATASET_ROOT = config.datasetRoot;
+const ANNOTATIONS_DIR = config.annotationsDir;
 
 // 中间件
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// 工具函数：检查文件是否为图像
-function isImageFile(filename) {
-  const imageExtensions = ['.png', '.jpg', '.jpeg', '.bmp', '.tiff', '.webp'];
-  const ext = path.extname(filename).toLowerCase();
-  return imageExtensions.includes(ext);
-}
+// 路由参数校验（植物ID格式、路径穿越），见 backend/validation.js
+installParamValidation(app, config);
 
-// 工具函数：解析图像时间信息
-function parseImageDateTime(filename) {
-  const regex = /BR\d+-\d+-(\d{4}-\d{2}-\d{2})_(\d{2})_VIS_sv_\d+/;
-  const match = filename.match(regex);
-  
-  if (match) {
-    const dateStr = match[1];
-    const hourStr = match[2];
-    return new Date(`${dateStr}T${hourStr}:00:00`);
-  }
-  
-  return new Date(0);
-}
+// 数据集目录（植物、视角、图像），见 backend/dataset.js
+const dataset = new Dataset(config);
 
-// 工具函数：格式化时间显示 - 🔧 FIXED: Only show date, no time
-function formatImageTime(filename) {
-  const regex = /BR\d+-\d+-(\d{4}-\d{2}-\d{2})_(\d{2})_VIS_sv_\d+/;
-  const match = filename.match(regex);
-  
-  if (match) {
-    const dateStr = match[1];
-    const hourStr = match[2];
-    const date = new Date(`${dateStr}T${hourStr}:00:00`);
-    // 🔧 FIX: Remove time portion, only show year/month/day
-    return `${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()}`;
-  }
-  
-  return filename;
-}
+// 标注、植物状态、跳过信息和笔记的存储（JSON 目录或 SQLite，见 backend/storage/）
+const storage = await createStorage(config);
+
+// 缩略图和图像金字塔（按需生成并缓存到 imageCacheDir）
+const imageCache = new ImageCache({ datasetRoot: DATASET_ROOT, cacheDir: config.imageCacheDir });
+await imageCache.initialize();
+
+// 每张图像的标注修订历史（annotations/history/<imageId>.jsonl）
+const revisionLog = new RevisionLog(ANNOTATIONS_DIR);
+
+// 变更通知：打开的页面通过 SSE 得知其他标签页或标注者的修改
+const changeFeed = new ChangeFeed();
+
+// 植物分配队列：标注者领取植物并持有限时租约（annotations/assignments/leases.json）
+const assignments = new AssignmentQueue({ annotationsDir: ANNOTATIONS_DIR, leaseMinutes: config.leaseMinutes, changeFeed });
+
+// 标注保存/删除/恢复、植物记录和笔记的业务操作（旧版路由与 /api/v2 共用）
+const annotations = new AnnotationService({
+  storage,
+  revisionLog,
+  annotationsDir: ANNOTATIONS_DIR,
+  changeFeed,
+  assignments,
+  reviewers: config.reviewers
+});
 
 // 确保annotations目录存在
 async function ensureAnnotationsDirectory() {
-  const annotationsDir = path.join(DATASET_ROOT, 'annotations');
+  const annotationsDir = ANNOTATIONS_DIR;
   try {
     await fs.access(annotationsDir);
   } catch (error) {
@@ -67,8 +99,38 @@ async function ensureAnnotationsDirectory() {
   return annotationsDir;
 }
 
+// 版本化 API：统一的资源命名、错误格式和分页，见 backend/apiV2.js
+// （请求体解析错误发生在路由器之前，也由 v2 的错误处理返回）
+app.use('/api/v2', createApiV2Router({
+  config,
+  publicConfig: getPublicConfig(config),
+  dataset,
+  storage,
+  revisionLog,
+  imageCache,
+  annotations,
+  changeFeed,
+  assignments
+}), apiV2ErrorHandler);
+
+// 旧版存储服务器（server.js）独有的接口，见 backend/legacyRoutes.js
+app.use('/api', createLegacyRouter({ config, storage, annotations }));
+
 // API 端点
 
+// 变更通知流（Server-Sent Events），见 backend/changeFeed.js
+app.get('/api/events', (req, res) => {
+  changeFeed.handleRequest(req, res);
+});
+
+// 获取前端可见的项目配置（视角、植物ID格式、端口）
+app.get('/api/config', (req, res) => {
+  res.json({
+    success: true,
+    data: getPublicConfig(config)
+  });
+});
+
 // 获取数据集根目录信息
 app.get('/api/dataset-info', async (req, res) => {
   try {
@@ -95,31 +157,9 @@ app.get('/api/dataset-info', async (req, res) => {
 // 遍历植物文件夹
 app.get('/api/plant-directories', async (req, res) => {
   try {
-    const entries = await fs.readdir(DATASET_ROOT, { withFileTypes: true });
-    const plantFolders = [];
-    
-    for (const entry of entries) {
-      if (entry.isDirectory() && entry.name.startsWith('BR')) {
-        const plantPath = path.join(DATASET_ROOT, entry.name);
-        
-        // 检查是否有sv-000子目录
-        const hasSV000 = await checkSV000Directory(plantPath);
-        
-        if (hasSV000) {
-          plantFolders.push({
-            id: entry.name,
-            name: entry.name,
-            path: plantPath,
-            hasImages: false,
-            imageCount: 0
-          });
-        }
-      }
-    }
-    
     res.json({
       success: true,
-      data: plantFolders
+      data: await dataset.listPlants()
     });
   } catch (error) {
     res.status(500).json({
@@ -129,151 +169,161 @@ app.get('/api/plant-directories', async (req, res) => {
   }
 });
 
-// 检查sv-000目录是否存在
-async function checkSV000Directory(plantPath) {
+// 读取植物图像
+app.get('/api/plant-images/:plantId', async (req, res) => {
   try {
-    const entries = await fs.readdir(plantPath, { withFileTypes: true });
-    return entries.some(entry => 
-      entry.isDirectory() && entry.name.toLowerCase() === 'sv-000'
-    );
+    const { imagesByView, views, skipped } = await dataset.listPlantImages(req.params.plantId);
+    
+    res.json({
+      success: true,
+      data: imagesByView,
+      views,
+      skippedDirectories: skipped
+    });
   } catch (error) {
-    return false;
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
+});
+
+// 解析非负整数查询参数，缺省返回 undefined，无效返回 null
+function parseIntegerParam(value) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : null;
 }
 
-// 读取植物图像
-app.get('/api/plant-images/:plantId', async (req, res) => {
+// 获取图像文件内容
+// ?size=<px> 返回最长边不超过 size 的缩略图，?level=<n> 返回缩小 2^n 倍的整图
+// ?v=<version> 与当前文件版本一致时允许浏览器长期缓存（见 backend/httpCache.js）
+app.get('/api/image/:plantId/:viewAngle/:imageName', async (req, res) => {
   try {
-    const { plantId } = req.params;
-    const plantPath = path.join(DATASET_ROOT, plantId);
+    const { plantId, viewAngle, imageName } = req.params;
+    const imagePath = dataset.getImagePath(plantId, viewAngle, imageName);
     
-    const viewAngles = ['sv-000', 'sv-045', 'sv-090'];
-    const imagesByView = {};
+    const size = req.query.size !== undefined ? snapThumbnailSize(req.query.size) : undefined;
+    const level = parseIntegerParam(req.query.level);
+    if (size === null || level === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'size 和 level 必须是非负整数'
+      });
+    }
     
-    for (const viewAngle of viewAngles) {
-      imagesByView[viewAngle] = [];
-      
-      const viewPath = path.join(plantPath, viewAngle);
-      
-      try {
-        const viewStats = await fs.stat(viewPath);
-        if (viewStats.isDirectory()) {
-          const entries = await fs.readdir(viewPath, { withFileTypes: true });
-          const images = [];
-          
-          for (const entry of entries) {
-            if (entry.isFile() && isImageFile(entry.name)) {
-              const imagePath = path.join(viewPath, entry.name);
-              const imageStats = await fs.stat(imagePath);
-              
-              const imageData = {
-                id: `${plantId}_${viewAngle}_${entry.name}`,
-                name: entry.name,
-                viewAngle: viewAngle,
-                path: imagePath,
-                size: imageStats.size,
-                lastModified: imageStats.mtime.getTime(),
-                dateTime: parseImageDateTime(entry.name),
-                timeString: formatImageTime(entry.name)
-              };
-              
-              images.push(imageData);
-            }
-          }
-          
-          // 🔧 ENHANCED: Improved chronological sorting with debugging
-          images.sort((a, b) => {
-            const dateA = a.dateTime;
-            const dateB = b.dateTime;
-            
-            // Handle invalid dates (should be very rare)
-            if (!(dateA instanceof Date) || isNaN(dateA.getTime())) {
-              console.warn(`Invalid dateTime for image ${a.name}: ${dateA}`);
-              return 1; // Put invalid dates at the end
-            }
-            if (!(dateB instanceof Date) || isNaN(dateB.getTime())) {
-              console.warn(`Invalid dateTime for image ${b.name}: ${dateB}`);
-              return -1; // Put invalid dates at the end
-            }
-            
-            // Sort chronologically (earliest first)
-            const result = dateA.getTime() - dateB.getTime();
-            
-            // Debug logging for first few comparisons to verify sorting
-            if (images.indexOf(a) < 5 || images.indexOf(b) < 5) {
-              console.log(`Sort comparison: ${a.name} (${a.timeString}) vs ${b.name} (${b.timeString}) = ${result}`);
-            }
-            
-            return result;
-          });
-          
-          // 🔧 DEBUG: Log final sorted order for verification  
-          if (images.length > 0) {
-            console.log(`${viewAngle} sorted images:`, images.map(img => `${img.name} (${img.timeString})`).join(', '));
-          }
-          
-          imagesByView[viewAngle] = images;
-        }
-      } catch (error) {
-        console.warn(`读取 ${viewAngle} 视角失败:`, error);
-        imagesByView[viewAngle] = [];
+    const imageStats = await fs.stat(imagePath);
+    const immutable = req.query.v === getFileVersion(imageStats);
+    
+    if (imageCache.available && (size || level)) {
+      const cachedPath = size
+        ? await imageCache.getThumbnail(imagePath, size)
+        : await imageCache.getLevelImage(imagePath, level);
+      // null 表示原图已经足够小，直接返回原图
+      if (cachedPath) {
+        return await sendCachedFile(res, cachedPath, { immutable });
       }
     }
     
+    await sendCachedFile(res, imagePath, { immutable });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      error: `Image not found: ${error.message}`
+    });
+  }
+});
+
+// 获取图像金字塔描述（尺寸、图块大小、各层级的行列数）
+app.get('/api/image-pyramid/:plantId/:viewAngle/:imageName', async (req, res) => {
+  try {
+    if (!imageCache.available) {
+      return res.status(501).json({
+        success: false,
+        error: '图像金字塔不可用（未安装 sharp）'
+      });
+    }
+    
+    const { plantId, viewAngle, imageName } = req.params;
+    const imagePath = dataset.getImagePath(plantId, viewAngle, imageName);
+    
+    const pyramid = await imageCache.getPyramid(imagePath);
     res.json({
       success: true,
-      data: imagesByView
+      data: { ...pyramid, version: getFileVersion(await fs.stat(imagePath)) }
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.code === 'ENOENT' ? 404 : 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// 获取图像文件内容
-app.get('/api/image/:plantId/:viewAngle/:imageName', async (req, res) => {
+// 获取图像金字塔图块（level 0 为原始分辨率），?v= 同 /api/image
+app.get('/api/image-tile/:plantId/:viewAngle/:imageName/:level/:column/:row', async (req, res) => {
   try {
     const { plantId, viewAngle, imageName } = req.params;
-    const imagePath = path.join(DATASET_ROOT, plantId, viewAngle, imageName);
+    const level = parseIntegerParam(req.params.level);
+    const column = parseIntegerParam(req.params.column);
+    const row = parseIntegerParam(req.params.row);
     
-    const imageBuffer = await fs.readFile(imagePath);
-    const ext = path.extname(imageName).toLowerCase();
+    if (!imageCache.available) {
+      return res.status(501).json({
+        success: false,
+        error: '图像金字塔不可用（未安装 sharp）'
+      });
+    }
+    if (level === null || column === null || row === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'level、column 和 row 必须是非负整数'
+      });
+    }
     
-    let contentType = 'image/jpeg';
-    if (ext === '.png') contentType = 'image/png';
-    else if (ext === '.bmp') contentType = 'image/bmp';
-    else if (ext === '.tiff') contentType = 'image/tiff';
-    else if (ext === '.webp') contentType = 'image/webp';
+    const imagePath = dataset.getImagePath(plantId, viewAngle, imageName);
+    const tilePath = await imageCache.getTile(imagePath, level, column, row);
+    if (!tilePath) {
+      return res.status(404).json({
+        success: false,
+        error: `图块不存在: ${level}/${column}/${row}`
+      });
+    }
     
-    res.set('Content-Type', contentType);
-    res.send(imageBuffer);
+    const immutable = req.query.v === getFileVersion(await fs.stat(imagePath));
+    await sendCachedFile(res, tilePath, { immutable });
   } catch (error) {
-    res.status(404).json({
+    res.status(error.code === 'ENOENT' ? 404 : 500).json({
       success: false,
-      error: `Image not found: ${error.message}`
+      error: error.message
     });
   }
 });
 
 // 保存标注文件
-app.post('/api/annotation/:imageId', async (req, res) => {
+app.post('/api/annotation/:imageId', validateBody('save-annotation-request'), async (req, res) => {
   try {
     const { imageId } = req.params;
     const { annotationData } = req.body;
-    
-    const annotationsDir = await ensureAnnotationsDirectory();
     const fileName = `${imageId}.json`;
-    const filePath = path.join(annotationsDir, fileName);
     
-    await fs.writeFile(filePath, JSON.stringify(annotationData, null, 2));
+    const { etag, revision } = await annotations.save(imageId, annotationData, {
+      preconditions: getPreconditions(req),
+      meta: getRevisionMeta(req),
+      clientId: getClientId(req)
+    });
     
+    res.set('ETag', etag);
     res.json({
       success: true,
-      message: `保存标注文件: ${fileName}`
+      message: `保存标注文件: ${fileName}`,
+      revision: revision.revision,
+      etag
     });
   } catch (error) {
+    if (error instanceof VersionConflictError) {
+      return sendVersionConflict(res, error);
+    }
     res.status(500).json({
       success: false,
       error: error.message
@@ -283,39 +333,130 @@ app.post('/api/annotation/:imageId', async (req, res) => {
 
 // 读取标注文件
 app.get('/api/annotation/:imageId', async (req, res) => {
+  try {
+    // 也会查找旧数据的ID格式（如 `${imageId}.png.json`）
+    const { data, etag } = await annotations.get(req.params.imageId);
+    
+    if (etag) {
+      res.set('ETag', etag);
+    }
+    res.json({
+      success: true,
+      data,
+      etag
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      corrupted: error instanceof CorruptedFileError
+    });
+  }
+});
+
+// ===========================================
+// 标注修订历史 API 端点
+// ===========================================
+
+function parseRevisionNumber(value) {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision >= 0 ? revision : null;
+}
+
+// 获取图像的修订列表（最新在前，不含快照）
+app.get('/api/annotation/:imageId/history', async (req, res) => {
   try {
     const { imageId } = req.params;
-    const annotationsDir = await ensureAnnotationsDirectory();
+    const entries = await revisionLog.list(imageId);
+    
+    res.json({
+      success: true,
+      data: entries.map(RevisionLog.withoutData).reverse()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 比较两个修订（默认：上一修订 -> 最新修订）；修订号 0 表示空
+app.get('/api/annotation/:imageId/history/diff', async (req, res) => {
+  try {
+    const { imageId } = req.params;
+    const entries = await revisionLog.list(imageId);
     
-    // 尝试多种文件名格式
-    const possibleFileNames = [
-      `${imageId}.json`,
-      `${imageId}.png.json`,
-      `${imageId}.jpg.json`
-    ];
+    if (entries.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: '该图像没有修订历史'
+      });
+    }
     
-    for (const fileName of possibleFileNames) {
-      const filePath = path.join(annotationsDir, fileName);
-      
-      try {
-        const content = await fs.readFile(filePath, 'utf8');
-        const data = JSON.parse(content);
-        
-        res.json({
-          success: true,
-          data: data
-        });
-        return;
-      } catch (error) {
-        if (error.code !== 'ENOENT') {
-          throw error;
-        }
+    const latest = entries[entries.length - 1].revision;
+    const to = req.query.to !== undefined ? parseRevisionNumber(req.query.to) : latest;
+    const from = req.query.from !== undefined ? parseRevisionNumber(req.query.from) : Math.max(0, (to ?? 0) - 1);
+    
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        error: '修订号必须是非负整数'
+      });
+    }
+    
+    const findData = revision => {
+      if (revision === 0) return { found: true, data: null };
+      const entry = entries.find(e => e.revision === revision);
+      return { found: Boolean(entry), data: entry?.data || null };
+    };
+    const fromEntry = findData(from);
+    const toEntry = findData(to);
+    
+    if (!fromEntry.found || !toEntry.found) {
+      return res.status(404).json({
+        success: false,
+        error: `修订不存在: ${!fromEntry.found ? from : to}`
+      });
+    }
+    
+    const diff = diffAnnotations(fromEntry.data?.annotations, toEntry.data?.annotations);
+    
+    res.json({
+      success: true,
+      data: {
+        imageId,
+        from,
+        to,
+        summary: summarizeDiff(diff),
+        diff
       }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 获取单个修订（含快照）
+app.get('/api/annotation/:imageId/history/:revision', async (req, res) => {
+  try {
+    const { imageId } = req.params;
+    const revision = parseRevisionNumber(req.params.revision);
+    const entry = revision !== null ? await revisionLog.get(imageId, revision) : null;
+    
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: `修订不存在: ${req.params.revision}`
+      });
     }
     
     res.json({
       success: true,
-      data: null
+      data: entry
     });
   } catch (error) {
     res.status(500).json({
@@ -325,27 +466,41 @@ app.get('/api/annotation/:imageId', async (req, res) => {
   }
 });
 
-// 获取所有标注文件列表
-app.get('/api/annotations', async (req, res) => {
+// 恢复到指定修订（作为新修订追加，历史不会被改写）
+app.post('/api/annotation/:imageId/history/:revision/restore', async (req, res) => {
   try {
-    const annotationsDir = await ensureAnnotationsDirectory();
-    const entries = await fs.readdir(annotationsDir, { withFileTypes: true });
+    const { imageId } = req.params;
+    const revision = parseRevisionNumber(req.params.revision);
+    const result = revision !== null ? await annotations.restore(imageId, revision, getRevisionMeta(req), getClientId(req)) : null;
     
-    const files = [];
-    for (const entry of entries) {
-      if (entry.isFile() && entry.name.endsWith('.json')) {
-        let imageId;
-        if (entry.name.endsWith('.png.json')) {
-          imageId = entry.name.replace('.png.json', '.png');
-        } else if (entry.name.endsWith('.jpg.json')) {
-          imageId = entry.name.replace('.jpg.json', '.jpg');
-        } else {
-          imageId = entry.name.replace('.json', '');
-        }
-        files.push(imageId);
-      }
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: `修订不存在: ${req.params.revision}`
+      });
     }
     
+    const { entry, restored } = result;
+    res.json({
+      success: true,
+      data: entry.data,
+      etag: jsonEtag(entry.data),
+      revision: restored,
+      message: `已恢复到修订 ${revision}`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// 获取所有标注文件列表
+app.get('/api/annotations', async (req, res) => {
+  try {
+    const files = await storage.listAnnotationIds();
+    
     res.json({
       success: true,
       data: files
@@ -362,22 +517,21 @@ app.get('/api/annotations', async (req, res) => {
 app.delete('/api/annotation/:imageId', async (req, res) => {
   try {
     const { imageId } = req.params;
-    const annotationsDir = await ensureAnnotationsDirectory();
     const fileName = `${imageId}.json`;
-    const filePath = path.join(annotationsDir, fileName);
     
-    await fs.unlink(filePath);
+    const deleted = await annotations.delete(imageId, {
+      preconditions: getPreconditions(req),
+      meta: getRevisionMeta(req),
+      clientId: getClientId(req)
+    });
     
     res.json({
       success: true,
-      message: `删除标注文件: ${fileName}`
+      message: deleted ? `删除标注文件: ${fileName}` : '文件不存在'
     });
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      res.json({
-        success: true,
-        message: '文件不存在'
-      });
+    if (error instanceof VersionConflictError) {
+      sendVersionConflict(res, error);
     } else {
       res.status(500).json({
         success: false,
@@ -388,10 +542,11 @@ app.delete('/api/annotation/:imageId', async (req, res) => {
 });
 
 // 获取目录统计信息
-app.get('/api/directory-stats', async (req, res) => {
+app.get('/api/directory-stats', validateQuery('directory-stats-query'), async (req, res, next) => {
   try {
     const { dirPath } = req.query;
-    const targetPath = dirPath || DATASET_ROOT;
+    // 只允许数据集目录内的路径（相对路径相对于数据集根目录）
+    const targetPath = dirPath ? resolveWithin(DATASET_ROOT, dirPath) : DATASET_ROOT;
     
     const entries = await fs.readdir(targetPath, { withFileTypes: true });
     
@@ -411,6 +566,9 @@ app.get('/api/directory-stats', async (req, res) => {
       data: { folderCount, fileCount }
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return next(error);
+    }
     res.status(500).json({
       success: false,
       error: error.message
@@ -421,17 +579,9 @@ app.get('/api/directory-stats', async (req, res) => {
 // 获取所有跳过信息文件
 app.get('/api/skip-info', async (req, res) => {
   try {
-    const annotationsDir = await ensureAnnotationsDirectory();
-    const entries = await fs.readdir(annotationsDir, { withFileTypes: true });
-    
     const skipInfoFiles = {};
-    for (const entry of entries) {
-      if (entry.isFile() && entry.name.endsWith('_skip_info.json')) {
-        const filePath = path.join(annotationsDir, entry.name);
-        const content = await fs.readFile(filePath, 'utf8');
-        const skipData = JSON.parse(content);
-        skipInfoFiles[skipData.plantId] = skipData;
-      }
+    for (const { plantId, data } of await storage.listPlantRecords('skip')) {
+      skipInfoFiles[plantId] = data;
     }
     
     res.json({
@@ -450,28 +600,12 @@ app.get('/api/skip-info', async (req, res) => {
 app.get('/api/skip-info/:plantId', async (req, res) => {
   try {
     const { plantId } = req.params;
-    const annotationsDir = await ensureAnnotationsDirectory();
-    const fileName = `${plantId}_skip_info.json`;
-    const filePath = path.join(annotationsDir, fileName);
+    const skipData = await storage.getPlantRecord('skip', plantId);
     
-    try {
-      const content = await fs.readFile(filePath, 'utf8');
-      const skipData = JSON.parse(content);
-      
-      res.json({
-        success: true,
-        data: skipData
-      });
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        res.json({
-          success: true,
-          data: null
-        });
-      } else {
-        throw error;
-      }
-    }
+    res.json({
+      success: true,
+      data: skipData
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
@@ -481,16 +615,14 @@ app.get('/api/skip-info/:plantId', async (req, res) => {
 });
 
 // 保存植物跳过信息
-app.post('/api/skip-info/:plantId', async (req, res) => {
+app.post('/api/skip-info/:plantId', validateBody('skip-info-request'), async (req, res) => {
   try {
     const { plantId } = req.params;
     const { skipData } = req.body;
     
-    const annotationsDir = await ensureAnnotationsDirectory();
-    const fileName = `${plantId}_skip_info.json`;
-    const filePath = path.join(annotationsDir, fileName);
+    const fileName = `${plantId}${PLANT_RECORD_FILE_SUFFIXES.skip}`;
     
-    await fs.writeFile(filePath, JSON.stringify(skipData, null, 2));
+    await annotations.saveSkipInfo(plantId, skipData, getAnnotator(req), getClientId(req));
     
     res.json({
       success: true,
@@ -508,28 +640,19 @@ app.post('/api/skip-info/:plantId', async (req, res) => {
 app.delete('/api/skip-info/:plantId', async (req, res) => {
   try {
     const { plantId } = req.params;
-    const annotationsDir = await ensureAnnotationsDirectory();
-    const fileName = `${plantId}_skip_info.json`;
-    const filePath = path.join(annotationsDir, fileName);
+    const fileName = `${plantId}${PLANT_RECORD_FILE_SUFFIXES.skip}`;
     
-    await fs.unlink(filePath);
+    const deleted = await annotations.deletePlantRecord('skip', plantId, getAnnotator(req), getClientId(req));
     
     res.json({
       success: true,
-      message: `删除跳过信息: ${fileName}`
+      message: deleted ? `删除跳过信息: ${fileName}` : '文件不存在'
     });
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      res.json({
-        success: true,
-        message: '文件不存在'
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
-    }
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 });
 
@@ -542,73 +665,13 @@ app.get('/api/plant-status/:plantId', async (req, res) => {
   try {
     const { plantId } = req.params;
     
-    // 验证plantId参数
-    if (!plantId || typeof plantId !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: '植物ID不能为空且必须是字符串'
-      });
-    }
-    
-    // 验证plantId格式
-    if (!plantId.match(/^BR\d+-\d+$/)) {
-      return res.status(400).json({
-        success: false,
-        error: '植物ID格式无效，应该是BR开头的格式，如：BR017-113112'
-      });
-    }
-    
-    const annotationsDir = await ensureAnnotationsDirectory();
-    
-    // 首先尝试从专用状态文件加载
-    const statusFileName = `${plantId}_status.json`;
-    const statusFilePath = path.join(annotationsDir, statusFileName);
-    
-    try {
-      const statusContent = await fs.readFile(statusFilePath, 'utf8');
-      const statusData = JSON.parse(statusContent);
-      
+    const statusData = await annotations.getPlantStatus(plantId);
+    if (statusData) {
       res.json({
         success: true,
-        data: {
-          plantId: statusData.plantId,
-          status: statusData.status,
-          lastModified: statusData.lastModified,
-          timestamp: statusData.timestamp
-        }
+        data: statusData
       });
       return;
-    } catch (statusError) {
-      if (statusError.code !== 'ENOENT') {
-        console.warn(`读取状态文件失败 ${statusFileName}:`, statusError);
-      }
-    }
-    
-    // 如果没有专用状态文件，检查是否有跳过信息文件
-    const skipFileName = `${plantId}_skip_info.json`;
-    const skipFilePath = path.join(annotationsDir, skipFileName);
-    
-    try {
-      const skipContent = await fs.readFile(skipFilePath, 'utf8');
-      const skipData = JSON.parse(skipContent);
-      
-      if (skipData.status) {
-        res.json({
-          success: true,
-          data: {
-            plantId: skipData.plantId,
-            status: skipData.status,
-            lastModified: skipData.lastModified,
-            skipReason: skipData.skipReason,
-            skipDate: skipData.skipDate
-          }
-        });
-        return;
-      }
-    } catch (skipError) {
-      if (skipError.code !== 'ENOENT') {
-        console.warn(`读取跳过信息文件失败 ${skipFileName}:`, skipError);
-      }
     }
     
     // 如果都没有，返回null表示没有状态信息
@@ -628,59 +691,13 @@ app.get('/api/plant-status/:plantId', async (req, res) => {
 });
 
 // 保存植物状态
-app.post('/api/plant-status/:plantId', async (req, res) => {
+app.post('/api/plant-status/:plantId', validateBody('plant-status-request'), async (req, res) => {
   try {
     const { plantId } = req.params;
-    const { status, lastModified } = req.body;
+    const { status } = req.body;
     
-    // 验证plantId参数
-    if (!plantId || typeof plantId !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: '植物ID不能为空且必须是字符串'
-      });
-    }
-    
-    // 验证plantId格式
-    if (!plantId.match(/^BR\d+-\d+$/)) {
-      return res.status(400).json({
-        success: false,
-        error: '植物ID格式无效，应该是BR开头的格式，如：BR017-113112'
-      });
-    }
-    
-    // 验证状态参数
-    if (!status || typeof status !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: '状态不能为空且必须是字符串'
-      });
-    }
-    
-    const validStatuses = ['pending', 'in-progress', 'completed', 'skipped'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: `无效的状态值。允许的状态: ${validStatuses.join(', ')}`
-      });
-    }
-    
-    const annotationsDir = await ensureAnnotationsDirectory();
-    
-    // 创建状态数据
-    const statusData = {
-      plantId,
-      status,
-      lastModified: lastModified || new Date().toISOString(),
-      timestamp: new Date().toISOString(),
-      version: '1.0'
-    };
-    
-    // 保存到专用状态文件
-    const statusFileName = `${plantId}_status.json`;
-    const statusFilePath = path.join(annotationsDir, statusFileName);
-    
-    await fs.writeFile(statusFilePath, JSON.stringify(statusData, null, 2));
+    // 保存到专用状态记录
+    const statusData = await annotations.savePlantStatus(plantId, req.body, getAnnotator(req), getClientId(req));
     
     console.log(`植物 ${plantId} 状态已保存: ${status}`);
     
@@ -691,6 +708,9 @@ app.post('/api/plant-status/:plantId', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof ReviewPermissionError) {
+      return res.status(403).json({ success: false, error: '只有审核者可以审核植物或修改审核中的植物状态' });
+    }
     console.error(`保存植物 ${req.params.plantId} 状态失败:`, error);
     res.status(500).json({
       success: false,
@@ -703,30 +723,19 @@ app.post('/api/plant-status/:plantId', async (req, res) => {
 app.delete('/api/plant-status/:plantId', async (req, res) => {
   try {
     const { plantId } = req.params;
-    const annotationsDir = await ensureAnnotationsDirectory();
-    const statusFileName = `${plantId}_status.json`;
-    const statusFilePath = path.join(annotationsDir, statusFileName);
-    
-    await fs.unlink(statusFilePath);
+    const deleted = await annotations.deletePlantRecord('status', plantId, getAnnotator(req), getClientId(req));
     
     res.json({
       success: true,
-      message: `植物 ${plantId} 状态已删除`
+      message: deleted ? `植物 ${plantId} 状态已删除` : '状态文件不存在'
     });
     
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      res.json({
-        success: true,
-        message: '状态文件不存在'
-      });
-    } else {
-      console.error(`删除植物 ${req.params.plantId} 状态失败:`, error);
-      res.status(500).json({
-        success: false,
-        error: error.message
-      });
-    }
+    console.error(`删除植物 ${req.params.plantId} 状态失败:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 });
 
@@ -734,60 +743,13 @@ app.delete('/api/plant-status/:plantId', async (req, res) => {
 // 笔记系统 API 端点
 // ===========================================
 
-// 生成UUID函数
-function generateUUID() {
-  return 'note-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-}
-
-// 获取笔记文件路径
-function getNoteFilePath(noteId) {
-  return path.join(DATASET_ROOT, 'annotations', `note_${noteId}.json`);
-}
-
 // 获取植物的所有笔记
 app.get('/api/notes/plant/:plantId', async (req, res) => {
   try {
     const { plantId } = req.params;
     
-    // 验证plantId参数
-    if (!plantId || typeof plantId !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: '植物ID不能为空且必须是字符串'
-      });
-    }
-    
-    // 验证plantId格式（BR开头的格式）
-    if (!plantId.match(/^BR\d+-\d+$/)) {
-      return res.status(400).json({
-        success: false,
-        error: '植物ID格式无效，应该是BR开头的格式，如：BR017-113112'
-      });
-    }
-    
-    const annotationsDir = await ensureAnnotationsDirectory();
-    
-    const files = await fs.readdir(annotationsDir);
-    const noteFiles = files.filter(file => file.startsWith('note_') && file.endsWith('.json'));
-    
-    const notes = [];
-    for (const file of noteFiles) {
-      try {
-        const filePath = path.join(annotationsDir, file);
-        const content = await fs.readFile(filePath, 'utf8');
-        const note = JSON.parse(content);
-        
-        // 筛选属于该植物且不是图像级笔记的笔记
-        if (note.plantId === plantId && !note.imageId) {
-          notes.push(note);
-        }
-      } catch (error) {
-        console.warn(`读取笔记文件 ${file} 失败:`, error.message);
-      }
-    }
-    
-    // 按时间倒序排序
-    notes.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    // 筛选属于该植物且不是图像级笔记的笔记，按时间倒序排序
+    const notes = sortNotesNewestFirst(await storage.listNotes({ plantId, imageId: null }));
     
     res.json({
       success: true,
@@ -804,65 +766,18 @@ app.get('/api/notes/plant/:plantId', async (req, res) => {
 });
 
 // 获取图像的所有笔记
-app.get('/api/notes/image/:plantId/:imageId', async (req, res) => {
+app.get('/api/notes/image/:plantId/:imageId', async (req, res, next) => {
   try {
     const { plantId, imageId } = req.params;
     
-    // 验证plantId参数
-    if (!plantId || typeof plantId !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: '植物ID不能为空且必须是字符串'
-      });
+    // 验证imageId属于该植物（格式已由参数校验检查）
+    if (!imageId.startsWith(`${plantId}_`)) {
+      const message = `图像ID不属于植物 ${plantId}`;
+      return next(new ValidationError(message, [{ location: 'params', field: 'imageId', message }]));
     }
     
-    // 验证plantId格式
-    if (!plantId.match(/^BR\d+-\d+$/)) {
-      return res.status(400).json({
-        success: false,
-        error: '植物ID格式无效，应该是BR开头的格式，如：BR017-113112'
-      });
-    }
-    
-    // 验证imageId参数
-    if (!imageId || typeof imageId !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: '图像ID不能为空且必须是字符串'
-      });
-    }
-    
-    // 验证imageId格式（包含植物ID和视角信息）
-    if (!imageId.includes('_') || !imageId.includes(plantId)) {
-      return res.status(400).json({
-        success: false,
-        error: '图像ID格式无效，应该包含植物ID和视角信息'
-      });
-    }
-    
-    const annotationsDir = await ensureAnnotationsDirectory();
-    
-    const files = await fs.readdir(annotationsDir);
-    const noteFiles = files.filter(file => file.startsWith('note_') && file.endsWith('.json'));
-    
-    const notes = [];
-    for (const file of noteFiles) {
-      try {
-        const filePath = path.join(annotationsDir, file);
-        const content = await fs.readFile(filePath, 'utf8');
-        const note = JSON.parse(content);
-        
-        // 筛选属于该植物和图像的笔记
-        if (note.plantId === plantId && note.imageId === imageId) {
-          notes.push(note);
-        }
-      } catch (error) {
-        console.warn(`读取笔记文件 ${file} 失败:`, error.message);
-      }
-    }
-    
-    // 按时间倒序排序
-    notes.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    // 筛选属于该植物和图像的笔记，按时间倒序排序
+    const notes = sortNotesNewestFirst(await storage.listNotes({ plantId, imageId }));
     
     res.json({
       success: true,
@@ -879,36 +794,10 @@ app.get('/api/notes/image/:plantId/:imageId', async (req, res) => {
 });
 
 // 创建植物笔记
-app.post('/api/notes/plant/:plantId', async (req, res) => {
+app.post('/api/notes/plant/:plantId', validateBody('create-note-request'), async (req, res) => {
   try {
     const { plantId } = req.params;
-    const { title, content, noteType, tags, author } = req.body;
-    
-    // 验证必填字段
-    if (!title || !content) {
-      return res.status(400).json({
-        success: false,
-        error: '标题和内容不能为空'
-      });
-    }
-    
-    const noteId = generateUUID();
-    const noteData = {
-      noteId,
-      plantId,
-      imageId: null,
-      noteType: noteType || 'general',
-      title,
-      content,
-      tags: tags || [],
-      author: author || 'unknown',
-      timestamp: new Date().toISOString(),
-      lastModified: new Date().toISOString(),
-      version: '1.0'
-    };
-    
-    const filePath = getNoteFilePath(noteId);
-    await fs.writeFile(filePath, JSON.stringify(noteData, null, 2));
+    const { noteId } = await annotations.createNote(plantId, null, req.body, getAnnotator(req), getClientId(req));
     
     res.json({
       success: true,
@@ -925,36 +814,10 @@ app.post('/api/notes/plant/:plantId', async (req, res) => {
 });
 
 // 创建图像笔记
-app.post('/api/notes/image/:plantId/:imageId', async (req, res) => {
+app.post('/api/notes/image/:plantId/:imageId', validateBody('create-note-request'), async (req, res) => {
   try {
     const { plantId, imageId } = req.params;
-    const { title, content, noteType, tags, author } = req.body;
-    
-    // 验证必填字段
-    if (!title || !content) {
-      return res.status(400).json({
-        success: false,
-        error: '标题和内容不能为空'
-      });
-    }
-    
-    const noteId = generateUUID();
-    const noteData = {
-      noteId,
-      plantId,
-      imageId,
-      noteType: noteType || 'general',
-      title,
-      content,
-      tags: tags || [],
-      author: author || 'unknown',
-      timestamp: new Date().toISOString(),
-      lastModified: new Date().toISOString(),
-      version: '1.0'
-    };
-    
-    const filePath = getNoteFilePath(noteId);
-    await fs.writeFile(filePath, JSON.stringify(noteData, null, 2));
+    const { noteId } = await annotations.createNote(plantId, imageId, req.body, getAnnotator(req), getClientId(req));
     
     res.json({
       success: true,
@@ -971,36 +834,20 @@ app.post('/api/notes/image/:plantId/:imageId', async (req, res) => {
 });
 
 // 更新笔记
-app.put('/api/notes/:noteId', async (req, res) => {
+app.put('/api/notes/:noteId', validateBody('update-note-request'), async (req, res) => {
   try {
     const { noteId } = req.params;
-    const updates = req.body;
     
-    const filePath = getNoteFilePath(noteId);
+    // 在锁内读取并更新笔记（创建者不可修改）
+    const updatedNote = await annotations.updateNote(noteId, req.body, getAnnotator(req), getClientId(req));
     
-    // 检查笔记是否存在
-    try {
-      await fs.access(filePath);
-    } catch (error) {
+    if (!updatedNote) {
       return res.status(404).json({
         success: false,
         error: '笔记不存在'
       });
     }
     
-    // 读取现有笔记
-    const content = await fs.readFile(filePath, 'utf8');
-    const note = JSON.parse(content);
-    
-    // 更新笔记
-    const updatedNote = {
-      ...note,
-      ...updates,
-      lastModified: new Date().toISOString()
-    };
-    
-    await fs.writeFile(filePath, JSON.stringify(updatedNote, null, 2));
-    
     res.json({
       success: true,
       data: updatedNote,
@@ -1019,20 +866,13 @@ app.put('/api/notes/:noteId', async (req, res) => {
 app.delete('/api/notes/:noteId', async (req, res) => {
   try {
     const { noteId } = req.params;
-    const filePath = getNoteFilePath(noteId);
-    
-    // 检查笔记是否存在
-    try {
-      await fs.access(filePath);
-    } catch (error) {
+    if (!await annotations.deleteNote(noteId, getAnnotator(req), getClientId(req))) {
       return res.status(404).json({
         success: false,
         error: '笔记不存在'
       });
     }
     
-    await fs.unlink(filePath);
-    
     res.json({
       success: true,
       message: '笔记删除成功'
@@ -1052,32 +892,12 @@ app.get('/api/notes/bulk', async (req, res) => {
     console.log('[Bulk API] Starting bulk notes request...');
     const startTime = Date.now();
     
-    const annotationsDir = await ensureAnnotationsDirectory();
-    const files = await fs.readdir(annotationsDir);
-    const noteFiles = files.filter(file => file.startsWith('note_') && file.endsWith('.json'));
-    
     const plantNotes = {};
     const imageNotes = {};
     let totalPlantNotes = 0;
     let totalImageNotes = 0;
     
-    console.log(`[Bulk API] Found ${noteFiles.length} note files to process`);
-    
-    // Process all note files in parallel for maximum performance
-    const notePromises = noteFiles.map(async (file) => {
-      try {
-        const filePath = path.join(annotationsDir, file);
-        const content = await fs.readFile(filePath, 'utf8');
-        const note = JSON.parse(content);
-        
-        return note;
-      } catch (error) {
-        console.warn(`[Bulk API] 读取笔记文件 ${file} 失败:`, error.message);
-        return null;
-      }
-    });
-    
-    const allNotes = (await Promise.all(notePromises)).filter(note => note !== null);
+    const allNotes = await storage.listNotes();
     console.log(`[Bulk API] Successfully loaded ${allNotes.length} notes`);
     
     // Group notes by plant and image
@@ -1100,13 +920,8 @@ app.get('/api/notes/bulk', async (req, res) => {
     }
     
     // Sort notes by timestamp (newest first) for each plant/image
-    Object.values(plantNotes).forEach(notes => {
-      notes.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    });
-    
-    Object.values(imageNotes).forEach(notes => {
-      notes.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-    });
+    Object.values(plantNotes).forEach(sortNotesNewestFirst);
+    Object.values(imageNotes).forEach(sortNotesNewestFirst);
     
     const endTime = Date.now();
     const processingTime = endTime - startTime;
@@ -1152,52 +967,12 @@ app.get('/api/notes/bulk', async (req, res) => {
 // 🔧 FIX: Move specific routes BEFORE generic :noteId route to prevent route conflicts
 
 // 搜索笔记 - MOVED UP TO PREVENT ROUTE CONFLICT
-app.get('/api/notes/search', async (req, res) => {
+app.get('/api/notes/search', validateQuery('notes-search-query'), async (req, res) => {
   try {
     const { query, plantId, noteType, author } = req.query;
-    const annotationsDir = await ensureAnnotationsDirectory();
-    
-    const files = await fs.readdir(annotationsDir);
-    const noteFiles = files.filter(file => file.startsWith('note_') && file.endsWith('.json'));
-    
-    const allNotes = [];
-    for (const file of noteFiles) {
-      try {
-        const filePath = path.join(annotationsDir, file);
-        const content = await fs.readFile(filePath, 'utf8');
-        const note = JSON.parse(content);
-        allNotes.push(note);
-      } catch (error) {
-        console.warn(`读取笔记文件 ${file} 失败:`, error.message);
-      }
-    }
-    
-    // 应用筛选条件
-    let filteredNotes = allNotes;
-    
-    if (query) {
-      const searchQuery = query.toLowerCase();
-      filteredNotes = filteredNotes.filter(note => 
-        note.title.toLowerCase().includes(searchQuery) ||
-        note.content.toLowerCase().includes(searchQuery) ||
-        note.tags.some(tag => tag.toLowerCase().includes(searchQuery))
-      );
-    }
-    
-    if (plantId) {
-      filteredNotes = filteredNotes.filter(note => note.plantId === plantId);
-    }
-    
-    if (noteType) {
-      filteredNotes = filteredNotes.filter(note => note.noteType === noteType);
-    }
-    
-    if (author) {
-      filteredNotes = filteredNotes.filter(note => note.author === author);
-    }
     
-    // 按时间倒序排序
-    filteredNotes.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    // 应用筛选条件，按时间倒序排序
+    const filteredNotes = sortNotesNewestFirst(await storage.listNotes({ query, plantId, noteType, author }));
     
     res.json({
       success: true,
@@ -1216,39 +991,26 @@ app.get('/api/notes/search', async (req, res) => {
 // 获取所有笔记统计 - MOVED UP TO PREVENT ROUTE CONFLICT
 app.get('/api/notes/stats', async (req, res) => {
   try {
-    const annotationsDir = await ensureAnnotationsDirectory();
-    const files = await fs.readdir(annotationsDir);
-    const noteFiles = files.filter(file => file.startsWith('note_') && file.endsWith('.json'));
-    
     let totalNotes = 0;
     let plantNotes = 0;
     let imageNotes = 0;
     const notesByAuthor = {};
     const notesByTag = {};
     
-    for (const file of noteFiles) {
-      try {
-        const filePath = path.join(annotationsDir, file);
-        const content = await fs.readFile(filePath, 'utf8');
-        const note = JSON.parse(content);
-        
-        totalNotes++;
-        
-        if (note.noteType === 'plant') {
-          plantNotes++;
-        } else if (note.noteType === 'image') {
-          imageNotes++;
-        }
-        
-        notesByAuthor[note.author] = (notesByAuthor[note.author] || 0) + 1;
-        
-        note.tags.forEach(tag => {
-          notesByTag[tag] = (notesByTag[tag] || 0) + 1;
-        });
-        
-      } catch (error) {
-        console.warn(`读取笔记文件 ${file} 失败:`, error.message);
+    for (const note of await storage.listNotes()) {
+      totalNotes++;
+      
+      if (note.noteType === 'plant') {
+        plantNotes++;
+      } else if (note.noteType === 'image') {
+        imageNotes++;
       }
+      
+      notesByAuthor[note.author] = (notesByAuthor[note.author] || 0) + 1;
+      
+      (note.tags || []).forEach(tag => {
+        notesByTag[tag] = (notesByTag[tag] || 0) + 1;
+      });
     }
     
     res.json({
@@ -1283,21 +1045,16 @@ app.get('/api/notes/test', (req, res) => {
 app.get('/api/notes/:noteId', async (req, res) => {
   try {
     const { noteId } = req.params;
-    const filePath = getNoteFilePath(noteId);
+    const note = await storage.getNote(noteId);
     
     // 检查笔记是否存在
-    try {
-      await fs.access(filePath);
-    } catch (error) {
+    if (!note) {
       return res.status(404).json({
         success: false,
         error: '笔记不存在'
       });
     }
     
-    const content = await fs.readFile(filePath, 'utf8');
-    const note = JSON.parse(content);
-    
     res.json({
       success: true,
       data: note
@@ -1317,7 +1074,7 @@ app.get('/api/notes/:noteId', async (req, res) => {
 // ===========================================
 
 // 批量保存标注数据
-app.post('/api/annotations/bulk', async (req, res) => {
+app.post('/api/annotations/bulk', validateBody('bulk-annotations-request'), async (req, res) => {
   try {
     console.log('[Bulk Annotations API] Starting bulk save request...');
     const startTime = Date.now();
@@ -1353,7 +1110,7 @@ app.post('/api/annotations/bulk', async (req, res) => {
     };
     
     // 保存新数据
-    await fs.writeFile(filePath, JSON.stringify(dataToSave, null, 2));
+    await writeJsonFile(filePath, dataToSave);
     
     const endTime = Date.now();
     const processingTime = endTime - startTime;
@@ -1378,21 +1135,16 @@ app.post('/api/annotations/bulk', async (req, res) => {
   }
 });
 
-// 批量加载标注数据 - 直接从文件系统实时读取
+// 批量加载标注数据 - 直接从存储实时读取
 app.get('/api/annotations/bulk', async (req, res) => {
   try {
-    console.log('[Bulk API] Starting bulk annotations load from file system...');
+    console.log(`[Bulk API] Starting bulk annotations load from ${storage.name} storage...`);
     const startTime = Date.now();
     
-    const annotationsDir = await ensureAnnotationsDirectory();
-    
-    // 🚀 PERFORMANCE: Read all annotation files in parallel
-    const files = await fs.readdir(annotationsDir);
-    const annotationFiles = files.filter(file => 
-      file.endsWith('.json') && !file.endsWith('_skip_info.json') && !file.startsWith('note_')
-    );
+    // 🚀 PERFORMANCE: The JSON driver reads all annotation files in parallel
+    const { entries, corrupted: corruptedFiles, recovered: recoveredFiles } = await storage.loadAllAnnotations();
     
-    console.log(`[Bulk API] Found ${annotationFiles.length} annotation files to process`);
+    console.log(`[Bulk API] Found ${entries.length} annotation documents to process`);
     
     const bulkData = {
       plantAnnotations: {},
@@ -1408,34 +1160,20 @@ app.get('/api/annotations/bulk', async (req, res) => {
     
     let totalAnnotationCount = 0;
     const plantsWithAnnotations = new Set();
+    const validResults = [];
     
-    // 🚀 Process all annotation files in parallel for maximum performance
-    const filePromises = annotationFiles.map(async (file) => {
-      try {
-        const filePath = path.join(annotationsDir, file);
-        const content = await fs.readFile(filePath, 'utf8');
-        const annotation = JSON.parse(content);
+    for (const { imageId, data: annotation } of entries) {
+      if (annotation?.annotations && annotation.annotations.length > 0) {
+        const plantId = storage.getPlantId(imageId);
         
-        if (annotation.annotations && annotation.annotations.length > 0) {
-          const imageId = file.replace('.json', '');
-          const plantId = imageId.split('_')[0]; // Extract plant ID from image ID
-          
-          // Store image annotations in the format frontend expects
-          bulkData.imageAnnotations[imageId] = annotation.annotations;
-          totalAnnotationCount += annotation.annotations.length;
-          plantsWithAnnotations.add(plantId);
-          
-          return { imageId, plantId, count: annotation.annotations.length };
-        }
-        return null;
-      } catch (error) {
-        console.warn(`[Bulk API] Failed to read ${file}:`, error.message);
-        return null;
+        // Store image annotations in the format frontend expects
+        bulkData.imageAnnotations[imageId] = annotation.annotations;
+        totalAnnotationCount += annotation.annotations.length;
+        plantsWithAnnotations.add(plantId);
+        
+        validResults.push({ imageId, plantId, count: annotation.annotations.length });
       }
-    });
-    
-    const results = await Promise.all(filePromises);
-    const validResults = results.filter(r => r !== null);
+    }
     
     // Update statistics to match frontend expectations
     bulkData.statistics = {
@@ -1452,17 +1190,28 @@ app.get('/api/annotations/bulk', async (req, res) => {
     console.log(`[Bulk API] ✅ Successfully loaded ${totalAnnotationCount} annotations from ${validResults.length} images in ${loadTime}ms`);
     console.log(`[Bulk API] 📊 Plants with annotations: ${plantsWithAnnotations.size}`);
     console.log(`[Bulk API] 📊 Images with annotations: ${validResults.length}`);
+    if (recoveredFiles.length > 0) {
+      console.warn(`[Bulk API] ⚠️ Restored ${recoveredFiles.length} corrupted files from backup:`, recoveredFiles.join(', '));
+    }
+    if (corruptedFiles.length > 0) {
+      console.error(`[Bulk API] ❌ ${corruptedFiles.length} corrupted files could not be restored:`, corruptedFiles.map(f => f.file).join(', '));
+    }
     
     res.json({
       success: true,
       data: bulkData,
+      corruptedFiles,
+      recoveredFiles,
       timestamp: new Date().toISOString(),
       performance: {
         loadTimeMs: loadTime,
         filesProcessed: validResults.length,
         annotationsLoaded: totalAnnotationCount
       },
-      message: `批量加载 ${totalAnnotationCount} 个标注点从 ${validResults.length} 个图像成功 (${loadTime}ms)`
+      message: `批量加载 ${totalAnnotationCount} 个标注点从 ${validResults.length} 个图像成功 (${loadTime}ms)`,
+      ...(corruptedFiles.length > 0 && {
+        warning: `${corruptedFiles.length} 个标注文件已损坏且无法恢复`
+      })
     });
     
   } catch (error) {
@@ -1488,8 +1237,7 @@ app.get('/api/annotations/bulk/stats', async (req, res) => {
     const filePath = path.join(annotationsDir, 'plant_annotations.json');
     
     try {
-      const data = await fs.readFile(filePath, 'utf-8');
-      const annotationData = JSON.parse(data);
+      const annotationData = await readJsonFile(filePath);
       
       const stats = {
         totalPlants: annotationData.totalPlants || 0,
@@ -1543,8 +1291,7 @@ app.get('/api/annotations/bulk/export', async (req, res) => {
     const filePath = path.join(annotationsDir, 'plant_annotations.json');
     
     try {
-      const data = await fs.readFile(filePath, 'utf-8');
-      const annotationData = JSON.parse(data);
+      const annotationData = await readJsonFile(filePath);
       
       // 设置下载头
       const filename = `plant_annotations_${new Date().toISOString().split('T')[0]}.json`;
@@ -1622,95 +1369,16 @@ app.delete('/api/annotations/plant/:plantId', async (req, res) => {
     const { plantId } = req.params;
     console.log(`[Plant Deletion API] 开始删除植物 ${plantId} 的所有标注数据`);
     
-    const annotationsDir = await ensureAnnotationsDirectory();
-    const timestamp = Date.now();
-    
-    // Step 1: Find all annotation files belonging to this plant
-    const files = await fs.readdir(annotationsDir);
-    const plantAnnotationFiles = [];
-    const relatedFiles = [];
-    
-    for (const file of files) {
-      if (file.startsWith(plantId)) {
-        if (file.endsWith('.json') && !file.includes('_backup_') && !file.includes('_deleted_')) {
-          if (file.includes('_status.json') || file.includes('_skip_info.json')) {
-            relatedFiles.push(file);
-          } else {
-            plantAnnotationFiles.push(file);
-          }
-        }
-      }
-    }
-    
-    console.log(`[Plant Deletion API] 找到 ${plantAnnotationFiles.length} 个标注文件和 ${relatedFiles.length} 个相关文件`);
-    
-    // Step 2: Create comprehensive backup
-    const backupDir = path.join(annotationsDir, `plant_${plantId}_deleted_backup_${timestamp}`);
-    await fs.mkdir(backupDir, { recursive: true });
-    
-    const backupStats = {
-      annotationFilesBackedUp: 0,
-      relatedFilesBackedUp: 0,
-      backupPath: backupDir
-    };
+    await ensureAnnotationsDirectory();
     
-    // Backup annotation files
-    for (const file of plantAnnotationFiles) {
-      const sourcePath = path.join(annotationsDir, file);
-      const backupPath = path.join(backupDir, file);
-      await fs.copyFile(sourcePath, backupPath);
-      backupStats.annotationFilesBackedUp++;
-    }
-    
-    // Backup related files
-    for (const file of relatedFiles) {
-      const sourcePath = path.join(annotationsDir, file);
-      const backupPath = path.join(backupDir, file);
-      try {
-        await fs.copyFile(sourcePath, backupPath);
-        backupStats.relatedFilesBackedUp++;
-      } catch (error) {
-        console.warn(`[Plant Deletion API] 备份相关文件失败: ${file}`, error.message);
-      }
-    }
+    // 先备份为 JSON 文件（与存储驱动无关），再逐个删除标注（记录修订）和相关记录
+    const deletionStats = await annotations.deletePlant(plantId, { ...getRevisionMeta(req), source: 'plant-deletion' }, getClientId(req));
+    const { backupDir, backupStats } = deletionStats;
+    const plantAnnotationFiles = deletionStats.imageIds.map(imageId => `${imageId}.json`);
+    const relatedFiles = deletionStats.relatedKinds.map(kind => `${plantId}${PLANT_RECORD_FILE_SUFFIXES[kind]}`);
     
     console.log(`[Plant Deletion API] 备份完成: ${backupStats.annotationFilesBackedUp} 个标注文件, ${backupStats.relatedFilesBackedUp} 个相关文件`);
     
-    // Step 3: Delete annotation files atomically
-    const deletionStats = {
-      annotationFilesDeleted: 0,
-      relatedFilesDeleted: 0,
-      errors: []
-    };
-    
-    // Delete annotation files
-    for (const file of plantAnnotationFiles) {
-      try {
-        const filePath = path.join(annotationsDir, file);
-        await fs.unlink(filePath);
-        deletionStats.annotationFilesDeleted++;
-        console.log(`[Plant Deletion API] 删除标注文件: ${file}`);
-      } catch (error) {
-        const errorMsg = `删除标注文件失败: ${file} - ${error.message}`;
-        deletionStats.errors.push(errorMsg);
-        console.error(`[Plant Deletion API] ${errorMsg}`);
-      }
-    }
-    
-    // Delete related files (status, skip info)
-    for (const file of relatedFiles) {
-      try {
-        const filePath = path.join(annotationsDir, file);
-        await fs.unlink(filePath);
-        deletionStats.relatedFilesDeleted++;
-        console.log(`[Plant Deletion API] 删除相关文件: ${file}`);
-      } catch (error) {
-        const errorMsg = `删除相关文件失败: ${file} - ${error.message}`;
-        deletionStats.errors.push(errorMsg);
-        console.error(`[Plant Deletion API] ${errorMsg}`);
-      }
-    }
-    
     // Step 4: Prepare response
     const totalFilesFound = plantAnnotationFiles.length + relatedFiles.length;
     const totalFilesDeleted = deletionStats.annotationFilesDeleted + deletionStats.relatedFilesDeleted;
@@ -1757,39 +1425,15 @@ app.delete('/api/annotations/plant/:plantId', async (req, res) => {
 app.get('/api/annotations/plant/:plantId/stats', async (req, res) => {
   try {
     const { plantId } = req.params;
-    const annotationsDir = await ensureAnnotationsDirectory();
     
-    // Find all files belonging to this plant
-    const files = await fs.readdir(annotationsDir);
-    const plantAnnotationFiles = [];
-    const relatedFiles = [];
-    
-    for (const file of files) {
-      if (file.startsWith(plantId)) {
-        if (file.endsWith('.json') && !file.includes('_backup_') && !file.includes('_deleted_')) {
-          if (file.includes('_status.json') || file.includes('_skip_info.json')) {
-            relatedFiles.push(file);
-          } else {
-            plantAnnotationFiles.push(file);
-          }
-        }
-      }
-    }
+    // Find all annotations and related records belonging to this plant
+    const { imageIds, relatedKinds } = await annotations.findPlantDocuments(plantId);
+    const plantAnnotationFiles = imageIds.map(imageId => `${imageId}.json`);
+    const relatedFiles = relatedKinds.map(kind => `${plantId}${PLANT_RECORD_FILE_SUFFIXES[kind]}`);
     
     // Count total annotation points
-    let totalAnnotationPoints = 0;
-    for (const file of plantAnnotationFiles) {
-      try {
-        const filePath = path.join(annotationsDir, file);
-        const content = await fs.readFile(filePath, 'utf-8');
-        const data = JSON.parse(content);
-        if (data.annotations && Array.isArray(data.annotations)) {
-          totalAnnotationPoints += data.annotations.length;
-        }
-      } catch (error) {
-        console.warn(`[Plant Stats API] 读取文件失败: ${file}`, error.message);
-      }
-    }
+    const keypointCounts = await annotations.countPlantKeypoints(imageIds);
+    const totalAnnotationPoints = keypointCounts.reduce((sum, { keypointCount }) => sum + keypointCount, 0);
     
     res.json({
       success: true,
@@ -1820,26 +1464,54 @@ app.get('/api/annotations/plant/:plantId/stats', async (req, res) => {
 app.get('/api/health', (req, res) => {
   res.json({
     success: true,
+    status: 'ok',
     message: 'Backend server is running',
     timestamp: new Date().toISOString(),
     datasetPath: DATASET_ROOT,
+    annotationsPath: ANNOTATIONS_DIR,
+    storage: storage.name,
     features: [
       'plant-directories',
       'plant-images', 
+      ...(imageCache.available ? ['image-thumbnails', 'image-pyramid'] : []),
       'individual-annotations',
       'bulk-annotations',
       'plant-deletion',  // 🔧 NEW: Plant-level annotation deletion
       'note-system',
-      'plant-status'
+      'plant-status',
+      'annotation-storage',
+      'export-annotations',
+      'api-v2',
+      'change-feed',
+      'assignment-queue',
+      'review-workflow'
     ]
   });
 });
 
+// 参数和请求体校验失败统一返回 400
+app.use(validationErrorHandler);
+
 // 启动服务器
 app.listen(PORT, () => {
   console.log(`Backend server running on port ${PORT}`);
   console.log(`Dataset path: ${DATASET_ROOT}`);
+  console.log(`Annotations path: ${ANNOTATIONS_DIR}`);
+  console.log(`Storage driver: ${storage.name}`);
+  if (config.configFile) {
+    console.log(`Config file: ${config.configFile}`);
+  }
   console.log(`Health check: http://localhost:${PORT}/api/health`);
+  console.log(`API v2: http://localhost:${PORT}/api/v2 (OpenAPI: /api/v2/openapi.json)`);
 });
 
+// 旧版客户端仍然访问存储服务器端口（ports.storage），由同一个应用响应
+if (config.ports.storage && config.ports.storage !== PORT) {
+  app.listen(config.ports.storage, () => {
+    console.log(`Legacy storage API on port ${config.ports.storage}`);
+  }).on('error', error => {
+    console.warn(`无法监听旧版存储端口 ${config.ports.storage}: ${error.message}`);
+  });
+}
+
 export default app;
\ No newline at end of file
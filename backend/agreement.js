@@ -0,0 +1,105 @@
+/**
+ * 标注者间一致性报告
+ *
+ * Loads the two annotation sets for POST /api/v2/agreement and compares them
+ * with src/utils/AnnotationAgreement.js. A source is either
+ *
+ *   { annotator: 'alice' }              that annotator's latest saved revision of
+ *                                       each image in this project's revision log
+ *   { annotationsDir: 'qc/bob' }        another annotations directory (JSON layout),
+ *                                       e.g. the copy a second annotator worked on;
+ *                                       relative to and inside the dataset root
+ */
+
+import { promises as fs } from 'fs';
+import { JsonStorage } from './storage/jsonStorage.js';
+import { createPlantIdResolver } from './storage/storageUtils.js';
+import { ValidationError, resolveBodyPath } from './validation.js';
+import { computeAgreement } from '../src/utils/AnnotationAgreement.js';
+
+/**
+ * 修订历史中某个标注者的最后一次保存（之后被删除则视为没有标注）
+ */
+async function getAnnotatorSnapshot(revisionLog, imageId, annotator) {
+  const entries = await revisionLog.list(imageId);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].author === annotator) {
+      return entries[i].data;
+    }
+  }
+  return null;
+}
+
+async function openDirectorySource(annotationsDir, { config }, field) {
+  // 只允许数据集内的目录：读取时 JsonStorage 还可能从 .bak 恢复文件
+  const dir = resolveBodyPath(config.datasetRoot || process.cwd(), annotationsDir, `${field}.annotationsDir`);
+  const stats = await fs.stat(dir).catch(() => null);
+  if (!stats?.isDirectory()) {
+    throw new ValidationError('标注目录不存在', [
+      { location: 'body', field: `${field}.annotationsDir`, message: `${dir} is not a directory` }
+    ]);
+  }
+  const storage = new JsonStorage(dir, { plantIdPattern: config.plantIdPattern });
+  return {
+    label: dir,
+    listImageIds: () => storage.listAnnotationIds(),
+    getKeypoints: async imageId => (await storage.getAnnotation(imageId))?.annotations ?? null
+  };
+}
+
+function openAnnotatorSource(annotator, { storage, revisionLog }) {
+  return {
+    label: `annotator ${annotator}`,
+    listImageIds: () => storage.listAnnotationIds(),
+    getKeypoints: async imageId => (await getAnnotatorSnapshot(revisionLog, imageId, annotator))?.annotations ?? null
+  };
+}
+
+/**
+ * @param {{ annotator?: string, annotationsDir?: string }} source
+ * @param {Object} services - { config, storage, revisionLog }
+ * @param {string} field - Request field name for error details ('a' or 'b')
+ */
+export async function openAgreementSource(source, services, field) {
+  return source.annotator
+    ? openAnnotatorSource(source.annotator, services)
+    : openDirectorySource(source.annotationsDir, services, field);
+}
+
+/**
+ * 比较两组标注，返回一致性报告
+ *
+ * @param {Object} request
+ * @param {Object} request.a - Reference source
+ * @param {Object} request.b - Second source
+ * @param {string[]} [request.plantIds] - Only these plants
+ * @param {number[]} [request.thresholds] - PCK thresholds in pixels
+ * @param {number} [request.maxDistance] - Nearest-neighbour matching radius in pixels
+ * @param {Object} services - { config, storage, revisionLog }
+ */
+export async function buildAgreementReport({ a, b, plantIds = null, thresholds, maxDistance }, services) {
+  const sourceA = await openAgreementSource(a, services, 'a');
+  const sourceB = await openAgreementSource(b, services, 'b');
+  const getPlantId = createPlantIdResolver(services.config?.plantIdPattern);
+
+  const imageIds = [...new Set([...await sourceA.listImageIds(), ...await sourceB.listImageIds()])]
+    .filter(imageId => !plantIds || plantIds.includes(getPlantId(imageId)))
+    .sort();
+
+  const images = [];
+  for (const imageId of imageIds) {
+    images.push({
+      imageId,
+      plantId: getPlantId(imageId),
+      a: await sourceA.getKeypoints(imageId),
+      b: await sourceB.getKeypoints(imageId)
+    });
+  }
+
+  return {
+    a: sourceA.label,
+    b: sourceB.label,
+    generatedAt: new Date().toISOString(),
+    ...computeAgreement(images, { thresholds, maxDistance })
+  };
+}
@@ -0,0 +1,248 @@
+/**
+ * 标注文件导出（不经过浏览器）
+ *
+ * Writes the exports of the browser export dialog from the annotation
+ * storage, for the command-line tool (scripts/annotation-cli.js):
+ *
+ *   json          annotations_<date>.json            native export
+ *   coco          annotations_coco_<date>.json
+ *   cvat          annotations_cvat_<date>.xml
+ *   labelstudio   annotations_labelstudio_<date>.json + labelstudio_config_<date>.xml
+ *   csv           annotations_tidy_<date>.csv        one row per keypoint per frame
+ *   trajectories  branch_trajectories_<date>.json|csv
+ *
+ * The content is built by src/utils/AnnotationExport.js, src/utils/TidyExport.js
+ * and src/utils/BranchTrajectories.js, like in the dialog. Image sizes and
+ * capture times are read from the dataset directory; when an image is not
+ * there its size and capture time are left empty. Like the dialog, the
+ * exports include the annotations of skipped plants and list the skipped
+ * plants in the JSON export.
+ */
+
+import path from 'path';
+import { promises as fs } from 'fs';
+import { ValidationError } from './validation.js';
+import { resolveOutputDir, prepareOutputDir } from './exportFiles.js';
+import { loadPlantStatuses } from './datasetReport.js';
+import { datedFileName } from '../src/utils/Download.js';
+import { buildPureAnnotationExport, buildInterchangeFiles, buildTrajectoryFile } from '../src/utils/AnnotationExport.js';
+import { TIDY_COLUMN_KEYS, buildTidyRows, tidyRowsToCsv } from '../src/utils/TidyExport.js';
+import { buildBranchTrajectories } from '../src/utils/BranchTrajectories.js';
+
+export const ANNOTATION_EXPORT_FORMATS = ['json', 'coco', 'cvat', 'labelstudio', 'csv', 'trajectories'];
+
+function exportError(field, message) {
+  return new ValidationError('没有可导出的标注', [{ location: 'options', field, message }]);
+}
+
+/**
+ * 读取导出数据，结构与浏览器中的 getDirectExportData() 相同
+ *
+ * @param {Object} storage
+ * @param {string[]|null} [plantIds] - Only these plants
+ * @returns {Promise<{ exportData: { annotations: Object, skippedPlants: Object }, corrupted: Array<{ file: string, error: string }> }>}
+ */
+export async function loadAnnotationExportData(storage, plantIds = null) {
+  const selected = plantId => !plantIds || plantIds.includes(plantId);
+  const { entries, corrupted } = await storage.loadAllAnnotations();
+  const exportData = { annotations: {}, skippedPlants: {} };
+
+  for (const { imageId, data } of entries.sort((a, b) => a.imageId.localeCompare(b.imageId))) {
+    const plantId = data?.plantId || storage.getPlantId(imageId);
+    if (!selected(plantId) || !(data?.annotations?.length > 0)) continue;
+    exportData.annotations[imageId] = {
+      imageId: data.imageId || imageId,
+      plantId,
+      annotations: data.annotations,
+      timestamp: data.timestamp,
+      version: data.version,
+      ...(typeof data.isManualAdjustment === 'boolean' && { isManualAdjustment: data.isManualAdjustment })
+    };
+  }
+
+  for (const { plantId, data } of await storage.listPlantRecords('skip')) {
+    if (!selected(plantId)) continue;
+    exportData.skippedPlants[plantId] = {
+      plantId,
+      skipReason: data.skipReason,
+      skipDate: data.skipDate,
+      status: data.status
+    };
+  }
+  return { exportData, corrupted };
+}
+
+/**
+ * 导出植物的拍摄时间和每个视角的时间序列
+ *
+ * @returns {Promise<{ captureTimes: Map<string, Date|null>, sequences: Array<{ plantId: string, viewAngle: string, imageIds: string[] }> }>}
+ */
+async function readTimeSeries(dataset, plantIds) {
+  const captureTimes = new Map();
+  const sequences = [];
+  for (const plantId of plantIds) {
+    if (!await dataset.hasPlant(plantId).catch(() => false)) continue;
+    const { imagesByView } = await dataset.listPlantImages(plantId);
+    for (const [viewAngle, images] of Object.entries(imagesByView)) {
+      for (const image of images) {
+        // timeSource 为 null 表示文件名中没有时间（回退到 epoch）
+        captureTimes.set(image.id, image.timeSource === null ? null : image.dateTime);
+      }
+      if (images.length > 0) {
+        sequences.push({ plantId, viewAngle, imageIds: images.map(image => image.id) });
+      }
+    }
+  }
+  return { captureTimes, sequences };
+}
+
+/**
+ * 图像尺寸，图像不在数据集中时返回 null
+ */
+async function readImageSize(dataset, imageId) {
+  try {
+    const imagePath = dataset.getImagePathById(imageId);
+    return imagePath ? await dataset.getImageSize(imagePath) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// 标注文件中记录的手动/传播来源
+function getEntrySource(entry) {
+  if (typeof entry?.isManualAdjustment !== 'boolean') return null;
+  return entry.isManualAdjustment ? 'manual' : 'propagated';
+}
+
+/**
+ * 生成导出文件（不写入）
+ *
+ * @param {string} format - One of ANNOTATION_EXPORT_FORMATS
+ * @param {Object} options
+ * @param {Array<Object>} [options.customTypes] - Custom annotation types (names, colours); types only found in the annotations are added
+ * @param {string[]|null} [options.plantIds] - Only these plants
+ * @param {string[]} [options.columns] - csv: column keys
+ * @param {string[]|null} [options.statuses] - csv: only plants with these statuses
+ * @param {string|null} [options.from] - csv: first capture date, `YYYY-MM-DD`
+ * @param {string|null} [options.to] - csv: last capture date, `YYYY-MM-DD`
+ * @param {'json'|'csv'} [options.file] - trajectories: file format
+ * @param {string[]|null} [options.typeIds] - trajectories: only these annotation types
+ * @param {Object} services - { dataset, storage, annotations }
+ * @returns {Promise<{ files: Array<{ content: string, fileName: string, type: string }>, images: number, annotations: number, missingSizes: string[], skippedKeypoints: number, corrupted: Array }>}
+ * @throws {ValidationError} When nothing matches the options
+ */
+export async function buildAnnotationExport(format, options, services) {
+  const {
+    customTypes = [],
+    plantIds = null,
+    columns = TIDY_COLUMN_KEYS,
+    statuses = null,
+    from = null,
+    to = null,
+    file = 'json',
+    typeIds = null
+  } = options;
+  const { dataset, storage, annotations } = services;
+  if (!ANNOTATION_EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  const { exportData, corrupted } = await loadAnnotationExportData(storage, plantIds);
+  const entries = Object.values(exportData.annotations);
+  if (entries.length === 0) {
+    throw exportError('plantIds', 'No annotation data available for export');
+  }
+  const result = { images: entries.length, annotations: 0, missingSizes: [], skippedKeypoints: 0, corrupted };
+
+  if (format === 'json') {
+    const content = buildPureAnnotationExport(exportData);
+    return {
+      ...result,
+      files: [{ content: JSON.stringify(content, null, 2), fileName: datedFileName('annotations', 'json'), type: 'application/json' }],
+      annotations: content.stats.totalKeypoints
+    };
+  }
+
+  if (['coco', 'cvat', 'labelstudio'].includes(format)) {
+    const images = [];
+    for (const entry of entries) {
+      const size = await readImageSize(dataset, entry.imageId);
+      images.push({ imageId: entry.imageId, width: size?.width ?? null, height: size?.height ?? null, annotations: entry.annotations });
+    }
+    return { ...result, ...buildInterchangeFiles(format, images, customTypes, { plantIdRegex: dataset.plantIdRegex }) };
+  }
+
+  const entryPlantIds = [...new Set(entries.map(entry => entry.plantId))];
+  const { captureTimes, sequences } = await readTimeSeries(dataset, entryPlantIds);
+  const entriesById = new Map(entries.map(entry => [entry.imageId, entry]));
+
+  if (format === 'csv') {
+    const plantStatuses = statuses ? await loadPlantStatuses(annotations, entryPlantIds) : new Map();
+    const rows = buildTidyRows(entries, {
+      getCaptureTime: imageId => captureTimes.get(imageId) ?? null,
+      getAnnotationSource: imageId => getEntrySource(entriesById.get(imageId)),
+      getPlantStatus: plantId => plantStatuses.get(plantId),
+      statuses,
+      from,
+      to,
+      plantIdRegex: dataset.plantIdRegex
+    });
+    if (rows.length === 0) {
+      throw exportError('statuses', 'No keypoints match the selected plant statuses and dates');
+    }
+    return {
+      ...result,
+      files: [{ content: tidyRowsToCsv(rows, columns), fileName: datedFileName('annotations_tidy', 'csv'), type: 'text/csv' }],
+      images: new Set(rows.map(row => row.imageId)).size,
+      annotations: rows.length
+    };
+  }
+
+  const { tracks, skippedKeypoints } = buildBranchTrajectories(sequences, {
+    getAnnotations: imageId => entriesById.get(imageId)?.annotations ?? null,
+    getCaptureTime: imageId => captureTimes.get(imageId) ?? null,
+    getAnnotationSource: (plantId, viewAngle, imageId) => getEntrySource(entriesById.get(imageId)),
+    typeIds
+  });
+  if (tracks.length === 0) {
+    throw exportError('typeIds', 'No numbered keypoints to build trajectories from');
+  }
+  return {
+    ...result,
+    files: [buildTrajectoryFile(tracks, file)],
+    images: new Set(tracks.flatMap(track => track.frames.map(frame => frame.imageId))).size,
+    annotations: tracks.reduce((sum, track) => sum + track.frameCount, 0),
+    tracks: tracks.length,
+    skippedKeypoints
+  };
+}
+
+/**
+ * 生成并写入导出文件
+ *
+ * @param {Object} request - The options of buildAnnotationExport() and:
+ * @param {string} request.format
+ * @param {string} request.outputDir - Target directory, relative to the exports directory
+ * @param {boolean} [request.overwrite] - Replace files of the same name (same format and date)
+ * @param {Object} services - { config, dataset, storage, annotations }
+ * @returns {Promise<Object>} The counts of buildAnnotationExport() with `outputDir` and the written `files` paths
+ */
+export async function exportAnnotationFiles(request, services) {
+  const { format, outputDir: requestedDir, overwrite = false, ...options } = request;
+  const outputDir = resolveOutputDir(services.config, requestedDir);
+  const { files, ...result } = await buildAnnotationExport(format, options, services);
+
+  await prepareOutputDir(outputDir, {
+    config: services.config,
+    overwrite,
+    entries: files.map(file => file.fileName),
+    exportName: 'Export'
+  });
+  const written = [];
+  for (const file of files) {
+    const target = path.join(outputDir, file.fileName);
+    await fs.writeFile(target, file.content);
+    written.push(target);
+  }
+  return { outputDir, format, files: written, ...result };
+}
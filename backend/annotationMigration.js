@@ -0,0 +1,147 @@
+/**
+ * 标注文件的批量格式迁移
+ *
+ * Brings every stored annotation document to the current `schemaVersion`
+ * (src/utils/AnnotationMigrations.js), for the command-line tool
+ * (scripts/annotation-cli.js `migrate`). Documents are migrated through
+ * AnnotationService.migrateAnnotation(), so each change is a revision in
+ * the history and open pages are notified. Before a document is rewritten
+ * the stored copy is written to `migration_backup_<timestamp>/` in the
+ * annotations directory. The legacy plant_annotations.json aggregate is
+ * migrated too when it exists.
+ */
+
+import path from 'path';
+import { promises as fs } from 'fs';
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+import {
+  ANNOTATION_SCHEMA_VERSION,
+  needsMigration,
+  migrateAnnotationDocument,
+  migrateKeypoints
+} from '../src/utils/AnnotationMigrations.js';
+
+// 修订历史中迁移的来源
+export const MIGRATION_SOURCE = 'schema-migration';
+
+const PLANT_AGGREGATE_FILE = 'plant_annotations.json';
+
+/**
+ * 迁移备份目录，第一次写入时才创建
+ */
+function createBackup(annotationsDir) {
+  const backup = {
+    dir: path.join(annotationsDir, `migration_backup_${Date.now()}`),
+    created: false,
+    async write(fileName, data) {
+      if (!backup.created) {
+        await fs.mkdir(backup.dir, { recursive: true });
+        backup.created = true;
+      }
+      await writeJsonFile(path.join(backup.dir, fileName), data);
+    }
+  };
+  return backup;
+}
+
+/**
+ * 迁移旧的植物汇总文件中的标注点（当前图像和时间序列）
+ *
+ * @returns {Promise<{ changedKeypoints: number }|null>} null when the file does not exist
+ */
+async function migratePlantAggregate(filePath, { dryRun, backup }) {
+  let data;
+  try {
+    data = await readJsonFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  let changedKeypoints = 0;
+  const migrateList = list => {
+    const migrated = migrateKeypoints(list);
+    changedKeypoints += migrated.filter((keypoint, index) => keypoint !== list[index]).length;
+    return migrated;
+  };
+  for (const plantData of Object.values(data?.annotations || {})) {
+    if (Array.isArray(plantData?.annotations)) {
+      plantData.annotations = migrateList(plantData.annotations);
+    }
+    for (const item of plantData?.timeSeriesData?.annotationData || []) {
+      if (Array.isArray(item?.annotations)) {
+        item.annotations = migrateList(item.annotations);
+      }
+    }
+  }
+
+  if (changedKeypoints > 0 && !dryRun) {
+    await backup.write(PLANT_AGGREGATE_FILE, await readJsonFile(filePath));
+    await writeJsonFile(filePath, data);
+  }
+  return { changedKeypoints };
+}
+
+/**
+ * 把全部标注文档迁移到当前格式版本
+ *
+ * @param {Object} services - { config, storage, annotations }
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would change
+ * @param {string} [options.author] - Recorded in the revision history
+ * @returns {Promise<{
+ *   schemaVersion: number,
+ *   checked: number,
+ *   upToDate: number,
+ *   migrated: Array<{ imageId: string, fromVersion: number, applied: number[], changedKeypoints: number }>,
+ *   errors: Array<{ imageId: string, error: string }>,
+ *   plantAggregate: { changedKeypoints: number }|null,
+ *   backupDir: string|null
+ * }>}
+ */
+export async function migrateStoredAnnotations(services, { dryRun = false, author = 'cli' } = {}) {
+  const { config, storage, annotations } = services;
+  const backup = createBackup(config.annotationsDir);
+  const meta = { author, source: MIGRATION_SOURCE };
+  const result = {
+    schemaVersion: ANNOTATION_SCHEMA_VERSION,
+    checked: 0,
+    upToDate: 0,
+    migrated: [],
+    errors: [],
+    plantAggregate: null,
+    backupDir: null
+  };
+
+  for (const imageId of (await storage.listAnnotationIds()).sort()) {
+    result.checked++;
+    try {
+      const data = await storage.getAnnotation(imageId);
+      let migration = null;
+      if (needsMigration(data)) {
+        migration = dryRun
+          ? migrateAnnotationDocument(data)
+          : await annotations.migrateAnnotation(imageId, meta, {
+            beforeWrite: previous => backup.write(`${imageId}.json`, previous)
+          });
+      }
+      if (!migration) {
+        result.upToDate++;
+        continue;
+      }
+      const { fromVersion, applied, changedKeypoints } = migration;
+      result.migrated.push({ imageId, fromVersion, applied, changedKeypoints });
+    } catch (error) {
+      result.errors.push({ imageId, error: error.message });
+    }
+  }
+
+  try {
+    result.plantAggregate = await migratePlantAggregate(path.join(config.annotationsDir, PLANT_AGGREGATE_FILE), { dryRun, backup });
+  } catch (error) {
+    result.errors.push({ imageId: PLANT_AGGREGATE_FILE, error: error.message });
+  }
+
+  result.backupDir = backup.created ? backup.dir : null;
+  return result;
+}
@@ -0,0 +1,755 @@
+/**
+ * 标注、植物记录和笔记的业务操作
+ *
+ * Combines the storage driver with the revision log, optimistic concurrency
+ * checks and annotator attribution, so the legacy routes and /api/v2 in
+ * backend-server.js behave the same. Methods take plain values; reading
+ * the annotator or preconditions from a request is up to the caller
+ * (backend/requestInfo.js).
+ *
+ * Every write is also published to the change feed (backend/changeFeed.js)
+ * when one is given; `clientId` identifies the browser tab that made the
+ * request so it can ignore its own events. Completing or skipping a plant
+ * releases its assignment lease (backend/assignmentQueue.js).
+ *
+ * Review statuses and per-keypoint verdicts follow src/utils/ReviewWorkflow.js;
+ * only configured reviewers may set them (ReviewPermissionError). The
+ * annotator is whatever name the client declares (X-Annotator), so this is
+ * a guard against mistakes, not access control.
+ */
+
+import path from 'path';
+import { jsonEtag, assertVersion, CorruptedFileError } from './jsonFile.js';
+import { PLANT_RECORD_KINDS, PLANT_RECORD_FILE_SUFFIXES } from './storage/storageUtils.js';
+import { stampKeypoints, stampRecord } from '../src/utils/AnnotatorIdentity.js';
+import { CHANGE_EVENT_TYPES } from '../src/utils/ChangeEvents.js';
+import { diffAnnotations, summarizeDiff } from '../src/utils/AnnotationDiff.js';
+import { needsMigration, migrateAnnotationDocument } from '../src/utils/AnnotationMigrations.js';
+import { CLOSED_PLANT_STATUSES } from './schemas.js';
+import {
+  REVIEW_STATUSES,
+  REVIEWER_STATUSES,
+  REVIEWER_LOCKED_STATUSES,
+  isReviewer,
+  getReworkItems
+} from '../src/utils/ReviewWorkflow.js';
+
+// 生成笔记ID
+function generateNoteId() {
+  return 'note-' + Date.now() + '-' + Math.random().toString(36).slice(2, 11);
+}
+
+// 生成审核条目ID
+function generateReviewItemId() {
+  return 'item-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * 标注者不在审核者名单中
+ */
+export class ReviewPermissionError extends Error {
+  constructor(annotator) {
+    super(`${annotator} is not a reviewer`);
+    this.name = 'ReviewPermissionError';
+    this.annotator = annotator;
+  }
+}
+
+// 为标注文件中的标注点加上创建者/修改者
+function stampAnnotationData(previous, annotationData, annotator) {
+  if (!Array.isArray(annotationData?.annotations)) {
+    return annotationData;
+  }
+  return {
+    ...annotationData,
+    annotations: stampKeypoints(previous?.annotations, annotationData.annotations, annotator)
+  };
+}
+
+// 标注点是否有变化（与修订历史的判断一致：切换图像时的自动保存通常没有改动）
+function hasKeypointChanges(previous, next) {
+  if (!previous) return true;
+  const { added, removed, changed } = summarizeDiff(diffAnnotations(previous.annotations, next?.annotations));
+  return added + removed + changed > 0;
+}
+
+export class AnnotationService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.storage - backend/storage driver
+   * @param {import('./revisionLog.js').RevisionLog} options.revisionLog
+   * @param {string} options.annotationsDir - Where plant deletion backups are written
+   * @param {import('./changeFeed.js').ChangeFeed} [options.changeFeed]
+   * @param {import('./assignmentQueue.js').AssignmentQueue} [options.assignments]
+   * @param {string[]} [options.reviewers] - Config `reviewers`; empty lets everyone review
+   */
+  constructor({ storage, revisionLog, annotationsDir, changeFeed = null, assignments = null, reviewers = [] }) {
+    this.storage = storage;
+    this.revisionLog = revisionLog;
+    this.annotationsDir = annotationsDir;
+    this.changeFeed = changeFeed;
+    this.assignments = assignments;
+    this.reviewers = reviewers;
+  }
+
+  /**
+   * 发布变更通知（没有变更通知时忽略）
+   */
+  publish(type, { author, clientId = null, ...fields }) {
+    this.changeFeed?.publish({ type, ...fields, author, clientId });
+  }
+
+  publishAnnotationChange(imageId, data, { revision, author, clientId }) {
+    const plantId = this.storage.getPlantId(imageId);
+    if (data) {
+      this.publish(CHANGE_EVENT_TYPES.ANNOTATION_SAVED, {
+        plantId,
+        imageId,
+        revision,
+        etag: jsonEtag(data),
+        keypointCount: Array.isArray(data.annotations) ? data.annotations.length : 0,
+        author,
+        clientId
+      });
+    } else {
+      this.publish(CHANGE_EVENT_TYPES.ANNOTATION_DELETED, { plantId, imageId, revision, author, clientId });
+    }
+  }
+
+  /**
+   * 植物状态变化后发布当前生效的状态（null 表示没有状态记录）
+   */
+  async publishPlantStatus(plantId, author, clientId) {
+    if (!this.changeFeed && !this.assignments) return;
+    const current = await this.getPlantStatus(plantId);
+    if (this.assignments && CLOSED_PLANT_STATUSES.includes(current?.status)) {
+      try {
+        await this.assignments.releaseFinished(plantId, author);
+      } catch (error) {
+        console.warn(`释放植物 ${plantId} 的分配失败:`, error);
+      }
+    }
+    this.publish(CHANGE_EVENT_TYPES.PLANT_STATUS_CHANGED, {
+      plantId,
+      status: current?.status ?? null,
+      skipReason: current?.skipReason ?? null,
+      skipDate: current?.skipDate ?? null,
+      author,
+      clientId
+    });
+  }
+
+  publishNoteChange(type, note, author, clientId) {
+    this.publish(type, {
+      plantId: note.plantId,
+      imageId: note.imageId || null,
+      noteId: note.noteId,
+      author,
+      clientId
+    });
+  }
+
+  /**
+   * 读取标注，不存在或无法恢复时返回 null
+   */
+  async readIfExists(imageId) {
+    try {
+      return await this.storage.getAnnotation(imageId);
+    } catch (error) {
+      if (error instanceof CorruptedFileError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 读取标注和 ETag
+   *
+   * 旧数据的文件名带有图像扩展名（如 `${imageId}.png.json`），也会被找到；
+   * 保存总是写入 imageId 本身，旧ID下的内容视为尚不存在的版本（etag 为 null）。
+   *
+   * @returns {Promise<{ data: Object|null, etag: string|null }>}
+   */
+  async get(imageId) {
+    for (const id of [imageId, `${imageId}.png`, `${imageId}.jpg`]) {
+      const data = await this.storage.getAnnotation(id);
+      if (data !== null) {
+        return { data, etag: id === imageId ? jsonEtag(data) : null };
+      }
+    }
+    return { data: null, etag: null };
+  }
+
+  /**
+   * 保存标注（版本检查与写入在同一把锁内完成）
+   *
+   * @param {Object} options
+   * @param {{ ifMatch?: string, ifNoneMatch?: string }} [options.preconditions]
+   * @param {{ author: string, source: string }} options.meta - Revision author and source
+   * @param {string|null} [options.clientId] - Browser tab that made the change
+   * @throws {VersionConflictError}
+   * @returns {Promise<{ data: Object, etag: string, revision: Object }>}
+   */
+  async save(imageId, annotationData, { preconditions = {}, meta, clientId = null }) {
+    let saved = annotationData;
+    let changed = true;
+    const revision = await this.revisionLog.record(imageId, { action: 'save', ...meta }, async () => {
+      const previous = await this.readIfExists(imageId);
+      assertVersion(imageId, previous, preconditions);
+      saved = stampAnnotationData(previous, annotationData, meta.author);
+      changed = hasKeypointChanges(previous, saved);
+      await this.storage.saveAnnotation(imageId, saved);
+      return { previous, next: saved };
+    });
+    if (changed) {
+      this.publishAnnotationChange(imageId, saved, { revision: revision.revision, author: meta.author, clientId });
+    }
+    return { data: saved, etag: jsonEtag(saved), revision };
+  }
+
+  /**
+   * 删除标注
+   *
+   * @throws {VersionConflictError}
+   * @returns {Promise<boolean>} false if there was nothing to delete
+   */
+  async delete(imageId, { preconditions = {}, meta, clientId = null }) {
+    let deleted = false;
+    const revision = await this.revisionLog.record(imageId, { action: 'delete', ...meta }, async () => {
+      const previous = await this.readIfExists(imageId);
+      assertVersion(imageId, previous, preconditions);
+      deleted = await this.storage.deleteAnnotation(imageId);
+      return { previous, next: null };
+    });
+    if (deleted) {
+      this.publishAnnotationChange(imageId, null, { revision: revision.revision, author: meta.author, clientId });
+    }
+    return deleted;
+  }
+
+  /**
+   * 恢复到指定修订（作为新修订追加，历史不会被改写）
+   *
+   * @returns {Promise<{ entry: Object, restored: Object }|null>} null if the revision does not exist
+   */
+  async restore(imageId, revision, meta, clientId = null) {
+    const entry = await this.revisionLog.get(imageId, revision);
+    if (!entry) {
+      return null;
+    }
+
+    const restored = await this.revisionLog.record(
+      imageId,
+      { action: 'restore', ...meta, restoredFrom: revision },
+      async () => {
+        const previous = await this.readIfExists(imageId);
+        if (entry.data) {
+          await this.storage.saveAnnotation(imageId, entry.data);
+        } else {
+          await this.storage.deleteAnnotation(imageId);
+        }
+        return { previous, next: entry.data };
+      }
+    );
+
+    console.log(`[History] ${imageId} 已恢复到修订 ${revision} (新修订 ${restored.revision})`);
+    this.publishAnnotationChange(imageId, entry.data, { revision: restored.revision, author: meta.author, clientId });
+    return { entry, restored };
+  }
+
+  /**
+   * 把标注迁移到当前格式版本（src/utils/AnnotationMigrations.js）
+   *
+   * Migrated in the log lock like a save, but the keypoint attribution is
+   * kept: a format change is not an edit by `meta.author`.
+   *
+   * @param {{ author: string, source: string }} meta - Revision author and source
+   * @param {Object} [options]
+   * @param {Function} [options.beforeWrite] - async (previous) => void, e.g. to back up the stored document
+   * @throws {UnsupportedSchemaVersionError} When the stored document is newer than this code
+   * @returns {Promise<Object|null>} The result of migrateAnnotationDocument(), null when there was nothing to migrate
+   */
+  async migrateAnnotation(imageId, meta, { beforeWrite = null } = {}, clientId = null) {
+    let result = null;
+    const revision = await this.revisionLog.record(imageId, { action: 'migrate', ...meta }, async () => {
+      const previous = await this.storage.getAnnotation(imageId);
+      if (!needsMigration(previous)) {
+        return { previous, next: previous };
+      }
+      result = migrateAnnotationDocument(previous);
+      if (beforeWrite) await beforeWrite(previous);
+      await this.storage.saveAnnotation(imageId, result.document);
+      return { previous, next: result.document };
+    });
+    if (result?.changedKeypoints > 0) {
+      this.publishAnnotationChange(imageId, result.document, { revision: revision.revision, author: meta.author, clientId });
+    }
+    return result;
+  }
+
+  /**
+   * 植物状态：优先专用状态记录，其次跳过信息中的状态（已跳过时带有跳过原因和日期）
+   *
+   * @returns {Promise<Object|null>}
+   */
+  async getPlantStatus(plantId) {
+    let statusData = null;
+    try {
+      statusData = await this.storage.getPlantRecord('status', plantId);
+    } catch (statusError) {
+      console.warn(`读取植物 ${plantId} 状态失败:`, statusError);
+    }
+
+    // 已跳过的植物还要读取跳过原因
+    let skipData = null;
+    if (!statusData || statusData.status === 'skipped') {
+      try {
+        skipData = await this.storage.getPlantRecord('skip', plantId);
+      } catch (skipError) {
+        console.warn(`读取植物 ${plantId} 跳过信息失败:`, skipError);
+      }
+    }
+
+    if (statusData) {
+      return {
+        plantId: statusData.plantId,
+        status: statusData.status,
+        lastModified: statusData.lastModified,
+        timestamp: statusData.timestamp,
+        ...(skipData && { skipReason: skipData.skipReason, skipDate: skipData.skipDate })
+      };
+    }
+
+    if (skipData?.status) {
+      return {
+        plantId: skipData.plantId,
+        status: skipData.status,
+        lastModified: skipData.lastModified,
+        skipReason: skipData.skipReason,
+        skipDate: skipData.skipDate
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * 植物是否仍需标注（分配队列只分配这些植物）
+   */
+  async isPlantOpen(plantId) {
+    const current = await this.getPlantStatus(plantId);
+    return !CLOSED_PLANT_STATUSES.includes(current?.status);
+  }
+
+  /**
+   * 保存植物状态（审核状态同时记入审核记录）
+   *
+   * @throws {ReviewPermissionError} When a non-reviewer starts or decides a review
+   */
+  async savePlantStatus(plantId, update, annotator, clientId = null) {
+    const record = await this.writePlantStatus(plantId, update, annotator, clientId);
+    await this.publishPlantStatus(plantId, annotator, clientId);
+    return record;
+  }
+
+  // 写状态记录（检查审核权限、记入审核记录），不发布状态变化
+  async writePlantStatus(plantId, { status, lastModified, comment }, annotator, clientId) {
+    if (REVIEWER_STATUSES.includes(status) ||
+        REVIEWER_LOCKED_STATUSES.includes((await this.getPlantStatus(plantId))?.status)) {
+      this.assertReviewer(annotator);
+    }
+
+    const record = await this.storage.updatePlantRecord('status', plantId, previous => stampRecord(previous, {
+      plantId,
+      status,
+      lastModified: lastModified || new Date().toISOString(),
+      timestamp: new Date().toISOString(),
+      version: '1.0'
+    }, annotator));
+
+    if (Object.values(REVIEW_STATUSES).includes(status)) {
+      await this.recordReviewStep(plantId, status, comment, annotator, clientId);
+    }
+    return record;
+  }
+
+  /**
+   * 保存跳过信息
+   */
+  async saveSkipInfo(plantId, skipData, annotator, clientId = null) {
+    const record = await this.writeSkipInfo(plantId, skipData, annotator);
+    await this.publishPlantStatus(plantId, annotator, clientId);
+    return record;
+  }
+
+  // 写跳过信息，不发布状态变化
+  async writeSkipInfo(plantId, skipData, annotator) {
+    return this.storage.updatePlantRecord('skip', plantId, previous => stampRecord(previous, skipData, annotator));
+  }
+
+  /**
+   * 删除植物记录（状态或跳过信息）
+   *
+   * @param {'status'|'skip'} kind
+   * @returns {Promise<boolean>} false if there was nothing to delete
+   */
+  async deletePlantRecord(kind, plantId, annotator, clientId = null) {
+    const deleted = await this.storage.deletePlantRecord(kind, plantId);
+    if (deleted) {
+      await this.publishPlantStatus(plantId, annotator, clientId);
+    }
+    return deleted;
+  }
+
+  /**
+   * 跳过植物：状态记录设为 skipped 并保存跳过信息
+   *
+   * @throws {ReviewPermissionError} When a non-reviewer skips a plant under review or approved
+   */
+  async skipPlant(plantId, skipReason, annotator, clientId = null) {
+    const now = new Date().toISOString();
+    // 先写状态记录（检查审核权限），否则已有的状态记录会盖过跳过信息；两条记录都写好后只发布一次
+    await this.writePlantStatus(plantId, { status: 'skipped', lastModified: now }, annotator, clientId);
+    const record = await this.writeSkipInfo(plantId, {
+      plantId,
+      status: 'skipped',
+      skipReason,
+      skipDate: now,
+      lastModified: now
+    }, annotator);
+    await this.publishPlantStatus(plantId, annotator, clientId);
+    return record;
+  }
+
+  /**
+   * 撤销跳过：删除跳过信息，有标注时状态为 in-progress，否则为 pending（与界面中的撤销跳过相同）
+   *
+   * @returns {Promise<string|null>} The new status, null when the plant was not skipped
+   */
+  async unskipPlant(plantId, annotator, clientId = null) {
+    if ((await this.getPlantStatus(plantId))?.status !== 'skipped') {
+      return null;
+    }
+    const counts = await this.countPlantKeypoints(await this.storage.listAnnotationIds(plantId));
+    const status = counts.some(count => count.keypointCount > 0) ? 'in-progress' : 'pending';
+    await this.storage.deletePlantRecord('skip', plantId);
+    await this.savePlantStatus(plantId, { status }, annotator, clientId);
+    return status;
+  }
+
+  /**
+   * 植物的全部标注ID和已存在的相关记录（状态、跳过信息）
+   */
+  async findPlantDocuments(plantId) {
+    const imageIds = await this.storage.listAnnotationIds(plantId);
+    const relatedKinds = [];
+    for (const kind of PLANT_RECORD_KINDS) {
+      if (await this.storage.getPlantRecord(kind, plantId).catch(() => null)) {
+        relatedKinds.push(kind);
+      }
+    }
+    return { imageIds, relatedKinds };
+  }
+
+  /**
+   * 每张图像的标注点数量
+   *
+   * @returns {Promise<Array<{ imageId: string, keypointCount: number }>>}
+   */
+  async countPlantKeypoints(imageIds) {
+    const counts = [];
+    for (const imageId of imageIds) {
+      try {
+        const data = await this.storage.getAnnotation(imageId);
+        counts.push({ imageId, keypointCount: Array.isArray(data?.annotations) ? data.annotations.length : 0 });
+      } catch (error) {
+        console.warn(`[Plant Stats] 读取标注失败: ${imageId}`, error.message);
+        counts.push({ imageId, keypointCount: 0 });
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * 删除植物的全部标注和相关记录，删除前先备份为 JSON 文件
+   *
+   * @param {{ author: string, source: string }} meta - Revision author and source
+   * @param {string|null} [clientId] - Browser tab that made the change
+   */
+  async deletePlant(plantId, meta, clientId = null) {
+    const { imageIds, relatedKinds } = await this.findPlantDocuments(plantId);
+
+    const backupDir = path.join(this.annotationsDir, `plant_${plantId}_deleted_backup_${Date.now()}`);
+    const backupStats = {
+      ...await this.storage.backupPlant(plantId, backupDir),
+      backupPath: backupDir
+    };
+
+    const result = {
+      imageIds,
+      relatedKinds,
+      backupDir,
+      backupStats,
+      annotationFilesDeleted: 0,
+      relatedFilesDeleted: 0,
+      errors: []
+    };
+
+    for (const imageId of imageIds) {
+      try {
+        const revision = await this.revisionLog.record(imageId, { action: 'delete', ...meta }, async () => {
+          const previous = await this.readIfExists(imageId);
+          await this.storage.deleteAnnotation(imageId);
+          return { previous, next: null };
+        });
+        result.annotationFilesDeleted++;
+        this.publishAnnotationChange(imageId, null, { revision: revision.revision, author: meta.author, clientId });
+      } catch (error) {
+        const errorMsg = `删除标注文件失败: ${imageId}.json - ${error.message}`;
+        result.errors.push(errorMsg);
+        console.error(`[Plant Deletion] ${errorMsg}`);
+      }
+    }
+
+    for (const kind of relatedKinds) {
+      try {
+        await this.storage.deletePlantRecord(kind, plantId);
+        result.relatedFilesDeleted++;
+      } catch (error) {
+        const errorMsg = `删除相关文件失败: ${plantId}${PLANT_RECORD_FILE_SUFFIXES[kind]} - ${error.message}`;
+        result.errors.push(errorMsg);
+        console.error(`[Plant Deletion] ${errorMsg}`);
+      }
+    }
+
+    if (result.relatedFilesDeleted > 0) {
+      await this.publishPlantStatus(plantId, meta.author, clientId);
+    }
+    return result;
+  }
+
+  /**
+   * 创建植物笔记（imageId 为 null）或图像笔记
+   */
+  async createNote(plantId, imageId, { title, content, noteType, tags, author }, annotator, clientId = null) {
+    const now = new Date().toISOString();
+    const note = {
+      noteId: generateNoteId(),
+      plantId,
+      imageId: imageId || null,
+      noteType: noteType || 'general',
+      title,
+      content,
+      tags: tags || [],
+      author: author || annotator,
+      createdBy: annotator,
+      modifiedBy: annotator,
+      timestamp: now,
+      lastModified: now,
+      version: '1.0'
+    };
+    await this.storage.saveNote(note);
+    this.publishNoteChange(CHANGE_EVENT_TYPES.NOTE_CREATED, note, annotator, clientId);
+    return note;
+  }
+
+  /**
+   * 更新笔记内容字段（创建者不可修改），不存在时返回 null
+   */
+  async updateNote(noteId, updates, annotator, clientId = null) {
+    const updated = await this.storage.updateNote(noteId, note => ({
+      ...note,
+      ...updates,
+      noteId,
+      createdBy: note.createdBy,
+      modifiedBy: annotator,
+      lastModified: new Date().toISOString()
+    }));
+    if (updated) {
+      this.publishNoteChange(CHANGE_EVENT_TYPES.NOTE_UPDATED, updated, annotator, clientId);
+    }
+    return updated;
+  }
+
+  /**
+   * 删除笔记
+   *
+   * @returns {Promise<boolean>} false if the note does not exist
+   */
+  async deleteNote(noteId, annotator, clientId = null) {
+    const note = await this.storage.getNote(noteId);
+    if (!note || !await this.storage.deleteNote(noteId)) {
+      return false;
+    }
+    this.publishNoteChange(CHANGE_EVENT_TYPES.NOTE_DELETED, note, annotator, clientId);
+    return true;
+  }
+
+  // ---------- 审核 ----------
+
+  assertReviewer(annotator) {
+    if (!isReviewer(annotator, this.reviewers)) {
+      throw new ReviewPermissionError(annotator);
+    }
+  }
+
+  publishReviewChange(plantId, itemId, author, clientId) {
+    this.publish(CHANGE_EVENT_TYPES.REVIEW_CHANGED, { plantId, itemId, author, clientId });
+  }
+
+  // 在锁内修改审核记录（不存在时新建）
+  async updateReview(plantId, updater) {
+    return this.storage.updatePlantRecord('review', plantId, (previous) => {
+      const review = { plantId, items: [], ...previous };
+      return { ...updater(review), lastModified: new Date().toISOString() };
+    });
+  }
+
+  /**
+   * 植物的审核记录，没有时返回 null
+   */
+  async getReview(plantId) {
+    return this.storage.getPlantRecord('review', plantId);
+  }
+
+  /**
+   * 记录提交、开始审核和审核结论
+   */
+  async recordReviewStep(plantId, status, comment, annotator, clientId) {
+    const now = new Date().toISOString();
+    await this.updateReview(plantId, (review) => {
+      switch (status) {
+        case REVIEW_STATUSES.SUBMITTED:
+          return { ...review, submittedBy: annotator, submittedAt: now, submitComment: comment ?? null, decision: null, decidedAt: null, comment: null };
+        case REVIEW_STATUSES.IN_REVIEW:
+          return { ...review, reviewer: annotator, reviewStartedAt: now };
+        default:
+          return { ...review, reviewer: annotator, decision: status, decidedAt: now, comment: comment ?? null };
+      }
+    });
+    this.publishReviewChange(plantId, null, annotator, clientId);
+  }
+
+  /**
+   * 审核者接受或标记一个标注点（同一标注点再次提交即覆盖之前的结论）
+   *
+   * @throws {ReviewPermissionError}
+   * @returns {Promise<Object>} The review item
+   */
+  async saveReviewItem(plantId, { imageId, keypointId, order, x, y, verdict, comment }, reviewer, clientId = null) {
+    this.assertReviewer(reviewer);
+    const now = new Date().toISOString();
+    let item;
+    await this.updateReview(plantId, (review) => {
+      const items = [...review.items];
+      const index = items.findIndex(existing => existing.imageId === imageId && String(existing.keypointId) === String(keypointId));
+      const previous = items[index];
+      item = {
+        id: previous?.id || generateReviewItemId(),
+        imageId,
+        keypointId,
+        order: order ?? null,
+        x: x ?? null,
+        y: y ?? null,
+        verdict,
+        comment: comment || '',
+        reviewer,
+        createdAt: previous?.createdAt || now,
+        updatedAt: now,
+        resolved: false,
+        resolvedBy: null,
+        resolvedAt: null
+      };
+      if (previous) {
+        items[index] = item;
+      } else {
+        items.push(item);
+      }
+      return { ...review, items };
+    });
+    this.publishReviewChange(plantId, item.id, reviewer, clientId);
+    return item;
+  }
+
+  /**
+   * 修改审核条目：审核者可改结论和意见，任何人都可以标记为已修复（返工）
+   *
+   * @throws {ReviewPermissionError}
+   * @returns {Promise<Object|null>} The item, null if it does not exist
+   */
+  async updateReviewItem(plantId, itemId, { verdict, comment, resolved }, annotator, clientId = null) {
+    if (verdict !== undefined || comment !== undefined) {
+      this.assertReviewer(annotator);
+    }
+    if (!(await this.getReview(plantId))?.items?.some(item => item.id === itemId)) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    let updated = null;
+    await this.updateReview(plantId, review => ({
+      ...review,
+      items: review.items.map((item) => {
+        if (item.id !== itemId) return item;
+        updated = { ...item, updatedAt: now };
+        if (verdict !== undefined) updated.verdict = verdict;
+        if (comment !== undefined) updated.comment = comment;
+        if (resolved !== undefined) {
+          updated.resolved = resolved;
+          updated.resolvedBy = resolved ? annotator : null;
+          updated.resolvedAt = resolved ? now : null;
+        }
+        return updated;
+      })
+    }));
+    if (updated) {
+      this.publishReviewChange(plantId, itemId, annotator, clientId);
+    }
+    return updated;
+  }
+
+  /**
+   * 删除审核条目
+   *
+   * @throws {ReviewPermissionError}
+   * @returns {Promise<boolean>} false if the item does not exist
+   */
+  async deleteReviewItem(plantId, itemId, annotator, clientId = null) {
+    this.assertReviewer(annotator);
+    if (!(await this.getReview(plantId))?.items?.some(item => item.id === itemId)) {
+      return false;
+    }
+    await this.updateReview(plantId, review => ({
+      ...review,
+      items: review.items.filter(item => item.id !== itemId)
+    }));
+    this.publishReviewChange(plantId, itemId, annotator, clientId);
+    return true;
+  }
+
+  /**
+   * 返工列表：要求修改的植物中未解决的标记
+   *
+   * @param {Object} [filter]
+   * @param {string} [filter.annotator] - Only plants this annotator submitted
+   * @returns {Promise<Array<{ plantId, submittedBy, reviewer, decidedAt, comment, items }>>}
+   */
+  async listRework({ annotator } = {}) {
+    const rework = [];
+    for (const { plantId, data } of await this.storage.listPlantRecords('review')) {
+      const items = getReworkItems(data);
+      if (items.length === 0 || (annotator && data.submittedBy !== annotator)) continue;
+      if ((await this.getPlantStatus(plantId))?.status !== REVIEW_STATUSES.CHANGES_REQUESTED) continue;
+      rework.push({
+        plantId,
+        submittedBy: data.submittedBy ?? null,
+        reviewer: data.reviewer ?? null,
+        decidedAt: data.decidedAt ?? null,
+        comment: data.comment ?? null,
+        items
+      });
+    }
+    return rework.sort((a, b) => a.plantId.localeCompare(b.plantId));
+  }
+}
@@ -0,0 +1,1057 @@
+/**
+ * 版本化 REST API（/api/v2）
+ *
+ * Resources are named consistently (`plants`, `images`, `notes`,
+ * `annotations`), addressed by the same IDs the legacy routes use, and
+ * described by one route table (`API_V2_ROUTES`) that drives both the
+ * Express router and the OpenAPI document (backend/openapi.js).
+ *
+ * Responses:
+ *
+ *   200/201  { data, meta? }                 meta = { total, limit, offset } for lists
+ *   204      (empty body)                    successful DELETE
+ *   4xx/5xx  { error: { code, message, details } }
+ *
+ * Lists accept `?limit=` (default 50, max 500) and `?offset=`.
+ * Annotation writes use ETags: send `If-Match` to avoid overwriting someone
+ * else's change (409 VERSION_CONFLICT returns the current document).
+ * GET /events streams every change as Server-Sent Events
+ * (backend/changeFeed.js). Plant assignments (backend/assignmentQueue.js)
+ * need an X-Annotator; claiming a plant someone else holds is
+ * 409 LEASE_CONFLICT with their lease as `current`. Review steps and
+ * keypoint verdicts by someone who is not a reviewer are 403 FORBIDDEN;
+ * the reviewer is identified by the unauthenticated X-Annotator header only.
+ */
+
+import express from 'express';
+import Ajv from 'ajv';
+import { promises as fs } from 'fs';
+import { VersionConflictError } from './jsonFile.js';
+import { LeaseConflictError } from './assignmentQueue.js';
+import { ReviewPermissionError } from './annotationService.js';
+import { RevisionLog } from './revisionLog.js';
+import { getFileVersion, sendCachedFile } from './httpCache.js';
+import { ValidationError, installParamValidation, validateBody } from './validation.js';
+import { getAnnotator, getRevisionMeta, getPreconditions, getClientId } from './requestInfo.js';
+import { NOTE_TYPES } from './schemas.js';
+import { buildOpenApiDocument } from './openapi.js';
+import { buildAgreementReport } from './agreement.js';
+import { exportYoloDataset } from './yoloExport.js';
+import { exportTrainingPatches } from './patchExport.js';
+import { checkDatasetIntegrity, fixIntegrityFindings } from './integrityCheck.js';
+import { sortNotesNewestFirst } from './storage/storageUtils.js';
+import { snapThumbnailSize } from '../src/utils/ImagePyramid.js';
+import { ANNOTATOR_HEADER, UNKNOWN_ANNOTATOR } from '../src/utils/AnnotatorIdentity.js';
+import { diffAnnotations, summarizeDiff } from '../src/utils/AnnotationDiff.js';
+
+export const API_V2_VERSION = '2.0.0';
+
+export const DEFAULT_PAGE_LIMIT = 50;
+export const MAX_PAGE_LIMIT = 500;
+
+/**
+ * 带 HTTP 状态和错误码的 API 错误
+ */
+export class ApiError extends Error {
+  constructor(status, code, message, details = []) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function notFound(message) {
+  return new ApiError(404, 'NOT_FOUND', message);
+}
+
+// ---------- 查询参数 ----------
+
+const nonNegativeInteger = { type: 'integer', minimum: 0 };
+
+const PAGINATION_QUERY = {
+  limit: { schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_LIMIT, default: DEFAULT_PAGE_LIMIT }, description: 'Page size' },
+  offset: { schema: { ...nonNegativeInteger, default: 0 }, description: 'Number of items to skip' }
+};
+
+// 查询参数都是字符串，按声明的类型转换（limit=10 -> 10）
+const queryAjv = new Ajv({ allErrors: true, allowUnionTypes: true, coerceTypes: true, useDefaults: true });
+
+/**
+ * 路由声明的查询参数对应的 JSON Schema（也用于 OpenAPI 文档）
+ */
+export function getQuerySchema(route) {
+  const query = { ...(route.query || {}), ...(route.paginated ? PAGINATION_QUERY : {}) };
+  return {
+    type: 'object',
+    properties: Object.fromEntries(Object.entries(query).map(([name, { schema }]) => [name, schema])),
+    additionalProperties: false
+  };
+}
+
+/**
+ * 对列表分页
+ *
+ * @returns {{ data: Array, meta: { total: number, limit: number, offset: number } }}
+ */
+export function paginate(items, { limit = DEFAULT_PAGE_LIMIT, offset = 0 } = {}) {
+  return {
+    data: items.slice(offset, offset + limit),
+    meta: { total: items.length, limit, offset }
+  };
+}
+
+// ---------- 处理函数使用的工具 ----------
+
+// 路径中的非负整数参数（修订号、金字塔层级和图块坐标）
+function integerParam(req, name) {
+  const value = Number(req.params[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    const message = `${name} 必须是非负整数`;
+    throw new ValidationError(message, [{ location: 'params', field: name, message }]);
+  }
+  return value;
+}
+
+function getImageRef(req, dataset) {
+  const parsed = dataset.parseImageId(req.params.imageId);
+  if (!parsed) {
+    const message = '图像ID格式无效，应为 <plantId>_<view>_<fileName>';
+    throw new ValidationError(message, [{ location: 'params', field: 'imageId', message }]);
+  }
+  return { ...parsed, imagePath: dataset.getImagePath(parsed.plantId, parsed.viewAngle, parsed.imageName) };
+}
+
+async function statImage(imagePath) {
+  try {
+    return await fs.stat(imagePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') throw notFound('图像不存在');
+    throw error;
+  }
+}
+
+function assertImageCache(imageCache) {
+  if (!imageCache.available) {
+    throw new ApiError(501, 'NOT_IMPLEMENTED', '图像金字塔不可用（未安装 sharp）');
+  }
+}
+
+// 分配队列需要知道是谁在领取
+function requireAnnotator(req) {
+  const annotator = getAnnotator(req);
+  if (annotator === UNKNOWN_ANNOTATOR) {
+    const message = `需要 ${ANNOTATOR_HEADER} 请求头`;
+    throw new ValidationError(message, [{ location: 'header', field: ANNOTATOR_HEADER, message }]);
+  }
+  return annotator;
+}
+
+async function assertPlantExists(dataset, plantId) {
+  if (!await dataset.hasPlant(plantId)) {
+    throw notFound(`植物不存在: ${plantId}`);
+  }
+}
+
+// 列表中不返回服务器上的绝对路径
+function toImageResource({ path, ...image }) {
+  return image;
+}
+
+function toPlantResource({ id, views }) {
+  return { id, views };
+}
+
+// ---------- 路由表 ----------
+
+/**
+ * 每个路由：method、path（Express 语法）、operationId、summary、tags，
+ * 以及可选的 query（参数名 -> { schema, description }）、body（schemas.js 中的 $id）、
+ * paginated、status（成功状态码）、raw（处理函数自行发送响应）。
+ *
+ * handler(req, services, res) 返回 { data, meta?, etag? }。
+ */
+export const API_V2_ROUTES = [
+  // ===== System =====
+  {
+    method: 'get',
+    path: '/health',
+    operationId: 'getHealth',
+    summary: 'Server status',
+    tags: ['System'],
+    handler: async (req, { storage, imageCache, changeFeed }) => ({
+      data: {
+        status: 'ok',
+        apiVersion: API_V2_VERSION,
+        storage: storage.name,
+        imageTiles: imageCache.available,
+        changeFeedSubscribers: changeFeed.subscriberCount,
+        timestamp: new Date().toISOString()
+      }
+    })
+  },
+  {
+    method: 'get',
+    path: '/config',
+    operationId: 'getConfig',
+    summary: 'Public project configuration (views, plant ID pattern, ports)',
+    tags: ['System'],
+    handler: async (req, { publicConfig }) => ({ data: publicConfig })
+  },
+  {
+    method: 'get',
+    path: '/openapi.json',
+    operationId: 'getOpenApiDocument',
+    summary: 'This API as an OpenAPI 3.1 document',
+    tags: ['System'],
+    raw: true,
+    handler: async (req, { config }, res) => {
+      res.json(buildOpenApiDocument(API_V2_ROUTES, { config, version: API_V2_VERSION, getQuerySchema }));
+    }
+  },
+  {
+    method: 'get',
+    path: '/events',
+    operationId: 'streamChanges',
+    summary: 'Server-Sent Events stream of annotation, plant status and note changes',
+    tags: ['System'],
+    raw: true,
+    responseDescription: 'text/event-stream; reconnect with Last-Event-ID to receive missed events',
+    query: {
+      lastEventId: { schema: { type: 'string' }, description: 'Replay the events after this ID (same as the Last-Event-ID header)' }
+    },
+    handler: async (req, { changeFeed }, res) => {
+      changeFeed.handleRequest(req, res);
+    }
+  },
+
+  // ===== Plants =====
+  {
+    method: 'get',
+    path: '/plants',
+    operationId: 'listPlants',
+    summary: 'Plant folders in the dataset that have at least one view directory',
+    tags: ['Plants'],
+    paginated: true,
+    handler: async (req, { dataset }) => ({
+      data: (await dataset.listPlants()).map(toPlantResource)
+    })
+  },
+  {
+    method: 'get',
+    path: '/plants/:plantId',
+    operationId: 'getPlant',
+    summary: 'A plant folder of the dataset with its view directories',
+    tags: ['Plants'],
+    handler: async (req, { dataset }) => {
+      const plant = await dataset.getPlant(req.params.plantId);
+      if (!plant) throw notFound(`植物不存在: ${req.params.plantId}`);
+      return { data: toPlantResource(plant) };
+    }
+  },
+  {
+    method: 'get',
+    path: '/plants/:plantId/views',
+    operationId: 'listPlantViews',
+    summary: 'Views of a plant with at least one image, in configured order',
+    tags: ['Plants'],
+    handler: async (req, { dataset }) => {
+      const { plantId } = req.params;
+      await assertPlantExists(dataset, plantId);
+      const { views, skipped } = await dataset.listPlantImages(plantId);
+      return { data: views, meta: { skippedDirectories: skipped } };
+    }
+  },
+  {
+    method: 'get',
+    path: '/plants/:plantId/images',
+    operationId: 'listPlantImages',
+    summary: 'Images of a plant, grouped by view and sorted by capture time',
+    tags: ['Plants'],
+    paginated: true,
+    query: {
+      view: { schema: { type: 'string' }, description: 'Only images of this view' },
+      dimensions: { schema: { type: 'boolean', default: false }, description: 'Add width and height read from the file headers (null when unknown)' }
+    },
+    handler: async (req, { dataset }) => {
+      const { plantId } = req.params;
+      await assertPlantExists(dataset, plantId);
+      const { imagesByView } = await dataset.listPlantImages(plantId);
+      const views = req.query.view ? [req.query.view] : Object.keys(imagesByView);
+      const images = views.flatMap(view => imagesByView[view] || []);
+      if (!req.query.dimensions) {
+        return { data: images.map(toImageResource) };
+      }
+      const data = [];
+      for (const image of images) {
+        const size = await dataset.getImageSize(image.path).catch(() => null);
+        data.push({ ...toImageResource(image), width: size?.width ?? null, height: size?.height ?? null });
+      }
+      return { data };
+    }
+  },
+  {
+    method: 'get',
+    path: '/plants/:plantId/status',
+    operationId: 'getPlantStatus',
+    summary: 'Annotation status of a plant (falls back to the status in its skip info)',
+    tags: ['Plants'],
+    handler: async (req, { annotations }) => {
+      const status = await annotations.getPlantStatus(req.params.plantId);
+      if (!status) throw notFound('未找到植物状态信息');
+      return { data: status };
+    }
+  },
+  {
+    method: 'put',
+    path: '/plants/:plantId/status',
+    operationId: 'setPlantStatus',
+    summary: 'Set the annotation status of a plant',
+    tags: ['Plants'],
+    body: 'plant-status-request',
+    handler: async (req, { annotations }) => ({
+      data: await annotations.savePlantStatus(req.params.plantId, req.body, getAnnotator(req), getClientId(req))
+    })
+  },
+  {
+    method: 'delete',
+    path: '/plants/:plantId/status',
+    operationId: 'deletePlantStatus',
+    summary: 'Remove the status record of a plant',
+    tags: ['Plants'],
+    status: 204,
+    handler: async (req, { annotations }) => {
+      if (!await annotations.deletePlantRecord('status', req.params.plantId, getAnnotator(req), getClientId(req))) {
+        throw notFound('状态记录不存在');
+      }
+      return {};
+    }
+  },
+  {
+    method: 'get',
+    path: '/plants/:plantId/skip-info',
+    operationId: 'getSkipInfo',
+    summary: 'Why and when a plant was skipped',
+    tags: ['Plants'],
+    handler: async (req, { storage }) => {
+      const skipInfo = await storage.getPlantRecord('skip', req.params.plantId);
+      if (!skipInfo) throw notFound('跳过信息不存在');
+      return { data: skipInfo };
+    }
+  },
+  {
+    method: 'put',
+    path: '/plants/:plantId/skip-info',
+    operationId: 'setSkipInfo',
+    summary: 'Record why a plant was skipped',
+    tags: ['Plants'],
+    body: 'skip-info',
+    handler: async (req, { annotations }) => ({
+      data: await annotations.saveSkipInfo(req.params.plantId, req.body, getAnnotator(req), getClientId(req))
+    })
+  },
+  {
+    method: 'delete',
+    path: '/plants/:plantId/skip-info',
+    operationId: 'deleteSkipInfo',
+    summary: 'Remove the skip info of a plant',
+    tags: ['Plants'],
+    status: 204,
+    handler: async (req, { annotations }) => {
+      if (!await annotations.deletePlantRecord('skip', req.params.plantId, getAnnotator(req), getClientId(req))) {
+        throw notFound('跳过信息不存在');
+      }
+      return {};
+    }
+  },
+  {
+    method: 'get',
+    path: '/plants/:plantId/annotations',
+    operationId: 'getPlantAnnotationSummary',
+    summary: 'Annotated images of a plant with their keypoint counts',
+    tags: ['Plants'],
+    handler: async (req, { annotations }) => {
+      const { imageIds, relatedKinds } = await annotations.findPlantDocuments(req.params.plantId);
+      const images = await annotations.countPlantKeypoints(imageIds);
+      return {
+        data: {
+          plantId: req.params.plantId,
+          images,
+          totalKeypoints: images.reduce((sum, { keypointCount }) => sum + keypointCount, 0),
+          relatedRecords: relatedKinds
+        }
+      };
+    }
+  },
+  {
+    method: 'delete',
+    path: '/plants/:plantId/annotations',
+    operationId: 'deletePlantAnnotations',
+    summary: 'Delete every annotation, the status and the skip info of a plant (backed up first)',
+    tags: ['Plants'],
+    handler: async (req, { annotations }) => {
+      const result = await annotations.deletePlant(req.params.plantId, {
+        ...getRevisionMeta(req),
+        source: 'plant-deletion'
+      }, getClientId(req));
+      return {
+        data: {
+          plantId: req.params.plantId,
+          annotationsDeleted: result.annotationFilesDeleted,
+          relatedRecordsDeleted: result.relatedFilesDeleted,
+          backupPath: result.backupDir,
+          errors: result.errors
+        }
+      };
+    }
+  },
+  {
+    method: 'get',
+    path: '/plants/:plantId/notes',
+    operationId: 'listPlantNotes',
+    summary: 'Plant-level notes, newest first',
+    tags: ['Plants', 'Notes'],
+    paginated: true,
+    handler: async (req, { storage }) => ({
+      data: sortNotesNewestFirst(await storage.listNotes({ plantId: req.params.plantId, imageId: null }))
+    })
+  },
+  {
+    method: 'post',
+    path: '/plants/:plantId/notes',
+    operationId: 'createPlantNote',
+    summary: 'Add a plant-level note',
+    tags: ['Plants', 'Notes'],
+    body: 'create-note-request',
+    status: 201,
+    handler: async (req, { annotations }) => ({
+      data: await annotations.createNote(req.params.plantId, null, req.body, getAnnotator(req), getClientId(req))
+    })
+  },
+
+  // ===== Images =====
+  {
+    method: 'get',
+    path: '/images/:imageId/file',
+    operationId: 'getImageFile',
+    summary: 'Image file, a thumbnail (size) or a downscaled level; cached for a year when v matches',
+    tags: ['Images'],
+    raw: true,
+    query: {
+      size: { schema: nonNegativeInteger, description: 'Longest edge of the thumbnail in pixels' },
+      level: { schema: nonNegativeInteger, description: 'Pyramid level (image downscaled by 2^level)' },
+      v: { schema: { type: 'string' }, description: 'File version from the image list' }
+    },
+    handler: async (req, { dataset, imageCache }, res) => {
+      const { imagePath } = getImageRef(req, dataset);
+      const { size, level, v } = req.query;
+      const imageStats = await statImage(imagePath);
+      const immutable = v === getFileVersion(imageStats);
+
+      if (imageCache.available && (size || level)) {
+        const cachedPath = size
+          ? await imageCache.getThumbnail(imagePath, snapThumbnailSize(size))
+          : await imageCache.getLevelImage(imagePath, level);
+        // null 表示原图已经足够小
+        if (cachedPath) {
+          return sendCachedFile(res, cachedPath, { immutable });
+        }
+      }
+      await sendCachedFile(res, imagePath, { immutable });
+    }
+  },
+  {
+    method: 'get',
+    path: '/images/:imageId/pyramid',
+    operationId: 'getImagePyramid',
+    summary: 'Image size, tile size and the columns and rows of every pyramid level',
+    tags: ['Images'],
+    handler: async (req, { dataset, imageCache }) => {
+      assertImageCache(imageCache);
+      const { imagePath } = getImageRef(req, dataset);
+      const imageStats = await statImage(imagePath);
+      return { data: { ...await imageCache.getPyramid(imagePath), version: getFileVersion(imageStats) } };
+    }
+  },
+  {
+    method: 'get',
+    path: '/images/:imageId/tiles/:level/:column/:row',
+    operationId: 'getImageTile',
+    summary: 'One pyramid tile (level 0 is full resolution)',
+    tags: ['Images'],
+    raw: true,
+    query: {
+      v: { schema: { type: 'string' }, description: 'File version from the image list' }
+    },
+    handler: async (req, { dataset, imageCache }, res) => {
+      assertImageCache(imageCache);
+      const level = integerParam(req, 'level');
+      const column = integerParam(req, 'column');
+      const row = integerParam(req, 'row');
+      const { imagePath } = getImageRef(req, dataset);
+      const imageStats = await statImage(imagePath);
+
+      const tilePath = await imageCache.getTile(imagePath, level, column, row);
+      if (!tilePath) throw notFound(`图块不存在: ${level}/${column}/${row}`);
+      await sendCachedFile(res, tilePath, { immutable: req.query.v === getFileVersion(imageStats) });
+    }
+  },
+  {
+    method: 'get',
+    path: '/images/:imageId/annotation',
+    operationId: 'getAnnotation',
+    summary: 'Annotation document of an image; the ETag header is its version',
+    tags: ['Images', 'Annotations'],
+    handler: async (req, { annotations }) => {
+      const { data, etag } = await annotations.get(req.params.imageId);
+      if (!data) throw notFound('该图像没有标注');
+      return { data, etag, meta: { etag } };
+    }
+  },
+  {
+    method: 'put',
+    path: '/images/:imageId/annotation',
+    operationId: 'saveAnnotation',
+    summary: 'Replace the annotation document of an image (If-Match for optimistic concurrency)',
+    tags: ['Images', 'Annotations'],
+    body: 'annotation-document',
+    handler: async (req, { annotations }) => {
+      const { data, etag, revision } = await annotations.save(req.params.imageId, req.body, {
+        preconditions: getPreconditions(req),
+        meta: getRevisionMeta(req),
+        clientId: getClientId(req)
+      });
+      return { data, etag, meta: { etag, revision: revision.revision } };
+    }
+  },
+  {
+    method: 'delete',
+    path: '/images/:imageId/annotation',
+    operationId: 'deleteAnnotation',
+    summary: 'Delete the annotation document of an image (If-Match supported)',
+    tags: ['Images', 'Annotations'],
+    status: 204,
+    handler: async (req, { annotations }) => {
+      const deleted = await annotations.delete(req.params.imageId, {
+        preconditions: getPreconditions(req),
+        meta: getRevisionMeta(req),
+        clientId: getClientId(req)
+      });
+      if (!deleted) throw notFound('该图像没有标注');
+      return {};
+    }
+  },
+  {
+    method: 'get',
+    path: '/images/:imageId/revisions',
+    operationId: 'listRevisions',
+    summary: 'Revision history of an annotation, newest first, without snapshots',
+    tags: ['Images', 'Revisions'],
+    paginated: true,
+    handler: async (req, { revisionLog }) => ({
+      data: (await revisionLog.list(req.params.imageId)).map(RevisionLog.withoutData).reverse()
+    })
+  },
+  {
+    method: 'get',
+    path: '/images/:imageId/revisions/diff',
+    operationId: 'diffRevisions',
+    summary: 'Keypoints added, removed and changed between two revisions (0 is empty)',
+    tags: ['Images', 'Revisions'],
+    query: {
+      from: { schema: nonNegativeInteger, description: 'Older revision (default: the one before to)' },
+      to: { schema: nonNegativeInteger, description: 'Newer revision (default: latest)' }
+    },
+    handler: async (req, { revisionLog }) => {
+      const { imageId } = req.params;
+      const entries = await revisionLog.list(imageId);
+      if (entries.length === 0) throw notFound('该图像没有修订历史');
+
+      const to = req.query.to ?? entries[entries.length - 1].revision;
+      const from = req.query.from ?? Math.max(0, to - 1);
+      const snapshot = revision => {
+        if (revision === 0) return null;
+        const entry = entries.find(e => e.revision === revision);
+        if (!entry) throw notFound(`修订不存在: ${revision}`);
+        return entry.data;
+      };
+
+      const diff = diffAnnotations(snapshot(from)?.annotations, snapshot(to)?.annotations);
+      return { data: { imageId, from, to, summary: summarizeDiff(diff), diff } };
+    }
+  },
+  {
+    method: 'get',
+    path: '/images/:imageId/revisions/:revision',
+    operationId: 'getRevision',
+    summary: 'One revision including its snapshot',
+    tags: ['Images', 'Revisions'],
+    handler: async (req, { revisionLog }) => {
+      const revision = integerParam(req, 'revision');
+      const entry = await revisionLog.get(req.params.imageId, revision);
+      if (!entry) throw notFound(`修订不存在: ${revision}`);
+      return { data: entry };
+    }
+  },
+  {
+    method: 'post',
+    path: '/images/:imageId/revisions/:revision/restore',
+    operationId: 'restoreRevision',
+    summary: 'Restore a revision (appended as a new revision)',
+    tags: ['Images', 'Revisions'],
+    handler: async (req, { annotations }) => {
+      const revision = integerParam(req, 'revision');
+      const result = await annotations.restore(req.params.imageId, revision, getRevisionMeta(req), getClientId(req));
+      if (!result) throw notFound(`修订不存在: ${revision}`);
+      return { data: result.restored };
+    }
+  },
+  {
+    method: 'get',
+    path: '/images/:imageId/notes',
+    operationId: 'listImageNotes',
+    summary: 'Notes on an image, newest first',
+    tags: ['Images', 'Notes'],
+    paginated: true,
+    handler: async (req, { storage, dataset }) => {
+      const { plantId } = getImageRef(req, dataset);
+      return {
+        data: sortNotesNewestFirst(await storage.listNotes({ plantId, imageId: req.params.imageId }))
+      };
+    }
+  },
+  {
+    method: 'post',
+    path: '/images/:imageId/notes',
+    operationId: 'createImageNote',
+    summary: 'Add a note to an image',
+    tags: ['Images', 'Notes'],
+    body: 'create-note-request',
+    status: 201,
+    handler: async (req, { annotations, dataset }) => {
+      const { plantId } = getImageRef(req, dataset);
+      return {
+        data: await annotations.createNote(plantId, req.params.imageId, req.body, getAnnotator(req), getClientId(req))
+      };
+    }
+  },
+
+  // ===== Notes =====
+  {
+    method: 'get',
+    path: '/notes',
+    operationId: 'listNotes',
+    summary: 'Search notes across the dataset, newest first',
+    tags: ['Notes'],
+    paginated: true,
+    query: {
+      query: { schema: { type: 'string', maxLength: 200 }, description: 'Text in the title, content or tags' },
+      plantId: { schema: { type: 'string' }, description: 'Only notes of this plant' },
+      imageId: { schema: { type: 'string' }, description: 'Only notes of this image' },
+      noteType: { schema: { enum: NOTE_TYPES }, description: 'Only notes of this type' },
+      author: { schema: { type: 'string' }, description: 'Only notes by this author' }
+    },
+    handler: async (req, { storage }) => {
+      const { query, plantId, imageId, noteType, author } = req.query;
+      return {
+        data: sortNotesNewestFirst(await storage.listNotes({ query, plantId, imageId, noteType, author }))
+      };
+    }
+  },
+  {
+    method: 'get',
+    path: '/notes/:noteId',
+    operationId: 'getNote',
+    summary: 'One note',
+    tags: ['Notes'],
+    handler: async (req, { storage }) => {
+      const note = await storage.getNote(req.params.noteId);
+      if (!note) throw notFound('笔记不存在');
+      return { data: note };
+    }
+  },
+  {
+    method: 'patch',
+    path: '/notes/:noteId',
+    operationId: 'updateNote',
+    summary: 'Change the title, content, type or tags of a note',
+    tags: ['Notes'],
+    body: 'update-note-request',
+    handler: async (req, { annotations }) => {
+      const note = await annotations.updateNote(req.params.noteId, req.body, getAnnotator(req), getClientId(req));
+      if (!note) throw notFound('笔记不存在');
+      return { data: note };
+    }
+  },
+  {
+    method: 'delete',
+    path: '/notes/:noteId',
+    operationId: 'deleteNote',
+    summary: 'Delete a note',
+    tags: ['Notes'],
+    status: 204,
+    handler: async (req, { annotations }) => {
+      if (!await annotations.deleteNote(req.params.noteId, getAnnotator(req), getClientId(req))) throw notFound('笔记不存在');
+      return {};
+    }
+  },
+
+  // ===== Assignments =====
+  {
+    method: 'get',
+    path: '/assignments',
+    operationId: 'listAssignments',
+    summary: 'Active plant leases: who is working on what',
+    tags: ['Assignments'],
+    paginated: true,
+    handler: async (req, { assignments }) => ({ data: await assignments.list() })
+  },
+  {
+    method: 'post',
+    path: '/assignments/next',
+    operationId: 'claimNextPlant',
+    summary: 'Claim the next plant that is neither completed, skipped nor held by someone else (null when none is left)',
+    tags: ['Assignments'],
+    query: {
+      after: { schema: { type: 'string' }, description: 'Plant to continue after, usually the one just finished' }
+    },
+    handler: async (req, { dataset, annotations, assignments }) => {
+      const annotator = requireAnnotator(req);
+      const plantIds = (await dataset.listPlants()).map(plant => plant.id);
+      const lease = await assignments.claimNext(annotator, plantIds, plantId => annotations.isPlantOpen(plantId), {
+        after: req.query.after
+      });
+      return { data: lease };
+    }
+  },
+  {
+    method: 'get',
+    path: '/plants/:plantId/assignment',
+    operationId: 'getPlantAssignment',
+    summary: 'Who holds a plant and until when',
+    tags: ['Assignments', 'Plants'],
+    handler: async (req, { assignments }) => {
+      const lease = await assignments.get(req.params.plantId);
+      if (!lease) throw notFound('植物未被分配');
+      return { data: lease };
+    }
+  },
+  {
+    method: 'put',
+    path: '/plants/:plantId/assignment',
+    operationId: 'claimPlant',
+    summary: 'Claim a plant, or renew the lease if the annotator already holds it',
+    tags: ['Assignments', 'Plants'],
+    handler: async (req, { dataset, assignments }) => {
+      const annotator = requireAnnotator(req);
+      await assertPlantExists(dataset, req.params.plantId);
+      return { data: await assignments.claim(req.params.plantId, annotator) };
+    }
+  },
+  {
+    method: 'delete',
+    path: '/plants/:plantId/assignment',
+    operationId: 'releasePlant',
+    summary: 'Release a plant (force=true releases another annotator\'s lease)',
+    tags: ['Assignments', 'Plants'],
+    status: 204,
+    query: {
+      force: { schema: { type: 'boolean', default: false }, description: 'Release the lease whoever holds it' }
+    },
+    handler: async (req, { assignments }) => {
+      const annotator = requireAnnotator(req);
+      if (!await assignments.release(req.params.plantId, annotator, { force: req.query.force })) {
+        throw notFound('植物未被分配');
+      }
+      return {};
+    }
+  },
+
+  // ===== Reviews =====
+  {
+    method: 'get',
+    path: '/plants/:plantId/review',
+    operationId: 'getPlantReview',
+    summary: 'Review record of a plant: who submitted and reviewed it, the decision and the keypoint verdicts',
+    tags: ['Reviews', 'Plants'],
+    handler: async (req, { annotations }) => {
+      const review = await annotations.getReview(req.params.plantId);
+      if (!review) throw notFound('植物尚未提交审核');
+      return { data: review };
+    }
+  },
+  {
+    method: 'post',
+    path: '/plants/:plantId/review/items',
+    operationId: 'saveReviewItem',
+    summary: 'Accept or flag a keypoint (replaces the earlier verdict on the same keypoint)',
+    tags: ['Reviews'],
+    body: 'review-item-request',
+    status: 201,
+    handler: async (req, { annotations, dataset }) => {
+      const { plantId } = req.params;
+      if (dataset.parseImageId(req.body.imageId)?.plantId !== plantId) {
+        const message = `图像 ${req.body.imageId} 不属于植物 ${plantId}`;
+        throw new ValidationError(message, [{ location: 'body', field: '/imageId', message }]);
+      }
+      return {
+        data: await annotations.saveReviewItem(plantId, req.body, requireAnnotator(req), getClientId(req))
+      };
+    }
+  },
+  {
+    method: 'patch',
+    path: '/plants/:plantId/review/items/:itemId',
+    operationId: 'updateReviewItem',
+    summary: 'Change a verdict or comment (reviewers), or mark a flagged keypoint as fixed (anyone)',
+    tags: ['Reviews'],
+    body: 'update-review-item-request',
+    handler: async (req, { annotations }) => {
+      const { plantId, itemId } = req.params;
+      const item = await annotations.updateReviewItem(plantId, itemId, req.body, requireAnnotator(req), getClientId(req));
+      if (!item) throw notFound('审核条目不存在');
+      return { data: item };
+    }
+  },
+  {
+    method: 'delete',
+    path: '/plants/:plantId/review/items/:itemId',
+    operationId: 'deleteReviewItem',
+    summary: 'Withdraw a verdict',
+    tags: ['Reviews'],
+    status: 204,
+    handler: async (req, { annotations }) => {
+      const { plantId, itemId } = req.params;
+      if (!await annotations.deleteReviewItem(plantId, itemId, requireAnnotator(req), getClientId(req))) {
+        throw notFound('审核条目不存在');
+      }
+      return {};
+    }
+  },
+  {
+    method: 'get',
+    path: '/rework',
+    operationId: 'listRework',
+    summary: 'Unresolved flagged keypoints of the plants a reviewer sent back',
+    tags: ['Reviews'],
+    paginated: true,
+    query: {
+      annotator: { schema: { type: 'string' }, description: 'Only plants this annotator submitted' }
+    },
+    handler: async (req, { annotations }) => ({
+      data: await annotations.listRework({ annotator: req.query.annotator })
+    })
+  },
+
+  // ===== Quality =====
+  {
+    method: 'post',
+    path: '/agreement',
+    operationId: 'computeAgreement',
+    summary: 'Inter-annotator agreement of two annotators or annotation directories on the same images',
+    tags: ['Quality'],
+    body: 'agreement-request',
+    handler: async (req, services) => ({
+      data: await buildAgreementReport(req.body, services)
+    })
+  },
+  {
+    method: 'get',
+    path: '/integrity',
+    operationId: 'checkIntegrity',
+    summary: 'Orphaned annotations, records and notes, epoch and duplicate timestamps and keypoints outside their image',
+    tags: ['Quality'],
+    handler: async (req, services) => ({
+      data: await checkDatasetIntegrity(services)
+    })
+  },
+  {
+    method: 'post',
+    path: '/integrity/fixes',
+    operationId: 'fixIntegrityFindings',
+    summary: 'Fix or quarantine integrity findings; findings that no longer hold are skipped',
+    tags: ['Quality'],
+    body: 'integrity-fix-request',
+    handler: async (req, services) => ({
+      data: await fixIntegrityFindings(req.body.findings, services, getAnnotator(req))
+    })
+  },
+
+  // ===== Exports =====
+  {
+    method: 'post',
+    path: '/exports/yolo',
+    operationId: 'exportYoloDataset',
+    summary: 'Write the annotated images as a YOLO pose or detection dataset, split by plant',
+    tags: ['Exports'],
+    body: 'yolo-export-request',
+    handler: async (req, services) => ({
+      data: await exportYoloDataset(req.body, services)
+    })
+  },
+  {
+    method: 'post',
+    path: '/exports/patches',
+    operationId: 'exportTrainingPatches',
+    summary: 'Crop a window around every annotation, by annotation type, with a manifest and optional negative samples',
+    tags: ['Exports'],
+    body: 'patch-export-request',
+    handler: async (req, services) => {
+      if (!services.imageCache.available) {
+        throw new ApiError(501, 'NOT_IMPLEMENTED', '训练图块导出不可用（未安装 sharp）');
+      }
+      return { data: await exportTrainingPatches(req.body, services) };
+    }
+  },
+
+  // ===== Annotations =====
+  {
+    method: 'get',
+    path: '/annotations',
+    operationId: 'listAnnotatedImages',
+    summary: 'IDs of the images that have an annotation document',
+    tags: ['Annotations'],
+    paginated: true,
+    query: {
+      plantId: { schema: { type: 'string' }, description: 'Only images of this plant' }
+    },
+    handler: async (req, { storage }) => ({
+      data: (await storage.listAnnotationIds(req.query.plantId)).sort()
+    })
+  }
+];
+
+// ---------- 路由器 ----------
+
+function validateRouteQuery(route) {
+  const validate = queryAjv.compile(getQuerySchema(route));
+  return (req, res, next) => {
+    if (validate(req.query)) {
+      return next();
+    }
+    next(new ValidationError('查询参数无效', validate.errors.map(error => ({
+      location: 'query',
+      field: error.keyword === 'additionalProperties' ? `/${error.params.additionalProperty}` : error.instancePath || '/',
+      message: error.message
+    }))));
+  };
+}
+
+function sendResult(route, req, res, result) {
+  const { data, meta, etag } = result;
+  const status = route.status || 200;
+  if (etag) {
+    res.set('ETag', etag);
+  }
+  if (status === 204) {
+    return res.status(204).end();
+  }
+  const page = route.paginated ? paginate(data, req.query) : { data, meta };
+  res.status(status).json(page.meta ? page : { data: page.data });
+}
+
+/**
+ * v2 错误处理：统一的 { error: { code, message, details } }
+ */
+export function apiV2ErrorHandler(error, req, res, next) {
+  if (res.headersSent) {
+    return next(error);
+  }
+  if (error instanceof ApiError) {
+    return res.status(error.status).json({
+      error: { code: error.code, message: error.message, details: error.details }
+    });
+  }
+  if (error instanceof ValidationError) {
+    return res.status(400).json({
+      error: { code: 'VALIDATION_ERROR', message: error.message, details: error.details }
+    });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_JSON',
+        message: `请求体不是有效的 JSON: ${error.message}`,
+        details: [{ location: 'body', field: '/', message: error.message }]
+      }
+    });
+  }
+  if (error instanceof VersionConflictError) {
+    if (error.etag) {
+      res.set('ETag', error.etag);
+    }
+    return res.status(409).json({
+      error: {
+        code: 'VERSION_CONFLICT',
+        message: '标注已被其他人修改',
+        details: [],
+        etag: error.etag,
+        current: error.current
+      }
+    });
+  }
+  if (error instanceof ReviewPermissionError) {
+    return res.status(403).json({
+      error: { code: 'FORBIDDEN', message: '只有审核者可以审核植物或修改审核中的植物状态', details: [] }
+    });
+  }
+  if (error instanceof LeaseConflictError) {
+    return res.status(409).json({
+      error: {
+        code: 'LEASE_CONFLICT',
+        message: `植物已分配给 ${error.lease.annotator}`,
+        details: [],
+        current: error.lease
+      }
+    });
+  }
+
+  console.error(`[API v2] ${req.method} ${req.originalUrl} 失败:`, error);
+  res.status(500).json({
+    error: { code: 'INTERNAL_ERROR', message: error.message, details: [] }
+  });
+}
+
+/**
+ * 创建 /api/v2 路由器
+ *
+ * @param {Object} services
+ * @param {Object} services.config - Project config
+ * @param {Object} services.publicConfig - What GET /config returns (getPublicConfig)
+ * @param {import('./dataset.js').Dataset} services.dataset
+ * @param {Object} services.storage - backend/storage driver
+ * @param {RevisionLog} services.revisionLog
+ * @param {import('./imageCache.js').ImageCache} services.imageCache
+ * @param {import('./annotationService.js').AnnotationService} services.annotations
+ * @param {import('./changeFeed.js').ChangeFeed} services.changeFeed
+ * @param {import('./assignmentQueue.js').AssignmentQueue} services.assignments
+ */
+export function createApiV2Router(services) {
+  const router = express.Router();
+  installParamValidation(router, services.config);
+
+  for (const route of API_V2_ROUTES) {
+    const middleware = [validateRouteQuery(route)];
+    if (route.body) {
+      middleware.push(validateBody(route.body));
+    }
+
+    router[route.method](route.path, ...middleware, (req, res, next) => {
+      Promise.resolve(route.handler(req, services, res))
+        .then(result => {
+          if (!route.raw) {
+            sendResult(route, req, res, result);
+          }
+        })
+        .catch(next);
+    });
+  }
+
+  router.use((req, res, next) => {
+    next(new ApiError(404, 'NOT_FOUND', `未知的 API: ${req.method} ${req.baseUrl}${req.path}`));
+  });
+  router.use(apiV2ErrorHandler);
+
+  return router;
+}
@@ -0,0 +1,224 @@
+/**
+ * 植物分配队列（带租约）
+ *
+ * A plant is assigned to one annotator at a time through a lease that
+ * expires unless the annotator's open tab renews it. Leases live in
+ * `<annotationsDir>/assignments/leases.json` (outside the annotation file
+ * scan, whatever the storage driver):
+ *
+ *   { leases: { [plantId]: { plantId, annotator, claimedAt, renewedAt, expiresAt } } }
+ *
+ * Expired leases count as free and are dropped on the next write. Changes
+ * are published to the change feed as `assignment.changed`.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readJsonFile, updateJsonFile } from './jsonFile.js';
+import { CHANGE_EVENT_TYPES } from '../src/utils/ChangeEvents.js';
+
+export const ASSIGNMENTS_DIR_NAME = 'assignments';
+export const LEASES_FILE_NAME = 'leases.json';
+export const DEFAULT_LEASE_MINUTES = 15;
+
+/**
+ * 植物已被其他标注者领取
+ */
+export class LeaseConflictError extends Error {
+  constructor(plantId, lease) {
+    super(`Plant ${plantId} is assigned to ${lease.annotator} until ${lease.expiresAt}`);
+    this.name = 'LeaseConflictError';
+    this.plantId = plantId;
+    this.lease = lease;
+  }
+}
+
+export class AssignmentQueue {
+  /**
+   * @param {Object} options
+   * @param {string} options.annotationsDir
+   * @param {number} [options.leaseMinutes]
+   * @param {import('./changeFeed.js').ChangeFeed} [options.changeFeed]
+   * @param {Function} [options.now] - Clock (ms), replaceable in tests
+   */
+  constructor({ annotationsDir, leaseMinutes = DEFAULT_LEASE_MINUTES, changeFeed = null, now = Date.now }) {
+    this.filePath = path.join(annotationsDir, ASSIGNMENTS_DIR_NAME, LEASES_FILE_NAME);
+    this.leaseMs = leaseMinutes * 60 * 1000;
+    this.changeFeed = changeFeed;
+    this.now = now;
+  }
+
+  isActive(lease) {
+    return !!lease && Date.parse(lease.expiresAt) > this.now();
+  }
+
+  activeLeases(file) {
+    return Object.fromEntries(
+      Object.entries(file?.leases || {}).filter(([, lease]) => this.isActive(lease))
+    );
+  }
+
+  async readLeases() {
+    try {
+      return this.activeLeases(await readJsonFile(this.filePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw error;
+    }
+  }
+
+  /**
+   * 在锁内修改租约（过期租约同时被清除）
+   */
+  async updateLeases(updater) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    let result;
+    await updateJsonFile(this.filePath, async (file) => {
+      const leases = this.activeLeases(file);
+      result = await updater(leases);
+      return { leases };
+    });
+    return result;
+  }
+
+  publish(plantId, lease, actor) {
+    this.changeFeed?.publish({
+      type: CHANGE_EVENT_TYPES.ASSIGNMENT_CHANGED,
+      plantId,
+      assignee: lease?.annotator ?? null,
+      expiresAt: lease?.expiresAt ?? null,
+      author: actor
+    });
+  }
+
+  /**
+   * 当前有效的全部租约（按植物ID排序）
+   */
+  async list() {
+    return Object.values(await this.readLeases()).sort((a, b) => a.plantId.localeCompare(b.plantId));
+  }
+
+  /**
+   * @returns {Promise<Object|null>}
+   */
+  async get(plantId) {
+    return (await this.readLeases())[plantId] || null;
+  }
+
+  /**
+   * 领取或续期（同一标注者重复领取即续期）
+   *
+   * @throws {LeaseConflictError} When another annotator holds the plant
+   * @returns {Promise<Object>} The lease
+   */
+  async claim(plantId, annotator) {
+    const lease = await this.updateLeases(leases => this.takeLease(leases, plantId, annotator));
+    this.publish(plantId, lease, annotator);
+    return lease;
+  }
+
+  takeLease(leases, plantId, annotator) {
+    const current = leases[plantId];
+    if (current && current.annotator !== annotator) {
+      throw new LeaseConflictError(plantId, current);
+    }
+
+    const now = this.now();
+    const lease = {
+      plantId,
+      annotator,
+      claimedAt: current?.claimedAt || new Date(now).toISOString(),
+      renewedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.leaseMs).toISOString()
+    };
+    leases[plantId] = lease;
+    return lease;
+  }
+
+  /**
+   * 释放租约
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Release someone else's lease (admin view)
+   * @throws {LeaseConflictError} When another annotator holds the plant and force is not set
+   * @returns {Promise<boolean>} false if the plant was not assigned
+   */
+  async release(plantId, annotator, { force = false } = {}) {
+    const released = await this.updateLeases((leases) => {
+      const current = leases[plantId];
+      if (!current) return false;
+      if (current.annotator !== annotator && !force) {
+        throw new LeaseConflictError(plantId, current);
+      }
+      delete leases[plantId];
+      return true;
+    });
+    if (released) {
+      this.publish(plantId, null, annotator);
+    }
+    return released;
+  }
+
+  /**
+   * 为标注者分配下一株植物
+   *
+   * Returns the plant the annotator already holds (other than `after`) if
+   * there is one; otherwise claims the first open plant after `after` in
+   * `plantIds` order (wrapping around) that nobody else holds.
+   *
+   * Plant statuses are read outside the leases lock, against a snapshot of
+   * the leases; inside the lock only the chosen plant is checked again. If
+   * it was taken or closed meanwhile, the next candidate is tried.
+   *
+   * @param {string} annotator
+   * @param {string[]} plantIds - Plants in queue order
+   * @param {Function} isOpen - async (plantId) => whether the plant still needs work
+   * @param {Object} [options]
+   * @param {string} [options.after] - Usually the plant just finished
+   * @returns {Promise<Object|null>} The lease, or null when no plant is left
+   */
+  async claimNext(annotator, plantIds, isOpen, { after = null } = {}) {
+    const start = after ? plantIds.indexOf(after) + 1 : 0;
+    const ordered = [...plantIds.slice(start), ...plantIds.slice(0, start)].filter(plantId => plantId !== after);
+    const rejected = new Set();
+
+    for (;;) {
+      const snapshot = await this.readLeases();
+      const held = Object.values(snapshot)
+        .filter(lease => lease.annotator === annotator && lease.plantId !== after)
+        .map(lease => lease.plantId);
+      const candidates = [...held, ...ordered.filter(plantId => !snapshot[plantId])]
+        .filter(plantId => !rejected.has(plantId));
+
+      let chosen = null;
+      for (const plantId of candidates) {
+        if (await isOpen(plantId)) {
+          chosen = plantId;
+          break;
+        }
+        rejected.add(plantId);
+      }
+      if (!chosen) return null;
+
+      const lease = await this.updateLeases(async (leases) => {
+        const current = leases[chosen];
+        if (current && current.annotator !== annotator) return null;
+        if (!await isOpen(chosen)) return null;
+        return this.takeLease(leases, chosen, annotator);
+      });
+      if (lease) {
+        this.publish(lease.plantId, lease, annotator);
+        return lease;
+      }
+      // 选中后被别人领取或已关闭
+      rejected.add(chosen);
+    }
+  }
+
+  /**
+   * 植物完成或跳过后释放其租约（无论由谁持有）
+   */
+  async releaseFinished(plantId, actor) {
+    return this.release(plantId, actor, { force: true });
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * 实时变更通知（Server-Sent Events）
+ *
+ * AnnotationService publishes one event per stored change; every open
+ * browser tab keeps a GET /api/events (or /api/v2/events) stream open and
+ * invalidates its caches when something changes. Event types and the
+ * client ID header are in src/utils/ChangeEvents.js.
+ *
+ * The most recent events are kept in memory, so a client that reconnects
+ * with `Last-Event-ID` receives what it missed. Event IDs are
+ * `<feedId>.<sequence>`; when the ID belongs to an earlier server process
+ * or has already dropped out of the buffer, the client gets a `resync`
+ * event and reloads everything instead.
+ */
+
+import { RESYNC_EVENT } from '../src/utils/ChangeEvents.js';
+
+export const DEFAULT_HISTORY_SIZE = 1000;
+export const DEFAULT_HEARTBEAT_MS = 25000;
+
+// 断线后浏览器等待多久重连
+const RETRY_MS = 3000;
+
+export class ChangeFeed {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.historySize] - Events kept for replay
+   * @param {number} [options.heartbeatMs] - Interval of keep-alive comments
+   */
+  constructor({ historySize = DEFAULT_HISTORY_SIZE, heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+    this.historySize = historySize;
+    this.heartbeatMs = heartbeatMs;
+    this.feedId = Date.now().toString(36);
+    this.sequence = 0;
+    this.history = [];
+    this.listeners = new Set();
+  }
+
+  /**
+   * 发布事件，返回带 id 和 timestamp 的完整事件
+   */
+  publish(change) {
+    this.sequence++;
+    const event = {
+      id: `${this.feedId}.${this.sequence}`,
+      timestamp: new Date().toISOString(),
+      ...change
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.splice(0, this.history.length - this.historySize);
+    }
+
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('[ChangeFeed] 订阅者处理事件失败:', error);
+      }
+    }
+    return event;
+  }
+
+  /**
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * lastEventId 之后的事件；无法补全时（其他进程的ID或已移出缓冲区）返回 null
+   *
+   * @returns {Array<Object>|null}
+   */
+  since(lastEventId) {
+    const [feedId, sequenceText] = String(lastEventId).split('.');
+    const sequence = Number(sequenceText);
+    if (feedId !== this.feedId || !Number.isInteger(sequence) || sequence > this.sequence) {
+      return null;
+    }
+
+    const oldest = this.sequence - this.history.length + 1;
+    if (sequence < oldest - 1) {
+      return null;
+    }
+    return this.history.slice(sequence - oldest + 1);
+  }
+
+  /**
+   * 处理 SSE 请求：补发错过的事件，然后推送新事件直到连接关闭
+   *
+   * `Last-Event-ID` is sent by EventSource when it reconnects;
+   * `?lastEventId=` serves clients that open a new stream themselves.
+   */
+  handleRequest(req, res) {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const missed = this.since(lastEventId);
+      if (missed) {
+        missed.forEach(event => writeEvent(res, event));
+      } else {
+        res.write(`event: ${RESYNC_EVENT}\ndata: {}\n\n`);
+      }
+    }
+
+    const unsubscribe = this.subscribe(event => writeEvent(res, event));
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), this.heartbeatMs);
+    heartbeat.unref?.();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
+  /**
+   * 当前订阅者数量（健康检查用）
+   */
+  get subscriberCount() {
+    return this.listeners.size;
+  }
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+}
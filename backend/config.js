@@ -0,0 +1,266 @@
+/**
+ * 项目配置加载器
+ *
+ * Resolves the project configuration shared by backend-server.js, server.js,
+ * the Vite dev server and the maintenance scripts.
+ *
+ * Precedence (lowest to highest):
+ *   built-in defaults < annotation-tool.config.json < environment < CLI flags
+ *
+ * Relative paths in the config file are resolved against the directory that
+ * holds the config file; relative paths from env/CLI against the cwd.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createImageTimeParser, DEFAULT_TIMESTAMP_PARSERS } from '../src/utils/ImageTimeParser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const PROJECT_ROOT = path.resolve(__dirname, '..');
+export const CONFIG_FILE_NAME = 'annotation-tool.config.json';
+
+export const DEFAULT_CONFIG = {
+  datasetRoot: './dataset',
+  annotationsDir: null, // null => <datasetRoot>/annotations
+  imageCacheDir: null, // null => <annotationsDir>/.image-cache (thumbnails, tiles)
+  exportsDir: null, // null => <datasetRoot>/exports (server-side exports write only below it)
+  ports: {
+    backend: 3003,
+    storage: 3002,
+    frontend: 3000
+  },
+  // Where annotations, plant status, skip info and notes live (backend/storage/)
+  storage: {
+    driver: 'json', // 'json' | 'sqlite'
+    sqlitePath: null // null => <annotationsDir>/annotations.sqlite
+  },
+  // Preferred display order; any other view directory found on disk is
+  // listed after these (see src/utils/ViewAngles.js)
+  viewAngles: ['sv-000', 'sv-045', 'sv-090'],
+  // Optional display labels, e.g. { "tv-000": "Top View" }
+  viewLabels: {},
+  // Names offered in the annotator sign-in dialog; anyone may still type a new name
+  annotators: [],
+  // Annotators allowed to review submitted plants; empty lets everyone review
+  reviewers: [],
+  // How long a claimed plant stays assigned without being renewed (backend/assignmentQueue.js)
+  leaseMinutes: 15,
+  plantIdPattern: '^BR\\d+-\\d+$',
+  // Ordered parser profiles, see src/utils/ImageTimeParser.js
+  timestampParsers: DEFAULT_TIMESTAMP_PARSERS
+};
+
+// CLI flag -> config key path
+const CLI_FLAGS = {
+  '--dataset-root': ['datasetRoot'],
+  // 脚本中 --annotations-dir 的简写（两者都给出时以 --annotations-dir 为准）
+  '--dir': ['annotationsDir'],
+  '--annotations-dir': ['annotationsDir'],
+  '--image-cache-dir': ['imageCacheDir'],
+  '--exports-dir': ['exportsDir'],
+  '--port': ['ports', 'backend'],
+  '--storage-port': ['ports', 'storage'],
+  '--frontend-port': ['ports', 'frontend'],
+  '--storage-driver': ['storage', 'driver'],
+  '--sqlite-path': ['storage', 'sqlitePath'],
+  '--view-angles': ['viewAngles'],
+  '--plant-id-pattern': ['plantIdPattern'],
+  '--timestamp-parsers': ['timestampParsers'],
+  '--lease-minutes': ['leaseMinutes']
+};
+
+// Environment variable -> config key path
+const ENV_VARS = {
+  DATASET_ROOT: ['datasetRoot'],
+  ANNOTATIONS_DIR: ['annotationsDir'],
+  IMAGE_CACHE_DIR: ['imageCacheDir'],
+  EXPORTS_DIR: ['exportsDir'],
+  PORT: ['ports', 'backend'],
+  STORAGE_PORT: ['ports', 'storage'],
+  FRONTEND_PORT: ['ports', 'frontend'],
+  STORAGE_DRIVER: ['storage', 'driver'],
+  SQLITE_PATH: ['storage', 'sqlitePath'],
+  VIEW_ANGLES: ['viewAngles'],
+  PLANT_ID_PATTERN: ['plantIdPattern'],
+  TIMESTAMP_PARSERS: ['timestampParsers'],
+  LEASE_MINUTES: ['leaseMinutes']
+};
+
+/**
+ * 读取命令行参数值，支持 `--flag value` 和 `--flag=value`
+ */
+export function getArgValue(argv, flag) {
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === flag && i + 1 < argv.length) return argv[i + 1];
+    if (arg.startsWith(`${flag}=`)) return arg.slice(flag.length + 1);
+  }
+  return null;
+}
+
+function setPath(target, keys, value) {
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+function coerceValue(keys, raw) {
+  if (keys[0] === 'ports') {
+    const port = Number(raw);
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+      throw new Error(`Invalid port for ${keys.join('.')}: ${raw}`);
+    }
+    return port;
+  }
+  if (keys[0] === 'leaseMinutes') {
+    return Number(raw);
+  }
+  if (keys[0] === 'viewAngles' || keys[0] === 'timestampParsers') {
+    return String(raw).split(',').map(v => v.trim()).filter(Boolean);
+  }
+  return raw;
+}
+
+function readConfigFile(configPath) {
+  const raw = fs.readFileSync(configPath, 'utf-8');
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * 加载项目配置
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.argv] - CLI arguments (defaults to process.argv)
+ * @param {Object} [options.env] - Environment (defaults to process.env)
+ * @param {string} [options.cwd] - Base for relative env/CLI paths
+ * @returns {Object} Resolved configuration with absolute paths
+ */
+export function loadProjectConfig({ argv = process.argv, env = process.env, cwd = process.cwd() } = {}) {
+  const explicitPath = getArgValue(argv, '--config') || env.ANNOTATION_TOOL_CONFIG;
+  const configPath = explicitPath
+    ? path.resolve(cwd, explicitPath)
+    : path.join(PROJECT_ROOT, CONFIG_FILE_NAME);
+
+  const fileConfig = {};
+  let loadedFrom = null;
+  if (fs.existsSync(configPath)) {
+    Object.assign(fileConfig, readConfigFile(configPath));
+    loadedFrom = configPath;
+  } else if (explicitPath) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const configDir = loadedFrom ? path.dirname(loadedFrom) : PROJECT_ROOT;
+  const resolveFromConfig = p => (p ? path.resolve(configDir, p) : p);
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...fileConfig,
+    ports: { ...DEFAULT_CONFIG.ports, ...(fileConfig.ports || {}) },
+    storage: { ...DEFAULT_CONFIG.storage, ...(fileConfig.storage || {}) }
+  };
+  config.datasetRoot = resolveFromConfig(config.datasetRoot);
+  config.annotationsDir = resolveFromConfig(config.annotationsDir);
+  config.imageCacheDir = resolveFromConfig(config.imageCacheDir);
+  config.exportsDir = resolveFromConfig(config.exportsDir);
+  config.storage.sqlitePath = resolveFromConfig(config.storage.sqlitePath);
+
+  const overrides = {};
+  for (const [name, keys] of Object.entries(ENV_VARS)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      setPath(overrides, keys, coerceValue(keys, env[name]));
+    }
+  }
+  for (const [flag, keys] of Object.entries(CLI_FLAGS)) {
+    const value = getArgValue(argv, flag);
+    if (value !== null) {
+      setPath(overrides, keys, coerceValue(keys, value));
+    }
+  }
+
+  if (overrides.datasetRoot) config.datasetRoot = path.resolve(cwd, overrides.datasetRoot);
+  if (overrides.annotationsDir) config.annotationsDir = path.resolve(cwd, overrides.annotationsDir);
+  if (overrides.imageCacheDir) config.imageCacheDir = path.resolve(cwd, overrides.imageCacheDir);
+  if (overrides.exportsDir) config.exportsDir = path.resolve(cwd, overrides.exportsDir);
+  if (overrides.ports) config.ports = { ...config.ports, ...overrides.ports };
+  if (overrides.storage?.driver) config.storage.driver = overrides.storage.driver;
+  if (overrides.storage?.sqlitePath) config.storage.sqlitePath = path.resolve(cwd, overrides.storage.sqlitePath);
+  if (overrides.viewAngles) config.viewAngles = overrides.viewAngles;
+  if (overrides.plantIdPattern) config.plantIdPattern = overrides.plantIdPattern;
+  if (overrides.timestampParsers) config.timestampParsers = overrides.timestampParsers;
+  if (overrides.leaseMinutes !== undefined) config.leaseMinutes = overrides.leaseMinutes;
+
+  if (!config.annotationsDir) {
+    config.annotationsDir = path.join(config.datasetRoot, 'annotations');
+  }
+  if (!config.imageCacheDir) {
+    config.imageCacheDir = path.join(config.annotationsDir, '.image-cache');
+  }
+  if (!config.exportsDir) {
+    config.exportsDir = path.join(config.datasetRoot, 'exports');
+  }
+
+  validateConfig(config);
+
+  return { ...config, configFile: loadedFrom };
+}
+
+/**
+ * 校验配置
+ */
+export function validateConfig(config) {
+  if (!Array.isArray(config.viewAngles) || config.viewAngles.length === 0) {
+    throw new Error('Config "viewAngles" must be a non-empty array');
+  }
+  if (!config.viewLabels || typeof config.viewLabels !== 'object' || Array.isArray(config.viewLabels)) {
+    throw new Error('Config "viewLabels" must be an object');
+  }
+  if (!['json', 'sqlite'].includes(config.storage?.driver)) {
+    throw new Error(`Config "storage.driver" must be "json" or "sqlite", got "${config.storage?.driver}"`);
+  }
+  if (!Array.isArray(config.annotators) || config.annotators.some(name => typeof name !== 'string')) {
+    throw new Error('Config "annotators" must be an array of names');
+  }
+  if (!Array.isArray(config.reviewers) || config.reviewers.some(name => typeof name !== 'string')) {
+    throw new Error('Config "reviewers" must be an array of names');
+  }
+  if (typeof config.leaseMinutes !== 'number' || !(config.leaseMinutes > 0)) {
+    throw new Error('Config "leaseMinutes" must be a positive number');
+  }
+  try {
+    new RegExp(config.plantIdPattern);
+  } catch (error) {
+    throw new Error(`Config "plantIdPattern" is not a valid regular expression: ${error.message}`);
+  }
+  try {
+    createImageTimeParser(config.timestampParsers);
+  } catch (error) {
+    throw new Error(`Config "timestampParsers" is invalid: ${error.message}`);
+  }
+}
+
+/**
+ * 前端可见的配置子集（通过 /api/config 和 Vite define 暴露）
+ */
+export function getPublicConfig(config) {
+  return {
+    ports: { ...config.ports },
+    viewAngles: [...config.viewAngles],
+    viewLabels: { ...config.viewLabels },
+    annotators: [...config.annotators],
+    reviewers: [...config.reviewers],
+    leaseMinutes: config.leaseMinutes,
+    plantIdPattern: config.plantIdPattern,
+    timestampParsers: config.timestampParsers
+  };
+}
@@ -0,0 +1,258 @@
+/**
+ * 数据集目录访问
+ *
+ * Read-only view of `<datasetRoot>/<plantId>/<view>/<image>`: plant folders
+ * matching `plantIdPattern`, every valid subdirectory as a view, images
+ * sorted by capture time (see ImageTimeParser). Shared by the legacy routes
+ * and /api/v2 in backend-server.js.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createImageTimeParser, formatImageDate } from '../src/utils/ImageTimeParser.js';
+import { isValidViewId, describeView, sortViewIds, parseImageId, IMAGE_ID_SEPARATOR } from '../src/utils/ViewAngles.js';
+import { readImageSize } from '../src/utils/ImageSize.js';
+import { getFileVersion } from './httpCache.js';
+import { resolveWithin } from './validation.js';
+
+// 图像ID的解析与前端共用
+export { parseImageId };
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.bmp', '.tiff', '.webp'];
+
+// EXIF 解析和图像尺寸只需读取文件头部
+const EXIF_SCAN_BYTES = 256 * 1024;
+
+/**
+ * 检查文件是否为图像
+ */
+export function isImageFile(filename) {
+  return IMAGE_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+async function readFileHead(filePath, length) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// 按时间排序（最早在前），无法解析的时间排在最后
+function compareByDateTime(a, b) {
+  const validA = a.dateTime instanceof Date && !isNaN(a.dateTime.getTime());
+  const validB = b.dateTime instanceof Date && !isNaN(b.dateTime.getTime());
+  if (!validA || !validB) {
+    return Number(!validA) - Number(!validB);
+  }
+  return a.dateTime.getTime() - b.dateTime.getTime();
+}
+
+export class Dataset {
+  /**
+   * @param {Object} config - Project config (datasetRoot, plantIdPattern, viewAngles, viewLabels, timestampParsers)
+   */
+  constructor(config) {
+    this.root = config.datasetRoot;
+    this.plantIdRegex = new RegExp(config.plantIdPattern);
+    this.viewAngles = config.viewAngles;
+    this.viewLabels = config.viewLabels;
+    // 图像时间解析器（按项目配置的 timestampParsers 依次尝试）
+    this.imageTimeParser = createImageTimeParser(config.timestampParsers);
+  }
+
+  getPlantPath(plantId) {
+    return resolveWithin(this.root, plantId);
+  }
+
+  getImagePath(plantId, viewAngle, imageName) {
+    return resolveWithin(this.root, plantId, viewAngle, imageName);
+  }
+
+  /**
+   * 植物目录是否存在
+   */
+  async hasPlant(plantId) {
+    try {
+      return (await fs.stat(this.getPlantPath(plantId))).isDirectory();
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * 按配置的 plantIdPattern 拆分图像ID（植物ID中可以包含分隔符）
+   */
+  parseImageId(imageId) {
+    return parseImageId(imageId, this.plantIdRegex);
+  }
+
+  /**
+   * 图像ID对应的文件路径，ID 格式无效时返回 null
+   */
+  getImagePathById(imageId) {
+    const parsed = this.parseImageId(imageId);
+    return parsed ? this.getImagePath(parsed.plantId, parsed.viewAngle, parsed.imageName) : null;
+  }
+
+  /**
+   * 解析图像时间信息
+   */
+  parseImageDateTime(imagePath, filename, stats) {
+    return this.imageTimeParser.parse({
+      filename,
+      mtime: stats.mtime,
+      readFile: () => readFileHead(imagePath, EXIF_SCAN_BYTES)
+    });
+  }
+
+  /**
+   * 图像尺寸（从文件头读取），无法识别时返回 null
+   *
+   * @returns {Promise<{ width: number, height: number }|null>}
+   */
+  async getImageSize(imagePath) {
+    return readImageSize(await readFileHead(imagePath, EXIF_SCAN_BYTES));
+  }
+
+  /**
+   * 发现植物目录下的视角子目录，按配置顺序排列
+   */
+  async discoverViewDirectories(plantPath) {
+    const viewIds = [];
+    const skipped = [];
+    try {
+      const entries = await fs.readdir(plantPath, { withFileTypes: true });
+      for (const entry of entries) {
+        if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+        if (isValidViewId(entry.name)) {
+          viewIds.push(entry.name);
+        } else {
+          skipped.push({ name: entry.name, reason: 'Directory name must not contain "_"' });
+        }
+      }
+    } catch (error) {
+      return { viewIds: [], skipped: [] };
+    }
+    return { viewIds: sortViewIds(viewIds, this.viewAngles), skipped };
+  }
+
+  /**
+   * 遍历植物文件夹（至少有一个视角子目录）
+   */
+  async listPlants() {
+    const entries = await fs.readdir(this.root, { withFileTypes: true });
+    const plantFolders = [];
+
+    for (const entry of entries) {
+      if (entry.isDirectory() && this.plantIdRegex.test(entry.name)) {
+        const plant = await this.describePlant(entry.name, path.join(this.root, entry.name));
+        if (plant) plantFolders.push(plant);
+      }
+    }
+
+    return plantFolders;
+  }
+
+  /**
+   * 单个植物（与 listPlants 中的条目相同），不存在或没有视角目录时返回 null
+   */
+  async getPlant(plantId) {
+    if (!this.plantIdRegex.test(plantId) || !await this.hasPlant(plantId)) {
+      return null;
+    }
+    return this.describePlant(plantId, this.getPlantPath(plantId));
+  }
+
+  // 任一子目录都视为视角（sv-000、tv-000、fluo-sv-090 ...）
+  async describePlant(plantId, plantPath) {
+    const { viewIds } = await this.discoverViewDirectories(plantPath);
+    if (viewIds.length === 0) {
+      return null;
+    }
+    return {
+      id: plantId,
+      name: plantId,
+      path: plantPath,
+      hasImages: false,
+      imageCount: 0,
+      views: viewIds
+    };
+  }
+
+  /**
+   * 读取一个视角目录下的图像，按拍摄时间排序
+   */
+  async listViewImages(plantId, viewAngle) {
+    const viewPath = resolveWithin(this.root, plantId, viewAngle);
+    const viewStats = await fs.stat(viewPath);
+    if (!viewStats.isDirectory()) {
+      return [];
+    }
+
+    const entries = await fs.readdir(viewPath, { withFileTypes: true });
+    const images = [];
+
+    for (const entry of entries) {
+      if (entry.isFile() && isImageFile(entry.name)) {
+        const imagePath = path.join(viewPath, entry.name);
+        const imageStats = await fs.stat(imagePath);
+        const parsedTime = await this.parseImageDateTime(imagePath, entry.name, imageStats);
+
+        images.push({
+          id: [plantId, viewAngle, entry.name].join(IMAGE_ID_SEPARATOR),
+          name: entry.name,
+          viewAngle,
+          path: imagePath,
+          size: imageStats.size,
+          lastModified: imageStats.mtime.getTime(),
+          version: getFileVersion(imageStats), // 图像 URL 的 ?v=，用于长期缓存
+          dateTime: parsedTime.dateTime,
+          timeString: formatImageDate(parsedTime, entry.name),
+          timeSource: parsedTime.source // 匹配的解析配置，null 表示回退到 epoch
+        });
+      }
+    }
+
+    for (const image of images) {
+      if (!(image.dateTime instanceof Date) || isNaN(image.dateTime.getTime())) {
+        console.warn(`Invalid dateTime for image ${image.name}: ${image.dateTime}`);
+      }
+    }
+    return images.sort(compareByDateTime);
+  }
+
+  /**
+   * 读取植物的全部视角和图像
+   *
+   * @returns {Promise<{ imagesByView: Object<string, Array>, views: Array, skipped: Array }>}
+   */
+  async listPlantImages(plantId) {
+    const { viewIds, skipped } = await this.discoverViewDirectories(this.getPlantPath(plantId));
+    for (const dir of skipped) {
+      console.warn(`跳过视角目录 ${plantId}/${dir.name}: ${dir.reason}`);
+    }
+
+    const imagesByView = {};
+    const views = [];
+
+    for (const viewAngle of viewIds) {
+      try {
+        const images = await this.listViewImages(plantId, viewAngle);
+        imagesByView[viewAngle] = images;
+        if (images.length > 0) {
+          views.push(describeView(viewAngle, images.map(img => img.name), this.viewLabels));
+        }
+      } catch (error) {
+        console.warn(`读取 ${viewAngle} 视角失败:`, error);
+        imagesByView[viewAngle] = [];
+      }
+    }
+
+    return { imagesByView, views, skipped };
+  }
+}
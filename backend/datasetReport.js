@@ -0,0 +1,191 @@
+/**
+ * 数据集统计和标注校验
+ *
+ * Read-only reports over the annotation storage and the dataset directory,
+ * used by the command-line tool (scripts/annotation-cli.js `stats` and
+ * `validate`). The dataset directory is optional: when the dataset root
+ * does not exist only the annotations are reported.
+ */
+
+import { promises as fs } from 'fs';
+import { assertValid, ValidationError } from './validation.js';
+import { PLANT_STATUSES } from './schemas.js';
+import { getKeypointTypeId } from '../src/utils/AnnotationAgreement.js';
+
+/**
+ * 数据集中的植物ID，数据集根目录不存在时返回 null
+ */
+async function listDatasetPlantIds(dataset) {
+  try {
+    return (await dataset.listPlants()).map(plant => plant.id);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * 植物状态，没有状态记录时为 pending
+ *
+ * @returns {Promise<Map<string, string>>} Plant ID -> status
+ */
+export async function loadPlantStatuses(annotations, plantIds) {
+  const statuses = new Map();
+  for (const plantId of plantIds) {
+    statuses.set(plantId, (await annotations.getPlantStatus(plantId))?.status || 'pending');
+  }
+  return statuses;
+}
+
+/**
+ * 全部植物ID：数据集目录、标注文件和植物记录中出现的
+ *
+ * @returns {Promise<{ plantIds: string[], datasetPlantIds: string[]|null }>}
+ */
+export async function listKnownPlantIds({ dataset, storage }, imageIds) {
+  const datasetPlantIds = await listDatasetPlantIds(dataset);
+  const plantIds = new Set([...(datasetPlantIds || []), ...imageIds.map(imageId => storage.getPlantId(imageId))]);
+  for (const kind of ['status', 'skip']) {
+    for (const record of await storage.listPlantRecords(kind)) {
+      plantIds.add(record.plantId);
+    }
+  }
+  return { plantIds: [...plantIds].sort(), datasetPlantIds };
+}
+
+/**
+ * 数据集统计
+ *
+ * @param {Object} services - { dataset, storage, annotations }
+ * @returns {Promise<Object>} Plants, statuses, annotated images and keypoints by type and view
+ */
+export async function collectDatasetStats(services) {
+  const { dataset, storage, annotations } = services;
+  const { entries, corrupted } = await storage.loadAllAnnotations();
+  const { plantIds, datasetPlantIds } = await listKnownPlantIds(services, entries.map(entry => entry.imageId));
+  const statuses = await loadPlantStatuses(annotations, plantIds);
+
+  const statusCounts = Object.fromEntries(PLANT_STATUSES.map(status => [status, 0]));
+  for (const status of statuses.values()) {
+    increment(statusCounts, status);
+  }
+
+  const keypointsByType = {};
+  const keypointsByView = {};
+  const annotatedPlants = new Set();
+  let annotatedImages = 0;
+  let keypoints = 0;
+  let regions = 0;
+  for (const { imageId, data } of entries) {
+    const list = Array.isArray(data?.annotations) ? data.annotations : [];
+    if (list.length === 0) continue;
+    annotatedImages++;
+    annotatedPlants.add(storage.getPlantId(imageId));
+    const viewAngle = dataset.parseImageId(imageId)?.viewAngle || 'unknown';
+    for (const keypoint of list) {
+      keypoints++;
+      if (typeof keypoint.width === 'number' && typeof keypoint.height === 'number') regions++;
+      increment(keypointsByType, getKeypointTypeId(keypoint));
+      increment(keypointsByView, viewAngle);
+    }
+  }
+
+  return {
+    plants: plantIds.length,
+    datasetPlants: datasetPlantIds ? datasetPlantIds.length : null,
+    annotatedPlants: annotatedPlants.size,
+    annotatedImages,
+    keypoints,
+    regions,
+    averageKeypointsPerImage: annotatedImages > 0 ? Number((keypoints / annotatedImages).toFixed(1)) : 0,
+    statuses: statusCounts,
+    keypointsByType,
+    keypointsByView,
+    corrupted
+  };
+}
+
+/**
+ * 一个标注文档的问题
+ */
+function checkAnnotationDocument(dataset, imageId, data) {
+  const issues = [];
+  const add = (level, message) => issues.push({ imageId, level, message });
+
+  const parsed = dataset.parseImageId(imageId);
+  if (!parsed) {
+    add('error', 'Image ID is not <plantId>_<view>_<fileName>');
+  } else if (data?.plantId && data.plantId !== parsed.plantId) {
+    add('warning', `plantId "${data.plantId}" does not match the image ID`);
+  }
+
+  try {
+    assertValid('annotation-document', data, 'document');
+  } catch (error) {
+    if (!(error instanceof ValidationError)) throw error;
+    for (const detail of error.details) {
+      add('error', `${detail.field || '/'} ${detail.message}`);
+    }
+    return issues;
+  }
+
+  // 同一类型中序号不能重复
+  const seen = new Set();
+  for (const keypoint of data.annotations) {
+    if (keypoint.order === null || keypoint.order === undefined) continue;
+    const key = `${getKeypointTypeId(keypoint)}#${keypoint.order}`;
+    if (seen.has(key)) {
+      add('error', `Duplicate order ${keypoint.order} for ${getKeypointTypeId(keypoint)}`);
+    }
+    seen.add(key);
+  }
+  return issues;
+}
+
+export async function imageFileExists(dataset, imageId) {
+  try {
+    return (await fs.stat(dataset.getImagePathById(imageId))).isFile();
+  } catch (error) {
+    // 不存在，或图像ID中有不安全的路径片段
+    return false;
+  }
+}
+
+/**
+ * 校验全部标注文档
+ *
+ * Checks each document against the `annotation-document` schema, the image
+ * ID format, duplicate orders within an annotation type and, when the
+ * dataset root exists, that the image file is still there.
+ *
+ * @param {Object} services - { dataset, storage }
+ * @returns {Promise<{ checked: number, errors: number, warnings: number, issues: Array<{ imageId: string, level: 'error'|'warning', message: string }> }>}
+ */
+export async function validateAnnotations({ dataset, storage }) {
+  const { entries, corrupted } = await storage.loadAllAnnotations();
+  const datasetExists = await fs.stat(dataset.root).then(stats => stats.isDirectory(), () => false);
+
+  const issues = corrupted.map(({ file, error }) => ({
+    imageId: file.replace(/\.json$/, ''),
+    level: 'error',
+    message: `Corrupted file: ${error}`
+  }));
+  for (const { imageId, data } of entries.sort((a, b) => a.imageId.localeCompare(b.imageId))) {
+    issues.push(...checkAnnotationDocument(dataset, imageId, data));
+
+    if (datasetExists && dataset.parseImageId(imageId) && !await imageFileExists(dataset, imageId)) {
+      issues.push({ imageId, level: 'error', message: 'Image file not found in the dataset' });
+    }
+  }
+
+  return {
+    checked: entries.length + corrupted.length,
+    errors: issues.filter(issue => issue.level === 'error').length,
+    warnings: issues.filter(issue => issue.level === 'warning').length,
+    issues
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * 服务器端导出的公共部分
+ *
+ * Shared by the exports that write files on the server (YOLO datasets,
+ * training patches, the command-line exports): resolving and clearing the
+ * output directory and reading the annotations to export.
+ *
+ * `outputDir` comes from the request body and the export may clear earlier
+ * output in it, so it is confined to the exports directory (`exportsDir`,
+ * default `<datasetRoot>/exports`).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ValidationError, resolveBodyPath } from './validation.js';
+
+function outputError(message, detail) {
+  return new ValidationError(message, [{ location: 'body', field: 'outputDir', message: detail }]);
+}
+
+/**
+ * 导出目录（未配置时为 <datasetRoot>/exports）
+ */
+export function getExportsDir(config) {
+  return config.exportsDir || path.join(config.datasetRoot || process.cwd(), 'exports');
+}
+
+/**
+ * 输出目录的绝对路径（相对于导出目录）
+ *
+ * @throws {ValidationError} For absolute paths and paths that leave the exports directory
+ */
+export function resolveOutputDir(config, outputDir) {
+  return resolveBodyPath(getExportsDir(config), outputDir, 'outputDir');
+}
+
+/**
+ * 检查输出目录并删除之前导出的内容
+ *
+ * @param {string} outputDir - Absolute path
+ * @param {Object} options
+ * @param {Object} options.config - Project config
+ * @param {boolean} options.overwrite - Replace an earlier export
+ * @param {string[]} options.entries - Names the export writes in outputDir; only these are removed
+ * @param {string} options.exportName - For error messages, e.g. 'YOLO'
+ * @throws {ValidationError} When outputDir would mix the export with the dataset, or has an export and overwrite is off
+ */
+export async function prepareOutputDir(outputDir, { config, overwrite, entries, exportName }) {
+  const datasetRoot = path.resolve(config.datasetRoot || process.cwd());
+  const annotationsDir = path.resolve(config.annotationsDir || path.join(datasetRoot, 'annotations'));
+  if (outputDir === datasetRoot || outputDir === annotationsDir || annotationsDir.startsWith(`${outputDir}${path.sep}`)) {
+    throw outputError(`${exportName} 输出目录无效`, `${outputDir} would mix the export with the dataset or the annotations`);
+  }
+
+  const names = await fs.readdir(outputDir).catch(error => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+  const existing = names.filter(name => entries.includes(name));
+  if (existing.length > 0 && !overwrite) {
+    throw outputError(`${exportName} 输出目录已有导出`, `${outputDir} already contains ${existing.join(', ')}; set overwrite to replace it`);
+  }
+  for (const name of existing) {
+    await fs.rm(path.join(outputDir, name), { recursive: true, force: true });
+  }
+  await fs.mkdir(outputDir, { recursive: true });
+}
+
+/**
+ * 读取要导出的标注：有标注点、所属植物未被跳过
+ *
+ * @param {Object} services - { storage, annotations }
+ * @param {string[]|null} plantIds - Only these plants
+ * @returns {Promise<{ images: Array<{ imageId: string, plantId: string, keypoints: Array }>, skippedPlants: string[] }>}
+ */
+export async function loadExportImages({ storage, annotations }, plantIds) {
+  const imageIds = (await storage.listAnnotationIds())
+    .filter(imageId => !plantIds || plantIds.includes(storage.getPlantId(imageId)))
+    .sort();
+
+  const skippedPlants = new Set();
+  const checkedPlants = new Set();
+  const images = [];
+  for (const imageId of imageIds) {
+    const plantId = storage.getPlantId(imageId);
+    if (!checkedPlants.has(plantId)) {
+      checkedPlants.add(plantId);
+      if ((await annotations.getPlantStatus(plantId))?.status === 'skipped') {
+        skippedPlants.add(plantId);
+      }
+    }
+    if (skippedPlants.has(plantId)) continue;
+
+    const document = await storage.getAnnotation(imageId);
+    if (document?.annotations?.length > 0) {
+      images.push({ imageId, plantId, keypoints: document.annotations });
+    }
+  }
+  return { images, skippedPlants: [...skippedPlants].sort() };
+}
@@ -0,0 +1,48 @@
+/**
+ * 图像文件的 HTTP 缓存
+ *
+ * Images are streamed with `res.sendFile`, which handles ETag /
+ * Last-Modified (derived from size and mtime), conditional GET (304) and
+ * byte ranges. On top of that the image list hands out a `version` per
+ * image; requests carrying the current version as `?v=` may be cached for
+ * good, anything else is revalidated on every use.
+ */
+
+// 一年，URL 带当前版本号时内容不会再变化
+export const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+// 每次使用前用 ETag / Last-Modified 向服务器确认
+export const REVALIDATE_CACHE_CONTROL = 'no-cache';
+
+/**
+ * 由文件大小和修改时间得到的版本号（文件替换后改变）
+ *
+ * @param {{ size: number, mtimeMs: number }} stats - fs.Stats or ImageCache source info
+ */
+export function getFileVersion(stats) {
+  return `${stats.size.toString(36)}-${Math.floor(stats.mtimeMs).toString(36)}`;
+}
+
+/**
+ * 以流方式发送文件，带缓存头
+ *
+ * @param {boolean} [options.immutable] - The URL is versioned (see getFileVersion)
+ * @returns {Promise<void>} Rejects if the file cannot be sent and no response was started
+ */
+export function sendCachedFile(res, filePath, { immutable = false } = {}) {
+  return new Promise((resolve, reject) => {
+    res.sendFile(filePath, {
+      dotfiles: 'allow', // 缓存目录默认是 .image-cache
+      cacheControl: false,
+      headers: {
+        'Cache-Control': immutable ? IMMUTABLE_CACHE_CONTROL : REVALIDATE_CACHE_CONTROL
+      }
+    }, (error) => {
+      // 客户端中途断开时响应已开始，无需再处理
+      if (error && !res.headersSent) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
@@ -0,0 +1,240 @@
+/**
+ * 缩略图与图像金字塔缓存
+ *
+ * Downscaled copies of dataset images are generated on first request and
+ * kept under `<cacheDir>/<plantId>/<view>/<imageName>/`:
+ *
+ *   source.json            size and mtime of the original, used to invalidate
+ *   thumb-<size>.jpeg      longest side <size>, see THUMBNAIL_SIZES
+ *   level-<n>.jpeg         whole image at pyramid level n (1/2^n)
+ *   pyramid/tiles_files/   Deep Zoom tile tree written by libvips
+ *
+ * Level numbers follow src/utils/ImagePyramid.js (0 = full resolution).
+ * Requires the optional `sharp` dependency; without it `available` is false
+ * and callers serve the original image instead.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { withFileLock, writeJsonFile, TEMP_MARKER } from './jsonFile.js';
+import { TILE_SIZE, getPyramidLevels, getLevelSize } from '../src/utils/ImagePyramid.js';
+
+const SOURCE_INFO_FILE = 'source.json';
+const PYRAMID_DIR = 'pyramid';
+const TILE_FORMAT = 'jpeg';
+const JPEG_QUALITY = 85;
+
+// 同时解码的原图数量（大 PNG 解码占用内存较多）
+const MAX_CONCURRENT_JOBS = 2;
+
+let tempCounter = 0;
+
+async function loadSharp() {
+  try {
+    return (await import('sharp')).default;
+  } catch (error) {
+    console.warn(`[ImageCache] "sharp" is not installed, serving original images only (${error.message})`);
+    return null;
+  }
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export class ImageCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.datasetRoot - Originals are read from here
+   * @param {string} options.cacheDir - Generated images are written here
+   */
+  constructor({ datasetRoot, cacheDir }) {
+    this.datasetRoot = path.resolve(datasetRoot);
+    this.cacheDir = path.resolve(cacheDir);
+    this.sharp = null;
+    this.available = false;
+    // image cache dir -> source info, avoids re-reading source.json per tile
+    this.sourceInfo = new Map();
+    this.activeJobs = 0;
+    this.waitingJobs = [];
+  }
+
+  async initialize() {
+    this.sharp = await loadSharp();
+    this.available = Boolean(this.sharp);
+    if (this.available) {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+    }
+  }
+
+  getImageCacheDir(imagePath) {
+    const relative = path.relative(this.datasetRoot, path.resolve(imagePath));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Image is outside the dataset root: ${imagePath}`);
+    }
+    return path.join(this.cacheDir, relative);
+  }
+
+  /**
+   * 限制同时进行的图像处理任务
+   */
+  async runJob(fn) {
+    if (this.activeJobs >= MAX_CONCURRENT_JOBS) {
+      await new Promise(resolve => this.waitingJobs.push(resolve));
+    }
+    this.activeJobs++;
+    try {
+      return await fn();
+    } finally {
+      this.activeJobs--;
+      this.waitingJobs.shift()?.();
+    }
+  }
+
+  /**
+   * 原图尺寸（按 EXIF 方向旋转后），缓存过期时清空该图像的缓存目录
+   *
+   * @returns {Promise<{ width: number, height: number, size: number, mtimeMs: number }>}
+   */
+  async getSourceInfo(imagePath) {
+    const dir = this.getImageCacheDir(imagePath);
+    const stats = await fs.stat(imagePath);
+    const isCurrent = info => info && info.size === stats.size && info.mtimeMs === stats.mtimeMs;
+
+    const known = this.sourceInfo.get(dir);
+    if (isCurrent(known)) return known;
+
+    return withFileLock(dir, async () => {
+      const infoPath = path.join(dir, SOURCE_INFO_FILE);
+      let info = null;
+      try {
+        info = JSON.parse(await fs.readFile(infoPath, 'utf8'));
+      } catch {
+        // 不存在或不完整，重新生成
+      }
+
+      if (!isCurrent(info)) {
+        await fs.rm(dir, { recursive: true, force: true });
+        await fs.mkdir(dir, { recursive: true });
+        const metadata = await this.sharp(imagePath).metadata();
+        const rotated = metadata.orientation >= 5;
+        info = {
+          width: rotated ? metadata.height : metadata.width,
+          height: rotated ? metadata.width : metadata.height,
+          size: stats.size,
+          mtimeMs: stats.mtimeMs
+        };
+        await writeJsonFile(infoPath, info);
+      }
+
+      this.sourceInfo.set(dir, info);
+      return info;
+    });
+  }
+
+  /**
+   * 生成一次并缓存到 targetPath（写入临时文件后重命名）
+   */
+  async ensureFile(targetPath, render) {
+    if (await exists(targetPath)) return targetPath;
+    return withFileLock(targetPath, async () => {
+      if (await exists(targetPath)) return targetPath;
+      const tempPath = `${targetPath}${TEMP_MARKER}${process.pid}-${++tempCounter}`;
+      try {
+        await this.runJob(() => render(tempPath));
+        await fs.rename(tempPath, targetPath);
+      } catch (error) {
+        await fs.rm(tempPath, { recursive: true, force: true });
+        throw error;
+      }
+      return targetPath;
+    });
+  }
+
+  /**
+   * 缩略图（最长边不超过 size）
+   *
+   * @param {number} size - One of THUMBNAIL_SIZES
+   * @returns {Promise<string|null>} Cached file path, null when the original is already small enough
+   */
+  async getThumbnail(imagePath, size) {
+    const info = await this.getSourceInfo(imagePath);
+    if (Math.max(info.width, info.height) <= size) return null;
+
+    const target = path.join(this.getImageCacheDir(imagePath), `thumb-${size}.${TILE_FORMAT}`);
+    return this.ensureFile(target, tempPath =>
+      this.sharp(imagePath)
+        .rotate()
+        .resize(size, size, { fit: 'inside' })
+        .jpeg({ quality: JPEG_QUALITY })
+        .toFile(tempPath)
+    );
+  }
+
+  /**
+   * 整张图像的某一金字塔层级
+   *
+   * @returns {Promise<string|null>} Cached file path, null for level 0 (the original)
+   */
+  async getLevelImage(imagePath, level) {
+    const info = await this.getSourceInfo(imagePath);
+    const levels = getPyramidLevels(info.width, info.height);
+    const clamped = Math.min(level, levels.length - 1);
+    if (clamped <= 0) return null;
+
+    const { width, height } = getLevelSize(info.width, info.height, clamped);
+    const target = path.join(this.getImageCacheDir(imagePath), `level-${clamped}.${TILE_FORMAT}`);
+    return this.ensureFile(target, tempPath =>
+      this.sharp(imagePath)
+        .rotate()
+        .resize(width, height, { fit: 'fill' })
+        .jpeg({ quality: JPEG_QUALITY })
+        .toFile(tempPath)
+    );
+  }
+
+  /**
+   * 金字塔描述（供前端计算图块）
+   */
+  async getPyramid(imagePath) {
+    const info = await this.getSourceInfo(imagePath);
+    return {
+      width: info.width,
+      height: info.height,
+      tileSize: TILE_SIZE,
+      format: TILE_FORMAT,
+      levels: getPyramidLevels(info.width, info.height)
+    };
+  }
+
+  /**
+   * 图块文件路径，首次请求时一次生成整个金字塔
+   *
+   * @returns {Promise<string|null>} null if the tile is outside the pyramid
+   */
+  async getTile(imagePath, level, column, row) {
+    const pyramid = await this.getPyramid(imagePath);
+    const levelInfo = pyramid.levels[level];
+    if (!levelInfo || column < 0 || row < 0 || column >= levelInfo.columns || row >= levelInfo.rows) {
+      return null;
+    }
+
+    const pyramidDir = await this.ensureFile(path.join(this.getImageCacheDir(imagePath), PYRAMID_DIR), async tempDir => {
+      await fs.mkdir(tempDir, { recursive: true });
+      await this.sharp(imagePath)
+        .rotate()
+        .jpeg({ quality: JPEG_QUALITY })
+        .tile({ size: TILE_SIZE, overlap: 0, layout: 'dz', depth: 'onetile' })
+        .toFile(path.join(tempDir, 'tiles.dz'));
+    });
+
+    // libvips 的 Deep Zoom 层级从最小一层开始编号
+    const dzLevel = pyramid.levels.length - 1 - level;
+    return path.join(pyramidDir, 'tiles_files', String(dzLevel), `${column}_${row}.${TILE_FORMAT}`);
+  }
+}
@@ -0,0 +1,431 @@
+/**
+ * 数据集完整性检查
+ *
+ * Cross-checks the dataset directory with the annotation storage and
+ * reports (src/utils/DatasetIntegrity.js for the finding kinds):
+ *
+ *   orphaned-annotation     annotation documents whose image is gone
+ *   keypoint-out-of-bounds  keypoints outside their image
+ *   epoch-timestamp         images whose capture time fell back to epoch
+ *   duplicate-timestamp     images with the capture time of another image in the view
+ *   orphaned-plant-record   status / skip / review records of plants that are gone
+ *   orphaned-note           notes on images or plants that are gone
+ *
+ * Fixes are applied one finding at a time and check again that the finding
+ * still holds. Quarantined documents and images are moved to
+ * `<annotationsDir>/quarantine/` (annotations/, records/, notes/, images/)
+ * and listed in quarantine/manifest.jsonl; annotation deletions and clamped
+ * keypoints are also revisions in the history. Used by /api/v2/integrity
+ * and the command-line tool (scripts/annotation-cli.js `integrity`).
+ */
+
+import path from 'path';
+import { promises as fs } from 'fs';
+import { writeJsonFile } from './jsonFile.js';
+import { ValidationError, resolveWithin } from './validation.js';
+import { PLANT_RECORD_KINDS, PLANT_RECORD_FILE_SUFFIXES } from './storage/storageUtils.js';
+import { imageFileExists } from './datasetReport.js';
+import {
+  INTEGRITY_FINDING_KINDS,
+  getFindingId,
+  findOutOfBoundsKeypoints,
+  clampKeypointsToImage
+} from '../src/utils/DatasetIntegrity.js';
+
+export const QUARANTINE_DIR_NAME = 'quarantine';
+
+// 修订历史中完整性修复的来源
+export const INTEGRITY_FIX_SOURCE = 'integrity-fix';
+
+const KIND_ORDER = Object.keys(INTEGRITY_FINDING_KINDS);
+
+function createFinding(kind, fields, message, actions = INTEGRITY_FINDING_KINDS[kind].actions) {
+  const finding = { kind, severity: INTEGRITY_FINDING_KINDS[kind].severity, ...fields, message, actions };
+  return { id: getFindingId(finding), ...finding };
+}
+
+async function assertDatasetRoot(dataset) {
+  const exists = await fs.stat(dataset.root).then(stats => stats.isDirectory(), () => false);
+  if (!exists) {
+    throw new ValidationError('数据集目录不存在', [
+      { location: 'config', field: 'datasetRoot', message: `${dataset.root} is not a directory` }
+    ]);
+  }
+}
+
+async function readImageSize(dataset, imagePath) {
+  try {
+    return await dataset.getImageSize(imagePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 数据集中的全部图像，并按视角检查拍摄时间
+ *
+ * @returns {Promise<{ plantIds: Set<string>, images: Map<string, Object>, timeGroups: Array<Array<Object>>, epochImages: Array<Object> }>}
+ */
+async function scanDataset(dataset) {
+  const plantIds = new Set();
+  const images = new Map();
+  const timeGroups = [];
+  const epochImages = [];
+
+  for (const plant of await dataset.listPlants()) {
+    plantIds.add(plant.id);
+    const { imagesByView } = await dataset.listPlantImages(plant.id);
+    for (const list of Object.values(imagesByView)) {
+      const byTime = new Map();
+      for (const image of list) {
+        images.set(image.id, image);
+        // timeSource 为 null 表示文件名中没有时间，这些图像的时间都是 epoch，不再比较是否重复
+        if (image.timeSource === null) {
+          epochImages.push(image);
+          continue;
+        }
+        const time = image.dateTime.getTime();
+        if (!byTime.has(time)) byTime.set(time, []);
+        byTime.get(time).push(image);
+      }
+      timeGroups.push(...[...byTime.values()].filter(group => group.length > 1));
+    }
+  }
+  return { plantIds, images, timeGroups, epochImages };
+}
+
+// 旧数据的标注ID带有图像扩展名（见 AnnotationService.get）
+function resolveAnnotatedImage(images, imageId) {
+  return images.get(imageId) || images.get(imageId.replace(/\.(png|jpg)$/, '')) || null;
+}
+
+function describeKeypoint(keypoint) {
+  return { id: keypoint.id ?? null, order: keypoint.order ?? null, x: keypoint.x, y: keypoint.y };
+}
+
+/**
+ * 运行完整性检查
+ *
+ * @param {Object} services - { dataset, storage }
+ * @returns {Promise<{
+ *   checkedAt: string,
+ *   plants: number,
+ *   images: number,
+ *   annotations: number,
+ *   notes: number,
+ *   counts: Object<string, number>,
+ *   findings: Array<Object>,
+ *   corrupted: Array<{ file: string, error: string }>
+ * }>}
+ * @throws {ValidationError} When the dataset root does not exist (every annotation would be orphaned)
+ */
+export async function checkDatasetIntegrity({ dataset, storage }) {
+  await assertDatasetRoot(dataset);
+  const { plantIds, images, timeGroups, epochImages } = await scanDataset(dataset);
+  const { entries, corrupted } = await storage.loadAllAnnotations();
+  const annotatedIds = new Set();
+  const findings = [];
+
+  for (const { imageId, data } of entries) {
+    const keypoints = Array.isArray(data?.annotations) ? data.annotations : [];
+    const image = resolveAnnotatedImage(images, imageId);
+    if (!image) {
+      const plantId = dataset.parseImageId(imageId)?.plantId ?? null;
+      const reason = !plantId
+        ? 'the image ID is not <plantId>_<view>_<fileName>'
+        : plantIds.has(plantId) ? 'the image file is not in the dataset' : `plant ${plantId} is not in the dataset`;
+      findings.push(createFinding('orphaned-annotation', { plantId, imageId, keypointCount: keypoints.length },
+        `${keypoints.length} keypoint(s), but ${reason}`));
+      continue;
+    }
+
+    annotatedIds.add(image.id);
+    if (keypoints.length === 0) continue;
+    const size = await readImageSize(dataset, image.path);
+    const outside = size ? findOutOfBoundsKeypoints(keypoints, size) : [];
+    if (outside.length > 0) {
+      findings.push(createFinding('keypoint-out-of-bounds', {
+        plantId: dataset.parseImageId(imageId).plantId,
+        imageId,
+        width: size.width,
+        height: size.height,
+        keypoints: outside.map(describeKeypoint)
+      }, `${outside.length} keypoint(s) outside the ${size.width}×${size.height} image`));
+    }
+  }
+
+  for (const image of epochImages) {
+    findings.push(createFinding('epoch-timestamp', { plantId: dataset.parseImageId(image.id).plantId, imageId: image.id },
+      'No timestamp parser matched the file name or EXIF data'));
+  }
+
+  // 同一时间的图像中保留有标注的（或排在最前的）一张
+  for (const group of timeGroups) {
+    const kept = group.find(image => annotatedIds.has(image.id)) || group[0];
+    for (const image of group) {
+      if (image === kept) continue;
+      findings.push(createFinding('duplicate-timestamp', {
+        plantId: dataset.parseImageId(image.id).plantId,
+        imageId: image.id,
+        duplicateOf: kept.id,
+        dateTime: image.dateTime.toISOString()
+      }, `Same capture time as ${kept.name}${annotatedIds.has(image.id) ? ' (this image has annotations)' : ''}`));
+    }
+  }
+
+  for (const recordKind of PLANT_RECORD_KINDS) {
+    for (const { plantId } of await storage.listPlantRecords(recordKind)) {
+      if (plantIds.has(plantId)) continue;
+      findings.push(createFinding('orphaned-plant-record', { plantId, recordKind },
+        `${plantId}${PLANT_RECORD_FILE_SUFFIXES[recordKind]}: plant ${plantId} is not in the dataset`));
+    }
+  }
+
+  const notes = await storage.listNotes();
+  for (const note of notes) {
+    const plantExists = plantIds.has(note.plantId);
+    if (note.imageId ? images.has(note.imageId) : plantExists) continue;
+    const target = note.imageId ? `image ${note.imageId}` : `plant ${note.plantId}`;
+    findings.push(createFinding('orphaned-note', { plantId: note.plantId, imageId: note.imageId || null, noteId: note.noteId },
+      `"${note.title || note.noteId}" is on ${target}, which is not in the dataset`,
+      // 植物还在时可以改为植物笔记
+      note.imageId && plantExists ? ['detach', 'quarantine'] : ['quarantine']));
+  }
+
+  // 按类型、植物和ID排序（笔记ID带随机后缀，只按ID排序时同一毫秒创建的笔记顺序不固定）
+  findings.sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind) ||
+    (a.plantId ?? '').localeCompare(b.plantId ?? '') ||
+    a.id.localeCompare(b.id));
+  const counts = Object.fromEntries(KIND_ORDER.map(kind => [kind, 0]));
+  for (const finding of findings) {
+    counts[finding.kind]++;
+  }
+
+  return {
+    checkedAt: new Date().toISOString(),
+    plants: plantIds.size,
+    images: images.size,
+    annotations: entries.length,
+    notes: notes.length,
+    counts,
+    findings,
+    corrupted
+  };
+}
+
+// ---------- 修复 ----------
+
+/**
+ * 隔离目录：文件按原名放入子目录，同名时加时间戳；每次隔离追加一行 manifest.jsonl
+ */
+function createQuarantine(annotationsDir, author) {
+  const root = path.join(annotationsDir, QUARANTINE_DIR_NAME);
+
+  async function reserve(...segments) {
+    let target = resolveWithin(root, ...segments);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    if (await fs.stat(target).then(() => true, () => false)) {
+      const { dir, name, ext } = path.parse(target);
+      target = path.join(dir, `${name}_${Date.now()}${ext}`);
+    }
+    return target;
+  }
+
+  async function record(findingId, from, to) {
+    const line = { timestamp: new Date().toISOString(), findingId, author, from, to: path.relative(root, to) };
+    await fs.appendFile(path.join(root, 'manifest.jsonl'), JSON.stringify(line) + '\n', 'utf8');
+  }
+
+  return {
+    root,
+    async writeDocument(findingId, from, segments, data) {
+      const target = await reserve(...segments);
+      await writeJsonFile(target, data);
+      await record(findingId, from, target);
+    },
+    async moveFile(findingId, source, segments) {
+      const target = await reserve(...segments);
+      try {
+        await fs.rename(source, target);
+      } catch (error) {
+        // 隔离目录在另一个文件系统上
+        if (error.code !== 'EXDEV') throw error;
+        await fs.copyFile(source, target);
+        await fs.unlink(source);
+      }
+      await record(findingId, source, target);
+    }
+  };
+}
+
+// 每类结果修复时需要的字段
+const REQUIRED_FIELDS = {
+  'orphaned-annotation': ['imageId'],
+  'keypoint-out-of-bounds': ['imageId'],
+  'epoch-timestamp': ['imageId'],
+  'duplicate-timestamp': ['imageId', 'duplicateOf'],
+  'orphaned-plant-record': ['plantId', 'recordKind'],
+  'orphaned-note': ['noteId']
+};
+
+function findingError(index, field, message) {
+  return new ValidationError('检查结果无效', [{ location: 'body', field: `/findings/${index}/${field}`, message }]);
+}
+
+/**
+ * 检查要修复的结果（在修改任何数据之前），返回要执行的操作
+ */
+function resolveFixAction(finding, index) {
+  const allowed = INTEGRITY_FINDING_KINDS[finding.kind]?.actions;
+  if (!allowed) {
+    throw findingError(index, 'kind', `must be one of ${KIND_ORDER.join(', ')}`);
+  }
+  for (const field of REQUIRED_FIELDS[finding.kind]) {
+    if (typeof finding[field] !== 'string' || !finding[field]) {
+      throw findingError(index, field, `is required for ${finding.kind}`);
+    }
+  }
+  if (finding.kind === 'orphaned-plant-record' && !PLANT_RECORD_KINDS.includes(finding.recordKind)) {
+    throw findingError(index, 'recordKind', `must be one of ${PLANT_RECORD_KINDS.join(', ')}`);
+  }
+  // 默认使用检查结果自己的第一个操作（例如植物也不在了的笔记只能隔离）
+  const action = finding.action || finding.actions?.find(candidate => allowed.includes(candidate)) || allowed[0];
+  if (!allowed.includes(action)) {
+    throw findingError(index, 'action', `${finding.kind} can be fixed with ${allowed.join(', ')}`);
+  }
+  return action;
+}
+
+/**
+ * 把标注文档移入隔离目录并删除（删除是修订历史中的一条修订）
+ */
+async function quarantineAnnotation(findingId, imageId, { storage, annotations }, quarantine, meta) {
+  const data = await storage.getAnnotation(imageId);
+  if (!data) return false;
+  await quarantine.writeDocument(findingId, `annotation:${imageId}`, ['annotations', `${imageId}.json`], data);
+  await annotations.delete(imageId, { meta });
+  return true;
+}
+
+async function fixOrphanedAnnotation(finding, services, quarantine, meta) {
+  const imageId = finding.imageId;
+  if (await imageFileExists(services.dataset, imageId)) {
+    return { status: 'skipped', message: 'The image is in the dataset again' };
+  }
+  if (!await quarantineAnnotation(finding.id, imageId, services, quarantine, meta)) {
+    return { status: 'skipped', message: 'The annotation no longer exists' };
+  }
+  return { status: 'fixed', message: 'Annotation moved to quarantine' };
+}
+
+async function fixImage(finding, services, quarantine, meta) {
+  const imageId = finding.imageId;
+  const { dataset } = services;
+  if (!await imageFileExists(dataset, imageId)) {
+    return { status: 'skipped', message: 'The image is no longer in the dataset' };
+  }
+  // 另一张图像不在了就不能再移走这一张
+  if (finding.kind === 'duplicate-timestamp' && !await imageFileExists(dataset, finding.duplicateOf)) {
+    return { status: 'skipped', message: `${finding.duplicateOf} is no longer in the dataset` };
+  }
+  const { plantId, viewAngle, imageName } = dataset.parseImageId(imageId);
+  await quarantine.moveFile(finding.id, dataset.getImagePathById(imageId), ['images', plantId, viewAngle, imageName]);
+  const withAnnotation = await quarantineAnnotation(finding.id, imageId, services, quarantine, meta);
+  return { status: 'fixed', message: `Image${withAnnotation ? ' and its annotation' : ''} moved to quarantine` };
+}
+
+async function fixKeypointBounds(finding, { dataset, annotations }, meta) {
+  const imageId = finding.imageId;
+  const { data, etag } = await annotations.get(imageId);
+  const imagePath = dataset.getImagePathById(imageId);
+  const size = imagePath && data ? await readImageSize(dataset, imagePath) : null;
+  if (!size) {
+    return { status: 'skipped', message: 'The annotation or the image size is not available' };
+  }
+  const { keypoints, clamped } = clampKeypointsToImage(data.annotations, size);
+  if (clamped === 0) {
+    return { status: 'skipped', message: 'All keypoints are inside the image' };
+  }
+  await annotations.save(imageId, { ...data, annotations: keypoints }, { preconditions: { ifMatch: etag }, meta });
+  return { status: 'fixed', message: `${clamped} keypoint(s) moved inside the image` };
+}
+
+async function fixPlantRecord(finding, { dataset, storage, annotations }, quarantine, meta) {
+  const plantId = finding.plantId;
+  const recordKind = finding.recordKind;
+  if (await dataset.hasPlant(plantId)) {
+    return { status: 'skipped', message: 'The plant is in the dataset again' };
+  }
+  const data = await storage.getPlantRecord(recordKind, plantId);
+  if (!data) {
+    return { status: 'skipped', message: 'The record no longer exists' };
+  }
+  await quarantine.writeDocument(finding.id, `${recordKind}:${plantId}`, ['records', `${plantId}${PLANT_RECORD_FILE_SUFFIXES[recordKind]}`], data);
+  await annotations.deletePlantRecord(recordKind, plantId, meta.author);
+  return { status: 'fixed', message: 'Record moved to quarantine' };
+}
+
+async function fixNote(finding, action, { dataset, storage, annotations }, quarantine, meta) {
+  const noteId = finding.noteId;
+  const note = await storage.getNote(noteId);
+  if (!note) {
+    return { status: 'skipped', message: 'The note no longer exists' };
+  }
+  const imageExists = note.imageId && await imageFileExists(dataset, note.imageId);
+  const plantExists = await dataset.hasPlant(note.plantId);
+  if (imageExists || (!note.imageId && plantExists)) {
+    return { status: 'skipped', message: 'The note\'s image or plant is in the dataset again' };
+  }
+
+  if (action === 'detach') {
+    if (!plantExists) {
+      return { status: 'skipped', message: `Plant ${note.plantId} is not in the dataset either` };
+    }
+    await annotations.updateNote(noteId, { imageId: null }, meta.author);
+    return { status: 'fixed', message: `Now a note on plant ${note.plantId}` };
+  }
+  await quarantine.writeDocument(finding.id, `note:${noteId}`, ['notes', `${noteId}.json`], note);
+  await annotations.deleteNote(noteId, meta.author);
+  return { status: 'fixed', message: 'Note moved to quarantine' };
+}
+
+/**
+ * 对检查结果执行修复或隔离
+ *
+ * @param {Array<Object>} findings - Findings of checkDatasetIntegrity(), optionally with the chosen `action`
+ *   (one of the finding's `actions`; the first by default)
+ * @param {Object} services - { config, dataset, storage, annotations }
+ * @param {string} author - Recorded in the revision history and the quarantine manifest
+ * @returns {Promise<{ results: Array<{ id: string, kind: string, action: string, status: 'fixed'|'skipped'|'failed', message: string }>, quarantineDir: string }>}
+ *   in the order of `findings` (fixed one after another); `skipped` when the finding no longer holds
+ */
+export async function fixIntegrityFindings(findings, services, author) {
+  const actions = findings.map(resolveFixAction);
+  const quarantine = createQuarantine(services.config.annotationsDir, author);
+  const meta = { author, source: INTEGRITY_FIX_SOURCE };
+  const results = [];
+
+  // 逐条修复，结果与 findings 的顺序一致
+  for (const [index, finding] of findings.entries()) {
+    const action = actions[index];
+    const id = getFindingId(finding);
+    const target = { ...finding, id };
+
+    let outcome;
+    try {
+      switch (finding.kind) {
+        case 'orphaned-annotation': outcome = await fixOrphanedAnnotation(target, services, quarantine, meta); break;
+        case 'keypoint-out-of-bounds': outcome = await fixKeypointBounds(target, services, meta); break;
+        case 'epoch-timestamp':
+        case 'duplicate-timestamp': outcome = await fixImage(target, services, quarantine, meta); break;
+        case 'orphaned-plant-record': outcome = await fixPlantRecord(target, services, quarantine, meta); break;
+        case 'orphaned-note': outcome = await fixNote(target, action, services, quarantine, meta); break;
+      }
+    } catch (error) {
+      outcome = { status: 'failed', message: error.message };
+    }
+    results.push({ id, kind: finding.kind, action, ...outcome });
+  }
+
+  return { results, quarantineDir: quarantine.root };
+}
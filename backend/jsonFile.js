@@ -0,0 +1,266 @@
+/**
+ * 原子 JSON 文件读写
+ *
+ * Annotation, status, skip-info and note files are written as
+ * temp file + fsync + rename, so a crash mid-write never leaves a truncated
+ * file behind. Writes to the same path are serialised by an in-process lock.
+ *
+ * Before each write the previous content, if it still parses, is kept as
+ * `<file>.bak`. A file that fails to parse on read is moved aside as
+ * `<file>.corrupt-<timestamp>` and restored from that copy. None of the
+ * sidecar names end in `.json`, so directory scans never pick them up.
+ */
+
+import { promises as fs } from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+
+export const BACKUP_SUFFIX = '.bak';
+export const TEMP_MARKER = '.tmp-';
+export const CORRUPT_MARKER = '.corrupt-';
+
+/**
+ * 文件内容无法解析且没有可用备份
+ */
+export class CorruptedFileError extends Error {
+  constructor(filePath, cause) {
+    super(`Corrupted JSON file ${path.basename(filePath)}: ${cause.message}`);
+    this.name = 'CorruptedFileError';
+    this.filePath = filePath;
+    this.cause = cause;
+  }
+}
+
+/**
+ * 条件写入的版本不一致（If-Match / If-None-Match）
+ */
+export class VersionConflictError extends Error {
+  constructor(filePath, current, etag) {
+    super(`Version conflict on ${path.basename(filePath)}`);
+    this.name = 'VersionConflictError';
+    this.filePath = filePath;
+    this.current = current;
+    this.etag = etag;
+  }
+}
+
+/**
+ * 计算 JSON 内容的 ETag（强校验，带引号），内容为 null 时返回 null
+ */
+export function jsonEtag(data) {
+  if (data === null || data === undefined) return null;
+  const hash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('hex');
+  return `"${hash.slice(0, 20)}"`;
+}
+
+/**
+ * 校验 If-Match / If-None-Match 前置条件
+ *
+ * @param {string} filePath - Used in the error only
+ * @param {any} current - Current content, null if the file does not exist
+ * @param {{ ifMatch?: string, ifNoneMatch?: string }} conditions - Raw header values
+ * @throws {VersionConflictError}
+ */
+export function assertVersion(filePath, current, { ifMatch, ifNoneMatch } = {}) {
+  const etag = jsonEtag(current);
+
+  if (ifNoneMatch && ifNoneMatch.trim() === '*' && etag !== null) {
+    throw new VersionConflictError(filePath, current, etag);
+  }
+
+  if (ifMatch) {
+    const accepted = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    const matches = accepted.includes('*') ? etag !== null : accepted.includes(etag);
+    if (!matches) {
+      throw new VersionConflictError(filePath, current, etag);
+    }
+  }
+}
+
+// filePath -> promise that settles when the last queued holder releases
+const fileLocks = new Map();
+let tempCounter = 0;
+
+/**
+ * 在同一文件的进程内锁中执行 fn
+ */
+export async function withFileLock(filePath, fn) {
+  const key = path.resolve(filePath);
+  const previous = fileLocks.get(key) || Promise.resolve();
+
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  fileLocks.set(key, tail);
+
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    if (fileLocks.get(key) === tail) {
+      fileLocks.delete(key);
+    }
+  }
+}
+
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}${TEMP_MARKER}${process.pid}-${++tempCounter}`;
+  let handle = null;
+  try {
+    handle = await fs.open(tempPath, 'w');
+    await handle.writeFile(content, 'utf8');
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+// 仅当现有内容可解析时才更新 .bak，避免用损坏内容覆盖最后的好副本
+async function backupLastGood(filePath) {
+  let content;
+  try {
+    content = await fs.readFile(filePath, 'utf8');
+    JSON.parse(content);
+  } catch (error) {
+    return;
+  }
+  await writeFileAtomic(`${filePath}${BACKUP_SUFFIX}`, content);
+}
+
+async function restoreFromBackup(filePath, parseError) {
+  // 持锁后重读：可能只是读到了其他进程的半成品
+  const content = await fs.readFile(filePath, 'utf8');
+  try {
+    return { data: JSON.parse(content), recovered: false };
+  } catch (error) {
+    // still corrupted
+  }
+
+  let backupContent;
+  let data;
+  try {
+    backupContent = await fs.readFile(`${filePath}${BACKUP_SUFFIX}`, 'utf8');
+    data = JSON.parse(backupContent);
+  } catch (error) {
+    throw new CorruptedFileError(filePath, parseError);
+  }
+
+  const quarantinePath = `${filePath}${CORRUPT_MARKER}${Date.now()}`;
+  await fs.rename(filePath, quarantinePath);
+  await writeFileAtomic(filePath, backupContent);
+  console.warn(`[jsonFile] ${path.basename(filePath)} 已损坏，已从备份恢复 (损坏文件: ${path.basename(quarantinePath)})`);
+
+  return { data, recovered: true, quarantinePath };
+}
+
+async function readUnlocked(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  try {
+    return { data: JSON.parse(content), recovered: false };
+  } catch (parseError) {
+    return restoreFromBackup(filePath, parseError);
+  }
+}
+
+/**
+ * 读取 JSON 文件，损坏时从备份恢复
+ *
+ * @returns {Promise<{ data: any, recovered: boolean, quarantinePath?: string }>}
+ * @throws {CorruptedFileError} when the file is corrupted and no good copy exists
+ */
+export async function readJsonFileWithStatus(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  try {
+    return { data: JSON.parse(content), recovered: false };
+  } catch (parseError) {
+    return withFileLock(filePath, () => restoreFromBackup(filePath, parseError));
+  }
+}
+
+/**
+ * 读取 JSON 文件，损坏时从备份恢复
+ */
+export async function readJsonFile(filePath) {
+  const { data } = await readJsonFileWithStatus(filePath);
+  return data;
+}
+
+/**
+ * 原子写入 JSON 文件
+ */
+export async function writeJsonFile(filePath, data) {
+  const content = JSON.stringify(data, null, 2);
+  return withFileLock(filePath, async () => {
+    await backupLastGood(filePath);
+    await writeFileAtomic(filePath, content);
+  });
+}
+
+/**
+ * 在锁内读取-修改-写回
+ *
+ * @param {Function} updater - (current) => next; current is null if the file does not exist
+ * @returns {Promise<any>} The written data
+ */
+export async function updateJsonFile(filePath, updater) {
+  return withFileLock(filePath, async () => {
+    let current = null;
+    try {
+      current = (await readUnlocked(filePath)).data;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const next = await updater(current);
+    await backupLastGood(filePath);
+    await writeFileAtomic(filePath, JSON.stringify(next, null, 2));
+    return next;
+  });
+}
+
+/**
+ * 删除 JSON 文件及其备份
+ *
+ * @throws ENOENT if the file does not exist
+ */
+export async function removeJsonFile(filePath) {
+  return withFileLock(filePath, async () => {
+    await fs.unlink(filePath);
+    await fs.unlink(`${filePath}${BACKUP_SUFFIX}`).catch(() => {});
+  });
+}
+
+/**
+ * 清理崩溃遗留的临时文件
+ *
+ * Only temp files older than `maxAgeMs` are removed, so an in-flight write
+ * from the other server process sharing the directory is left alone.
+ *
+ * @returns {Promise<number>} Number of removed temp files
+ */
+export async function cleanupTempFiles(dir, maxAgeMs = 60 * 1000) {
+  let removed = 0;
+  const entries = await fs.readdir(dir);
+  for (const name of entries) {
+    if (!name.includes(TEMP_MARKER)) continue;
+    const filePath = path.join(dir, name);
+    try {
+      const stats = await fs.stat(filePath);
+      if (Date.now() - stats.mtimeMs >= maxAgeMs) {
+        await fs.unlink(filePath);
+        removed++;
+      }
+    } catch (error) {
+      // already renamed or removed
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,253 @@
+/**
+ * 旧版存储服务器（server.js）的兼容路由
+ *
+ * server.js used to run as a second Express server on `ports.storage` with
+ * its own copies of the plant deletion, stats and health routes. Those now
+ * live only in backend-server.js; this router keeps the endpoints that were
+ * unique to it, with the same response shapes:
+ *
+ * - POST /api/save-annotations, GET /api/load-annotations,
+ *   GET /api/annotation-stats, GET /api/export-annotations
+ *   (the whole-project plant_annotations.json file)
+ * - POST /api/save-image-annotation, GET /api/load-image-annotations
+ *   (per-image annotations, stored and revision-logged like
+ *   POST /api/annotation/:imageId). Saves must send `If-Match` with the
+ *   ETag from the load response, or `If-None-Match: *` for a new image;
+ *   without either they are rejected with 428.
+ *
+ * New clients should use /api/v2 (backend/apiV2.js).
+ */
+
+import express from 'express';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { readJsonFile, writeJsonFile, jsonEtag, VersionConflictError } from './jsonFile.js';
+import { createParamRules, validateBody, ValidationError } from './validation.js';
+import { getRevisionMeta, getPreconditions, getClientId } from './requestInfo.js';
+
+const BULK_FILE_NAME = 'plant_annotations.json';
+
+/**
+ * 版本冲突：返回 409 和服务器上的当前内容，由客户端合并
+ */
+export function sendVersionConflict(res, error) {
+  if (error.etag) {
+    res.set('ETag', error.etag);
+  }
+  res.status(409).json({
+    success: false,
+    conflict: true,
+    error: '标注已被其他人修改',
+    etag: error.etag,
+    serverData: error.current
+  });
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.config - Project config
+ * @param {Object} options.storage - backend/storage driver
+ * @param {import('./annotationService.js').AnnotationService} options.annotations
+ */
+export function createLegacyRouter({ config, storage, annotations }) {
+  const router = express.Router();
+  const bulkFilePath = path.join(config.annotationsDir, BULK_FILE_NAME);
+  const checkImageId = createParamRules(config).imageId;
+
+  /**
+   * 保存标注数据到文件
+   */
+  router.post('/save-annotations', validateBody('bulk-annotations-request'), async (req, res) => {
+    try {
+      const annotationData = req.body;
+      await fs.mkdir(config.annotationsDir, { recursive: true });
+
+      // 创建备份
+      try {
+        await fs.access(bulkFilePath);
+        const backupPath = path.join(config.annotationsDir, `plant_annotations_backup_${Date.now()}.json`);
+        await fs.copyFile(bulkFilePath, backupPath);
+      } catch (error) {
+        // 文件不存在，无需备份
+      }
+
+      await writeJsonFile(bulkFilePath, annotationData);
+
+      console.log(`保存了 ${annotationData.totalPlants} 个植物的标注数据`);
+
+      res.json({
+        success: true,
+        message: '标注数据保存成功',
+        timestamp: new Date().toISOString(),
+        totalPlants: annotationData.totalPlants
+      });
+    } catch (error) {
+      console.error('保存标注数据失败:', error);
+      res.status(500).json({
+        success: false,
+        error: '保存标注数据失败',
+        details: error.message
+      });
+    }
+  });
+
+  /**
+   * 加载标注数据
+   */
+  router.get('/load-annotations', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await readJsonFile(bulkFilePath)
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.json({
+          success: true,
+          data: { annotations: {} },
+          message: '标注文件不存在，返回空数据'
+        });
+      }
+      console.error('加载标注数据失败:', error);
+      res.status(500).json({
+        success: false,
+        error: '加载标注数据失败',
+        details: error.message
+      });
+    }
+  });
+
+  /**
+   * 获取标注统计信息
+   */
+  router.get('/annotation-stats', async (req, res) => {
+    try {
+      const annotationData = await readJsonFile(bulkFilePath);
+      res.json({
+        success: true,
+        stats: {
+          totalPlants: annotationData.totalPlants || 0,
+          lastSaved: annotationData.saveTime,
+          annotationCount: Object.keys(annotationData.annotations || {}).length,
+          completedPlants: Object.values(annotationData.annotations || {})
+            .filter(plant => plant.annotations && plant.annotations.length > 0).length
+        }
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.json({
+          success: true,
+          stats: { totalPlants: 0, annotationCount: 0, completedPlants: 0 }
+        });
+      }
+      console.error('获取标注统计失败:', error);
+      res.status(500).json({
+        success: false,
+        error: '获取标注统计失败',
+        details: error.message
+      });
+    }
+  });
+
+  /**
+   * 导出标注数据
+   */
+  router.get('/export-annotations', async (req, res) => {
+    try {
+      const annotationData = await readJsonFile(bulkFilePath);
+
+      // 设置下载头
+      const filename = `plant_annotations_${new Date().toISOString().split('T')[0]}.json`;
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.setHeader('Content-Type', 'application/json');
+
+      res.send(JSON.stringify(annotationData, null, 2));
+    } catch (error) {
+      console.error('导出标注数据失败:', error);
+      res.status(500).json({
+        success: false,
+        error: '导出标注数据失败',
+        details: error.message
+      });
+    }
+  });
+
+  /**
+   * 保存单张图像的标注（AnnotationStorageManager 的服务器模式）
+   */
+  router.post('/save-image-annotation', validateBody('save-image-annotation-request'), async (req, res, next) => {
+    try {
+      const { imageId, annotationData } = req.body;
+      const message = checkImageId(imageId);
+      if (message) {
+        throw new ValidationError(message, [{ location: 'body', field: '/imageId', message }]);
+      }
+      if (annotationData.imageId && annotationData.imageId !== imageId) {
+        throw new ValidationError('标注数据属于其他图像', [
+          { location: 'body', field: '/annotationData/imageId', message: `must be ${imageId}` }
+        ]);
+      }
+
+      // 没有版本条件的保存会覆盖其他人的修改
+      const preconditions = getPreconditions(req);
+      if (!preconditions.ifMatch && !preconditions.ifNoneMatch) {
+        return res.status(428).json({
+          success: false,
+          error: '保存需要 If-Match（读取时的 ETag）或 If-None-Match: * 请求头'
+        });
+      }
+
+      const { etag, revision } = await annotations.save(imageId, annotationData, {
+        preconditions,
+        meta: { ...getRevisionMeta(req), source: 'legacy-storage-api' },
+        clientId: getClientId(req)
+      });
+
+      res.set('ETag', etag);
+      res.json({
+        success: true,
+        message: `保存标注文件: ${imageId}.json`,
+        revision: revision.revision,
+        etag
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return next(error);
+      }
+      if (error instanceof VersionConflictError) {
+        return sendVersionConflict(res, error);
+      }
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * 加载全部图像的标注，格式为 { imageAnnotations: { [imageId]: annotationData }, etags: { [imageId]: etag } }
+   */
+  router.get('/load-image-annotations', async (req, res) => {
+    try {
+      const { entries } = await storage.loadAllAnnotations();
+      const imageAnnotations = {};
+      const etags = {};
+      for (const { imageId, data } of entries) {
+        imageAnnotations[imageId] = data;
+        etags[imageId] = jsonEtag(data);
+      }
+
+      res.json({
+        success: true,
+        data: { imageAnnotations, etags }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+}
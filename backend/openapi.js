@@ -0,0 +1,248 @@
+/**
+ * 由路由表生成 OpenAPI 3.1 文档
+ *
+ * The v2 route table (backend/apiV2.js) and the request schemas
+ * (backend/schemas.js) are the source of truth; this module only
+ * translates them, so the document cannot drift from what the server
+ * accepts. Served at GET /api/v2/openapi.json.
+ */
+
+import { SCHEMAS } from './schemas.js';
+import { NOTE_ID_REGEX } from './validation.js';
+import { ANNOTATOR_HEADER } from '../src/utils/AnnotatorIdentity.js';
+
+const SCHEMA_REF_PREFIX = '#/components/schemas/';
+
+// 路径参数的说明（未列出的按非负整数处理）
+const PATH_PARAMETERS = {
+  plantId: config => ({ type: 'string', pattern: config.plantIdPattern }),
+  imageId: () => ({ type: 'string', description: '<plantId>_<view>_<fileName>' }),
+  noteId: () => ({ type: 'string', pattern: NOTE_ID_REGEX.source })
+};
+
+const WRITE_METHODS = ['put', 'post', 'patch', 'delete'];
+
+/**
+ * Express 路径转为 OpenAPI 路径（`:plantId` -> `{plantId}`）
+ */
+export function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+}
+
+/**
+ * 把 schemas.js 中按 $id 的引用改为组件引用，并去掉 $id
+ */
+export function toComponentSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toComponentSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === '$id') continue;
+    result[key] = key === '$ref' ? `${SCHEMA_REF_PREFIX}${value}` : toComponentSchema(value);
+  }
+  return result;
+}
+
+function getPathParameters(route, config) {
+  return [...route.path.matchAll(/:([A-Za-z0-9_]+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: PATH_PARAMETERS[name]?.(config) ?? { type: 'integer', minimum: 0 }
+  }));
+}
+
+function getQueryParameters(route, querySchema) {
+  const { properties } = querySchema;
+  const descriptions = route.query || {};
+  return Object.entries(properties).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    required: false,
+    schema,
+    ...(descriptions[name]?.description && { description: descriptions[name].description })
+  }));
+}
+
+function getHeaderParameters(route) {
+  if (!WRITE_METHODS.includes(route.method)) {
+    return [];
+  }
+  const headers = [{
+    name: ANNOTATOR_HEADER,
+    in: 'header',
+    required: false,
+    schema: { type: 'string' },
+    description: 'Annotator name (URI-encoded), recorded as createdBy/modifiedBy and revision author'
+  }];
+  if (route.path.endsWith('/annotation') && route.method !== 'post') {
+    headers.push({
+      name: 'If-Match',
+      in: 'header',
+      required: false,
+      schema: { type: 'string' },
+      description: 'ETag of the version being replaced; 409 if the annotation changed since'
+    });
+  }
+  return headers;
+}
+
+function getResponses(route) {
+  const status = String(route.status || 200);
+  const responses = {};
+
+  if (route.raw) {
+    responses[status] = { description: route.responseDescription || 'File or document' };
+  } else if (status === '204') {
+    responses['204'] = { description: 'Deleted' };
+  } else {
+    responses[status] = {
+      description: route.paginated ? 'One page of results' : 'Success',
+      content: {
+        'application/json': {
+          schema: { $ref: `${SCHEMA_REF_PREFIX}${route.paginated ? 'PageEnvelope' : 'DataEnvelope'}` }
+        }
+      }
+    };
+  }
+
+  responses['400'] = { $ref: '#/components/responses/BadRequest' };
+  if (route.path.includes(':')) {
+    responses['404'] = { $ref: '#/components/responses/NotFound' };
+  }
+  if (route.path.endsWith('/annotation') && WRITE_METHODS.includes(route.method)) {
+    responses['409'] = { $ref: '#/components/responses/Conflict' };
+  }
+  if ((route.path.includes('/review') || route.path.endsWith('/status')) && WRITE_METHODS.includes(route.method)) {
+    responses['403'] = { $ref: '#/components/responses/Forbidden' };
+  }
+  if (route.path.includes('/assignment') && WRITE_METHODS.includes(route.method)) {
+    responses['409'] = { $ref: '#/components/responses/LeaseConflict' };
+  }
+  responses.default = { $ref: '#/components/responses/Error' };
+  return responses;
+}
+
+function errorResponse(description) {
+  return {
+    description,
+    content: { 'application/json': { schema: { $ref: `${SCHEMA_REF_PREFIX}ErrorEnvelope` } } }
+  };
+}
+
+/**
+ * 生成 OpenAPI 文档
+ *
+ * @param {Array<Object>} routes - API_V2_ROUTES
+ * @param {Object} options
+ * @param {Object} options.config - Project config (plant ID pattern, backend port)
+ * @param {string} options.version - API version
+ * @param {Function} options.getQuerySchema - Route -> JSON Schema of its query string
+ */
+export function buildOpenApiDocument(routes, { config, version, getQuerySchema }) {
+  const paths = {};
+
+  for (const route of routes) {
+    const openApiPath = toOpenApiPath(route.path);
+    const operation = {
+      operationId: route.operationId,
+      summary: route.summary,
+      tags: route.tags,
+      parameters: [
+        ...getPathParameters(route, config),
+        ...getQueryParameters(route, getQuerySchema(route)),
+        ...getHeaderParameters(route)
+      ],
+      responses: getResponses(route)
+    };
+    if (route.body) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: { $ref: `${SCHEMA_REF_PREFIX}${route.body}` } } }
+      };
+    }
+    paths[openApiPath] = { ...paths[openApiPath], [route.method]: operation };
+  }
+
+  const schemas = Object.fromEntries(SCHEMAS.map(schema => [schema.$id, toComponentSchema(schema)]));
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Plant Annotation API',
+      version,
+      description: 'Plants, images, annotations, revisions and notes of one dataset. ' +
+        'Errors use { error: { code, message, details } }; lists are paginated with limit/offset.'
+    },
+    servers: [{ url: '/api/v2' }],
+    tags: [...new Set(routes.flatMap(route => route.tags))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas: {
+        ...schemas,
+        DataEnvelope: {
+          type: 'object',
+          required: ['data'],
+          properties: { data: {}, meta: { type: 'object' } }
+        },
+        PageEnvelope: {
+          type: 'object',
+          required: ['data', 'meta'],
+          properties: {
+            data: { type: 'array' },
+            meta: {
+              type: 'object',
+              required: ['total', 'limit', 'offset'],
+              properties: {
+                total: { type: 'integer' },
+                limit: { type: 'integer' },
+                offset: { type: 'integer' }
+              }
+            }
+          }
+        },
+        ErrorEnvelope: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: {
+                  enum: ['VALIDATION_ERROR', 'INVALID_JSON', 'NOT_FOUND', 'FORBIDDEN', 'VERSION_CONFLICT', 'LEASE_CONFLICT', 'NOT_IMPLEMENTED', 'INTERNAL_ERROR']
+                },
+                message: { type: 'string' },
+                details: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      location: { type: 'string' },
+                      field: { type: 'string' },
+                      message: { type: 'string' }
+                    }
+                  }
+                },
+                etag: { type: ['string', 'null'] },
+                current: {}
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        BadRequest: errorResponse('Invalid parameters, query or body (VALIDATION_ERROR, INVALID_JSON)'),
+        NotFound: errorResponse('Resource does not exist (NOT_FOUND)'),
+        Forbidden: errorResponse('Only reviewers may start or decide a review and judge keypoints (FORBIDDEN)'),
+        Conflict: errorResponse('The annotation changed since the If-Match version (VERSION_CONFLICT)'),
+        LeaseConflict: errorResponse('Another annotator holds the plant; `current` is their lease (LEASE_CONFLICT)'),
+        Error: errorResponse('Unexpected error')
+      }
+    }
+  };
+}
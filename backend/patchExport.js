@@ -0,0 +1,165 @@
+/**
+ * 训练图块导出
+ *
+ * Crops a window around every annotation of the annotated images for
+ * POST /api/v2/exports/patches, to train keypoint and region classifiers:
+ *
+ *   <outputDir>/patches/<customTypeId>/<image>_o<order>.<format>
+ *   <outputDir>/patches/negative/<image>_n<i>.<format>   optional negatives
+ *   <outputDir>/manifest.csv                             one row per crop
+ *
+ * The windows are described in src/utils/PatchSampling.js; the part of a
+ * window outside the image is filled with black. Each image is decoded
+ * once. Skipped plants are left out and relative output paths start at the
+ * dataset root. Requires the optional `sharp` dependency.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ValidationError } from './validation.js';
+import { resolveOutputDir, prepareOutputDir, loadExportImages } from './exportFiles.js';
+import { toCsv } from '../src/utils/Csv.js';
+import { getKeypointTypeId } from '../src/utils/AnnotationAgreement.js';
+import {
+  DEFAULT_PATCH_SIZE,
+  PATCH_MANIFEST_COLUMNS,
+  planImagePatches,
+  patchLabelDirectory,
+  buildManifestRow
+} from '../src/utils/PatchSampling.js';
+
+const PATCHES_DIR = 'patches';
+const MANIFEST_FILE = 'manifest.csv';
+// 覆盖时只删除导出自己写入的内容
+const OUTPUT_ENTRIES = [PATCHES_DIR, MANIFEST_FILE];
+const FILL = { r: 0, g: 0, b: 0, alpha: 1 };
+
+/**
+ * 裁剪并写出一个图块
+ */
+async function writePatch(sharp, decoded, patch, { outputSize, format, target }) {
+  const { extract, extend } = patch.clip;
+  let pipeline = sharp(decoded.data, { raw: decoded.info }).extract(extract);
+  if (Object.values(extend).some(value => value > 0)) {
+    pipeline = pipeline.extend({ ...extend, background: FILL });
+  }
+  if (outputSize) {
+    // sharp 先缩放后填充，所以缩放前先取出裁剪结果
+    const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+    pipeline = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } })
+      .resize(outputSize, outputSize, { fit: 'contain', background: FILL });
+  }
+  await pipeline.toFormat(format).toFile(target);
+}
+
+/**
+ * 导出训练图块
+ *
+ * @param {Object} request
+ * @param {string} request.outputDir - Target directory, relative to the exports directory
+ * @param {number} [request.size] - Window size around keypoints (and of negatives), in pixels
+ * @param {number} [request.regionPadding] - Pixels added around region boxes
+ * @param {number|null} [request.outputSize] - Scale every crop into this square; null keeps the window size
+ * @param {string[]} [request.typeIds] - Only these annotation types
+ * @param {number} [request.negatives] - Negative samples per image
+ * @param {number} [request.minNegativeDistance] - From negative centres to keypoints, defaults to size
+ * @param {number} [request.seed] - Seed of the negative positions
+ * @param {string[]} [request.plantIds] - Only these plants
+ * @param {'png'|'jpeg'} [request.format]
+ * @param {boolean} [request.overwrite] - Replace an earlier export in outputDir
+ * @param {Object} services - { config, dataset, storage, annotations, imageCache }
+ */
+export async function exportTrainingPatches(request, services) {
+  const {
+    size = DEFAULT_PATCH_SIZE,
+    regionPadding = 0,
+    outputSize = null,
+    typeIds = null,
+    negatives = 0,
+    minNegativeDistance = size,
+    seed = 0,
+    plantIds = null,
+    format = 'png',
+    overwrite = false
+  } = request;
+  const { config, dataset, imageCache } = services;
+  const sharp = imageCache.sharp;
+  const outputDir = resolveOutputDir(config, request.outputDir);
+
+  const { images, skippedPlants } = await loadExportImages(services, plantIds);
+  const hasAnnotations = images.some(image => image.keypoints.some(keypoint => !typeIds || typeIds.includes(getKeypointTypeId(keypoint))));
+  if (!hasAnnotations && negatives === 0) {
+    throw new ValidationError('没有可导出的图块', [
+      { location: 'body', field: typeIds ? 'typeIds' : 'plantIds', message: 'No annotations of the selected types in the selected plants' }
+    ]);
+  }
+
+  await prepareOutputDir(outputDir, { config, overwrite, entries: OUTPUT_ENTRIES, exportName: 'Patch' });
+
+  const labels = {};
+  const rows = [];
+  const skippedImages = [];
+  let skippedKeypoints = 0;
+  let exportedImages = 0;
+  const createdDirs = new Set();
+
+  for (const { imageId, plantId, keypoints } of images) {
+    const imagePath = dataset.getImagePathById(imageId);
+    const stats = imagePath && await fs.stat(imagePath).catch(() => null);
+    if (!stats?.isFile()) {
+      skippedImages.push({ imageId, reason: 'Image file not found' });
+      continue;
+    }
+
+    let decoded;
+    try {
+      const { data, info } = await sharp(imagePath).raw().toBuffer({ resolveWithObject: true });
+      decoded = { data, info: { width: info.width, height: info.height, channels: info.channels } };
+    } catch (error) {
+      skippedImages.push({ imageId, reason: `Image could not be decoded: ${error.message}` });
+      continue;
+    }
+
+    const { patches, skippedKeypoints: outside } = planImagePatches(keypoints, {
+      imageId,
+      width: decoded.info.width,
+      height: decoded.info.height,
+      size,
+      regionPadding,
+      typeIds,
+      negatives,
+      minNegativeDistance,
+      seed
+    });
+    skippedKeypoints += outside;
+
+    const { viewAngle = '' } = dataset.parseImageId(imageId) || {};
+    for (const patch of patches) {
+      const directory = patchLabelDirectory(patch.label);
+      if (!createdDirs.has(directory)) {
+        await fs.mkdir(path.join(outputDir, PATCHES_DIR, directory), { recursive: true });
+        createdDirs.add(directory);
+      }
+      const file = `${PATCHES_DIR}/${directory}/${patch.name}.${format === 'jpeg' ? 'jpg' : format}`;
+      await writePatch(sharp, decoded, patch, { outputSize, format, target: path.join(outputDir, file) });
+      rows.push(buildManifestRow(patch, { file, plantId, viewAngle, imageId }));
+      labels[patch.label] = (labels[patch.label] || 0) + 1;
+    }
+    if (patches.length > 0) exportedImages++;
+  }
+
+  await fs.writeFile(path.join(outputDir, MANIFEST_FILE), toCsv(PATCH_MANIFEST_COLUMNS, rows));
+
+  return {
+    outputDir,
+    format,
+    size,
+    outputSize,
+    images: exportedImages,
+    patches: rows.length,
+    labels,
+    skippedPlants,
+    skippedImages,
+    skippedKeypoints
+  };
+}
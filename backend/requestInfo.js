@@ -0,0 +1,49 @@
+/**
+ * 从请求中读取标注者、修订来源、条件写入的前置条件和客户端ID
+ *
+ * Shared by the legacy routes and /api/v2.
+ */
+
+import {
+  ANNOTATOR_HEADER,
+  UNKNOWN_ANNOTATOR,
+  decodeAnnotatorHeader,
+  normalizeAnnotatorName
+} from '../src/utils/AnnotatorIdentity.js';
+import { CLIENT_ID_HEADER, normalizeClientId } from '../src/utils/ChangeEvents.js';
+
+/**
+ * 当前请求的标注者（X-Annotator 请求头优先，其次是请求体中的 author）
+ */
+export function getAnnotator(req) {
+  return decodeAnnotatorHeader(req.get(ANNOTATOR_HEADER)) ||
+    normalizeAnnotatorName(req.body?.author) ||
+    UNKNOWN_ANNOTATOR;
+}
+
+/**
+ * 修订记录的作者和来源
+ */
+export function getRevisionMeta(req) {
+  return {
+    author: getAnnotator(req),
+    source: req.body?.source || req.get('X-Change-Source') || 'api'
+  };
+}
+
+/**
+ * 条件写入的前置条件（乐观并发控制）
+ */
+export function getPreconditions(req) {
+  return {
+    ifMatch: req.get('If-Match'),
+    ifNoneMatch: req.get('If-None-Match')
+  };
+}
+
+/**
+ * 发起请求的浏览器标签页（变更通知中用于识别自己的写入），没有时为 null
+ */
+export function getClientId(req) {
+  return normalizeClientId(req.get(CLIENT_ID_HEADER));
+}
@@ -0,0 +1,186 @@
+/**
+ * 标注修订历史
+ *
+ * Append-only log per image at `<annotationsDir>/history/<imageId>.jsonl`.
+ * Each line is one revision holding a full snapshot of the annotation file,
+ * so any revision can be restored on its own:
+ *
+ *   { revision, timestamp, action, author, source, restoredFrom?, summary, data }
+ *
+ * `action` is `baseline` (content found on disk before history existed),
+ * `save`, `delete` or `restore`. `data` is null for deletions.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { withFileLock } from './jsonFile.js';
+import { resolveWithin } from './validation.js';
+import { diffAnnotations, summarizeDiff } from '../src/utils/AnnotationDiff.js';
+
+export const HISTORY_DIR_NAME = 'history';
+
+export class RevisionLog {
+  constructor(annotationsDir) {
+    this.historyDir = path.join(annotationsDir, HISTORY_DIR_NAME);
+    // imageId -> { size, last, needsNewline }：最新修订及其对应的日志大小
+    this.latest = new Map();
+  }
+
+  getLogPath(imageId) {
+    return resolveWithin(this.historyDir, `${imageId}.jsonl`);
+  }
+
+  async readRaw(imageId) {
+    try {
+      return await fs.readFile(this.getLogPath(imageId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return '';
+      throw error;
+    }
+  }
+
+  parseEntries(raw, imageId) {
+    const entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // 崩溃时可能留下半行，跳过
+        console.warn(`[RevisionLog] 跳过无法解析的修订记录 (${imageId})`);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * 最新修订，只在日志大小变化时（首次读取或其他进程追加过）重新解析
+   *
+   * @returns {Promise<{ size: number, last: Object|null, needsNewline: boolean }>}
+   */
+  async readLatest(imageId) {
+    let size;
+    try {
+      ({ size } = await fs.stat(this.getLogPath(imageId)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      size = 0;
+    }
+
+    const cached = this.latest.get(imageId);
+    if (cached && cached.size === size) return cached;
+
+    const raw = await this.readRaw(imageId);
+    const entries = this.parseEntries(raw, imageId);
+    const latest = {
+      size: Buffer.byteLength(raw, 'utf8'),
+      last: entries[entries.length - 1] || null,
+      // 上次追加若被中断，先补换行再写
+      needsNewline: raw !== '' && !raw.endsWith('\n')
+    };
+    this.latest.set(imageId, latest);
+    return latest;
+  }
+
+  /**
+   * 读取图像的全部修订（按修订号升序）
+   */
+  async list(imageId) {
+    return this.parseEntries(await this.readRaw(imageId), imageId);
+  }
+
+  /**
+   * 读取指定修订，不存在时返回 null
+   */
+  async get(imageId, revision) {
+    const entries = await this.list(imageId);
+    return entries.find(entry => entry.revision === revision) || null;
+  }
+
+  /**
+   * 在日志锁内写入标注文件并追加修订
+   *
+   * `write` performs the actual file change and returns
+   * `{ previous, next }` — the annotation data before and after (null when
+   * absent). Holding the log lock across both keeps revision order equal to
+   * write order for concurrent saves of the same image.
+   *
+   * @param {string} imageId
+   * @param {{ action: string, author?: string, source?: string, restoredFrom?: number }} meta
+   * @param {Function} write - async () => ({ previous, next })
+   * A `save` or `migrate` that changes no keypoint is not recorded.
+   *
+   * @returns {Promise<Object>} The appended (or unchanged latest) revision, without data
+   */
+  async record(imageId, meta, write) {
+    const logPath = this.getLogPath(imageId);
+
+    return withFileLock(logPath, async () => {
+      await fs.mkdir(this.historyDir, { recursive: true });
+
+      const latest = await this.readLatest(imageId);
+      const { previous, next } = await write();
+
+      const lines = [];
+      let last = latest.last;
+      let revision = last ? last.revision : 0;
+
+      // 首次记录时保留磁盘上已有的内容，否则第一次覆盖就无法找回
+      if (!last && previous) {
+        last = this.createEntry(++revision, { action: 'baseline', author: 'unknown', source: 'disk' }, null, previous);
+        lines.push(last);
+      }
+
+      const entry = this.createEntry(revision + 1, meta, last ? last.data : null, next);
+      const { added, removed, changed } = entry.summary;
+      // 切换图像时的自动保存经常没有实际改动，只补写 schemaVersion 的迁移也一样，不为其追加修订
+      const unchanged = ['save', 'migrate'].includes(meta.action) && last && last.data && added + removed + changed === 0;
+      if (!unchanged) {
+        lines.push(entry);
+      }
+
+      if (lines.length > 0) {
+        const text = (latest.needsNewline ? '\n' : '') + lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+        this.latest.delete(imageId);
+        await fs.appendFile(logPath, text, 'utf8');
+        this.latest.set(imageId, {
+          size: latest.size + Buffer.byteLength(text, 'utf8'),
+          last: lines[lines.length - 1],
+          needsNewline: false
+        });
+      }
+      if (unchanged) {
+        // 文件已按 next 重写但没有追加修订：缓存的最新快照改为磁盘上的内容，之后的比较以它为准
+        const cached = this.latest.get(imageId);
+        this.latest.set(imageId, { ...cached, last: { ...cached.last, data: next } });
+      }
+
+      return RevisionLog.withoutData(unchanged ? last : entry);
+    });
+  }
+
+  createEntry(revision, meta, previousData, data) {
+    const summary = summarizeDiff(diffAnnotations(previousData?.annotations, data?.annotations));
+    return {
+      revision,
+      timestamp: new Date().toISOString(),
+      action: meta.action,
+      author: meta.author || 'unknown',
+      source: meta.source || 'api',
+      ...(meta.restoredFrom !== undefined && { restoredFrom: meta.restoredFrom }),
+      summary: {
+        ...summary,
+        total: data?.annotations?.length || 0
+      },
+      data: data || null
+    };
+  }
+
+  /**
+   * 修订元数据（列表接口不返回快照）
+   */
+  static withoutData(entry) {
+    const { data, ...meta } = entry;
+    return meta;
+  }
+}
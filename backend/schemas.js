@@ -0,0 +1,350 @@
+/**
+ * 请求体和查询参数的 JSON Schema
+ *
+ * Used by backend/validation.js (Ajv) to check request input before a
+ * route handler runs. The schemas describe what the frontend sends and stay
+ * permissive about extra properties on stored documents, because annotation
+ * files and skip info carry fields added by older versions of the tool.
+ */
+
+import { MAX_ANNOTATOR_LENGTH } from '../src/utils/AnnotatorIdentity.js';
+import { REVIEW_STATUSES, REVIEW_VERDICTS } from '../src/utils/ReviewWorkflow.js';
+import { YOLO_TASKS, YOLO_SPLITS } from '../src/utils/YoloFormat.js';
+import { PATCH_FORMATS } from '../src/utils/PatchSampling.js';
+import { INTEGRITY_FINDING_KINDS, INTEGRITY_ACTION_LABELS } from '../src/utils/DatasetIntegrity.js';
+
+export const PLANT_STATUSES = ['pending', 'in-progress', 'completed', 'skipped', ...Object.values(REVIEW_STATUSES)];
+// 不再需要标注的状态（分配队列会跳过这些植物并释放其租约）；changes-requested 需要返工
+export const CLOSED_PLANT_STATUSES = [
+  'completed',
+  'skipped',
+  REVIEW_STATUSES.SUBMITTED,
+  REVIEW_STATUSES.IN_REVIEW,
+  REVIEW_STATUSES.APPROVED
+];
+export const NOTE_TYPES = ['general', 'observation', 'annotation'];
+
+// 与 NoteManager.validateNoteData 的限制一致
+const MAX_NOTE_TITLE_LENGTH = 100;
+const MAX_NOTE_CONTENT_LENGTH = 5000;
+const MAX_TAG_LENGTH = 50;
+const MAX_KEYPOINTS_PER_IMAGE = 10000;
+const MAX_REVIEW_COMMENT_LENGTH = 2000;
+
+const timestamp = { type: 'string', maxLength: 64 };
+const annotator = { type: 'string', maxLength: MAX_ANNOTATOR_LENGTH };
+
+// 单个标注点
+export const keypointSchema = {
+  $id: 'keypoint',
+  type: 'object',
+  required: ['x', 'y'],
+  properties: {
+    id: { type: ['number', 'string'] },
+    x: { type: 'number' },
+    y: { type: 'number' },
+    // null 表示无序号标注（Ctrl + 点击）
+    order: { type: ['integer', 'null'], minimum: 0 },
+    // 角度（度），旧数据为 'left' / 'right'，null 表示无方向
+    direction: { type: ['number', 'string', 'null'] },
+    directionType: { type: ['string', 'null'] },
+    annotationType: { type: 'string', maxLength: 64 },
+    customTypeId: { type: ['string', 'null'], maxLength: 128 },
+    width: { type: 'number', minimum: 0 },
+    height: { type: 'number', minimum: 0 },
+    timestamp,
+    createdBy: annotator,
+    modifiedBy: annotator
+  }
+};
+
+// 每张图像的标注文档
+export const annotationDocumentSchema = {
+  $id: 'annotation-document',
+  type: 'object',
+  required: ['annotations'],
+  properties: {
+    plantId: { type: ['string', 'null'] },
+    imageId: { type: ['string', 'null'] },
+    annotations: {
+      type: 'array',
+      maxItems: MAX_KEYPOINTS_PER_IMAGE,
+      items: { $ref: 'keypoint' }
+    },
+    timestamp,
+    version: { type: ['string', 'number'] },
+    // 格式版本（src/utils/AnnotationMigrations.js），没有时为 0
+    schemaVersion: { type: 'integer', minimum: 0 },
+    // true：本图像的标注是手动标注/调整的；false：从前面的时间点传播
+    isManualAdjustment: { type: 'boolean' }
+  }
+};
+
+// POST /api/annotation/:imageId
+export const saveAnnotationRequestSchema = {
+  $id: 'save-annotation-request',
+  type: 'object',
+  required: ['annotationData'],
+  properties: {
+    annotationData: { $ref: 'annotation-document' },
+    source: { type: 'string', maxLength: 64 },
+    author: annotator
+  }
+};
+
+// POST /api/save-image-annotation（旧版存储服务器接口）
+export const saveImageAnnotationRequestSchema = {
+  $id: 'save-image-annotation-request',
+  type: 'object',
+  required: ['imageId', 'annotationData'],
+  properties: {
+    imageId: { type: 'string' },
+    annotationData: { $ref: 'annotation-document' },
+    author: annotator
+  }
+};
+
+const noteFields = {
+  title: { type: 'string', pattern: '\\S', maxLength: MAX_NOTE_TITLE_LENGTH },
+  content: { type: 'string', pattern: '\\S', maxLength: MAX_NOTE_CONTENT_LENGTH },
+  noteType: { enum: NOTE_TYPES },
+  tags: {
+    type: 'array',
+    items: { type: 'string', maxLength: MAX_TAG_LENGTH }
+  },
+  author: annotator
+};
+
+// POST /api/notes/plant/:plantId, POST /api/notes/image/:plantId/:imageId
+export const createNoteRequestSchema = {
+  $id: 'create-note-request',
+  type: 'object',
+  required: ['title', 'content'],
+  properties: noteFields,
+  additionalProperties: false
+};
+
+// PUT /api/notes/:noteId（只允许修改内容字段，植物/图像归属和创建者不可改）
+export const updateNoteRequestSchema = {
+  $id: 'update-note-request',
+  type: 'object',
+  minProperties: 1,
+  properties: noteFields,
+  additionalProperties: false
+};
+
+// POST /api/plant-status/:plantId
+export const plantStatusRequestSchema = {
+  $id: 'plant-status-request',
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { enum: PLANT_STATUSES },
+    lastModified: timestamp,
+    // 提交、通过或要求修改时的说明（保存到审核记录）
+    comment: { type: 'string', maxLength: MAX_REVIEW_COMMENT_LENGTH }
+  }
+};
+
+// POST /api/v2/plants/:plantId/review/items（同一标注点再次提交即修改）
+export const reviewItemRequestSchema = {
+  $id: 'review-item-request',
+  type: 'object',
+  required: ['imageId', 'keypointId', 'verdict'],
+  properties: {
+    imageId: { type: 'string', maxLength: 512 },
+    keypointId: { type: ['number', 'string'] },
+    order: { type: 'integer', minimum: 0 },
+    x: { type: 'number' },
+    y: { type: 'number' },
+    verdict: { enum: REVIEW_VERDICTS },
+    comment: { type: 'string', maxLength: MAX_REVIEW_COMMENT_LENGTH }
+  },
+  additionalProperties: false
+};
+
+// PATCH /api/v2/plants/:plantId/review/items/:itemId
+export const updateReviewItemRequestSchema = {
+  $id: 'update-review-item-request',
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    verdict: { enum: REVIEW_VERDICTS },
+    comment: { type: 'string', maxLength: MAX_REVIEW_COMMENT_LENGTH },
+    resolved: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+// 一致性比较的一方：标注者ID或另一个标注目录
+export const agreementSourceSchema = {
+  $id: 'agreement-source',
+  type: 'object',
+  oneOf: [
+    { required: ['annotator'] },
+    { required: ['annotationsDir'] }
+  ],
+  properties: {
+    annotator: { type: 'string', minLength: 1, maxLength: 100 },
+    annotationsDir: { type: 'string', minLength: 1, maxLength: 4096 }
+  },
+  additionalProperties: false
+};
+
+// POST /api/v2/agreement
+export const agreementRequestSchema = {
+  $id: 'agreement-request',
+  type: 'object',
+  required: ['a', 'b'],
+  properties: {
+    a: { $ref: 'agreement-source' },
+    b: { $ref: 'agreement-source' },
+    plantIds: { type: 'array', items: { type: 'string' }, maxItems: 10000 },
+    thresholds: { type: 'array', items: { type: 'number', exclusiveMinimum: 0 }, minItems: 1, maxItems: 20 },
+    maxDistance: { type: 'number', exclusiveMinimum: 0 }
+  },
+  additionalProperties: false
+};
+
+// POST /api/v2/exports/yolo
+export const yoloExportRequestSchema = {
+  $id: 'yolo-export-request',
+  type: 'object',
+  required: ['outputDir'],
+  properties: {
+    outputDir: { type: 'string', minLength: 1, maxLength: 4096 },
+    task: { enum: YOLO_TASKS },
+    mode: { enum: ['symlink', 'copy'] },
+    split: {
+      type: 'object',
+      required: YOLO_SPLITS,
+      properties: Object.fromEntries(YOLO_SPLITS.map(split => [split, { type: 'number', minimum: 0, maximum: 1 }])),
+      additionalProperties: false
+    },
+    seed: { type: 'integer' },
+    plantIds: { type: 'array', items: { type: 'string' }, maxItems: 10000 },
+    padding: { type: 'number', minimum: 0 },
+    typeNames: { type: 'object', additionalProperties: { type: 'string', maxLength: 200 } },
+    overwrite: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+// POST /api/v2/exports/patches
+export const patchExportRequestSchema = {
+  $id: 'patch-export-request',
+  type: 'object',
+  required: ['outputDir'],
+  properties: {
+    outputDir: { type: 'string', minLength: 1, maxLength: 4096 },
+    size: { type: 'integer', minimum: 4, maximum: 4096 },
+    regionPadding: { type: 'number', minimum: 0, maximum: 4096 },
+    outputSize: { type: ['integer', 'null'], minimum: 4, maximum: 4096 },
+    typeIds: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 1000 },
+    negatives: { type: 'integer', minimum: 0, maximum: 1000 },
+    minNegativeDistance: { type: 'number', minimum: 0 },
+    seed: { type: 'integer' },
+    plantIds: { type: 'array', items: { type: 'string' }, maxItems: 10000 },
+    format: { enum: PATCH_FORMATS },
+    overwrite: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+// POST /api/v2/integrity/fixes：GET /api/v2/integrity 返回的检查结果，可带上选择的 action
+export const integrityFixRequestSchema = {
+  $id: 'integrity-fix-request',
+  type: 'object',
+  required: ['findings'],
+  properties: {
+    findings: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 1000,
+      items: {
+        type: 'object',
+        required: ['kind'],
+        properties: {
+          kind: { enum: Object.keys(INTEGRITY_FINDING_KINDS) },
+          action: { enum: Object.keys(INTEGRITY_ACTION_LABELS) }
+        }
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+// 植物跳过信息（PUT /api/v2/plants/:plantId/skip-info 的请求体）
+export const skipInfoSchema = {
+  $id: 'skip-info',
+  type: 'object',
+  properties: {
+    plantId: { type: 'string' },
+    status: { enum: PLANT_STATUSES },
+    skipReason: { type: 'string', maxLength: 1000 },
+    skipDate: timestamp,
+    lastModified: timestamp
+  }
+};
+
+// POST /api/skip-info/:plantId
+export const skipInfoRequestSchema = {
+  $id: 'skip-info-request',
+  type: 'object',
+  required: ['skipData'],
+  properties: {
+    skipData: { $ref: 'skip-info' }
+  }
+};
+
+// POST /api/annotations/bulk（旧版 plant_annotations.json）
+export const bulkAnnotationsRequestSchema = {
+  $id: 'bulk-annotations-request',
+  type: 'object',
+  properties: {
+    totalPlants: { type: 'integer', minimum: 0 }
+  }
+};
+
+// GET /api/notes/search（查询参数只能出现一次）
+export const notesSearchQuerySchema = {
+  $id: 'notes-search-query',
+  type: 'object',
+  properties: {
+    query: { type: 'string', maxLength: 200 },
+    plantId: { type: 'string' },
+    noteType: { type: 'string' },
+    author: annotator
+  }
+};
+
+// GET /api/directory-stats
+export const directoryStatsQuerySchema = {
+  $id: 'directory-stats-query',
+  type: 'object',
+  properties: {
+    dirPath: { type: 'string', maxLength: 4096 }
+  }
+};
+
+export const SCHEMAS = [
+  keypointSchema,
+  annotationDocumentSchema,
+  saveAnnotationRequestSchema,
+  saveImageAnnotationRequestSchema,
+  createNoteRequestSchema,
+  updateNoteRequestSchema,
+  plantStatusRequestSchema,
+  reviewItemRequestSchema,
+  updateReviewItemRequestSchema,
+  agreementSourceSchema,
+  agreementRequestSchema,
+  yoloExportRequestSchema,
+  patchExportRequestSchema,
+  integrityFixRequestSchema,
+  skipInfoSchema,
+  skipInfoRequestSchema,
+  bulkAnnotationsRequestSchema,
+  notesSearchQuerySchema,
+  directoryStatsQuerySchema
+];
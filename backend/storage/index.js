@@ -0,0 +1,94 @@
+/**
+ * 标注存储
+ *
+ * backend-server.js talks to annotations, plant status/skip records and
+ * notes only through a storage driver, selected by `storage.driver` in the
+ * project config:
+ *
+ *   json    one JSON file per document in the annotations directory (default)
+ *   sqlite  a single SQLite database (`storage.sqlitePath`)
+ *
+ * Both drivers expose the same async methods; see jsonStorage.js for the
+ * contract. The revision history (annotations/history/*.jsonl) is kept as
+ * files with either driver.
+ */
+
+import path from 'path';
+import { JsonStorage } from './jsonStorage.js';
+import { PLANT_RECORD_KINDS } from './storageUtils.js';
+
+export const STORAGE_DRIVERS = ['json', 'sqlite'];
+export const DEFAULT_SQLITE_FILE_NAME = 'annotations.sqlite';
+
+/**
+ * SQLite 数据库文件路径（未配置时放在标注目录中）
+ */
+export function getSqlitePath(config) {
+  return config.storage?.sqlitePath || path.join(config.annotationsDir, DEFAULT_SQLITE_FILE_NAME);
+}
+
+/**
+ * 按驱动名创建并初始化存储
+ *
+ * @param {string} driver - 'json' | 'sqlite'
+ * @param {Object} config - Resolved project config (annotationsDir, storage.sqlitePath, plantIdPattern)
+ */
+export async function openStorage(driver, config) {
+  let storage;
+  if (driver === 'json') {
+    storage = new JsonStorage(config.annotationsDir, { plantIdPattern: config.plantIdPattern });
+  } else if (driver === 'sqlite') {
+    // 仅在使用时加载，未安装 better-sqlite3 也不影响 JSON 驱动
+    const { SqliteStorage } = await import('./sqliteStorage.js');
+    storage = new SqliteStorage(getSqlitePath(config), { plantIdPattern: config.plantIdPattern });
+  } else {
+    throw new Error(`Unknown storage driver "${driver}", expected one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  await storage.initialize();
+  return storage;
+}
+
+/**
+ * 按项目配置创建存储
+ */
+export async function createStorage(config) {
+  return openStorage(config.storage?.driver || 'json', config);
+}
+
+/**
+ * 将一个存储的全部内容复制到另一个存储（迁移）
+ *
+ * Existing documents in the target with the same key are overwritten;
+ * documents only present in the target are left alone.
+ *
+ * @param {Object} source
+ * @param {Object} target
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Count only, write nothing
+ * @returns {Promise<{ annotations: number, status: number, skip: number, review: number, notes: number, corrupted: Array }>}
+ */
+export async function copyStorage(source, target, { dryRun = false } = {}) {
+  const stats = { annotations: 0, status: 0, skip: 0, review: 0, notes: 0, corrupted: [] };
+
+  const { entries, corrupted } = await source.loadAllAnnotations();
+  stats.corrupted = corrupted;
+  for (const { imageId, data } of entries) {
+    if (!dryRun) await target.saveAnnotation(imageId, data);
+    stats.annotations++;
+  }
+
+  for (const kind of PLANT_RECORD_KINDS) {
+    for (const { plantId, data } of await source.listPlantRecords(kind)) {
+      if (!dryRun) await target.updatePlantRecord(kind, plantId, () => data);
+      stats[kind]++;
+    }
+  }
+
+  for (const note of await source.listNotes()) {
+    if (!dryRun) await target.saveNote(note);
+    stats.notes++;
+  }
+
+  return stats;
+}
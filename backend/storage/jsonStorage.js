@@ -0,0 +1,301 @@
+/**
+ * JSON 目录存储驱动（默认）
+ *
+ * The original layout of the annotations directory:
+ *
+ *   <imageId>.json              per-image annotation file
+ *   <plantId>_status.json       plant status
+ *   <plantId>_skip_info.json    skip info
+ *   <plantId>_review.json       review verdicts (src/utils/ReviewWorkflow.js)
+ *   note_<noteId>.json          notes
+ *
+ * All writes go through backend/jsonFile.js (atomic, locked, with `.bak`
+ * recovery). Listing and searching scan the directory on every call.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import {
+  readJsonFile,
+  readJsonFileWithStatus,
+  writeJsonFile,
+  updateJsonFile,
+  removeJsonFile,
+  cleanupTempFiles,
+  CorruptedFileError
+} from '../jsonFile.js';
+import {
+  PLANT_RECORD_KINDS,
+  PLANT_RECORD_FILE_SUFFIXES,
+  createPlantIdResolver,
+  matchesNoteFilter
+} from './storageUtils.js';
+import { resolveWithin } from '../validation.js';
+
+const NOTE_PREFIX = 'note_';
+
+/**
+ * 是否为单图像标注文件（排除状态、跳过信息、笔记和旧的汇总/备份文件）
+ */
+export function isAnnotationFileName(name) {
+  if (!name.endsWith('.json')) return false;
+  if (name.startsWith(NOTE_PREFIX)) return false;
+  if (name === 'plant_annotations.json') return false;
+  if (name.includes('_backup_') || name.includes('_deleted_')) return false;
+  return !Object.values(PLANT_RECORD_FILE_SUFFIXES).some(suffix => name.endsWith(suffix));
+}
+
+function isMissing(error) {
+  return error.code === 'ENOENT';
+}
+
+export class JsonStorage {
+  /**
+   * @param {string} annotationsDir
+   * @param {Object} [options]
+   * @param {string} [options.plantIdPattern] - Splits plant IDs that contain `_` off image IDs
+   */
+  constructor(annotationsDir, { plantIdPattern = null } = {}) {
+    this.name = 'json';
+    this.annotationsDir = annotationsDir;
+    this.getPlantId = createPlantIdResolver(plantIdPattern);
+  }
+
+  async initialize() {
+    await fs.mkdir(this.annotationsDir, { recursive: true });
+    // 清理上次崩溃遗留的临时文件
+    const removed = await cleanupTempFiles(this.annotationsDir);
+    if (removed > 0) {
+      console.log(`Removed ${removed} stale temp files from annotations directory`);
+    }
+  }
+
+  async close() {}
+
+  async listFileNames() {
+    try {
+      return await fs.readdir(this.annotationsDir);
+    } catch (error) {
+      if (isMissing(error)) return [];
+      throw error;
+    }
+  }
+
+  // ---------- 标注 ----------
+
+  getAnnotationPath(imageId) {
+    return resolveWithin(this.annotationsDir, `${imageId}.json`);
+  }
+
+  /**
+   * 读取标注，不存在时返回 null
+   *
+   * @throws {CorruptedFileError}
+   */
+  async getAnnotation(imageId) {
+    try {
+      return await readJsonFile(this.getAnnotationPath(imageId));
+    } catch (error) {
+      if (isMissing(error)) return null;
+      throw error;
+    }
+  }
+
+  async saveAnnotation(imageId, data) {
+    await writeJsonFile(this.getAnnotationPath(imageId), data);
+  }
+
+  /**
+   * @returns {Promise<boolean>} false if there was nothing to delete
+   */
+  async deleteAnnotation(imageId) {
+    try {
+      await removeJsonFile(this.getAnnotationPath(imageId));
+      return true;
+    } catch (error) {
+      if (isMissing(error)) return false;
+      throw error;
+    }
+  }
+
+  async listAnnotationIds(plantId = null) {
+    const ids = (await this.listFileNames())
+      .filter(isAnnotationFileName)
+      .map(name => name.replace(/\.json$/, ''));
+    return plantId ? ids.filter(id => this.getPlantId(id) === plantId) : ids;
+  }
+
+  /**
+   * 读取全部标注（批量加载）
+   *
+   * @returns {Promise<{ entries: Array<{ imageId, data }>, corrupted: Array<{ file, error }>, recovered: string[] }>}
+   */
+  async loadAllAnnotations() {
+    const files = (await this.listFileNames()).filter(isAnnotationFileName);
+    const entries = [];
+    const corrupted = [];
+    const recovered = [];
+
+    await Promise.all(files.map(async (file) => {
+      try {
+        const { data, recovered: wasRecovered } = await readJsonFileWithStatus(path.join(this.annotationsDir, file));
+        if (wasRecovered) {
+          recovered.push(file);
+        }
+        entries.push({ imageId: file.replace(/\.json$/, ''), data });
+      } catch (error) {
+        if (error instanceof CorruptedFileError) {
+          corrupted.push({ file, error: error.cause.message });
+        }
+        console.warn(`[JsonStorage] Failed to read ${file}:`, error.message);
+      }
+    }));
+
+    return { entries, corrupted, recovered };
+  }
+
+  // ---------- 植物状态 / 跳过信息 ----------
+
+  getPlantRecordPath(kind, plantId) {
+    if (!PLANT_RECORD_KINDS.includes(kind)) {
+      throw new Error(`Unknown plant record kind: ${kind}`);
+    }
+    return resolveWithin(this.annotationsDir, `${plantId}${PLANT_RECORD_FILE_SUFFIXES[kind]}`);
+  }
+
+  async getPlantRecord(kind, plantId) {
+    try {
+      return await readJsonFile(this.getPlantRecordPath(kind, plantId));
+    } catch (error) {
+      if (isMissing(error)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * 在锁内读取-修改-写入，`updater(previous)` 的 previous 在不存在时为 null
+   */
+  async updatePlantRecord(kind, plantId, updater) {
+    return updateJsonFile(this.getPlantRecordPath(kind, plantId), updater);
+  }
+
+  async deletePlantRecord(kind, plantId) {
+    try {
+      await removeJsonFile(this.getPlantRecordPath(kind, plantId));
+      return true;
+    } catch (error) {
+      if (isMissing(error)) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Array<{ plantId, data }>>}
+   */
+  async listPlantRecords(kind) {
+    const suffix = PLANT_RECORD_FILE_SUFFIXES[kind];
+    const records = [];
+    for (const name of await this.listFileNames()) {
+      if (!name.endsWith(suffix)) continue;
+      try {
+        const data = await readJsonFile(path.join(this.annotationsDir, name));
+        records.push({ plantId: data?.plantId || name.slice(0, -suffix.length), data });
+      } catch (error) {
+        console.warn(`[JsonStorage] Failed to read ${name}:`, error.message);
+      }
+    }
+    return records;
+  }
+
+  // ---------- 笔记 ----------
+
+  getNotePath(noteId) {
+    return resolveWithin(this.annotationsDir, `${NOTE_PREFIX}${noteId}.json`);
+  }
+
+  async getNote(noteId) {
+    try {
+      return await readJsonFile(this.getNotePath(noteId));
+    } catch (error) {
+      if (isMissing(error)) return null;
+      throw error;
+    }
+  }
+
+  async saveNote(note) {
+    await writeJsonFile(this.getNotePath(note.noteId), note);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The updated note, null if it does not exist
+   */
+  async updateNote(noteId, updater) {
+    const filePath = this.getNotePath(noteId);
+    try {
+      await fs.access(filePath);
+    } catch (error) {
+      if (isMissing(error)) return null;
+      throw error;
+    }
+    return updateJsonFile(filePath, updater);
+  }
+
+  async deleteNote(noteId) {
+    try {
+      await removeJsonFile(this.getNotePath(noteId));
+      return true;
+    } catch (error) {
+      if (isMissing(error)) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * 列出笔记（未排序）
+   *
+   * @param {Object} [filter] - See matchesNoteFilter
+   */
+  async listNotes(filter = {}) {
+    const files = (await this.listFileNames()).filter(name => name.startsWith(NOTE_PREFIX) && name.endsWith('.json'));
+    const notes = await Promise.all(files.map(async (file) => {
+      try {
+        return await readJsonFile(path.join(this.annotationsDir, file));
+      } catch (error) {
+        console.warn(`读取笔记文件 ${file} 失败:`, error.message);
+        return null;
+      }
+    }));
+    return notes.filter(note => note && matchesNoteFilter(note, filter));
+  }
+
+  // ---------- 植物级备份 ----------
+
+  /**
+   * 删除植物前原样复制其标注、状态和跳过信息文件
+   *
+   * @returns {Promise<{ annotationFilesBackedUp: number, relatedFilesBackedUp: number }>}
+   */
+  async backupPlant(plantId, backupDir) {
+    await fs.mkdir(backupDir, { recursive: true });
+    const stats = { annotationFilesBackedUp: 0, relatedFilesBackedUp: 0 };
+
+    for (const imageId of await this.listAnnotationIds(plantId)) {
+      await fs.copyFile(this.getAnnotationPath(imageId), path.join(backupDir, `${imageId}.json`));
+      stats.annotationFilesBackedUp++;
+    }
+
+    for (const kind of PLANT_RECORD_KINDS) {
+      const source = this.getPlantRecordPath(kind, plantId);
+      try {
+        await fs.copyFile(source, path.join(backupDir, path.basename(source)));
+        stats.relatedFilesBackedUp++;
+      } catch (error) {
+        if (!isMissing(error)) {
+          console.warn(`[JsonStorage] 备份相关文件失败: ${path.basename(source)}`, error.message);
+        }
+      }
+    }
+
+    return stats;
+  }
+}
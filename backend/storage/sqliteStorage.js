@@ -0,0 +1,337 @@
+/**
+ * SQLite 存储驱动
+ *
+ * One embedded database file instead of one JSON file per image. Documents
+ * are stored as JSON text next to the columns used for lookups, so the API
+ * returns exactly what the JSON driver would. Note search uses an FTS5
+ * trigram index, which keeps the JSON driver's case-insensitive substring
+ * semantics for queries of three or more characters.
+ *
+ * Requires the optional `better-sqlite3` dependency.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { writeJsonFile, withFileLock } from '../jsonFile.js';
+import {
+  PLANT_RECORD_KINDS,
+  PLANT_RECORD_FILE_SUFFIXES,
+  createPlantIdResolver,
+  matchesNoteFilter
+} from './storageUtils.js';
+
+export const SQLITE_SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS annotations (
+    image_id TEXT PRIMARY KEY,
+    plant_id TEXT NOT NULL,
+    keypoint_count INTEGER NOT NULL,
+    updated_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_annotations_plant ON annotations (plant_id);
+
+  CREATE TABLE IF NOT EXISTS plant_records (
+    kind TEXT NOT NULL,
+    plant_id TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (kind, plant_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS notes (
+    note_id TEXT PRIMARY KEY,
+    plant_id TEXT,
+    image_id TEXT,
+    note_type TEXT,
+    author TEXT,
+    timestamp TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_notes_target ON notes (plant_id, image_id);
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS notes_fts USING fts5 (
+    note_id UNINDEXED, title, content, tags,
+    tokenize = 'trigram'
+  );
+`;
+
+// FTS5 trigram 索引无法匹配少于三个字符的查询
+const MIN_FTS_QUERY_LENGTH = 3;
+
+async function loadDriver() {
+  try {
+    return (await import('better-sqlite3')).default;
+  } catch (error) {
+    throw new Error(
+      'The SQLite storage driver needs the optional "better-sqlite3" package. ' +
+      `Install it with "npm install better-sqlite3" (${error.message})`
+    );
+  }
+}
+
+export class SqliteStorage {
+  /**
+   * @param {string} databasePath
+   * @param {Object} [options]
+   * @param {string} [options.plantIdPattern] - Splits plant IDs that contain `_` off image IDs
+   */
+  constructor(databasePath, { plantIdPattern = null } = {}) {
+    this.name = 'sqlite';
+    this.databasePath = databasePath;
+    this.db = null;
+    this.getPlantId = createPlantIdResolver(plantIdPattern);
+  }
+
+  async initialize() {
+    const Database = await loadDriver();
+    if (this.databasePath !== ':memory:') {
+      await fs.mkdir(path.dirname(this.databasePath), { recursive: true });
+    }
+
+    this.db = new Database(this.databasePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(SCHEMA);
+
+    const version = this.db.pragma('user_version', { simple: true });
+    if (version > SQLITE_SCHEMA_VERSION) {
+      throw new Error(`${this.databasePath} uses schema version ${version}, newer than supported (${SQLITE_SCHEMA_VERSION})`);
+    }
+    this.db.pragma(`user_version = ${SQLITE_SCHEMA_VERSION}`);
+
+    this.prepareStatements();
+    this.reindexPlantIds();
+  }
+
+  /**
+   * 按当前的 plantIdPattern 更正标注的 plant_id 列（例如模式改变后，或旧版本在第一个下划线处截断的植物ID）
+   */
+  reindexPlantIds() {
+    const stale = this.statements.listAnnotationPlantIds.all()
+      .filter(row => this.getPlantId(row.image_id) !== row.plant_id);
+    if (stale.length === 0) return;
+    const update = this.db.transaction(() => {
+      for (const row of stale) {
+        this.statements.updateAnnotationPlantId.run(this.getPlantId(row.image_id), row.image_id);
+      }
+    });
+    update();
+  }
+
+  prepareStatements() {
+    const db = this.db;
+    this.statements = {
+      getAnnotation: db.prepare('SELECT data FROM annotations WHERE image_id = ?'),
+      upsertAnnotation: db.prepare(`
+        INSERT INTO annotations (image_id, plant_id, keypoint_count, updated_at, data)
+        VALUES (@imageId, @plantId, @keypointCount, @updatedAt, @data)
+        ON CONFLICT (image_id) DO UPDATE SET
+          plant_id = excluded.plant_id,
+          keypoint_count = excluded.keypoint_count,
+          updated_at = excluded.updated_at,
+          data = excluded.data
+      `),
+      deleteAnnotation: db.prepare('DELETE FROM annotations WHERE image_id = ?'),
+      listAnnotationIds: db.prepare('SELECT image_id FROM annotations ORDER BY image_id'),
+      listAnnotationPlantIds: db.prepare('SELECT image_id, plant_id FROM annotations'),
+      updateAnnotationPlantId: db.prepare('UPDATE annotations SET plant_id = ? WHERE image_id = ?'),
+      listPlantAnnotationIds: db.prepare('SELECT image_id FROM annotations WHERE plant_id = ? ORDER BY image_id'),
+      listAnnotations: db.prepare('SELECT image_id, data FROM annotations'),
+      listPlantAnnotations: db.prepare('SELECT image_id, data FROM annotations WHERE plant_id = ?'),
+
+      getPlantRecord: db.prepare('SELECT data FROM plant_records WHERE kind = ? AND plant_id = ?'),
+      upsertPlantRecord: db.prepare(`
+        INSERT INTO plant_records (kind, plant_id, updated_at, data)
+        VALUES (@kind, @plantId, @updatedAt, @data)
+        ON CONFLICT (kind, plant_id) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data
+      `),
+      deletePlantRecord: db.prepare('DELETE FROM plant_records WHERE kind = ? AND plant_id = ?'),
+      listPlantRecords: db.prepare('SELECT plant_id, data FROM plant_records WHERE kind = ?'),
+
+      getNote: db.prepare('SELECT data FROM notes WHERE note_id = ?'),
+      upsertNote: db.prepare(`
+        INSERT INTO notes (note_id, plant_id, image_id, note_type, author, timestamp, data)
+        VALUES (@noteId, @plantId, @imageId, @noteType, @author, @timestamp, @data)
+        ON CONFLICT (note_id) DO UPDATE SET
+          plant_id = excluded.plant_id,
+          image_id = excluded.image_id,
+          note_type = excluded.note_type,
+          author = excluded.author,
+          timestamp = excluded.timestamp,
+          data = excluded.data
+      `),
+      deleteNote: db.prepare('DELETE FROM notes WHERE note_id = ?'),
+      deleteNoteText: db.prepare('DELETE FROM notes_fts WHERE note_id = ?'),
+      insertNoteText: db.prepare('INSERT INTO notes_fts (note_id, title, content, tags) VALUES (?, ?, ?, ?)'),
+      listNotes: db.prepare('SELECT data FROM notes'),
+      searchNoteText: db.prepare(`
+        SELECT notes.data FROM notes_fts JOIN notes ON notes.note_id = notes_fts.note_id
+        WHERE notes_fts MATCH ?
+      `)
+    };
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+
+  // ---------- 标注 ----------
+
+  async getAnnotation(imageId) {
+    const row = this.statements.getAnnotation.get(imageId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async saveAnnotation(imageId, data) {
+    this.statements.upsertAnnotation.run({
+      imageId,
+      plantId: this.getPlantId(imageId),
+      keypointCount: Array.isArray(data?.annotations) ? data.annotations.length : 0,
+      updatedAt: new Date().toISOString(),
+      data: JSON.stringify(data)
+    });
+  }
+
+  async deleteAnnotation(imageId) {
+    return this.statements.deleteAnnotation.run(imageId).changes > 0;
+  }
+
+  async listAnnotationIds(plantId = null) {
+    const rows = plantId
+      ? this.statements.listPlantAnnotationIds.all(plantId)
+      : this.statements.listAnnotationIds.all();
+    return rows.map(row => row.image_id);
+  }
+
+  async loadAllAnnotations() {
+    const entries = this.statements.listAnnotations.all()
+      .map(row => ({ imageId: row.image_id, data: JSON.parse(row.data) }));
+    return { entries, corrupted: [], recovered: [] };
+  }
+
+  // ---------- 植物状态 / 跳过信息 ----------
+
+  assertKind(kind) {
+    if (!PLANT_RECORD_KINDS.includes(kind)) {
+      throw new Error(`Unknown plant record kind: ${kind}`);
+    }
+  }
+
+  async getPlantRecord(kind, plantId) {
+    this.assertKind(kind);
+    const row = this.statements.getPlantRecord.get(kind, plantId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * updater 可能是异步的，同一记录的更新用进程内锁串行化（与 JSON 驱动一致）
+   */
+  getLockKey(table, id) {
+    return `${this.databasePath}#${table}:${id}`;
+  }
+
+  async updatePlantRecord(kind, plantId, updater) {
+    this.assertKind(kind);
+    return withFileLock(this.getLockKey(kind, plantId), async () => {
+      const previous = await this.getPlantRecord(kind, plantId);
+      const next = await updater(previous);
+      this.statements.upsertPlantRecord.run({
+        kind,
+        plantId,
+        updatedAt: new Date().toISOString(),
+        data: JSON.stringify(next)
+      });
+      return next;
+    });
+  }
+
+  async deletePlantRecord(kind, plantId) {
+    this.assertKind(kind);
+    return this.statements.deletePlantRecord.run(kind, plantId).changes > 0;
+  }
+
+  async listPlantRecords(kind) {
+    this.assertKind(kind);
+    return this.statements.listPlantRecords.all(kind)
+      .map(row => ({ plantId: row.plant_id, data: JSON.parse(row.data) }));
+  }
+
+  // ---------- 笔记 ----------
+
+  async getNote(noteId) {
+    const row = this.statements.getNote.get(noteId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async saveNote(note) {
+    const write = this.db.transaction(() => {
+      this.statements.upsertNote.run({
+        noteId: note.noteId,
+        plantId: note.plantId ?? null,
+        imageId: note.imageId ?? null,
+        noteType: note.noteType ?? null,
+        author: note.author ?? null,
+        timestamp: note.timestamp ?? null,
+        data: JSON.stringify(note)
+      });
+      this.statements.deleteNoteText.run(note.noteId);
+      this.statements.insertNoteText.run(note.noteId, note.title || '', note.content || '', (note.tags || []).join('\n'));
+    });
+    write();
+  }
+
+  async updateNote(noteId, updater) {
+    return withFileLock(this.getLockKey('note', noteId), async () => {
+      const current = await this.getNote(noteId);
+      if (!current) return null;
+      const next = await updater(current);
+      await this.saveNote(next);
+      return next;
+    });
+  }
+
+  async deleteNote(noteId) {
+    const remove = this.db.transaction(() => {
+      this.statements.deleteNoteText.run(noteId);
+      return this.statements.deleteNote.run(noteId).changes > 0;
+    });
+    return remove();
+  }
+
+  async listNotes(filter = {}) {
+    const query = filter.query?.trim();
+    const rows = query && query.length >= MIN_FTS_QUERY_LENGTH
+      ? this.statements.searchNoteText.all(`"${query.replace(/"/g, '""')}"`)
+      : this.statements.listNotes.all();
+
+    // 索引只负责缩小范围，最终仍按与 JSON 驱动相同的规则筛选
+    return rows
+      .map(row => JSON.parse(row.data))
+      .filter(note => matchesNoteFilter(note, filter));
+  }
+
+  // ---------- 植物级备份 ----------
+
+  async backupPlant(plantId, backupDir) {
+    await fs.mkdir(backupDir, { recursive: true });
+    const stats = { annotationFilesBackedUp: 0, relatedFilesBackedUp: 0 };
+
+    for (const row of this.statements.listPlantAnnotations.all(plantId)) {
+      await writeJsonFile(path.join(backupDir, `${row.image_id}.json`), JSON.parse(row.data));
+      stats.annotationFilesBackedUp++;
+    }
+
+    for (const kind of PLANT_RECORD_KINDS) {
+      const record = await this.getPlantRecord(kind, plantId);
+      if (record) {
+        await writeJsonFile(path.join(backupDir, `${plantId}${PLANT_RECORD_FILE_SUFFIXES[kind]}`), record);
+        stats.relatedFilesBackedUp++;
+      }
+    }
+
+    return stats;
+  }
+}
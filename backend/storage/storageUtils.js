@@ -0,0 +1,71 @@
+/**
+ * 存储驱动共用的小工具
+ */
+
+import { IMAGE_ID_SEPARATOR, parseImageId } from '../../src/utils/ViewAngles.js';
+
+// 每个植物一份的记录：状态、跳过信息、审核记录
+export const PLANT_RECORD_KINDS = ['status', 'skip', 'review'];
+
+// JSON 目录中对应的文件名后缀（植物删除时的备份也沿用这些文件名）
+export const PLANT_RECORD_FILE_SUFFIXES = {
+  status: '_status.json',
+  skip: '_skip_info.json',
+  review: '_review.json'
+};
+
+/**
+ * 从图像ID（<plantId>_<view>_<fileName>）取植物ID
+ *
+ * @param {string} imageId
+ * @param {RegExp} [plantIdRegex] - The configured plantIdPattern, needed when plant IDs contain `_`
+ */
+export function getPlantIdFromImageId(imageId, plantIdRegex = null) {
+  return parseImageId(imageId, plantIdRegex)?.plantId ?? imageId.split(IMAGE_ID_SEPARATOR)[0];
+}
+
+/**
+ * 按配置的 plantIdPattern 取植物ID的函数（未配置时在第一个分隔符处截断）
+ */
+export function createPlantIdResolver(plantIdPattern) {
+  const plantIdRegex = plantIdPattern ? new RegExp(plantIdPattern) : null;
+  return imageId => getPlantIdFromImageId(imageId, plantIdRegex);
+}
+
+/**
+ * 笔记是否包含查询文本（标题、内容、标签，不区分大小写的子串匹配）
+ */
+export function noteMatchesQuery(note, query) {
+  const needle = query.toLowerCase();
+  return (note.title || '').toLowerCase().includes(needle) ||
+    (note.content || '').toLowerCase().includes(needle) ||
+    (note.tags || []).some(tag => String(tag).toLowerCase().includes(needle));
+}
+
+/**
+ * 笔记筛选
+ *
+ * @param {Object} note
+ * @param {Object} filter
+ * @param {string} [filter.plantId]
+ * @param {string|null} [filter.imageId] - null selects plant-level notes only
+ * @param {string} [filter.noteType]
+ * @param {string} [filter.author]
+ * @param {string} [filter.query] - Substring of title, content or a tag
+ */
+export function matchesNoteFilter(note, filter = {}) {
+  if (filter.plantId && note.plantId !== filter.plantId) return false;
+  if (filter.imageId === null && note.imageId) return false;
+  if (filter.imageId && note.imageId !== filter.imageId) return false;
+  if (filter.noteType && note.noteType !== filter.noteType) return false;
+  if (filter.author && note.author !== filter.author) return false;
+  if (filter.query && !noteMatchesQuery(note, filter.query)) return false;
+  return true;
+}
+
+/**
+ * 按时间倒序排序笔记
+ */
+export function sortNotesNewestFirst(notes) {
+  return notes.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
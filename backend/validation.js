@@ -0,0 +1,210 @@
+/**
+ * 请求校验
+ *
+ * One place for everything the backends accept from the network:
+ *
+ * - Route parameters (`:plantId`, `:viewAngle`, `:imageName`, `:imageId`,
+ *   `:noteId`) are checked by `app.param` handlers before any route runs,
+ *   so handlers can build file paths from them. Plant IDs must match the
+ *   configured `plantIdPattern`; every parameter must be a single path
+ *   segment (no `/`, `\`, `..` or control characters).
+ * - Request bodies and query strings are checked against the JSON Schemas
+ *   in backend/schemas.js.
+ * - `resolveWithin` guards paths built from other input (query strings,
+ *   storage keys); `resolveBodyPath` confines directories named in a
+ *   request body (export targets, agreement sources) to one root.
+ *
+ * Failures are answered with a structured 400:
+ *
+ *   { success: false, code: 'VALIDATION_ERROR', error, details: [{ location, field, message }] }
+ */
+
+import path from 'path';
+import Ajv from 'ajv';
+import { isValidViewId, parseImageId } from '../src/utils/ViewAngles.js';
+import { SCHEMAS } from './schemas.js';
+
+const MAX_SEGMENT_LENGTH = 255;
+const UNSAFE_SEGMENT_REGEX = /[/\\\u0000-\u001f]/;
+export const NOTE_ID_REGEX = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,127}$/;
+
+/**
+ * 请求参数或请求体无效（HTTP 400）
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Array<{ location: string, field: string, message: string }>} [details]
+   */
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+/**
+ * 是否为单个安全的路径片段（可直接用于 path.join）
+ */
+export function isSafePathSegment(value) {
+  return typeof value === 'string' &&
+    value.length > 0 &&
+    value.length <= MAX_SEGMENT_LENGTH &&
+    value !== '.' &&
+    value !== '..' &&
+    !UNSAFE_SEGMENT_REGEX.test(value);
+}
+
+/**
+ * 解析 root 下的路径，结果不在 root 内时抛出 ValidationError
+ */
+export function resolveWithin(root, ...segments) {
+  const base = path.resolve(root);
+  const target = path.resolve(base, ...segments);
+  if (target !== base && !target.startsWith(base + path.sep)) {
+    throw new ValidationError('路径超出允许的目录', [
+      { location: 'path', field: segments.join('/'), message: `must stay inside ${base}` }
+    ]);
+  }
+  return target;
+}
+
+/**
+ * 请求体中的目录：必须是 root 下的相对路径
+ *
+ * @param {string} root
+ * @param {string} value - Path from the request body
+ * @param {string} field - Body field for the error details, e.g. 'outputDir'
+ * @throws {ValidationError} For absolute paths and paths that leave root
+ */
+export function resolveBodyPath(root, value, field) {
+  const base = path.resolve(root);
+  const target = path.resolve(base, value);
+  if (path.isAbsolute(value) || (target !== base && !target.startsWith(base + path.sep))) {
+    throw new ValidationError('路径超出允许的目录', [
+      { location: 'body', field, message: `must be a path relative to ${base}` }
+    ]);
+  }
+  return target;
+}
+
+/**
+ * 路由参数的校验规则，返回错误信息，通过时返回 null
+ */
+export function createParamRules(config) {
+  const plantIdRegex = new RegExp(config.plantIdPattern);
+
+  const plantId = value => {
+    if (!isSafePathSegment(value) || !plantIdRegex.test(value)) {
+      return `植物ID格式无效，应匹配 ${config.plantIdPattern}`;
+    }
+    return null;
+  };
+
+  return {
+    plantId,
+    viewAngle: value => (isSafePathSegment(value) && isValidViewId(value) ? null : '视角目录名无效'),
+    imageName: value => (isSafePathSegment(value) && !value.startsWith('.') ? null : '图像文件名无效'),
+    // 图像ID = <plantId>_<view>_<fileName>，植物ID中可以包含分隔符
+    imageId: value => {
+      if (!isSafePathSegment(value)) return '图像ID无效';
+      const parsed = parseImageId(value, plantIdRegex);
+      return parsed && !plantId(parsed.plantId) ? null : '图像ID格式无效，应为 <plantId>_<view>_<fileName>';
+    },
+    noteId: value => (NOTE_ID_REGEX.test(value) ? null : '笔记ID格式无效')
+  };
+}
+
+/**
+ * 为 app 上的所有路由注册参数校验
+ */
+export function installParamValidation(app, config) {
+  for (const [name, rule] of Object.entries(createParamRules(config))) {
+    app.param(name, (req, res, next, value) => {
+      const message = rule(value);
+      next(message ? new ValidationError(message, [{ location: 'params', field: name, message }]) : undefined);
+    });
+  }
+}
+
+// 标注点字段沿用旧数据的联合类型（如 direction 为数字或 'left'/'right'）
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true, schemas: SCHEMAS });
+
+function formatSchemaErrors(errors, location) {
+  return errors.map(error => {
+    const field = error.keyword === 'required' || error.keyword === 'additionalProperties'
+      ? `${error.instancePath}/${error.params.missingProperty ?? error.params.additionalProperty}`
+      : error.instancePath || '/';
+    const message = error.keyword === 'enum'
+      ? `${error.message}: ${error.params.allowedValues.join(', ')}`
+      : error.message;
+    return { location, field, message };
+  });
+}
+
+/**
+ * 按 schema 校验数据，失败时抛出 ValidationError
+ *
+ * @param {string} schemaId - `$id` of one of the schemas in backend/schemas.js
+ */
+export function assertValid(schemaId, data, location = 'body') {
+  const validate = ajv.getSchema(schemaId);
+  if (!validate) {
+    throw new Error(`Unknown schema: ${schemaId}`);
+  }
+  if (!validate(data)) {
+    throw new ValidationError('请求数据格式无效', formatSchemaErrors(validate.errors, location));
+  }
+}
+
+/**
+ * 校验请求体的中间件
+ */
+export function validateBody(schemaId) {
+  return (req, res, next) => {
+    try {
+      assertValid(schemaId, req.body ?? {});
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * 校验查询参数的中间件
+ */
+export function validateQuery(schemaId) {
+  return (req, res, next) => {
+    try {
+      assertValid(schemaId, req.query, 'query');
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * 错误处理中间件（注册在所有路由之后）：校验错误和无法解析的 JSON 返回 400
+ */
+export function validationErrorHandler(error, req, res, next) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({
+      success: false,
+      code: 'VALIDATION_ERROR',
+      error: error.message,
+      details: error.details
+    });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_JSON',
+      error: `请求体不是有效的 JSON: ${error.message}`,
+      details: [{ location: 'body', field: '/', message: error.message }]
+    });
+  }
+  next(error);
+}
@@ -0,0 +1,136 @@
+/**
+ * YOLO 数据集导出
+ *
+ * Writes the annotated images as a YOLO dataset for POST /api/v2/exports/yolo:
+ *
+ *   <outputDir>/images/{train,val,test}/<imageId>   symlink to (or copy of) the image
+ *   <outputDir>/labels/{train,val,test}/<imageId without extension>.txt
+ *   <outputDir>/data.yaml
+ *
+ * The label format is described in src/utils/YoloFormat.js. Plants are
+ * split as a whole, so frames of one plant never end up in two splits;
+ * skipped plants are left out. Relative output paths start at the dataset
+ * root.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { ValidationError } from './validation.js';
+import { resolveOutputDir, prepareOutputDir, loadExportImages } from './exportFiles.js';
+import {
+  DEFAULT_YOLO_SPLIT,
+  DEFAULT_BOX_PADDING,
+  YOLO_SPLITS,
+  getKeypointCount,
+  getYoloClasses,
+  splitPlants,
+  buildYoloLabel,
+  buildDataYaml
+} from '../src/utils/YoloFormat.js';
+
+// 覆盖时只删除导出自己写入的内容
+const OUTPUT_ENTRIES = ['images', 'labels', 'data.yaml'];
+
+/**
+ * 导出 YOLO 数据集
+ *
+ * @param {Object} request
+ * @param {string} request.outputDir - Target directory, relative to the exports directory
+ * @param {'pose'|'detect'} [request.task]
+ * @param {'symlink'|'copy'} [request.mode] - How images are placed under images/
+ * @param {{ train: number, val: number, test: number }} [request.split] - Plant ratios
+ * @param {number} [request.seed] - Seed of the plant shuffle
+ * @param {string[]} [request.plantIds] - Only these plants
+ * @param {number} [request.padding] - Pose box padding in pixels
+ * @param {Object<string, string>} [request.typeNames] - Class names by custom type ID
+ * @param {boolean} [request.overwrite] - Replace an earlier export in outputDir
+ * @param {Object} services - { config, dataset, storage, annotations }
+ */
+export async function exportYoloDataset(request, services) {
+  const {
+    task = 'pose',
+    mode = 'symlink',
+    split = DEFAULT_YOLO_SPLIT,
+    seed = 0,
+    plantIds = null,
+    padding = DEFAULT_BOX_PADDING,
+    typeNames = {},
+    overwrite = false
+  } = request;
+  const { config, dataset } = services;
+  const outputDir = resolveOutputDir(config, request.outputDir);
+
+  const { images, skippedPlants } = await loadExportImages(services, plantIds);
+  const keypointLists = images.map(image => image.keypoints);
+  const keypointCount = task === 'pose' ? getKeypointCount(keypointLists) : 0;
+  const classes = getYoloClasses(keypointLists, { task, typeNames });
+  if (task === 'pose' && keypointCount === 0) {
+    throw new ValidationError('没有可导出的关键点', [
+      { location: 'body', field: 'task', message: 'No numbered builtin-regular-keypoint points to export as pose keypoints' }
+    ]);
+  }
+  if (classes.length === 0) {
+    throw new ValidationError('没有可导出的区域标注', [
+      { location: 'body', field: 'task', message: 'No region annotations to export as detection boxes' }
+    ]);
+  }
+
+  await prepareOutputDir(outputDir, { config, overwrite, entries: OUTPUT_ENTRIES, exportName: 'YOLO' });
+  for (const split of YOLO_SPLITS) {
+    await fs.mkdir(path.join(outputDir, 'images', split), { recursive: true });
+    await fs.mkdir(path.join(outputDir, 'labels', split), { recursive: true });
+  }
+
+  const splits = splitPlants(images.map(image => image.plantId), split, seed);
+  const summary = Object.fromEntries(YOLO_SPLITS.map(name => [name, { plants: new Set(), images: 0, objects: 0 }]));
+  const skippedImages = [];
+  let skippedKeypoints = 0;
+
+  for (const { imageId, plantId, keypoints } of images) {
+    const imagePath = dataset.getImagePathById(imageId);
+    const stats = imagePath && await fs.stat(imagePath).catch(() => null);
+    if (!stats?.isFile()) {
+      skippedImages.push({ imageId, reason: 'Image file not found' });
+      continue;
+    }
+    const size = await dataset.getImageSize(imagePath);
+    if (!size) {
+      skippedImages.push({ imageId, reason: 'Unknown image size' });
+      continue;
+    }
+
+    const label = buildYoloLabel(keypoints, { ...size, task, classes, keypointCount, padding });
+    const splitName = splits.get(plantId);
+    const target = path.join(outputDir, 'images', splitName, imageId);
+    if (mode === 'copy') {
+      await fs.copyFile(imagePath, target);
+    } else {
+      await fs.symlink(imagePath, target);
+    }
+    const labelName = `${path.basename(imageId, path.extname(imageId))}.txt`;
+    await fs.writeFile(path.join(outputDir, 'labels', splitName, labelName), label.lines.map(line => `${line}\n`).join(''));
+
+    summary[splitName].plants.add(plantId);
+    summary[splitName].images++;
+    summary[splitName].objects += label.lines.length;
+    skippedKeypoints += label.skippedKeypoints;
+  }
+
+  await fs.writeFile(path.join(outputDir, 'data.yaml'), buildDataYaml({ path: outputDir, task, classes, keypointCount }));
+
+  return {
+    outputDir,
+    task,
+    mode,
+    classes,
+    keypointCount,
+    splits: Object.fromEntries(YOLO_SPLITS.map(name => [name, {
+      plants: summary[name].plants.size,
+      images: summary[name].images,
+      objects: summary[name].objects
+    }])),
+    skippedPlants,
+    skippedImages,
+    skippedKeypoints
+  };
+}
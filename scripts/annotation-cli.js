@@ -0,0 +1,495 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool: dataset stats, validation, integrity checks, exports,
+ * plant status changes and annotation format migrations without the browser, e.g. for
+ * nightly exports from cron.
+ *
+ * Commands:
+ *   stats                          Plants by status, annotated images, keypoints by type and view
+ *   validate                       Check every annotation file (schema, image ID, duplicate orders,
+ *                                  image file in the dataset); exits with 1 when there are errors
+ *   export <format> --out <dir>    Write an export, format one of:
+ *                                    json, coco, cvat, labelstudio, csv, trajectories  (same files as
+ *                                    the export dialog, see backend/annotationExport.js)
+ *                                    yolo, patches  (see backend/yoloExport.js, backend/patchExport.js)
+ *   status                         List the status of every plant
+ *   skip <plantId...> --reason <text>
+ *   unskip <plantId...>            Back to in-progress (annotated) or pending, like in the plant list
+ *   integrity                      Orphaned annotations, records and notes, epoch and duplicate
+ *                                  timestamps, keypoints outside the image (backend/integrityCheck.js);
+ *                                  exits with 1 when there are findings
+ *   migrate                        Bring every annotation file to the current schemaVersion
+ *                                  (src/utils/AnnotationMigrations.js); changed files are backed up
+ *                                  to migration_backup_<timestamp>/ in the annotations directory
+ *
+ * Options:
+ *   --json                         stats / validate / integrity / status / export / migrate: print JSON
+ *                                  instead of text
+ *   --status <s1,s2>               status: only plants with these statuses; export csv: the same filter
+ *   --plants <id1,id2>             export: only these plants
+ *   --types <file>                 export: custom annotation types for names and colours, either
+ *                                  the file of "Export" in the custom annotation settings or the
+ *                                  localStorage "customAnnotationData" value; without it the types
+ *                                  are taken from the annotations (name = type ID)
+ *   --overwrite                    export: replace an earlier export of the same files
+ *   --kinds <k1,k2>                integrity: only these finding kinds (src/utils/DatasetIntegrity.js)
+ *   --fix                          integrity: apply the default fix of every finding (quarantined files
+ *                                  go to quarantine/ in the annotations directory); exits with 1 when
+ *                                  a fix failed
+ *   --annotator <name>             skip / unskip / migrate / integrity --fix: recorded as the author (default "cli")
+ *   --dry-run                      migrate: only list the files that would change
+ *
+ *   export csv:          --columns <keys>  --from <YYYY-MM-DD>  --to <YYYY-MM-DD>
+ *   export trajectories: --file json|csv  --type-ids <ids>
+ *   export yolo:         --task pose|detect  --mode symlink|copy  --split <train,val,test>  --seed <n>  --padding <px>
+ *   export patches:      --size <px>  --region-padding <px>  --output-size <px>  --negatives <n>
+ *                        --min-negative-distance <px>  --seed <n>  --format png|jpeg  --type-ids <ids>
+ *
+ * Usage:
+ *   node scripts/annotation-cli.js stats
+ *   node scripts/annotation-cli.js validate --json
+ *   node scripts/annotation-cli.js export coco --out /srv/exports --types custom_annotations.json
+ *   node scripts/annotation-cli.js export csv --out exports --status completed,approved --overwrite
+ *   node scripts/annotation-cli.js export yolo --out exports/yolo --task detect
+ *   node scripts/annotation-cli.js status --status skipped
+ *   node scripts/annotation-cli.js skip BR017-000001 BR017-000002 --reason "Out of focus"
+ *   node scripts/annotation-cli.js unskip BR017-000001 --dir /path/to/annotations
+ *   node scripts/annotation-cli.js integrity --kinds orphaned-annotation,orphaned-note --fix
+ *   node scripts/annotation-cli.js migrate --dry-run
+ *
+ *   # crontab: nightly COCO export
+ *   0 2 * * * cd /opt/annotation-tool && node scripts/annotation-cli.js export coco --out /srv/exports --overwrite
+ *
+ * Without --dir the annotations directory comes from the project config
+ * (annotation-tool.config.json, ANNOTATIONS_DIR / DATASET_ROOT, --config);
+ * --dataset-root, --storage-driver and the other config flags work as for
+ * the server. Relative --out paths start at the current directory.
+ *
+ * Notes:
+ * - skip / unskip write the same records as the browser, but open pages and
+ *   the assignment queue of a running server only see them after a reload
+ *   or when the plant's lease expires
+ * - migrate writes each change as a revision in the history (source
+ *   "schema-migration"), integrity --fix too (source "integrity-fix"); stop
+ *   the server first or reload open pages after
+ * - Exit codes: 0 success, 1 errors (validation errors, failed plants,
+ *   nothing to export, files that could not be migrated, integrity findings
+ *   or failed fixes), 2 invalid command line
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { loadProjectConfig, getArgValue } from '../backend/config.js';
+import { createStorage } from '../backend/storage/index.js';
+import { Dataset } from '../backend/dataset.js';
+import { RevisionLog } from '../backend/revisionLog.js';
+import { AnnotationService } from '../backend/annotationService.js';
+import { ImageCache } from '../backend/imageCache.js';
+import { assertValid, ValidationError } from '../backend/validation.js';
+import { PLANT_STATUSES } from '../backend/schemas.js';
+import { collectDatasetStats, validateAnnotations, listKnownPlantIds, loadPlantStatuses } from '../backend/datasetReport.js';
+import { ANNOTATION_EXPORT_FORMATS, exportAnnotationFiles } from '../backend/annotationExport.js';
+import { migrateStoredAnnotations } from '../backend/annotationMigration.js';
+import { checkDatasetIntegrity, fixIntegrityFindings } from '../backend/integrityCheck.js';
+import { exportYoloDataset } from '../backend/yoloExport.js';
+import { exportTrainingPatches } from '../backend/patchExport.js';
+import { TIDY_COLUMN_KEYS } from '../src/utils/TidyExport.js';
+import { INTEGRITY_FINDING_KINDS } from '../src/utils/DatasetIntegrity.js';
+
+const COMMANDS = ['stats', 'validate', 'export', 'status', 'skip', 'unskip', 'migrate', 'integrity'];
+const EXPORT_FORMATS = [...ANNOTATION_EXPORT_FORMATS, 'yolo', 'patches'];
+
+// 需要取值的参数，其余 -- 参数都是开关
+const VALUE_FLAGS = [
+  '--config', '--dir', '--dataset-root', '--annotations-dir', '--image-cache-dir', '--exports-dir',
+  '--storage-driver', '--sqlite-path', '--view-angles', '--plant-id-pattern', '--timestamp-parsers',
+  '--out', '--status', '--plants', '--types', '--annotator', '--reason', '--kinds',
+  '--columns', '--from', '--to', '--file', '--type-ids',
+  '--task', '--mode', '--split', '--seed', '--padding',
+  '--size', '--region-padding', '--output-size', '--negatives', '--min-negative-distance', '--format'
+];
+
+class UsageError extends Error {}
+
+const argv = process.argv.slice(2);
+const option = flag => getArgValue(argv, flag);
+const hasFlag = flag => argv.includes(flag);
+const listOption = flag => option(flag)?.split(',').map(value => value.trim()).filter(Boolean) ?? null;
+
+/**
+ * 命令和位置参数（去掉 --flag 和它们的值）
+ */
+function getPositionals() {
+  const positionals = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      if (VALUE_FLAGS.includes(argv[i])) i++;
+      continue;
+    }
+    positionals.push(argv[i]);
+  }
+  return positionals;
+}
+
+function numberOption(flag) {
+  const value = option(flag);
+  if (value === null) return undefined;
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number)) {
+    throw new UsageError(`${flag} must be a number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * 自定义类型文件：设置中“导出”的文件（customTypes 为类型数组）或 localStorage 中的 [id, type] 数组
+ */
+async function readCustomTypes(file) {
+  if (!file) return [];
+  const data = JSON.parse(await fs.readFile(path.resolve(file), 'utf8'));
+  const list = Array.isArray(data) ? data : data?.customTypes;
+  if (!Array.isArray(list)) {
+    throw new UsageError(`${file} has no "customTypes" list`);
+  }
+  return list.map(item => (Array.isArray(item) ? { ...item[1], id: item[1]?.id ?? item[0] } : item))
+    .filter(type => type && typeof type.id === 'string');
+}
+
+async function createServices() {
+  const config = loadProjectConfig();
+
+  const storage = await createStorage(config);
+  const annotations = new AnnotationService({
+    storage,
+    revisionLog: new RevisionLog(config.annotationsDir),
+    annotationsDir: config.annotationsDir,
+    reviewers: config.reviewers
+  });
+  return { config, storage, annotations, dataset: new Dataset(config) };
+}
+
+function printJson(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+function printCounts(title, counts) {
+  console.log(`\n${title}:`);
+  const entries = Object.entries(counts).sort(([a], [b]) => a.localeCompare(b));
+  if (entries.length === 0) console.log('  (none)');
+  for (const [key, count] of entries) {
+    console.log(`  ${key.padEnd(32)} ${count}`);
+  }
+}
+
+// ---------- 命令 ----------
+
+async function runStats(services) {
+  const stats = await collectDatasetStats(services);
+  if (hasFlag('--json')) {
+    printJson(stats);
+    return 0;
+  }
+  console.log(`Annotations dir: ${services.config.annotationsDir}`);
+  console.log(`Plants: ${stats.plants}${stats.datasetPlants === null ? ' (dataset root not found, from annotations only)' : ` (${stats.datasetPlants} in the dataset)`}`);
+  console.log(`Annotated plants: ${stats.annotatedPlants}`);
+  console.log(`Annotated images: ${stats.annotatedImages}`);
+  console.log(`Keypoints: ${stats.keypoints} (${stats.regions} regions, ${stats.averageKeypointsPerImage} per image)`);
+  printCounts('Plants by status', stats.statuses);
+  printCounts('Keypoints by type', stats.keypointsByType);
+  printCounts('Keypoints by view', stats.keypointsByView);
+  if (stats.corrupted.length > 0) {
+    console.log(`\nCorrupted files: ${stats.corrupted.length} (run "validate" for details)`);
+  }
+  return 0;
+}
+
+async function runValidate(services) {
+  const report = await validateAnnotations(services);
+  if (hasFlag('--json')) {
+    printJson(report);
+  } else {
+    for (const issue of report.issues) {
+      console.log(`${issue.level.toUpperCase().padEnd(7)} ${issue.imageId}: ${issue.message}`);
+    }
+    console.log(`\nChecked ${report.checked} annotation files: ${report.errors} errors, ${report.warnings} warnings`);
+  }
+  return report.errors > 0 ? 1 : 0;
+}
+
+/**
+ * 导出请求（与 API 的导出请求相同，YOLO 和图块先按 API 的 schema 校验）
+ */
+async function buildExportRequest(format, outputDir) {
+  const customTypes = await readCustomTypes(option('--types'));
+  const plantIds = listOption('--plants');
+  const overwrite = hasFlag('--overwrite');
+
+  if (format === 'yolo') {
+    const split = listOption('--split');
+    if (split && split.length !== 3) throw new UsageError('--split needs three ratios: train,val,test');
+    return {
+      outputDir,
+      task: option('--task') ?? undefined,
+      mode: option('--mode') ?? undefined,
+      split: split ? { train: Number(split[0]), val: Number(split[1]), test: Number(split[2]) } : undefined,
+      seed: numberOption('--seed'),
+      padding: numberOption('--padding'),
+      plantIds: plantIds ?? undefined,
+      typeNames: Object.fromEntries(customTypes.map(type => [type.id, type.name || type.id])),
+      overwrite
+    };
+  }
+  if (format === 'patches') {
+    return {
+      outputDir,
+      size: numberOption('--size'),
+      regionPadding: numberOption('--region-padding'),
+      outputSize: numberOption('--output-size'),
+      typeIds: listOption('--type-ids') ?? undefined,
+      negatives: numberOption('--negatives'),
+      minNegativeDistance: numberOption('--min-negative-distance'),
+      seed: numberOption('--seed'),
+      plantIds: plantIds ?? undefined,
+      format: option('--format') ?? undefined,
+      overwrite
+    };
+  }
+
+  const file = option('--file') ?? 'json';
+  if (!['json', 'csv'].includes(file)) throw new UsageError('--file must be json or csv');
+  const statuses = listOption('--status');
+  const unknown = statuses?.find(status => !PLANT_STATUSES.includes(status));
+  if (unknown) throw new UsageError(`Unknown status "${unknown}", expected one of: ${PLANT_STATUSES.join(', ')}`);
+  const columns = listOption('--columns');
+  const unknownColumn = columns?.find(column => !TIDY_COLUMN_KEYS.includes(column));
+  if (unknownColumn) throw new UsageError(`Unknown column "${unknownColumn}", expected some of: ${TIDY_COLUMN_KEYS.join(', ')}`);
+  return {
+    format,
+    outputDir,
+    overwrite,
+    customTypes,
+    plantIds,
+    statuses,
+    from: option('--from'),
+    to: option('--to'),
+    file,
+    typeIds: listOption('--type-ids'),
+    ...(columns && { columns })
+  };
+}
+
+function withoutUndefined(request) {
+  return Object.fromEntries(Object.entries(request).filter(([, value]) => value !== undefined));
+}
+
+async function runExport(services, [format]) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new UsageError(`export needs a format: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  const out = option('--out');
+  if (!out) throw new UsageError('export needs --out <dir>');
+  // 命令行在本机运行，--out 可以是任意目录：把它作为这次导出的导出目录
+  const exportServices = { ...services, config: { ...services.config, exportsDir: path.resolve(out) } };
+  const request = withoutUndefined(await buildExportRequest(format, '.'));
+
+  let result;
+  if (format === 'yolo') {
+    assertValid('yolo-export-request', request, 'options');
+    result = await exportYoloDataset(request, exportServices);
+  } else if (format === 'patches') {
+    assertValid('patch-export-request', request, 'options');
+    const imageCache = new ImageCache({ datasetRoot: services.config.datasetRoot, cacheDir: services.config.imageCacheDir });
+    await imageCache.initialize();
+    if (!imageCache.available) {
+      console.error('The patch export needs the optional "sharp" dependency (npm install sharp)');
+      return 1;
+    }
+    result = await exportTrainingPatches(request, { ...exportServices, imageCache });
+  } else {
+    result = await exportAnnotationFiles(request, exportServices);
+  }
+
+  if (hasFlag('--json')) {
+    printJson(result);
+    return 0;
+  }
+  console.log(`Exported ${format} to ${result.outputDir}`);
+  for (const file of result.files || []) console.log(`  ${path.basename(file)}`);
+  for (const key of ['images', 'annotations', 'tracks', 'patches']) {
+    if (typeof result[key] === 'number') console.log(`${key[0].toUpperCase()}${key.slice(1)}: ${result[key]}`);
+  }
+  if (result.splits) {
+    for (const [name, split] of Object.entries(result.splits)) {
+      console.log(`  ${name}: ${split.images} images of ${split.plants} plants`);
+    }
+  }
+  if (result.missingSizes?.length > 0) console.log(`Images without a known size: ${result.missingSizes.length}`);
+  if (result.skippedImages?.length > 0) console.log(`Skipped images: ${result.skippedImages.length}`);
+  if (result.skippedPlants?.length > 0) console.log(`Skipped plants: ${result.skippedPlants.length}`);
+  if (result.skippedKeypoints > 0) console.log(`Skipped keypoints: ${result.skippedKeypoints}`);
+  if (result.corrupted?.length > 0) console.log(`Corrupted files left out: ${result.corrupted.length} (run "validate" for details)`);
+  return 0;
+}
+
+async function runStatus(services) {
+  const filter = listOption('--status');
+  const { storage, annotations } = services;
+  const { plantIds } = await listKnownPlantIds(services, await storage.listAnnotationIds());
+  const statuses = await loadPlantStatuses(annotations, plantIds);
+  const skipInfo = new Map((await storage.listPlantRecords('skip')).map(record => [record.plantId, record.data]));
+
+  const plants = plantIds
+    .filter(plantId => !filter || filter.includes(statuses.get(plantId)))
+    .map(plantId => ({
+      plantId,
+      status: statuses.get(plantId),
+      ...(statuses.get(plantId) === 'skipped' && { skipReason: skipInfo.get(plantId)?.skipReason ?? null })
+    }));
+  if (hasFlag('--json')) {
+    printJson(plants);
+    return 0;
+  }
+  for (const plant of plants) {
+    console.log(`${plant.plantId.padEnd(24)} ${plant.status}${plant.skipReason ? `  (${plant.skipReason})` : ''}`);
+  }
+  console.log(`\n${plants.length} plants`);
+  return 0;
+}
+
+async function runSkip(services, plantIds, skip) {
+  if (plantIds.length === 0) throw new UsageError(`${skip ? 'skip' : 'unskip'} needs at least one plant ID`);
+  const reason = option('--reason');
+  if (skip && !reason) throw new UsageError('skip needs --reason <text>');
+  const annotator = option('--annotator') || 'cli';
+  const plantIdRegex = new RegExp(services.config.plantIdPattern);
+
+  let failed = 0;
+  for (const plantId of plantIds) {
+    try {
+      if (!plantIdRegex.test(plantId)) {
+        throw new Error(`does not match plantIdPattern ${services.config.plantIdPattern}`);
+      }
+      if (skip) {
+        await services.annotations.skipPlant(plantId, reason, annotator);
+        console.log(`${plantId}: skipped`);
+      } else {
+        const status = await services.annotations.unskipPlant(plantId, annotator);
+        console.log(status ? `${plantId}: ${status}` : `${plantId}: not skipped, unchanged`);
+      }
+    } catch (error) {
+      failed++;
+      console.error(`${plantId}: ${error.message}`);
+    }
+  }
+  return failed > 0 ? 1 : 0;
+}
+
+async function runMigrate(services) {
+  const dryRun = hasFlag('--dry-run');
+  const result = await migrateStoredAnnotations(services, { dryRun, author: option('--annotator') || 'cli' });
+  if (hasFlag('--json')) {
+    printJson(result);
+    return result.errors.length > 0 ? 1 : 0;
+  }
+
+  console.log(`Annotations dir: ${services.config.annotationsDir}`);
+  console.log(`Schema version: ${result.schemaVersion}${dryRun ? ' (dry run, nothing written)' : ''}`);
+  for (const file of result.migrated) {
+    console.log(`  ${file.imageId}: v${file.fromVersion} -> v${result.schemaVersion}, ${file.changedKeypoints} keypoints changed`);
+  }
+  for (const { imageId, error } of result.errors) {
+    console.error(`  ${imageId}: ${error}`);
+  }
+  console.log(`\nChecked ${result.checked} annotation files: ${result.migrated.length} ${dryRun ? 'to migrate' : 'migrated'}, ${result.upToDate} up to date, ${result.errors.length} errors`);
+  if (result.plantAggregate?.changedKeypoints > 0) {
+    console.log(`plant_annotations.json: ${result.plantAggregate.changedKeypoints} keypoints ${dryRun ? 'to migrate' : 'migrated'}`);
+  }
+  if (result.backupDir) console.log(`Backup: ${result.backupDir}`);
+  return result.errors.length > 0 ? 1 : 0;
+}
+
+async function runIntegrity(services) {
+  const kinds = listOption('--kinds');
+  const unknown = (kinds || []).filter(kind => !INTEGRITY_FINDING_KINDS[kind]);
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown finding kinds: ${unknown.join(', ')} (one of ${Object.keys(INTEGRITY_FINDING_KINDS).join(', ')})`);
+  }
+  const report = await checkDatasetIntegrity(services);
+  const findings = report.findings.filter(finding => !kinds || kinds.includes(finding.kind));
+  const fixes = hasFlag('--fix') && findings.length > 0
+    ? await fixIntegrityFindings(findings, services, option('--annotator') || 'cli')
+    : null;
+  const exitCode = fixes
+    ? (fixes.results.some(result => result.status === 'failed') ? 1 : 0)
+    : (findings.length > 0 ? 1 : 0);
+  if (hasFlag('--json')) {
+    printJson({ ...report, findings, ...(fixes && { fixes }) });
+    return exitCode;
+  }
+
+  console.log(`Dataset: ${services.config.datasetRoot}`);
+  console.log(`Checked ${report.plants} plants, ${report.images} images, ${report.annotations} annotation files, ${report.notes} notes`);
+  for (const [kind, { title }] of Object.entries(INTEGRITY_FINDING_KINDS)) {
+    const ofKind = findings.filter(finding => finding.kind === kind);
+    if (ofKind.length === 0) continue;
+    console.log(`\n${title} (${ofKind.length})`);
+    for (const finding of ofKind) {
+      console.log(`  ${finding.severity.toUpperCase().padEnd(8)} ${finding.imageId || finding.noteId || finding.plantId}: ${finding.message}`);
+    }
+  }
+  for (const { file, error } of report.corrupted) {
+    console.error(`Corrupted: ${file}: ${error}`);
+  }
+  if (fixes) {
+    console.log('');
+    for (const result of fixes.results) {
+      console.log(`  ${result.status.padEnd(8)} ${result.id}: ${result.message}`);
+    }
+    const fixed = fixes.results.filter(result => result.status === 'fixed').length;
+    console.log(`\nFixed ${fixed} of ${fixes.results.length} findings; quarantine: ${fixes.quarantineDir}`);
+  } else {
+    console.log(`\n${findings.length} findings${findings.length > 0 ? ' (run with --fix to fix or quarantine them)' : ''}`);
+  }
+  return exitCode;
+}
+
+async function main() {
+  const [command, ...args] = getPositionals();
+  if (!COMMANDS.includes(command)) {
+    console.error(`Usage: node scripts/annotation-cli.js <${COMMANDS.join('|')}> [options] (see the comment at the top of the script)`);
+    return 2;
+  }
+
+  const services = await createServices();
+  try {
+    switch (command) {
+      case 'stats': return await runStats(services);
+      case 'validate': return await runValidate(services);
+      case 'export': return await runExport(services, args);
+      case 'status': return await runStatus(services);
+      case 'skip': return await runSkip(services, args, true);
+      case 'unskip': return await runSkip(services, args, false);
+      case 'migrate': return await runMigrate(services);
+      case 'integrity': return await runIntegrity(services);
+    }
+  } finally {
+    await services.storage.close();
+  }
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      process.exitCode = 2;
+      return;
+    }
+    console.error(`Error: ${error.message}`);
+    if (error instanceof ValidationError) {
+      for (const detail of error.details) console.error(`  ${detail.field}: ${detail.message}`);
+    }
+    process.exitCode = 1;
+  });
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * Migration: Copy annotations, plant status, skip info and notes between
+ * the JSON directory storage and the SQLite database (see backend/storage/).
+ *
+ * Scope:
+ * - Per-image annotation documents (<imageId>.json / annotations table)
+ * - Plant status and skip info records
+ * - Notes
+ *
+ * Notes:
+ * - The source is left untouched; documents with the same key in the target
+ *   are overwritten, anything else in the target is kept
+ * - Revision history (annotations/history) is shared by both drivers and
+ *   is not copied
+ * - Corrupted JSON files without a usable .bak are reported and skipped
+ * - Provides --dry-run to count documents without writing
+ * - Switch the server over afterwards with "storage.driver" in
+ *   annotation-tool.config.json (or STORAGE_DRIVER / --storage-driver)
+ *
+ * Usage:
+ *   node scripts/migrate-storage.js --to sqlite
+ *   node scripts/migrate-storage.js --to json
+ *   node scripts/migrate-storage.js --to sqlite --dry-run
+ *   node scripts/migrate-storage.js --to sqlite --dir /path/to/annotations --sqlite-path /path/to/db.sqlite
+ *
+ * Without --dir / --sqlite-path the locations come from the project config
+ * (annotation-tool.config.json, ANNOTATIONS_DIR / DATASET_ROOT / SQLITE_PATH, --config).
+ */
+
+import { loadProjectConfig, getArgValue } from '../backend/config.js';
+import { openStorage, getSqlitePath, STORAGE_DRIVERS, copyStorage } from '../backend/storage/index.js';
+
+// --dir 由配置加载器处理，图像缓存和 SQLite 路径随之改变
+const config = loadProjectConfig();
+
+const TARGET = getArgValue(process.argv, '--to');
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function main() {
+  if (!STORAGE_DRIVERS.includes(TARGET)) {
+    console.error(`Usage: node scripts/migrate-storage.js --to <${STORAGE_DRIVERS.join('|')}> [--dry-run] [--dir <annotationsDir>] [--sqlite-path <file>]`);
+    process.exitCode = 1;
+    return;
+  }
+  const source = TARGET === 'sqlite' ? 'json' : 'sqlite';
+
+  console.log(`\n=== Migration: ${source} -> ${TARGET} storage ===`);
+  console.log(`Annotations dir: ${config.annotationsDir}`);
+  console.log(`SQLite database: ${getSqlitePath(config)}`);
+  console.log(`Mode: ${DRY_RUN ? 'DRY RUN (no writes)' : 'WRITE'}`);
+
+  const from = await openStorage(source, config);
+  const to = DRY_RUN ? null : await openStorage(TARGET, config);
+
+  try {
+    const startTime = Date.now();
+    const stats = await copyStorage(from, to, { dryRun: DRY_RUN });
+
+    console.log('\n--- Summary ---');
+    console.log(`Annotations: ${stats.annotations}`);
+    console.log(`Plant status records: ${stats.status}`);
+    console.log(`Skip info records: ${stats.skip}`);
+    console.log(`Review records: ${stats.review}`);
+    console.log(`Notes: ${stats.notes}`);
+    if (stats.corrupted.length > 0) {
+      console.log(`Corrupted (skipped): ${stats.corrupted.length}`);
+      for (const item of stats.corrupted.slice(0, 5)) {
+        console.log(` - ${item.file}: ${item.error}`);
+      }
+      if (stats.corrupted.length > 5) console.log(` ... and ${stats.corrupted.length - 5} more`);
+    }
+    console.log(DRY_RUN
+      ? 'Dry run finished, nothing was written.'
+      : `Migration completed in ${Date.now() - startTime}ms. Set storage.driver to "${TARGET}" to use it.`);
+  } finally {
+    await from.close();
+    await to?.close();
+  }
+}
+
+main().catch((e) => {
+  console.error('Fatal migration error:', e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,258 @@
+/**
+ * Inter-Annotator Agreement Report
+ *
+ * Features:
+ * - Dialog (📏 button in the header) to pick two annotators or annotation
+ *   directories, optional plants, PCK thresholds and the matching radius
+ * - Runs POST /api/v2/agreement and shows the overall, per-plant and
+ *   per-type metrics
+ * - CSV export of the report
+ *
+ * The metrics are described in src/utils/AnnotationAgreement.js.
+ */
+
+import { getProjectConfig, getBackendApiUrl } from '../utils/ProjectConfig.js';
+import { DEFAULT_PCK_THRESHOLDS, DEFAULT_MATCH_DISTANCE, agreementReportToCsv } from '../utils/AnnotationAgreement.js';
+import { downloadFile, datedFileName } from '../utils/Download.js';
+
+export class AgreementReportUI {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - API v2 base (defaults to the backend's /api/v2)
+   * @param {Function} [options.fetch]
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || `${getBackendApiUrl()}/v2`;
+    this.fetch = options.fetch || ((...args) => window.fetch(...args));
+    this.modal = null;
+    this.report = null;
+  }
+
+  /**
+   * Bind the header button
+   */
+  setupUI() {
+    document.getElementById('agreement-btn')?.addEventListener('click', () => this.openDialog());
+  }
+
+  openDialog() {
+    if (!this.modal) {
+      this.createDialog();
+    }
+    this.modal.querySelector('#agreement-annotators').innerHTML = (getProjectConfig().annotators || [])
+      .map(name => `<option value="${this.escapeHtml(name)}"></option>`)
+      .join('');
+    this.modal.style.display = 'flex';
+  }
+
+  closeDialog() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  // ---------- 请求 ----------
+
+  readSource(side) {
+    const kind = this.modal.querySelector(`#agreement-${side}-kind`).value;
+    const value = this.modal.querySelector(`#agreement-${side}-value`).value.trim();
+    if (!value) {
+      throw new Error(`Source ${side.toUpperCase()} is empty`);
+    }
+    return { [kind]: value };
+  }
+
+  readNumbers(id) {
+    return this.modal.querySelector(id).value
+      .split(',')
+      .map(value => value.trim())
+      .filter(Boolean)
+      .map(Number);
+  }
+
+  buildRequest() {
+    const request = { a: this.readSource('a'), b: this.readSource('b') };
+    const plantIds = this.modal.querySelector('#agreement-plants').value
+      .split(/[\s,]+/)
+      .filter(Boolean);
+    if (plantIds.length > 0) {
+      request.plantIds = plantIds;
+    }
+    const thresholds = this.readNumbers('#agreement-thresholds');
+    if (thresholds.some(value => !(value > 0))) {
+      throw new Error('PCK thresholds must be positive numbers');
+    }
+    if (thresholds.length > 0) {
+      request.thresholds = thresholds;
+    }
+    const maxDistance = Number(this.modal.querySelector('#agreement-max-distance').value);
+    if (maxDistance > 0) {
+      request.maxDistance = maxDistance;
+    }
+    return request;
+  }
+
+  async compute() {
+    const errorElement = this.modal.querySelector('#agreement-error');
+    const button = this.modal.querySelector('#agreement-run-btn');
+    errorElement.textContent = '';
+
+    let request;
+    try {
+      request = this.buildRequest();
+    } catch (error) {
+      errorElement.textContent = error.message;
+      return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Computing...';
+    try {
+      const response = await this.fetch(`${this.baseUrl}/agreement`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(request)
+      });
+      const body = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const { message = `HTTP ${response.status}`, details = [] } = body.error || {};
+        throw new Error([message, ...details.map(detail => `${detail.field}: ${detail.message}`)].join(' — '));
+      }
+      this.report = body.data;
+      this.renderReport();
+    } catch (error) {
+      errorElement.textContent = `Could not compute the agreement: ${error.message}`;
+    } finally {
+      button.disabled = false;
+      button.textContent = 'Compute';
+    }
+  }
+
+  exportCsv() {
+    if (!this.report) return;
+    downloadFile(agreementReportToCsv(this.report), datedFileName('agreement', 'csv'), 'text/csv');
+  }
+
+  // ---------- 报告 ----------
+
+  formatNumber(value, digits = 2) {
+    return value === null || value === undefined ? '–' : Number(value).toFixed(digits);
+  }
+
+  formatShare(value) {
+    return value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`;
+  }
+
+  renderRows(entries, labelOf) {
+    const { thresholds } = this.report;
+    return entries.map(entry => `
+      <tr>
+        <td>${this.escapeHtml(labelOf(entry))}</td>
+        <td>${entry.images}</td>
+        <td>${entry.matched}</td>
+        <td>${entry.missed}</td>
+        <td>${entry.extra}</td>
+        <td>${this.formatNumber(entry.meanPixelError)}</td>
+        ${thresholds.map(threshold => `<td>${this.formatShare(entry.pck[String(threshold)])}</td>`).join('')}
+        <td>${this.formatNumber(entry.meanAngleError, 1)}</td>
+      </tr>
+    `).join('');
+  }
+
+  renderTable(title, entries, labelOf) {
+    const { thresholds } = this.report;
+    return `
+      <h4>${title}</h4>
+      <table class="agreement-table">
+        <thead>
+          <tr>
+            <th></th><th>Images</th><th>Matched</th><th>Missed</th><th>Extra</th><th>Mean error (px)</th>
+            ${thresholds.map(threshold => `<th>PCK@${threshold}px</th>`).join('')}
+            <th>Angle error (°)</th>
+          </tr>
+        </thead>
+        <tbody>${this.renderRows(entries, labelOf)}</tbody>
+      </table>
+    `;
+  }
+
+  renderReport() {
+    const report = this.report;
+    const container = this.modal.querySelector('#agreement-report');
+    this.modal.querySelector('#agreement-export-btn').disabled = false;
+
+    if (report.overall.images === 0) {
+      container.innerHTML = `<p class="agreement-empty">No image was annotated by both ${this.escapeHtml(report.a)} and ${this.escapeHtml(report.b)}.</p>`;
+      return;
+    }
+
+    container.innerHTML = `
+      <p class="agreement-summary">
+        A = ${this.escapeHtml(report.a)}, B = ${this.escapeHtml(report.b)}.
+        ${report.overall.images} image(s) compared, ${report.skippedImages} annotated by only one side.
+        Keypoints without a number are matched within ${report.maxDistance}px.
+      </p>
+      ${this.renderTable('Overall', [report.overall], () => 'All')}
+      ${this.renderTable('Per plant', report.plants, entry => entry.plantId)}
+      ${this.renderTable('Per annotation type', report.types, entry => entry.customTypeId)}
+    `;
+  }
+
+  createDialog() {
+    const modal = document.createElement('div');
+    modal.id = 'agreement-modal';
+    modal.className = 'modal';
+    modal.style.display = 'none';
+    const sourceFields = side => `
+      <div class="agreement-source">
+        <label>Source ${side.toUpperCase()}${side === 'a' ? ' (reference)' : ''}</label>
+        <select id="agreement-${side}-kind">
+          <option value="annotator">Annotator</option>
+          <option value="annotationsDir">Annotations directory</option>
+        </select>
+        <input type="text" id="agreement-${side}-value" list="agreement-annotators" placeholder="alice or /path/to/annotations">
+      </div>
+    `;
+    modal.innerHTML = `
+      <div class="modal-content agreement-modal-content">
+        <div class="modal-header">
+          <h3>Inter-annotator agreement</h3>
+        </div>
+        <div class="modal-body">
+          <p class="form-help">
+            An annotator stands for their latest saved revision of each image; a directory is
+            another annotations folder inside the dataset root, given as a relative path.
+          </p>
+          <datalist id="agreement-annotators"></datalist>
+          ${sourceFields('a')}
+          ${sourceFields('b')}
+          <div class="agreement-options">
+            <label>Plants <input type="text" id="agreement-plants" placeholder="All plants"></label>
+            <label>PCK thresholds (px) <input type="text" id="agreement-thresholds" value="${DEFAULT_PCK_THRESHOLDS.join(', ')}"></label>
+            <label>Match radius (px) <input type="number" id="agreement-max-distance" min="1" value="${DEFAULT_MATCH_DISTANCE}"></label>
+          </div>
+          <div class="form-help agreement-error" id="agreement-error"></div>
+          <div id="agreement-report" class="agreement-report"></div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary" id="agreement-export-btn" disabled>Export CSV</button>
+          <button class="btn btn-primary" id="agreement-run-btn">Compute</button>
+          <button class="btn btn-secondary" id="agreement-close-btn">Close</button>
+        </div>
+      </div>
+    `;
+
+    modal.querySelector('#agreement-close-btn').addEventListener('click', () => this.closeDialog());
+    modal.querySelector('#agreement-run-btn').addEventListener('click', () => this.compute());
+    modal.querySelector('#agreement-export-btn').addEventListener('click', () => this.exportCsv());
+
+    document.body.appendChild(modal);
+    this.modal = modal;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Annotation Revision History Drawer
+ *
+ * Features:
+ * - Lists the revision log of the current image (who, when, what changed)
+ * - Shows the diff between a revision and the one before it
+ * - Restores a revision (appended as a new revision, nothing is rewritten)
+ */
+
+import { formatDiffSummary } from '../utils/AnnotationDiff.js';
+
+const ACTION_LABELS = {
+  baseline: 'Baseline',
+  save: 'Saved',
+  delete: 'Deleted',
+  restore: 'Restored',
+  migrate: 'Migrated'
+};
+
+const SOURCE_LABELS = {
+  manual: 'manual edit',
+  'realtime-sync': 'real-time sync',
+  'history-restore': 'history',
+  'plant-deletion': 'plant deletion',
+  'schema-migration': 'format migration',
+  disk: 'existing file',
+  api: 'API'
+};
+
+export class AnnotationHistoryUI {
+  /**
+   * @param {HttpFileSystemManager} fileSystemManager
+   * @param {Object} [options]
+   * @param {Function} [options.onRestored] - (imageId, annotationData) after a restore
+   */
+  constructor(fileSystemManager, options = {}) {
+    this.fileSystemManager = fileSystemManager;
+    this.onRestored = options.onRestored || null;
+    this.currentImageId = null;
+    this.revisions = [];
+    this.selectedRevision = null;
+    this.isOpen = false;
+
+    this.drawer = document.getElementById('history-drawer');
+    this.listElement = document.getElementById('history-list');
+    this.diffElement = document.getElementById('history-diff');
+    this.titleElement = document.getElementById('history-drawer-subtitle');
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Bind drawer controls
+   */
+  setupEventListeners() {
+    document.getElementById('history-btn')?.addEventListener('click', () => this.toggle());
+    document.getElementById('history-drawer-close')?.addEventListener('click', () => this.close());
+
+    this.listElement?.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-history-action]');
+      if (!button) return;
+
+      const revision = Number(button.dataset.revision);
+      if (button.dataset.historyAction === 'diff') {
+        this.showDiff(revision);
+      } else if (button.dataset.historyAction === 'restore') {
+        this.restore(revision);
+      }
+    });
+  }
+
+  /**
+   * Track the image shown in the annotation panel
+   */
+  setCurrentImage(imageId) {
+    this.currentImageId = imageId;
+    this.selectedRevision = null;
+    if (this.isOpen) {
+      this.refresh();
+    }
+  }
+
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  async open() {
+    if (!this.drawer) return;
+    this.isOpen = true;
+    this.drawer.classList.add('open');
+    await this.refresh();
+  }
+
+  close() {
+    if (!this.drawer) return;
+    this.isOpen = false;
+    this.drawer.classList.remove('open');
+  }
+
+  /**
+   * Reload the revision list of the current image
+   */
+  async refresh() {
+    if (!this.listElement) return;
+
+    if (this.diffElement) {
+      this.diffElement.innerHTML = '';
+    }
+
+    if (!this.currentImageId) {
+      this.titleElement.textContent = '';
+      this.listElement.innerHTML = '<div class="history-empty">Select an image to see its history</div>';
+      return;
+    }
+
+    this.titleElement.textContent = this.currentImageId;
+    this.listElement.innerHTML = '<div class="history-empty">Loading...</div>';
+
+    try {
+      this.revisions = await this.fileSystemManager.getAnnotationHistory(this.currentImageId);
+      this.renderList();
+    } catch (error) {
+      console.error('[History] 加载修订历史失败:', error);
+      this.listElement.innerHTML = `<div class="history-empty">Failed to load history: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  renderList() {
+    if (this.revisions.length === 0) {
+      this.listElement.innerHTML = '<div class="history-empty">No revisions recorded yet</div>';
+      return;
+    }
+
+    const latest = this.revisions[0].revision;
+    this.listElement.innerHTML = this.revisions.map(entry => {
+      const action = ACTION_LABELS[entry.action] || entry.action;
+      const source = SOURCE_LABELS[entry.source] || entry.source;
+      const restoredFrom = entry.restoredFrom !== undefined ? ` from #${entry.restoredFrom}` : '';
+      const selected = entry.revision === this.selectedRevision ? ' selected' : '';
+
+      return `
+        <div class="history-item${selected}" data-revision="${entry.revision}">
+          <div class="history-item-header">
+            <span class="history-revision">#${entry.revision}</span>
+            <span class="history-action history-action-${entry.action}">${action}${restoredFrom}</span>
+            <span class="history-time">${new Date(entry.timestamp).toLocaleString()}</span>
+          </div>
+          <div class="history-item-meta">
+            ${this.escapeHtml(entry.author)} · ${this.escapeHtml(source)} ·
+            <span class="history-summary">${formatDiffSummary(entry.summary)}</span>
+            · ${entry.summary?.total ?? 0} points
+          </div>
+          <div class="history-item-actions">
+            <button class="btn btn-small btn-secondary" data-history-action="diff" data-revision="${entry.revision}">Changes</button>
+            ${entry.revision !== latest ? `<button class="btn btn-small btn-primary" data-history-action="restore" data-revision="${entry.revision}">Restore</button>` : ''}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Show what a revision changed compared to the previous one
+   */
+  async showDiff(revision) {
+    if (!this.diffElement) return;
+    this.selectedRevision = revision;
+    this.renderList();
+
+    try {
+      const result = await this.fileSystemManager.diffAnnotationRevisions(this.currentImageId, revision - 1, revision);
+      this.diffElement.innerHTML = this.renderDiff(result);
+    } catch (error) {
+      this.diffElement.innerHTML = `<div class="history-empty">Failed to load changes: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  renderDiff({ from, to, summary, diff }) {
+    const label = keypoint => {
+      const type = keypoint.annotationType === 'custom' ? keypoint.customTypeId : 'regular';
+      return `#${keypoint.order ?? '?'} (${this.escapeHtml(String(type))})`;
+    };
+    const position = keypoint => `${Math.round(keypoint.x)}, ${Math.round(keypoint.y)}`;
+
+    const rows = [
+      ...diff.added.map(kp => `<li class="diff-added">+ ${label(kp)} at ${position(kp)}</li>`),
+      ...diff.removed.map(kp => `<li class="diff-removed">− ${label(kp)} at ${position(kp)}</li>`),
+      ...diff.changed.map(change => `
+        <li class="diff-changed">~ ${label(change.after)}: ${change.fields.map(field =>
+          `${field} ${this.escapeHtml(String(change.before[field] ?? '–'))} → ${this.escapeHtml(String(change.after[field] ?? '–'))}`
+        ).join(', ')}</li>`)
+    ];
+
+    return `
+      <div class="history-diff-header">Changes #${from} → #${to}: ${formatDiffSummary(summary)}</div>
+      ${rows.length > 0 ? `<ul class="history-diff-list">${rows.join('')}</ul>` : ''}
+    `;
+  }
+
+  /**
+   * Restore a revision after confirmation
+   */
+  async restore(revision) {
+    const imageId = this.currentImageId;
+    if (!imageId) return;
+
+    const confirmed = window.confirm(`Restore revision #${revision} of ${imageId}? The current annotations stay available in the history.`);
+    if (!confirmed) return;
+
+    try {
+      const annotationData = await this.fileSystemManager.restoreAnnotationRevision(imageId, revision);
+      if (this.onRestored) {
+        await this.onRestored(imageId, annotationData);
+      }
+      await this.refresh();
+    } catch (error) {
+      console.error('[History] 恢复修订失败:', error);
+      window.alert(`Failed to restore revision #${revision}: ${error.message}`);
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+}
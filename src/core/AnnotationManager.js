@@ -6,8 +6,12 @@
  * - 智能缓存和性能优化
  * - 与现有系统集成
  * - 避免单独的网络请求
+ * - 订阅变更通知，其他标签页或标注者保存后自动使缓存失效
  */
 
+import { CHANGE_EVENT_TYPES, RESYNC_EVENT } from '../utils/ChangeEvents.js';
+import { migrateKeypoints } from '../utils/AnnotationMigrations.js';
+
 export class AnnotationManager {
   constructor(httpFileSystemManager) {
     this.httpManager = httpFileSystemManager;
@@ -100,11 +104,19 @@ export class AnnotationManager {
           // 缓存批量数据
           this.bulkAnnotationData = {
             plantAnnotations: result.data.plantAnnotations || {},
-            imageAnnotations: result.data.imageAnnotations || {},
-            statistics: result.data.statistics || {}
+            // 批量接口只返回标注点，不带文档的 schemaVersion，逐个迁移
+            imageAnnotations: Object.fromEntries(
+              Object.entries(result.data.imageAnnotations || {}).map(([imageId, annotations]) => [imageId, migrateKeypoints(annotations)])
+            ),
+            statistics: result.data.statistics || {},
+            corruptedFiles: result.corruptedFiles || []
           };
           this.bulkDataTimestamp = Date.now();
           
+          if (this.bulkAnnotationData.corruptedFiles.length > 0) {
+            console.warn('[AnnotationManager] 以下标注文件已损坏且无法恢复:', this.bulkAnnotationData.corruptedFiles);
+          }
+          
           // 更新个别缓存以保持一致性
           this.updateIndividualCacheFromBulk();
           
@@ -367,6 +379,31 @@ export class AnnotationManager {
     console.log('[AnnotationManager] 标注缓存已完全清除');
   }
 
+  /**
+   * 订阅变更通知（ChangeFeedClient）
+   */
+  subscribeToChanges(changeFeed) {
+    const { ANNOTATION_SAVED, ANNOTATION_DELETED } = CHANGE_EVENT_TYPES;
+    for (const type of [ANNOTATION_SAVED, ANNOTATION_DELETED]) {
+      changeFeed.on(type, event => this.invalidateImage(event.imageId, event.plantId));
+    }
+    changeFeed.on(RESYNC_EVENT, () => this.clearCache());
+  }
+
+  /**
+   * 图像标注在别处被修改：清除该图像、所属植物和批量数据缓存
+   */
+  invalidateImage(imageId, plantId = null) {
+    for (const key of [`image_${imageId}`, plantId && `plant_${plantId}`]) {
+      if (key) {
+        this.annotations.delete(key);
+        this.cacheTimestamps.delete(key);
+      }
+    }
+    this.bulkAnnotationData = null;
+    this.bulkDataTimestamp = 0;
+  }
+
   /**
    * 设置缓存
    */
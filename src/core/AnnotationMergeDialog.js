@@ -0,0 +1,174 @@
+/**
+ * Annotation Save Conflict Dialog
+ *
+ * Features:
+ * - Shown when an autosave is rejected because the server copy changed
+ * - Lists both keypoint sets side by side, matched per keypoint
+ * - Keep mine, keep the server copy, or pick a side per keypoint
+ */
+
+import { pairKeypoints, mergeKeypoints } from '../utils/AnnotationDiff.js';
+
+const STATUS_LABELS = {
+  same: 'Same',
+  changed: 'Different',
+  'local-only': 'Only yours',
+  'server-only': 'Only server'
+};
+
+export class AnnotationMergeDialog {
+  constructor() {
+    this.modal = null;
+    this.pairs = [];
+    this.resolve = null;
+  }
+
+  /**
+   * Ask the user how to resolve a conflict
+   *
+   * @param {Object} conflict
+   * @param {string} conflict.imageId
+   * @param {Array} conflict.localKeypoints - Keypoints that failed to save
+   * @param {Array} conflict.serverKeypoints - Keypoints currently on the server
+   * @returns {Promise<{ resolution: 'local'|'server'|'merge', keypoints: Array }>}
+   */
+  open({ imageId, localKeypoints, serverKeypoints }) {
+    if (!this.modal) {
+      this.createModal();
+    }
+
+    this.pairs = pairKeypoints(localKeypoints, serverKeypoints);
+    this.localKeypoints = localKeypoints || [];
+    this.serverKeypoints = serverKeypoints || [];
+
+    this.modal.querySelector('#merge-dialog-image').textContent = imageId;
+    this.modal.querySelector('#merge-dialog-counts').textContent =
+      `Yours: ${this.localKeypoints.length} points · Server: ${this.serverKeypoints.length} points`;
+    this.modal.querySelector('#merge-dialog-rows').innerHTML = this.renderRows();
+    this.modal.style.display = 'flex';
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  }
+
+  createModal() {
+    const modal = document.createElement('div');
+    modal.id = 'annotation-merge-modal';
+    modal.className = 'modal';
+    modal.style.display = 'none';
+    modal.innerHTML = `
+      <div class="modal-content merge-dialog-content">
+        <div class="modal-header">
+          <h3>Annotations changed on the server</h3>
+        </div>
+        <div class="modal-body">
+          <p>
+            Someone else saved <strong id="merge-dialog-image"></strong> after you opened it.
+            Choose which keypoints to keep.
+          </p>
+          <div class="merge-dialog-counts" id="merge-dialog-counts"></div>
+          <table class="merge-table">
+            <thead>
+              <tr>
+                <th>Keypoint</th>
+                <th>Yours</th>
+                <th>Server</th>
+                <th>Status</th>
+                <th>Keep</th>
+              </tr>
+            </thead>
+            <tbody id="merge-dialog-rows"></tbody>
+          </table>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary" data-merge-action="server">Keep server copy</button>
+          <button class="btn btn-secondary" data-merge-action="local">Keep mine</button>
+          <button class="btn btn-primary" data-merge-action="merge">Save merged</button>
+        </div>
+      </div>
+    `;
+
+    modal.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-merge-action]');
+      if (button) {
+        this.finish(button.dataset.mergeAction);
+      }
+    });
+
+    document.body.appendChild(modal);
+    this.modal = modal;
+  }
+
+  renderRows() {
+    if (this.pairs.length === 0) {
+      return '<tr><td colspan="5" class="merge-empty">Neither copy has keypoints</td></tr>';
+    }
+
+    return this.pairs.map((pair, index) => {
+      const keypoint = pair.local || pair.server;
+      const defaultSide = pair.local ? 'local' : 'server';
+      const radio = side => `
+        <label class="merge-choice">
+          <input type="radio" name="merge-choice-${index}" value="${side}" data-key="${this.escapeHtml(pair.key)}"
+            ${side === defaultSide ? 'checked' : ''} ${pair.status === 'same' ? 'disabled' : ''}>
+          ${side === 'local' ? 'Mine' : 'Server'}
+        </label>
+      `;
+
+      return `
+        <tr class="merge-row merge-row-${pair.status}">
+          <td>${this.describeKeypoint(keypoint)}</td>
+          <td>${this.describePosition(pair.local)}</td>
+          <td>${this.describePosition(pair.server)}</td>
+          <td>${STATUS_LABELS[pair.status]}</td>
+          <td>${radio('local')}${radio('server')}</td>
+        </tr>
+      `;
+    }).join('');
+  }
+
+  describeKeypoint(keypoint) {
+    const type = keypoint.annotationType === 'custom' ? keypoint.customTypeId : 'regular';
+    return `#${keypoint.order ?? '?'} <span class="merge-type">${this.escapeHtml(String(type))}</span>`;
+  }
+
+  describePosition(keypoint) {
+    if (!keypoint) return '<span class="merge-missing">—</span>';
+    const direction = typeof keypoint.direction === 'number' ? ` · ${Math.round(keypoint.direction)}°` : '';
+    return `${Math.round(keypoint.x)}, ${Math.round(keypoint.y)}${direction}`;
+  }
+
+  /**
+   * Per-keypoint choices from the radio buttons
+   */
+  getChoices() {
+    const choices = {};
+    this.modal.querySelectorAll('#merge-dialog-rows input[type="radio"]:checked').forEach(input => {
+      choices[input.dataset.key] = input.value;
+    });
+    return choices;
+  }
+
+  finish(resolution) {
+    let keypoints;
+    if (resolution === 'server') {
+      keypoints = this.serverKeypoints.map(kp => ({ ...kp }));
+    } else if (resolution === 'local') {
+      keypoints = this.localKeypoints.map(kp => ({ ...kp }));
+    } else {
+      keypoints = mergeKeypoints(this.pairs, this.getChoices());
+    }
+
+    this.modal.style.display = 'none';
+    const resolve = this.resolve;
+    this.resolve = null;
+    resolve?.({ resolution, keypoints });
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+}
@@ -8,11 +8,21 @@
  * - 管理标注历史和备份
  */
 
+import { getBackendApiUrl } from '../utils/ProjectConfig.js';
+import { AnnotationConflictError, migrateLoadedAnnotation } from './HttpFileSystemManager.js';
+import {
+  ANNOTATION_SCHEMA_VERSION,
+  getSchemaVersion,
+  needsMigration,
+  migrateAnnotationDocument
+} from '../utils/AnnotationMigrations.js';
+
 export class AnnotationStorageManager {
   constructor() {
-    this.apiBaseUrl = 'http://localhost:3002/api'; // 本地存储服务器
+    this.apiBaseUrl = getBackendApiUrl(); // 后端服务器（包含旧版存储接口）
     this.annotations = new Map();
     this.imageAnnotations = new Map(); // 新增：按图像ID存储标注
+    this.imageVersions = new Map(); // 图像ID -> 旧版接口返回的 ETag
     this.isInitialized = false;
     this.fileSystemManager = null; // 文件系统管理器
     this.useFileSystem = false; // 是否使用文件系统存储
@@ -841,12 +851,19 @@ export class AnnotationStorageManager {
 
   /**
    * 保存图像标注数据
+   *
+   * @throws {AnnotationConflictError} When the annotations changed on the server since they were read
    */
-  async saveImageAnnotation(imageId, annotationData) {
+  async saveImageAnnotation(imageId, annotationData, options = {}) {
+    // 写入当前格式版本（标注点可能来自旧格式的数据）；比当前代码新的文档原样保存
+    if (needsMigration(annotationData) && getSchemaVersion(annotationData) <= ANNOTATION_SCHEMA_VERSION) {
+      annotationData = migrateAnnotationDocument(annotationData).document;
+    }
+
     // 优先使用文件系统保存
     if (this.useFileSystem) {
       try {
-        const success = await this.saveImageAnnotationToFileSystem(imageId, annotationData);
+        const success = await this.saveImageAnnotationToFileSystem(imageId, annotationData, options);
         if (success) {
           console.log(`成功保存图像 ${imageId} 的标注数据到文件系统`);
           // 只在文件系统保存成功时才更新内存（用于统计等功能）
@@ -856,19 +873,27 @@ export class AnnotationStorageManager {
           return true;
         }
       } catch (error) {
+        // 版本冲突需要用户处理，不能回退到其他存储
+        if (error instanceof AnnotationConflictError) {
+          throw error;
+        }
         console.error(`保存图像 ${imageId} 标注数据到文件系统失败:`, error);
       }
-    } else {
-      // 如果没有启用文件系统，更新内存
-      this.imageAnnotations.set(imageId, annotationData);
+      // 不回退到旧版接口，只备份到localStorage
+      this.saveImageAnnotationsToLocalStorage();
+      return false;
     }
 
-    // 如果文件系统保存失败或未启用，尝试保存到服务器
+    // 未启用文件系统：更新内存并保存到服务器
+    this.imageAnnotations.set(imageId, annotationData);
     try {
+      // 以读取时的版本为条件；服务器上没有的图像只能新建
+      const etag = this.imageVersions.get(imageId);
       const response = await fetch(`${this.apiBaseUrl}/save-image-annotation`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' })
         },
         body: JSON.stringify({
           imageId,
@@ -878,7 +903,13 @@ export class AnnotationStorageManager {
 
       const result = await response.json();
 
+      if (response.status === 409) {
+        this.imageVersions.set(imageId, result.etag ?? null);
+        throw new AnnotationConflictError(imageId, result.serverData ?? null, result.etag ?? null);
+      }
+
       if (result.success) {
+        this.imageVersions.set(imageId, result.etag ?? null);
         console.log(`成功保存图像 ${imageId} 的标注数据到服务器`);
         // 备份到localStorage
         this.saveImageAnnotationsToLocalStorage();
@@ -887,6 +918,9 @@ export class AnnotationStorageManager {
         throw new Error(result.error || '服务器保存失败');
       }
     } catch (error) {
+      if (error instanceof AnnotationConflictError) {
+        throw error;
+      }
       console.error(`保存图像 ${imageId} 标注数据到服务器失败:`, error);
       // 如果无法保存到服务器，至少保存到localStorage作为备份
       this.saveImageAnnotationsToLocalStorage();
@@ -927,7 +961,8 @@ export class AnnotationStorageManager {
       if (result.success && result.data) {
         // 将数据加载到Map中
         for (const [imageId, annotationData] of Object.entries(result.data.imageAnnotations || {})) {
-          this.imageAnnotations.set(imageId, annotationData);
+          this.imageAnnotations.set(imageId, migrateLoadedAnnotation(imageId, annotationData));
+          this.imageVersions.set(imageId, result.data.etags?.[imageId] ?? null);
         }
         
         console.log(`从服务器加载了 ${this.imageAnnotations.size} 张图像的标注数据`);
@@ -1063,16 +1098,19 @@ export class AnnotationStorageManager {
   /**
    * 保存图像标注到文件系统
    */
-  async saveImageAnnotationToFileSystem(imageId, annotationData) {
+  async saveImageAnnotationToFileSystem(imageId, annotationData, options = {}) {
     if (!this.fileSystemManager) {
       console.warn('文件系统管理器未设置，跳过文件系统保存');
       return false;
     }
 
     try {
-      await this.fileSystemManager.saveAnnotationFile(imageId, annotationData);
+      await this.fileSystemManager.saveAnnotationFile(imageId, annotationData, options);
       return true;
     } catch (error) {
+      if (error instanceof AnnotationConflictError) {
+        throw error;
+      }
       console.error(`保存标注到文件系统失败 (${imageId}):`, error);
       return false;
     }
@@ -9,6 +9,10 @@
  * - 视图状态管理
  */
 
+import { AnnotationConflictError } from './HttpFileSystemManager.js';
+import { AnnotationMergeDialog } from './AnnotationMergeDialog.js';
+import { migrateKeypoints } from '../utils/AnnotationMigrations.js';
+
 export class AnnotationTool {
   constructor(canvasId, options = {}) {
     console.log('[调试] AnnotationTool 构造函数被调用', { canvasId, timestamp: Date.now() });
@@ -118,6 +122,13 @@ export class AnnotationTool {
       lockStartTime: null
     };
     
+    // 保存冲突（服务器版本已变化）的合并对话框
+    this.mergeDialog = null;
+    this.saveConflictPending = false;
+    
+    // 审核模式：标注点上的审核标记，只读时点击只选择标注点（见 setReviewOverlay）
+    this.reviewOverlay = null;
+    
     // 🔧 NEW: Enhanced Auto Direction State Management
     this.autoDirectionMode = 'longitudinal'; // 'longitudinal' | 'cross-sectional' - default fallback
     this.crossSectionalState = null; // Will be initialized when cross-sectional mode starts
@@ -627,6 +638,61 @@ export class AnnotationTool {
     
     // 更新标注点大小信息
     this.updateAnnotationSizeInfo(displayStrategy);
+    
+    // 审核标记绘制在标注点之上
+    this.renderReviewMarkers(displayStrategy);
+  }
+
+  /**
+   * 显示审核标记
+   *
+   * @param {Object} overlay
+   * @param {Function} overlay.getMarker - keypoint => { verdict, resolved, selected } | null
+   * @param {boolean} [overlay.readOnly] - 审核者查看时不允许修改标注
+   * @param {Function} [overlay.onSelect] - 只读时点击标注点的回调
+   */
+  setReviewOverlay(overlay) {
+    this.reviewOverlay = overlay;
+    this.render();
+  }
+
+  clearReviewOverlay() {
+    if (!this.reviewOverlay) return;
+    this.reviewOverlay = null;
+    this.render();
+  }
+
+  /**
+   * 绘制审核标记：接受为绿色圆环，标记为红色圆环（已解决时为虚线）
+   */
+  renderReviewMarkers(displayStrategy) {
+    if (!this.reviewOverlay) return;
+    
+    const radius = displayStrategy.radius + 5;
+    this.keypoints.forEach(keypoint => {
+      const marker = this.reviewOverlay.getMarker(keypoint);
+      if (!marker) return;
+      
+      const { x, y } = this.imageToScreen(keypoint.x, keypoint.y);
+      this.ctx.save();
+      if (marker.verdict) {
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius, 0, 2 * Math.PI);
+        this.ctx.strokeStyle = marker.verdict === 'accepted' ? '#16a34a' : '#dc2626';
+        this.ctx.lineWidth = 3;
+        this.ctx.setLineDash(marker.resolved ? [4, 3] : []);
+        this.ctx.stroke();
+      }
+      if (marker.selected) {
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius + 5, 0, 2 * Math.PI);
+        this.ctx.strokeStyle = '#2563eb';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.stroke();
+      }
+      this.ctx.restore();
+    });
   }
 
   /**
@@ -1345,6 +1411,16 @@ export class AnnotationTool {
 
     const mousePos = this.getMousePos(event);
 
+    // 审核模式（只读）：左键只选择标注点，Shift + 左键仍然平移
+    if (this.reviewOverlay?.readOnly && event.button === 0 && !event.shiftKey) {
+      const keypoint = this.getKeypointAt(mousePos);
+      if (keypoint) {
+        this.reviewOverlay.onSelect?.(keypoint);
+        this.render();
+      }
+      return;
+    }
+
     if (event.button === 0) { // 左键
       if (event.shiftKey) {
         // Shift + 左键：开始平移
@@ -3352,6 +3428,11 @@ export class AnnotationTool {
   handleContextMenu(event) {
     event.preventDefault();
     
+    // 审核模式下不允许删除标注
+    if (this.reviewOverlay?.readOnly) {
+      return;
+    }
+    
     const mousePos = this.getMousePos(event);
     
     // 首先检查是否点击了自定义标注
@@ -3454,6 +3535,11 @@ export class AnnotationTool {
       return; // 在输入框中时不处理
     }
     
+    // 审核模式下不允许撤销、重做和关联父节点
+    if (this.reviewOverlay?.readOnly && ['z', 'y', 'e', 'E'].includes(event.key)) {
+      return;
+    }
+    
     switch (event.key) {
       case ' ':
         event.preventDefault();
@@ -4553,6 +4639,12 @@ export class AnnotationTool {
         return;
       }
       
+      // 冲突对话框打开期间不再自动保存，等待用户选择
+      if (this.saveConflictPending) {
+        console.warn('[自动保存] 跳过：等待处理保存冲突');
+        return;
+      }
+      
       // 🔧 FIX: 检查 currentImage 的有效性，防止 null 引用错误
       if (!appState.currentImage || !appState.currentImage.id) {
         console.warn('自动保存跳过：当前图像信息无效');
@@ -4600,10 +4692,73 @@ export class AnnotationTool {
       }
       
     } catch (error) {
+      if (error instanceof AnnotationConflictError) {
+        await this.resolveSaveConflict(error, this.getAnnotationData().keypoints);
+        return;
+      }
       console.error('自动保存失败:', error);
     }
   }
 
+  /**
+   * 保存冲突：弹出合并对话框，载入用户选择的结果并重新保存
+   *
+   * The rejected save already moved the tracked version to the server copy,
+   * so the re-save only conflicts again if yet another change landed meanwhile.
+   */
+  async resolveSaveConflict(conflict, localKeypoints) {
+    const plantDataManager = window.PlantAnnotationTool?.plantDataManager;
+    if (!this.mergeDialog) {
+      this.mergeDialog = new AnnotationMergeDialog();
+    }
+
+    this.saveConflictPending = true;
+    try {
+      let pending = conflict;
+      let keypoints = localKeypoints;
+
+      while (pending) {
+        const imageId = pending.imageId;
+        const result = await this.mergeDialog.open({
+          imageId,
+          localKeypoints: keypoints,
+          serverKeypoints: pending.serverData?.annotations || []
+        });
+        keypoints = result.keypoints;
+        pending = null;
+
+        // 处理期间可能已切换到其他图像
+        if (this.validateCurrentImageConsistency(imageId)) {
+          this.loadAnnotationData({ keypoints });
+          if (this.customAnnotationManager) {
+            const customAnnotations = keypoints.filter(kp => kp.annotationType === 'custom');
+            this.customAnnotationManager.syncAnnotationsFromKeypoints(imageId, customAnnotations);
+          }
+        }
+
+        if (result.resolution === 'server') {
+          console.log(`[保存冲突] ${imageId} 采用服务器版本`);
+        } else {
+          try {
+            await plantDataManager.saveImageAnnotations(imageId, keypoints);
+            console.log(`[保存冲突] ${imageId} 已保存${result.resolution === 'merge' ? '合并后的' : '本地'}标注`);
+          } catch (error) {
+            if (!(error instanceof AnnotationConflictError)) throw error;
+            pending = error;
+          }
+        }
+
+        if (!pending && typeof window.refreshThumbnailAnnotationStatus === 'function') {
+          await window.refreshThumbnailAnnotationStatus(imageId);
+        }
+      }
+    } catch (error) {
+      console.error('处理保存冲突失败:', error);
+    } finally {
+      this.saveConflictPending = false;
+    }
+  }
+
   /**
    * 🔄 触发实时同步操作
    * @param {string} operationType - 操作类型 ('ADD_KEYPOINT', 'MOVE_KEYPOINT', 'DELETE_KEYPOINT', 'EDIT_DIRECTION')
@@ -4932,25 +5087,22 @@ export class AnnotationTool {
   }
 
   /**
-   * 升级传统方向到角度方向
+   * 把当前图像中旧格式的标注点（左右方向、regular 类型）升级到当前格式
+   *
+   * 读取标注文件时已经迁移（AnnotationMigrations.js），这里处理的是不经过文件读取的标注点。
    */
   upgradeLegacyDirections() {
     let upgraded = 0;
 
-    this.keypoints.forEach(keypoint => {
-      if (keypoint.direction === 'left' && keypoint.directionType !== 'angle') {
-        keypoint.direction = 180;
-        keypoint.directionType = 'angle';
-        upgraded++;
-      } else if (keypoint.direction === 'right' && keypoint.directionType !== 'angle') {
-        keypoint.direction = 0;
-        keypoint.directionType = 'angle';
+    migrateKeypoints(this.keypoints).forEach((migrated, index) => {
+      if (migrated !== this.keypoints[index]) {
+        Object.assign(this.keypoints[index], migrated);
         upgraded++;
       }
     });
 
     if (upgraded > 0) {
-      console.log(`Upgraded ${upgraded} legacy direction annotations to angle format`);
+      console.log(`Upgraded ${upgraded} legacy annotations to the current format`);
       this.saveState();
       this.render();
       this.autoSaveCurrentImage();
@@ -0,0 +1,215 @@
+/**
+ * Annotation Interchange Export / Import
+ *
+ * Features:
+ * - Exports the annotation files as COCO Keypoints, CVAT for images 1.1 XML
+ *   or Label Studio JSON, with image sizes from
+ *   GET /api/v2/plants/:plantId/images?dimensions=true
+ * - Imports any of these files (the format is detected from the content):
+ *   creates missing custom types, matches the images to dataset image IDs
+ *   and replaces their annotations
+ *
+ * The format mappings are described in src/utils/CocoFormat.js,
+ * src/utils/CvatFormat.js and src/utils/LabelStudioFormat.js.
+ */
+
+import { getBackendApiUrl, getPlantIdRegex } from '../utils/ProjectConfig.js';
+import { parseCocoDataset } from '../utils/CocoFormat.js';
+import { parseCvatXml } from '../utils/CvatFormat.js';
+import { parseLabelStudioTasks } from '../utils/LabelStudioFormat.js';
+import { buildInterchangeFiles } from '../utils/AnnotationExport.js';
+import { parseImageId } from '../utils/ViewAngles.js';
+
+// v2 列表接口的最大分页
+const PAGE_LIMIT = 500;
+
+export const TRANSFER_FORMATS = {
+  coco: { name: 'COCO Keypoints', source: 'coco-import' },
+  cvat: { name: 'CVAT for images 1.1', source: 'cvat-import' },
+  labelstudio: { name: 'Label Studio', source: 'labelstudio-import' }
+};
+
+/**
+ * 根据文件内容判断格式
+ *
+ * @param {string} text
+ * @returns {{ format: 'coco'|'cvat'|'labelstudio', data: Object|string }}
+ */
+export function detectTransferFormat(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+  if (trimmed.startsWith('<')) {
+    return { format: 'cvat', data: trimmed };
+  }
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (error) {
+    throw new Error(`Neither XML nor valid JSON: ${error.message}`);
+  }
+  if (data && !Array.isArray(data) && Array.isArray(data.images) && Array.isArray(data.categories)) {
+    return { format: 'coco', data };
+  }
+  if (Array.isArray(data) || data?.data) {
+    return { format: 'labelstudio', data };
+  }
+  throw new Error('Unknown annotation file: expected COCO Keypoints, CVAT XML or Label Studio JSON');
+}
+
+export class AnnotationTransfer {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getCustomAnnotationManager - Returns the CustomAnnotationManager
+   * @param {Function} options.getAnnotationStorage - Returns the AnnotationStorageManager that saves imported annotations
+   * @param {string} [options.baseUrl] - API v2 base (defaults to the backend's /api/v2)
+   * @param {Function} [options.fetch]
+   */
+  constructor(options) {
+    this.getCustomAnnotationManager = options.getCustomAnnotationManager;
+    this.getAnnotationStorage = options.getAnnotationStorage;
+    this.baseUrl = options.baseUrl || `${getBackendApiUrl()}/v2`;
+    this.fetch = options.fetch || ((...args) => window.fetch(...args));
+  }
+
+  async request(path) {
+    const response = await this.fetch(`${this.baseUrl}${path}`);
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(payload.error?.message || `HTTP ${response.status}`);
+    }
+    return payload;
+  }
+
+  /**
+   * 读取分页列表的全部数据
+   */
+  async requestAll(path) {
+    const items = [];
+    const separator = path.includes('?') ? '&' : '?';
+    for (let offset = 0; ; offset += PAGE_LIMIT) {
+      const { data, meta } = await this.request(`${path}${separator}limit=${PAGE_LIMIT}&offset=${offset}`);
+      items.push(...data);
+      if (offset + PAGE_LIMIT >= meta.total) return items;
+    }
+  }
+
+  getCustomTypes() {
+    return this.getCustomAnnotationManager()?.getAllCustomTypes() || [];
+  }
+
+  /**
+   * 植物的全部图像
+   *
+   * @param {string} plantId
+   * @param {{ dimensions?: boolean }} [options] - Add width/height
+   */
+  listPlantImages(plantId, { dimensions = false } = {}) {
+    return this.requestAll(`/plants/${encodeURIComponent(plantId)}/images${dimensions ? '?dimensions=true' : ''}`);
+  }
+
+  // ---------- 导出 ----------
+
+  /**
+   * 图像ID -> { width, height }
+   */
+  async getImageSizes(imageIds) {
+    const plantIds = [...new Set(imageIds.map(imageId => parseImageId(imageId, getPlantIdRegex())?.plantId).filter(Boolean))];
+    const sizes = new Map();
+    for (const plantId of plantIds) {
+      for (const image of await this.listPlantImages(plantId, { dimensions: true })) {
+        sizes.set(image.id, { width: image.width, height: image.height });
+      }
+    }
+    return sizes;
+  }
+
+  /**
+   * 生成导出文件
+   *
+   * @param {'coco'|'cvat'|'labelstudio'} format
+   * @param {{ annotations: Object<string, { imageId: string, annotations: Array }> }} exportData - From getDirectExportData()
+   * @returns {Promise<{ files: Array<{ content: string, fileName: string, type: string }>, images: number, annotations: number, missingSizes: string[] }>}
+   *   missingSizes: images without a known size (left out of Label Studio tasks)
+   */
+  async buildExport(format, exportData) {
+    const entries = Object.values(exportData.annotations).sort((a, b) => a.imageId.localeCompare(b.imageId));
+    const sizes = await this.getImageSizes(entries.map(entry => entry.imageId));
+    const images = entries.map(entry => ({
+      imageId: entry.imageId,
+      width: sizes.get(entry.imageId)?.width ?? null,
+      height: sizes.get(entry.imageId)?.height ?? null,
+      annotations: entry.annotations
+    }));
+    return buildInterchangeFiles(format, images, this.getCustomTypes(), { plantIdRegex: getPlantIdRegex() });
+  }
+
+  // ---------- 导入 ----------
+
+  async listDatasetImageIds() {
+    const imageIds = [];
+    for (const plant of await this.requestAll('/plants')) {
+      imageIds.push(...(await this.listPlantImages(plant.id)).map(image => image.id));
+    }
+    return imageIds;
+  }
+
+  /**
+   * 读取并解析 COCO、CVAT 或 Label Studio 文件（不写入）
+   *
+   * @param {File} file
+   * @returns {Promise<ReturnType<typeof parseCocoDataset> & { format: string }>}
+   */
+  async readFile(file) {
+    let detected;
+    try {
+      detected = detectTransferFormat(await file.text());
+    } catch (error) {
+      throw new Error(`${file.name}: ${error.message}`);
+    }
+    const options = {
+      customTypes: this.getCustomTypes(),
+      knownImageIds: await this.listDatasetImageIds(),
+      plantIdRegex: getPlantIdRegex()
+    };
+    const parse = { coco: parseCocoDataset, cvat: parseCvatXml, labelstudio: parseLabelStudioTasks }[detected.format];
+    return { format: detected.format, ...parse(detected.data, options) };
+  }
+
+  /**
+   * 新建缺少的类型并覆盖匹配图像的标注
+   *
+   * @param {Object} result - From readFile()
+   * @returns {Promise<{ createdTypes: number, savedImages: number, failedImages: string[] }>}
+   */
+  async applyImport(result) {
+    const manager = this.getCustomAnnotationManager();
+    for (const type of result.newTypes) {
+      manager.createCustomType(type);
+    }
+
+    const annotationStorage = this.getAnnotationStorage();
+    const source = TRANSFER_FORMATS[result.format]?.source || 'import';
+    const failedImages = [];
+    let savedImages = 0;
+    for (const image of result.images) {
+      const annotationData = {
+        imageId: image.imageId,
+        plantId: image.plantId,
+        annotations: image.annotations,
+        timestamp: new Date().toISOString(),
+        version: '2.0'
+      };
+      try {
+        const saved = await annotationStorage.saveImageAnnotation(image.imageId, annotationData, { source, force: true });
+        if (saved) {
+          savedImages++;
+        } else {
+          failedImages.push(image.imageId);
+        }
+      } catch (error) {
+        console.error(`导入 ${image.imageId} 失败:`, error);
+        failedImages.push(image.imageId);
+      }
+    }
+    return { createdTypes: result.newTypes.length, savedImages, failedImages };
+  }
+}
@@ -0,0 +1,229 @@
+/**
+ * Annotator Identity Session
+ *
+ * Features:
+ * - Remembers the selected annotator in localStorage
+ * - Adds the `X-Annotator` header to every request sent to the backends
+ * - Adds this tab's `X-Client-Id`, so the change feed can tell our own writes apart
+ * - Header button and sign-in dialog (configured roster + recently used names)
+ */
+
+import {
+  ANNOTATOR_HEADER,
+  encodeAnnotatorHeader,
+  normalizeAnnotatorName
+} from '../utils/AnnotatorIdentity.js';
+import { CLIENT_ID_HEADER, createClientId } from '../utils/ChangeEvents.js';
+import { getProjectConfig, getBackendApiUrl, getStorageApiUrl } from '../utils/ProjectConfig.js';
+
+export const ANNOTATOR_STORAGE_KEY = 'annotator_identity';
+const MAX_RECENT_ANNOTATORS = 8;
+
+export class AnnotatorSession {
+  /**
+   * @param {Object} [options]
+   * @param {Storage} [options.storage]
+   * @param {string} [options.clientId]
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || window.localStorage;
+    this.listeners = [];
+    this.modal = null;
+    // 每个标签页不同，不保存
+    this.clientId = options.clientId || createClientId();
+
+    const saved = this.readStorage();
+    this.name = normalizeAnnotatorName(saved.name);
+    this.recent = (saved.recent || []).map(normalizeAnnotatorName).filter(Boolean);
+  }
+
+  readStorage() {
+    try {
+      return JSON.parse(this.storage.getItem(ANNOTATOR_STORAGE_KEY)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  writeStorage() {
+    try {
+      this.storage.setItem(ANNOTATOR_STORAGE_KEY, JSON.stringify({ name: this.name, recent: this.recent }));
+    } catch (error) {
+      console.warn('[Annotator] 保存标注者身份失败:', error);
+    }
+  }
+
+  /**
+   * Current annotator, empty string when nobody is signed in
+   */
+  getName() {
+    return this.name;
+  }
+
+  setName(name) {
+    const normalized = normalizeAnnotatorName(name);
+    if (!normalized) {
+      throw new Error('Annotator name cannot be empty');
+    }
+
+    this.name = normalized;
+    this.recent = [normalized, ...this.recent.filter(entry => entry !== normalized)].slice(0, MAX_RECENT_ANNOTATORS);
+    this.writeStorage();
+    this.listeners.forEach(listener => listener(normalized));
+    return normalized;
+  }
+
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  getHeaders() {
+    return this.name ? { [ANNOTATOR_HEADER]: encodeAnnotatorHeader(this.name) } : {};
+  }
+
+  /**
+   * Wrap window.fetch so requests to the backend carry the annotator and client ID
+   */
+  installFetchHeader() {
+    if (this.originalFetch) return;
+
+    const originalFetch = window.fetch.bind(window);
+    this.originalFetch = originalFetch;
+
+    window.fetch = (input, init = {}) => {
+      const url = typeof input === 'string' ? input : input?.url;
+      const isApiRequest = url && [getBackendApiUrl(), getStorageApiUrl()].some(base => url.startsWith(base));
+      if (!isApiRequest) {
+        return originalFetch(input, init);
+      }
+
+      const headers = new Headers(init.headers || (typeof input === 'string' ? undefined : input.headers));
+      if (this.name && !headers.has(ANNOTATOR_HEADER)) {
+        headers.set(ANNOTATOR_HEADER, encodeAnnotatorHeader(this.name));
+      }
+      // 只有写入会产生变更通知，读取请求不带（避免多余的 CORS 预检）
+      const method = (init.method || (typeof input === 'string' ? 'GET' : input.method) || 'GET').toUpperCase();
+      if (method !== 'GET' && method !== 'HEAD' && !headers.has(CLIENT_ID_HEADER)) {
+        headers.set(CLIENT_ID_HEADER, this.clientId);
+      }
+      return originalFetch(input, { ...init, headers });
+    };
+  }
+
+  /**
+   * Bind the header button and keep its label current
+   */
+  setupUI() {
+    this.button = document.getElementById('annotator-btn');
+    this.label = document.getElementById('annotator-name');
+    this.button?.addEventListener('click', () => this.openDialog());
+    this.onChange(() => this.updateButton());
+    this.updateButton();
+  }
+
+  updateButton() {
+    if (this.label) {
+      this.label.textContent = this.name || 'Sign in';
+    }
+    this.button?.classList.toggle('annotator-missing', !this.name);
+  }
+
+  /**
+   * Ask for the annotator on first use
+   */
+  promptIfMissing() {
+    if (!this.name) {
+      this.openDialog();
+    }
+  }
+
+  openDialog() {
+    if (!this.modal) {
+      this.createDialog();
+    }
+
+    // 配置中的 annotators 名单 + 最近使用过的名字
+    const roster = (getProjectConfig().annotators || []).map(normalizeAnnotatorName).filter(Boolean);
+    const names = [...new Set([...this.recent, ...roster])];
+    this.modal.querySelector('#annotator-options').innerHTML = names
+      .map(name => `<option value="${this.escapeHtml(name)}"></option>`)
+      .join('');
+    this.modal.querySelector('#annotator-known').innerHTML = names
+      .map(name => `<button class="btn btn-small btn-secondary" data-annotator="${this.escapeHtml(name)}">${this.escapeHtml(name)}</button>`)
+      .join('');
+
+    const input = this.modal.querySelector('#annotator-input');
+    input.value = this.name;
+    this.modal.querySelector('#annotator-error').textContent = '';
+    // 未登录时必须先选择身份
+    this.modal.querySelector('#annotator-cancel-btn').style.display = this.name ? '' : 'none';
+    this.modal.style.display = 'flex';
+    input.focus();
+  }
+
+  closeDialog() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  createDialog() {
+    const modal = document.createElement('div');
+    modal.id = 'annotator-modal';
+    modal.className = 'modal';
+    modal.style.display = 'none';
+    modal.innerHTML = `
+      <div class="modal-content annotator-modal-content">
+        <div class="modal-header">
+          <h3>Who is annotating?</h3>
+        </div>
+        <div class="modal-body">
+          <p>Your name is recorded on every keypoint, status change, skip and note you save.</p>
+          <div class="annotator-known" id="annotator-known"></div>
+          <div class="form-group">
+            <label for="annotator-input">Annotator</label>
+            <input type="text" id="annotator-input" list="annotator-options" maxlength="64" placeholder="Enter your name">
+            <datalist id="annotator-options"></datalist>
+            <div class="form-help annotator-error" id="annotator-error"></div>
+          </div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary" id="annotator-cancel-btn">Cancel</button>
+          <button class="btn btn-primary" id="annotator-save-btn">Continue</button>
+        </div>
+      </div>
+    `;
+
+    const submit = () => {
+      const input = modal.querySelector('#annotator-input');
+      try {
+        this.setName(input.value);
+        this.closeDialog();
+      } catch (error) {
+        modal.querySelector('#annotator-error').textContent = error.message;
+      }
+    };
+
+    modal.querySelector('#annotator-save-btn').addEventListener('click', submit);
+    modal.querySelector('#annotator-cancel-btn').addEventListener('click', () => this.closeDialog());
+    modal.querySelector('#annotator-input').addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') submit();
+    });
+    modal.querySelector('#annotator-known').addEventListener('click', (event) => {
+      const button = event.target.closest('[data-annotator]');
+      if (button) {
+        modal.querySelector('#annotator-input').value = button.dataset.annotator;
+        submit();
+      }
+    });
+
+    document.body.appendChild(modal);
+    this.modal = modal;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+}
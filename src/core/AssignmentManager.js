@@ -0,0 +1,354 @@
+/**
+ * Plant Assignment Manager
+ *
+ * Features:
+ * - Claims the plant an annotator opens and renews the lease while it stays open
+ * - Asks the backend for the next free plant (POST /api/v2/assignments/next)
+ * - Keeps every active lease in memory, updated from the change feed, so the
+ *   plant list can mark plants locked by other annotators
+ * - Admin dialog (👥 button in the header) listing who holds what, with force release
+ */
+
+import { CHANGE_EVENT_TYPES, RESYNC_EVENT } from '../utils/ChangeEvents.js';
+import { getProjectConfig, getBackendApiUrl } from '../utils/ProjectConfig.js';
+
+const DEFAULT_LEASE_MINUTES = 15;
+// API v2 的最大分页大小
+const PAGE_LIMIT = 500;
+// 租约时长的三分之一续期一次，一两次续期失败也不会过期
+const RENEWALS_PER_LEASE = 3;
+
+/**
+ * 请求失败（status 409 时 current 是对方的租约）
+ */
+export class AssignmentError extends Error {
+  constructor(status, code, message, current = null) {
+    super(message);
+    this.name = 'AssignmentError';
+    this.status = status;
+    this.code = code;
+    this.current = current;
+  }
+}
+
+export class AssignmentManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getAnnotator - () => current annotator name ('' when signed out)
+   * @param {string} [options.baseUrl] - API v2 base (defaults to the backend's /api/v2)
+   * @param {number} [options.leaseMinutes]
+   * @param {Function} [options.fetch]
+   * @param {Function} [options.now] - Clock (ms), replaceable in tests
+   */
+  constructor(options) {
+    this.getAnnotator = options.getAnnotator;
+    this.baseUrl = options.baseUrl || `${getBackendApiUrl()}/v2`;
+    this.configuredLeaseMinutes = options.leaseMinutes || null;
+    this.fetch = options.fetch || ((...args) => window.fetch(...args));
+    this.now = options.now || Date.now;
+    this.leases = new Map();
+    this.listeners = [];
+    this.currentPlantId = null;
+    this.renewTimer = null;
+    this.modal = null;
+  }
+
+  // ---------- 请求 ----------
+
+  // 完整响应体 { data, meta? }，204 时为 null
+  async requestBody(method, path, { keepalive = false } = {}) {
+    const response = await this.fetch(`${this.baseUrl}${path}`, { method, keepalive });
+    if (response.status === 204) {
+      return null;
+    }
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const { code = 'HTTP_ERROR', message = `HTTP ${response.status}`, current = null } = body.error || {};
+      throw new AssignmentError(response.status, code, message, current);
+    }
+    return body;
+  }
+
+  async request(method, path, options) {
+    return (await this.requestBody(method, path, options))?.data ?? null;
+  }
+
+  // 分页接口的全部条目
+  async requestAll(path) {
+    const items = [];
+    for (let offset = 0; ; offset += PAGE_LIMIT) {
+      const { data, meta } = await this.requestBody('GET', `${path}?limit=${PAGE_LIMIT}&offset=${offset}`);
+      items.push(...data);
+      if (offset + PAGE_LIMIT >= meta.total) return items;
+    }
+  }
+
+  // 服务器配置（/api/config）在创建之后才加载，每次使用时读取
+  getLeaseMinutes() {
+    return this.configuredLeaseMinutes || getProjectConfig().leaseMinutes || DEFAULT_LEASE_MINUTES;
+  }
+
+  plantPath(plantId) {
+    return `/plants/${encodeURIComponent(plantId)}/assignment`;
+  }
+
+  // ---------- 租约状态 ----------
+
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify(plantId) {
+    this.listeners.forEach(listener => listener(plantId));
+  }
+
+  setLease(plantId, lease) {
+    if (lease) {
+      this.leases.set(plantId, lease);
+    } else {
+      this.leases.delete(plantId);
+    }
+    this.notify(plantId);
+  }
+
+  /**
+   * 当前有效的租约，没有时返回 null
+   */
+  getLease(plantId) {
+    const lease = this.leases.get(plantId);
+    return lease && Date.parse(lease.expiresAt) > this.now() ? lease : null;
+  }
+
+  /**
+   * 植物是否被其他标注者领取
+   */
+  isLockedByOther(plantId) {
+    const lease = this.getLease(plantId);
+    return !!lease && lease.annotator !== this.getAnnotator();
+  }
+
+  /**
+   * 从服务器加载全部租约
+   */
+  async load() {
+    const leases = await this.requestAll('/assignments');
+    this.leases = new Map(leases.map(lease => [lease.plantId, lease]));
+    this.notify(null);
+    return leases;
+  }
+
+  subscribeToChanges(changeFeed) {
+    changeFeed.on(CHANGE_EVENT_TYPES.ASSIGNMENT_CHANGED, (event) => {
+      // 完成或跳过后服务器释放了租约：不再续期，否则会重新领取
+      if (!event.assignee && event.plantId === this.currentPlantId) {
+        this.currentPlantId = null;
+        this.stopRenewing();
+      }
+      this.setLease(event.plantId, event.assignee
+        ? { ...this.leases.get(event.plantId), plantId: event.plantId, annotator: event.assignee, expiresAt: event.expiresAt }
+        : null);
+    });
+    changeFeed.on(RESYNC_EVENT, () => {
+      this.load().catch(error => console.warn('[Assignments] 重新加载租约失败:', error));
+    });
+  }
+
+  // ---------- 领取和释放 ----------
+
+  /**
+   * 领取植物并在打开期间续期，然后释放之前打开的植物
+   *
+   * @throws {AssignmentError} 409 LEASE_CONFLICT when someone else holds it
+   *   (the previous plant stays claimed)
+   * @returns {Promise<Object>} The lease
+   */
+  async claim(plantId) {
+    const lease = await this.request('PUT', this.plantPath(plantId));
+    if (this.currentPlantId && this.currentPlantId !== plantId) {
+      await this.releaseCurrent();
+    }
+    this.setLease(plantId, lease);
+    this.currentPlantId = plantId;
+    this.startRenewing();
+    return lease;
+  }
+
+  startRenewing() {
+    clearInterval(this.renewTimer);
+    const interval = this.getLeaseMinutes() * 60 * 1000 / RENEWALS_PER_LEASE;
+    this.renewTimer = setInterval(() => this.renew(), interval);
+  }
+
+  stopRenewing() {
+    clearInterval(this.renewTimer);
+    this.renewTimer = null;
+  }
+
+  async renew() {
+    const plantId = this.currentPlantId;
+    if (!plantId) return;
+    try {
+      this.setLease(plantId, await this.request('PUT', this.plantPath(plantId)));
+    } catch (error) {
+      // 租约已过期并被别人领取：停止续期，植物列表会显示对方
+      if (error.status === 409) {
+        console.warn(`[Assignments] ${plantId} 已被 ${error.current?.annotator} 领取`);
+        this.currentPlantId = null;
+        this.stopRenewing();
+        this.setLease(plantId, error.current);
+      } else {
+        console.warn('[Assignments] 续期失败:', error);
+      }
+    }
+  }
+
+  /**
+   * 释放当前打开的植物（关闭页面时用 keepalive 请求）
+   */
+  async releaseCurrent({ keepalive = false } = {}) {
+    const plantId = this.currentPlantId;
+    this.currentPlantId = null;
+    this.stopRenewing();
+    if (!plantId) return;
+    try {
+      await this.request('DELETE', this.plantPath(plantId), { keepalive });
+      this.setLease(plantId, null);
+    } catch (error) {
+      if (error.status !== 404) {
+        console.warn(`[Assignments] 释放 ${plantId} 失败:`, error);
+      }
+    }
+  }
+
+  /**
+   * 释放任意标注者的租约（管理视图）
+   */
+  async forceRelease(plantId) {
+    if (plantId === this.currentPlantId) {
+      this.currentPlantId = null;
+      this.stopRenewing();
+    }
+    try {
+      await this.request('DELETE', `${this.plantPath(plantId)}?force=true`);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+    this.setLease(plantId, null);
+  }
+
+  /**
+   * 让服务器分配下一株植物（已领取的植物优先，其次 after 之后第一株空闲且未完成的植物）
+   *
+   * @returns {Promise<Object|null>} The lease, or null when every plant is done or taken
+   */
+  async claimNext(after = null) {
+    const query = after ? `?after=${encodeURIComponent(after)}` : '';
+    const lease = await this.request('POST', `/assignments/next${query}`);
+    if (lease) {
+      this.setLease(lease.plantId, lease);
+    }
+    return lease;
+  }
+
+  // ---------- 管理视图 ----------
+
+  /**
+   * Bind the header button
+   */
+  setupUI() {
+    document.getElementById('assignments-btn')?.addEventListener('click', () => this.openDialog());
+    this.onChange(() => {
+      if (this.modal?.style.display === 'flex') {
+        this.renderDialog();
+      }
+    });
+  }
+
+  async openDialog() {
+    if (!this.modal) {
+      this.createDialog();
+    }
+    this.modal.style.display = 'flex';
+    this.modal.querySelector('#assignments-error').textContent = '';
+    try {
+      await this.load();
+    } catch (error) {
+      this.modal.querySelector('#assignments-error').textContent = `Could not load assignments: ${error.message}`;
+    }
+    this.renderDialog();
+  }
+
+  closeDialog() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  renderDialog() {
+    const leases = [...this.leases.keys()]
+      .map(plantId => this.getLease(plantId))
+      .filter(Boolean)
+      .sort((a, b) => a.annotator.localeCompare(b.annotator) || a.plantId.localeCompare(b.plantId));
+
+    const tbody = this.modal.querySelector('#assignments-rows');
+    tbody.innerHTML = leases.length === 0
+      ? '<tr><td colspan="4" class="assignments-empty">No plant is assigned right now.</td></tr>'
+      : leases.map(lease => `
+        <tr>
+          <td>${this.escapeHtml(lease.plantId)}</td>
+          <td>${this.escapeHtml(lease.annotator)}</td>
+          <td>${new Date(lease.expiresAt).toLocaleTimeString()}</td>
+          <td><button class="btn btn-small btn-secondary" data-release="${this.escapeHtml(lease.plantId)}">Release</button></td>
+        </tr>
+      `).join('');
+  }
+
+  createDialog() {
+    const modal = document.createElement('div');
+    modal.id = 'assignments-modal';
+    modal.className = 'modal';
+    modal.style.display = 'none';
+    modal.innerHTML = `
+      <div class="modal-content assignments-modal-content">
+        <div class="modal-header">
+          <h3>Plant assignments</h3>
+        </div>
+        <div class="modal-body">
+          <p>Leases expire ${this.getLeaseMinutes()} minutes after the annotator's tab last renewed them.</p>
+          <table class="assignments-table">
+            <thead>
+              <tr><th>Plant</th><th>Annotator</th><th>Expires</th><th></th></tr>
+            </thead>
+            <tbody id="assignments-rows"></tbody>
+          </table>
+          <div class="form-help assignments-error" id="assignments-error"></div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-secondary" id="assignments-close-btn">Close</button>
+        </div>
+      </div>
+    `;
+
+    modal.querySelector('#assignments-close-btn').addEventListener('click', () => this.closeDialog());
+    modal.querySelector('#assignments-rows').addEventListener('click', async (event) => {
+      const button = event.target.closest('[data-release]');
+      if (!button) return;
+      const plantId = button.dataset.release;
+      if (!confirm(`Release ${plantId} from ${this.getLease(plantId)?.annotator}?`)) return;
+      try {
+        await this.forceRelease(plantId);
+      } catch (error) {
+        modal.querySelector('#assignments-error').textContent = `Could not release ${plantId}: ${error.message}`;
+      }
+    });
+
+    document.body.appendChild(modal);
+    this.modal = modal;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+}
@@ -8,6 +8,8 @@
  * - 基于分支点序号的一致性逻辑
  */
 
+import { FullImageSource, TiledImageSource } from './PreviewImageSource.js';
+
 export class BranchPointPreviewManager {
   constructor() {
     this.previewWindow = null;
@@ -42,7 +44,8 @@ export class BranchPointPreviewManager {
     // 缓存数据，用于实时更新
     this.previousImageData = null;
     this.previousAnnotations = [];
-    this.cachedImageElement = null; // 缓存加载的图像元素
+    this.cachedImageSource = null; // 缓存加载的图像来源（整图或服务器图块）
+    this.cachedImageSourceId = null;
     
     this.initializeElements();
   }
@@ -110,7 +113,7 @@ export class BranchPointPreviewManager {
       console.log('Canvas尺寸更新:', width, 'x', height);
       
       // 尺寸改变后立即使用缓存数据重新渲染，避免白屏
-      if (this.isVisible && this.cachedImageElement && this.previousAnnotations) {
+      if (this.isVisible && this.cachedImageSource && this.previousAnnotations) {
         this.renderCachedPreview();
       } else if (this.isVisible && this.previousImageData && this.previousAnnotations) {
         // 如果没有缓存的图像元素，使用原始数据重新渲染
@@ -125,7 +128,10 @@ export class BranchPointPreviewManager {
    * 使用缓存的图像数据立即重新渲染预览
    */
   renderCachedPreview() {
-    if (!this.cachedImageElement || !this.previousAnnotations || !this.previewCanvas || !this.previewCtx) {
+    if (!this.cachedImageSource || !this.previousAnnotations || !this.previewCanvas || !this.previewCtx) {
+      return;
+    }
+    if (this.cachedImageSourceId !== this.previousImageData?.id) {
       return;
     }
     
@@ -141,34 +147,31 @@ export class BranchPointPreviewManager {
       return;
     }
     
-    const img = this.cachedImageElement;
+    const source = this.cachedImageSource;
     
     try {
-      // 计算局部区域（围绕目标标注点，根据缩放级别调整）
-      const baseCropSize = 200; // 基础裁剪区域大小
-      const cropSize = Math.round(baseCropSize / this.zoomLevel); // 根据缩放级别调整裁剪区域
       const centerX = targetAnnotation.x;
       const centerY = targetAnnotation.y;
-      
-      // 计算裁剪区域，确保不超出图像边界
-      const cropX = Math.max(0, Math.min(img.width - cropSize, centerX - cropSize / 2));
-      const cropY = Math.max(0, Math.min(img.height - cropSize, centerY - cropSize / 2));
-      const actualCropWidth = Math.min(cropSize, img.width - cropX);
-      const actualCropHeight = Math.min(cropSize, img.height - cropY);
+      const crop = this.getCropRegion(source, centerX, centerY);
+      const { x: cropX, y: cropY, width: actualCropWidth, height: actualCropHeight } = crop;
       
       // 设置canvas尺寸
       const canvasWidth = this.previewCanvas.width;
       const canvasHeight = this.previewCanvas.height;
       
+      // 新区域的图块尚未加载时回退到异步渲染
+      if (!source.covers(crop, canvasWidth / actualCropWidth)) {
+        if (this.previousImageData) {
+          this.renderPreview(this.previousImageData, this.previousAnnotations);
+        }
+        return;
+      }
+      
       // 清空canvas
       this.previewCtx.clearRect(0, 0, canvasWidth, canvasHeight);
       
       // 绘制局部放大图
-      this.previewCtx.drawImage(
-        img,
-        cropX, cropY, actualCropWidth, actualCropHeight, // 源图裁剪区域
-        0, 0, canvasWidth, canvasHeight // 目标区域
-      );
+      source.drawRegion(this.previewCtx, crop, canvasWidth, canvasHeight);
       
       // 计算标注点在预览canvas中的位置
       const scaleX = canvasWidth / actualCropWidth;
@@ -436,6 +439,92 @@ export class BranchPointPreviewManager {
     return fallbackOrder;
   }
 
+  /**
+   * 获取整张图像的URL（本地文件、现成URL或FileSystemManager）
+   */
+  async createPreviewImageURL(imageData) {
+    // 方式1：如果有file对象，直接使用
+    if (imageData.file && imageData.file instanceof File) {
+      return URL.createObjectURL(imageData.file);
+    }
+    // 方式2：如果有现成的URL
+    if (imageData.url) {
+      return imageData.url;
+    }
+    // 方式3：使用FileSystemManager (HTTP后端或传统文件系统)
+    if (this.plantDataManager?.fileSystemManager) {
+      try {
+        return await this.plantDataManager.fileSystemManager.createImageURL(imageData);
+      } catch (error) {
+        console.warn('Create URL using FileSystemManager failed:', error);
+        
+        // 如果是传统文件系统，尝试直接从handle读取
+        if (imageData.handle) {
+          try {
+            return URL.createObjectURL(await imageData.handle.getFile());
+          } catch (handleError) {
+            console.error('Create URL from handle also failed:', handleError);
+            throw new Error('无法获取图像数据：所有方法都失败');
+          }
+        }
+        throw error;
+      }
+    }
+    throw new Error('无法获取图像数据：缺少必要的图像信息或文件系统管理器');
+  }
+
+  /**
+   * 打开预览图像来源：HTTP 后端支持图像金字塔时按需加载图块，否则加载整张图像
+   */
+  async openPreviewSource(imageData) {
+    if (this.cachedImageSource && this.cachedImageSourceId === imageData.id) {
+      return this.cachedImageSource;
+    }
+    
+    const fileSystemManager = this.plantDataManager?.fileSystemManager;
+    let source = null;
+    
+    if (!imageData.file && !imageData.url && typeof fileSystemManager?.getImagePyramid === 'function') {
+      const pyramid = await fileSystemManager.getImagePyramid(imageData);
+      if (pyramid) {
+        source = new TiledImageSource(pyramid, (level, column, row) =>
+          fileSystemManager.getTileUrl(imageData, level, column, row));
+      }
+    }
+    
+    if (!source) {
+      const imageURL = await this.createPreviewImageURL(imageData);
+      source = await FullImageSource.load(imageURL);
+      console.log('Image loaded successfully:', source.width, 'x', source.height);
+      
+      // 清理临时URL
+      if (imageURL.startsWith('blob:') && !imageData.url) {
+        setTimeout(() => URL.revokeObjectURL(imageURL), 5000);
+      }
+    }
+    
+    this.cachedImageSource = source;
+    this.cachedImageSourceId = imageData.id;
+    return source;
+  }
+
+  /**
+   * 计算局部区域（围绕目标标注点，根据缩放级别调整，确保不超出图像边界）
+   */
+  getCropRegion(source, centerX, centerY) {
+    const baseCropSize = 200; // 基础裁剪区域大小
+    const cropSize = Math.round(baseCropSize / this.zoomLevel); // 根据缩放级别调整裁剪区域
+    
+    const x = Math.max(0, Math.min(source.width - cropSize, centerX - cropSize / 2));
+    const y = Math.max(0, Math.min(source.height - cropSize, centerY - cropSize / 2));
+    return {
+      x,
+      y,
+      width: Math.min(cropSize, source.width - x),
+      height: Math.min(cropSize, source.height - y)
+    };
+  }
+
   /**
    * 渲染预览图像和标注
    */
@@ -490,86 +579,25 @@ export class BranchPointPreviewManager {
     try {
       console.log('Start loading preview image:', imageData);
       
-      // 获取图像URL的多种方式
-      let imageURL;
-      
-      // 方式1：如果有file对象，直接使用
-      if (imageData.file && imageData.file instanceof File) {
-        imageURL = URL.createObjectURL(imageData.file);
-          console.log('Create URL using file object:', imageURL);
-      }
-      // 方式2：如果有现成的URL
-      else if (imageData.url) {
-        imageURL = imageData.url;
-        console.log('Use existing URL:', imageURL);
-      }
-      // 方式3：使用FileSystemManager (HTTP后端或传统文件系统)
-      else if (this.plantDataManager?.fileSystemManager) {
-        try {
-          imageURL = await this.plantDataManager.fileSystemManager.createImageURL(imageData);
-          console.log('Create URL using FileSystemManager:', imageURL);
-        } catch (error) {
-          console.warn('Create URL using FileSystemManager failed:', error);
-          
-          // 如果是传统文件系统，尝试直接从handle读取
-          if (imageData.handle) {
-            try {
-              const file = await imageData.handle.getFile();
-              imageURL = URL.createObjectURL(file);
-              console.log('Create URL directly from handle:', imageURL);
-            } catch (handleError) {
-              console.error('Create URL from handle also failed:', handleError);
-              throw new Error('无法获取图像数据：所有方法都失败');
-            }
-          } else {
-            throw error;
-          }
-        }
-      }
-      else {
-        throw new Error('无法获取图像数据：缺少必要的图像信息或文件系统管理器');
-      }
-      
-      // 加载图像
-      const img = new Image();
-      img.crossOrigin = 'anonymous'; // 🔧 FIX: Prevent canvas taint issues
-      await new Promise((resolve, reject) => {
-        img.onload = () => {
-          console.log('Image loaded successfully:', img.width, 'x', img.height);
-          resolve();
-        };
-        img.onerror = (error) => {
-          console.error('Image loading failed:', error);
-          reject(new Error('Image loading failed'));
-        };
-        img.src = imageURL;
-      });
+      // 加载图像（HTTP 后端只加载目标区域的图块）
+      const source = await this.openPreviewSource(imageData);
       
-      // 计算局部区域（围绕目标标注点，根据缩放级别调整）
-      const baseCropSize = 200; // 基础裁剪区域大小
-      const cropSize = Math.round(baseCropSize / this.zoomLevel); // 根据缩放级别调整裁剪区域
       const centerX = targetAnnotation.x;
       const centerY = targetAnnotation.y;
-      
-      // 计算裁剪区域，确保不超出图像边界
-      const cropX = Math.max(0, Math.min(img.width - cropSize, centerX - cropSize / 2));
-      const cropY = Math.max(0, Math.min(img.height - cropSize, centerY - cropSize / 2));
-      const actualCropWidth = Math.min(cropSize, img.width - cropX);
-      const actualCropHeight = Math.min(cropSize, img.height - cropY);
+      const crop = this.getCropRegion(source, centerX, centerY);
+      const { x: cropX, y: cropY, width: actualCropWidth, height: actualCropHeight } = crop;
       
       // 设置canvas尺寸
       const canvasWidth = this.previewCanvas.width;
       const canvasHeight = this.previewCanvas.height;
       
+      await source.loadRegion(crop, canvasWidth / actualCropWidth);
+      
       // 清空canvas
       this.previewCtx.clearRect(0, 0, canvasWidth, canvasHeight);
       
       // 绘制局部放大图
-      this.previewCtx.drawImage(
-        img,
-        cropX, cropY, actualCropWidth, actualCropHeight, // 源图裁剪区域
-        0, 0, canvasWidth, canvasHeight // 目标区域
-      );
+      source.drawRegion(this.previewCtx, crop, canvasWidth, canvasHeight);
       
       // 计算标注点在预览canvas中的位置
       const scaleX = canvasWidth / actualCropWidth;
@@ -600,12 +628,6 @@ export class BranchPointPreviewManager {
       // 缓存成功渲染的数据，用于实时更新
       this.previousImageData = imageData;
       this.previousAnnotations = annotations;
-      this.cachedImageElement = img;
-      
-      // 清理临时URL
-      if (imageURL && imageURL.startsWith('blob:') && !imageData.url) {
-        setTimeout(() => URL.revokeObjectURL(imageURL), 5000);
-      }
       
       console.log('Preview rendering completed');
       
@@ -969,7 +991,7 @@ export class BranchPointPreviewManager {
       this.zoomValue.textContent = this.zoomLevel + 'x';
       
       // 立即使用缓存数据重新渲染，避免延迟
-      if (this.isVisible && this.cachedImageElement && this.previousAnnotations) {
+      if (this.isVisible && this.cachedImageSource && this.previousAnnotations) {
         this.renderCachedPreview();
       } else if (this.isVisible && this.previousImageData && this.previousAnnotations) {
         // 如果没有缓存，回退到完整重新渲染
@@ -1074,74 +1096,25 @@ export class BranchPointPreviewManager {
     try {
       console.log('Render specific order preview:', targetOrder);
       
-      // 获取图像URL的多种方式（与renderPreview保持一致）
-      let imageURL;
-      
-      // 方式1：如果有file对象，直接使用
-      if (imageData.file && imageData.file instanceof File) {
-        imageURL = URL.createObjectURL(imageData.file);
-      }
-      // 方式2：如果有现成的URL
-      else if (imageData.url) {
-        imageURL = imageData.url;
-      }
-      // 方式3：使用FileSystemManager (HTTP后端或传统文件系统)
-      else if (this.plantDataManager?.fileSystemManager) {
-        try {
-          imageURL = await this.plantDataManager.fileSystemManager.createImageURL(imageData);
-        } catch (error) {
-          console.warn('Create URL using FileSystemManager failed:', error);
-          
-          // 如果是传统文件系统，尝试直接从handle读取
-          if (imageData.handle) {
-            try {
-              const file = await imageData.handle.getFile();
-              imageURL = URL.createObjectURL(file);
-            } catch (handleError) {
-              console.error('Create URL from handle also failed:', handleError);
-              throw new Error('Failed to get image data: all methods failed');
-            }
-          } else {
-            throw error;
-          }
-        }
-      }
-      else {
-        throw new Error('Failed to get image data: missing necessary image information or file system manager');
-      }
-      
-      // 加载图像
-      const img = new Image();
-      img.crossOrigin = 'anonymous'; // 🔧 FIX: Prevent canvas taint issues
-      await new Promise((resolve, reject) => {
-        img.onload = () => resolve();
-        img.onerror = () => reject(new Error('Image loading failed'));
-        img.src = imageURL;
-      });
+      // 加载图像（与renderPreview保持一致）
+      const source = await this.openPreviewSource(imageData);
       
       // 计算局部区域
-      const baseCropSize = 200;
-      const cropSize = Math.round(baseCropSize / this.zoomLevel);
       const centerX = targetAnnotation.x;
       const centerY = targetAnnotation.y;
-      
-      const cropX = Math.max(0, Math.min(img.width - cropSize, centerX - cropSize / 2));
-      const cropY = Math.max(0, Math.min(img.height - cropSize, centerY - cropSize / 2));
-      const actualCropWidth = Math.min(cropSize, img.width - cropX);
-      const actualCropHeight = Math.min(cropSize, img.height - cropY);
+      const crop = this.getCropRegion(source, centerX, centerY);
+      const { x: cropX, y: cropY, width: actualCropWidth, height: actualCropHeight } = crop;
       
       const canvasWidth = this.previewCanvas.width;
       const canvasHeight = this.previewCanvas.height;
       
+      await source.loadRegion(crop, canvasWidth / actualCropWidth);
+      
       // 清空canvas
       this.previewCtx.clearRect(0, 0, canvasWidth, canvasHeight);
       
       // 绘制局部放大图
-      this.previewCtx.drawImage(
-        img,
-        cropX, cropY, actualCropWidth, actualCropHeight,
-        0, 0, canvasWidth, canvasHeight
-      );
+      source.drawRegion(this.previewCtx, crop, canvasWidth, canvasHeight);
       
       // 计算标注点位置
       const scaleX = canvasWidth / actualCropWidth;
@@ -1168,11 +1141,6 @@ export class BranchPointPreviewManager {
       // 绘制放大倍数提示
       this.renderZoomInfo(scaleX, scaleY);
       
-      // 清理临时URL
-      if (imageURL && imageURL.startsWith('blob:') && !imageData.url) {
-        setTimeout(() => URL.revokeObjectURL(imageURL), 5000);
-      }
-      
       console.log('Specific order preview rendering completed');
       
     } catch (error) {
@@ -0,0 +1,116 @@
+/**
+ * Live Change Feed Client
+ *
+ * Features:
+ * - Keeps a Server-Sent Events connection to the backend (GET /api/events)
+ * - Dispatches annotation, plant status and note events by type
+ * - Skips the events caused by this tab's own requests (X-Client-Id)
+ * - Resumes after a disconnect without losing events (Last-Event-ID);
+ *   emits `resync` when the server cannot replay what was missed
+ */
+
+import { RESYNC_EVENT } from '../utils/ChangeEvents.js';
+import { getBackendApiUrl } from '../utils/ProjectConfig.js';
+
+// EventSource.CLOSED
+const EVENT_SOURCE_CLOSED = 2;
+const MAX_RECONNECT_DELAY = 60 * 1000;
+
+export class ChangeFeedClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url] - Stream URL (defaults to the backend's /api/events)
+   * @param {string} [options.clientId] - This tab's X-Client-Id
+   * @param {Function} [options.EventSource] - EventSource implementation
+   */
+  constructor(options = {}) {
+    this.url = options.url || `${getBackendApiUrl()}/events`;
+    this.clientId = options.clientId || null;
+    this.EventSource = options.EventSource || window.EventSource;
+    this.listeners = new Map();
+    this.source = null;
+    this.lastEventId = null;
+    this.reconnectTimer = null;
+    this.reconnectDelay = 0;
+  }
+
+  /**
+   * 订阅事件类型（'*' 接收全部事件，'resync' 需要重新加载全部数据）
+   *
+   * @returns {Function} Unsubscribe
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.listeners.get(type)?.delete(listener);
+  }
+
+  emit(type, event) {
+    for (const listener of this.listeners.get(type) || []) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`[ChangeFeed] 处理事件 ${type} 失败:`, error);
+      }
+    }
+  }
+
+  connect() {
+    if (this.source || !this.EventSource) return;
+
+    // 浏览器自动重连时会带上 Last-Event-ID；新建连接时改用查询参数
+    const url = this.lastEventId
+      ? `${this.url}?lastEventId=${encodeURIComponent(this.lastEventId)}`
+      : this.url;
+    const source = new this.EventSource(url);
+
+    source.onopen = () => {
+      this.reconnectDelay = 0;
+    };
+    source.onmessage = message => this.handleMessage(message);
+    source.addEventListener(RESYNC_EVENT, () => this.emit(RESYNC_EVENT, {}));
+    source.onerror = () => {
+      // 连接中断时 EventSource 会自己重连；只有被关闭（例如服务器返回错误）时才需要手动重连
+      if (source.readyState === EVENT_SOURCE_CLOSED) {
+        this.source = null;
+        this.scheduleReconnect();
+      }
+    };
+
+    this.source = source;
+  }
+
+  scheduleReconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectDelay = Math.min(MAX_RECONNECT_DELAY, (this.reconnectDelay || 1000) * 2);
+    console.warn(`[ChangeFeed] 连接已关闭，${this.reconnectDelay / 1000}s 后重连`);
+    this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+  }
+
+  handleMessage(message) {
+    let event;
+    try {
+      event = JSON.parse(message.data);
+    } catch (error) {
+      console.warn('[ChangeFeed] 无法解析的事件:', message.data);
+      return;
+    }
+
+    this.lastEventId = event.id || this.lastEventId;
+    if (this.clientId && event.clientId === this.clientId) {
+      return;
+    }
+
+    this.emit(event.type, event);
+    this.emit('*', event);
+  }
+
+  disconnect() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.source?.close();
+    this.source = null;
+  }
+}
@@ -8,10 +8,18 @@
  * - 文件读取和缓存
  */
 
+import { getImageTimeParser, getProjectConfig, getPlantIdRegex } from '../utils/ProjectConfig.js';
+import { formatImageDate } from '../utils/ImageTimeParser.js';
+import { isValidViewId, describeView, sortViewIds } from '../utils/ViewAngles.js';
+
+// EXIF 解析只需读取文件头部
+const EXIF_SCAN_BYTES = 256 * 1024;
+
 export class FileSystemManager {
   constructor() {
     this.directoryHandles = new Map();
     this.fileCache = new Map();
+    this.plantViews = new Map(); // plantId -> 视角元数据
     this.permissions = new Map();
   }
 
@@ -254,24 +262,27 @@ export class FileSystemManager {
     const plantFolders = [];
     
     console.log('开始遍历植物文件夹...');
+    // 与后端相同：只有匹配 plantIdPattern 的目录是植物
+    const plantIdRegex = getPlantIdRegex();
     
     for await (const [name, handle] of datasetHandle.entries()) {
-      if (handle.kind === 'directory' && name.startsWith('BR')) {
+      if (handle.kind === 'directory' && plantIdRegex.test(name)) {
         console.log(`发现植物文件夹: ${name}`);
         
-        // 检查是否有sv-000子目录
-        const hasSV000 = await this.checkSV000Directory(handle);
+        // 任一子目录都视为视角
+        const viewIds = await this.findViewDirectories(handle);
         
-        if (hasSV000) {
+        if (viewIds.length > 0) {
           plantFolders.push({
             id: name,
             name: name,
             handle: handle,
             hasImages: false, // 将在后续检查中设置
-            imageCount: 0
+            imageCount: 0,
+            views: viewIds
           });
         } else {
-          console.warn(`植物文件夹 ${name} 缺少 sv-000 子目录`);
+          console.warn(`植物文件夹 ${name} 缺少视角子目录`);
         }
       }
     }
@@ -281,30 +292,42 @@ export class FileSystemManager {
   }
 
   /**
-   * 检查sv-000子目录是否存在
+   * 查找植物文件夹下的视角子目录，按配置顺序排列
    */
-  async checkSV000Directory(plantHandle) {
+  async findViewDirectories(plantHandle) {
+    const viewIds = [];
     try {
       for await (const [name, handle] of plantHandle.entries()) {
-        if (handle.kind === 'directory' && name.toLowerCase() === 'sv-000') {
-          return true;
+        if (handle.kind !== 'directory' || name.startsWith('.')) continue;
+        if (isValidViewId(name)) {
+          viewIds.push(name);
+        } else {
+          console.warn(`跳过视角目录 ${plantHandle.name}/${name}: 目录名不能包含 "_"`);
         }
       }
-      return false;
     } catch (error) {
-      console.error('检查sv-000目录时出错:', error);
-      return false;
+      console.error('查找视角目录时出错:', error);
     }
+    return sortViewIds(viewIds, getProjectConfig().viewAngles);
+  }
+
+  /**
+   * 获取植物的视角元数据（需先调用 readPlantImages）
+   */
+  getPlantViews(plantId) {
+    return this.plantViews.get(plantId) || [];
   }
 
   /**
    * 读取植物的图像文件
    */
   async readPlantImages(plantHandle) {
-    const viewAngles = ['sv-000', 'sv-045', 'sv-090']; // 支持的视角
     const imagesByView = {};
+    const views = [];
     
     try {
+      const viewAngles = await this.findViewDirectories(plantHandle);
+
       for (const viewAngle of viewAngles) {
         imagesByView[viewAngle] = [];
         
@@ -324,6 +347,7 @@ export class FileSystemManager {
             if (entry.kind === 'file' && this.isImageFile(entry.name)) {
               const fileHandle = entry;
               const file = await fileHandle.getFile();
+              const parsedTime = await this.parseImageTime(file);
               
               const imageData = {
                 id: `${plantHandle.name}_${viewAngle}_${entry.name}`,
@@ -333,8 +357,9 @@ export class FileSystemManager {
                 file: file,
                 size: file.size,
                 lastModified: file.lastModified,
-                dateTime: this.parseImageDateTime(entry.name),
-                timeString: this.formatImageTime(entry.name)
+                dateTime: parsedTime.dateTime,
+                timeString: formatImageDate(parsedTime, entry.name),
+                timeSource: parsedTime.source
               };
               
               images.push(imageData);
@@ -344,6 +369,9 @@ export class FileSystemManager {
           // 按时间排序
           images.sort((a, b) => a.dateTime - b.dateTime);
           imagesByView[viewAngle] = images;
+          if (images.length > 0) {
+            views.push(describeView(viewAngle, images.map(img => img.name), getProjectConfig().viewLabels));
+          }
           
           console.log(`${viewAngle} 视角找到 ${images.length} 张图像`);
           
@@ -357,6 +385,7 @@ export class FileSystemManager {
       const totalImages = Object.values(imagesByView).reduce((total, images) => total + images.length, 0);
       console.log(`植物 ${plantHandle.name} 总共 ${totalImages} 张图像`);
       
+      this.plantViews.set(plantHandle.name, views);
       return imagesByView;
       
     } catch (error) {
@@ -365,27 +394,28 @@ export class FileSystemManager {
     }
   }
 
+  /**
+   * 解析图像时间信息（按项目配置的解析配置依次尝试，支持 EXIF）
+   */
+  async parseImageTime(file) {
+    return getImageTimeParser().parse({
+      filename: file.name,
+      mtime: file.lastModified,
+      readFile: () => file.slice(0, EXIF_SCAN_BYTES).arrayBuffer()
+    });
+  }
+
   /**
    * 解析图像文件名中的时间信息
    */
   parseImageDateTime(filename) {
-    // 匹配格式: BR017-028111-2018-06-06_00_VIS_sv_000-0-0-0.png
-    // 支持多种视角：sv_000, sv_045, sv_090
-    const regex = /BR\d+-\d+-(\d{4}-\d{2}-\d{2})_(\d{2})_VIS_sv_\d+/;
-    const match = filename.match(regex);
+    const result = getImageTimeParser().parseSync({ filename });
     
-    if (match) {
-      const dateStr = match[1]; // 2018-06-06
-      const hourStr = match[2]; // 00
-      
-      const dateTime = new Date(`${dateStr}T${hourStr}:00:00`);
-      
-      return dateTime; // 直接返回Date对象用于排序
+    if (!result.source) {
+      console.warn(`无法解析文件名时间信息: ${filename}`);
     }
-    
-    console.warn(`无法解析文件名时间信息: ${filename}`);
-    // 返回一个很早的时间，确保无法解析的文件排在前面
-    return new Date(0);
+    // 无法解析时返回 epoch，确保这些文件排在前面
+    return result.dateTime;
   }
 
   /**
@@ -496,19 +526,6 @@ export class FileSystemManager {
    * 格式化图像时间显示 - 🔧 FIXED: Only show date, no time
    */
   formatImageTime(filename) {
-    // 重新解析获取详细信息用于显示
-    const regex = /BR\d+-\d+-(\d{4}-\d{2}-\d{2})_(\d{2})_VIS_sv_\d+/;
-    const match = filename.match(regex);
-    
-    if (match) {
-      const dateStr = match[1]; // 2018-06-06
-      const hourStr = match[2]; // 00
-      
-      const date = new Date(`${dateStr}T${hourStr}:00:00`);
-      // 🔧 FIX: Remove time portion, only show year/month/day
-      return `${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()}`;
-    }
-    
-    return filename; // 如果无法解析，返回原文件名
+    return formatImageDate(getImageTimeParser().parseSync({ filename }), filename);
   }
 } 
\ No newline at end of file
@@ -7,10 +7,48 @@
  * - 支持植物数据和标注文件管理
  */
 
+import { getBackendApiUrl, applyServerConfig, getImageTimeParser, getPlantIdRegex } from '../utils/ProjectConfig.js';
+import { formatImageDate } from '../utils/ImageTimeParser.js';
+import { migrateAnnotationDocument } from '../utils/AnnotationMigrations.js';
+import { parseImageId } from '../utils/ViewAngles.js';
+
+/**
+ * 保存时服务器上的标注已被他人修改（HTTP 409）
+ */
+export class AnnotationConflictError extends Error {
+  constructor(imageId, serverData, etag) {
+    super(`标注已被其他人修改: ${imageId}`);
+    this.name = 'AnnotationConflictError';
+    this.imageId = imageId;
+    this.serverData = serverData;
+    this.etag = etag;
+  }
+}
+
+/**
+ * 迁移读取到的标注文档（见 AnnotationMigrations.js），比当前代码新的文档原样返回
+ */
+export function migrateLoadedAnnotation(imageId, data) {
+  try {
+    const { document, fromVersion, applied, changedKeypoints } = migrateAnnotationDocument(data);
+    if (applied.length > 0) {
+      console.log(`[标注] ${imageId} 格式从 v${fromVersion} 迁移到 v${document.schemaVersion}（${changedKeypoints} 个标注点）`);
+    }
+    return document;
+  } catch (error) {
+    console.warn(`[标注] ${imageId}: ${error.message}`);
+    return data;
+  }
+}
+
 export class HttpFileSystemManager {
   constructor() {
-    this.baseUrl = 'http://localhost:3003/api';
-    this.datasetPath = '/Users/tshoiasc/Brassica napus dataset/dataset';
+    this.baseUrl = getBackendApiUrl();
+    this.datasetPath = null; // 由后端 /api/dataset-info 提供
+    this.projectConfig = null;
+    this.plantViews = new Map(); // plantId -> 视角元数据（标签、模态、图像数）
+    this.annotationVersions = new Map(); // imageId -> 最近读取/保存的 ETag（null 表示文件不存在）
+    this.imagePyramids = new Map(); // imageId -> Promise<金字塔描述>
     this.isInitialized = false;
     this.maxRetries = 3;
     this.retryDelay = 1000;
@@ -44,6 +82,10 @@ export class HttpFileSystemManager {
         if (result.success) {
           this.isInitialized = true;
           this.lastConnectionCheck = Date.now();
+          if (result.datasetPath) {
+            this.datasetPath = result.datasetPath;
+          }
+          await this.loadProjectConfig();
           console.log('HttpFileSystemManager 初始化成功');
           return true;
         }
@@ -59,6 +101,26 @@ export class HttpFileSystemManager {
     }, '初始化管理器');
   }
 
+  /**
+   * 从后端加载项目配置（视角、植物ID格式等）
+   */
+  async loadProjectConfig() {
+    try {
+      const response = await fetch(`${this.baseUrl}/config`);
+      const result = await response.json();
+
+      if (result.success) {
+        this.projectConfig = applyServerConfig(result.data);
+        return this.projectConfig;
+      }
+
+      throw new Error(result.error || '获取项目配置失败');
+    } catch (error) {
+      console.warn('获取项目配置失败，使用默认配置:', error.message);
+      return null;
+    }
+  }
+
   /**
    * 检查是否支持（始终返回true，因为使用HTTP）
    */
@@ -160,6 +222,7 @@ export class HttpFileSystemManager {
       const result = await response.json();
       
       if (result.success) {
+        this.datasetPath = result.data.datasetPath;
         return result.data;
       }
       
@@ -172,7 +235,7 @@ export class HttpFileSystemManager {
    */
   async ensureConnection() {
     if (!(await this.checkConnection())) {
-      throw new Error('后端服务连接不可用，请确保服务器正在运行在 http://localhost:3003');
+      throw new Error(`后端服务连接不可用，请确保服务器正在运行在 ${this.baseUrl.replace(/\/api$/, '')}`);
     }
   }
 
@@ -221,6 +284,11 @@ export class HttpFileSystemManager {
       
       if (result.success) {
         const imagesByView = result.data;
+        this.plantViews.set(plantId, result.views || []);
+        
+        if (result.skippedDirectories?.length > 0) {
+          console.warn(`植物 ${plantId} 跳过的目录:`, result.skippedDirectories);
+        }
         
         const totalImages = Object.values(imagesByView).reduce((total, images) => total + images.length, 0);
         console.log(`植物 ${plantId} 总共 ${totalImages} 张图像`);
@@ -232,6 +300,13 @@ export class HttpFileSystemManager {
     }, `读取植物 ${plantId} 图像`);
   }
 
+  /**
+   * 获取植物的视角元数据（需先调用 readPlantImages）
+   */
+  getPlantViews(plantId) {
+    return this.plantViews.get(plantId) || [];
+  }
+
   /**
    * 获取图像文件URL
    */
@@ -239,29 +314,38 @@ export class HttpFileSystemManager {
     return `${this.baseUrl}/image/${plantId}/${viewAngle}/${imageName}`;
   }
 
+  /**
+   * 从图像ID中解析植物ID、视角和文件名
+   */
+  parseImageId(imageData) {
+    // 植物ID本身可能含下划线，按配置的植物ID格式拆分
+    const parsed = parseImageId(imageData.id, getPlantIdRegex());
+    if (!parsed) {
+      throw new Error(`Invalid image data format. ID: ${imageData.id}, expected format: plantId_viewAngle_imageName`);
+    }
+    return parsed;
+  }
+
   /**
    * 创建图像URL (替代createImageURL)
+   *
+   * @param {Object} imageData
+   * @param {Object} [options]
+   * @param {number} [options.size] - Server-side thumbnail, longest side in pixels
+   * @param {number} [options.level] - Whole image at pyramid level n (1/2^n)
    */
-  async createImageURL(imageData) {
+  async createImageURL(imageData, options = {}) {
     try {
-      console.log('创建图像URL，imageData:', imageData);
-      
-      // 从imageData中提取信息
-      const parts = imageData.id.split('_');
-      console.log('图像ID分割结果:', parts);
+      const { plantId, viewAngle, imageName } = this.parseImageId(imageData);
+      const imageUrl = this.getImageUrl(plantId, viewAngle, imageName);
       
-      if (parts.length >= 3) {
-        const plantId = parts[0];
-        const viewAngle = parts[1];
-        const imageName = parts.slice(2).join('_'); // 处理文件名中可能包含下划线的情况
-        
-        const imageUrl = this.getImageUrl(plantId, viewAngle, imageName);
-        console.log('生成的图像URL:', imageUrl);
-        
-        return imageUrl;
-      }
+      const params = new URLSearchParams();
+      if (options.size) params.set('size', options.size);
+      if (options.level) params.set('level', options.level);
+      // 带版本号的URL可被浏览器长期缓存，图像文件替换后版本号改变
+      if (imageData.version) params.set('v', imageData.version);
       
-      throw new Error(`Invalid image data format. ID: ${imageData.id}, expected format: plantId_viewAngle_imageName`);
+      return params.toString() ? `${imageUrl}?${params}` : imageUrl;
     } catch (error) {
       console.error(`创建图像URL失败 ${imageData.name}:`, error);
       console.error('imageData:', imageData);
@@ -269,10 +353,62 @@ export class HttpFileSystemManager {
     }
   }
 
+  /**
+   * 获取图像金字塔描述（尺寸、图块大小、各层级行列数），服务器不支持时返回 null
+   */
+  async getImagePyramid(imageData) {
+    if (!this.imagePyramids.has(imageData.id)) {
+      const { plantId, viewAngle, imageName } = this.parseImageId(imageData);
+      const request = fetch(`${this.baseUrl}/image-pyramid/${plantId}/${viewAngle}/${imageName}`)
+        .then(response => response.json())
+        .then(result => (result.success ? result.data : null))
+        .catch(error => {
+          console.warn(`获取图像金字塔失败 ${imageData.id}:`, error);
+          return null;
+        });
+      this.imagePyramids.set(imageData.id, request);
+    }
+    
+    const pyramid = await this.imagePyramids.get(imageData.id);
+    if (!pyramid) {
+      // 不缓存失败结果，下次重试
+      this.imagePyramids.delete(imageData.id);
+    }
+    return pyramid;
+  }
+
+  /**
+   * 图块URL（level 0 为原始分辨率）
+   */
+  getTileUrl(imageData, level, column, row) {
+    const { plantId, viewAngle, imageName } = this.parseImageId(imageData);
+    const tileUrl = `${this.baseUrl}/image-tile/${plantId}/${viewAngle}/${imageName}/${level}/${column}/${row}`;
+    return imageData.version ? `${tileUrl}?v=${encodeURIComponent(imageData.version)}` : tileUrl;
+  }
+
+  /**
+   * 条件保存的请求头
+   *
+   * The version last seen by this client is sent as `If-Match`; a file known
+   * to be absent is created with `If-None-Match: *`. Images never loaded are
+   * saved unconditionally.
+   */
+  getVersionHeaders(imageId) {
+    if (!this.annotationVersions.has(imageId)) {
+      return {};
+    }
+    const etag = this.annotationVersions.get(imageId);
+    return etag ? { 'If-Match': etag } : { 'If-None-Match': '*' };
+  }
+
   /**
    * 保存标注文件
+   *
+   * @param {Object} [options] - `source` / `author` recorded in the revision history;
+   *   `force` skips the version check
+   * @throws {AnnotationConflictError} When the file changed since it was last read
    */
-  async saveAnnotationFile(imageId, annotationData) {
+  async saveAnnotationFile(imageId, annotationData, options = {}) {
     if (!imageId) {
       throw new Error('图像ID不能为空');
     }
@@ -286,11 +422,23 @@ export class HttpFileSystemManager {
       const response = await fetch(`${this.baseUrl}/annotation/${encodeURIComponent(imageId)}`, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...(!options.force && this.getVersionHeaders(imageId))
         },
-        body: JSON.stringify({ annotationData })
+        body: JSON.stringify({
+          annotationData,
+          source: options.source || 'manual',
+          ...(options.author && { author: options.author })
+        })
       });
       
+      if (response.status === 409) {
+        const conflict = await response.json();
+        // 之后的保存以服务器版本为基准
+        this.annotationVersions.set(imageId, conflict.etag ?? null);
+        throw new AnnotationConflictError(imageId, conflict.serverData ?? null, conflict.etag ?? null);
+      }
+      
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
@@ -298,6 +446,7 @@ export class HttpFileSystemManager {
       const result = await response.json();
       
       if (result.success) {
+        this.annotationVersions.set(imageId, result.etag ?? null);
         console.log(`保存标注文件: ${imageId}`);
         return true;
       }
@@ -307,7 +456,7 @@ export class HttpFileSystemManager {
   }
 
   /**
-   * 读取标注文件
+   * 读取标注文件（旧格式在读取时迁移）
    */
   async loadAnnotationFile(imageId) {
     try {
@@ -318,7 +467,8 @@ export class HttpFileSystemManager {
         if (result.data) {
           console.log(`[标注] 成功读取 ${imageId}, 包含 ${result.data.annotations?.length || 0} 个标注点`);
         }
-        return result.data;
+        this.annotationVersions.set(imageId, result.etag ?? null);
+        return result.data ? migrateLoadedAnnotation(imageId, result.data) : result.data;
       }
       
       throw new Error(result.error || '读取标注文件失败');
@@ -328,6 +478,63 @@ export class HttpFileSystemManager {
     }
   }
 
+  /**
+   * 获取图像的修订历史（最新在前）
+   */
+  async getAnnotationHistory(imageId) {
+    const response = await fetch(`${this.baseUrl}/annotation/${encodeURIComponent(imageId)}/history`);
+    const result = await response.json();
+    
+    if (result.success) {
+      return result.data;
+    }
+    
+    throw new Error(result.error || '获取修订历史失败');
+  }
+
+  /**
+   * 比较两个修订（修订号 0 表示空）
+   */
+  async diffAnnotationRevisions(imageId, from, to) {
+    const params = new URLSearchParams();
+    if (from !== undefined && from !== null) params.set('from', from);
+    if (to !== undefined && to !== null) params.set('to', to);
+    
+    const response = await fetch(`${this.baseUrl}/annotation/${encodeURIComponent(imageId)}/history/diff?${params}`);
+    const result = await response.json();
+    
+    if (result.success) {
+      return result.data;
+    }
+    
+    throw new Error(result.error || '比较修订失败');
+  }
+
+  /**
+   * 恢复到指定修订，返回恢复后的标注数据（删除修订恢复后为 null）
+   */
+  async restoreAnnotationRevision(imageId, revision, options = {}) {
+    const response = await fetch(`${this.baseUrl}/annotation/${encodeURIComponent(imageId)}/history/${revision}/restore`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        source: 'history-restore',
+        ...(options.author && { author: options.author })
+      })
+    });
+    const result = await response.json();
+    
+    if (result.success) {
+      this.annotationVersions.set(imageId, result.etag ?? null);
+      console.log(`[History] ${imageId} 已恢复到修订 ${revision}`);
+      return result.data;
+    }
+    
+    throw new Error(result.error || '恢复修订失败');
+  }
+
   /**
    * 获取所有标注文件列表
    */
@@ -360,6 +567,7 @@ export class HttpFileSystemManager {
       const result = await response.json();
       
       if (result.success) {
+        this.annotationVersions.set(imageId, null);
         console.log(`删除标注文件: ${imageId}`);
         return true;
       }
@@ -404,39 +612,23 @@ export class HttpFileSystemManager {
   }
 
   /**
-   * 解析图像文件名中的时间信息
+   * 解析图像文件名中的时间信息（仅使用无需读取文件的解析配置）
    */
-  parseImageDateTime(filename) {
-    const regex = /BR\d+-\d+-(\d{4}-\d{2}-\d{2})_(\d{2})_VIS_sv_\d+/;
-    const match = filename.match(regex);
+  parseImageDateTime(filename, mtime = null) {
+    const result = getImageTimeParser().parseSync({ filename, mtime });
     
-    if (match) {
-      const dateStr = match[1];
-      const hourStr = match[2];
-      const dateTime = new Date(`${dateStr}T${hourStr}:00:00`);
-      return dateTime;
+    if (!result.source) {
+      console.warn(`无法解析文件名时间信息: ${filename}`);
     }
     
-    console.warn(`无法解析文件名时间信息: ${filename}`);
-    return new Date(0);
+    return result.dateTime;
   }
 
   /**
    * 格式化图像时间显示 - 🔧 FIXED: Only show date, no time
    */
-  formatImageTime(filename) {
-    const regex = /BR\d+-\d+-(\d{4}-\d{2}-\d{2})_(\d{2})_VIS_sv_\d+/;
-    const match = filename.match(regex);
-    
-    if (match) {
-      const dateStr = match[1];
-      const hourStr = match[2];
-      const date = new Date(`${dateStr}T${hourStr}:00:00`);
-      // 🔧 FIX: Remove time portion, only show year/month/day
-      return `${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()}`;
-    }
-    
-    return filename;
+  formatImageTime(filename, mtime = null) {
+    return formatImageDate(getImageTimeParser().parseSync({ filename, mtime }), filename);
   }
 
   /**
@@ -0,0 +1,260 @@
+/**
+ * Dataset Integrity Report
+ *
+ * Features:
+ * - Dialog (🩺 button in the header) that runs GET /api/v2/integrity and
+ *   lists the findings by kind: orphaned annotations, records and notes,
+ *   epoch and duplicate timestamps, keypoints outside the image
+ * - One-click fix or quarantine of a finding, or of every finding of a kind,
+ *   through POST /api/v2/integrity/fixes; the check runs again afterwards
+ *
+ * The finding kinds and their fixes are described in
+ * src/utils/DatasetIntegrity.js and backend/integrityCheck.js.
+ */
+
+import { getBackendApiUrl } from '../utils/ProjectConfig.js';
+import { INTEGRITY_FINDING_KINDS, INTEGRITY_ACTION_LABELS } from '../utils/DatasetIntegrity.js';
+
+// 会移动文件的操作，执行前需要确认
+const QUARANTINE_ACTIONS = ['quarantine', 'quarantine-image'];
+
+export class IntegrityReportUI {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - API v2 base (defaults to the backend's /api/v2)
+   * @param {Function} [options.fetch]
+   * @param {Function} [options.confirm] - Asked before files are quarantined
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || `${getBackendApiUrl()}/v2`;
+    this.fetch = options.fetch || ((...args) => window.fetch(...args));
+    this.confirm = options.confirm || (message => window.confirm(message));
+    this.modal = null;
+    this.report = null;
+    this.busy = false;
+  }
+
+  /**
+   * Bind the header button
+   */
+  setupUI() {
+    document.getElementById('integrity-btn')?.addEventListener('click', () => this.openDialog());
+  }
+
+  openDialog() {
+    if (!this.modal) {
+      this.createDialog();
+    }
+    this.modal.style.display = 'flex';
+    this.runCheck();
+  }
+
+  closeDialog() {
+    if (this.modal) {
+      this.modal.style.display = 'none';
+    }
+  }
+
+  // ---------- 请求 ----------
+
+  async request(path, init) {
+    const response = await this.fetch(`${this.baseUrl}${path}`, init);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const { message = `HTTP ${response.status}`, details = [] } = body.error || {};
+      throw new Error([message, ...details.map(detail => `${detail.field}: ${detail.message}`)].join(' — '));
+    }
+    return body.data;
+  }
+
+  setBusy(busy, label) {
+    this.busy = busy;
+    const button = this.modal.querySelector('#integrity-run-btn');
+    button.disabled = busy;
+    button.textContent = busy ? label : 'Check again';
+    this.modal.querySelectorAll('[data-action]').forEach(element => {
+      element.disabled = busy;
+    });
+  }
+
+  async runCheck() {
+    if (this.busy) return;
+    const errorElement = this.modal.querySelector('#integrity-error');
+    errorElement.textContent = '';
+    this.setBusy(true, 'Checking...');
+    try {
+      this.report = await this.request('/integrity');
+      this.renderReport();
+    } catch (error) {
+      errorElement.textContent = `Could not check the dataset: ${error.message}`;
+    } finally {
+      this.setBusy(false);
+    }
+  }
+
+  /**
+   * 修复一组结果，然后重新检查
+   *
+   * @param {Array<Object>} findings
+   * @param {string} action
+   */
+  async applyFix(findings, action) {
+    if (this.busy || findings.length === 0) return;
+    if (QUARANTINE_ACTIONS.includes(action) && !this.confirm(
+      `Move ${findings.length} item(s) to the quarantine folder of the annotations directory?`
+    )) {
+      return;
+    }
+
+    const errorElement = this.modal.querySelector('#integrity-error');
+    const resultsElement = this.modal.querySelector('#integrity-results');
+    errorElement.textContent = '';
+    this.setBusy(true, 'Fixing...');
+    let fixes;
+    try {
+      fixes = await this.request('/integrity/fixes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ findings: findings.map(finding => ({ ...finding, action })) })
+      });
+    } catch (error) {
+      errorElement.textContent = `Could not apply the fix: ${error.message}`;
+      this.setBusy(false);
+      return;
+    }
+    this.setBusy(false);
+    resultsElement.innerHTML = this.renderResults(fixes);
+    await this.runCheck();
+  }
+
+  // ---------- 报告 ----------
+
+  renderResults({ results, quarantineDir }) {
+    const count = status => results.filter(result => result.status === status).length;
+    const problems = results.filter(result => result.status !== 'fixed');
+    return `
+      <p class="integrity-summary">
+        Fixed ${count('fixed')}, skipped ${count('skipped')}, failed ${count('failed')}.
+        ${results.some(result => QUARANTINE_ACTIONS.includes(result.action)) ? `Quarantine: ${this.escapeHtml(quarantineDir)}` : ''}
+      </p>
+      ${problems.length > 0 ? `
+        <ul class="integrity-result-list">
+          ${problems.map(result => `
+            <li class="integrity-result-${result.status}">${this.escapeHtml(result.id)}: ${this.escapeHtml(result.message)}</li>
+          `).join('')}
+        </ul>
+      ` : ''}
+    `;
+  }
+
+  renderActions(actions, attributes, suffix = '') {
+    return actions.map(action => `
+      <button class="btn btn-secondary btn-small" data-action="${action}" ${attributes}>${INTEGRITY_ACTION_LABELS[action]}${suffix}</button>
+    `).join('');
+  }
+
+  renderFinding(finding, index) {
+    const subject = finding.imageId || finding.noteId || finding.plantId || finding.id;
+    return `
+      <li class="integrity-finding integrity-${finding.severity}">
+        <div class="integrity-finding-text">
+          <span class="integrity-finding-subject">${this.escapeHtml(subject)}</span>
+          <span class="integrity-finding-message">${this.escapeHtml(finding.message)}</span>
+        </div>
+        <div class="integrity-finding-actions">
+          ${this.renderActions(finding.actions, `data-finding-index="${index}"`)}
+        </div>
+      </li>
+    `;
+  }
+
+  renderGroup(kind, { title, severity, actions }) {
+    const entries = this.report.findings
+      .map((finding, index) => ({ finding, index }))
+      .filter(({ finding }) => finding.kind === kind);
+    if (entries.length === 0) return '';
+    // 整组只提供所有结果都支持的操作
+    const groupActions = actions.filter(action => entries.every(({ finding }) => finding.actions.includes(action)));
+    return `
+      <section class="integrity-group">
+        <div class="integrity-group-header">
+          <h4 class="integrity-${severity}">${this.escapeHtml(title)} (${entries.length})</h4>
+          ${entries.length > 1 ? this.renderActions(groupActions, `data-kind="${kind}"`, ' all') : ''}
+        </div>
+        <ul class="integrity-finding-list">
+          ${entries.map(({ finding, index }) => this.renderFinding(finding, index)).join('')}
+        </ul>
+      </section>
+    `;
+  }
+
+  renderReport() {
+    const report = this.report;
+    const container = this.modal.querySelector('#integrity-report');
+    const corrupted = report.corrupted.length > 0
+      ? `<p class="integrity-summary integrity-error-text">${report.corrupted.length} annotation file(s) could not be read and were left out.</p>`
+      : '';
+
+    container.innerHTML = `
+      <p class="integrity-summary">
+        Checked ${report.plants} plants, ${report.images} images, ${report.annotations} annotation files
+        and ${report.notes} notes at ${new Date(report.checkedAt).toLocaleString()}.
+      </p>
+      ${corrupted}
+      ${report.findings.length === 0
+        ? '<p class="integrity-empty">No problems found.</p>'
+        : Object.entries(INTEGRITY_FINDING_KINDS).map(([kind, info]) => this.renderGroup(kind, info)).join('')}
+    `;
+  }
+
+  handleReportClick(event) {
+    const button = event.target.closest('[data-action]');
+    if (!button || !this.report) return;
+    const { action, kind, findingIndex } = button.dataset;
+    const findings = kind
+      ? this.report.findings.filter(finding => finding.kind === kind)
+      : [this.report.findings[Number(findingIndex)]];
+    this.applyFix(findings, action);
+  }
+
+  createDialog() {
+    const modal = document.createElement('div');
+    modal.id = 'integrity-modal';
+    modal.className = 'modal';
+    modal.style.display = 'none';
+    modal.innerHTML = `
+      <div class="modal-content integrity-modal-content">
+        <div class="modal-header">
+          <h3>Dataset integrity</h3>
+        </div>
+        <div class="modal-body">
+          <p class="form-help">
+            Quarantined files are moved to the quarantine folder of the annotations directory and
+            listed in its manifest.jsonl; deleted annotations and clamped keypoints can also be
+            restored from the annotation history.
+          </p>
+          <div class="form-help integrity-error-text" id="integrity-error"></div>
+          <div id="integrity-results"></div>
+          <div id="integrity-report" class="integrity-report"></div>
+        </div>
+        <div class="modal-footer">
+          <button class="btn btn-primary" id="integrity-run-btn">Check again</button>
+          <button class="btn btn-secondary" id="integrity-close-btn">Close</button>
+        </div>
+      </div>
+    `;
+
+    modal.querySelector('#integrity-close-btn').addEventListener('click', () => this.closeDialog());
+    modal.querySelector('#integrity-run-btn').addEventListener('click', () => this.runCheck());
+    modal.querySelector('#integrity-report').addEventListener('click', event => this.handleReportClick(event));
+
+    document.body.appendChild(modal);
+    this.modal = modal;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+}
@@ -6,8 +6,11 @@
  * - 与HttpFileSystemManager集成
  * - 独立于跳过功能的笔记系统
  * - 支持搜索、过滤和统计
+ * - 订阅变更通知，其他标签页或标注者修改笔记后自动使缓存失效
  */
 
+import { CHANGE_EVENT_TYPES, RESYNC_EVENT } from '../utils/ChangeEvents.js';
+
 export class NoteManager {
   constructor(httpFileSystemManager) {
     this.httpManager = httpFileSystemManager;
@@ -499,6 +502,30 @@ export class NoteManager {
     }
   }
 
+  /**
+   * 订阅变更通知（ChangeFeedClient）
+   */
+  subscribeToChanges(changeFeed) {
+    const { NOTE_CREATED, NOTE_UPDATED, NOTE_DELETED } = CHANGE_EVENT_TYPES;
+    for (const type of [NOTE_CREATED, NOTE_UPDATED, NOTE_DELETED]) {
+      changeFeed.on(type, event => this.invalidateNoteChange(event.plantId, event.imageId));
+    }
+    changeFeed.on(RESYNC_EVENT, () => this.clearCache());
+  }
+
+  /**
+   * 笔记在别处被修改：清除该植物/图像的笔记、数量和批量数据缓存
+   */
+  invalidateNoteChange(plantId, imageId = null) {
+    this.invalidateCache(plantId, imageId);
+    this.noteCounts.delete(`plant_${plantId}`);
+    if (imageId) {
+      this.noteCounts.delete(`image_${plantId}_${imageId}`);
+    }
+    this.bulkNoteData = null;
+    this.bulkDataTimestamp = 0;
+  }
+
   /**
    * 获取缓存统计
    */
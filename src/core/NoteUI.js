@@ -868,7 +868,7 @@ export class NoteUI {
       document.getElementById('note-type').value = 'general';
       document.getElementById('note-content').value = '';
       document.getElementById('note-tags').value = '';
-      document.getElementById('note-author').value = 'User';
+      document.getElementById('note-author').value = window.PlantAnnotationTool?.annotatorSession?.getName() || 'User';
     }
 
     this.updateCharCounter('note-title', 'note-title-count', 100);
@@ -11,6 +11,12 @@
 import { HttpFileSystemManager } from './HttpFileSystemManager.js';
 import { AnnotationStorageManager } from './AnnotationStorageManager.js';
 import { TimeSeriesAnnotationManager } from './TimeSeriesAnnotationManager.js';
+import { getProjectConfig, getPlantIdRegex } from '../utils/ProjectConfig.js';
+import { describeView, sortViewIds, parseImageId } from '../utils/ViewAngles.js';
+import { REVIEW_STATUSES, FINISHED_STATUSES, AWAITING_REVIEW_STATUSES } from '../utils/ReviewWorkflow.js';
+
+// 从专用状态API恢复的状态（其余状态由标注数据推断）
+const PERSISTED_STATUSES = ['completed', ...Object.values(REVIEW_STATUSES)];
 
 export class PlantDataManager {
   constructor() {
@@ -243,11 +249,11 @@ export class PlantDataManager {
           const persistedStatus = await this.annotationStorage.loadPlantStatus(plant.id);
           console.log(`[批量恢复] 植物 ${plant.id} 专用API状态: ${persistedStatus}`);
           
-          if (persistedStatus === 'completed') {
-            // 保持已完成状态，即使没有标注数据  
-            plant.status = 'completed';
+          if (PERSISTED_STATUSES.includes(persistedStatus)) {
+            // 保持已完成或审核状态，即使没有标注数据  
+            plant.status = persistedStatus;
             plant.selectedViewAngle = selectedViewAngle;
-            console.log(`[批量恢复] 植物 ${plant.id}: completed (从专用API恢复)`);
+            console.log(`[批量恢复] 植物 ${plant.id}: ${persistedStatus} (从专用API恢复)`);
           } else if (hasAnnotations) {
             // 🔧 FIX: Plants with annotations are 'in-progress', not auto-completed
             plant.status = 'in-progress';
@@ -336,11 +342,11 @@ export class PlantDataManager {
           const persistedStatus = await this.annotationStorage.loadPlantStatus(plant.id);
           console.log(`[状态恢复] 植物 ${plant.id} 持久化状态结果: ${persistedStatus}`);
           
-          if (persistedStatus === 'completed') {
-            // 保持已完成状态，即使没有标注数据
-            plant.status = 'completed';
+          if (PERSISTED_STATUSES.includes(persistedStatus)) {
+            // 保持已完成或审核状态，即使没有标注数据
+            plant.status = persistedStatus;
             plant.selectedViewAngle = selectedViewAngle;
-            console.log(`[标注] 植物 ${plant.id}: completed (从持久化存储恢复)`);
+            console.log(`[标注] 植物 ${plant.id}: ${persistedStatus} (从持久化存储恢复)`);
           } else if (hasAnnotations) {
             // 🔧 FIX: Plants with annotations are 'in-progress', not auto-completed
             plant.status = 'in-progress';
@@ -373,7 +379,8 @@ export class PlantDataManager {
       status: 'pending', // pending, in-progress, completed
       imageCount: 0,
       hasImages: false,
-      viewAngles: [], // 可用的视角列表
+      viewAngles: plantFolder.views || [], // 可用的视角列表（后端发现的视角目录）
+      views: [], // 视角元数据：标签、模态、图像数
       selectedViewAngle: null, // 用户选择的视角
       selectedImage: null,
       annotations: [],
@@ -406,6 +413,9 @@ export class PlantDataManager {
       
       // 更新植物信息
       plant.viewAngles = viewAngles;
+      plant.views = this.fileSystemManager.getPlantViews
+        ? this.fileSystemManager.getPlantViews(plant.id)
+        : [];
       plant.imageCount = totalImages;
       plant.hasImages = totalImages > 0;
       
@@ -424,6 +434,7 @@ export class PlantDataManager {
       plant.hasImages = false;
       plant.imageCount = 0;
       plant.viewAngles = [];
+      plant.views = [];
     } finally {
       this.loadingPlants.delete(plant.id);
     }
@@ -443,6 +454,36 @@ export class PlantDataManager {
     return this.plants.get(plantId);
   }
 
+  /**
+   * 获取植物的视角元数据（标签、模态、图像数），按显示顺序排列
+   */
+  getPlantViews(plantId) {
+    const plant = this.plants.get(plantId);
+    if (!plant) {
+      return [];
+    }
+
+    if (plant.views && plant.views.length > 0) {
+      return plant.views;
+    }
+
+    const discovered = this.fileSystemManager.getPlantViews
+      ? this.fileSystemManager.getPlantViews(plantId)
+      : [];
+    if (discovered.length > 0) {
+      plant.views = discovered;
+      return discovered;
+    }
+
+    // 回退：由已缓存的图像数据推导
+    const { viewAngles, viewLabels } = getProjectConfig();
+    const imagesByView = this.plantImages.get(plantId) || {};
+    const viewIds = Object.keys(imagesByView).filter(view => imagesByView[view].length > 0);
+    return sortViewIds(viewIds, viewAngles).map(viewAngle =>
+      describeView(viewAngle, imagesByView[viewAngle].map(img => img.name), viewLabels)
+    );
+  }
+
   /**
    * 获取植物的图像列表（指定视角）
    */
@@ -529,6 +570,38 @@ export class PlantDataManager {
     }
   }
 
+  /**
+   * 应用其他标签页或标注者的状态修改（变更通知），只更新内存不再保存
+   *
+   * status 为 null 表示状态记录已删除：已跳过/已完成的植株回到 pending，其余保持不变
+   *
+   * @returns {Object|null} The updated plant
+   */
+  applyRemotePlantStatus(plantId, { status, skipReason, skipDate }) {
+    const plant = this.plants.get(plantId);
+    if (!plant) {
+      return null;
+    }
+
+    if (status) {
+      plant.status = status;
+    } else if (plant.status === 'skipped' || PERSISTED_STATUSES.includes(plant.status)) {
+      plant.status = 'pending';
+    }
+
+    if (plant.status === 'skipped') {
+      plant.skipReason = skipReason;
+      plant.skipDate = skipDate;
+    } else {
+      delete plant.skipReason;
+      delete plant.skipDate;
+    }
+    plant.lastModified = new Date().toISOString();
+
+    this.emitPlantUpdated(plant);
+    return plant;
+  }
+
   /**
    * 跳过植株
    */
@@ -730,14 +803,14 @@ export class PlantDataManager {
       
       if (isManualAdjustment) {
         // 仅保存当前图像
-        await this.saveAnnotationToFile(plantId, currentImageId, annotations, options);
+        await this.saveAnnotationToFile(plantId, currentImageId, annotations, { ...options, isManualAdjustment: true });
         savedCount = 1;
         console.log(`保存标注到当前图像: ${currentImageId}`);
       } else {
-        // 向后传播：保存到当前图像及后续所有图像
+        // 向后传播：保存到当前图像及后续所有图像（当前图像记为手动标注，后续图像记为传播）
         for (let i = currentImageIndex; i < images.length; i++) {
           const imageId = images[i].id;
-          await this.saveAnnotationToFile(plantId, imageId, annotations, options);
+          await this.saveAnnotationToFile(plantId, imageId, annotations, { ...options, isManualAdjustment: i === currentImageIndex });
           savedCount++;
         }
         console.log(`向后传播保存标注到 ${savedCount} 张图像`);
@@ -795,13 +868,31 @@ export class PlantDataManager {
       imageId,
       annotations: finalAnnotations,
       timestamp: new Date().toISOString(),
-      version: '2.0' // 新版本标记
+      version: '2.0', // 新版本标记
+      ...this.getAnnotationSourceFields(imageId, options.isManualAdjustment)
     };
 
     // 保存到持久化存储
     await this.annotationStorage.saveImageAnnotation(imageId, annotationData);
   }
 
+  /**
+   * 标注文件中的来源字段（isManualAdjustment），同时记录到时间序列管理器
+   *
+   * @param {string} imageId
+   * @param {boolean} [isManualAdjustment] - Omitted: keep what was recorded for the image
+   */
+  getAnnotationSourceFields(imageId, isManualAdjustment) {
+    const parsed = parseImageId(imageId, getPlantIdRegex());
+    if (!parsed) return {};
+    if (typeof isManualAdjustment === 'boolean') {
+      this.timeSeriesManager.setAnnotationSource(parsed.plantId, parsed.viewAngle, imageId, isManualAdjustment);
+      return { isManualAdjustment };
+    }
+    const source = this.timeSeriesManager.getAnnotationSource(parsed.plantId, parsed.viewAngle, imageId);
+    return source ? { isManualAdjustment: source === 'manual' } : {};
+  }
+
   /**
    * 合并方向数据（仅更新方向信息，保持位置不变）
    */
@@ -843,7 +934,9 @@ export class PlantDataManager {
         plantId: currentPlantId,
         annotations,
         timestamp: new Date().toISOString(),
-        version: '2.0'
+        version: '2.0',
+        // 自动保存不改变图像的标注来源
+        ...this.getAnnotationSourceFields(imageId)
       };
 
       // 保存到持久化存储
@@ -899,6 +992,12 @@ export class PlantDataManager {
 
       const annotations = annotationData.annotations;
 
+      // 读入标注文件记录的来源（手动/传播）
+      const parsed = parseImageId(imageId, getPlantIdRegex());
+      if (parsed && typeof annotationData.isManualAdjustment === 'boolean') {
+        this.timeSeriesManager.setAnnotationSource(parsed.plantId, parsed.viewAngle, imageId, annotationData.isManualAdjustment);
+      }
+
       // 🔧 DISABLED: 为传统数据添加序号（兼容性处理）
       // IMPORTANT: This automatic renumbering was causing order inconsistencies
       // across frames in real-time sync. Annotations should maintain their
@@ -961,6 +1060,13 @@ export class PlantDataManager {
     return !metadata.isFirstImage && metadata.hasAnnotations;
   }
 
+  /**
+   * 植物是否已完成或正在等待审核
+   */
+  isPlantDone(plant) {
+    return FINISHED_STATUSES.includes(plant.status) || AWAITING_REVIEW_STATUSES.includes(plant.status);
+  }
+
   /**
    * 获取下一个未完成的植物
    */
@@ -969,26 +1075,26 @@ export class PlantDataManager {
     
     if (!currentPlantId) {
       // 返回第一个未完成的植物
-      return plants.find(plant => plant.status !== 'completed');
+      return plants.find(plant => !this.isPlantDone(plant));
     }
     
     // 找到当前植物的索引
     const currentIndex = plants.findIndex(plant => plant.id === currentPlantId);
     
     if (currentIndex === -1) {
-      return plants.find(plant => plant.status !== 'completed');
+      return plants.find(plant => !this.isPlantDone(plant));
     }
     
     // 从当前植物的下一个开始查找
     for (let i = currentIndex + 1; i < plants.length; i++) {
-      if (plants[i].status !== 'completed') {
+      if (!this.isPlantDone(plants[i])) {
         return plants[i];
       }
     }
     
     // 如果没找到，从头开始查找
     for (let i = 0; i < currentIndex; i++) {
-      if (plants[i].status !== 'completed') {
+      if (!this.isPlantDone(plants[i])) {
         return plants[i];
       }
     }
@@ -1016,10 +1122,10 @@ export class PlantDataManager {
         plantId: plant.id,
         imageCount: plantImageCount,
         status: plant.status,
-        isCompleted: plant.status === 'completed'
+        isCompleted: FINISHED_STATUSES.includes(plant.status)
       };
       
-      if (plant.status === 'completed') {
+      if (plantStat.isCompleted) {
         completedPlants++;
         completedImages += plantImageCount;
       }
@@ -1067,8 +1173,10 @@ export class PlantDataManager {
     const persistentStats = this.annotationStorage.getAnnotationStats(total);
     
     // 结合内存中的状态
-    const completed = plants.filter(plant => plant.status === 'completed').length;
-    const inProgress = plants.filter(plant => plant.status === 'in-progress').length;
+    // 审核通过计入完成；要求修改的植物重新回到进行中
+    const completed = plants.filter(plant => FINISHED_STATUSES.includes(plant.status)).length;
+    const inProgress = plants.filter(plant => plant.status === 'in-progress' || plant.status === REVIEW_STATUSES.CHANGES_REQUESTED).length;
+    const inReview = plants.filter(plant => AWAITING_REVIEW_STATUSES.includes(plant.status)).length;
     const pending = plants.filter(plant => plant.status === 'pending').length;
     const skipped = plants.filter(plant => plant.status === 'skipped').length;
 
@@ -1082,6 +1190,7 @@ export class PlantDataManager {
       total,
       completed: Math.max(completed, persistentStats.completed),
       inProgress,
+      inReview,
       pending,
       skipped,
       totalCompleted, // 新增：包含跳过的总完成数
@@ -0,0 +1,121 @@
+/**
+ * 预览图像来源
+ *
+ * BranchPointPreviewManager only ever shows a small region around one
+ * keypoint. With the HTTP backend that region is assembled from pyramid
+ * tiles (src/utils/ImagePyramid.js) instead of downloading the full
+ * resolution image; other sources (local files, handles, URLs) load the
+ * whole image. Both expose the same interface:
+ *
+ *   width, height                    full resolution size
+ *   covers(region, scale)            region already loaded (sync redraw possible)
+ *   loadRegion(region, scale)        fetch what is needed to draw the region
+ *   drawRegion(ctx, region, dw, dh)  draw region scaled to dw x dh at (0, 0)
+ *
+ * `scale` is canvas pixels per image pixel and selects the pyramid level.
+ */
+
+import { getLevelForScale, getTilesForRegion } from '../utils/ImagePyramid.js';
+
+function loadImageElement(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous'; // 避免 canvas 被污染
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Image loading failed'));
+    img.src = url;
+  });
+}
+
+/**
+ * 整张图像
+ */
+export class FullImageSource {
+  constructor(image) {
+    this.image = image;
+    this.width = image.width;
+    this.height = image.height;
+  }
+
+  static async load(url) {
+    return new FullImageSource(await loadImageElement(url));
+  }
+
+  covers() {
+    return true;
+  }
+
+  async loadRegion() {}
+
+  drawRegion(ctx, region, dw, dh) {
+    ctx.drawImage(this.image, region.x, region.y, region.width, region.height, 0, 0, dw, dh);
+  }
+}
+
+/**
+ * 由服务器图块拼接的图像
+ */
+export class TiledImageSource {
+  /**
+   * @param {Object} pyramid - From HttpFileSystemManager.getImagePyramid()
+   * @param {Function} getTileUrl - (level, column, row) => url
+   */
+  constructor(pyramid, getTileUrl) {
+    this.pyramid = pyramid;
+    this.getTileUrl = getTileUrl;
+    this.width = pyramid.width;
+    this.height = pyramid.height;
+    this.tiles = new Map(); // "level/column/row" -> Promise<HTMLImageElement>
+    this.loadedTiles = new Map(); // "level/column/row" -> HTMLImageElement
+  }
+
+  getTiles(region, scale) {
+    const levelInfo = this.pyramid.levels[getLevelForScale(scale, this.pyramid.levels.length)];
+    return getTilesForRegion(levelInfo, region, this.pyramid.tileSize)
+      .map(tile => ({ ...tile, key: `${levelInfo.level}/${tile.column}/${tile.row}`, level: levelInfo.level }));
+  }
+
+  covers(region, scale) {
+    return this.getTiles(region, scale).every(tile => this.loadedTiles.has(tile.key));
+  }
+
+  async loadRegion(region, scale) {
+    await Promise.all(this.getTiles(region, scale).map(tile => {
+      if (!this.tiles.has(tile.key)) {
+        const request = loadImageElement(this.getTileUrl(tile.level, tile.column, tile.row))
+          .then(img => {
+            this.loadedTiles.set(tile.key, img);
+            return img;
+          })
+          .catch(error => {
+            this.tiles.delete(tile.key); // 失败的图块下次重试
+            throw error;
+          });
+        this.tiles.set(tile.key, request);
+      }
+      return this.tiles.get(tile.key);
+    }));
+  }
+
+  drawRegion(ctx, region, dw, dh) {
+    const scaleX = dw / region.width;
+    const scaleY = dh / region.height;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, 0, dw, dh);
+    ctx.clip();
+    for (const tile of this.getTiles(region, scaleX)) {
+      const img = this.loadedTiles.get(tile.key);
+      if (!img) continue;
+      ctx.drawImage(
+        img,
+        (tile.x - region.x) * scaleX,
+        (tile.y - region.y) * scaleY,
+        tile.width * scaleX,
+        tile.height * scaleY
+      );
+    }
+    ctx.restore();
+  }
+}
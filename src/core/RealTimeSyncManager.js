@@ -30,6 +30,9 @@ class RealTimeSyncManager {
       CUSTOM_TYPE_CREATE: 'CUSTOM_TYPE_CREATE'
     };
     
+    // Propagated saves are tagged so the revision history can tell them apart
+    this.SAVE_OPTIONS = { source: 'realtime-sync' };
+    
     // Event listeners for UI feedback
     this.eventListeners = new Map();
     
@@ -387,11 +390,13 @@ class RealTimeSyncManager {
     const annotationData = {
       imageId: targetImage.id,
       annotations: existingAnnotations,
-      lastModified: new Date().toISOString()
+      lastModified: new Date().toISOString(),
+      // 同步来的标注记为传播
+      ...this.plantDataManager.getAnnotationSourceFields?.(targetImage.id, false)
     };
 
     // Save updated annotations
-    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData);
+    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData, this.SAVE_OPTIONS);
   }
 
   /**
@@ -451,11 +456,13 @@ class RealTimeSyncManager {
     const annotationData = {
       imageId: targetImage.id,
       annotations: existingAnnotations,
-      lastModified: new Date().toISOString()
+      lastModified: new Date().toISOString(),
+      // 同步来的标注记为传播
+      ...this.plantDataManager.getAnnotationSourceFields?.(targetImage.id, false)
     };
 
     // Save updated annotations
-    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData);
+    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData, this.SAVE_OPTIONS);
   }
 
   /**
@@ -517,11 +524,13 @@ class RealTimeSyncManager {
     const annotationData = {
       imageId: targetImage.id,
       annotations: existingAnnotations,
-      lastModified: new Date().toISOString()
+      lastModified: new Date().toISOString(),
+      // 同步来的标注记为传播
+      ...this.plantDataManager.getAnnotationSourceFields?.(targetImage.id, false)
     };
 
     // Save updated annotations
-    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData);
+    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData, this.SAVE_OPTIONS);
   }
 
   /**
@@ -722,11 +731,13 @@ class RealTimeSyncManager {
     const annotationData = {
       imageId: targetImage.id,
       annotations: existingAnnotations,
-      lastModified: new Date().toISOString()
+      lastModified: new Date().toISOString(),
+      // 同步来的标注记为传播
+      ...this.plantDataManager.getAnnotationSourceFields?.(targetImage.id, false)
     };
 
     // Save updated annotations
-    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData);
+    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData, this.SAVE_OPTIONS);
   }
   /**
    * Sync custom annotation creation to future images
@@ -953,11 +964,13 @@ class RealTimeSyncManager {
     const annotationData = {
       imageId: targetImage.id,
       annotations: existingAnnotations,
-      lastModified: new Date().toISOString()
+      lastModified: new Date().toISOString(),
+      // 同步来的标注记为传播
+      ...this.plantDataManager.getAnnotationSourceFields?.(targetImage.id, false)
     };
 
     // Save updated annotations
-    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData);
+    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData, this.SAVE_OPTIONS);
   }
 
   /**
@@ -1000,11 +1013,13 @@ class RealTimeSyncManager {
     const annotationData = {
       imageId: targetImage.id,
       annotations: existingAnnotations,
-      lastModified: new Date().toISOString()
+      lastModified: new Date().toISOString(),
+      // 同步来的标注记为传播
+      ...this.plantDataManager.getAnnotationSourceFields?.(targetImage.id, false)
     };
 
     // Save updated annotations
-    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData);
+    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData, this.SAVE_OPTIONS);
   }
 
   /**
@@ -1045,11 +1060,13 @@ class RealTimeSyncManager {
     const annotationData = {
       imageId: targetImage.id,
       annotations: existingAnnotations,
-      lastModified: new Date().toISOString()
+      lastModified: new Date().toISOString(),
+      // 同步来的标注记为传播
+      ...this.plantDataManager.getAnnotationSourceFields?.(targetImage.id, false)
     };
 
     // Save updated annotations
-    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData);
+    await this.annotationStorageManager.saveImageAnnotation(targetImage.id, annotationData, this.SAVE_OPTIONS);
   }
 
   /**
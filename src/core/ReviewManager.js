@@ -0,0 +1,202 @@
+/**
+ * Review Manager
+ *
+ * Features:
+ * - Loads a plant's review record (GET /api/v2/plants/:plantId/review) and
+ *   caches it, refreshed from the change feed
+ * - Moves plants through the review states (PUT /api/v2/plants/:plantId/status);
+ *   unlike AnnotationStorageManager.savePlantStatus a refused transition is
+ *   reported instead of being kept in localStorage
+ * - Reviewer verdicts on single keypoints and the annotator's rework list
+ *
+ * See src/utils/ReviewWorkflow.js for the states and the record shape.
+ */
+
+import { CHANGE_EVENT_TYPES, RESYNC_EVENT } from '../utils/ChangeEvents.js';
+import { getProjectConfig, getBackendApiUrl } from '../utils/ProjectConfig.js';
+import { isReviewer, findReviewItem } from '../utils/ReviewWorkflow.js';
+
+/**
+ * 请求失败（403 FORBIDDEN：不是审核者）
+ */
+export class ReviewError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'ReviewError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export class ReviewManager {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getAnnotator - () => current annotator name ('' when signed out)
+   * @param {string} [options.baseUrl] - API v2 base (defaults to the backend's /api/v2)
+   * @param {Function} [options.fetch]
+   */
+  constructor(options) {
+    this.getAnnotator = options.getAnnotator;
+    this.baseUrl = options.baseUrl || `${getBackendApiUrl()}/v2`;
+    this.fetch = options.fetch || ((...args) => window.fetch(...args));
+    this.reviews = new Map();
+    this.listeners = [];
+  }
+
+  // ---------- 请求 ----------
+
+  async request(method, path, body) {
+    const init = { method };
+    if (body !== undefined) {
+      init.headers = { 'Content-Type': 'application/json' };
+      init.body = JSON.stringify(body);
+    }
+    const response = await this.fetch(`${this.baseUrl}${path}`, init);
+    if (response.status === 204) {
+      return null;
+    }
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const { code = 'HTTP_ERROR', message = `HTTP ${response.status}` } = payload.error || {};
+      throw new ReviewError(response.status, code, message);
+    }
+    return payload.data;
+  }
+
+  plantPath(plantId) {
+    return `/plants/${encodeURIComponent(plantId)}`;
+  }
+
+  // ---------- 审核记录 ----------
+
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify(plantId) {
+    this.listeners.forEach(listener => listener(plantId));
+  }
+
+  /**
+   * 当前标注者是否可以审核（服务器配置在创建之后才加载，每次使用时读取）
+   */
+  isReviewer() {
+    return isReviewer(this.getAnnotator(), getProjectConfig().reviewers || []);
+  }
+
+  /**
+   * 已加载的审核记录（未加载或没有审核记录时返回 null）
+   */
+  getReview(plantId) {
+    return this.reviews.get(plantId) || null;
+  }
+
+  /**
+   * 从服务器加载审核记录
+   *
+   * @returns {Promise<Object|null>} null when the plant was never submitted
+   */
+  async loadReview(plantId) {
+    let review = null;
+    try {
+      review = await this.request('GET', `${this.plantPath(plantId)}/review`);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+    this.reviews.set(plantId, review);
+    this.notify(plantId);
+    return review;
+  }
+
+  subscribeToChanges(changeFeed) {
+    const reload = (plantId) => {
+      this.loadReview(plantId).catch(error => console.warn(`[Review] 重新加载 ${plantId} 的审核记录失败:`, error));
+    };
+    changeFeed.on(CHANGE_EVENT_TYPES.REVIEW_CHANGED, event => reload(event.plantId));
+    // 提交、开始审核和审核结论通过植物状态事件发布
+    changeFeed.on(CHANGE_EVENT_TYPES.PLANT_STATUS_CHANGED, (event) => {
+      if (this.reviews.has(event.plantId)) {
+        reload(event.plantId);
+      }
+    });
+    changeFeed.on(RESYNC_EVENT, () => {
+      [...this.reviews.keys()].forEach(reload);
+    });
+  }
+
+  // ---------- 状态 ----------
+
+  /**
+   * 设置植物的审核状态
+   *
+   * @param {string} plantId
+   * @param {string} status - submitted, in-review, approved or changes-requested
+   * @param {string} [comment] - Submit note or the reviewer's decision comment
+   * @throws {ReviewError} 403 FORBIDDEN when a non-reviewer starts or decides a review
+   */
+  async setStatus(plantId, status, comment = '') {
+    const body = { status, lastModified: new Date().toISOString() };
+    if (comment) {
+      body.comment = comment;
+    }
+    const result = await this.request('PUT', `${this.plantPath(plantId)}/status`, body);
+    await this.loadReview(plantId);
+    return result;
+  }
+
+  // ---------- 标注点审核 ----------
+
+  getItemsForImage(plantId, imageId) {
+    return (this.getReview(plantId)?.items || []).filter(item => item.imageId === imageId);
+  }
+
+  getItemForKeypoint(plantId, imageId, keypoint) {
+    return findReviewItem(this.getReview(plantId)?.items || [], imageId, keypoint);
+  }
+
+  /**
+   * 接受或标记一个标注点（同一标注点再次审核时覆盖之前的结论）
+   *
+   * @param {'accepted'|'flagged'} verdict
+   */
+  async judgeKeypoint(plantId, imageId, keypoint, verdict, comment = '') {
+    const body = {
+      imageId,
+      keypointId: String(keypoint.id),
+      verdict,
+      x: keypoint.x,
+      y: keypoint.y
+    };
+    if (keypoint.order !== undefined && keypoint.order !== null) {
+      body.order = keypoint.order;
+    }
+    if (comment) {
+      body.comment = comment;
+    }
+    const item = await this.request('POST', `${this.plantPath(plantId)}/review/items`, body);
+    await this.loadReview(plantId);
+    return item;
+  }
+
+  async clearVerdict(plantId, itemId) {
+    await this.request('DELETE', `${this.plantPath(plantId)}/review/items/${encodeURIComponent(itemId)}`);
+    await this.loadReview(plantId);
+  }
+
+  /**
+   * 标注者修改后把标记的标注点标为已解决（或撤销）
+   */
+  async resolveItem(plantId, itemId, resolved = true) {
+    const item = await this.request('PATCH', `${this.plantPath(plantId)}/review/items/${encodeURIComponent(itemId)}`, { resolved });
+    await this.loadReview(plantId);
+    return item;
+  }
+
+  /**
+   * 需要返工的植物（默认是当前标注者提交的植物）
+   */
+  async listRework(annotator = this.getAnnotator()) {
+    const query = annotator ? `&annotator=${encodeURIComponent(annotator)}` : '';
+    return this.request('GET', `/rework?limit=500${query}`);
+  }
+}
@@ -0,0 +1,312 @@
+/**
+ * Review Panel
+ *
+ * Features:
+ * - Shows the review state of the current plant (who submitted, who reviews,
+ *   the reviewer's decision and comment)
+ * - Review mode for reviewers: the canvas becomes read-only, clicking a
+ *   keypoint selects it to accept or flag it with a comment, then the
+ *   reviewer approves the plant or requests changes
+ * - Rework list for annotators: the flagged keypoints with the reviewer's
+ *   comments, a button to jump to each and one to mark it fixed
+ */
+
+import { REVIEW_STATUSES, getReworkItems, findReviewedKeypoint } from '../utils/ReviewWorkflow.js';
+
+const STATUS_LABELS = {
+  [REVIEW_STATUSES.SUBMITTED]: 'Awaiting review',
+  [REVIEW_STATUSES.IN_REVIEW]: 'In review',
+  [REVIEW_STATUSES.APPROVED]: 'Approved',
+  [REVIEW_STATUSES.CHANGES_REQUESTED]: 'Changes requested'
+};
+
+export class ReviewPanel {
+  /**
+   * @param {ReviewManager} reviewManager
+   * @param {Object} options
+   * @param {Function} options.getAnnotationTool - () => AnnotationTool (created lazily)
+   * @param {Function} options.getPlantStatus - plantId => current status
+   * @param {Function} [options.onStatusChanged] - (plantId, status) after a review step
+   * @param {Function} [options.onNavigate] - item => show the image and keypoint of a review item
+   * @param {Function} [options.onError] - (title, message)
+   */
+  constructor(reviewManager, options) {
+    this.reviewManager = reviewManager;
+    this.getAnnotationTool = options.getAnnotationTool;
+    this.getPlantStatus = options.getPlantStatus;
+    this.onStatusChanged = options.onStatusChanged || null;
+    this.onNavigate = options.onNavigate || null;
+    this.onError = options.onError || ((title, message) => console.error(title, message));
+    this.plantId = null;
+    this.imageId = null;
+    this.selectedKeypoint = null;
+    this.busy = false;
+
+    this.section = document.getElementById('review-section');
+    this.reviewManager.onChange((plantId) => {
+      if (plantId === this.plantId) {
+        this.refresh();
+      }
+    });
+    this.setupEventListeners();
+  }
+
+  /**
+   * Bind the panel buttons (the panel body is re-rendered, so listeners are delegated)
+   */
+  setupEventListeners() {
+    this.section?.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-review-action]');
+      if (!button || this.busy) return;
+      this.handleAction(button.dataset.reviewAction, button.dataset.itemId);
+    });
+  }
+
+  /**
+   * Track the plant and image shown in the annotation panel
+   */
+  async setContext(plantId, imageId = null) {
+    const plantChanged = plantId !== this.plantId;
+    this.plantId = plantId;
+    this.imageId = imageId;
+    this.selectedKeypoint = null;
+
+    if (plantChanged && plantId) {
+      try {
+        await this.reviewManager.loadReview(plantId);
+        return; // loadReview 通知 onChange，已刷新
+      } catch (error) {
+        console.warn(`[Review] 加载 ${plantId} 的审核记录失败:`, error);
+      }
+    }
+    this.refresh();
+  }
+
+  /**
+   * 审核者正在审核当前植物
+   */
+  isReviewing() {
+    return !!this.plantId &&
+      this.getPlantStatus(this.plantId) === REVIEW_STATUSES.IN_REVIEW &&
+      this.reviewManager.isReviewer();
+  }
+
+  refresh() {
+    this.updateOverlay();
+    this.render();
+  }
+
+  // ---------- 画布标记 ----------
+
+  updateOverlay() {
+    const tool = this.getAnnotationTool();
+    if (!tool) return;
+
+    const reviewing = this.isReviewing();
+    const items = this.plantId && this.imageId ? this.reviewManager.getItemsForImage(this.plantId, this.imageId) : [];
+    if (!reviewing && items.length === 0) {
+      tool.clearReviewOverlay();
+      return;
+    }
+
+    tool.setReviewOverlay({
+      readOnly: reviewing,
+      getMarker: (keypoint) => {
+        const item = this.reviewManager.getItemForKeypoint(this.plantId, this.imageId, keypoint);
+        const selected = reviewing && this.selectedKeypoint && String(this.selectedKeypoint.id) === String(keypoint.id);
+        if (!item && !selected) return null;
+        return { verdict: item?.verdict || null, resolved: !!item?.resolved, selected };
+      },
+      onSelect: (keypoint) => {
+        this.selectedKeypoint = keypoint;
+        this.render();
+      }
+    });
+  }
+
+  // ---------- 面板 ----------
+
+  render() {
+    if (!this.section) return;
+
+    const status = this.plantId ? this.getPlantStatus(this.plantId) : null;
+    const review = this.plantId ? this.reviewManager.getReview(this.plantId) : null;
+    if (!STATUS_LABELS[status] && !review) {
+      this.section.style.display = 'none';
+      this.section.innerHTML = '';
+      return;
+    }
+
+    const parts = [this.renderSummary(status, review)];
+    const reviewer = this.reviewManager.isReviewer();
+    if (status === REVIEW_STATUSES.SUBMITTED && reviewer) {
+      parts.push('<button class="btn btn-primary btn-small" data-review-action="start">Start Review</button>');
+    } else if (status === REVIEW_STATUSES.IN_REVIEW && reviewer) {
+      parts.push(this.renderKeypointVerdict(), this.renderImageVerdicts(), this.renderDecision(review));
+    } else if (status === REVIEW_STATUSES.CHANGES_REQUESTED) {
+      parts.push(this.renderReworkList(review));
+    }
+
+    this.section.style.display = 'block';
+    this.section.innerHTML = `<h4>Review</h4>${parts.join('')}`;
+  }
+
+  renderSummary(status, review) {
+    const lines = [`<div class="review-status review-status-${this.escapeHtml(status || 'none')}">${STATUS_LABELS[status] || 'Not submitted'}</div>`];
+    if (review?.submittedBy) {
+      lines.push(`<div class="review-meta">Submitted by ${this.escapeHtml(review.submittedBy)}${review.submittedAt ? ` · ${new Date(review.submittedAt).toLocaleString()}` : ''}</div>`);
+    }
+    if (review?.reviewer) {
+      lines.push(`<div class="review-meta">Reviewer: ${this.escapeHtml(review.reviewer)}</div>`);
+    }
+    if (review?.decision && review.comment) {
+      lines.push(`<div class="review-comment">${this.escapeHtml(review.comment)}</div>`);
+    }
+    return lines.join('');
+  }
+
+  renderKeypointVerdict() {
+    if (!this.selectedKeypoint) {
+      return '<div class="review-hint">Click a keypoint to accept or flag it (Shift + drag pans).</div>';
+    }
+    const item = this.reviewManager.getItemForKeypoint(this.plantId, this.imageId, this.selectedKeypoint);
+    return `
+      <div class="review-keypoint">
+        <div class="review-keypoint-title">Keypoint #${this.escapeHtml(this.selectedKeypoint.order ?? '?')}</div>
+        <textarea id="review-keypoint-comment" rows="2" placeholder="Comment (what needs fixing)">${this.escapeHtml(item?.comment || '')}</textarea>
+        <div class="review-buttons">
+          <button class="btn btn-success btn-small" data-review-action="accept">Accept</button>
+          <button class="btn btn-danger btn-small" data-review-action="flag">Flag</button>
+          ${item ? `<button class="btn btn-secondary btn-small" data-review-action="clear" data-item-id="${this.escapeHtml(item.id)}">Clear</button>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  renderImageVerdicts() {
+    const items = this.reviewManager.getItemsForImage(this.plantId, this.imageId);
+    if (items.length === 0) return '';
+    const rows = items
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+      .map(item => `
+        <li class="review-item review-item-${item.verdict}">
+          <span>#${this.escapeHtml(item.order ?? '?')} ${item.verdict === 'accepted' ? '✓' : '⚑'}</span>
+          <span class="review-item-comment">${this.escapeHtml(item.comment || '')}</span>
+        </li>
+      `).join('');
+    return `<ul class="review-items">${rows}</ul>`;
+  }
+
+  renderDecision(review) {
+    const flagged = (review?.items || []).filter(item => item.verdict === 'flagged').length;
+    return `
+      <div class="review-decision">
+        <div class="review-meta">${flagged} keypoint(s) flagged on this plant</div>
+        <textarea id="review-decision-comment" rows="2" placeholder="Comment for the annotator"></textarea>
+        <div class="review-buttons">
+          <button class="btn btn-success btn-small" data-review-action="approve">Approve</button>
+          <button class="btn btn-warning btn-small" data-review-action="request-changes">Request Changes</button>
+        </div>
+      </div>
+    `;
+  }
+
+  renderReworkList(review) {
+    const flagged = (review?.items || []).filter(item => item.verdict === 'flagged');
+    if (flagged.length === 0) {
+      return '<div class="review-hint">No keypoint was flagged; see the reviewer\'s comment.</div>';
+    }
+    const remaining = getReworkItems(review).length;
+    const rows = flagged.map(item => `
+      <li class="review-item review-item-flagged${item.resolved ? ' resolved' : ''}">
+        <div>
+          <span>#${this.escapeHtml(item.order ?? '?')}</span>
+          <span class="review-item-image">${this.escapeHtml(item.imageId)}</span>
+        </div>
+        <div class="review-item-comment">${this.escapeHtml(item.comment || '')}</div>
+        <div class="review-buttons">
+          <button class="btn btn-secondary btn-small" data-review-action="goto" data-item-id="${this.escapeHtml(item.id)}">Go to</button>
+          <button class="btn btn-small ${item.resolved ? 'btn-secondary' : 'btn-success'}" data-review-action="${item.resolved ? 'reopen' : 'resolve'}" data-item-id="${this.escapeHtml(item.id)}">${item.resolved ? 'Reopen' : 'Mark fixed'}</button>
+        </div>
+      </li>
+    `).join('');
+    return `
+      <div class="review-meta">${remaining} of ${flagged.length} flagged keypoint(s) left to fix</div>
+      <ul class="review-items">${rows}</ul>
+    `;
+  }
+
+  // ---------- 操作 ----------
+
+  async handleAction(action, itemId) {
+    const plantId = this.plantId;
+    const item = itemId ? (this.reviewManager.getReview(plantId)?.items || []).find(entry => entry.id === itemId) : null;
+    const valueOf = (id) => this.section.querySelector(`#${id}`)?.value.trim() || '';
+
+    this.busy = true;
+    try {
+      switch (action) {
+        case 'start':
+          await this.setStatus(plantId, REVIEW_STATUSES.IN_REVIEW);
+          break;
+        case 'accept':
+        case 'flag':
+          await this.reviewManager.judgeKeypoint(
+            plantId, this.imageId, this.selectedKeypoint,
+            action === 'accept' ? 'accepted' : 'flagged',
+            valueOf('review-keypoint-comment')
+          );
+          break;
+        case 'clear':
+          await this.reviewManager.clearVerdict(plantId, itemId);
+          break;
+        case 'approve':
+          if (this.hasOpenFlags(plantId) && !confirm('Some keypoints are flagged. Approve anyway?')) break;
+          await this.setStatus(plantId, REVIEW_STATUSES.APPROVED, valueOf('review-decision-comment'));
+          break;
+        case 'request-changes': {
+          const comment = valueOf('review-decision-comment');
+          if (!this.hasOpenFlags(plantId) && !comment) {
+            this.onError('Request changes', 'Flag at least one keypoint or explain what needs to change.');
+            break;
+          }
+          await this.setStatus(plantId, REVIEW_STATUSES.CHANGES_REQUESTED, comment);
+          break;
+        }
+        case 'goto':
+          if (item) await this.onNavigate?.(item);
+          break;
+        case 'resolve':
+        case 'reopen':
+          await this.reviewManager.resolveItem(plantId, itemId, action === 'resolve');
+          break;
+      }
+    } catch (error) {
+      this.onError('Review failed', error.message);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  async setStatus(plantId, status, comment = '') {
+    await this.reviewManager.setStatus(plantId, status, comment);
+    this.onStatusChanged?.(plantId, status);
+  }
+
+  hasOpenFlags(plantId) {
+    return getReworkItems(this.reviewManager.getReview(plantId)).length > 0;
+  }
+
+  /**
+   * 当前图像中审核条目对应的标注点（标注点被删除后返回 null）
+   */
+  findKeypoint(item) {
+    return findReviewedKeypoint(this.getAnnotationTool()?.keypoints || [], item);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+}
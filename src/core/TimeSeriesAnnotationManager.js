@@ -16,6 +16,8 @@ export class TimeSeriesAnnotationManager {
     this.timeSequences = new Map();
     // 标记哪些是用户手动调整的时间点
     this.manualAdjustments = new Map();
+    // 标记哪些时间点的标注是从前面的时间点传播来的
+    this.propagatedImages = new Map();
   }
 
   /**
@@ -201,6 +203,60 @@ export class TimeSeriesAnnotationManager {
     };
   }
 
+  /**
+   * 记录时间点的标注来源：手动标注/调整，或从前面的时间点传播
+   *
+   * @param {boolean} isManualAdjustment
+   */
+  setAnnotationSource(plantId, viewAngle, imageId, isManualAdjustment) {
+    const adjustmentKey = `${plantId}_${viewAngle}`;
+    for (const map of [this.manualAdjustments, this.propagatedImages]) {
+      if (!map.has(adjustmentKey)) {
+        map.set(adjustmentKey, new Set());
+      }
+    }
+    if (isManualAdjustment) {
+      this.manualAdjustments.get(adjustmentKey).add(imageId);
+      this.propagatedImages.get(adjustmentKey).delete(imageId);
+    } else {
+      this.manualAdjustments.get(adjustmentKey).delete(imageId);
+      this.propagatedImages.get(adjustmentKey).add(imageId);
+    }
+  }
+
+  /**
+   * 时间点的标注来源
+   *
+   * @returns {'manual'|'propagated'|null} null when not recorded
+   */
+  getAnnotationSource(plantId, viewAngle, imageId) {
+    const adjustmentKey = `${plantId}_${viewAngle}`;
+    if (this.manualAdjustments.get(adjustmentKey)?.has(imageId)) {
+      return 'manual';
+    }
+    if (this.propagatedImages.get(adjustmentKey)?.has(imageId)) {
+      return 'propagated';
+    }
+    return null;
+  }
+
+  /**
+   * 已初始化的全部时间序列
+   *
+   * @param {string[]} [plantIds] - Only these plants
+   * @returns {Array<{ plantId: string, viewAngle: string, imageIds: string[] }>} Image IDs oldest first
+   */
+  getTimeSequenceList(plantIds = null) {
+    const sequences = [];
+    for (const [plantId, views] of this.timeSequences) {
+      if (plantIds && !plantIds.includes(plantId)) continue;
+      for (const [viewAngle, imageIds] of views) {
+        sequences.push({ plantId, viewAngle, imageIds: [...imageIds] });
+      }
+    }
+    return sequences;
+  }
+
   /**
    * 获取传播统计信息
    */
@@ -299,6 +355,7 @@ export class TimeSeriesAnnotationManager {
     if (this.manualAdjustments.has(adjustmentKey)) {
       this.manualAdjustments.get(adjustmentKey).clear();
     }
+    this.propagatedImages.get(adjustmentKey)?.clear();
 
     console.log(`清除植株 ${plantId} 视角 ${viewAngle} 的所有标注`);
   }
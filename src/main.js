@@ -14,8 +14,25 @@ import { AnnotationTool } from './core/AnnotationTool.js';
 import { BranchPointPreviewManager } from './core/BranchPointPreviewManager.js';
 import { NoteManager } from './core/NoteManager.js';
 import { NoteUI } from './core/NoteUI.js';
+import { AnnotationHistoryUI } from './core/AnnotationHistoryUI.js';
+import { AnnotatorSession } from './core/AnnotatorSession.js';
 import { AnnotationManager } from './core/AnnotationManager.js';
+import { ChangeFeedClient } from './core/ChangeFeedClient.js';
+import { AssignmentManager } from './core/AssignmentManager.js';
+import { ReviewManager } from './core/ReviewManager.js';
+import { ReviewPanel } from './core/ReviewPanel.js';
+import { AgreementReportUI } from './core/AgreementReportUI.js';
+import { IntegrityReportUI } from './core/IntegrityReportUI.js';
+import { AnnotationTransfer, TRANSFER_FORMATS } from './core/AnnotationTransfer.js';
+import { CHANGE_EVENT_TYPES, RESYNC_EVENT } from './utils/ChangeEvents.js';
+import { REVIEW_STATUSES, REVIEW_DECISIONS, getReworkItems } from './utils/ReviewWorkflow.js';
+import { parseImageId } from './utils/ViewAngles.js';
 import { BulkLoadingPerformanceMonitor } from './utils/BulkLoadingPerformanceMonitor.js';
+import { getProjectConfig, getBackendApiUrl, getPlantIdRegex } from './utils/ProjectConfig.js';
+import { downloadFile, datedFileName } from './utils/Download.js';
+import { TIDY_COLUMNS, buildTidyRows, tidyRowsToCsv } from './utils/TidyExport.js';
+import { buildBranchTrajectories } from './utils/BranchTrajectories.js';
+import { calculateExportStats, buildPureAnnotationExport, buildTrajectoryFile } from './utils/AnnotationExport.js';
 import RealTimeSyncManager from './core/RealTimeSyncManager.js';
 import { CustomAnnotationToolbarController } from './core/CustomAnnotationToolbarController.js';
 import { CustomAnnotationSettingsController } from './core/CustomAnnotationSettingsController.js';
@@ -72,13 +89,23 @@ let annotationTool = null;
 let branchPointPreviewManager = null;
 let noteManager = null;
 let noteUI = null;
+let annotationHistoryUI = null;
+let annotatorSession = null;
 let annotationManager = null;
+let changeFeed = null;
+let assignmentManager = null;
+let reviewManager = null;
+let reviewPanel = null;
+let annotationTransfer = null;
 let realTimeSyncManager = null;
 let performanceMonitor = null;
 let currentDataset = null;
 let customAnnotationToolbarController = null;
 let customAnnotationSettingsController = null;
 
+// 缩略图条中图像的目标尺寸（最长边，CSS 像素）
+const THUMBNAIL_SIZE = 256;
+
 // 应用状态
 const appState = {
   isInitialized: false,
@@ -175,6 +202,48 @@ async function initializeApp() {
       updateProgressInfo
     };
     
+    // 标注者身份：之后的所有后端请求都带上 X-Annotator
+    annotatorSession = new AnnotatorSession();
+    annotatorSession.installFetchHeader();
+    annotatorSession.setupUI();
+    window.PlantAnnotationTool.annotatorSession = annotatorSession;
+
+    // 植物分配：打开的植物由当前标注者领取，植物列表标出别人正在处理的植物
+    assignmentManager = new AssignmentManager({ getAnnotator: () => annotatorSession.getName() });
+    assignmentManager.setupUI();
+    assignmentManager.onChange(handleAssignmentChange);
+    annotatorSession.onChange(() => handleAssignmentChange(null));
+    window.addEventListener('pagehide', () => assignmentManager.releaseCurrent({ keepalive: true }));
+    window.PlantAnnotationTool.assignmentManager = assignmentManager;
+
+    // 审核：审核者接受或标记标注点，标注者看到需要返工的标注点
+    reviewManager = new ReviewManager({ getAnnotator: () => annotatorSession.getName() });
+    reviewPanel = new ReviewPanel(reviewManager, {
+      getAnnotationTool: () => annotationTool,
+      getPlantStatus: plantId => plantDataManager?.getPlant(plantId)?.status,
+      onStatusChanged: handleReviewStatusChange,
+      onNavigate: navigateToReviewItem,
+      onError: showError
+    });
+    annotatorSession.onChange(() => reviewPanel.refresh());
+    window.PlantAnnotationTool.reviewManager = reviewManager;
+
+    // 标注者间一致性报告
+    const agreementReportUI = new AgreementReportUI();
+    agreementReportUI.setupUI();
+    window.PlantAnnotationTool.agreementReportUI = agreementReportUI;
+
+    // 数据集完整性检查
+    const integrityReportUI = new IntegrityReportUI();
+    integrityReportUI.setupUI();
+    window.PlantAnnotationTool.integrityReportUI = integrityReportUI;
+
+    // COCO / CVAT / Label Studio 导出与导入
+    annotationTransfer = new AnnotationTransfer({
+      getCustomAnnotationManager: () => annotationTool?.customAnnotationManager,
+      getAnnotationStorage: () => plantDataManager.annotationStorage
+    });
+    
     updateFullscreenLoading(40, 'Initializing annotation tool...', 'Setting up the annotation interface');
     
     // 初始化标注工具
@@ -229,6 +298,12 @@ async function initializeApp() {
       console.warn('NoteManager初始化延迟:', error.message);
     }
     
+    // 初始化修订历史抽屉
+    annotationHistoryUI = new AnnotationHistoryUI(plantDataManager.fileSystemManager, {
+      onRestored: handleAnnotationRevisionRestored
+    });
+    window.PlantAnnotationTool.annotationHistoryUI = annotationHistoryUI;
+    
     updateFullscreenLoading(60, 'Setting up annotation manager...', 'Initializing bulk annotation loading system');
     
     // 初始化标注管理器
@@ -312,6 +387,8 @@ async function initializeApp() {
     appState.isInitialized = true;
     console.log('应用初始化完成');
     
+    annotatorSession.promptIfMissing();
+    
   } catch (error) {
     console.error('应用初始化失败:', error);
     hideFullscreenLoading();
@@ -557,6 +634,13 @@ function bindEventListeners() {
   if (exportDataBtn) {
     exportDataBtn.addEventListener('click', handleExportData);
   }
+
+  const importAnnotationsBtn = document.getElementById('import-annotations-btn');
+  const importAnnotationsInput = document.getElementById('import-annotations-input');
+  if (importAnnotationsBtn && importAnnotationsInput) {
+    importAnnotationsBtn.addEventListener('click', () => importAnnotationsInput.click());
+    importAnnotationsInput.addEventListener('change', handleImportAnnotations);
+  }
   
   // 🔧 NEW: Delete Plant Annotations button
   const deletePlantAnnotationsBtn = document.getElementById('delete-plant-annotations-btn');
@@ -764,7 +848,7 @@ async function validateDatasetStructure() {
     const plantDirectories = await plantDataManager.fileSystemManager.traversePlantDirectories();
     
     if (!plantDirectories || plantDirectories.length === 0) {
-      throw new Error('数据集中未找到植物文件夹（以BR开头的文件夹）');
+      throw new Error(`数据集中未找到植物文件夹（匹配 ${getProjectConfig().plantIdPattern} 的文件夹）`);
     }
     
     // 验证至少一个植物文件夹的结构
@@ -775,9 +859,10 @@ async function validateDatasetStructure() {
       throw new Error(`植物文件夹 ${firstPlant.id} 中未找到有效的视角目录`);
     }
     
-    // 检查是否有sv-000视角
-    if (!imagesByView['sv-000'] || imagesByView['sv-000'].length === 0) {
-      throw new Error(`植物文件夹 ${firstPlant.id} 中未找到 sv-000 视角图像`);
+    // 检查是否有任一视角包含图像
+    const hasViewImages = Object.values(imagesByView).some(images => images && images.length > 0);
+    if (!hasViewImages) {
+      throw new Error(`植物文件夹 ${firstPlant.id} 的视角目录中未找到图像`);
     }
     
     console.log(`✅ 数据集结构验证通过，发现 ${plantDirectories.length} 个植物文件夹`);
@@ -1008,6 +1093,12 @@ function createPlantListItem(plant) {
     item.classList.remove('skipped');
   }
 
+  // 其他标注者正在处理
+  const lockedBy = assignmentManager?.isLockedByOther(plant.id)
+    ? assignmentManager.getLease(plant.id).annotator
+    : null;
+  item.classList.toggle('locked', !!lockedBy);
+
   // Skip reason display
   const skipReasonHtml = isSkipped && plant.skipReason ?
     `<div class="skip-reason">skip reason: ${plant.skipReason}</div>` : '';
@@ -1028,6 +1119,7 @@ function createPlantListItem(plant) {
         <div class="plant-status">${statusIcon}</div>
         <div class="plant-id">${plant.id}</div>
         <div class="right-box">
+          ${lockedBy ? '<div class="plant-lock-badge"></div>' : ''}
           <div class="plant-note-badge" id="note-badge-${plant.id}" style="display: none;"></div>
           <div class="state-buttons">${stateButtonsHtml}</div>
         </div>
@@ -1044,6 +1136,12 @@ function createPlantListItem(plant) {
     </div>
   `;
   
+  if (lockedBy) {
+    const lockBadge = item.querySelector('.plant-lock-badge');
+    lockBadge.textContent = `🔒 ${lockedBy}`;
+    lockBadge.title = `Being annotated by ${lockedBy}`;
+  }
+
   // Click event
   item.addEventListener('click', () => handlePlantSelect(plant));
   
@@ -1139,7 +1237,14 @@ window.navigateToPreviousImage = navigateToPreviousImage;
 function getStatusIcon(status) {
   switch (status) {
     case 'completed':
+    case REVIEW_STATUSES.APPROVED:
       return '✅';
+    case REVIEW_STATUSES.SUBMITTED:
+      return '📨';
+    case REVIEW_STATUSES.IN_REVIEW:
+      return '🔍';
+    case REVIEW_STATUSES.CHANGES_REQUESTED:
+      return '✏️';
     case 'in-progress':
       return '🔄';
     case 'skipped':
@@ -1157,6 +1262,14 @@ function getStatusText(status) {
   switch (status) {
     case 'completed':
       return 'Finished';
+    case REVIEW_STATUSES.SUBMITTED:
+      return 'Awaiting review';
+    case REVIEW_STATUSES.IN_REVIEW:
+      return 'In review';
+    case REVIEW_STATUSES.APPROVED:
+      return 'Approved';
+    case REVIEW_STATUSES.CHANGES_REQUESTED:
+      return 'Changes requested';
     case 'in-progress':
       return 'In progress';
     case 'skipped':
@@ -1176,6 +1289,7 @@ function initializeEmptyWorkspace() {
   // 清空应用状态
   appState.currentPlant = null;
   appState.currentImage = null;
+  reviewPanel?.setContext(null);
   
   // 清空工作区
   clearWorkspaceState();
@@ -1271,6 +1385,11 @@ async function handlePlantSelect(plant) {
   }
   
   try {
+    // 领取植物；其他标注者正在处理时由用户决定是否仍然打开
+    if (!await claimPlantAssignment(plant)) {
+      return;
+    }
+
     // 🔧 FIX: 在切换植物前先保存当前图像的标注（防止标注丢失）
     if (appState.currentImage && annotationTool) {
       try {
@@ -1298,6 +1417,7 @@ async function handlePlantSelect(plant) {
     
     // 更新当前植物
     appState.currentPlant = plant;
+    reviewPanel?.setContext(plant.id);
     
     // 更新UI
     updateCurrentPlantTitle(plant);
@@ -1355,29 +1475,25 @@ async function showViewAngleSelection(plant, imagesByView) {
   thumbnailContainer.innerHTML = '<div class="no-images">Please choose view</div>';
   
   // 更新视角信息
-  const availableViews = Object.keys(imagesByView).filter(view => imagesByView[view].length > 0);
-  viewAngleInfo.textContent = `available view: ${availableViews.length}`;
-  
-  // 更新视角按钮状态
-  const viewAngleButtons = document.querySelectorAll('.btn-view-angle');
-  viewAngleButtons.forEach(button => {
-    const viewAngle = button.dataset.viewAngle;
-    const hasImages = imagesByView[viewAngle] && imagesByView[viewAngle].length > 0;
-    
-    button.disabled = !hasImages;
-    button.classList.remove('selected');
-    
-    // 更新按钮文本，显示图像数量
-    const imageCount = hasImages ? imagesByView[viewAngle].length : 0;
-    const buttonText = button.textContent.split('(')[0].trim();
-    button.textContent = `${buttonText} (${imageCount})`;
-    
-    if (hasImages) {
-      button.title = `${viewAngle}: ${imageCount} images`;
-    } else {
-      button.title = `${viewAngle}: no image`;
-    }
-  });
+  const views = plantDataManager.getPlantViews(plant.id)
+    .filter(view => imagesByView[view.id] && imagesByView[view.id].length > 0);
+  viewAngleInfo.textContent = `available view: ${views.length}`;
+  
+  // 按发现的视角生成按钮（点击由 .btn-view-angle 事件委托处理）
+  const buttonsContainer = document.getElementById('view-angle-buttons');
+  if (buttonsContainer) {
+    buttonsContainer.innerHTML = '';
+    views.forEach(view => {
+      const imageCount = imagesByView[view.id].length;
+      const button = document.createElement('button');
+      button.className = 'btn btn-view-angle';
+      button.dataset.viewAngle = view.id;
+      button.textContent = `${view.label} (${imageCount})`;
+      const modalities = view.modalities && view.modalities.length > 0 ? `, ${view.modalities.join('/')}` : '';
+      button.title = `${view.id}: ${imageCount} images${modalities}`;
+      buttonsContainer.appendChild(button);
+    });
+  }
   
   // 如果已经选择了视角，自动选中
   if (plant.selectedViewAngle) {
@@ -1463,6 +1579,194 @@ function updatePlantItemSelection(selectedPlantId) {
   }
 }
 
+/**
+ * 修订恢复后同步标注工具和缩略图
+ */
+async function handleAnnotationRevisionRestored(imageId, annotationData) {
+  const keypoints = annotationData?.annotations || [];
+  
+  // 当前图像：重新载入标注工具
+  if (annotationTool && appState.currentImage?.id === imageId) {
+    if (keypoints.length > 0) {
+      annotationTool.loadAnnotationData({ keypoints });
+      if (annotationTool.customAnnotationManager) {
+        const customAnnotations = keypoints.filter(ann => ann.annotationType === 'custom');
+        annotationTool.customAnnotationManager.syncAnnotationsFromKeypoints(imageId, customAnnotations);
+      }
+    } else {
+      annotationTool.clearKeypoints();
+    }
+  }
+  
+  annotationManager?.clearCache();
+  // refreshThumbnailAnnotationStatus 定义在 createImageThumbnail 内部，通过 window 访问
+  await window.refreshThumbnailAnnotationStatus?.(imageId);
+  updateProgressInfo(`Restored annotations of ${imageId} (${keypoints.length} points)`);
+}
+
+/**
+ * 连接变更通知：其他标签页或标注者的修改实时反映到缓存、缩略图和植物列表
+ *
+ * AnnotationManager / NoteManager 自己订阅并清除缓存，这里只负责界面。
+ */
+function startChangeFeed() {
+  if (changeFeed) return;
+
+  changeFeed = new ChangeFeedClient({ clientId: annotatorSession?.clientId });
+  window.PlantAnnotationTool.changeFeed = changeFeed;
+
+  annotationManager?.subscribeToChanges(changeFeed);
+  noteManager?.subscribeToChanges(changeFeed);
+  assignmentManager?.subscribeToChanges(changeFeed);
+  reviewManager?.subscribeToChanges(changeFeed);
+
+  const {
+    ANNOTATION_SAVED, ANNOTATION_DELETED, PLANT_STATUS_CHANGED,
+    NOTE_CREATED, NOTE_UPDATED, NOTE_DELETED
+  } = CHANGE_EVENT_TYPES;
+  changeFeed.on(ANNOTATION_SAVED, handleRemoteAnnotationChange);
+  changeFeed.on(ANNOTATION_DELETED, handleRemoteAnnotationChange);
+  changeFeed.on(PLANT_STATUS_CHANGED, handleRemotePlantStatusChange);
+  for (const type of [NOTE_CREATED, NOTE_UPDATED, NOTE_DELETED]) {
+    changeFeed.on(type, handleRemoteNoteChange);
+  }
+  changeFeed.on(RESYNC_EVENT, handleChangeFeedResync);
+
+  changeFeed.connect();
+}
+
+/**
+ * 其他人保存或删除了某张图像的标注
+ */
+async function handleRemoteAnnotationChange(event) {
+  const { imageId, author } = event;
+
+  // 正在编辑的图像不重新读取：读取会更新本地的版本号，下次保存就会覆盖对方的修改；
+  // 保持旧版本号，保存时由冲突合并对话框处理
+  if (appState.currentImage?.id === imageId) {
+    updateProgressInfo(`⚠️ ${author} changed the annotations of this image; saving will offer to merge`);
+    return;
+  }
+
+  await refreshThumbnailAnnotationStatus(imageId);
+}
+
+/**
+ * 其他人修改了植物状态或跳过信息：更新植物列表项和统计
+ */
+function handleRemotePlantStatusChange(event) {
+  const plant = plantDataManager.applyRemotePlantStatus(event.plantId, event);
+  if (plant) {
+    refreshPlantListItem(plant);
+    updateProgressStats();
+  }
+  if (event.plantId === appState.currentPlant?.id) {
+    updateCompletePlantButtonState();
+  }
+}
+
+/**
+ * 重新渲染植物列表项（跳过/取消跳过按钮、跳过原因和锁定标记只能整体重新渲染）
+ */
+function refreshPlantListItem(plant) {
+  const plantItem = document.querySelector(`[data-plant-id="${plant.id}"]`);
+  if (!plantItem) return;
+
+  const newItem = createPlantListItem(plant);
+  newItem.classList.toggle('selected', plantItem.classList.contains('selected'));
+  plantItem.replaceWith(newItem);
+  noteUI?.updatePlantNoteBadge(plant.id);
+}
+
+/**
+ * 租约变化（plantId 为 null 表示全部）：更新植物列表中的锁定标记
+ */
+function handleAssignmentChange(plantId) {
+  if (!plantDataManager) return;
+  const plants = plantId ? [plantDataManager.getPlant(plantId)] : plantDataManager.getPlantList();
+  plants.filter(Boolean).forEach(refreshPlantListItem);
+}
+
+/**
+ * 领取要打开的植物
+ *
+ * 没有登录标注者或后端不支持分配时不阻止打开。
+ *
+ * @returns {Promise<boolean>} false if the user chose not to open a plant someone else holds
+ */
+async function claimPlantAssignment(plant) {
+  if (!assignmentManager || !annotatorSession?.getName()) {
+    return true;
+  }
+
+  try {
+    await assignmentManager.claim(plant.id);
+    return true;
+  } catch (error) {
+    if (error.code !== 'LEASE_CONFLICT') {
+      console.warn('[Assignments] 领取植物失败:', error);
+      return true;
+    }
+  }
+
+  const lease = assignmentManager.getLease(plant.id);
+  const holder = lease ? `${lease.annotator} (until ${new Date(lease.expiresAt).toLocaleTimeString()})` : 'another annotator';
+  if (!confirm(`${plant.id} is being annotated by ${holder}.\n\nOpen it anyway? Your changes may conflict with theirs.`)) {
+    return false;
+  }
+  // 打开别人的植物时不再持有之前的植物
+  await assignmentManager.releaseCurrent();
+  return true;
+}
+
+/**
+ * 下一株待标注的植物：优先由服务器分配（不会与其他标注者重复），失败时在本地查找
+ */
+async function getNextPlant(currentPlantId) {
+  if (assignmentManager && annotatorSession?.getName()) {
+    try {
+      const lease = await assignmentManager.claimNext(currentPlantId);
+      return lease ? plantDataManager.getPlant(lease.plantId) : null;
+    } catch (error) {
+      console.warn('[Assignments] 服务器分配下一株植物失败，改为本地查找:', error);
+    }
+  }
+  return plantDataManager.getNextPendingPlant(currentPlantId);
+}
+
+/**
+ * 其他人增删改了笔记：更新植物徽章、缩略图徽章和笔记按钮
+ */
+async function handleRemoteNoteChange(event) {
+  const { plantId, imageId } = event;
+  if (!noteUI) return;
+
+  await noteUI.updatePlantNoteBadge(plantId);
+  if (noteUI.currentPlantId === plantId) {
+    await noteUI.updatePlantNoteButton(plantId);
+  }
+  if (imageId) {
+    await loadImageNoteCount(plantId, imageId);
+    if (noteUI.currentImageId === imageId) {
+      await noteUI.updateImageNoteButton(plantId, imageId);
+    }
+  }
+}
+
+/**
+ * 断线太久、服务器无法补发错过的事件：管理器已清空缓存，刷新当前植物的缩略图和徽章
+ */
+async function handleChangeFeedResync() {
+  console.warn('[ChangeFeed] 错过了部分变更，重新加载缓存数据');
+  await noteUI?.updateAllPlantNoteBadges();
+  const thumbnails = document.querySelectorAll('.image-thumbnail[data-image-id]');
+  for (const thumbnail of thumbnails) {
+    if (thumbnail.dataset.imageId !== appState.currentImage?.id) {
+      await refreshThumbnailAnnotationStatus(thumbnail.dataset.imageId);
+    }
+  }
+}
+
 /**
  * 渲染图像缩略图
  */
@@ -1630,8 +1934,10 @@ async function loadThumbnailImage(thumbnailElement, imageData) {
       return;
     }
     
-    // 创建图像URL
-    const imageURL = await plantDataManager.fileSystemManager.createImageURL(imageData);
+    // 创建图像URL（HTTP 后端返回服务器端缩略图，高分屏请求更大的尺寸）
+    const imageURL = await plantDataManager.fileSystemManager.createImageURL(imageData, {
+      size: Math.round(THUMBNAIL_SIZE * (window.devicePixelRatio || 1))
+    });
     
     // 加载图像
     imgElement.onload = () => {
@@ -1728,6 +2034,12 @@ async function handleImageSelect(image, isImageSwitch = true) {
       window.PlantAnnotationTool.noteUI.setCurrentImage(image.id);
     }
     
+    // 更新修订历史当前图像
+    annotationHistoryUI?.setCurrentImage(image.id);
+    
+    // 更新审核标记和审核面板
+    reviewPanel?.setContext(appState.currentPlant?.id ?? null, image.id);
+    
     // 设置植物的选中图像（重要：这里恢复了原来的逻辑）
     if (appState.currentPlant) {
       plantDataManager.setSelectedImage(appState.currentPlant.id, image);
@@ -2111,7 +2423,7 @@ async function performSaveAnnotation(isManualAdjustment) {
 /**
  * 🔧 NEW: 处理完成/撤销完成植物 (统一处理函数)
  */
-function handleCompletePlant() {
+async function handleCompletePlant() {
   if (!appState.currentPlant) {
     showError('操作失败', '请先选择植物');
     return;
@@ -2121,69 +2433,144 @@ function handleCompletePlant() {
   
   // 根据当前状态决定操作
   if (plant.status === 'completed') {
-    // 如果已完成，则撤销完成
+    // 如果已完成（引入审核之前的完成状态），则撤销完成
     showUncompletePlantModal(plant.id);
+  } else if (plant.status === REVIEW_STATUSES.SUBMITTED) {
+    // 审核开始之前可以撤回提交
+    await withdrawPlantSubmission(plant);
   } else {
-    // 如果未完成，则完成植物
+    // 如果未完成，则提交审核
     if (plant.status === 'skipped') {
       showError('操作错误', '无法完成已跳过的植株，请先撤销跳过');
       return;
     }
+    if (plant.status === REVIEW_STATUSES.IN_REVIEW || plant.status === REVIEW_STATUSES.APPROVED) {
+      return;
+    }
     
-    const confirmMessage = `确定要标记植株 "${plant.id}" 为已完成吗？`;
+    const openItems = plant.status === REVIEW_STATUSES.CHANGES_REQUESTED
+      ? getReworkItems(reviewManager.getReview(plant.id)).length
+      : 0;
+    const confirmMessage = openItems > 0
+      ? `植株 "${plant.id}" 还有 ${openItems} 个标记的标注点没有标为已修改，仍然重新提交审核吗？`
+      : `确定要提交植株 "${plant.id}" 审核吗？`;
     
     if (!confirm(confirmMessage)) {
       return;
     }
     
     try {
-      // 标记植物为已完成
-      plantDataManager.updatePlantStatus(plant.id, 'completed');
-      plant.status = 'completed';
-      
-      // 重新渲染植株列表项
-      const plantItem = document.querySelector(`[data-plant-id="${plant.id}"]`);
-      if (plantItem) {
-        const newItem = createPlantListItem(plant);
-        plantItem.parentNode.replaceChild(newItem, plantItem);
-        
-        // 🔧 FIX: Update note badge for the re-rendered plant item
-        if (window.PlantAnnotationTool?.noteUI) {
-          setTimeout(() => {
-            window.PlantAnnotationTool.noteUI.updatePlantNoteBadge(plant.id);
-          }, 100);
-        }
-      }
-      
-      // 更新统计显示
-      updateProgressStats();
+      // 提交审核（审核者可以开始审核）
+      await reviewManager.setStatus(plant.id, REVIEW_STATUSES.SUBMITTED);
+      applyLocalPlantStatus(plant, REVIEW_STATUSES.SUBMITTED);
       
-      // 更新按钮状态
-      updateCompletePlantButtonState();
-      
-      showSuccess('完成成功', `植株 ${plant.id} 已标记为完成`);
+      showSuccess('提交成功', `植株 ${plant.id} 已提交审核`);
       
-      // 查找下一个未完成的植物
-      const nextPlant = plantDataManager.getNextPendingPlant(plant.id);
+      // 查找下一个未完成且没有人在处理的植物
+      const nextPlant = await getNextPlant(plant.id);
       
       if (nextPlant) {
         // 询问是否跳转到下一个植物
-        const shouldNavigate = confirm(`植株 ${plant.id} 已完成！\n\n是否跳转到下一个未完成的植株 ${nextPlant.id}？`);
+        const shouldNavigate = confirm(`植株 ${plant.id} 已提交审核！\n\n是否跳转到下一个未完成的植株 ${nextPlant.id}？`);
         if (shouldNavigate) {
           handlePlantSelect(nextPlant);
-          updateProgressInfo(`已完成 ${plant.id}，跳转到 ${nextPlant.id}`);
+          updateProgressInfo(`已提交 ${plant.id}，跳转到 ${nextPlant.id}`);
         }
       } else {
         updateProgressInfo('恭喜！所有植物都已完成标注');
       }
       
     } catch (error) {
-      console.error('完成植物失败:', error);
+      console.error('提交审核失败:', error);
       showError('操作失败', error.message);
     }
   }
 }
 
+/**
+ * 撤回尚未开始审核的提交
+ */
+async function withdrawPlantSubmission(plant) {
+  if (!confirm(`确定要撤回植株 "${plant.id}" 的审核提交吗？`)) {
+    return;
+  }
+  
+  try {
+    const annotations = await plantDataManager.getPlantAnnotations(plant.id);
+    const newStatus = (annotations && annotations.length > 0) ? 'in-progress' : 'pending';
+    await reviewManager.setStatus(plant.id, newStatus);
+    applyLocalPlantStatus(plant, newStatus);
+    showSuccess('撤回成功', `植株 ${plant.id} 已恢复到进行中状态`);
+  } catch (error) {
+    // 403：审核者已经开始审核
+    console.error('撤回提交失败:', error);
+    showError('撤回失败', error.status === 403 ? '审核者已经开始审核，无法撤回' : error.message);
+  }
+}
+
+/**
+ * 在本页面应用已保存到服务器的植物状态（本页面的请求不会收到自己的变更通知）
+ */
+function applyLocalPlantStatus(plant, status) {
+  plantDataManager.applyRemotePlantStatus(plant.id, { status });
+  plant.status = status;
+  
+  refreshPlantListItem(plant);
+  updateProgressStats();
+  if (plant.id === appState.currentPlant?.id) {
+    updateCompletePlantButtonState();
+    reviewPanel?.refresh();
+  }
+}
+
+/**
+ * 审核面板中开始审核或给出结论之后
+ */
+function handleReviewStatusChange(plantId, status) {
+  const plant = plantDataManager.getPlant(plantId);
+  if (plant) {
+    applyLocalPlantStatus(plant, status);
+  }
+  // 审核结束后不再占用植物，标注者可以直接打开修改
+  if (REVIEW_DECISIONS.includes(status)) {
+    assignmentManager?.releaseCurrent();
+  }
+}
+
+/**
+ * 打开审核条目所在的图像并定位到标注点
+ */
+async function navigateToReviewItem(item) {
+  const parsed = parseImageId(item.imageId, getPlantIdRegex());
+  if (!parsed || parsed.plantId !== appState.currentPlant?.id) {
+    return;
+  }
+  
+  if (appState.currentImage?.id !== item.imageId) {
+    if (appState.currentPlant.selectedViewAngle !== parsed.viewAngle) {
+      await handleViewAngleSelect(parsed.viewAngle);
+      // 切换视角会选中第一张图像，等待导航节流结束
+      await new Promise(resolve => setTimeout(resolve, appState.navigation.throttleDelay));
+    }
+    const images = await plantDataManager.getPlantImages(parsed.plantId, parsed.viewAngle);
+    const image = images.find(candidate => candidate.id === item.imageId);
+    if (!image) {
+      showError('定位失败', `未找到图像 ${item.imageId}`);
+      return;
+    }
+    if (appState.currentImage?.id !== image.id) {
+      await handleImageSelect(image);
+    }
+  }
+  
+  const keypoint = reviewPanel.findKeypoint(item);
+  if (keypoint) {
+    annotationTool.selectKeypointWithZoom(keypoint);
+  } else {
+    showError('定位失败', `标注点 #${item.order ?? '?'} 已被删除`);
+  }
+}
+
 /**
  * 处理导出数据
  */
@@ -2219,6 +2606,99 @@ async function showExportOptionsModal() {
           <div id="stats-content">Loading...</div>
         </div>
 
+        <!-- Format -->
+        <div class="export-format">
+          <label for="export-format-select">Format</label>
+          <select id="export-format-select">
+            <option value="native">Annotation JSON (this tool)</option>
+            <option value="coco">COCO Keypoints</option>
+            <option value="cvat">CVAT for images 1.1 (XML)</option>
+            <option value="labelstudio">Label Studio (JSON tasks + labeling config)</option>
+            <option value="csv">Tidy CSV (one row per keypoint per frame)</option>
+            <option value="trajectories">Branch trajectories (one track per order across time)</option>
+            <option value="yolo">YOLO dataset (written on the server)</option>
+            <option value="patches">Training patches (written on the server)</option>
+          </select>
+          <div class="form-help">COCO exports one keypoint category per group of linked point types and region types as boxes; CVAT and Label Studio export keypoints as points and regions as boxes. Image sizes are read from the dataset.</div>
+        </div>
+
+        <!-- Tidy CSV Options -->
+        <div id="export-csv-options" class="export-csv-options" style="display: none;">
+          <fieldset>
+            <legend>Columns</legend>
+            ${TIDY_COLUMNS.map(column => `
+              <label><input type="checkbox" name="export-csv-column" value="${column.key}" checked> ${column.label}</label>
+            `).join('')}
+          </fieldset>
+          <fieldset>
+            <legend>Plant status</legend>
+            ${TIDY_PLANT_STATUSES.map(status => `
+              <label><input type="checkbox" name="export-csv-status" value="${status}" checked> ${getStatusText(status)}</label>
+            `).join('')}
+          </fieldset>
+          <label>Captured from <input type="date" id="export-csv-from"></label>
+          <label>Captured to <input type="date" id="export-csv-to"></label>
+        </div>
+
+        <!-- Branch Trajectory Options -->
+        <div id="export-trajectory-options" class="export-trajectory-options" style="display: none;">
+          <label>File
+            <select id="export-trajectory-file">
+              <option value="json">JSON (one object per track)</option>
+              <option value="csv">CSV (one row per track frame)</option>
+            </select>
+          </label>
+          <label>Annotation type
+            <select id="export-trajectory-type">
+              <option value="">All types</option>
+              ${(annotationTool?.customAnnotationManager?.getAllCustomTypes() || []).map(type => `
+                <option value="${type.id}">${type.name}</option>
+              `).join('')}
+            </select>
+          </label>
+        </div>
+
+        <!-- YOLO Options -->
+        <div id="export-yolo-options" class="export-yolo-options" style="display: none;">
+          <label>Output directory <input type="text" id="export-yolo-dir" value="yolo" placeholder="Relative to the exports directory"></label>
+          <label>Task
+            <select id="export-yolo-task">
+              <option value="pose">Pose (numbered keypoints + region boxes)</option>
+              <option value="detect">Detection (region boxes)</option>
+            </select>
+          </label>
+          <label>Images
+            <select id="export-yolo-mode">
+              <option value="symlink">Symlinks</option>
+              <option value="copy">Copies</option>
+            </select>
+          </label>
+          <label>Plants train / val / test (%)
+            <span class="export-yolo-split">
+              <input type="number" id="export-yolo-train" min="0" max="100" value="80">
+              <input type="number" id="export-yolo-val" min="0" max="100" value="10">
+              <input type="number" id="export-yolo-test" min="0" max="100" value="10">
+            </span>
+          </label>
+          <label><input type="checkbox" id="export-yolo-overwrite"> Replace an earlier export in this directory</label>
+        </div>
+
+        <!-- Training Patch Options -->
+        <div id="export-patch-options" class="export-patch-options" style="display: none;">
+          <label>Output directory <input type="text" id="export-patch-dir" value="patches" placeholder="Relative to the exports directory"></label>
+          <label>Window around keypoints (px) <input type="number" id="export-patch-size" min="4" max="4096" value="64"></label>
+          <label>Padding around regions (px) <input type="number" id="export-patch-padding" min="0" value="0"></label>
+          <label>Scale crops to (px, empty keeps the window size) <input type="number" id="export-patch-output-size" min="4" max="4096"></label>
+          <label>Negative samples per image <input type="number" id="export-patch-negatives" min="0" max="1000" value="0"></label>
+          <label>Format
+            <select id="export-patch-format">
+              <option value="png">PNG</option>
+              <option value="jpeg">JPEG</option>
+            </select>
+          </label>
+          <label><input type="checkbox" id="export-patch-overwrite"> Replace an earlier export in this directory</label>
+        </div>
+
         <!-- Preview Area -->
         <div style="margin: 20px 0;">
           <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 15px;">
@@ -2258,9 +2738,32 @@ async function showExportOptionsModal() {
     document.getElementById('export-modal').remove();
   });
 
+  document.getElementById('export-format-select').addEventListener('change', event => {
+    document.getElementById('export-yolo-options').style.display = event.target.value === 'yolo' ? 'grid' : 'none';
+    document.getElementById('export-patch-options').style.display = event.target.value === 'patches' ? 'grid' : 'none';
+    document.getElementById('export-csv-options').style.display = event.target.value === 'csv' ? 'grid' : 'none';
+    document.getElementById('export-trajectory-options').style.display = event.target.value === 'trajectories' ? 'grid' : 'none';
+  });
+
   document.getElementById('export-confirm-btn').addEventListener('click', async () => {
+    const format = document.getElementById('export-format-select').value;
+    if (format === 'yolo') {
+      const request = readYoloExportOptions();
+      document.getElementById('export-modal').remove();
+      await performYoloExport(request);
+      return;
+    }
+    if (format === 'patches') {
+      const request = readPatchExportOptions();
+      document.getElementById('export-modal').remove();
+      await performPatchExport(request);
+      return;
+    }
+    const formatOptions = format === 'csv' ? readTidyExportOptions()
+      : format === 'trajectories' ? readTrajectoryExportOptions()
+        : null;
     document.getElementById('export-modal').remove();
-    await performExport();
+    await performExport(format, formatOptions);
   });
 
   document.getElementById('refresh-preview-btn').addEventListener('click', async () => {
@@ -2297,8 +2800,11 @@ async function updateExportStats() {
 
 /**
  * 执行导出
+ *
+ * @param {'native'|'coco'|'cvat'|'labelstudio'|'csv'|'trajectories'} [format]
+ * @param {Object} [formatOptions] - From readTidyExportOptions() or readTrajectoryExportOptions()
  */
-async function performExport() {
+async function performExport(format = 'native', formatOptions = null) {
   try {
     // 获取纯净的标注数据
     const exportData = await getDirectExportData();
@@ -2309,21 +2815,23 @@ async function performExport() {
       return;
     }
 
+    if (TRANSFER_FORMATS[format]) {
+      await performTransferExport(format, exportData);
+      return;
+    }
+
+    if (format === 'csv') {
+      await performTidyCsvExport(exportData, formatOptions);
+      return;
+    }
+
+    if (format === 'trajectories') {
+      await performTrajectoryExport(exportData, formatOptions);
+      return;
+    }
+
     // 创建导出数据结构
-    const finalExportData = {
-      exportTime: new Date().toISOString(),
-      version: '3.0',
-      format: 'pure_annotations',
-      description: 'Pure annotation data, including image annotations and skipped plant information',
-      stats: {
-        annotatedImages: stats.annotatedImages,
-        totalKeypoints: stats.totalKeypoints,
-        averageKeypointsPerImage: stats.averageKeypointsPerImage,
-        skippedPlants: stats.skippedPlants
-      },
-      annotations: exportData.annotations,
-      skippedPlants: exportData.skippedPlants
-    };
+    const finalExportData = buildPureAnnotationExport(exportData);
 
     // 下载文件
     const blob = new Blob([JSON.stringify(finalExportData, null, 2)], {
@@ -2351,6 +2859,310 @@ async function performExport() {
   }
 }
 
+/**
+ * 导出 COCO Keypoints、CVAT XML 或 Label Studio JSON
+ */
+async function performTransferExport(format, exportData) {
+  const { name } = TRANSFER_FORMATS[format];
+  updateProgressInfo(`Building the ${name} export...`);
+  const result = await annotationTransfer.buildExport(format, exportData);
+  for (const file of result.files) {
+    downloadFile(file.content, file.fileName, file.type);
+  }
+
+  updateProgressInfo(`Exported ${result.images} images with ${result.annotations} annotations as ${name}`);
+  if (result.missingSizes.length > 0) {
+    const consequence = format === 'labelstudio'
+      ? 'were left out because Label Studio coordinates are relative to the image size'
+      : 'have no width/height';
+    showError('Image sizes missing', `${result.missingSizes.length} image(s) ${consequence}: their file header could not be read.`);
+  }
+}
+
+// 长格式 CSV 可筛选的植物状态
+const TIDY_PLANT_STATUSES = ['pending', 'in-progress', 'completed', 'skipped', ...Object.values(REVIEW_STATUSES)];
+
+/**
+ * 读取导出对话框中的长格式 CSV 选项
+ */
+function readTidyExportOptions() {
+  const checked = name => [...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+  const statuses = checked('export-csv-status');
+  return {
+    columns: checked('export-csv-column'),
+    // 全选时不按状态筛选（也包括状态未知的植物）
+    statuses: statuses.length === TIDY_PLANT_STATUSES.length ? null : statuses,
+    from: document.getElementById('export-csv-from').value || null,
+    to: document.getElementById('export-csv-to').value || null
+  };
+}
+
+/**
+ * 读取导出植物的拍摄时间，初始化尚未打开的植物视角的时间序列，并记录标注文件中的手动/传播来源
+ *
+ * @param {Array<{ imageId: string, plantId: string, isManualAdjustment?: boolean }>} entries - From getDirectExportData()
+ * @returns {Promise<Map<string, Date|null>>} Image ID -> capture time
+ */
+async function prepareTimeSeriesExport(entries) {
+  const timeSeriesManager = plantDataManager.timeSeriesManager;
+  const captureTimes = new Map();
+  for (const plantId of new Set(entries.map(entry => entry.plantId))) {
+    try {
+      const imagesByView = await plantDataManager.getPlantImages(plantId);
+      for (const [viewAngle, images] of Object.entries(imagesByView)) {
+        for (const image of images) {
+          // timeSource 为 null 表示文件名中没有时间（回退到 epoch）
+          captureTimes.set(image.id, image.timeSource === null ? null : image.dateTime);
+        }
+        if (images.length > 0 && !timeSeriesManager.timeSequences.get(plantId)?.has(viewAngle)) {
+          timeSeriesManager.initializePlantTimeSeries(plantId, viewAngle, [...images]);
+        }
+      }
+    } catch (error) {
+      console.warn(`读取植物 ${plantId} 的图像时间失败:`, error);
+    }
+  }
+  for (const entry of entries) {
+    const parsed = parseImageId(entry.imageId, getPlantIdRegex());
+    if (parsed && typeof entry.isManualAdjustment === 'boolean') {
+      timeSeriesManager.setAnnotationSource(parsed.plantId, parsed.viewAngle, entry.imageId, entry.isManualAdjustment);
+    }
+  }
+  return captureTimes;
+}
+
+/**
+ * 导出长格式 CSV：每个标注点在每个时间点一行
+ */
+async function performTidyCsvExport(exportData, { columns, statuses, from, to }) {
+  if (columns.length === 0) {
+    showError('Export Failed', 'Select at least one column');
+    return;
+  }
+  updateProgressInfo('Building the CSV...');
+
+  const entries = Object.values(exportData.annotations);
+  const timeSeriesManager = plantDataManager.timeSeriesManager;
+  const captureTimes = await prepareTimeSeriesExport(entries);
+
+  const plantIdRegex = getPlantIdRegex();
+  const rows = buildTidyRows(entries, {
+    getCaptureTime: imageId => captureTimes.get(imageId) ?? null,
+    getAnnotationSource: imageId => {
+      const parsed = parseImageId(imageId, plantIdRegex);
+      return parsed ? timeSeriesManager.getAnnotationSource(parsed.plantId, parsed.viewAngle, imageId) : null;
+    },
+    getPlantStatus: plantId => plantDataManager.plants.get(plantId)?.status,
+    statuses,
+    from,
+    to,
+    plantIdRegex
+  });
+  if (rows.length === 0) {
+    showError('Export Failed', 'No keypoints match the selected plant statuses and dates');
+    return;
+  }
+
+  downloadFile(tidyRowsToCsv(rows, columns), datedFileName('annotations_tidy', 'csv'), 'text/csv');
+  const images = new Set(rows.map(row => row.imageId)).size;
+  updateProgressInfo(`Exported ${rows.length} keypoint rows from ${images} images`);
+}
+
+/**
+ * 读取导出对话框中的分枝轨迹选项
+ */
+function readTrajectoryExportOptions() {
+  const typeId = document.getElementById('export-trajectory-type').value;
+  return {
+    file: document.getElementById('export-trajectory-file').value,
+    typeIds: typeId ? [typeId] : null
+  };
+}
+
+/**
+ * 导出分枝轨迹：每个植物视角中每个类型和序号一条轨迹
+ */
+async function performTrajectoryExport(exportData, { file, typeIds }) {
+  updateProgressInfo('Building the branch trajectories...');
+
+  const entries = Object.values(exportData.annotations);
+  const timeSeriesManager = plantDataManager.timeSeriesManager;
+  const captureTimes = await prepareTimeSeriesExport(entries);
+  const annotationsByImage = new Map(entries.map(entry => [entry.imageId, entry.annotations]));
+
+  const { tracks, skippedKeypoints } = buildBranchTrajectories(
+    timeSeriesManager.getTimeSequenceList([...new Set(entries.map(entry => entry.plantId))]),
+    {
+      getAnnotations: imageId => annotationsByImage.get(imageId) ?? null,
+      getCaptureTime: imageId => captureTimes.get(imageId) ?? null,
+      getAnnotationSource: (plantId, viewAngle, imageId) => timeSeriesManager.getAnnotationSource(plantId, viewAngle, imageId),
+      typeIds
+    }
+  );
+  if (tracks.length === 0) {
+    showError('Export Failed', 'No numbered keypoints to build trajectories from');
+    return;
+  }
+
+  const { content, fileName, type } = buildTrajectoryFile(tracks, file);
+  downloadFile(content, fileName, type);
+
+  const skipped = skippedKeypoints > 0 ? ` (${skippedKeypoints} keypoints without an order skipped)` : '';
+  updateProgressInfo(`Exported ${tracks.length} trajectories${skipped}`);
+}
+
+/**
+ * 读取导出对话框中的 YOLO 选项
+ */
+function readYoloExportOptions() {
+  const value = id => document.getElementById(id).value;
+  const percent = id => Math.max(0, Number(value(id)) || 0) / 100;
+  const typeNames = {};
+  for (const type of annotationTool?.customAnnotationManager?.getAllCustomTypes() || []) {
+    typeNames[type.id] = type.name;
+  }
+  return {
+    outputDir: value('export-yolo-dir').trim() || 'yolo',
+    task: value('export-yolo-task'),
+    mode: value('export-yolo-mode'),
+    split: { train: percent('export-yolo-train'), val: percent('export-yolo-val'), test: percent('export-yolo-test') },
+    typeNames,
+    overwrite: document.getElementById('export-yolo-overwrite').checked
+  };
+}
+
+/**
+ * 请求服务器端导出
+ *
+ * @param {string} path - Route under /api/v2/exports
+ * @returns {Promise<Object>} The `data` of the response
+ */
+async function requestServerExport(path, request) {
+  const response = await fetch(`${getBackendApiUrl()}/v2/exports/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request)
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const { message = `HTTP ${response.status}`, details = [] } = body.error || {};
+    throw new Error([message, ...details.map(detail => detail.message)].join(' — '));
+  }
+  return body.data;
+}
+
+/**
+ * 在服务器上写出 YOLO 数据集
+ */
+async function performYoloExport(request) {
+  try {
+    updateProgressInfo('Writing the YOLO dataset...');
+    const result = await requestServerExport('yolo', request);
+    const splits = Object.entries(result.splits)
+      .map(([name, split]) => `${name}: ${split.images} images of ${split.plants} plants`)
+      .join(', ');
+    const skipped = result.skippedImages.length > 0 ? ` ${result.skippedImages.length} image(s) skipped (see console).` : '';
+    if (result.skippedImages.length > 0) {
+      console.warn('YOLO导出跳过的图像:', result.skippedImages);
+    }
+    updateProgressInfo(`YOLO dataset written to ${result.outputDir}`);
+    showSuccess('YOLO Export Complete', `${result.outputDir} — ${splits}.${skipped}`);
+  } catch (error) {
+    console.error('YOLO导出失败:', error);
+    showError('Export Failed', error.message);
+  }
+}
+
+/**
+ * 读取导出对话框中的训练图块选项
+ */
+function readPatchExportOptions() {
+  const value = id => document.getElementById(id).value;
+  const outputSize = Number(value('export-patch-output-size'));
+  return {
+    outputDir: value('export-patch-dir').trim() || 'patches',
+    size: Math.round(Number(value('export-patch-size'))) || 64,
+    regionPadding: Math.max(0, Number(value('export-patch-padding')) || 0),
+    outputSize: outputSize > 0 ? Math.round(outputSize) : null,
+    negatives: Math.max(0, Math.round(Number(value('export-patch-negatives')) || 0)),
+    format: value('export-patch-format'),
+    overwrite: document.getElementById('export-patch-overwrite').checked
+  };
+}
+
+/**
+ * 在服务器上裁剪训练图块
+ */
+async function performPatchExport(request) {
+  try {
+    updateProgressInfo('Cropping the training patches...');
+    const result = await requestServerExport('patches', request);
+    const labels = Object.entries(result.labels)
+      .map(([label, count]) => `${label}: ${count}`)
+      .join(', ');
+    if (result.skippedImages.length > 0) {
+      console.warn('训练图块导出跳过的图像:', result.skippedImages);
+    }
+    const skipped = result.skippedImages.length > 0 ? ` ${result.skippedImages.length} image(s) skipped (see console).` : '';
+    updateProgressInfo(`${result.patches} training patches written to ${result.outputDir}`);
+    showSuccess('Patch Export Complete', `${result.outputDir} — ${result.patches} patches from ${result.images} images (${labels || 'none'}).${skipped}`);
+  } catch (error) {
+    console.error('训练图块导出失败:', error);
+    showError('Export Failed', error.message);
+  }
+}
+
+/**
+ * 从 COCO Keypoints、CVAT XML 或 Label Studio JSON 文件导入标注
+ */
+async function handleImportAnnotations(event) {
+  const file = event.target.files?.[0];
+  event.target.value = '';
+  if (!file) return;
+
+  try {
+    updateProgressInfo(`Reading ${file.name}...`);
+    const result = await annotationTransfer.readFile(file);
+    const { name } = TRANSFER_FORMATS[result.format];
+    const keypoints = result.images.reduce((sum, image) => sum + image.annotations.length, 0);
+    const lines = [
+      `${name} file: ${result.images.length} image(s) with ${keypoints} annotation(s) will replace the existing annotations of these images.`,
+      result.newTypes.length > 0 && `New annotation types: ${result.newTypes.map(type => type.name).join(', ')}`,
+      result.unmatchedImages.length > 0 && `${result.unmatchedImages.length} image(s) are not in this dataset and will be skipped.`,
+      result.skippedAnnotations > 0 && `${result.skippedAnnotations} annotation(s) that are not keypoints or boxes, or have no valid image or label, will be skipped.`
+    ].filter(Boolean);
+    if (result.images.length === 0) {
+      showError('Import Failed', lines.slice(1).join('\n') || 'The file has no images of this dataset');
+      return;
+    }
+    if (!confirm(`${lines.join('\n\n')}\n\nImport?`)) {
+      updateProgressInfo(`${name} import cancelled`);
+      return;
+    }
+
+    const { createdTypes, savedImages, failedImages } = await annotationTransfer.applyImport(result);
+    updateProgressInfo(`Imported ${savedImages} image(s), created ${createdTypes} annotation type(s)`);
+    if (failedImages.length > 0) {
+      showError('Import incomplete', `Could not save: ${failedImages.join(', ')}`);
+    } else {
+      showSuccess('Import Complete', `Imported the annotations of ${savedImages} image(s) from ${file.name}`);
+    }
+
+    // 当前植物的缩略图更新标注状态；正在编辑的图像不自动重新读取，避免自动保存覆盖导入结果
+    for (const image of result.images) {
+      if (image.plantId === appState.currentPlant?.id && image.imageId !== appState.currentImage?.id) {
+        await refreshThumbnailAnnotationStatus(image.imageId);
+      }
+    }
+    if (result.images.some(image => image.imageId === appState.currentImage?.id)) {
+      updateProgressInfo('⚠️ The open image was replaced by the import; reopen it before editing');
+    }
+  } catch (error) {
+    console.error('标注导入失败:', error);
+    showError('Import Failed', error.message);
+  }
+}
+
 /**
  * 直接从文件系统获取导出数据
  */
@@ -2368,49 +3180,36 @@ async function getDirectExportData() {
 
   // 获取所有标注文件
   if (annotationStorage.useFileSystem && annotationStorage.fileSystemManager) {
-    const annotationsHandle = annotationStorage.fileSystemManager.getAnnotationsDirectory();
-    if (!annotationsHandle) {
+    const fileSystemManager = annotationStorage.fileSystemManager;
+    if (!fileSystemManager.getAnnotationsDirectory()) {
       throw new Error('无法访问标注目录');
     }
 
-    // 扫描所有文件
-    for await (const [name, handle] of annotationsHandle.entries()) {
-      if (handle.kind === 'file' && name.endsWith('.json')) {
-        try {
-          const file = await handle.getFile();
-          const content = await file.text();
-          const data = JSON.parse(content);
-
-          if (name.endsWith('_skip_info.json')) {
-            // 跳过信息文件
-            const plantId = name.replace('_skip_info.json', '');
-            exportData.skippedPlants[plantId] = {
-              plantId: data.plantId,
-              skipReason: data.skipReason,
-              skipDate: data.skipDate,
-              status: data.status
-            };
-          } else {
-            // 标注文件
-            const imageId = name.replace('.json', '');
-            if (data.annotations && data.annotations.length > 0) {
-              // 如果没有plantId，尝试从imageId推断
-              const plantId = data.plantId || inferPlantIdFromImageId(imageId);
-
-              exportData.annotations[imageId] = {
-                imageId: data.imageId || imageId,
-                plantId: plantId,
-                annotations: data.annotations,
-                timestamp: data.timestamp,
-                version: data.version
-              };
-            }
-          }
-        } catch (error) {
-          console.warn(`读取文件失败 (${name}):`, error);
-        }
+    for (const imageId of await fileSystemManager.getAllAnnotationFiles()) {
+      const data = await fileSystemManager.loadAnnotationFile(imageId);
+      if (data?.annotations?.length > 0) {
+        exportData.annotations[imageId] = {
+          imageId: data.imageId || imageId,
+          // 如果没有plantId，尝试从imageId推断
+          plantId: data.plantId || inferPlantIdFromImageId(imageId),
+          annotations: data.annotations,
+          timestamp: data.timestamp,
+          version: data.version,
+          ...(typeof data.isManualAdjustment === 'boolean' && { isManualAdjustment: data.isManualAdjustment })
+        };
       }
     }
+
+    // 跳过信息文件
+    const skipInfo = fileSystemManager.getAllSkipInfo ? await fileSystemManager.getAllSkipInfo() : {};
+    for (const [plantId, data] of Object.entries(skipInfo)) {
+      exportData.skippedPlants[plantId] = {
+        plantId: data.plantId || plantId,
+        skipReason: data.skipReason,
+        skipDate: data.skipDate,
+        status: data.status
+      };
+    }
   } else {
     // 从内存中获取数据（兼容模式）
     for (const [plantId, annotationData] of annotationStorage.annotations) {
@@ -2432,7 +3231,8 @@ async function getDirectExportData() {
           plantId: annotationData.plantId,
           annotations: annotationData.annotations,
           timestamp: annotationData.timestamp,
-          version: annotationData.version
+          version: annotationData.version,
+          ...(typeof annotationData.isManualAdjustment === 'boolean' && { isManualAdjustment: annotationData.isManualAdjustment })
         };
       }
     }
@@ -2441,29 +3241,6 @@ async function getDirectExportData() {
   return exportData;
 }
 
-/**
- * 计算导出数据统计
- */
-function calculateExportStats(exportData) {
-  const annotatedImages = Object.keys(exportData.annotations).length;
-  const skippedPlants = Object.keys(exportData.skippedPlants).length;
-
-  let totalKeypoints = 0;
-  for (const imageData of Object.values(exportData.annotations)) {
-    totalKeypoints += imageData.annotations.length;
-  }
-
-  const averageKeypointsPerImage = annotatedImages > 0 ?
-    (totalKeypoints / annotatedImages).toFixed(1) : '0';
-
-  return {
-    annotatedImages,
-    totalKeypoints,
-    averageKeypointsPerImage,
-    skippedPlants
-  };
-}
-
 /**
  * 处理植物更新事件
  */
@@ -4584,7 +5361,7 @@ async function autoConnectDataset() {
         '请确保后端服务已启动。运行 ./start-backend.sh 启动服务器',
         {
           originalError: connectionError,
-          serverUrl: 'http://localhost:3003',
+          serverUrl: plantDataManager.fileSystemManager.baseUrl.replace(/\/api$/, ''),
           suggestion: '尝试运行: ./start-backend.sh'
         }
       );
@@ -4621,6 +5398,12 @@ async function autoConnectDataset() {
     
     console.log(`植物数据加载完成: ${plants.length} 个植物`);
 
+    // 之后其他标签页或标注者的修改会实时推送过来
+    startChangeFeed();
+
+    // 其他标注者当前领取的植物（植物列表中标为锁定）
+    assignmentManager?.load().catch(error => console.warn('[Assignments] 加载租约失败:', error));
+
     // 🔧 PERFORMANCE OPTIMIZATION: 并行加载所有数据类型
     updateFullscreenLoading(40, 'Loading all data types...', 'Bulk loading annotations, notes, and statistics');
     performanceMonitor?.addCheckpoint('开始并行数据加载');
@@ -4809,7 +5592,7 @@ function showConnectionError(error) {
   
   showError(
     '后端服务连接失败', 
-    errorMessage + detailMessage + '\n\n服务器地址: ' + (error.details.serverUrl || 'http://localhost:3003')
+    errorMessage + detailMessage + '\n\n服务器地址: ' + (error.details.serverUrl || getBackendApiUrl().replace(/\/api$/, ''))
   );
   
   // 添加重试按钮到错误模态框
@@ -5027,7 +5810,7 @@ async function showDeletePlantAnnotationsModal(plantId) {
   try {
     // Load plant annotation statistics
     console.log(`[Delete Plant] 加载植物 ${plantId} 的统计信息`);
-    const response = await fetch(`http://localhost:3003/api/annotations/plant/${plantId}/stats`);
+    const response = await fetch(`${getBackendApiUrl()}/annotations/plant/${plantId}/stats`);
     const result = await response.json();
     
     if (result.success) {
@@ -5174,7 +5957,7 @@ async function confirmDeletePlantAnnotations() {
  * 🔧 NEW: Execute full plant deletion via API
  */
 async function executeFullPlantDeletion(plantId) {
-  const response = await fetch(`http://localhost:3003/api/annotations/plant/${plantId}`, {
+  const response = await fetch(`${getBackendApiUrl()}/annotations/plant/${plantId}`, {
     method: 'DELETE',
     headers: {
       'Content-Type': 'application/json'
@@ -5390,20 +6173,33 @@ function updateCompletePlantButtonState() {
       completeButton.disabled = false;
     } else if (plant.status === 'skipped') {
       // Disable for skipped plants
-      completeButton.textContent = 'Complete Plant';
+      completeButton.textContent = 'Submit for Review';
       completeButton.className = 'btn btn-success';
       completeButton.title = '无法完成已跳过的植株，请先撤销跳过';
       completeButton.disabled = true;
+    } else if (plant.status === REVIEW_STATUSES.SUBMITTED) {
+      // Withdraw before a reviewer starts
+      completeButton.textContent = 'Withdraw Submission';
+      completeButton.className = 'btn btn-warning';
+      completeButton.title = `撤回植株 ${plant.id} 的审核提交`;
+      completeButton.disabled = false;
+    } else if (plant.status === REVIEW_STATUSES.IN_REVIEW || plant.status === REVIEW_STATUSES.APPROVED) {
+      // The reviewer owns the status now
+      completeButton.textContent = plant.status === REVIEW_STATUSES.APPROVED ? 'Approved' : 'In Review';
+      completeButton.className = 'btn btn-success';
+      completeButton.title = plant.status === REVIEW_STATUSES.APPROVED ? '植株已通过审核' : '植株正在审核中';
+      completeButton.disabled = true;
     } else {
-      // Show as complete button (pending/in-progress)
-      completeButton.textContent = 'Complete Plant';
+      // Show as submit button (pending/in-progress/changes-requested)
+      const resubmit = plant.status === REVIEW_STATUSES.CHANGES_REQUESTED;
+      completeButton.textContent = resubmit ? 'Resubmit for Review' : 'Submit for Review';
       completeButton.className = 'btn btn-success';
-      completeButton.title = `标记植株 ${plant.id} 为完成`;
+      completeButton.title = `提交植株 ${plant.id} 审核`;
       completeButton.disabled = false;
     }
   } else {
     // No plant selected
-    completeButton.textContent = 'Complete Plant';
+    completeButton.textContent = 'Submit for Review';
     completeButton.className = 'btn btn-success';
     completeButton.title = '请先选择植物';
     completeButton.disabled = true;
@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Inter-annotator agreement (src/utils/AnnotationAgreement.js, backend/agreement.js)
+ *
+ * Keypoint matching by order and by nearest neighbour, the metrics, the CSV
+ * report, and loading the two sides from annotators and directories.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  matchKeypoints,
+  computeAgreement,
+  agreementReportToCsv,
+  angleDifference,
+  directionToDegrees
+} from '../utils/AnnotationAgreement.js';
+import { escapeCsvValue } from '../utils/Csv.js';
+import { buildAgreementReport } from '../../backend/agreement.js';
+import { JsonStorage } from '../../backend/storage/jsonStorage.js';
+import { RevisionLog } from '../../backend/revisionLog.js';
+import { point } from './helpers/fixtures.js';
+
+const IMAGE = 'BR017-000001_sv-000_a.png';
+
+describe('AnnotationAgreement', () => {
+  test('should match numbered keypoints by order and the rest by nearest neighbour within the same type', () => {
+    const a = [
+      point(1, 100, 100, { direction: 350 }),
+      point(2, 200, 200),
+      point(null, 300, 300, { customTypeId: 'leaf' }),
+      point(null, 400, 400, { customTypeId: 'leaf' })
+    ];
+    const b = [
+      point(1, 103, 104, { direction: 10 }),
+      point(3, 200, 200),
+      point(null, 405, 400, { customTypeId: 'leaf' }),
+      point(null, 302, 300, { customTypeId: 'leaf' }),
+      point(null, 900, 900, { customTypeId: 'leaf' })
+    ];
+
+    const { pairs, missed, extra } = matchKeypoints(a, b, { maxDistance: 50 });
+    expect(pairs.map(pair => [pair.a.x, pair.b.x, pair.distance])).toEqual([
+      [100, 103, 5],
+      [300, 302, 2],
+      [400, 405, 5]
+    ]);
+    expect(pairs[0].angleError).toBe(20);
+    // 序号不同的两个有序号标注点不按距离匹配
+    expect(missed.map(entry => entry.keypoint.order)).toEqual([2]);
+    expect(extra.map(entry => entry.keypoint.x)).toEqual([200, 900]);
+  });
+
+  test('should normalise legacy directions and wrap angle differences', () => {
+    expect(directionToDegrees('left')).toBe(180);
+    expect(directionToDegrees('right')).toBe(0);
+    expect(directionToDegrees(null)).toBeNull();
+    expect(angleDifference(350, 10)).toBe(20);
+    expect(angleDifference(-90, 90)).toBe(180);
+  });
+
+  test('should summarise per plant and per type and skip images only one side annotated', () => {
+    // B 没有标方向：不计角度误差
+    const undirected = { direction: null, directionType: null };
+    const report = computeAgreement([
+      { imageId: IMAGE, plantId: 'BR017-000001', a: [point(1, 0, 0), point(2, 50, 50)], b: [point(1, 3, 4, undirected), point(2, 50, 62, undirected)] },
+      { imageId: 'BR017-000002_sv-000_a.png', plantId: 'BR017-000002', a: [point(1, 0, 0)], b: [] },
+      { imageId: 'BR017-000003_sv-000_a.png', plantId: 'BR017-000003', a: [point(1, 0, 0)], b: null }
+    ], { thresholds: [10, 5] });
+
+    expect(report.thresholds).toEqual([5, 10]);
+    expect(report.skippedImages).toBe(1);
+    expect(report.overall).toMatchObject({
+      images: 2, keypointsA: 3, keypointsB: 2, matched: 2, missed: 1, extra: 0,
+      meanPixelError: 8.5, pck: { 5: 0.3333, 10: 0.3333 }, meanAngleError: null
+    });
+    expect(report.plants.map(entry => [entry.plantId, entry.matched, entry.missed])).toEqual([
+      ['BR017-000001', 2, 0],
+      ['BR017-000002', 0, 1]
+    ]);
+    expect(report.types).toHaveLength(1);
+
+    const csv = agreementReportToCsv(report).split('\r\n');
+    expect(csv[0]).toBe('scope,plantId,customTypeId,images,keypointsA,keypointsB,matched,missed,extra,meanPixelError,pck@5px,pck@10px,meanAngleError,angleCount');
+    expect(csv[1]).toBe('overall,,,2,3,2,2,1,0,8.5,0.3333,0.3333,,0');
+    expect(escapeCsvValue('a "b", c')).toBe('"a ""b"", c"');
+  });
+
+  test('should compare an annotator\'s revisions against another annotations directory', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'agreement-test-'));
+    try {
+      const annotationsDir = path.join(root, 'annotations');
+      const storage = new JsonStorage(annotationsDir);
+      await storage.initialize();
+      const revisionLog = new RevisionLog(annotationsDir);
+      const save = (author, annotations) => revisionLog.record(IMAGE, { action: 'save', author }, async () => {
+        const previous = await storage.getAnnotation(IMAGE);
+        const next = { annotations };
+        await storage.saveAnnotation(IMAGE, next);
+        return { previous, next };
+      });
+      await save('alice', [point(1, 10, 10)]);
+      await save('bob', [point(1, 10, 20)]);
+
+      const copyDir = path.join(root, 'copy');
+      await fs.mkdir(copyDir);
+      await fs.writeFile(path.join(copyDir, `${IMAGE}.json`), JSON.stringify({ annotations: [point(1, 10, 13)] }));
+
+      const services = { config: { datasetRoot: root }, storage, revisionLog };
+      const byAnnotator = await buildAgreementReport({ a: { annotator: 'alice' }, b: { annotator: 'bob' } }, services);
+      expect(byAnnotator.overall).toMatchObject({ images: 1, matched: 1, meanPixelError: 10 });
+
+      const byDirectory = await buildAgreementReport({ a: { annotator: 'alice' }, b: { annotationsDir: 'copy' } }, services);
+      expect(byDirectory.b).toBe(copyDir);
+      expect(byDirectory.overall.meanPixelError).toBe(3);
+
+      await expect(buildAgreementReport({ a: { annotator: 'alice' }, b: { annotationsDir: 'missing' } }, services))
+        .rejects.toThrow('标注目录不存在');
+      // 只能比较数据集内的目录
+      for (const annotationsDir of [copyDir, '../copy']) {
+        await expect(buildAgreementReport({ a: { annotator: 'alice' }, b: { annotationsDir } }, services))
+          .rejects.toMatchObject({ details: [{ location: 'body', field: 'b.annotationsDir' }] });
+      }
+    } finally {
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  });
+});
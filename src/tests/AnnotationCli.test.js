@@ -0,0 +1,189 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Command-line tool (scripts/annotation-cli.js)
+ *
+ * Dataset stats and annotation validation (backend/datasetReport.js), the
+ * export dialog's formats written from an annotations directory
+ * (backend/annotationExport.js), bulk skip/unskip (AnnotationService) and
+ * the script's exit codes.
+ */
+
+import { promises as fs } from 'fs';
+import { execFile } from 'child_process';
+import os from 'os';
+import path from 'path';
+import { collectDatasetStats, validateAnnotations } from '../../backend/datasetReport.js';
+import { buildAnnotationExport, exportAnnotationFiles } from '../../backend/annotationExport.js';
+import { Dataset } from '../../backend/dataset.js';
+import { JsonStorage } from '../../backend/storage/jsonStorage.js';
+import { AnnotationService } from '../../backend/annotationService.js';
+import { point } from './helpers/fixtures.js';
+
+const PLANT = 'BR017-000001';
+const frame = day => `${PLANT}_sv-000_BR017-000001-2018-07-0${day}_00_VIS_sv_000-0-0-0.png`;
+const SCRIPT = path.resolve('scripts/annotation-cli.js');
+
+function runCli(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [SCRIPT, ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+describe('annotation CLI', () => {
+  let root;
+  let services;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'annotation-cli-test-'));
+    const annotationsDir = path.join(root, 'annotations');
+    const storage = new JsonStorage(annotationsDir);
+    await storage.initialize();
+    const config = {
+      datasetRoot: root,
+      annotationsDir,
+      // 命令行把 --out 作为导出目录
+      exportsDir: root,
+      plantIdPattern: '^BR\\d{3}-\\d{6}$',
+      viewAngles: ['sv-000'],
+      viewLabels: {},
+      reviewers: []
+    };
+    services = {
+      config,
+      storage,
+      dataset: new Dataset(config),
+      annotations: new AnnotationService({ storage, annotationsDir })
+    };
+
+    // 1 号和 2 号图像在数据集中，3 号只有标注
+    await fs.mkdir(path.join(root, PLANT, 'sv-000'), { recursive: true });
+    for (const day of [1, 2]) {
+      await fs.writeFile(path.join(root, PLANT, 'sv-000', frame(day).split('_sv-000_')[1]), '');
+    }
+    await storage.saveAnnotation(frame(1), { annotations: [point(1, 10, 20), point(1, 5, 5, { customTypeId: 'pod' })], isManualAdjustment: true });
+    await storage.saveAnnotation(frame(2), { annotations: [point(1, 12, 22), point(2, 40, 40)], isManualAdjustment: false });
+    await storage.saveAnnotation(frame(3), { annotations: [point(1, 1, 1), point(1, 2, 2)] });
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should count plants, statuses and keypoints by type and view', async () => {
+    await services.storage.updatePlantRecord('status', 'BR017-000002', () => ({ plantId: 'BR017-000002', status: 'completed' }));
+
+    const stats = await collectDatasetStats(services);
+    expect(stats).toMatchObject({
+      plants: 2,
+      datasetPlants: 1,
+      annotatedPlants: 1,
+      annotatedImages: 3,
+      keypoints: 6,
+      averageKeypointsPerImage: 2,
+      keypointsByType: { 'builtin-regular-keypoint': 5, pod: 1 },
+      keypointsByView: { 'sv-000': 6 }
+    });
+    expect(stats.statuses).toMatchObject({ pending: 1, completed: 1, skipped: 0 });
+  });
+
+  test('should report schema errors, duplicate orders and missing images', async () => {
+    await services.storage.saveAnnotation('BR017-000001_sv-000_bad.png', { plantId: 'BR017-000002', annotations: [{ x: 'a', y: 1 }] });
+
+    const report = await validateAnnotations(services);
+    expect(report.checked).toBe(4);
+    expect(report.issues).toEqual([
+      { imageId: 'BR017-000001_sv-000_bad.png', level: 'warning', message: 'plantId "BR017-000002" does not match the image ID' },
+      { imageId: 'BR017-000001_sv-000_bad.png', level: 'error', message: '/annotations/0/x must be number' },
+      { imageId: 'BR017-000001_sv-000_bad.png', level: 'error', message: 'Image file not found in the dataset' },
+      { imageId: frame(3), level: 'error', message: 'Duplicate order 1 for builtin-regular-keypoint' },
+      { imageId: frame(3), level: 'error', message: 'Image file not found in the dataset' }
+    ]);
+    expect(report).toMatchObject({ errors: 4, warnings: 1 });
+  });
+
+  test('should build the export dialog formats from the annotations directory', async () => {
+    await services.annotations.skipPlant(PLANT, 'Out of focus', 'cli');
+
+    const json = await buildAnnotationExport('json', {}, services);
+    const content = JSON.parse(json.files[0].content);
+    expect(content).toMatchObject({ format: 'pure_annotations', version: '3.0', stats: { annotatedImages: 3, totalKeypoints: 6, skippedPlants: 1 } });
+    expect(content.annotations[frame(1)]).toMatchObject({ plantId: PLANT, isManualAdjustment: true });
+    expect(content.skippedPlants[PLANT]).toMatchObject({ status: 'skipped', skipReason: 'Out of focus' });
+
+    const coco = await buildAnnotationExport('coco', { customTypes: [{ id: 'pod', name: 'Seed pod', type: 'region' }] }, services);
+    expect(coco.missingSizes).toHaveLength(3);
+    expect(JSON.parse(coco.files[0].content).categories.map(category => category.name)).toContain('Seed pod');
+
+    const csv = await buildAnnotationExport('csv', { columns: ['imageId', 'order', 'source'] }, services);
+    const lines = csv.files[0].content.split('\r\n');
+    expect(lines[0]).toBe('imageId,order,source');
+    expect(lines).toContain(`${frame(1)},1,manual`);
+    expect(lines).toContain(`${frame(2)},2,propagated`);
+    await expect(buildAnnotationExport('csv', { statuses: ['completed'] }, services)).rejects.toThrow('没有可导出的标注');
+
+    const trajectories = await buildAnnotationExport('trajectories', { file: 'csv' }, services);
+    // 3 号图像不在数据集中，不属于时间序列
+    expect(trajectories).toMatchObject({ tracks: 3, images: 2 });
+    expect(trajectories.files[0].fileName).toMatch(/^branch_trajectories_\d{4}-\d{2}-\d{2}\.csv$/);
+  });
+
+  test('should write export files and refuse to replace them without overwrite', async () => {
+    const result = await exportAnnotationFiles({ format: 'cvat', outputDir: 'exports' }, services);
+    expect(result).toMatchObject({ outputDir: path.join(root, 'exports'), images: 3, annotations: 6 });
+    expect(await fs.readFile(result.files[0], 'utf8')).toMatch(/^<\?xml/);
+
+    await expect(exportAnnotationFiles({ format: 'cvat', outputDir: 'exports' }, services)).rejects.toThrow('Export 输出目录已有导出');
+    await expect(exportAnnotationFiles({ format: 'cvat', outputDir: 'exports', overwrite: true }, services)).resolves.toMatchObject({ images: 3 });
+    await expect(exportAnnotationFiles({ format: 'json', outputDir: 'annotations' }, services)).rejects.toThrow('Export 输出目录无效');
+  });
+
+  test('should skip and unskip plants like the plant list', async () => {
+    await services.storage.updatePlantRecord('status', PLANT, () => ({ plantId: PLANT, status: 'in-progress' }));
+
+    await services.annotations.skipPlant(PLANT, 'Out of focus', 'cli');
+    expect(await services.annotations.getPlantStatus(PLANT)).toMatchObject({ status: 'skipped' });
+    expect(await services.storage.getPlantRecord('skip', PLANT)).toMatchObject({ skipReason: 'Out of focus', modifiedBy: 'cli' });
+
+    expect(await services.annotations.unskipPlant(PLANT, 'cli')).toBe('in-progress');
+    expect(await services.storage.getPlantRecord('skip', PLANT)).toBeNull();
+    expect(await services.annotations.unskipPlant(PLANT, 'cli')).toBeNull();
+
+    await services.annotations.skipPlant('BR017-000002', 'Empty pot', 'cli');
+    expect(await services.annotations.unskipPlant('BR017-000002', 'cli')).toBe('pending');
+  });
+
+  test('should publish one status change per skip', async () => {
+    const events = [];
+    const annotations = new AnnotationService({
+      storage: services.storage,
+      annotationsDir: services.config.annotationsDir,
+      changeFeed: { publish: event => events.push(event) }
+    });
+
+    await annotations.skipPlant(PLANT, 'Out of focus', 'cli');
+    expect(events).toEqual([
+      expect.objectContaining({ type: 'plant-status.changed', plantId: PLANT, status: 'skipped', skipReason: 'Out of focus', author: 'cli' })
+    ]);
+  });
+
+  test('should exit with 1 on validation errors and 2 on a wrong command line', async () => {
+    const dirArgs = ['--dataset-root', root, '--dir', path.join(root, 'annotations')];
+
+    const validate = await runCli(['validate', '--json', ...dirArgs]);
+    expect(validate.code).toBe(1);
+    expect(JSON.parse(validate.stdout)).toMatchObject({ checked: 3, errors: 2 });
+
+    expect((await runCli(['skip', PLANT, ...dirArgs])).code).toBe(2);
+    expect((await runCli(['export', 'pdf', '--out', root, ...dirArgs])).code).toBe(2);
+
+    const skip = await runCli(['skip', PLANT, '--reason', 'Out of focus', ...dirArgs]);
+    expect(skip).toMatchObject({ code: 0, stdout: `${PLANT}: skipped\n` });
+    const status = await runCli(['status', '--status', 'skipped', '--json', ...dirArgs]);
+    expect(JSON.parse(status.stdout)).toEqual([{ plantId: PLANT, status: 'skipped', skipReason: 'Out of focus' }]);
+  });
+});
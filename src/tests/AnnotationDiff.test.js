@@ -0,0 +1,172 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Annotation diff and revision log
+ *
+ * Covers keypoint matching for diffs, per-keypoint merging of save
+ * conflicts, and the append-only revision log (baseline capture, skipped
+ * no-op saves, truncated trailing lines).
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  diffAnnotations,
+  summarizeDiff,
+  formatDiffSummary,
+  pairKeypoints,
+  mergeKeypoints
+} from '../utils/AnnotationDiff.js';
+import { RevisionLog } from '../../backend/revisionLog.js';
+
+describe('AnnotationDiff', () => {
+  test('should report added, removed and changed keypoints', () => {
+    const before = [
+      { id: 1, x: 10, y: 10, order: 1 },
+      { id: 2, x: 20, y: 20, order: 2 },
+      { id: 3, x: 30, y: 30, order: 3 }
+    ];
+    const after = [
+      { id: 1, x: 10, y: 10, order: 1 },
+      { id: 2, x: 25, y: 20, order: 2, direction: 90 },
+      { id: 4, x: 40, y: 40, order: 4 }
+    ];
+
+    const diff = diffAnnotations(before, after);
+
+    expect(diff.added.map(kp => kp.id)).toEqual([4]);
+    expect(diff.removed.map(kp => kp.id)).toEqual([3]);
+    expect(diff.changed).toHaveLength(1);
+    expect(diff.changed[0].fields).toEqual(['x', 'direction']);
+    expect(diff.unchanged).toBe(1);
+    expect(formatDiffSummary(summarizeDiff(diff))).toBe('+1 −1 ~1');
+  });
+
+  test('should match keypoints without ids by type and order', () => {
+    const diff = diffAnnotations(
+      [{ x: 1, y: 1, order: 1 }],
+      [{ x: 2, y: 1, order: 1 }]
+    );
+
+    expect(summarizeDiff(diff)).toEqual({ added: 0, removed: 0, changed: 1 });
+  });
+
+  test('should detect edits that only change the directions of a multi-direction keypoint', () => {
+    const keypoint = {
+      id: 1, x: 10, y: 10, order: 1, maxDirections: 2,
+      directions: [{ angle: 90, type: 'angle' }]
+    };
+    const edited = { ...keypoint, directions: [{ angle: 90, type: 'angle' }, { angle: 180, type: 'angle' }] };
+
+    expect(diffAnnotations([keypoint], [{ ...keypoint, directions: [{ angle: 90, type: 'angle' }] }]).changed).toEqual([]);
+    expect(diffAnnotations([keypoint], [edited]).changed[0].fields).toEqual(['directions']);
+    expect(diffAnnotations([keypoint], [{ ...keypoint, maxDirections: 3 }]).changed[0].fields).toEqual(['maxDirections']);
+    expect(pairKeypoints([edited], [keypoint])[0].status).toBe('changed');
+  });
+});
+
+describe('pairKeypoints / mergeKeypoints', () => {
+  const local = [
+    { id: 1, x: 10, y: 10, order: 1 },
+    { id: 2, x: 25, y: 20, order: 2 },
+    { id: 3, x: 30, y: 30, order: 3 }
+  ];
+  const server = [
+    { id: 1, x: 10, y: 10, order: 1 },
+    { id: 2, x: 20, y: 22, order: 2 },
+    { id: 5, x: 50, y: 50, order: 4 }
+  ];
+
+  test('should pair both copies per keypoint', () => {
+    const pairs = pairKeypoints(local, server);
+
+    expect(pairs.map(pair => [pair.key, pair.status])).toEqual([
+      ['id:1', 'same'],
+      ['id:2', 'changed'],
+      ['id:3', 'local-only'],
+      ['id:5', 'server-only']
+    ]);
+  });
+
+  test('should keep local edits and server additions by default', () => {
+    const merged = mergeKeypoints(pairKeypoints(local, server));
+
+    expect(merged.map(kp => [kp.id, kp.x])).toEqual([[1, 10], [2, 25], [3, 30], [5, 50]]);
+  });
+
+  test('should apply per-keypoint choices', () => {
+    const merged = mergeKeypoints(pairKeypoints(local, server), {
+      'id:2': 'server',
+      'id:3': 'server',
+      'id:5': 'local'
+    });
+
+    expect(merged.map(kp => [kp.id, kp.x])).toEqual([[1, 10], [2, 20]]);
+  });
+});
+
+describe('RevisionLog', () => {
+  let dir;
+  let log;
+
+  const save = (data, previous) => log.record('BR1_sv-000_a.png', { action: 'save', author: 'alice' },
+    async () => ({ previous, next: data }));
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'revision-log-test-'));
+    log = new RevisionLog(dir);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should keep the pre-existing file as a baseline revision', async () => {
+    const onDisk = { annotations: [{ id: 1, x: 1, y: 1 }] };
+    const revision = await save({ annotations: [] }, onDisk);
+
+    const entries = await log.list('BR1_sv-000_a.png');
+    expect(entries.map(e => e.action)).toEqual(['baseline', 'save']);
+    expect(entries[0].data).toEqual(onDisk);
+    expect(revision).toMatchObject({ revision: 2, author: 'alice', summary: { removed: 1, total: 0 } });
+    expect(revision.data).toBeUndefined();
+  });
+
+  test('should not record saves that change no keypoint', async () => {
+    const data = { annotations: [{ id: 1, x: 1, y: 1 }] };
+    await save(data, null);
+    const again = await save({ ...data, timestamp: 'later' }, data);
+
+    expect(again.revision).toBe(1);
+    expect(await log.list('BR1_sv-000_a.png')).toHaveLength(1);
+    // 后续比较以重写后的文件为准
+    expect((await log.readLatest('BR1_sv-000_a.png')).last.data).toEqual({ ...data, timestamp: 'later' });
+  });
+
+  test('should not re-read the history on every save', async () => {
+    await save({ annotations: [{ id: 1, x: 1, y: 1 }] }, null);
+    const readRaw = jest.spyOn(log, 'readRaw');
+    const second = await save({ annotations: [{ id: 1, x: 2, y: 1 }] }, null);
+    expect(second.revision).toBe(2);
+    expect(readRaw).not.toHaveBeenCalled();
+
+    // 另一个进程（如命令行）写入的修订仍会被读到
+    const other = new RevisionLog(dir);
+    await other.record('BR1_sv-000_a.png', { action: 'save' }, async () => ({ previous: null, next: { annotations: [] } }));
+    const fourth = await save({ annotations: [{ id: 1, x: 3, y: 1 }] }, null);
+    expect(fourth).toMatchObject({ revision: 4, summary: { added: 1 } });
+    expect((await log.list('BR1_sv-000_a.png')).map(e => e.revision)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('should skip a truncated trailing line', async () => {
+    await save({ annotations: [{ id: 1, x: 1, y: 1 }] }, null);
+    await fs.appendFile(log.getLogPath('BR1_sv-000_a.png'), '{"revision": 2, "da');
+
+    const next = await save({ annotations: [] }, null);
+    expect(next.revision).toBe(2);
+    expect((await log.list('BR1_sv-000_a.png')).map(e => e.revision)).toEqual([1, 2]);
+  });
+});
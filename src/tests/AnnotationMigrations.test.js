@@ -0,0 +1,176 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Annotation schema versions and migrations
+ *
+ * The migration chain (src/utils/AnnotationMigrations.js) and the bulk
+ * migration of stored files (backend/annotationMigration.js) behind
+ * `scripts/annotation-cli.js migrate`.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  ANNOTATION_MIGRATIONS,
+  ANNOTATION_SCHEMA_VERSION,
+  UnsupportedSchemaVersionError,
+  getSchemaVersion,
+  needsMigration,
+  migrateAnnotationDocument,
+  migrateKeypoints
+} from '../utils/AnnotationMigrations.js';
+import { migrateStoredAnnotations, MIGRATION_SOURCE } from '../../backend/annotationMigration.js';
+import { JsonStorage } from '../../backend/storage/jsonStorage.js';
+import { RevisionLog } from '../../backend/revisionLog.js';
+import { AnnotationService } from '../../backend/annotationService.js';
+
+const IMAGE = 'BR017-000001_sv-000_BR017-000001-2018-07-01_00_VIS_sv_000-0-0-0.png';
+const OTHER_IMAGE = 'BR017-000001_sv-000_BR017-000001-2018-07-02_00_VIS_sv_000-0-0-0.png';
+
+const current = { id: 'kp-1', order: 1, x: 10, y: 20, direction: 90, directionType: 'angle', annotationType: 'custom', customTypeId: 'pod' };
+
+function legacyDocument() {
+  return {
+    imageId: IMAGE,
+    version: '1.0',
+    annotations: [
+      { id: 'kp-2', order: 2, x: 30, y: 40, direction: 'left', createdBy: 'alice' },
+      { id: 'kp-3', order: 3, x: 50, y: 60, direction: 45, annotationType: 'regular' },
+      current
+    ]
+  };
+}
+
+describe('annotation migrations', () => {
+  test('should number the steps 1, 2, ... up to the current version', () => {
+    expect(ANNOTATION_MIGRATIONS.map(step => step.version))
+      .toEqual(Array.from({ length: ANNOTATION_SCHEMA_VERSION }, (_, index) => index + 1));
+    expect(getSchemaVersion({ annotations: [] })).toBe(0);
+    expect(getSchemaVersion({ schemaVersion: '2' })).toBe(0);
+  });
+
+  test('should migrate a document without a schema version through every step', () => {
+    const document = legacyDocument();
+    const { document: migrated, fromVersion, applied, changedKeypoints } = migrateAnnotationDocument(document);
+
+    expect({ fromVersion, applied, changedKeypoints }).toEqual({ fromVersion: 0, applied: [1, 2], changedKeypoints: 2 });
+    expect(migrated).toMatchObject({ schemaVersion: ANNOTATION_SCHEMA_VERSION, version: '1.0', imageId: IMAGE });
+    expect(migrated.annotations).toEqual([
+      { id: 'kp-2', order: 2, x: 30, y: 40, direction: 180, directionType: 'angle', annotationType: 'custom', customTypeId: 'builtin-regular-keypoint', createdBy: 'alice' },
+      { id: 'kp-3', order: 3, x: 50, y: 60, direction: 45, directionType: 'angle', annotationType: 'custom', customTypeId: 'builtin-regular-keypoint' },
+      current
+    ]);
+    // 输入不变，未变化的标注点保持原对象
+    expect(document).toEqual(legacyDocument());
+    expect(migrated.annotations[2]).toBe(current);
+  });
+
+  test('should only run the steps after the document version', () => {
+    const { document, applied } = migrateAnnotationDocument({
+      schemaVersion: 1,
+      annotations: [{ x: 1, y: 1, direction: 'right', annotationType: 'regular' }]
+    });
+    expect(applied).toEqual([2]);
+    expect(document.annotations[0]).toEqual({ x: 1, y: 1, direction: 0, directionType: 'angle', annotationType: 'regular' });
+
+    const upToDate = { schemaVersion: ANNOTATION_SCHEMA_VERSION, annotations: [current] };
+    expect(needsMigration(upToDate)).toBe(false);
+    expect(migrateAnnotationDocument(upToDate).document).toBe(upToDate);
+    expect(() => migrateAnnotationDocument({ schemaVersion: ANNOTATION_SCHEMA_VERSION + 1, annotations: [] }))
+      .toThrow(UnsupportedSchemaVersionError);
+  });
+
+  test('should migrate keypoint lists without a document', () => {
+    const keypoints = [{ x: 1, y: 2, direction: 'right' }, current];
+    const migrated = migrateKeypoints(keypoints);
+    expect(migrated[0]).toMatchObject({ direction: 0, annotationType: 'custom', customTypeId: 'builtin-regular-keypoint' });
+    expect(migrated[1]).toBe(current);
+    expect(migrateKeypoints(null)).toBeNull();
+  });
+});
+
+describe('bulk migration of stored annotations', () => {
+  let root;
+  let annotationsDir;
+  let services;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'annotation-migration-test-'));
+    annotationsDir = path.join(root, 'annotations');
+    const storage = new JsonStorage(annotationsDir);
+    await storage.initialize();
+    const revisionLog = new RevisionLog(annotationsDir);
+    services = {
+      config: { annotationsDir },
+      storage,
+      revisionLog,
+      annotations: new AnnotationService({ storage, revisionLog, annotationsDir })
+    };
+
+    await storage.saveAnnotation(IMAGE, legacyDocument());
+    await storage.saveAnnotation(OTHER_IMAGE, { schemaVersion: ANNOTATION_SCHEMA_VERSION, annotations: [current] });
+    await fs.writeFile(path.join(annotationsDir, 'plant_annotations.json'), JSON.stringify({
+      annotations: {
+        'BR017-000001': {
+          annotations: [{ x: 1, y: 1, direction: 'left' }],
+          timeSeriesData: { annotationData: [{ annotations: [{ x: 2, y: 2 }, current] }] }
+        }
+      }
+    }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should only report the changes in a dry run', async () => {
+    const before = await fs.readdir(annotationsDir);
+    const result = await migrateStoredAnnotations(services, { dryRun: true });
+
+    expect(result).toMatchObject({
+      schemaVersion: ANNOTATION_SCHEMA_VERSION,
+      checked: 2,
+      upToDate: 1,
+      migrated: [{ imageId: IMAGE, fromVersion: 0, applied: [1, 2], changedKeypoints: 2 }],
+      errors: [],
+      plantAggregate: { changedKeypoints: 2 },
+      backupDir: null
+    });
+    expect(await fs.readdir(annotationsDir)).toEqual(before);
+    expect(await services.storage.getAnnotation(IMAGE)).toEqual(legacyDocument());
+  });
+
+  test('should back up, migrate and record a revision without changing the attribution', async () => {
+    const result = await migrateStoredAnnotations(services, { author: 'admin' });
+    expect(result.migrated).toHaveLength(1);
+    expect(result.backupDir).toMatch(/migration_backup_\d+$/);
+
+    const migrated = await services.storage.getAnnotation(IMAGE);
+    expect(migrated.schemaVersion).toBe(ANNOTATION_SCHEMA_VERSION);
+    expect(migrated.annotations[0]).toMatchObject({ direction: 180, createdBy: 'alice' });
+    expect(migrated.annotations[0].modifiedBy).toBeUndefined();
+    expect(JSON.parse(await fs.readFile(path.join(result.backupDir, `${IMAGE}.json`), 'utf8'))).toEqual(legacyDocument());
+
+    const revisions = await services.revisionLog.list(IMAGE);
+    expect(revisions.map(entry => entry.action)).toEqual(['baseline', 'migrate']);
+    expect(revisions[1]).toMatchObject({ author: 'admin', source: MIGRATION_SOURCE });
+
+    const aggregate = JSON.parse(await fs.readFile(path.join(annotationsDir, 'plant_annotations.json'), 'utf8'));
+    expect(aggregate.annotations['BR017-000001'].annotations[0]).toMatchObject({ direction: 180, directionType: 'angle' });
+    expect(await fs.readdir(result.backupDir)).toEqual([`${IMAGE}.json`, 'plant_annotations.json'].sort());
+
+    // 再次运行时没有需要迁移的文件
+    expect(await migrateStoredAnnotations(services)).toMatchObject({ upToDate: 2, migrated: [], plantAggregate: { changedKeypoints: 0 }, backupDir: null });
+  });
+
+  test('should report files it cannot read and continue', async () => {
+    await fs.writeFile(path.join(annotationsDir, 'BR017-000002_sv-000_broken.png.json'), '{ "annotations": [');
+
+    const result = await migrateStoredAnnotations(services);
+    expect(result.errors).toEqual([{ imageId: 'BR017-000002_sv-000_broken.png', error: expect.any(String) }]);
+    expect(result.migrated.map(file => file.imageId)).toEqual([IMAGE]);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Annotator identity and attribution
+ *
+ * Covers header encoding of annotator names and the createdBy / modifiedBy
+ * stamping done by the backend on keypoints and single records.
+ */
+
+import {
+  normalizeAnnotatorName,
+  encodeAnnotatorHeader,
+  decodeAnnotatorHeader,
+  stampKeypoints,
+  stampRecord
+} from '../utils/AnnotatorIdentity.js';
+
+describe('AnnotatorIdentity', () => {
+  test('should round-trip non-ASCII names through the header', () => {
+    expect(normalizeAnnotatorName('  Zhang   Wei \n')).toBe('Zhang Wei');
+    expect(normalizeAnnotatorName(42)).toBe('');
+    expect(decodeAnnotatorHeader(encodeAnnotatorHeader('张伟'))).toBe('张伟');
+    expect(decodeAnnotatorHeader('%E0%A4%A')).toBe('%E0%A4%A');
+    expect(decodeAnnotatorHeader(undefined)).toBe('');
+  });
+
+  test('should attribute new, moved and untouched keypoints', () => {
+    const stored = [
+      { id: 1, x: 10, y: 10, order: 1, createdBy: 'alice', modifiedBy: 'alice' },
+      { id: 2, x: 20, y: 20, order: 2, createdBy: 'alice', modifiedBy: 'alice' },
+      { id: 3, x: 30, y: 30, order: 3 }
+    ];
+    const saved = [
+      { id: 1, x: 10, y: 10, order: 1 },
+      { id: 2, x: 25, y: 20, order: 2, createdBy: 'mallory' },
+      { id: 3, x: 30, y: 30, order: 3 },
+      { id: 4, x: 40, y: 40, order: 4 }
+    ];
+
+    const stamped = stampKeypoints(stored, saved, 'bob');
+
+    expect(stamped.map(kp => [kp.id, kp.createdBy, kp.modifiedBy])).toEqual([
+      [1, 'alice', 'alice'],
+      [2, 'alice', 'bob'],
+      [3, undefined, undefined],
+      [4, 'bob', 'bob']
+    ]);
+  });
+
+  test('should attribute edits that only change the directions of a keypoint', () => {
+    const directions = [{ angle: 90, type: 'angle' }];
+    const stored = [
+      { id: 1, x: 10, y: 10, order: 1, maxDirections: 2, directions, createdBy: 'alice', modifiedBy: 'alice' },
+      { id: 2, x: 20, y: 20, order: 2, maxDirections: 2, directions, createdBy: 'alice', modifiedBy: 'alice' }
+    ];
+    // 保存请求经过 JSON，未改动的 directions 是内容相同的新数组
+    const saved = JSON.parse(JSON.stringify(stored));
+    saved[1].directions.push({ angle: 180, type: 'angle' });
+
+    const stamped = stampKeypoints(stored, saved, 'bob');
+
+    expect(stamped.map(kp => [kp.id, kp.createdBy, kp.modifiedBy])).toEqual([
+      [1, 'alice', 'alice'],
+      [2, 'alice', 'bob']
+    ]);
+  });
+
+  test('should keep the original creator of a record', () => {
+    const first = stampRecord(null, { status: 'in-progress' }, 'alice');
+    const second = stampRecord(first, { status: 'completed' }, 'bob');
+
+    expect(first).toEqual({ status: 'in-progress', createdBy: 'alice', modifiedBy: 'alice' });
+    expect(second).toEqual({ status: 'completed', createdBy: 'alice', modifiedBy: 'bob' });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Versioned REST API (backend/apiV2.js, backend/openapi.js)
+ *
+ * Pagination, query-string schemas built from the route table, image ID
+ * parsing, and the generated OpenAPI document staying in step with the
+ * routes and request schemas.
+ */
+
+import {
+  API_V2_ROUTES,
+  API_V2_VERSION,
+  MAX_PAGE_LIMIT,
+  paginate,
+  getQuerySchema
+} from '../../backend/apiV2.js';
+import { buildOpenApiDocument, toOpenApiPath, toComponentSchema } from '../../backend/openapi.js';
+import { parseImageId } from '../../backend/dataset.js';
+
+const config = { plantIdPattern: '^BR\\d+-\\d+$' };
+
+function collectRefs(value, refs = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectRefs(item, refs));
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (key === '$ref') refs.push(child);
+      else collectRefs(child, refs);
+    }
+  }
+  return refs;
+}
+
+describe('API v2', () => {
+  test('should paginate lists with total, limit and offset', () => {
+    const items = Array.from({ length: 7 }, (_, i) => i);
+    expect(paginate(items, { limit: 3, offset: 3 })).toEqual({
+      data: [3, 4, 5],
+      meta: { total: 7, limit: 3, offset: 3 }
+    });
+    expect(paginate(items, { limit: 3, offset: 10 }).data).toEqual([]);
+    expect(paginate(items).meta).toEqual({ total: 7, limit: 50, offset: 0 });
+  });
+
+  test('should add limit and offset to the query schema of paginated routes only', () => {
+    const notes = API_V2_ROUTES.find(route => route.operationId === 'listNotes');
+    const schema = getQuerySchema(notes);
+    expect(Object.keys(schema.properties)).toEqual(
+      expect.arrayContaining(['query', 'plantId', 'noteType', 'limit', 'offset'])
+    );
+    expect(schema.properties.limit.maximum).toBe(MAX_PAGE_LIMIT);
+    expect(schema.additionalProperties).toBe(false);
+
+    const health = API_V2_ROUTES.find(route => route.operationId === 'getHealth');
+    expect(getQuerySchema(health).properties).toEqual({});
+  });
+
+  test('should split image IDs whose file names contain underscores', () => {
+    expect(parseImageId('BR017-000001_sv-000_a_b.png')).toEqual({
+      plantId: 'BR017-000001',
+      viewAngle: 'sv-000',
+      imageName: 'a_b.png'
+    });
+    expect(parseImageId('BR017-000001_sv-000')).toBeNull();
+    expect(parseImageId('BR017-000001__a.png')).toBeNull();
+    expect(parseImageId('PL_7_sv-000_a_b.png', /^PL_\d+$/)).toEqual({ plantId: 'PL_7', viewAngle: 'sv-000', imageName: 'a_b.png' });
+  });
+
+  test('should describe every route in the OpenAPI document with resolvable references', () => {
+    const document = buildOpenApiDocument(API_V2_ROUTES, { config, version: API_V2_VERSION, getQuerySchema });
+
+    expect(document.openapi).toBe('3.1.0');
+    for (const route of API_V2_ROUTES) {
+      expect(document.paths[toOpenApiPath(route.path)][route.method].operationId).toBe(route.operationId);
+    }
+    expect(new Set(API_V2_ROUTES.map(route => route.operationId)).size).toBe(API_V2_ROUTES.length);
+
+    expect(document.paths['/plants/{plantId}'].get.operationId).toBe('getPlant');
+    const plantParam = document.paths['/plants/{plantId}/status'].get.parameters[0];
+    expect(plantParam).toMatchObject({ name: 'plantId', in: 'path', schema: { pattern: config.plantIdPattern } });
+
+    for (const ref of collectRefs(document)) {
+      const [, section, name] = ref.match(/^#\/components\/(schemas|responses)\/(.+)$/);
+      expect(document.components[section][name]).toBeDefined();
+    }
+  });
+
+  test('should rewrite $id references to component references', () => {
+    const schema = toComponentSchema({
+      $id: 'doc',
+      type: 'object',
+      properties: { items: { type: 'array', items: { $ref: 'keypoint' } } }
+    });
+    expect(schema.$id).toBeUndefined();
+    expect(schema.properties.items.items.$ref).toBe('#/components/schemas/keypoint');
+  });
+});
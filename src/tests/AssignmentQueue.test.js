@@ -0,0 +1,121 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Plant assignment queue (backend/assignmentQueue.js)
+ *
+ * Claiming, renewing and releasing leases, expiry, handing out the next
+ * free plant, and the change feed events the plant list relies on.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { AssignmentQueue, LeaseConflictError } from '../../backend/assignmentQueue.js';
+import { ChangeFeed } from '../../backend/changeFeed.js';
+import { CHANGE_EVENT_TYPES } from '../utils/ChangeEvents.js';
+
+const MINUTE = 60 * 1000;
+const PLANTS = ['BR017-000001', 'BR017-000002', 'BR017-000003', 'BR017-000004'];
+
+describe('AssignmentQueue', () => {
+  let dir;
+  let clock;
+  let queue;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'assignment-queue-test-'));
+    clock = Date.parse('2026-01-01T08:00:00Z');
+    queue = new AssignmentQueue({ annotationsDir: dir, leaseMinutes: 15, now: () => clock });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should renew a lease for its holder and refuse other annotators until it expires', async () => {
+    const lease = await queue.claim('BR017-000001', 'alice');
+    expect(lease.expiresAt).toBe('2026-01-01T08:15:00.000Z');
+
+    clock += 10 * MINUTE;
+    const renewed = await queue.claim('BR017-000001', 'alice');
+    expect(renewed.claimedAt).toBe(lease.claimedAt);
+    expect(renewed.expiresAt).toBe('2026-01-01T08:25:00.000Z');
+
+    const conflict = await queue.claim('BR017-000001', 'bob').catch(error => error);
+    expect(conflict).toBeInstanceOf(LeaseConflictError);
+    expect(conflict.lease.annotator).toBe('alice');
+    await expect(queue.release('BR017-000001', 'bob')).rejects.toBeInstanceOf(LeaseConflictError);
+
+    // 过期后任何人都可以领取
+    clock += 16 * MINUTE;
+    expect(await queue.get('BR017-000001')).toBeNull();
+    expect((await queue.claim('BR017-000001', 'bob')).annotator).toBe('bob');
+    expect(await queue.list()).toHaveLength(1);
+  });
+
+  test('should hand out the next open plant nobody else holds', async () => {
+    const closed = new Set(['BR017-000002']);
+    const isOpen = async plantId => !closed.has(plantId);
+
+    await queue.claim('BR017-000003', 'bob');
+    expect((await queue.claimNext('alice', PLANTS, isOpen)).plantId).toBe('BR017-000001');
+    // 已领取的植物优先
+    expect((await queue.claimNext('alice', PLANTS, isOpen)).plantId).toBe('BR017-000001');
+
+    // 完成后从它之后继续，跳过已完成和别人领取的植物
+    closed.add('BR017-000001');
+    await queue.releaseFinished('BR017-000001', 'alice');
+    expect((await queue.claimNext('alice', PLANTS, isOpen, { after: 'BR017-000001' })).plantId).toBe('BR017-000004');
+
+    // 到末尾后从头查找；别人都领完了就返回 null
+    closed.add('BR017-000004');
+    expect(await queue.claimNext('alice', PLANTS, isOpen, { after: 'BR017-000004' })).toBeNull();
+    expect(await queue.release('BR017-000003', 'carol', { force: true })).toBe(true);
+    expect((await queue.claimNext('alice', PLANTS, isOpen, { after: 'BR017-000004' })).plantId).toBe('BR017-000003');
+  });
+
+  test('should read plant statuses outside the leases lock', async () => {
+    let locked = false;
+    const updateLeases = queue.updateLeases.bind(queue);
+    queue.updateLeases = updater => updateLeases(async (leases) => {
+      locked = true;
+      try {
+        return await updater(leases);
+      } finally {
+        locked = false;
+      }
+    });
+    const checkedInLock = [];
+    const isOpen = async (plantId) => {
+      if (locked) {
+        checkedInLock.push(plantId);
+      } else if (plantId === 'BR017-000002') {
+        // 选中后、加锁前被别人领取
+        await queue.claim(plantId, 'bob');
+      }
+      return plantId !== 'BR017-000001';
+    };
+
+    expect((await queue.claimNext('alice', PLANTS, isOpen)).plantId).toBe('BR017-000003');
+    expect(checkedInLock).toEqual(['BR017-000003']);
+  });
+
+  test('should publish assignment changes and keep the lease file out of the annotation scan', async () => {
+    const changeFeed = new ChangeFeed();
+    const events = [];
+    changeFeed.subscribe(event => events.push(event));
+    queue = new AssignmentQueue({ annotationsDir: dir, changeFeed, now: () => clock });
+
+    await queue.claim('BR017-000001', 'alice');
+    await queue.release('BR017-000001', 'alice');
+    expect(await queue.release('BR017-000001', 'alice')).toBe(false);
+
+    expect(events.map(({ type, plantId, assignee, author }) => ({ type, plantId, assignee, author }))).toEqual([
+      { type: CHANGE_EVENT_TYPES.ASSIGNMENT_CHANGED, plantId: 'BR017-000001', assignee: 'alice', author: 'alice' },
+      { type: CHANGE_EVENT_TYPES.ASSIGNMENT_CHANGED, plantId: 'BR017-000001', assignee: null, author: 'alice' }
+    ]);
+    expect(await fs.readdir(dir)).toEqual(['assignments']);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Branch trajectory export (src/utils/BranchTrajectories.js)
+ *
+ * Per-order tracks across the time sequence of a plant view, first/last
+ * seen dates, missing frames, the manual/propagated source of each frame
+ * and the CSV output.
+ */
+
+import { buildBranchTrajectories, trajectoriesToCsv } from '../utils/BranchTrajectories.js';
+import { TimeSeriesAnnotationManager } from '../core/TimeSeriesAnnotationManager.js';
+
+const PLANT = 'BR017-000001';
+
+const frame = day => `${PLANT}_sv-000_day${day}.png`;
+
+const ANNOTATIONS = {
+  [frame(1)]: [{ id: 1, x: 10, y: 20, order: 1, direction: 90, directionType: 'angle' }],
+  [frame(2)]: [
+    { id: 1, x: 11, y: 21, order: 1, direction: 'left' },
+    { id: 2, x: 50, y: 60, order: 2, directions: [{ angle: 30, type: 'angle' }, { angle: 60, type: 'angle' }] },
+    { id: 3, x: 1, y: 1 }
+  ],
+  // 第 3 天没有标注文件
+  [frame(4)]: [{ id: 2, x: 52, y: 61, order: 2 }],
+  [frame(5)]: [
+    { id: 1, x: 14, y: 24, order: 1 },
+    { id: 4, x: 5, y: 5, width: 4, height: 3, order: 1, annotationType: 'custom', customTypeId: 'pod' }
+  ]
+};
+
+function createManager() {
+  const manager = new TimeSeriesAnnotationManager();
+  // 乱序传入，按时间排序
+  manager.initializePlantTimeSeries(PLANT, 'sv-000', [5, 3, 1, 4, 2].map(day => ({
+    id: frame(day),
+    dateTime: new Date(`2018-07-0${day}T10:00:00.000Z`)
+  })));
+  manager.setAnnotationSource(PLANT, 'sv-000', frame(1), true);
+  manager.setAnnotationSource(PLANT, 'sv-000', frame(2), false);
+  return manager;
+}
+
+function build(options = {}) {
+  const manager = createManager();
+  return buildBranchTrajectories(manager.getTimeSequenceList(), {
+    getAnnotations: imageId => ANNOTATIONS[imageId] ?? null,
+    getCaptureTime: imageId => `2018-07-0${imageId.match(/day(\d)/)[1]}T10:00:00.000Z`,
+    getAnnotationSource: (plantId, viewAngle, imageId) => manager.getAnnotationSource(plantId, viewAngle, imageId),
+    ...options
+  });
+}
+
+describe('BranchTrajectories', () => {
+  test('should follow each type and order across the time sequence', () => {
+    const { tracks, skippedKeypoints } = build();
+
+    expect(skippedKeypoints).toBe(1);
+    expect(tracks.map(track => [track.customTypeId, track.order, track.frameCount])).toEqual([
+      ['builtin-regular-keypoint', 1, 3],
+      ['builtin-regular-keypoint', 2, 2],
+      ['pod', 1, 1]
+    ]);
+
+    const [first, second] = tracks;
+    expect(first).toMatchObject({
+      plantId: PLANT,
+      viewAngle: 'sv-000',
+      firstSeen: '2018-07-01T10:00:00.000Z',
+      lastSeen: '2018-07-05T10:00:00.000Z',
+      firstImageId: frame(1),
+      lastImageId: frame(5),
+      // 第 3 天没有标注，不算缺失
+      missingImageIds: [frame(4)]
+    });
+    expect(first.frames.map(entry => [entry.frameIndex, entry.x, entry.y, entry.direction, entry.source])).toEqual([
+      [0, 10, 20, 90, 'manual'],
+      [1, 11, 21, 180, 'propagated'],
+      [4, 14, 24, null, null]
+    ]);
+    expect(second.frames[0]).toMatchObject({ direction: 30, directions: [30, 60] });
+    expect(second.missingImageIds).toEqual([]);
+    expect(tracks[2].frames[0]).toMatchObject({ width: 4, height: 3 });
+  });
+
+  test('should export only the selected annotation types', () => {
+    const { tracks, skippedKeypoints } = build({ typeIds: ['pod'] });
+    expect(tracks.map(track => track.customTypeId)).toEqual(['pod']);
+    expect(skippedKeypoints).toBe(0);
+  });
+
+  test('should write one CSV row per track frame', () => {
+    const csv = trajectoriesToCsv(build().tracks).split('\r\n');
+    expect(csv[0]).toBe('plantId,viewAngle,customTypeId,order,firstSeen,lastSeen,frameIndex,imageId,captureDateTime,x,y,width,height,direction,directions,source');
+    expect(csv[1]).toBe(`${PLANT},sv-000,builtin-regular-keypoint,1,2018-07-01T10:00:00.000Z,2018-07-05T10:00:00.000Z,0,${frame(1)},2018-07-01T10:00:00.000Z,10,20,,,90,90,manual`);
+    expect(csv[4].split(',').slice(-3)).toEqual(['30', '30;60', 'propagated']);
+    expect(csv).toHaveLength(8);
+  });
+
+  test('should list the time sequences of the selected plants', () => {
+    const manager = createManager();
+    expect(manager.getTimeSequenceList(['other'])).toEqual([]);
+    expect(manager.getTimeSequenceList()[0].imageIds).toEqual([1, 2, 3, 4, 5].map(frame));
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Live change feed (backend/changeFeed.js, src/core/ChangeFeedClient.js)
+ *
+ * Event IDs and replay after a reconnect, the SSE wire format, and the
+ * client dispatching events by type while skipping its own writes.
+ */
+
+import { EventEmitter } from 'events';
+import { ChangeFeed } from '../../backend/changeFeed.js';
+import { ChangeFeedClient } from '../core/ChangeFeedClient.js';
+import { CHANGE_EVENT_TYPES, RESYNC_EVENT, normalizeClientId } from '../utils/ChangeEvents.js';
+
+function createResponse() {
+  return {
+    chunks: [],
+    status() { return this; },
+    set() { return this; },
+    flushHeaders() {},
+    write(chunk) { this.chunks.push(chunk); },
+    get text() { return this.chunks.join(''); }
+  };
+}
+
+function createRequest(headers = {}, query = {}) {
+  const req = new EventEmitter();
+  req.get = name => headers[name];
+  req.query = query;
+  return req;
+}
+
+class FakeEventSource {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 1;
+    this.listeners = {};
+    FakeEventSource.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  close() {
+    this.readyState = 2;
+  }
+}
+
+describe('Change feed', () => {
+  test('should replay the events after Last-Event-ID and ask for a resync when it cannot', () => {
+    const feed = new ChangeFeed({ historySize: 3 });
+    const events = [1, 2, 3, 4].map(n => feed.publish({ type: CHANGE_EVENT_TYPES.NOTE_CREATED, noteId: `note-${n}` }));
+
+    expect(events[0].id).toBe(`${feed.feedId}.1`);
+    expect(feed.since(events[1].id).map(event => event.noteId)).toEqual(['note-3', 'note-4']);
+    expect(feed.since(events[3].id)).toEqual([]);
+    // note-1 已移出缓冲区，但收到过它的客户端仍可补全；更早的就不行了
+    expect(feed.since(events[0].id).map(event => event.noteId)).toEqual(['note-2', 'note-3', 'note-4']);
+    expect(feed.since(`${feed.feedId}.0`)).toBeNull();
+    expect(feed.since('otherprocess.2')).toBeNull();
+    expect(feed.since('garbage')).toBeNull();
+  });
+
+  test('should stream events as SSE and stop when the connection closes', () => {
+    const feed = new ChangeFeed({ heartbeatMs: 60000 });
+    const missed = feed.publish({ type: CHANGE_EVENT_TYPES.ANNOTATION_DELETED, imageId: 'a' });
+    const req = createRequest({}, { lastEventId: 'otherprocess.9' });
+    const res = createResponse();
+
+    feed.handleRequest(req, res);
+    expect(res.text).toContain(`event: ${RESYNC_EVENT}\n`);
+    expect(res.text).not.toContain(missed.id);
+
+    const event = feed.publish({ type: CHANGE_EVENT_TYPES.ANNOTATION_SAVED, imageId: 'b' });
+    expect(res.text).toContain(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+    expect(feed.subscriberCount).toBe(1);
+
+    req.emit('close');
+    expect(feed.subscriberCount).toBe(0);
+  });
+
+  test('should dispatch events by type and skip the ones caused by this tab', () => {
+    FakeEventSource.instances = [];
+    const client = new ChangeFeedClient({ url: '/api/events', clientId: 'tab-1', EventSource: FakeEventSource });
+    const saved = jest.fn();
+    const all = jest.fn();
+    client.on(CHANGE_EVENT_TYPES.ANNOTATION_SAVED, saved);
+    client.on('*', all);
+    client.connect();
+
+    const source = FakeEventSource.instances[0];
+    const send = event => source.onmessage({ data: JSON.stringify(event) });
+    send({ id: 'f.1', type: CHANGE_EVENT_TYPES.ANNOTATION_SAVED, imageId: 'x', clientId: 'tab-2' });
+    send({ id: 'f.2', type: CHANGE_EVENT_TYPES.ANNOTATION_SAVED, imageId: 'y', clientId: 'tab-1' });
+    send({ id: 'f.3', type: CHANGE_EVENT_TYPES.NOTE_DELETED, noteId: 'n', clientId: null });
+
+    expect(saved.mock.calls.map(([event]) => event.imageId)).toEqual(['x']);
+    expect(all).toHaveBeenCalledTimes(2);
+    expect(client.lastEventId).toBe('f.3');
+
+    // 服务器关闭连接后重新连接，从最后收到的事件继续
+    jest.useFakeTimers();
+    source.readyState = 2;
+    source.onerror();
+    jest.runOnlyPendingTimers();
+    jest.useRealTimers();
+    expect(FakeEventSource.instances[1].url).toBe('/api/events?lastEventId=f.3');
+    client.disconnect();
+  });
+
+  test('should accept only well-formed client IDs', () => {
+    expect(normalizeClientId('tab-abc_1')).toBe('tab-abc_1');
+    expect(normalizeClientId('tab 1')).toBeNull();
+    expect(normalizeClientId('x'.repeat(65))).toBeNull();
+    expect(normalizeClientId(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: COCO Keypoints export and import (src/utils/CocoFormat.js)
+ *
+ * Categories and skeleton from the custom types, instances built from parent
+ * links, region boxes, the lossless round trip, importing foreign COCO files,
+ * image name matching and reading image sizes from file headers.
+ */
+
+import { buildCocoDataset, parseCocoDataset, CocoFormatError } from '../utils/CocoFormat.js';
+import { matchImageId, imageIdToPath } from '../utils/ViewAngles.js';
+import { readImageSize } from '../utils/ImageSize.js';
+
+const IMAGE = 'BR017-000001_sv-090_big_1.png';
+
+const TYPES = [
+  { id: 'builtin-regular-keypoint', name: 'Regular (Builtin)', type: 'point', metadata: { builtin: true } },
+  { id: 'branch', name: 'branch', type: 'point', metadata: {} },
+  { id: 'leaf-tip', name: 'leaf tip', type: 'point', metadata: { associateTypeId: 'branch' } },
+  { id: 'pod', name: 'pod', type: 'region', metadata: {} }
+];
+
+const KEYPOINTS = [
+  { id: 1, x: 10, y: 20, order: 1, direction: 90, directionType: 'angle', annotationType: 'custom', customTypeId: 'builtin-regular-keypoint' },
+  { id: 2, x: 100, y: 100, order: 1, annotationType: 'custom', customTypeId: 'branch' },
+  { id: 3, x: 200, y: 100, order: 2, annotationType: 'custom', customTypeId: 'branch' },
+  { id: 4, x: 130, y: 60, order: 1, annotationType: 'custom', customTypeId: 'leaf-tip', parentAnnotationType: 'branch', parentAnnotationId: 2 },
+  { id: 5, x: 50, y: 50, order: 2, annotationType: 'custom', customTypeId: 'leaf-tip' },
+  { id: 6, x: 300, y: 300, width: 40, height: 20, order: 1, annotationType: 'custom', customTypeId: 'pod' }
+];
+
+describe('CocoFormat', () => {
+  test('should derive keypoint categories, skeleton and region categories from the custom types', () => {
+    const coco = buildCocoDataset({ images: [{ imageId: IMAGE, width: 640, height: 480, annotations: KEYPOINTS }], customTypes: TYPES });
+
+    expect(coco.images).toEqual([{ id: 1, file_name: 'BR017-000001/sv-090/big_1.png', width: 640, height: 480, plant_id: 'BR017-000001' }]);
+    expect(coco.categories.map(category => [category.name, category.keypoints, category.skeleton])).toEqual([
+      ['Regular (Builtin)', ['Regular (Builtin)'], []],
+      ['branch', ['branch', 'leaf tip'], [[2, 1]]],
+      ['pod', [], []]
+    ]);
+
+    const branchInstances = coco.annotations.filter(annotation => annotation.category_id === 2);
+    expect(branchInstances.map(annotation => annotation.keypoints)).toEqual([
+      [100, 100, 2, 0, 0, 0],
+      [200, 100, 2, 130, 60, 2],
+      // 没有父标注点的子标注点单独成为一个实例
+      [0, 0, 0, 50, 50, 2]
+    ]);
+    expect(branchInstances[1]).toMatchObject({ num_keypoints: 2, bbox: [130, 60, 70, 40], area: 2800 });
+
+    const pod = coco.annotations.find(annotation => annotation.category_id === 3);
+    expect(pod).toMatchObject({ bbox: [300, 300, 40, 20], area: 800, attributes: { id: 6, order: 1 } });
+  });
+
+  test('should restore the original annotations from its own export', () => {
+    const coco = buildCocoDataset({ images: [{ imageId: IMAGE, annotations: KEYPOINTS }], customTypes: TYPES });
+    const result = parseCocoDataset(JSON.parse(JSON.stringify(coco)), { customTypes: TYPES });
+
+    expect(result.newTypes).toEqual([]);
+    expect(result.unmatchedImages).toEqual([]);
+    expect(result.images).toHaveLength(1);
+    expect(result.images[0]).toMatchObject({ imageId: IMAGE, plantId: 'BR017-000001' });
+    const byId = annotations => [...annotations].sort((a, b) => a.id - b.id);
+    expect(byId(result.images[0].annotations)).toEqual(KEYPOINTS);
+  });
+
+  test('should import a foreign COCO file, creating missing types and numbering the keypoints', () => {
+    const coco = {
+      images: [
+        { id: 7, file_name: 'big_1.png', width: 640, height: 480 },
+        { id: 8, file_name: 'elsewhere/unknown.png' }
+      ],
+      categories: [
+        { id: 1, name: 'stem', keypoints: ['branch', 'node'], skeleton: [[2, 1]] },
+        { id: 2, name: 'flower', keypoints: [] }
+      ],
+      annotations: [
+        { id: 11, image_id: 7, category_id: 1, keypoints: [5, 6, 2, 7, 8, 1] },
+        { id: 12, image_id: 7, category_id: 1, keypoints: [0, 0, 0, 9, 9, 2] },
+        { id: 13, image_id: 7, category_id: 2, bbox: [1, 2, 3, 4] },
+        { id: 14, image_id: 8, category_id: 2, bbox: [1, 2, 3, 4] },
+        { id: 15, image_id: 7, category_id: 99, bbox: [1, 2, 3, 4] }
+      ]
+    };
+    const result = parseCocoDataset(coco, {
+      customTypes: TYPES,
+      knownImageIds: [IMAGE, 'BR017-000002_sv-000_other.png']
+    });
+
+    expect(result.unmatchedImages).toEqual(['elsewhere/unknown.png']);
+    expect(result.skippedAnnotations).toBe(2);
+    // branch 按名称对应已有类型
+    expect(result.newTypes.map(type => [type.id, type.type, type.metadata])).toEqual([
+      ['coco-node', 'point', {}],
+      ['coco-flower', 'region', {}]
+    ]);
+    expect(result.images[0].annotations).toEqual([
+      { id: 'coco-11-0', x: 5, y: 6, order: 1, annotationType: 'custom', customTypeId: 'branch' },
+      { id: 'coco-11-1', x: 7, y: 8, order: 1, annotationType: 'custom', customTypeId: 'coco-node' },
+      { id: 'coco-12-1', x: 9, y: 9, order: 2, annotationType: 'custom', customTypeId: 'coco-node' },
+      { id: 'coco-13', order: 1, x: 1, y: 2, width: 3, height: 4, annotationType: 'custom', customTypeId: 'coco-flower' }
+    ]);
+
+    expect(() => parseCocoDataset({ images: [] })).toThrow(CocoFormatError);
+  });
+
+  test('should bind predicted children to the parent of their instance for exported categories', () => {
+    const { categories } = buildCocoDataset({ images: [], customTypes: TYPES });
+    const branch = categories.find(category => category.custom_type_id === 'branch');
+    const result = parseCocoDataset({
+      images: [{ id: 1, file_name: imageIdToPath(IMAGE) }],
+      categories,
+      annotations: [
+        { id: 1, image_id: 1, category_id: branch.id, keypoints: [1, 1, 2, 2, 2, 2] },
+        { id: 2, image_id: 1, category_id: branch.id, keypoints: [3, 3, 2, 4, 4, 2] }
+      ]
+    }, { customTypes: TYPES });
+
+    expect(result.newTypes).toEqual([]);
+    expect(result.images[0].annotations
+      .filter(keypoint => keypoint.customTypeId === 'leaf-tip')
+      .map(keypoint => [keypoint.order, keypoint.parentAnnotationType, keypoint.parentAnnotationId])).toEqual([
+      [1, 'branch', 1],
+      [2, 'branch', 2]
+    ]);
+  });
+
+  test('should match image names from paths, IDs and unique file names', () => {
+    const known = [IMAGE, 'BR017-000002_sv-000_a.png', 'BR017-000003_sv-000_a.png'];
+    expect(imageIdToPath(IMAGE)).toBe('BR017-000001/sv-090/big_1.png');
+    expect(matchImageId('/data/BR017-000001/sv-090/big_1.png')).toBe(IMAGE);
+    expect(matchImageId('C:\\data\\BR017-000001\\sv-090\\big_1.png', known)).toBe(IMAGE);
+    expect(matchImageId(IMAGE, known)).toBe(IMAGE);
+    expect(matchImageId('big_1.png', known)).toBe(IMAGE);
+    // 同名文件不止一个
+    expect(matchImageId('a.png', known)).toBeNull();
+    expect(matchImageId('big_1.png')).toBeNull();
+  });
+
+  test('should keep underscores in plant IDs that match the configured pattern', () => {
+    const plantIdRegex = /^AT_\d+$/;
+    const imageId = 'AT_12_sv-000_big_1.png';
+    expect(imageIdToPath(imageId, plantIdRegex)).toBe('AT_12/sv-000/big_1.png');
+    expect(matchImageId('/data/AT_12/sv-000/big_1.png', null, plantIdRegex)).toBe(imageId);
+    expect(matchImageId('big_1.png', [imageId], plantIdRegex)).toBe(imageId);
+
+    const coco = buildCocoDataset({ images: [{ imageId, annotations: KEYPOINTS.slice(0, 1) }], customTypes: TYPES, plantIdRegex });
+    expect(coco.images[0]).toMatchObject({ file_name: 'AT_12/sv-000/big_1.png', plant_id: 'AT_12' });
+
+    const result = parseCocoDataset(coco, { customTypes: TYPES, plantIdRegex });
+    expect(result.unmatchedImages).toEqual([]);
+    expect(result.images[0]).toMatchObject({ imageId, plantId: 'AT_12' });
+  });
+
+  test('should read the size of PNG and JPEG images from the file header', () => {
+    const png = Buffer.alloc(32);
+    png.writeUInt32BE(0x89504e47, 0);
+    png.writeUInt32BE(0x0d0a1a0a, 4);
+    png.writeUInt32BE(13, 8);
+    png.write('IHDR', 12, 'ascii');
+    png.writeUInt32BE(2048, 16);
+    png.writeUInt32BE(1536, 20);
+    expect(readImageSize(png)).toEqual({ width: 2048, height: 1536 });
+
+    // SOI, APP0 (16 bytes), SOF0
+    const jpeg = Buffer.from([
+      0xff, 0xd8,
+      0xff, 0xe0, 0x00, 0x10, ...Array(14).fill(0),
+      0xff, 0xc0, 0x00, 0x11, 0x08, 0x01, 0xe0, 0x02, 0x80, 0x03, ...Array(9).fill(0)
+    ]);
+    expect(readImageSize(jpeg)).toEqual({ width: 640, height: 480 });
+
+    expect(readImageSize(png.subarray(0, 20))).toBeNull();
+    expect(readImageSize(Buffer.from('not an image at all, just text'))).toBeNull();
+  });
+});
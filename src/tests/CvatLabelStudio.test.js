@@ -0,0 +1,227 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: CVAT XML and Label Studio JSON export and import
+ * (src/utils/CvatFormat.js, src/utils/LabelStudioFormat.js, src/utils/Xml.js)
+ *
+ * Lossless round trips, importing files labeled in CVAT and Label Studio
+ * (new types, numbering, image matching, skipped shapes) and detecting the
+ * format of an imported file.
+ */
+
+import { buildCvatXml, parseCvatXml, CvatFormatError } from '../utils/CvatFormat.js';
+import { buildLabelStudioTasks, parseLabelStudioTasks, LabelStudioFormatError } from '../utils/LabelStudioFormat.js';
+import { parseXml, childElements, childText, XmlParseError } from '../utils/Xml.js';
+import { detectTransferFormat } from '../core/AnnotationTransfer.js';
+
+const IMAGE = 'BR017-000001_sv-090_big_1.png';
+
+const TYPES = [
+  { id: 'builtin-regular-keypoint', name: 'Regular (Builtin)', type: 'point', metadata: { builtin: true } },
+  { id: 'branch', name: 'branch', type: 'point', metadata: {} },
+  { id: 'leaf-tip', name: 'leaf tip', type: 'point', metadata: { associateTypeId: 'branch' } },
+  { id: 'pod', name: 'pod & seed', type: 'region', metadata: {} }
+];
+
+const KEYPOINTS = [
+  { id: 1, x: 10, y: 20, order: 1, direction: 90, directionType: 'angle', annotationType: 'custom', customTypeId: 'builtin-regular-keypoint' },
+  { id: 2, x: 100.25, y: 100, order: 1, directions: [{ angle: 30, type: 'angle' }, { angle: 150, type: 'angle' }], direction: 30, directionType: 'angle', annotationType: 'custom', customTypeId: 'branch' },
+  { id: 3, x: 130, y: 60, order: 1, annotationType: 'custom', customTypeId: 'leaf-tip', parentAnnotationType: 'branch', parentAnnotationId: 1 },
+  { id: 4, x: 300, y: 300, width: 40, height: 20, order: 2, annotationType: 'custom', customTypeId: 'pod' }
+];
+
+const strip = annotations => annotations.map(({ id, ...keypoint }) => keypoint);
+
+describe('CvatFormat', () => {
+  test('should export points and boxes with order, direction and parent attributes', () => {
+    const xml = buildCvatXml({ images: [{ imageId: IMAGE, width: 640, height: 480, annotations: KEYPOINTS }], customTypes: TYPES });
+    const root = parseXml(xml);
+
+    const [labels] = childElements(childElements(childElements(root, 'meta')[0], 'task')[0], 'labels');
+    expect(childElements(labels, 'label').map(label => childText(label, 'name'))).toEqual([
+      'Regular (Builtin)', 'branch', 'leaf tip', 'pod & seed'
+    ]);
+
+    const [image] = childElements(root, 'image');
+    expect(image.attributes).toEqual({ id: '0', name: 'BR017-000001/sv-090/big_1.png', width: '640', height: '480' });
+    expect(image.children.map(shape => [shape.name, shape.attributes.label])).toEqual([
+      ['points', 'Regular (Builtin)'], ['points', 'branch'], ['points', 'leaf tip'], ['box', 'pod & seed']
+    ]);
+    expect(image.children[1].attributes.points).toBe('100.25,100');
+    expect(image.children[3].attributes).toMatchObject({ xtl: '300', ytl: '300', xbr: '340', ybr: '320' });
+    expect(image.children[2].children.map(attribute => [attribute.attributes.name, attribute.text])).toEqual([
+      ['order', '1'], ['parent_order', '1']
+    ]);
+  });
+
+  test('should restore the annotations from an exported file', () => {
+    const xml = buildCvatXml({ images: [{ imageId: IMAGE, annotations: KEYPOINTS }], customTypes: TYPES });
+    const result = parseCvatXml(xml, { customTypes: TYPES, knownImageIds: [IMAGE] });
+
+    expect(result.newTypes).toEqual([]);
+    expect(result.unmatchedImages).toEqual([]);
+    expect(result.skippedAnnotations).toBe(0);
+    expect(result.images).toHaveLength(1);
+    expect(result.images[0]).toMatchObject({ imageId: IMAGE, plantId: 'BR017-000001' });
+    expect(strip(result.images[0].annotations)).toEqual([
+      { x: 10, y: 20, order: 1, direction: 90, directionType: 'angle', annotationType: 'custom', customTypeId: 'builtin-regular-keypoint' },
+      {
+        x: 100.25, y: 100, order: 1, direction: 30, directionType: 'angle',
+        directions: [{ angle: 30, type: 'angle' }, { angle: 150, type: 'angle' }],
+        annotationType: 'custom', customTypeId: 'branch'
+      },
+      { x: 130, y: 60, order: 1, annotationType: 'custom', customTypeId: 'leaf-tip', parentAnnotationType: 'branch', parentAnnotationId: 1 },
+      { x: 300, y: 300, width: 40, height: 20, order: 2, annotationType: 'custom', customTypeId: 'pod' }
+    ]);
+  });
+
+  test('should import a file labeled in CVAT', () => {
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<annotations>
+  <version>1.1</version>
+  <meta><task><labels>
+    <label><name>node</name><type>points</type></label>
+    <label><name>pod</name><type>rectangle</type></label>
+  </labels></task></meta>
+  <image id="3" name="big_1.png" width="640" height="480">
+    <points label="node" occluded="0" points="1.5,2.5;3,4" z_order="0">
+      <attribute name="order">0</attribute>
+    </points>
+    <points label="node" occluded="0" points="5,6" z_order="0"><attribute name="order">7</attribute></points>
+    <box label="pod" occluded="0" xtl="10" ytl="20" xbr="30" ybr="50" z_order="0"></box>
+    <box label="pod" occluded="0" xtl="10" ytl="20" xbr="30" ybr="50" rotation="45" z_order="0"></box>
+    <polygon label="pod" points="1,1;2,2;3,1" z_order="0"></polygon>
+  </image>
+  <image id="4" name="other.png" width="640" height="480"></image>
+  <track id="0" label="node"><points frame="0" points="1,1" outside="0" occluded="0" keyframe="1"/></track>
+</annotations>`;
+    const result = parseCvatXml(xml, { customTypes: TYPES, knownImageIds: [IMAGE] });
+
+    expect(result.newTypes.map(type => [type.id, type.name, type.type])).toEqual([['cvat-node', 'node', 'point'], ['cvat-pod', 'pod', 'region']]);
+    expect(result.newTypes[0].description).toBe('Imported from CVAT');
+    expect(result.unmatchedImages).toEqual(['other.png']);
+    expect(result.skippedAnnotations).toBe(3);
+    // 没有序号（CVAT 默认 0）时按图像内类型顺序编号
+    expect(result.images[0].annotations.map(keypoint => [keypoint.customTypeId, keypoint.order, keypoint.x, keypoint.y])).toEqual([
+      ['cvat-node', 1, 1.5, 2.5],
+      ['cvat-node', 2, 3, 4],
+      ['cvat-node', 7, 5, 6],
+      ['cvat-pod', 1, 10, 20]
+    ]);
+    expect(result.images[0].annotations[3]).toMatchObject({ width: 20, height: 30 });
+    expect(new Set(result.images[0].annotations.map(keypoint => keypoint.id)).size).toBe(4);
+  });
+
+  test('should reject files that are not CVAT XML', () => {
+    expect(() => parseCvatXml('<annotations><image></annotations>')).toThrow(CvatFormatError);
+    expect(() => parseCvatXml('<dataset/>')).toThrow('root element must be <annotations>');
+  });
+});
+
+describe('LabelStudioFormat', () => {
+  test('should export one task per image with percent coordinates and the labeling config', () => {
+    const { tasks, config, skippedImages } = buildLabelStudioTasks({
+      images: [
+        { imageId: IMAGE, width: 640, height: 480, annotations: KEYPOINTS },
+        { imageId: 'BR017-000001_sv-090_big_2.png', width: null, height: null, annotations: KEYPOINTS }
+      ],
+      customTypes: TYPES
+    });
+
+    expect(skippedImages).toEqual(['BR017-000001_sv-090_big_2.png']);
+    expect(tasks).toHaveLength(1);
+    expect(tasks[0].data).toEqual({ image: '/data/local-files/?d=BR017-000001/sv-090/big_1.png', image_id: IMAGE });
+    const [point, , , box] = tasks[0].annotations[0].result;
+    expect(point).toMatchObject({ type: 'keypointlabels', from_name: 'keypoints', original_width: 640, value: { x: 1.5625, keypointlabels: ['Regular (Builtin)'] } });
+    expect(point.value.y).toBeCloseTo(4.166667, 6);
+    expect(box).toMatchObject({ type: 'rectanglelabels', from_name: 'regions', value: { x: 46.875, y: 62.5, width: 6.25, rectanglelabels: ['pod & seed'] } });
+    expect(config).toContain('<KeyPointLabels name="keypoints" toName="image">');
+    expect(config).toContain('<Label value="pod &amp; seed"');
+  });
+
+  test('should restore the annotations from an exported file', () => {
+    const { tasks } = buildLabelStudioTasks({ images: [{ imageId: IMAGE, width: 640, height: 480, annotations: KEYPOINTS }], customTypes: TYPES });
+    const result = parseLabelStudioTasks(JSON.parse(JSON.stringify(tasks)), { customTypes: TYPES, knownImageIds: [IMAGE] });
+
+    expect(result.newTypes).toEqual([]);
+    expect(result.skippedAnnotations).toBe(0);
+    expect(result.images).toEqual([{ imageId: IMAGE, plantId: 'BR017-000001', annotations: KEYPOINTS }]);
+  });
+
+  test('should import tasks labeled in Label Studio', () => {
+    const result = (value, type = 'keypointlabels') => ({
+      type, from_name: 'kp', to_name: 'img', original_width: 200, original_height: 100, value
+    });
+    const tasks = [
+      {
+        id: 11,
+        data: { image: '/data/upload/1/1a2b3c4d-big_1.png' },
+        annotations: [
+          { id: 1, result: [result({ x: 50, y: 50, keypointlabels: ['node'] })] },
+          {
+            id: 2,
+            result: [
+              result({ x: 10, y: 20, keypointlabels: ['branch'] }),
+              result({ x: 30, y: 40, keypointlabels: ['branch'] }),
+              result({ x: 10, y: 10, width: 50, height: 50, rotation: 0, rectanglelabels: ['pod & seed'] }, 'rectanglelabels'),
+              result({ points: [[1, 1]], polygonlabels: ['node'] }, 'polygonlabels')
+            ]
+          },
+          { id: 3, was_cancelled: true, result: [] }
+        ]
+      },
+      {
+        id: 12,
+        data: { image: 'http://host/data/local-files/?d=BR017-000001%2Fsv-090%2Fbig_2.png' },
+        annotations: [],
+        predictions: [{ result: [result({ x: 25, y: 75, keypointlabels: ['node'] })] }]
+      },
+      { id: 13, data: { image: '/data/upload/1/unknown.png' }, annotations: [] }
+    ];
+    const knownImageIds = [IMAGE, 'BR017-000001_sv-090_big_2.png'];
+    const parsed = parseLabelStudioTasks(tasks, { customTypes: TYPES, knownImageIds });
+
+    expect(parsed.unmatchedImages).toEqual(['/data/upload/1/unknown.png']);
+    expect(parsed.skippedAnnotations).toBe(1);
+    expect(parsed.newTypes.map(type => [type.id, type.type])).toEqual([['labelstudio-node', 'point']]);
+    // 最新的未取消标注
+    expect(parsed.images[0].annotations.map(keypoint => [keypoint.customTypeId, keypoint.order, keypoint.x, keypoint.y])).toEqual([
+      ['branch', 1, 20, 20],
+      ['branch', 2, 60, 40],
+      ['pod', 1, 20, 10]
+    ]);
+    expect(parsed.images[0].annotations[2]).toMatchObject({ width: 100, height: 50 });
+    // 没有标注时使用预测
+    expect(parsed.images[1]).toMatchObject({ imageId: 'BR017-000001_sv-090_big_2.png' });
+    expect(parsed.images[1].annotations).toMatchObject([{ customTypeId: 'labelstudio-node', order: 1, x: 50, y: 75 }]);
+  });
+
+  test('should reject data that is not a Label Studio export', () => {
+    expect(() => parseLabelStudioTasks([])).toThrow(LabelStudioFormatError);
+    expect(() => parseLabelStudioTasks([{ id: 1 }])).toThrow(LabelStudioFormatError);
+  });
+});
+
+describe('Interchange file handling', () => {
+  test('should parse XML with comments, CDATA, entities and quoted ">"', () => {
+    const root = parseXml('<?xml version="1.0"?>\n<!DOCTYPE a>\n<!-- c --><a x=\'1 > 0\' y="&lt;&#65;&#x42;&quot;"><b><![CDATA[<raw>]]> &amp; text</b><c/></a>');
+    expect(root.attributes).toEqual({ x: '1 > 0', y: '<AB"' });
+    expect(root.children.map(child => child.name)).toEqual(['b', 'c']);
+    expect(root.children[0].text).toBe('<raw> & text');
+
+    expect(() => parseXml('<a><b></a>')).toThrow(XmlParseError);
+    expect(() => parseXml('<a/><b/>')).toThrow('Expected one root element');
+    expect(() => parseXml('<a')).toThrow('Missing >');
+  });
+
+  test('should detect the format of an imported file', () => {
+    expect(detectTransferFormat('﻿  <?xml version="1.0"?><annotations/>').format).toBe('cvat');
+    expect(detectTransferFormat(JSON.stringify({ images: [], annotations: [], categories: [] })).format).toBe('coco');
+    expect(detectTransferFormat(JSON.stringify([{ data: { image: 'a.png' } }])).format).toBe('labelstudio');
+    expect(detectTransferFormat(JSON.stringify({ data: { image: 'a.png' } })).format).toBe('labelstudio');
+    expect(() => detectTransferFormat('{"foo": 1}')).toThrow('Unknown annotation file');
+    expect(() => detectTransferFormat('not json')).toThrow('Neither XML nor valid JSON');
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Dataset integrity check
+ *
+ * Keypoint bounds (src/utils/DatasetIntegrity.js) and the check, fixes and
+ * quarantine of backend/integrityCheck.js behind /api/v2/integrity and
+ * `scripts/annotation-cli.js integrity`.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getFindingId, findOutOfBoundsKeypoints, clampKeypointsToImage } from '../utils/DatasetIntegrity.js';
+import {
+  checkDatasetIntegrity,
+  fixIntegrityFindings,
+  QUARANTINE_DIR_NAME,
+  INTEGRITY_FIX_SOURCE
+} from '../../backend/integrityCheck.js';
+import { ValidationError } from '../../backend/validation.js';
+import { Dataset } from '../../backend/dataset.js';
+import { JsonStorage } from '../../backend/storage/jsonStorage.js';
+import { RevisionLog } from '../../backend/revisionLog.js';
+import { AnnotationService } from '../../backend/annotationService.js';
+import { point, pngHeader } from './helpers/fixtures.js';
+
+const PLANT = 'BR017-000001';
+const GONE_PLANT = 'BR017-000002';
+const FILE = 'BR017-000001-2018-07-01_00_VIS_sv_000-0-0-0.png';
+// 与 FILE 同一时间（时间解析只精确到小时）
+const SAME_TIME_FILE = 'BR017-000001-2018-07-01_00_VIS_sv_000-0-0-1.png';
+const NO_TIME_FILE = 'snapshot.png';
+const IMAGE = `${PLANT}_sv-000_${FILE}`;
+const SAME_TIME_IMAGE = `${PLANT}_sv-000_${SAME_TIME_FILE}`;
+const NO_TIME_IMAGE = `${PLANT}_sv-000_${NO_TIME_FILE}`;
+const MISSING_IMAGE = `${PLANT}_sv-000_BR017-000001-2018-07-03_00_VIS_sv_000-0-0-0.png`;
+
+describe('keypoint bounds', () => {
+  const size = { width: 100, height: 80 };
+
+  test('should find points and regions outside the image', () => {
+    const inside = point(1, 100, 80);
+    const outside = point(2, 101, 10);
+    const region = { x: 90, y: 10, width: 20, height: 10 };
+    expect(findOutOfBoundsKeypoints([inside, outside, region, point(3, 0, -1)], size))
+      .toEqual([outside, region, point(3, 0, -1)]);
+    expect(findOutOfBoundsKeypoints(null, size)).toEqual([]);
+  });
+
+  test('should clamp points to the edge and crop regions', () => {
+    const inside = point(1, 10, 10);
+    const { keypoints, clamped } = clampKeypointsToImage(
+      [inside, point(2, 120, -5), { x: -10, y: 70, width: 30, height: 20 }],
+      size
+    );
+    expect(clamped).toBe(2);
+    expect(keypoints[0]).toBe(inside);
+    expect(keypoints[1]).toMatchObject({ x: 100, y: 0 });
+    expect(keypoints[2]).toEqual({ x: 0, y: 70, width: 20, height: 10 });
+  });
+
+  test('should identify findings by kind and subject', () => {
+    expect(getFindingId({ kind: 'epoch-timestamp', imageId: IMAGE })).toBe(`epoch-timestamp:${IMAGE}`);
+    expect(getFindingId({ kind: 'orphaned-plant-record', plantId: PLANT, recordKind: 'skip' }))
+      .toBe(`orphaned-plant-record:skip:${PLANT}`);
+    expect(getFindingId({ kind: 'orphaned-note', noteId: 'note-1', imageId: IMAGE })).toBe('orphaned-note:note-1');
+  });
+});
+
+describe('dataset integrity check', () => {
+  let root;
+  let annotationsDir;
+  let services;
+  let imageNote;
+  let plantNote;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'integrity-test-'));
+    annotationsDir = path.join(root, 'annotations');
+    const storage = new JsonStorage(annotationsDir);
+    await storage.initialize();
+    const revisionLog = new RevisionLog(annotationsDir);
+    const config = {
+      datasetRoot: path.join(root, 'dataset'),
+      annotationsDir,
+      plantIdPattern: '^BR\\d{3}-\\d{6}$',
+      viewAngles: ['sv-000'],
+      viewLabels: {},
+      reviewers: []
+    };
+    services = {
+      config,
+      storage,
+      revisionLog,
+      dataset: new Dataset(config),
+      annotations: new AnnotationService({ storage, revisionLog, annotationsDir })
+    };
+
+    const viewDir = path.join(config.datasetRoot, PLANT, 'sv-000');
+    await fs.mkdir(viewDir, { recursive: true });
+    for (const file of [FILE, SAME_TIME_FILE, NO_TIME_FILE]) {
+      await fs.writeFile(path.join(viewDir, file), pngHeader(100, 80));
+    }
+
+    await storage.saveAnnotation(IMAGE, { annotations: [point(1, 10, 10), point(2, 150, 40)] });
+    await storage.saveAnnotation(MISSING_IMAGE, { annotations: [point(1, 10, 10)] });
+    await storage.updatePlantRecord('status', GONE_PLANT, () => ({ plantId: GONE_PLANT, status: 'completed' }));
+    await storage.updatePlantRecord('skip', PLANT, () => ({ plantId: PLANT, skipReason: 'blurry' }));
+    imageNote = await services.annotations.createNote(PLANT, MISSING_IMAGE, { title: 'Leaf', content: 'Bent' }, 'alice');
+    plantNote = await services.annotations.createNote(GONE_PLANT, null, { title: 'Gone', content: 'x' }, 'alice');
+    await services.annotations.createNote(PLANT, IMAGE, { title: 'Fine', content: 'x' }, 'alice');
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should report every kind of finding', async () => {
+    const report = await checkDatasetIntegrity(services);
+
+    expect(report).toMatchObject({ plants: 1, images: 3, annotations: 2, notes: 3, corrupted: [] });
+    expect(report.findings.map(finding => finding.id)).toEqual([
+      `orphaned-annotation:${MISSING_IMAGE}`,
+      `keypoint-out-of-bounds:${IMAGE}`,
+      `epoch-timestamp:${NO_TIME_IMAGE}`,
+      `duplicate-timestamp:${SAME_TIME_IMAGE}`,
+      `orphaned-plant-record:status:${GONE_PLANT}`,
+      `orphaned-note:${imageNote.noteId}`,
+      `orphaned-note:${plantNote.noteId}`
+    ]);
+    expect(report.counts).toMatchObject({ 'orphaned-note': 2, 'duplicate-timestamp': 1 });
+
+    const byId = Object.fromEntries(report.findings.map(finding => [finding.id, finding]));
+    expect(byId[`keypoint-out-of-bounds:${IMAGE}`]).toMatchObject({
+      severity: 'error',
+      width: 100,
+      height: 80,
+      keypoints: [{ order: 2, x: 150, y: 40 }],
+      actions: ['clamp']
+    });
+    // 有标注的图像被保留
+    expect(byId[`duplicate-timestamp:${SAME_TIME_IMAGE}`].duplicateOf).toBe(IMAGE);
+    expect(byId[`orphaned-note:${imageNote.noteId}`].actions).toEqual(['detach', 'quarantine']);
+    expect(byId[`orphaned-note:${plantNote.noteId}`].actions).toEqual(['quarantine']);
+  });
+
+  test('should fix every finding, quarantine the files and record revisions', async () => {
+    const { findings } = await checkDatasetIntegrity(services);
+    const { results, quarantineDir } = await fixIntegrityFindings(findings, services, 'admin');
+    expect(results.map(result => result.id)).toEqual(findings.map(finding => finding.id));
+
+    expect(results.map(result => [result.status, result.action])).toEqual([
+      ['fixed', 'quarantine'],
+      ['fixed', 'clamp'],
+      ['fixed', 'quarantine-image'],
+      ['fixed', 'quarantine-image'],
+      ['fixed', 'quarantine'],
+      ['fixed', 'detach'],
+      ['fixed', 'quarantine']
+    ]);
+    expect(quarantineDir).toBe(path.join(annotationsDir, QUARANTINE_DIR_NAME));
+    expect((await checkDatasetIntegrity(services)).findings).toEqual([]);
+
+    expect((await services.storage.getAnnotation(IMAGE)).annotations[1]).toMatchObject({ x: 100, y: 40 });
+    expect(await services.storage.getAnnotation(MISSING_IMAGE)).toBeNull();
+    expect(await services.storage.getNote(imageNote.noteId)).toMatchObject({ plantId: PLANT, imageId: null, modifiedBy: 'admin' });
+    expect(await services.storage.getNote(plantNote.noteId)).toBeNull();
+    expect(await services.storage.getPlantRecord('status', GONE_PLANT)).toBeNull();
+
+    const quarantined = JSON.parse(await fs.readFile(path.join(quarantineDir, 'annotations', `${MISSING_IMAGE}.json`), 'utf8'));
+    expect(quarantined.annotations).toHaveLength(1);
+    await fs.access(path.join(quarantineDir, 'images', PLANT, 'sv-000', NO_TIME_FILE));
+    await fs.access(path.join(quarantineDir, 'records', `${GONE_PLANT}_status.json`));
+    const manifest = (await fs.readFile(path.join(quarantineDir, 'manifest.jsonl'), 'utf8'))
+      .trim().split('\n').map(line => JSON.parse(line));
+    expect(manifest).toHaveLength(5);
+    expect(manifest[0]).toMatchObject({ findingId: `orphaned-annotation:${MISSING_IMAGE}`, author: 'admin', to: `annotations/${MISSING_IMAGE}.json` });
+
+    const revisions = await services.revisionLog.list(IMAGE);
+    expect(revisions[revisions.length - 1]).toMatchObject({ author: 'admin', source: INTEGRITY_FIX_SOURCE });
+    const deleted = await services.revisionLog.list(MISSING_IMAGE);
+    expect(deleted[deleted.length - 1]).toMatchObject({ action: 'delete', source: INTEGRITY_FIX_SOURCE });
+  });
+
+  test('should skip findings that no longer hold', async () => {
+    const { findings } = await checkDatasetIntegrity(services);
+    const orphan = findings.find(finding => finding.kind === 'orphaned-annotation');
+    const viewDir = path.join(services.config.datasetRoot, PLANT, 'sv-000');
+    await fs.writeFile(path.join(viewDir, MISSING_IMAGE.split('_sv-000_')[1]), pngHeader(100, 80));
+
+    const { results } = await fixIntegrityFindings([orphan, { ...orphan, kind: 'orphaned-note', noteId: 'note-missing' }], services, 'admin');
+    expect(results.map(result => result.status)).toEqual(['skipped', 'skipped']);
+    expect(await services.storage.getAnnotation(MISSING_IMAGE)).not.toBeNull();
+  });
+
+  test('should reject invalid findings before changing anything', async () => {
+    const { findings } = await checkDatasetIntegrity(services);
+
+    await expect(fixIntegrityFindings([...findings, { kind: 'orphaned-plant-record', plantId: PLANT, recordKind: 'notes' }], services, 'admin'))
+      .rejects.toThrow(ValidationError);
+    await expect(fixIntegrityFindings([{ ...findings[0], action: 'clamp' }], services, 'admin'))
+      .rejects.toMatchObject({ details: [{ field: '/findings/0/action' }] });
+    expect(await services.storage.getAnnotation(MISSING_IMAGE)).not.toBeNull();
+    await expect(fs.access(path.join(annotationsDir, QUARANTINE_DIR_NAME))).rejects.toThrow();
+  });
+
+  test('should refuse to check without the dataset directory', async () => {
+    await fs.rm(services.config.datasetRoot, { recursive: true });
+    await expect(checkDatasetIntegrity(services)).rejects.toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Image pyramid geometry (src/utils/ImagePyramid.js)
+ *
+ * The backend tile generator and the branch point preview must agree on
+ * level sizes and tile addressing, so these are checked against the sizes
+ * libvips produces for the Deep Zoom layout.
+ */
+
+import {
+  snapThumbnailSize,
+  getPyramidLevels,
+  getLevelForScale,
+  getTilesForRegion
+} from '../utils/ImagePyramid.js';
+
+describe('ImagePyramid', () => {
+  test('should snap thumbnail sizes up to the supported sizes', () => {
+    expect(snapThumbnailSize(256)).toBe(256);
+    expect(snapThumbnailSize('300')).toBe(512);
+    expect(snapThumbnailSize(1)).toBe(64);
+    expect(snapThumbnailSize(10000)).toBe(2048);
+    expect(snapThumbnailSize(0)).toBeNull();
+    expect(snapThumbnailSize('abc')).toBeNull();
+  });
+
+  test('should halve levels (rounding up) until the image fits in one tile', () => {
+    const levels = getPyramidLevels(2454, 2056);
+
+    expect(levels.map(l => [l.width, l.height])).toEqual([
+      [2454, 2056],
+      [1227, 1028],
+      [614, 514],
+      [307, 257],
+      [154, 129]
+    ]);
+    expect(levels[0]).toMatchObject({ level: 0, columns: 10, rows: 9, scale: 1 });
+    expect(levels[4]).toMatchObject({ columns: 1, rows: 1, scale: 1 / 16 });
+
+    expect(getPyramidLevels(1001, 603)).toHaveLength(3);
+    expect(getPyramidLevels(200, 100)).toHaveLength(1);
+  });
+
+  test('should pick the coarsest level that keeps detail for a display scale', () => {
+    expect(getLevelForScale(2.5, 5)).toBe(0);
+    expect(getLevelForScale(1, 5)).toBe(0);
+    expect(getLevelForScale(0.5, 5)).toBe(1);
+    expect(getLevelForScale(0.3, 5)).toBe(1);
+    expect(getLevelForScale(0.01, 5)).toBe(4);
+    expect(getLevelForScale(0, 5)).toBe(0);
+  });
+
+  test('should list the tiles covering a region in full-resolution pixels', () => {
+    const levels = getPyramidLevels(2454, 2056);
+
+    // 200px crop around (300, 300) spans two columns and two rows at level 0
+    const tiles = getTilesForRegion(levels[0], { x: 200, y: 200, width: 200, height: 200 });
+    expect(tiles.map(t => [t.column, t.row])).toEqual([[0, 0], [1, 0], [0, 1], [1, 1]]);
+    expect(tiles[3]).toMatchObject({ x: 256, y: 256, width: 256, height: 256 });
+
+    // 右下角的图块只有剩余宽高
+    const edge = getTilesForRegion(levels[0], { x: 2400, y: 2000, width: 54, height: 56 }).at(-1);
+    expect(edge).toEqual({ column: 9, row: 8, x: 2304, y: 2048, width: 150, height: 8 });
+
+    // At level 2 one tile covers 1024 full-resolution pixels
+    const coarse = getTilesForRegion(levels[2], { x: 1000, y: 0, width: 100, height: 100 });
+    expect(coarse).toEqual([
+      { column: 0, row: 0, x: 0, y: 0, width: 1024, height: 1024 },
+      { column: 1, row: 0, x: 1024, y: 0, width: 1024, height: 1024 }
+    ]);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Test Suite: Image timestamp parser registry
+ *
+ * Covers the built-in profiles (lemnatec, regex, exif, mtime), profile
+ * chaining and the epoch fallback used for unparseable files.
+ */
+
+import {
+  createImageTimeParser,
+  formatImageDate,
+  readExifDateTimeOriginal,
+  ImageTimeParserRegistry
+} from '../utils/ImageTimeParser.js';
+
+/**
+ * Build a minimal JPEG whose APP1 segment carries DateTimeOriginal
+ */
+function buildExifJpeg(dateString) {
+  const tiff = new Uint8Array(64);
+  const view = new DataView(tiff.buffer);
+  tiff.set([0x49, 0x49, 0x2a, 0x00]);          // "II*\0"
+  view.setUint32(4, 8, true);                   // IFD0 offset
+  view.setUint16(8, 1, true);                   // IFD0: 1 entry
+  view.setUint16(10, 0x8769, true);             // Exif IFD pointer
+  view.setUint16(12, 4, true);
+  view.setUint32(14, 1, true);
+  view.setUint32(18, 26, true);
+  view.setUint16(26, 1, true);                  // Exif IFD: 1 entry
+  view.setUint16(28, 0x9003, true);             // DateTimeOriginal
+  view.setUint16(30, 2, true);
+  view.setUint32(32, 20, true);
+  view.setUint32(36, 44, true);
+  for (let i = 0; i < dateString.length; i++) {
+    tiff[44 + i] = dateString.charCodeAt(i);
+  }
+
+  const segmentLength = 2 + 6 + tiff.length;
+  return new Uint8Array([
+    0xff, 0xd8,
+    0xff, 0xe1, segmentLength >> 8, segmentLength & 0xff,
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+    ...tiff,
+    0xff, 0xd9
+  ]);
+}
+
+describe('ImageTimeParser', () => {
+  test('should parse LemnaTec filenames with the default profile', () => {
+    const parser = createImageTimeParser();
+    const result = parser.parseSync({ filename: 'BR017-028111-2018-06-06_14_VIS_sv_000-0-0-0.png' });
+
+    expect(result.source).toBe('lemnatec');
+    expect(result.dateTime.getFullYear()).toBe(2018);
+    expect(result.dateTime.getMonth()).toBe(5);
+    expect(result.dateTime.getDate()).toBe(6);
+    expect(result.dateTime.getHours()).toBe(14);
+    expect(formatImageDate(result, 'x.png')).toBe('2018/6/6');
+  });
+
+  test('should parse LemnaTec top-view and non-VIS filenames', () => {
+    const parser = createImageTimeParser();
+
+    expect(parser.parseSync({ filename: 'BR017-028111-2018-06-07_09_FLUO_tv_000-0-0-0.png' }).dateTime)
+      .toEqual(new Date(2018, 5, 7, 9));
+    expect(parser.parseSync({ filename: 'BR017-028111-2018-06-08_10_NIR_sv_090-0-0-0.png' }).source)
+      .toBe('lemnatec');
+  });
+
+  test('should fall back to epoch and the filename when nothing matches', () => {
+    const parser = createImageTimeParser();
+    const result = parser.parseSync({ filename: 'IMG_0001.png' });
+
+    expect(result.source).toBeNull();
+    expect(result.dateTime.getTime()).toBe(0);
+    expect(formatImageDate(result, 'IMG_0001.png')).toBe('IMG_0001.png');
+  });
+
+  test('should support regex profiles with named groups', () => {
+    const parser = createImageTimeParser([{
+      type: 'regex',
+      name: 'arabidopsis',
+      pattern: 'AT_(?<year>\\d{4})(?<month>\\d{2})(?<day>\\d{2})T(?<time>\\d{6})'
+    }]);
+    const result = parser.parseSync({ filename: 'AT_20230115T083015_top.jpg' });
+
+    expect(result.source).toBe('arabidopsis');
+    expect(result.dateTime).toEqual(new Date(2023, 0, 15, 8, 30, 15));
+  });
+
+  test('should read EXIF DateTimeOriginal from JPEG bytes', async () => {
+    const bytes = buildExifJpeg('2021:03:04 05:06:07');
+
+    expect(readExifDateTimeOriginal(bytes)).toEqual(new Date(2021, 2, 4, 5, 6, 7));
+
+    const parser = createImageTimeParser(['lemnatec', 'exif', 'mtime']);
+    const result = await parser.parse({
+      filename: 'wheat_001.jpg',
+      mtime: new Date(2000, 0, 1),
+      readFile: async () => bytes
+    });
+    expect(result.source).toBe('exif');
+    expect(result.dateTime).toEqual(new Date(2021, 2, 4, 5, 6, 7));
+  });
+
+  test('should use mtime when earlier profiles fail', async () => {
+    const mtime = new Date(2022, 6, 1, 12);
+    const parser = createImageTimeParser(['lemnatec', 'exif', 'mtime']);
+    const result = await parser.parse({
+      filename: 'wheat_001.png',
+      mtime,
+      readFile: async () => new Uint8Array(16)
+    });
+
+    expect(result.source).toBe('mtime');
+    expect(result.dateTime).toEqual(mtime);
+  });
+
+  test('should skip file-based profiles in synchronous mode', () => {
+    const parser = createImageTimeParser(['exif']);
+    const result = parser.parseSync({ filename: 'wheat_001.jpg', readFile: () => { throw new Error('should not read'); } });
+
+    expect(result.source).toBeNull();
+  });
+
+  test('should reject unknown profiles and types', () => {
+    expect(() => createImageTimeParser(['nope'])).toThrow('Unknown timestamp parser profile');
+    expect(() => createImageTimeParser([{ type: 'nope' }])).toThrow('Unknown timestamp parser type');
+  });
+
+  test('should allow registering custom parser types', () => {
+    const registry = new ImageTimeParserRegistry()
+      .registerType('fixed', ({ value }) => ({ parse: () => new Date(value) }))
+      .registerProfile('y2k', { type: 'fixed', value: '2000-01-01T00:00:00Z' });
+
+    const result = registry.createParser(['y2k']).parseSync({ filename: 'a.png' });
+    expect(result.source).toBe('y2k');
+    expect(result.dateTime.toISOString()).toBe('2000-01-01T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Atomic JSON file store (backend/jsonFile.js)
+ *
+ * Covers serialised concurrent writes, recovery of a truncated file from
+ * the last good copy, reporting of unrecoverable files and the
+ * If-Match / If-None-Match version checks.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  readJsonFile,
+  readJsonFileWithStatus,
+  writeJsonFile,
+  updateJsonFile,
+  removeJsonFile,
+  jsonEtag,
+  assertVersion,
+  CorruptedFileError,
+  VersionConflictError
+} from '../../backend/jsonFile.js';
+
+describe('jsonFile', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-file-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should serialise concurrent read-modify-write updates', async () => {
+    const filePath = path.join(dir, 'counter.json');
+    await writeJsonFile(filePath, { count: 0 });
+
+    await Promise.all(Array.from({ length: 20 }, () =>
+      updateJsonFile(filePath, current => ({ count: current.count + 1 }))
+    ));
+
+    expect(await readJsonFile(filePath)).toEqual({ count: 20 });
+    const leftovers = (await fs.readdir(dir)).filter(name => name.includes('.tmp-'));
+    expect(leftovers).toEqual([]);
+  });
+
+  test('should restore a truncated file from the last good copy', async () => {
+    const filePath = path.join(dir, 'BR017-000001_sv-000_a.png.json');
+    await writeJsonFile(filePath, { annotations: [{ id: 1 }] });
+    await writeJsonFile(filePath, { annotations: [{ id: 1 }, { id: 2 }] });
+    await fs.writeFile(filePath, '{"annotations": [{"id": 1}, {"i');
+
+    const result = await readJsonFileWithStatus(filePath);
+
+    expect(result.recovered).toBe(true);
+    expect(result.data).toEqual({ annotations: [{ id: 1 }] });
+    expect(JSON.parse(await fs.readFile(filePath, 'utf8'))).toEqual(result.data);
+    expect(path.basename(result.quarantinePath)).toMatch(/\.json\.corrupt-\d+$/);
+  });
+
+  test('should report files that cannot be restored', async () => {
+    const filePath = path.join(dir, 'broken.json');
+    await fs.writeFile(filePath, '{"annotations": [');
+
+    await expect(readJsonFile(filePath)).rejects.toBeInstanceOf(CorruptedFileError);
+  });
+
+  test('should remove the backup together with the file', async () => {
+    const filePath = path.join(dir, 'note_1.json');
+    await writeJsonFile(filePath, { v: 1 });
+    await writeJsonFile(filePath, { v: 2 });
+
+    await removeJsonFile(filePath);
+
+    expect(await fs.readdir(dir)).toEqual([]);
+  });
+
+  test('should check If-Match and If-None-Match against the current content', () => {
+    const current = { annotations: [{ id: 1 }] };
+    const etag = jsonEtag(current);
+
+    expect(etag).toMatch(/^"[0-9a-f]+"$/);
+    expect(jsonEtag({ annotations: [{ id: 1 }] })).toBe(etag);
+    expect(jsonEtag(null)).toBeNull();
+
+    expect(() => assertVersion('a.json', current, { ifMatch: etag })).not.toThrow();
+    expect(() => assertVersion('a.json', current, { ifMatch: `W/${etag}` })).not.toThrow();
+    expect(() => assertVersion('a.json', current, {})).not.toThrow();
+    expect(() => assertVersion('a.json', null, { ifNoneMatch: '*' })).not.toThrow();
+
+    let conflict;
+    try {
+      assertVersion('a.json', current, { ifMatch: jsonEtag({ annotations: [] }) });
+    } catch (error) {
+      conflict = error;
+    }
+    expect(conflict).toBeInstanceOf(VersionConflictError);
+    expect(conflict.current).toBe(current);
+    expect(conflict.etag).toBe(etag);
+
+    expect(() => assertVersion('a.json', current, { ifNoneMatch: '*' })).toThrow(VersionConflictError);
+    expect(() => assertVersion('a.json', null, { ifMatch: etag })).toThrow(VersionConflictError);
+  });
+});
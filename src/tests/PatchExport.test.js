@@ -0,0 +1,162 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Training patch export (src/utils/PatchSampling.js, backend/patchExport.js)
+ *
+ * Crop windows of keypoints and regions, windows at the image edge,
+ * repeatable negative samples away from the annotations, and the crops and
+ * manifest written from an annotations directory (needs the optional
+ * `sharp` dependency).
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getPatchWindow,
+  clipPatchWindow,
+  sampleNegativeWindows,
+  planImagePatches,
+  patchLabelDirectory
+} from '../utils/PatchSampling.js';
+import { exportTrainingPatches } from '../../backend/patchExport.js';
+import { resolveOutputDir } from '../../backend/exportFiles.js';
+import { ImageCache } from '../../backend/imageCache.js';
+import { Dataset } from '../../backend/dataset.js';
+import { JsonStorage } from '../../backend/storage/jsonStorage.js';
+import { AnnotationService } from '../../backend/annotationService.js';
+import { point } from './helpers/fixtures.js';
+
+const IMAGE = 'BR017-000001_sv-000_a.png';
+
+const POD = { id: 'r1', order: 1, x: 60, y: 10, width: 20, height: 30, annotationType: 'custom', customTypeId: 'pod' };
+
+describe('PatchSampling', () => {
+  test('should centre keypoint windows and pad region boxes', () => {
+    expect(getPatchWindow(point(1, 50.4, 20), { size: 16 })).toEqual({ left: 42, top: 12, width: 16, height: 16 });
+    expect(getPatchWindow(POD, { size: 16, regionPadding: 5 })).toEqual({ left: 55, top: 5, width: 30, height: 40 });
+  });
+
+  test('should clip windows at the image edge and fill the rest', () => {
+    expect(clipPatchWindow({ left: -4, top: 90, width: 16, height: 16 }, 100, 100)).toEqual({
+      extract: { left: 0, top: 90, width: 12, height: 10 },
+      extend: { left: 4, top: 0, right: 0, bottom: 6 }
+    });
+    expect(clipPatchWindow({ left: 100, top: 0, width: 16, height: 16 }, 100, 100)).toBeNull();
+  });
+
+  test('should sample repeatable negatives away from the annotations', () => {
+    const keypoints = [point(1, 20, 20), POD];
+    const options = { imageId: IMAGE, width: 200, height: 100, count: 5, size: 16, minDistance: 24, seed: 3 };
+    const windows = sampleNegativeWindows(keypoints, options);
+
+    expect(windows).toHaveLength(5);
+    expect(sampleNegativeWindows(keypoints, options)).toEqual(windows);
+    expect(sampleNegativeWindows(keypoints, { ...options, seed: 4 })).not.toEqual(windows);
+    for (const window of windows) {
+      expect(window.left).toBeGreaterThanOrEqual(0);
+      expect(window.left + 16).toBeLessThanOrEqual(200);
+      expect(Math.hypot(window.left + 8 - 20, window.top + 8 - 20)).toBeGreaterThanOrEqual(24);
+      // 不与区域重叠
+      expect(window.left >= 80 || window.left + 16 <= 60 || window.top >= 40).toBe(true);
+    }
+    expect(sampleNegativeWindows(keypoints, { ...options, width: 10 })).toEqual([]);
+  });
+
+  test('should plan one patch per annotation with unique names', () => {
+    const keypoints = [point(1, 20, 20), point(1, 40, 40), { id: 9, x: 5, y: 5 }, point(2, 500, 500), POD];
+    const { patches, skippedKeypoints } = planImagePatches(keypoints, { imageId: IMAGE, width: 100, height: 100, size: 16, negatives: 1, seed: 1 });
+
+    expect(skippedKeypoints).toBe(1);
+    expect(patches.map(patch => [patch.label, patch.name])).toEqual([
+      ['builtin-regular-keypoint', 'BR017-000001_sv-000_a_o1'],
+      ['builtin-regular-keypoint', 'BR017-000001_sv-000_a_o1-2'],
+      ['builtin-regular-keypoint', 'BR017-000001_sv-000_a_k3'],
+      ['pod', 'BR017-000001_sv-000_a_o1'],
+      ['negative', 'BR017-000001_sv-000_a_n1']
+    ]);
+    expect(planImagePatches(keypoints, { imageId: IMAGE, width: 100, height: 100, typeIds: ['pod'] }).patches).toHaveLength(1);
+    expect(patchLabelDirectory('../leaf tip')).toBe('__leaf_tip');
+  });
+});
+
+describe('exportTrainingPatches', () => {
+  let root;
+  let services;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'patch-export-test-'));
+    const annotationsDir = path.join(root, 'annotations');
+    const storage = new JsonStorage(annotationsDir);
+    await storage.initialize();
+    const config = { datasetRoot: root, annotationsDir, plantIdPattern: '^BR\\d{3}-\\d{6}$', viewAngles: [], viewLabels: {} };
+    const imageCache = new ImageCache({ datasetRoot: root, cacheDir: path.join(root, '.cache') });
+    await imageCache.initialize();
+    services = {
+      config,
+      storage,
+      imageCache,
+      dataset: new Dataset(config),
+      annotations: new AnnotationService({ storage, annotationsDir })
+    };
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should write crops by annotation type with a manifest', async () => {
+    if (!services.imageCache.available) return;
+    const { sharp } = services.imageCache;
+
+    await fs.mkdir(path.join(root, 'BR017-000001', 'sv-000'), { recursive: true });
+    await sharp({ create: { width: 200, height: 100, channels: 3, background: { r: 200, g: 100, b: 0 } } })
+      .png()
+      .toFile(path.join(root, 'BR017-000001', 'sv-000', 'a.png'));
+    await services.storage.saveAnnotation(IMAGE, { annotations: [point(1, 4, 50), POD] });
+    await services.storage.saveAnnotation('BR017-000001_sv-000_missing.png', { annotations: [point(1, 1, 1)] });
+
+    const result = await exportTrainingPatches({ outputDir: 'patches-out', size: 16, negatives: 2, minNegativeDistance: 20 }, services);
+    const outputDir = path.join(root, 'exports', 'patches-out');
+    expect(result).toMatchObject({
+      outputDir,
+      images: 1,
+      patches: 4,
+      labels: { 'builtin-regular-keypoint': 1, pod: 1, negative: 2 },
+      skippedImages: [{ imageId: 'BR017-000001_sv-000_missing.png', reason: 'Image file not found' }]
+    });
+
+    // 图像边缘的窗口填充到完整大小
+    const keypointPatch = path.join(outputDir, 'patches', 'builtin-regular-keypoint', 'BR017-000001_sv-000_a_o1.png');
+    expect(await sharp(keypointPatch).metadata()).toMatchObject({ width: 16, height: 16 });
+    expect(await sharp(path.join(outputDir, 'patches', 'pod', 'BR017-000001_sv-000_a_o1.png')).metadata()).toMatchObject({ width: 20, height: 30 });
+
+    const manifest = (await fs.readFile(path.join(outputDir, 'manifest.csv'), 'utf8')).trim().split('\r\n');
+    expect(manifest[0]).toBe('file,label,plantId,viewAngle,imageId,order,direction,directions,x,y,width,height,left,top,cropWidth,cropHeight');
+    expect(manifest[1]).toBe(`patches/builtin-regular-keypoint/BR017-000001_sv-000_a_o1.png,builtin-regular-keypoint,BR017-000001,sv-000,${IMAGE},1,90,90,4,50,,,-4,42,16,16`);
+    expect(manifest.filter(line => line.includes(',negative,'))).toHaveLength(2);
+
+    const resized = await exportTrainingPatches({ outputDir: 'patches-out', typeIds: ['pod'], outputSize: 8, format: 'jpeg', overwrite: true }, services);
+    expect(resized.labels).toEqual({ pod: 1 });
+    expect(await sharp(path.join(outputDir, 'patches', 'pod', 'BR017-000001_sv-000_a_o1.jpg')).metadata()).toMatchObject({ width: 8, height: 8, format: 'jpeg' });
+    await expect(fs.access(keypointPatch)).rejects.toThrow();
+  });
+
+  test('should refuse an export without annotations of the selected types', async () => {
+    await services.storage.saveAnnotation(IMAGE, { annotations: [point(1, 4, 50)] });
+    await expect(exportTrainingPatches({ outputDir: 'out', typeIds: ['pod'] }, services)).rejects.toThrow('没有可导出的图块');
+  });
+
+  test('should only write below the exports directory', async () => {
+    expect(resolveOutputDir(services.config, 'patches/v2')).toBe(path.join(root, 'exports', 'patches', 'v2'));
+    expect(resolveOutputDir({ ...services.config, exportsDir: path.join(root, 'out') }, '.')).toBe(path.join(root, 'out'));
+
+    await services.storage.saveAnnotation(IMAGE, { annotations: [point(1, 4, 50)] });
+    await expect(exportTrainingPatches({ outputDir: '/tmp/x', overwrite: true }, services))
+      .rejects.toMatchObject({ message: '路径超出允许的目录', details: [{ location: 'body', field: 'outputDir' }] });
+    await expect(exportTrainingPatches({ outputDir: '../x', overwrite: true }, services))
+      .rejects.toMatchObject({ message: '路径超出允许的目录', details: [{ location: 'body', field: 'outputDir' }] });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Test Suite: Frontend project configuration
+ *
+ * Verifies defaults, URL construction and merging of the backend's
+ * /api/config response.
+ */
+
+import {
+  getProjectConfig,
+  applyServerConfig,
+  getBackendApiUrl,
+  getStorageApiUrl,
+  getPlantIdRegex
+} from '../utils/ProjectConfig.js';
+
+describe('ProjectConfig', () => {
+  test('should expose the default ports and view angles', () => {
+    const config = getProjectConfig();
+
+    expect(config.ports.backend).toBe(3003);
+    expect(config.ports.storage).toBe(3002);
+    expect(config.viewAngles).toEqual(['sv-000', 'sv-045', 'sv-090']);
+    expect(getBackendApiUrl()).toBe('http://localhost:3003/api');
+    expect(getStorageApiUrl()).toBe('http://localhost:3002/api');
+  });
+
+  test('should merge server config without dropping unspecified ports', () => {
+    applyServerConfig({
+      ports: { backend: 4003 },
+      viewAngles: ['sv-000', 'tv-000'],
+      plantIdPattern: '^AT\\d+$'
+    });
+
+    const config = getProjectConfig();
+    expect(config.ports.backend).toBe(4003);
+    expect(config.ports.storage).toBe(3002);
+    expect(config.viewAngles).toEqual(['sv-000', 'tv-000']);
+    expect(getBackendApiUrl()).toBe('http://localhost:4003/api');
+    expect(getPlantIdRegex().test('AT42')).toBe(true);
+    expect(getPlantIdRegex().test('BR017-113112')).toBe(false);
+  });
+
+  test('should ignore invalid server payloads', () => {
+    const before = getProjectConfig();
+    expect(applyServerConfig(null)).toBe(before);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Review workflow (backend/annotationService.js, src/utils/ReviewWorkflow.js)
+ *
+ * Who may start, judge and decide a review, the verdicts reviewers leave on
+ * single keypoints, and the rework list the annotator gets back.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { JsonStorage } from '../../backend/storage/jsonStorage.js';
+import { AnnotationService, ReviewPermissionError } from '../../backend/annotationService.js';
+import { ChangeFeed } from '../../backend/changeFeed.js';
+import { CHANGE_EVENT_TYPES } from '../utils/ChangeEvents.js';
+import { REVIEW_STATUSES, isReviewer, getReworkItems, findReviewItem } from '../utils/ReviewWorkflow.js';
+
+const PLANT = 'BR017-000001';
+const IMAGE = 'BR017-000001_sv-000_BR017-000001-2018-06-01_00_VIS_sv_000-0-0-0.png';
+
+function flag(keypointId, overrides = {}) {
+  return { imageId: IMAGE, keypointId, order: keypointId, x: 10, y: 20, verdict: 'flagged', comment: 'Move to the node', ...overrides };
+}
+
+describe('ReviewWorkflow helpers', () => {
+  test('should treat an empty reviewer list as everyone signed in', () => {
+    expect(isReviewer('alice')).toBe(true);
+    expect(isReviewer('', [])).toBe(false);
+    expect(isReviewer('alice', ['rita'])).toBe(false);
+    expect(isReviewer('rita', ['rita'])).toBe(true);
+  });
+
+  test('should list unresolved flags as rework and match items to keypoints by id', () => {
+    const review = {
+      items: [
+        { id: 'a', imageId: IMAGE, keypointId: '1', verdict: 'flagged', resolved: false },
+        { id: 'b', imageId: IMAGE, keypointId: '2', verdict: 'flagged', resolved: true },
+        { id: 'c', imageId: IMAGE, keypointId: '3', verdict: 'accepted', resolved: false }
+      ]
+    };
+    expect(getReworkItems(review).map(item => item.id)).toEqual(['a']);
+    expect(getReworkItems(null)).toEqual([]);
+    expect(findReviewItem(review.items, IMAGE, { id: 3 }).id).toBe('c');
+    expect(findReviewItem(review.items, 'other', { id: 3 })).toBeNull();
+  });
+});
+
+describe('AnnotationService review', () => {
+  let dir;
+  let service;
+  let events;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'review-workflow-test-'));
+    const storage = new JsonStorage(dir);
+    await storage.initialize();
+    const changeFeed = new ChangeFeed();
+    events = [];
+    changeFeed.subscribe(event => events.push(event));
+    service = new AnnotationService({ storage, annotationsDir: dir, changeFeed, reviewers: ['rita'] });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('should only let reviewers start, judge and decide a review', async () => {
+    await service.savePlantStatus(PLANT, { status: REVIEW_STATUSES.SUBMITTED, comment: 'Ready' }, 'alice');
+
+    await expect(service.savePlantStatus(PLANT, { status: REVIEW_STATUSES.IN_REVIEW }, 'alice'))
+      .rejects.toBeInstanceOf(ReviewPermissionError);
+    await expect(service.saveReviewItem(PLANT, flag(1), 'alice')).rejects.toBeInstanceOf(ReviewPermissionError);
+
+    await service.savePlantStatus(PLANT, { status: REVIEW_STATUSES.IN_REVIEW }, 'rita');
+    // 审核开始后标注者不能再撤回
+    await expect(service.savePlantStatus(PLANT, { status: 'in-progress' }, 'alice'))
+      .rejects.toBeInstanceOf(ReviewPermissionError);
+
+    await service.savePlantStatus(PLANT, { status: REVIEW_STATUSES.APPROVED, comment: 'Looks good' }, 'rita');
+    expect(await service.getReview(PLANT)).toMatchObject({
+      plantId: PLANT,
+      submittedBy: 'alice',
+      submitComment: 'Ready',
+      reviewer: 'rita',
+      decision: REVIEW_STATUSES.APPROVED,
+      comment: 'Looks good'
+    });
+    expect((await service.getPlantStatus(PLANT)).status).toBe(REVIEW_STATUSES.APPROVED);
+  });
+
+  test('should keep one verdict per keypoint and hand unresolved flags back as rework', async () => {
+    await service.savePlantStatus(PLANT, { status: REVIEW_STATUSES.SUBMITTED }, 'alice');
+    await service.savePlantStatus(PLANT, { status: REVIEW_STATUSES.IN_REVIEW }, 'rita');
+
+    const first = await service.saveReviewItem(PLANT, flag(1, { verdict: 'accepted', comment: undefined }), 'rita');
+    const again = await service.saveReviewItem(PLANT, flag(1), 'rita');
+    expect(again.id).toBe(first.id);
+    const second = await service.saveReviewItem(PLANT, flag(2), 'rita');
+    await service.saveReviewItem(PLANT, flag(3), 'rita');
+    expect(await service.deleteReviewItem(PLANT, second.id, 'rita')).toBe(true);
+    expect(await service.deleteReviewItem(PLANT, second.id, 'rita')).toBe(false);
+
+    // 审核进行中的植物不在返工列表中
+    expect(await service.listRework()).toEqual([]);
+    await service.savePlantStatus(PLANT, { status: REVIEW_STATUSES.CHANGES_REQUESTED, comment: 'Two nodes are off' }, 'rita');
+
+    let [rework] = await service.listRework({ annotator: 'alice' });
+    expect(rework).toMatchObject({ plantId: PLANT, submittedBy: 'alice', reviewer: 'rita', comment: 'Two nodes are off' });
+    expect(rework.items.map(item => item.keypointId)).toEqual([1, 3]);
+    expect(await service.listRework({ annotator: 'bob' })).toEqual([]);
+
+    // 标注者只能标记为已解决，不能修改结论
+    await expect(service.updateReviewItem(PLANT, first.id, { verdict: 'accepted' }, 'alice'))
+      .rejects.toBeInstanceOf(ReviewPermissionError);
+    const resolved = await service.updateReviewItem(PLANT, first.id, { resolved: true }, 'alice');
+    expect(resolved).toMatchObject({ resolved: true, resolvedBy: 'alice' });
+    expect(await service.updateReviewItem(PLANT, 'missing', { resolved: true }, 'alice')).toBeNull();
+
+    [rework] = await service.listRework();
+    expect(rework.items.map(item => item.keypointId)).toEqual([3]);
+
+    expect(events.filter(event => event.type === CHANGE_EVENT_TYPES.REVIEW_CHANGED).length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Storage drivers (backend/storage/)
+ *
+ * Runs the same contract against the JSON directory driver and the SQLite
+ * driver, then migrates a data set JSON -> SQLite -> JSON with copyStorage.
+ * The SQLite cases are skipped when the optional better-sqlite3 package is
+ * not installed.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { openStorage, copyStorage } from '../../backend/storage/index.js';
+import { sortNotesNewestFirst } from '../../backend/storage/storageUtils.js';
+
+function hasSqliteDriver() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const DRIVERS = hasSqliteDriver() ? ['json', 'sqlite'] : ['json'];
+
+function note(noteId, overrides = {}) {
+  return {
+    noteId,
+    plantId: 'BR017-000001',
+    imageId: null,
+    noteType: 'general',
+    title: 'Observation',
+    content: '',
+    tags: [],
+    author: 'alice',
+    timestamp: '2024-05-01T10:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('storage', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  function open(driver, subdir = 'annotations', config = {}) {
+    return openStorage(driver, {
+      annotationsDir: path.join(dir, subdir),
+      storage: { sqlitePath: path.join(dir, `${subdir}.sqlite`) },
+      ...config
+    });
+  }
+
+  describe.each(DRIVERS)('%s driver', (driver) => {
+    let storage;
+
+    beforeEach(async () => {
+      storage = await open(driver);
+    });
+
+    afterEach(async () => {
+      await storage.close();
+    });
+
+    test('should save, list and delete annotations per plant', async () => {
+      const data = { imageId: 'BR017-000001_sv-000_a.png', annotations: [{ id: 1, x: 1, y: 2 }] };
+      await storage.saveAnnotation('BR017-000001_sv-000_a.png', data);
+      await storage.saveAnnotation('BR017-000001_sv-090_b.png', { annotations: [] });
+      await storage.saveAnnotation('BR017-000010_sv-000_c.png', { annotations: [] });
+
+      expect(await storage.getAnnotation('BR017-000001_sv-000_a.png')).toEqual(data);
+      expect(await storage.getAnnotation('missing')).toBeNull();
+      expect((await storage.listAnnotationIds('BR017-000001')).sort()).toEqual([
+        'BR017-000001_sv-000_a.png',
+        'BR017-000001_sv-090_b.png'
+      ]);
+
+      expect(await storage.deleteAnnotation('BR017-000001_sv-000_a.png')).toBe(true);
+      expect(await storage.deleteAnnotation('BR017-000001_sv-000_a.png')).toBe(false);
+      expect((await storage.loadAllAnnotations()).entries).toHaveLength(2);
+    });
+
+    test('should list the annotations of plants whose IDs contain the separator', async () => {
+      // 未配置模式时植物ID在第一个下划线处截断；重新打开时按配置的模式更正
+      await storage.saveAnnotation('PL_7_sv-000_a_b.png', { annotations: [] });
+      await storage.saveAnnotation('PL_70_sv-000_c.png', { annotations: [] });
+      expect(await storage.listAnnotationIds('PL')).toHaveLength(2);
+      await storage.close();
+
+      storage = await open(driver, 'annotations', { plantIdPattern: '^PL_\\d+$' });
+      expect(await storage.listAnnotationIds('PL_7')).toEqual(['PL_7_sv-000_a_b.png']);
+      expect(await storage.listAnnotationIds('PL')).toEqual([]);
+      expect(storage.getPlantId('PL_70_sv-000_c.png')).toBe('PL_70');
+    });
+
+    test('should update plant records under a lock', async () => {
+      await Promise.all(Array.from({ length: 10 }, () =>
+        storage.updatePlantRecord('status', 'BR017-000001', previous => ({
+          plantId: 'BR017-000001',
+          count: (previous?.count || 0) + 1
+        }))
+      ));
+
+      expect(await storage.getPlantRecord('status', 'BR017-000001')).toEqual({ plantId: 'BR017-000001', count: 10 });
+      expect(await storage.getPlantRecord('skip', 'BR017-000001')).toBeNull();
+      expect(await storage.listPlantRecords('status')).toHaveLength(1);
+      expect(await storage.deletePlantRecord('status', 'BR017-000001')).toBe(true);
+      await expect(storage.getPlantRecord('bogus', 'BR017-000001')).rejects.toThrow('Unknown plant record kind');
+    });
+
+    test('should filter and search notes', async () => {
+      await storage.saveNote(note('n1', { content: 'Lower leaves Yellowed', tags: ['damage'] }));
+      await storage.saveNote(note('n2', { imageId: 'BR017-000001_sv-000_a.png', title: 'Tip', timestamp: '2024-05-02T10:00:00.000Z' }));
+      await storage.saveNote(note('n3', { plantId: 'BR017-000002', author: 'bob', tags: ['dam'] }));
+
+      const ids = notes => sortNotesNewestFirst(notes).map(n => n.noteId);
+      expect(ids(await storage.listNotes({ plantId: 'BR017-000001' }))).toEqual(['n2', 'n1']);
+      expect(ids(await storage.listNotes({ plantId: 'BR017-000001', imageId: null }))).toEqual(['n1']);
+      expect(ids(await storage.listNotes({ query: 'yellow' }))).toEqual(['n1']);
+      expect(ids(await storage.listNotes({ query: 'da' })).sort()).toEqual(['n1', 'n3']);
+      expect(ids(await storage.listNotes({ author: 'bob' }))).toEqual(['n3']);
+
+      const updated = await storage.updateNote('n1', current => ({ ...current, content: 'now brown' }));
+      expect(updated.content).toBe('now brown');
+      expect(await storage.listNotes({ query: 'yellow' })).toEqual([]);
+      expect(await storage.updateNote('missing', current => current)).toBeNull();
+
+      expect(await storage.deleteNote('n1')).toBe(true);
+      expect(await storage.getNote('n1')).toBeNull();
+    });
+  });
+
+  (DRIVERS.includes('sqlite') ? test : test.skip)('should migrate JSON -> SQLite -> JSON without loss', async () => {
+    const source = await open('json', 'source');
+    await source.saveAnnotation('BR017-000001_sv-000_a.png', { annotations: [{ id: 1, x: 3, y: 4 }] });
+    await source.updatePlantRecord('skip', 'BR017-000002', () => ({ plantId: 'BR017-000002', status: 'skipped' }));
+    await source.saveNote(note('n1', { content: '叶片发黄' }));
+
+    const sqlite = await open('sqlite', 'db');
+    expect(await copyStorage(source, sqlite)).toEqual({ annotations: 1, status: 0, skip: 1, review: 0, notes: 1, corrupted: [] });
+
+    const target = await open('json', 'target');
+    await copyStorage(sqlite, target);
+
+    expect(await target.getAnnotation('BR017-000001_sv-000_a.png')).toEqual({ annotations: [{ id: 1, x: 3, y: 4 }] });
+    expect(await target.listPlantRecords('skip')).toEqual(await source.listPlantRecords('skip'));
+    expect(await target.listNotes({ query: '发黄' })).toEqual([note('n1', { content: '叶片发黄' })]);
+
+    await Promise.all([source.close(), sqlite.close(), target.close()]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Tidy CSV export (src/utils/TidyExport.js)
+ *
+ * One row per keypoint per frame, direction angles, plant status and date
+ * filters, column selection and the manual/propagated source recorded by
+ * TimeSeriesAnnotationManager.
+ */
+
+import { buildTidyRows, tidyRowsToCsv, getDirectionAngles } from '../utils/TidyExport.js';
+import { TimeSeriesAnnotationManager } from '../core/TimeSeriesAnnotationManager.js';
+
+const IMAGES = [
+  {
+    imageId: 'BR017-000002_sv-000_b.png',
+    annotations: [{ id: 1, x: 5, y: 6, order: 1, annotationType: 'custom', customTypeId: 'builtin-regular-keypoint', createdBy: 'bo' }]
+  },
+  {
+    imageId: 'BR017-000001_sv-000_day2.png',
+    plantId: 'BR017-000001',
+    annotations: [
+      { id: 2, x: 30, y: 40, order: 2, direction: 'left', createdBy: 'ann', modifiedBy: 'cy' },
+      { id: 3, x: 10, y: 20, order: 1, directions: [{ angle: 90, type: 'angle' }, { angle: 45, type: 'angle' }], createdBy: 'ann' },
+      { id: 4, x: 1, y: 2, width: 8, height: 9, order: 1, annotationType: 'custom', customTypeId: 'pod' }
+    ]
+  },
+  {
+    imageId: 'BR017-000001_sv-000_day1.png',
+    annotations: [{ id: 5, x: 11, y: 21, order: 1, direction: 270, directionType: 'angle' }]
+  }
+];
+
+const CAPTURE_TIMES = {
+  'BR017-000001_sv-000_day1.png': '2018-07-04T10:00:00.000Z',
+  'BR017-000001_sv-000_day2.png': new Date('2018-07-05T10:00:00.000Z'),
+  'BR017-000002_sv-000_b.png': null
+};
+
+describe('TidyExport', () => {
+  test('should write one row per keypoint per frame, sorted by plant, time and order', () => {
+    const manager = new TimeSeriesAnnotationManager();
+    manager.setAnnotationSource('BR017-000001', 'sv-000', 'BR017-000001_sv-000_day1.png', true);
+    manager.setAnnotationSource('BR017-000001', 'sv-000', 'BR017-000001_sv-000_day2.png', false);
+
+    const rows = buildTidyRows(IMAGES, {
+      getCaptureTime: imageId => CAPTURE_TIMES[imageId],
+      getAnnotationSource: imageId => manager.getAnnotationSource(imageId.split('_')[0], 'sv-000', imageId)
+    });
+
+    expect(rows.map(row => [row.imageId, row.order, row.customTypeId])).toEqual([
+      ['BR017-000001_sv-000_day1.png', 1, 'builtin-regular-keypoint'],
+      ['BR017-000001_sv-000_day2.png', 1, 'builtin-regular-keypoint'],
+      ['BR017-000001_sv-000_day2.png', 1, 'pod'],
+      ['BR017-000001_sv-000_day2.png', 2, 'builtin-regular-keypoint'],
+      ['BR017-000002_sv-000_b.png', 1, 'builtin-regular-keypoint']
+    ]);
+    expect(rows[0]).toEqual({
+      plantId: 'BR017-000001',
+      viewAngle: 'sv-000',
+      imageId: 'BR017-000001_sv-000_day1.png',
+      captureDateTime: '2018-07-04T10:00:00.000Z',
+      order: 1,
+      customTypeId: 'builtin-regular-keypoint',
+      x: 11,
+      y: 21,
+      width: null,
+      height: null,
+      direction: 270,
+      directions: '270',
+      annotator: '',
+      source: 'manual'
+    });
+    expect(rows[1]).toMatchObject({ direction: 90, directions: '90;45', annotator: 'ann', source: 'propagated' });
+    expect(rows[2]).toMatchObject({ width: 8, height: 9, direction: null, directions: '' });
+    expect(rows[3]).toMatchObject({ direction: 180, annotator: 'cy' });
+    expect(rows[4]).toMatchObject({ captureDateTime: null, source: '' });
+  });
+
+  test('should filter by plant status and capture date', () => {
+    const statuses = { 'BR017-000001': 'completed' };
+    const options = { getCaptureTime: imageId => CAPTURE_TIMES[imageId], getPlantStatus: plantId => statuses[plantId] };
+
+    // 没有状态的植物视为 pending
+    expect(buildTidyRows(IMAGES, { ...options, statuses: ['pending'] }).map(row => row.plantId)).toEqual(['BR017-000002']);
+    expect(new Set(buildTidyRows(IMAGES, { ...options, statuses: ['completed'] }).map(row => row.plantId))).toEqual(new Set(['BR017-000001']));
+
+    // 日期范围包含两端，没有拍摄时间的图像不导出
+    expect(buildTidyRows(IMAGES, { ...options, from: '2018-07-05' }).map(row => row.imageId))
+      .toEqual(Array(3).fill('BR017-000001_sv-000_day2.png'));
+    expect(buildTidyRows(IMAGES, { ...options, to: '2018-07-04' }).map(row => row.imageId)).toEqual(['BR017-000001_sv-000_day1.png']);
+  });
+
+  test('should write the selected columns in a fixed order', () => {
+    const rows = buildTidyRows([IMAGES[0]]);
+    expect(tidyRowsToCsv(rows, ['x', 'plantId', 'order'])).toBe('plantId,order,x\r\nBR017-000002,1,5\r\n');
+  });
+
+  test('should read direction angles from every direction format', () => {
+    expect(getDirectionAngles({ direction: 'right' })).toEqual([0]);
+    expect(getDirectionAngles({ direction: 12.5, directions: [{ angle: 12.5 }] })).toEqual([12.5]);
+    expect(getDirectionAngles({ direction: null })).toEqual([]);
+  });
+
+  test('should record the annotation source of frames in the time series manager', () => {
+    const manager = new TimeSeriesAnnotationManager();
+    expect(manager.getAnnotationSource('P', 'sv-000', 'a')).toBeNull();
+    manager.setAnnotationSource('P', 'sv-000', 'a', false);
+    expect(manager.getAnnotationSource('P', 'sv-000', 'a')).toBe('propagated');
+    manager.setAnnotationSource('P', 'sv-000', 'a', true);
+    expect(manager.getAnnotationSource('P', 'sv-000', 'a')).toBe('manual');
+    expect(manager.manualAdjustments.get('P_sv-000').has('a')).toBe(true);
+    manager.clearPlantAnnotations('P', 'sv-000');
+    expect(manager.getAnnotationSource('P', 'sv-000', 'a')).toBeNull();
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: Request validation (backend/validation.js, backend/schemas.js)
+ *
+ * Path traversal through route parameters and query strings, the configured
+ * plant-ID pattern, and JSON Schema checks on request bodies with the
+ * structured error details returned to clients.
+ */
+
+import path from 'path';
+import {
+  ValidationError,
+  isSafePathSegment,
+  resolveWithin,
+  resolveBodyPath,
+  createParamRules,
+  assertValid
+} from '../../backend/validation.js';
+
+// 返回校验失败的详情，校验通过时返回 null
+function getDetails(schemaId, data) {
+  try {
+    assertValid(schemaId, data);
+    return null;
+  } catch (error) {
+    expect(error).toBeInstanceOf(ValidationError);
+    return error.details;
+  }
+}
+
+describe('validation', () => {
+  const rules = createParamRules({ plantIdPattern: '^BR\\d+-\\d+$' });
+
+  test('should reject path separators, dot segments and control characters', () => {
+    expect(isSafePathSegment('BR017-000001_sv-000_a.png')).toBe(true);
+    expect(isSafePathSegment('..')).toBe(false);
+    expect(isSafePathSegment('.')).toBe(false);
+    expect(isSafePathSegment('../etc')).toBe(false);
+    expect(isSafePathSegment('a\\b')).toBe(false);
+    expect(isSafePathSegment('a\u0000b')).toBe(false);
+    expect(isSafePathSegment('')).toBe(false);
+    expect(isSafePathSegment('x'.repeat(256))).toBe(false);
+    expect(isSafePathSegment(['a'])).toBe(false);
+  });
+
+  test('should keep resolved paths inside the root', () => {
+    const root = path.resolve('/data/set');
+    expect(resolveWithin(root, 'BR017-000001', 'sv-000')).toBe(path.join(root, 'BR017-000001', 'sv-000'));
+    expect(resolveWithin(root, path.join(root, 'BR017-000001'))).toBe(path.join(root, 'BR017-000001'));
+    expect(() => resolveWithin(root, '../other')).toThrow(ValidationError);
+    expect(() => resolveWithin(root, '/etc/passwd')).toThrow(ValidationError);
+    expect(() => resolveWithin(root, '../set-2/x')).toThrow(ValidationError);
+  });
+
+  test('should keep directories from request bodies relative to their root', () => {
+    const root = path.resolve('/data/set');
+    expect(resolveBodyPath(root, 'exports/yolo', 'outputDir')).toBe(path.join(root, 'exports', 'yolo'));
+    // 与 resolveWithin 不同，绝对路径即使在 root 内也不接受
+    expect(() => resolveBodyPath(root, path.join(root, 'exports'), 'outputDir')).toThrow(ValidationError);
+    expect(() => resolveBodyPath(root, 'a/../../x', 'b.annotationsDir')).toThrow(expect.objectContaining({
+      details: [expect.objectContaining({ location: 'body', field: 'b.annotationsDir' })]
+    }));
+  });
+
+  test('should enforce the configured plant-ID pattern on route parameters', () => {
+    expect(rules.plantId('BR017-000001')).toBeNull();
+    expect(rules.plantId('BR017')).toMatch('植物ID格式无效');
+    expect(rules.imageId('BR017-000001_sv-000_a.png')).toBeNull();
+    expect(rules.imageId('other_sv-000_a.png')).not.toBeNull();
+    // 没有视角和文件名部分
+    expect(rules.imageId('BR017-1')).not.toBeNull();
+
+    // 植物ID中包含分隔符
+    const underscoreRules = createParamRules({ plantIdPattern: '^AT_\\d+$' });
+    expect(underscoreRules.imageId('AT_12_sv-000_a.png')).toBeNull();
+    expect(underscoreRules.imageId('AT_12')).not.toBeNull();
+    expect(underscoreRules.imageId('AT_x_sv-000_a.png')).not.toBeNull();
+    expect(rules.viewAngle('sv_000')).not.toBeNull();
+    expect(rules.imageName('.hidden.png')).not.toBeNull();
+    expect(rules.noteId('note-1715000000000-abc123def')).toBeNull();
+    expect(rules.noteId('../note')).not.toBeNull();
+  });
+
+  test('should validate request bodies against the JSON Schemas', () => {
+    expect(getDetails('save-annotation-request', {
+      annotationData: {
+        annotations: [{ id: 1, x: 10.5, y: 20, order: 1, direction: 90, annotationType: 'regular' }]
+      },
+      source: 'manual'
+    })).toBeNull();
+
+    const details = getDetails('save-annotation-request', { annotationData: { annotations: [{ x: 'a' }] } });
+    expect(details).toEqual(expect.arrayContaining([
+      { location: 'body', field: '/annotationData/annotations/0/y', message: "must have required property 'y'" },
+      { location: 'body', field: '/annotationData/annotations/0/x', message: 'must be number' }
+    ]));
+  });
+
+  test('should reject notes and status values the frontend would not send', () => {
+    expect(getDetails('create-note-request', { title: 'Leaf', content: 'yellow' })).toBeNull();
+    expect(getDetails('create-note-request', { title: '  ', content: 'yellow' })[0].field).toBe('/title');
+    expect(getDetails('update-note-request', { plantId: 'BR017-000002' })[0].field).toBe('/plantId');
+    expect(getDetails('plant-status-request', { status: 'completed' })).toBeNull();
+    expect(getDetails('plant-status-request', { status: 'done' })[0].message)
+      .toContain('pending, in-progress, completed, skipped');
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Test Suite: View angle and modality discovery
+ *
+ * Covers parsing of view directory names (side/top views, modalities),
+ * label generation and the display ordering used by the view selector.
+ */
+
+import {
+  isValidViewId,
+  parseViewName,
+  describeView,
+  getViewLabel,
+  sortViewIds
+} from '../utils/ViewAngles.js';
+
+describe('ViewAngles', () => {
+  test('should parse side, top and modality-prefixed view directories', () => {
+    expect(parseViewName('sv-045')).toEqual({ id: 'sv-045', type: 'side', angle: 45, modality: null });
+    expect(parseViewName('tv-000')).toEqual({ id: 'tv-000', type: 'top', angle: 0, modality: null });
+    expect(parseViewName('fluo-sv-090')).toEqual({ id: 'fluo-sv-090', type: 'side', angle: 90, modality: 'FLUO' });
+    expect(parseViewName('overview')).toEqual({ id: 'overview', type: null, angle: null, modality: null });
+  });
+
+  test('should reject directory names that would break image IDs', () => {
+    expect(isValidViewId('tv-000')).toBe(true);
+    expect(isValidViewId('NIR_tv_000')).toBe(false);
+    expect(isValidViewId('.thumbnails')).toBe(false);
+  });
+
+  test('should detect modality from image filenames and build labels', () => {
+    const view = describeView('tv-000', [
+      'BR017-028111-2018-06-06_00_FLUO_tv_000-0-0-0.png',
+      'BR017-028111-2018-06-07_00_FLUO_tv_000-0-0-0.png'
+    ]);
+
+    expect(view.type).toBe('top');
+    expect(view.modality).toBe('FLUO');
+    expect(view.modalities).toEqual(['FLUO']);
+    expect(view.imageCount).toBe(2);
+    expect(view.label).toBe('Top View (FLUO)');
+
+    expect(getViewLabel('sv-000')).toBe('Front View');
+    expect(getViewLabel('nir-sv-090')).toBe('Side View 90° (NIR)');
+    expect(getViewLabel('tv-000', { 'tv-000': 'Canopy' })).toBe('Canopy');
+  });
+
+  test('should order configured views first, then side before top views', () => {
+    const ids = ['tv-000', 'fluo-sv-090', 'sv-090', 'extra', 'sv-000', 'sv-045'];
+    expect(sortViewIds(ids, ['sv-000', 'sv-045', 'sv-090'])).toEqual([
+      'sv-000', 'sv-045', 'sv-090', 'fluo-sv-090', 'tv-000', 'extra'
+    ]);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * Test Suite: YOLO dataset export (src/utils/YoloFormat.js, backend/yoloExport.js)
+ *
+ * Pose and detection label lines, plant-level splits, data.yaml and the
+ * dataset layout written from an annotations directory.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  buildYoloLabel,
+  buildDataYaml,
+  getKeypointCount,
+  getYoloClasses,
+  splitPlants
+} from '../utils/YoloFormat.js';
+import { exportYoloDataset } from '../../backend/yoloExport.js';
+import { Dataset } from '../../backend/dataset.js';
+import { JsonStorage } from '../../backend/storage/jsonStorage.js';
+import { AnnotationService } from '../../backend/annotationService.js';
+import { point, pngHeader } from './helpers/fixtures.js';
+
+function region(x, y, width, height, customTypeId = 'pod') {
+  return { id: `${x}-${y}`, order: 1, x, y, width, height, annotationType: 'custom', customTypeId };
+}
+
+describe('YoloFormat', () => {
+  const keypoints = [point(1, 100, 50), point(3, 300, 150), point(null, 10, 10), region(0, 100, 200, 100), point(2, 500, 50)];
+
+  test('should write pose lines with one slot per keypoint number and padded boxes', () => {
+    const classes = getYoloClasses([keypoints], { task: 'pose', typeNames: { pod: 'Pod' } });
+    expect(classes).toEqual([
+      { id: 0, typeId: 'builtin-regular-keypoint', name: 'builtin-regular-keypoint' },
+      { id: 1, typeId: 'pod', name: 'Pod' }
+    ]);
+    expect(getKeypointCount([keypoints])).toBe(3);
+
+    const { lines, skippedKeypoints } = buildYoloLabel(keypoints, { width: 400, height: 200, task: 'pose', classes, keypointCount: 3, padding: 10 });
+    // 第 2 个点在图像外
+    expect(skippedKeypoints).toBe(1);
+    expect(lines).toEqual([
+      '0 0.5 0.5 0.55 0.6 0.25 0.25 2 0 0 0 0.75 0.75 2',
+      '1 0.25 0.75 0.5 0.5 0 0 0 0 0 0 0 0 0'
+    ]);
+  });
+
+  test('should write detection lines for regions only', () => {
+    const classes = getYoloClasses([keypoints], { task: 'detect' });
+    expect(classes.map(entry => entry.typeId)).toEqual(['pod']);
+    expect(buildYoloLabel(keypoints, { width: 400, height: 200, task: 'detect', classes }).lines).toEqual(['0 0.25 0.75 0.5 0.5']);
+  });
+
+  test('should split whole plants by ratio, reproducibly for a seed', () => {
+    const plants = Array.from({ length: 10 }, (_, i) => `P${i}`);
+    const splits = splitPlants([...plants, ...plants], { train: 0.6, val: 0.2, test: 0.2 }, 7);
+    const count = name => [...splits.values()].filter(split => split === name).length;
+    expect(splits.size).toBe(10);
+    expect([count('train'), count('val'), count('test')]).toEqual([6, 2, 2]);
+    expect(splitPlants([...plants].reverse(), { train: 0.6, val: 0.2, test: 0.2 }, 7)).toEqual(splits);
+  });
+
+  test('should describe the classes and keypoint shape in data.yaml', () => {
+    const yaml = buildDataYaml({ path: '/out', task: 'pose', classes: [{ id: 0, typeId: 'builtin-regular-keypoint', name: 'plant' }], keypointCount: 2 });
+    expect(yaml).toBe([
+      '# YOLO dataset exported by the plant annotation tool',
+      'path: "/out"',
+      'train: images/train',
+      'val: images/val',
+      'test: images/test',
+      'kpt_shape: [2, 3]',
+      'flip_idx: [0, 1]',
+      'names:',
+      '  0: "plant"',
+      '# class -> custom annotation type',
+      'custom_type_ids:',
+      '  0: "builtin-regular-keypoint"',
+      ''
+    ].join('\n'));
+  });
+});
+
+describe('exportYoloDataset', () => {
+  let root;
+  let services;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'yolo-export-test-'));
+    const annotationsDir = path.join(root, 'annotations');
+    const storage = new JsonStorage(annotationsDir);
+    await storage.initialize();
+    const config = { datasetRoot: root, annotationsDir, plantIdPattern: '^BR\\d{3}-\\d{6}$', viewAngles: [], viewLabels: {} };
+    services = {
+      config,
+      storage,
+      dataset: new Dataset(config),
+      annotations: new AnnotationService({ storage, annotationsDir })
+    };
+
+    for (const plantId of ['BR017-000001', 'BR017-000002', 'BR017-000003']) {
+      await fs.mkdir(path.join(root, plantId, 'sv-000'), { recursive: true });
+      await fs.writeFile(path.join(root, plantId, 'sv-000', 'a.png'), pngHeader(400, 200));
+      await storage.saveAnnotation(`${plantId}_sv-000_a.png`, { annotations: [point(1, 100, 50)] });
+    }
+    await storage.saveAnnotation('BR017-000003_sv-000_missing.png', { annotations: [point(1, 1, 1)] });
+    await storage.updatePlantRecord('skip', 'BR017-000002', () => ({ plantId: 'BR017-000002', status: 'skipped' }));
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('should write linked images, labels and data.yaml, leaving out skipped plants', async () => {
+    const result = await exportYoloDataset({ outputDir: 'yolo', split: { train: 1, val: 0, test: 0 } }, services);
+
+    const outputDir = path.join(root, 'exports', 'yolo');
+    expect(result).toMatchObject({ outputDir, task: 'pose', keypointCount: 1, skippedPlants: ['BR017-000002'] });
+    expect(result.splits.train).toEqual({ plants: 2, images: 2, objects: 2 });
+    expect(result.skippedImages).toEqual([{ imageId: 'BR017-000003_sv-000_missing.png', reason: 'Image file not found' }]);
+
+    const imagePath = path.join(outputDir, 'images', 'train', 'BR017-000001_sv-000_a.png');
+    expect(await fs.readlink(imagePath)).toBe(path.join(root, 'BR017-000001', 'sv-000', 'a.png'));
+    expect(await fs.readFile(path.join(outputDir, 'labels', 'train', 'BR017-000001_sv-000_a.txt'), 'utf8'))
+      .toBe('0 0.25 0.25 0.1 0.2 0.25 0.25 2\n');
+    expect(await fs.readFile(path.join(outputDir, 'data.yaml'), 'utf8')).toContain('kpt_shape: [1, 3]');
+
+    // 已有导出时需要 overwrite
+    await expect(exportYoloDataset({ outputDir: 'yolo' }, services)).rejects.toThrow('YOLO 输出目录已有导出');
+    const copied = await exportYoloDataset({ outputDir: 'yolo', mode: 'copy', overwrite: true }, services);
+    expect(copied.mode).toBe('copy');
+    await expect(exportYoloDataset({ outputDir: 'detect', task: 'detect' }, services)).rejects.toThrow('没有可导出的区域标注');
+  });
+
+  test('should only write below the exports directory', async () => {
+    const victim = path.join(root, 'victim');
+    await fs.mkdir(path.join(victim, 'images'), { recursive: true });
+    await fs.writeFile(path.join(victim, 'images', 'precious.txt'), 'keep');
+
+    for (const outputDir of [victim, '../victim', 'yolo/../../victim']) {
+      await expect(exportYoloDataset({ outputDir, overwrite: true }, services))
+        .rejects.toMatchObject({ details: [{ location: 'body', field: 'outputDir' }] });
+    }
+    expect(await fs.readFile(path.join(victim, 'images', 'precious.txt'), 'utf8')).toBe('keep');
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * 测试共用的数据构造函数
+ *
+ * Not a test suite itself (jest only runs `*.test.js`).
+ */
+
+/**
+ * 标注点，默认为内置常规类型、方向 90°
+ *
+ * @param {number|null} order
+ * @param {number} x
+ * @param {number} y
+ * @param {Object} [overrides] - Replaces any field, e.g. `customTypeId` or `direction`
+ */
+export function point(order, x, y, overrides = {}) {
+  const customTypeId = overrides.customTypeId || 'builtin-regular-keypoint';
+  return {
+    id: `${customTypeId}-${order}-${x}-${y}`,
+    order,
+    x,
+    y,
+    direction: 90,
+    directionType: 'angle',
+    annotationType: 'custom',
+    customTypeId,
+    ...overrides
+  };
+}
+
+/**
+ * 只含 IHDR 的 PNG 文件头，足以读出图像尺寸
+ */
+export function pngHeader(width, height) {
+  const buffer = Buffer.alloc(33);
+  buffer.writeUInt32BE(0x89504e47, 0);
+  buffer.writeUInt32BE(0x0d0a1a0a, 4);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
@@ -0,0 +1,279 @@
+/**
+ * 标注者间一致性
+ *
+ * Compares two annotations of the same images (set A is the reference,
+ * set B the second annotator) and summarises the agreement per plant, per
+ * annotation type and overall. Used by POST /api/v2/agreement and the
+ * agreement report in the browser.
+ *
+ * Keypoints are matched within the same type (`customTypeId`): numbered
+ * keypoints by `order`, then keypoints without a number to the nearest
+ * remaining keypoint within `maxDistance` pixels. Metrics:
+ *
+ * - meanPixelError  mean Euclidean distance of the matched pairs
+ * - pck             share of A's keypoints matched within each threshold (pixels)
+ * - meanAngleError  mean absolute direction difference (degrees) of pairs
+ *                   where both keypoints have a direction
+ * - missed / extra  keypoints only in A / only in B
+ */
+
+import { toCsv } from './Csv.js';
+
+export const DEFAULT_PCK_THRESHOLDS = [5, 10, 20];
+export const DEFAULT_MATCH_DISTANCE = 50;
+
+// 迁移前的常规标注点
+const REGULAR_TYPE_ID = 'builtin-regular-keypoint';
+
+/**
+ * 标注点的类型ID
+ */
+export function getKeypointTypeId(keypoint) {
+  return keypoint.annotationType === 'custom' && keypoint.customTypeId ? keypoint.customTypeId : REGULAR_TYPE_ID;
+}
+
+function hasOrder(keypoint) {
+  return keypoint.order !== undefined && keypoint.order !== null;
+}
+
+/**
+ * 方向换算为角度（旧的 left/right 为 180°/0°），没有方向时返回 null
+ */
+export function directionToDegrees(direction) {
+  if (direction === 'left') return 180;
+  if (direction === 'right') return 0;
+  return typeof direction === 'number' && Number.isFinite(direction) ? direction : null;
+}
+
+/**
+ * 两个方向之间的最小夹角（0–180°）
+ */
+export function angleDifference(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function groupByType(keypoints) {
+  const groups = new Map();
+  for (const keypoint of keypoints || []) {
+    const typeId = getKeypointTypeId(keypoint);
+    if (!groups.has(typeId)) groups.set(typeId, []);
+    groups.get(typeId).push(keypoint);
+  }
+  return groups;
+}
+
+function matchType(typeId, listA, listB, maxDistance) {
+  const pairs = [];
+  const leftA = [];
+  const leftB = [...listB];
+
+  // 有序号的标注点按序号匹配
+  for (const a of listA) {
+    const index = hasOrder(a) ? leftB.findIndex(b => hasOrder(b) && b.order === a.order) : -1;
+    if (index === -1) {
+      leftA.push(a);
+    } else {
+      pairs.push({ typeId, a, b: leftB[index] });
+      leftB.splice(index, 1);
+    }
+  }
+
+  // 至少一方没有序号：按距离从近到远贪心匹配
+  const candidates = [];
+  leftA.forEach((a, i) => leftB.forEach((b, j) => {
+    if (hasOrder(a) && hasOrder(b)) return;
+    const d = distance(a, b);
+    if (d <= maxDistance) candidates.push({ i, j, d });
+  }));
+  candidates.sort((x, y) => x.d - y.d);
+
+  const usedA = new Set();
+  const usedB = new Set();
+  for (const { i, j } of candidates) {
+    if (usedA.has(i) || usedB.has(j)) continue;
+    usedA.add(i);
+    usedB.add(j);
+    pairs.push({ typeId, a: leftA[i], b: leftB[j] });
+  }
+
+  return {
+    pairs,
+    missed: leftA.filter((_, i) => !usedA.has(i)).map(keypoint => ({ typeId, keypoint })),
+    extra: leftB.filter((_, j) => !usedB.has(j)).map(keypoint => ({ typeId, keypoint }))
+  };
+}
+
+/**
+ * 匹配一张图像的两组标注点
+ *
+ * @param {Array} keypointsA - Reference annotation
+ * @param {Array} keypointsB - Second annotation
+ * @param {{ maxDistance?: number }} [options]
+ * @returns {{ pairs: Array<{ typeId, a, b, distance, angleError }>, missed: Array<{ typeId, keypoint }>, extra: Array<{ typeId, keypoint }> }}
+ */
+export function matchKeypoints(keypointsA, keypointsB, { maxDistance = DEFAULT_MATCH_DISTANCE } = {}) {
+  const groupsA = groupByType(keypointsA);
+  const groupsB = groupByType(keypointsB);
+  const result = { pairs: [], missed: [], extra: [] };
+
+  for (const typeId of new Set([...groupsA.keys(), ...groupsB.keys()])) {
+    const { pairs, missed, extra } = matchType(typeId, groupsA.get(typeId) || [], groupsB.get(typeId) || [], maxDistance);
+    for (const pair of pairs) {
+      const directionA = directionToDegrees(pair.a.direction);
+      const directionB = directionToDegrees(pair.b.direction);
+      result.pairs.push({
+        ...pair,
+        distance: distance(pair.a, pair.b),
+        angleError: directionA !== null && directionB !== null ? angleDifference(directionA, directionB) : null
+      });
+    }
+    result.missed.push(...missed);
+    result.extra.push(...extra);
+  }
+  return result;
+}
+
+// ---------- 汇总 ----------
+
+function createBucket(thresholds) {
+  return {
+    images: new Set(),
+    matched: 0,
+    missed: 0,
+    extra: 0,
+    errorSum: 0,
+    pckHits: thresholds.map(() => 0),
+    angleErrorSum: 0,
+    angleCount: 0
+  };
+}
+
+function addToBucket(bucket, imageId, { pairs, missed, extra }, thresholds) {
+  bucket.images.add(imageId);
+  bucket.matched += pairs.length;
+  bucket.missed += missed.length;
+  bucket.extra += extra.length;
+  for (const pair of pairs) {
+    bucket.errorSum += pair.distance;
+    thresholds.forEach((threshold, i) => {
+      if (pair.distance <= threshold) bucket.pckHits[i]++;
+    });
+    if (pair.angleError !== null) {
+      bucket.angleErrorSum += pair.angleError;
+      bucket.angleCount++;
+    }
+  }
+}
+
+function round(value, digits = 3) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+function finalizeBucket(bucket, thresholds) {
+  const reference = bucket.matched + bucket.missed;
+  return {
+    images: bucket.images.size,
+    keypointsA: reference,
+    keypointsB: bucket.matched + bucket.extra,
+    matched: bucket.matched,
+    missed: bucket.missed,
+    extra: bucket.extra,
+    meanPixelError: round(bucket.matched > 0 ? bucket.errorSum / bucket.matched : null),
+    pck: Object.fromEntries(thresholds.map((threshold, i) => [
+      String(threshold),
+      round(reference > 0 ? bucket.pckHits[i] / reference : null, 4)
+    ])),
+    meanAngleError: round(bucket.angleCount > 0 ? bucket.angleErrorSum / bucket.angleCount : null),
+    angleCount: bucket.angleCount
+  };
+}
+
+function getBucket(map, key, thresholds) {
+  if (!map.has(key)) map.set(key, createBucket(thresholds));
+  return map.get(key);
+}
+
+/**
+ * 计算一致性报告
+ *
+ * Images that only one side annotated are not double-annotated and are
+ * left out (counted in `skippedImages`).
+ *
+ * @param {Array<{ imageId: string, plantId: string, a: Array|null, b: Array|null }>} images
+ * @param {{ thresholds?: number[], maxDistance?: number }} [options]
+ */
+export function computeAgreement(images, { thresholds = DEFAULT_PCK_THRESHOLDS, maxDistance = DEFAULT_MATCH_DISTANCE } = {}) {
+  const sortedThresholds = [...new Set(thresholds)].sort((x, y) => x - y);
+  const overall = createBucket(sortedThresholds);
+  const plants = new Map();
+  const types = new Map();
+  const plantTypes = new Map();
+  let skippedImages = 0;
+
+  for (const { imageId, plantId, a, b } of images) {
+    if (!a || !b) {
+      skippedImages++;
+      continue;
+    }
+    const match = matchKeypoints(a, b, { maxDistance });
+    addToBucket(overall, imageId, match, sortedThresholds);
+    addToBucket(getBucket(plants, plantId, sortedThresholds), imageId, match, sortedThresholds);
+
+    // 按类型拆分
+    const byType = new Map();
+    const part = typeId => {
+      if (!byType.has(typeId)) byType.set(typeId, { pairs: [], missed: [], extra: [] });
+      return byType.get(typeId);
+    };
+    match.pairs.forEach(pair => part(pair.typeId).pairs.push(pair));
+    match.missed.forEach(entry => part(entry.typeId).missed.push(entry));
+    match.extra.forEach(entry => part(entry.typeId).extra.push(entry));
+    for (const [typeId, typeMatch] of byType) {
+      addToBucket(getBucket(types, typeId, sortedThresholds), imageId, typeMatch, sortedThresholds);
+      addToBucket(getBucket(plantTypes, `${plantId}\u0000${typeId}`, sortedThresholds), imageId, typeMatch, sortedThresholds);
+    }
+  }
+
+  const sortedEntries = map => [...map.entries()].sort(([x], [y]) => x.localeCompare(y));
+  return {
+    thresholds: sortedThresholds,
+    maxDistance,
+    skippedImages,
+    overall: finalizeBucket(overall, sortedThresholds),
+    plants: sortedEntries(plants).map(([plantId, bucket]) => ({ plantId, ...finalizeBucket(bucket, sortedThresholds) })),
+    types: sortedEntries(types).map(([customTypeId, bucket]) => ({ customTypeId, ...finalizeBucket(bucket, sortedThresholds) })),
+    plantTypes: sortedEntries(plantTypes).map(([key, bucket]) => {
+      const [plantId, customTypeId] = key.split('\u0000');
+      return { plantId, customTypeId, ...finalizeBucket(bucket, sortedThresholds) };
+    })
+  };
+}
+
+/**
+ * 一致性报告的 CSV（每行一个汇总范围：overall、plant、type、plant-type）
+ */
+export function agreementReportToCsv(report) {
+  const pckColumns = report.thresholds.map(threshold => ({ key: `pck_${threshold}`, header: `pck@${threshold}px` }));
+  const columns = [
+    'scope', 'plantId', 'customTypeId', 'images', 'keypointsA', 'keypointsB',
+    'matched', 'missed', 'extra', 'meanPixelError', ...pckColumns, 'meanAngleError', 'angleCount'
+  ];
+  const toRow = (scope, entry) => {
+    const row = { scope, plantId: entry.plantId ?? '', customTypeId: entry.customTypeId ?? '', ...entry };
+    report.thresholds.forEach(threshold => {
+      row[`pck_${threshold}`] = entry.pck[String(threshold)];
+    });
+    return row;
+  };
+  return toCsv(columns, [
+    toRow('overall', report.overall),
+    ...report.plants.map(entry => toRow('plant', entry)),
+    ...report.types.map(entry => toRow('type', entry)),
+    ...report.plantTypes.map(entry => toRow('plant-type', entry))
+  ]);
+}
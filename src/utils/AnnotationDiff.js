@@ -0,0 +1,160 @@
+/**
+ * 标注差异比较
+ *
+ * Shared by the revision log in backend-server.js (per-revision summaries,
+ * the diff endpoint), the history drawer and the save-conflict merge
+ * dialog. Keypoints are matched by `id`;
+ * keypoints without one fall back to type + order.
+ */
+
+// Fields that make up a keypoint's visible state
+export const COMPARED_FIELDS = [
+  'x', 'y', 'order', 'direction', 'directionType', 'directions', 'maxDirections',
+  'annotationType', 'customTypeId', 'width', 'height'
+];
+
+/**
+ * 标注点匹配键
+ */
+export function keypointKey(keypoint) {
+  if (keypoint.id !== undefined && keypoint.id !== null) {
+    return `id:${keypoint.id}`;
+  }
+  return `order:${keypoint.annotationType || 'regular'}:${keypoint.customTypeId || ''}:${keypoint.order}`;
+}
+
+// 多方向标注的 directions 是对象数组，需要逐项比较
+function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => sameValue(a[key], b[key]));
+}
+
+/**
+ * 两个版本的同一标注点之间有变化的字段
+ *
+ * @returns {string[]} Names from COMPARED_FIELDS
+ */
+export function changedFields(before, after) {
+  return COMPARED_FIELDS.filter(field => !sameValue(before[field], after[field]));
+}
+
+/**
+ * 比较两组标注点
+ *
+ * @param {Array} before - Keypoints of the older revision
+ * @param {Array} after - Keypoints of the newer revision
+ * @returns {{ added: Array, removed: Array, changed: Array<{ key, before, after, fields }>, unchanged: number }}
+ */
+export function diffAnnotations(before = [], after = []) {
+  const beforeByKey = new Map((before || []).map(kp => [keypointKey(kp), kp]));
+  const afterByKey = new Map((after || []).map(kp => [keypointKey(kp), kp]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [key, kp] of afterByKey) {
+    const previous = beforeByKey.get(key);
+    if (!previous) {
+      added.push(kp);
+      continue;
+    }
+    const fields = changedFields(previous, kp);
+    if (fields.length > 0) {
+      changed.push({ key, before: previous, after: kp, fields });
+    } else {
+      unchanged++;
+    }
+  }
+
+  for (const [key, kp] of beforeByKey) {
+    if (!afterByKey.has(key)) {
+      removed.push(kp);
+    }
+  }
+
+  return { added, removed, changed, unchanged };
+}
+
+/**
+ * 差异摘要（计数）
+ */
+export function summarizeDiff(diff) {
+  return {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    changed: diff.changed.length
+  };
+}
+
+/**
+ * 格式化差异摘要，例如 "+2 −1 ~3"
+ */
+export function formatDiffSummary(summary) {
+  if (!summary) return '';
+  const parts = [];
+  if (summary.added) parts.push(`+${summary.added}`);
+  if (summary.removed) parts.push(`−${summary.removed}`);
+  if (summary.changed) parts.push(`~${summary.changed}`);
+  return parts.length > 0 ? parts.join(' ') : 'no changes';
+}
+
+function compareKeypoints(a, b) {
+  const typeA = a.annotationType === 'custom' ? `custom:${a.customTypeId || ''}` : '';
+  const typeB = b.annotationType === 'custom' ? `custom:${b.customTypeId || ''}` : '';
+  if (typeA !== typeB) return typeA < typeB ? -1 : 1;
+  return (a.order ?? 0) - (b.order ?? 0);
+}
+
+/**
+ * 保存冲突时逐点对照本地与服务器的标注
+ *
+ * @param {Array} local - Keypoints being saved
+ * @param {Array} server - Keypoints currently on the server
+ * @returns {Array<{ key, local, server, status: 'same'|'changed'|'local-only'|'server-only' }>}
+ *   Sorted by annotation type, then order
+ */
+export function pairKeypoints(local = [], server = []) {
+  const serverByKey = new Map((server || []).map(kp => [keypointKey(kp), kp]));
+  const pairs = [];
+
+  for (const kp of local || []) {
+    const key = keypointKey(kp);
+    const other = serverByKey.get(key);
+    serverByKey.delete(key);
+    if (!other) {
+      pairs.push({ key, local: kp, server: null, status: 'local-only' });
+    } else {
+      pairs.push({ key, local: kp, server: other, status: changedFields(other, kp).length > 0 ? 'changed' : 'same' });
+    }
+  }
+
+  for (const [key, kp] of serverByKey) {
+    pairs.push({ key, local: null, server: kp, status: 'server-only' });
+  }
+
+  return pairs.sort((a, b) => compareKeypoints(a.local || a.server, b.local || b.server));
+}
+
+/**
+ * 按逐点选择合并
+ *
+ * @param {Array} pairs - From pairKeypoints
+ * @param {Object<string, 'local'|'server'>} [choices] - Per key; a side without the
+ *   keypoint drops it. Unlisted keys keep the local keypoint, or the server one
+ *   when only the server has it.
+ * @returns {Array} Merged keypoints
+ */
+export function mergeKeypoints(pairs, choices = {}) {
+  return pairs
+    .map(pair => {
+      const side = choices[pair.key] || (pair.local ? 'local' : 'server');
+      return side === 'server' ? pair.server : pair.local;
+    })
+    .filter(Boolean)
+    .map(kp => ({ ...kp }));
+}
@@ -0,0 +1,124 @@
+/**
+ * 标注导出文件
+ *
+ * Builds the export files shared by the export dialog (src/main.js) and the
+ * command-line tool (scripts/annotation-cli.js), so both write the same
+ * content: the native JSON export, COCO Keypoints, CVAT XML, Label Studio
+ * JSON and the branch trajectory JSON/CSV.
+ *
+ * `exportData` is the shape returned by getDirectExportData() in main.js
+ * and loadAnnotationExportData() in backend/annotationExport.js:
+ *   { annotations: { [imageId]: { imageId, plantId, annotations, ... } }, skippedPlants: { [plantId]: {...} } }
+ */
+
+import { datedFileName } from './Download.js';
+import { buildCocoDataset } from './CocoFormat.js';
+import { buildCvatXml } from './CvatFormat.js';
+import { buildLabelStudioTasks } from './LabelStudioFormat.js';
+import { trajectoriesToCsv } from './BranchTrajectories.js';
+
+/**
+ * 导出统计
+ */
+export function calculateExportStats(exportData) {
+  const annotatedImages = Object.keys(exportData.annotations).length;
+  const skippedPlants = Object.keys(exportData.skippedPlants).length;
+
+  let totalKeypoints = 0;
+  for (const imageData of Object.values(exportData.annotations)) {
+    totalKeypoints += imageData.annotations.length;
+  }
+
+  const averageKeypointsPerImage = annotatedImages > 0 ?
+    (totalKeypoints / annotatedImages).toFixed(1) : '0';
+
+  return {
+    annotatedImages,
+    totalKeypoints,
+    averageKeypointsPerImage,
+    skippedPlants
+  };
+}
+
+/**
+ * 原生 JSON 导出（纯标注数据和跳过的植物）
+ */
+export function buildPureAnnotationExport(exportData) {
+  const stats = calculateExportStats(exportData);
+  return {
+    exportTime: new Date().toISOString(),
+    version: '3.0',
+    format: 'pure_annotations',
+    description: 'Pure annotation data, including image annotations and skipped plant information',
+    stats,
+    annotations: exportData.annotations,
+    skippedPlants: exportData.skippedPlants
+  };
+}
+
+/**
+ * COCO Keypoints、CVAT XML 或 Label Studio JSON 导出文件
+ *
+ * @param {'coco'|'cvat'|'labelstudio'} format
+ * @param {Array<{ imageId: string, width: number|null, height: number|null, annotations: Array }>} images - Sorted by image ID
+ * @param {Array<Object>} customTypes - Custom annotation types; types only found in the annotations are added
+ * @param {Object} [options]
+ * @param {RegExp} [options.plantIdRegex] - The configured plantIdPattern, see parseImageId
+ * @returns {{ files: Array<{ content: string, fileName: string, type: string }>, images: number, annotations: number, missingSizes: string[] }}
+ *   missingSizes: images without a known size (left out of Label Studio tasks)
+ */
+export function buildInterchangeFiles(format, images, customTypes, { plantIdRegex = null } = {}) {
+  const missingSizes = images.filter(image => image.width === null).map(image => image.imageId);
+  const annotations = images.reduce((sum, image) => sum + image.annotations.length, 0);
+
+  if (format === 'coco') {
+    const coco = buildCocoDataset({ images, customTypes, plantIdRegex });
+    return {
+      files: [{ content: JSON.stringify(coco, null, 2), fileName: datedFileName('annotations_coco', 'json'), type: 'application/json' }],
+      images: coco.images.length,
+      annotations: coco.annotations.length,
+      missingSizes
+    };
+  }
+  if (format === 'cvat') {
+    return {
+      files: [{ content: buildCvatXml({ images, customTypes, plantIdRegex }), fileName: datedFileName('annotations_cvat', 'xml'), type: 'application/xml' }],
+      images: images.length,
+      annotations,
+      missingSizes
+    };
+  }
+  if (format === 'labelstudio') {
+    const { tasks, config, skippedImages } = buildLabelStudioTasks({ images, customTypes, plantIdRegex });
+    return {
+      files: [
+        { content: JSON.stringify(tasks, null, 2), fileName: datedFileName('annotations_labelstudio', 'json'), type: 'application/json' },
+        { content: config, fileName: datedFileName('labelstudio_config', 'xml'), type: 'application/xml' }
+      ],
+      images: tasks.length,
+      annotations: tasks.reduce((sum, task) => sum + task.annotations[0].result.length, 0),
+      missingSizes: skippedImages
+    };
+  }
+  throw new Error(`Unknown export format: ${format}`);
+}
+
+/**
+ * 分枝轨迹导出文件
+ *
+ * @param {Array<Object>} tracks - From buildBranchTrajectories()
+ * @param {'json'|'csv'} file
+ * @returns {{ content: string, fileName: string, type: string }}
+ */
+export function buildTrajectoryFile(tracks, file) {
+  if (file === 'csv') {
+    return { content: trajectoriesToCsv(tracks), fileName: datedFileName('branch_trajectories', 'csv'), type: 'text/csv' };
+  }
+  const content = {
+    exportTime: new Date().toISOString(),
+    format: 'branch_trajectories',
+    version: '1.0',
+    tracks
+  };
+  return { content: JSON.stringify(content, null, 2), fileName: datedFileName('branch_trajectories', 'json'), type: 'application/json' };
+}
@@ -0,0 +1,94 @@
+/**
+ * 标注交换格式的公共部分
+ *
+ * Shared by the COCO, CVAT and Label Studio converters: the annotation types
+ * used by a set of images, and resolving the labels of an imported file to
+ * custom annotation types, creating the missing ones.
+ */
+
+import { getKeypointTypeId } from './AnnotationAgreement.js';
+
+// 导入时新建类型的颜色
+const IMPORT_TYPE_COLORS = ['#ef4444', '#3b82f6', '#f59e0b', '#8b5cf6', '#14b8a6', '#ec4899', '#84cc16', '#f97316'];
+
+export function isRegion(keypoint) {
+  return typeof keypoint.width === 'number' && typeof keypoint.height === 'number';
+}
+
+/**
+ * 类型列表：已知的自定义类型，加上标注中出现但未定义的类型
+ *
+ * @param {Array<{ annotations?: Array }>} images
+ * @param {Array<Object>} customTypes
+ */
+export function collectAnnotationTypes(images, customTypes) {
+  const types = [...customTypes];
+  const known = new Set(types.map(type => type.id));
+  for (const image of images) {
+    for (const keypoint of image.annotations || []) {
+      const typeId = getKeypointTypeId(keypoint);
+      if (!known.has(typeId)) {
+        known.add(typeId);
+        types.push({ id: typeId, name: typeId, type: isRegion(keypoint) ? 'region' : 'point', metadata: {} });
+      }
+    }
+  }
+  return types;
+}
+
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'type';
+}
+
+/**
+ * 导入标签到自定义类型的解析器
+ *
+ * `resolve(id, name, kind, metadata)` returns the ID of the type with this ID,
+ * else of the type of this kind with this name, else of a new type
+ * `<prefix>-<slug>` collected in `newTypes` for the caller to create.
+ *
+ * @param {Array<Object>} customTypes - Existing custom annotation types
+ * @param {Object} options
+ * @param {string} options.prefix - ID prefix of new types, e.g. 'coco'
+ * @param {string} options.source - Format name for the type description
+ * @returns {{ resolve: Function, newTypes: Array<Object> }}
+ */
+export function createTypeResolver(customTypes, { prefix, source }) {
+  const typesById = new Map(customTypes.map(type => [type.id, type]));
+  const newTypes = [];
+
+  const resolve = (id, name, kind, metadata = {}) => {
+    const existing = (id && typesById.get(id)) ||
+      customTypes.find(type => type.type === kind && type.name === name) ||
+      newTypes.find(type => type.type === kind && type.name === name);
+    if (existing) return existing.id;
+
+    const baseId = id || `${prefix}-${slugify(name)}`;
+    let newId = baseId;
+    for (let i = 2; typesById.has(newId); i++) newId = `${baseId}-${i}`;
+    const type = {
+      id: newId,
+      name: name || newId,
+      type: kind,
+      color: IMPORT_TYPE_COLORS[newTypes.length % IMPORT_TYPE_COLORS.length],
+      description: `Imported from ${source}`,
+      metadata
+    };
+    typesById.set(newId, type);
+    newTypes.push(type);
+    return newId;
+  };
+
+  return { resolve, newTypes };
+}
+
+/**
+ * 图像内某类型的下一个序号（导入时为没有序号的标注点编号）
+ *
+ * @param {Map<string, number>} orders - Last order per type ID, updated
+ */
+export function nextOrder(orders, typeId) {
+  const order = (orders.get(typeId) || 0) + 1;
+  orders.set(typeId, order);
+  return order;
+}
@@ -0,0 +1,131 @@
+/**
+ * 标注文件的格式版本和迁移
+ *
+ * Every annotation document carries `schemaVersion`, the version of the
+ * last migration applied to it. Documents written before versioning have
+ * none and count as version 0; the older `version` field ('1.0', '2.0') is
+ * a free-form label and is not interpreted.
+ *
+ * ANNOTATION_MIGRATIONS is the chain from one version to the next. When the
+ * format changes, append a step here instead of writing a one-off script:
+ * the frontend migrates documents when it loads them and stamps the current
+ * version when it saves, and `node scripts/annotation-cli.js migrate`
+ * rewrites the stored files in bulk (backend/annotationMigration.js).
+ *
+ * Steps are pure and idempotent: documents from before versioning may
+ * already be partly in the newer format, and keypoint lists that arrive
+ * without their document (the bulk endpoint) go through every step.
+ */
+
+const BUILTIN_REGULAR_TYPE_ID = 'builtin-regular-keypoint';
+
+// 旧数据中的左右方向对应的角度
+const LEGACY_DIRECTION_ANGLES = { left: 180, right: 0 };
+
+/**
+ * 标注文档的格式版本比当前代码新（由更新的版本写入）
+ */
+export class UnsupportedSchemaVersionError extends Error {
+  constructor(schemaVersion) {
+    super(`Annotation schema version ${schemaVersion} is newer than the supported version ${ANNOTATION_SCHEMA_VERSION}`);
+    this.name = 'UnsupportedSchemaVersionError';
+    this.schemaVersion = schemaVersion;
+  }
+}
+
+// 逐个转换标注点，未变化的标注点保持原对象
+function mapKeypoints(document, migrateKeypoint) {
+  if (!Array.isArray(document.annotations)) return document;
+  return { ...document, annotations: document.annotations.map(keypoint => migrateKeypoint(keypoint) ?? keypoint) };
+}
+
+export const ANNOTATION_MIGRATIONS = Object.freeze([
+  {
+    version: 1,
+    description: `Regular keypoints become the builtin custom type "${BUILTIN_REGULAR_TYPE_ID}"`,
+    migrate: document => mapKeypoints(document, keypoint => {
+      if (keypoint.annotationType && keypoint.annotationType !== 'regular') return null;
+      return { ...keypoint, annotationType: 'custom', customTypeId: keypoint.customTypeId || BUILTIN_REGULAR_TYPE_ID };
+    })
+  },
+  {
+    version: 2,
+    description: 'Left/right directions become angles (180° / 0°)',
+    migrate: document => mapKeypoints(document, keypoint => {
+      if (keypoint.direction === 'left' || keypoint.direction === 'right') {
+        return { ...keypoint, direction: LEGACY_DIRECTION_ANGLES[keypoint.direction], directionType: 'angle' };
+      }
+      if (typeof keypoint.direction === 'number' && !keypoint.directionType) {
+        return { ...keypoint, directionType: 'angle' };
+      }
+      return null;
+    })
+  }
+]);
+
+export const ANNOTATION_SCHEMA_VERSION = ANNOTATION_MIGRATIONS[ANNOTATION_MIGRATIONS.length - 1].version;
+
+/**
+ * 文档的格式版本，没有 schemaVersion 时为 0
+ */
+export function getSchemaVersion(document) {
+  const version = document?.schemaVersion;
+  return Number.isInteger(version) && version >= 0 ? version : 0;
+}
+
+/**
+ * 文档是否需要迁移（包括只需补写 schemaVersion 的文档）
+ */
+export function needsMigration(document) {
+  return !!document && typeof document === 'object' && document.schemaVersion !== ANNOTATION_SCHEMA_VERSION;
+}
+
+/**
+ * 把标注文档迁移到当前格式版本
+ *
+ * The input is not modified. Unchanged keypoints keep their object identity,
+ * so `changedKeypoints` counts the keypoints a step actually rewrote.
+ *
+ * @param {Object} document - Annotation document ({ annotations, ... })
+ * @returns {{ document: Object, fromVersion: number, applied: number[], changedKeypoints: number }}
+ *   `applied` lists the versions of the steps that ran
+ * @throws {UnsupportedSchemaVersionError} When the document is newer than this code
+ */
+export function migrateAnnotationDocument(document) {
+  const fromVersion = getSchemaVersion(document);
+  if (fromVersion > ANNOTATION_SCHEMA_VERSION) {
+    throw new UnsupportedSchemaVersionError(fromVersion);
+  }
+  if (!needsMigration(document)) {
+    return { document, fromVersion, applied: [], changedKeypoints: 0 };
+  }
+
+  let migrated = document;
+  const applied = [];
+  for (const step of ANNOTATION_MIGRATIONS) {
+    if (step.version <= fromVersion) continue;
+    migrated = step.migrate(migrated);
+    applied.push(step.version);
+  }
+
+  const original = Array.isArray(document.annotations) ? document.annotations : [];
+  const changedKeypoints = Array.isArray(migrated.annotations)
+    ? migrated.annotations.filter((keypoint, index) => keypoint !== original[index]).length
+    : 0;
+  return {
+    document: { ...migrated, schemaVersion: ANNOTATION_SCHEMA_VERSION },
+    fromVersion,
+    applied,
+    changedKeypoints
+  };
+}
+
+/**
+ * 迁移不带文档的标注点列表（批量接口、旧的植物汇总文件），每一步都会执行
+ *
+ * @returns {Array} The migrated keypoints; unchanged ones keep their identity
+ */
+export function migrateKeypoints(keypoints) {
+  if (!Array.isArray(keypoints)) return keypoints;
+  return migrateAnnotationDocument({ annotations: keypoints }).document.annotations;
+}
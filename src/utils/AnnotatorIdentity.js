@@ -0,0 +1,85 @@
+/**
+ * 标注者身份与归属
+ *
+ * The frontend sends the selected annotator with every request in the
+ * `X-Annotator` header (URI-encoded, headers are Latin-1 only). The backend
+ * stamps `createdBy` / `modifiedBy` on what it stores, so attribution does
+ * not depend on the client sending those fields.
+ */
+
+import { keypointKey, changedFields } from './AnnotationDiff.js';
+
+export const ANNOTATOR_HEADER = 'X-Annotator';
+export const UNKNOWN_ANNOTATOR = 'unknown';
+export const MAX_ANNOTATOR_LENGTH = 64;
+
+/**
+ * 规范化标注者名称，无效时返回空字符串
+ */
+export function normalizeAnnotatorName(name) {
+  if (typeof name !== 'string') return '';
+  const normalized = name.replace(/[\u0000-\u001f\u007f]/g, '').replace(/\s+/g, ' ').trim();
+  return normalized.slice(0, MAX_ANNOTATOR_LENGTH);
+}
+
+export function encodeAnnotatorHeader(name) {
+  return encodeURIComponent(normalizeAnnotatorName(name));
+}
+
+/**
+ * 解析请求头中的标注者，无法解析时返回空字符串
+ */
+export function decodeAnnotatorHeader(value) {
+  if (!value) return '';
+  try {
+    return normalizeAnnotatorName(decodeURIComponent(value));
+  } catch (error) {
+    return normalizeAnnotatorName(value);
+  }
+}
+
+/**
+ * 为标注点加上创建者/修改者
+ *
+ * Keypoints new to the file are created by `annotator`. Existing ones keep
+ * their `createdBy`; they get `modifiedBy: annotator` only when a visible
+ * field changed, otherwise the stored attribution is kept as is.
+ *
+ * @param {Array} previous - Keypoints currently stored
+ * @param {Array} next - Keypoints being saved
+ * @param {string} annotator
+ * @returns {Array} `next` with attribution fields set
+ */
+export function stampKeypoints(previous = [], next = [], annotator) {
+  const previousByKey = new Map((previous || []).map(kp => [keypointKey(kp), kp]));
+
+  return (next || []).map(kp => {
+    const { createdBy, modifiedBy, ...rest } = kp;
+    const stored = previousByKey.get(keypointKey(kp));
+
+    if (!stored) {
+      return { ...rest, createdBy: annotator, modifiedBy: annotator };
+    }
+
+    const changed = changedFields(stored, kp).length > 0;
+    const stamped = { ...rest };
+    if (stored.createdBy) stamped.createdBy = stored.createdBy;
+    if (changed) {
+      stamped.modifiedBy = annotator;
+    } else if (stored.modifiedBy) {
+      stamped.modifiedBy = stored.modifiedBy;
+    }
+    return stamped;
+  });
+}
+
+/**
+ * 为单个记录（状态、跳过信息、笔记）加上创建者/修改者
+ */
+export function stampRecord(previous, next, annotator) {
+  return {
+    ...next,
+    createdBy: previous?.createdBy || annotator,
+    modifiedBy: annotator
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * 分枝轨迹导出
+ *
+ * Rebuilds the history of each branch from the per-image annotations: for
+ * every plant and view, the frames of the time sequence (oldest first, see
+ * TimeSeriesAnnotationManager.timeSequences) are walked and the keypoints
+ * with the same annotation type and `order` form one track. A track lists
+ * its frames with position, directions and whether the frame was annotated
+ * by hand or propagated, the first and last frames it was seen in, and the
+ * frames in between where it is missing.
+ *
+ * Keypoints without an order number cannot be followed and are counted in
+ * `skippedKeypoints`.
+ */
+
+import { toCsv } from './Csv.js';
+import { getKeypointTypeId } from './AnnotationAgreement.js';
+import { getDirectionAngles, toIsoString } from './TidyExport.js';
+
+export const TRAJECTORY_CSV_COLUMNS = [
+  'plantId', 'viewAngle', 'customTypeId', 'order', 'firstSeen', 'lastSeen',
+  'frameIndex', 'imageId', 'captureDateTime', 'x', 'y', 'width', 'height',
+  'direction', 'directions', 'source'
+];
+
+function compareTracks(a, b) {
+  return a.plantId.localeCompare(b.plantId) ||
+    a.viewAngle.localeCompare(b.viewAngle) ||
+    a.customTypeId.localeCompare(b.customTypeId) ||
+    a.order - b.order;
+}
+
+/**
+ * 生成分枝轨迹
+ *
+ * @param {Array<{ plantId: string, viewAngle: string, imageIds: string[] }>} sequences - Frames of each plant view, oldest first
+ * @param {Object} options
+ * @param {(imageId: string) => (Array|null)} options.getAnnotations - Keypoints of a frame, null when not annotated
+ * @param {(imageId: string) => (Date|string|null)} [options.getCaptureTime]
+ * @param {(plantId: string, viewAngle: string, imageId: string) => ('manual'|'propagated'|null)} [options.getAnnotationSource]
+ * @param {string[]|null} [options.typeIds] - Only these annotation types
+ * @returns {{ tracks: Array<Object>, skippedKeypoints: number }}
+ */
+export function buildBranchTrajectories(sequences, {
+  getAnnotations,
+  getCaptureTime = () => null,
+  getAnnotationSource = () => null,
+  typeIds = null
+}) {
+  const tracks = [];
+  let skippedKeypoints = 0;
+
+  for (const { plantId, viewAngle, imageIds } of sequences) {
+    const byKey = new Map();
+    // 该视角中有标注文件的时间点，用于计算缺失的帧
+    const annotatedIndexes = [];
+
+    imageIds.forEach((imageId, frameIndex) => {
+      const annotations = getAnnotations(imageId);
+      if (!annotations) return;
+      annotatedIndexes.push(frameIndex);
+
+      const captureDateTime = toIsoString(getCaptureTime(imageId));
+      const source = getAnnotationSource(plantId, viewAngle, imageId);
+      for (const keypoint of annotations) {
+        const customTypeId = getKeypointTypeId(keypoint);
+        if (typeIds && !typeIds.includes(customTypeId)) continue;
+        if (!Number.isInteger(keypoint.order)) {
+          skippedKeypoints++;
+          continue;
+        }
+
+        const key = `${customTypeId}#${keypoint.order}`;
+        if (!byKey.has(key)) {
+          byKey.set(key, { plantId, viewAngle, customTypeId, order: keypoint.order, frames: [] });
+        }
+        const angles = getDirectionAngles(keypoint);
+        byKey.get(key).frames.push({
+          frameIndex,
+          imageId,
+          captureDateTime,
+          x: keypoint.x,
+          y: keypoint.y,
+          width: keypoint.width ?? null,
+          height: keypoint.height ?? null,
+          direction: angles[0] ?? null,
+          directions: angles,
+          source
+        });
+      }
+    });
+
+    for (const track of byKey.values()) {
+      const first = track.frames[0];
+      const last = track.frames[track.frames.length - 1];
+      const seen = new Set(track.frames.map(frame => frame.frameIndex));
+      tracks.push({
+        ...track,
+        firstSeen: first.captureDateTime,
+        lastSeen: last.captureDateTime,
+        firstImageId: first.imageId,
+        lastImageId: last.imageId,
+        frameCount: track.frames.length,
+        // 首末帧之间有标注但没有该分枝的时间点
+        missingImageIds: annotatedIndexes
+          .filter(index => index > first.frameIndex && index < last.frameIndex && !seen.has(index))
+          .map(index => imageIds[index])
+      });
+    }
+  }
+
+  return { tracks: tracks.sort(compareTracks), skippedKeypoints };
+}
+
+/**
+ * 轨迹 CSV：每条轨迹的每一帧一行
+ *
+ * @param {Array<Object>} tracks - From buildBranchTrajectories()
+ */
+export function trajectoriesToCsv(tracks) {
+  const rows = tracks.flatMap(({ frames, ...track }) => frames.map(frame => ({
+    ...track,
+    ...frame,
+    directions: frame.directions.join(';')
+  })));
+  return toCsv(TRAJECTORY_CSV_COLUMNS, rows);
+}
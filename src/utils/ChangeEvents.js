@@ -0,0 +1,43 @@
+/**
+ * 实时变更通知的事件类型
+ *
+ * The backend publishes one event per stored change over Server-Sent Events
+ * (GET /api/events, GET /api/v2/events). Each event is JSON:
+ *
+ *   { id, type, timestamp, plantId, imageId?, noteId?, author, clientId?, ... }
+ *
+ * Browser tabs send a random `X-Client-Id` with their writes, so a tab can
+ * recognise (and skip) the events caused by its own requests.
+ */
+
+export const CHANGE_EVENT_TYPES = Object.freeze({
+  ANNOTATION_SAVED: 'annotation.saved',
+  ANNOTATION_DELETED: 'annotation.deleted',
+  PLANT_STATUS_CHANGED: 'plant-status.changed',
+  NOTE_CREATED: 'note.created',
+  NOTE_UPDATED: 'note.updated',
+  NOTE_DELETED: 'note.deleted',
+  ASSIGNMENT_CHANGED: 'assignment.changed',
+  REVIEW_CHANGED: 'review.changed'
+});
+
+// 服务器无法补发断线期间的事件时发送，客户端应重新加载全部数据
+export const RESYNC_EVENT = 'resync';
+
+export const CLIENT_ID_HEADER = 'X-Client-Id';
+
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * 请求头中的客户端ID，格式无效时返回 null
+ */
+export function normalizeClientId(value) {
+  return typeof value === 'string' && CLIENT_ID_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * 为当前页面生成客户端ID
+ */
+export function createClientId() {
+  return `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
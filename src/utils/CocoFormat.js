@@ -0,0 +1,361 @@
+/**
+ * COCO Keypoints 导入导出
+ *
+ * Converts the per-image annotation files to a COCO keypoints dataset and
+ * back. Used by the export dialog and the COCO import in the browser.
+ *
+ * Categories come from the custom annotation types:
+ *
+ * - point types linked through `metadata.associateTypeId` (child -> parent)
+ *   form one keypoint category; `keypoints` lists the type names from the
+ *   root type down and `skeleton` holds one [child, parent] edge (1-based)
+ *   per linked type
+ * - every region type is a detection category with a bbox and no keypoints
+ *
+ * An instance of a keypoint category is a root keypoint plus the child
+ * keypoints bound to it (`parentAnnotationType` / `parentAnnotationId`);
+ * keypoints without a parent start an instance of their own. Keypoints are
+ * `[x, y, v]` triplets with v = 2 for labeled and 0 for absent slots.
+ *
+ * Non-standard fields keep the round trip lossless: categories carry
+ * `custom_type_id` / `keypoint_type_ids`, annotations carry the original
+ * keypoint fields (order, direction, author...) in `keypoint_attributes`
+ * (one entry per slot) or `attributes` (regions).
+ */
+
+import { getKeypointTypeId } from './AnnotationAgreement.js';
+import { imageIdToPath, matchImageId, parseImageId } from './ViewAngles.js';
+import { collectAnnotationTypes, createTypeResolver, nextOrder } from './AnnotationInterchange.js';
+
+export const COCO_SUPERCATEGORY = 'plant';
+
+/**
+ * 标注点类型中的关联树：每棵树从没有（有效）父类型的类型开始
+ *
+ * @returns {Array<{ root: Object, types: Object[], parentOf: Map<string, string> }>}
+ */
+function buildPointTypeTrees(pointTypes) {
+  const byId = new Map(pointTypes.map(type => [type.id, type]));
+  const parentOf = new Map();
+  for (const type of pointTypes) {
+    const parentId = type.metadata?.associateTypeId;
+    if (!parentId || !byId.has(parentId) || parentId === type.id) continue;
+    // 忽略会形成环的关联
+    let ancestor = parentId;
+    while (ancestor && ancestor !== type.id) ancestor = parentOf.get(ancestor);
+    if (!ancestor) parentOf.set(type.id, parentId);
+  }
+
+  return pointTypes
+    .filter(type => !parentOf.has(type.id))
+    .map(root => {
+      const types = [root];
+      for (let i = 0; i < types.length; i++) {
+        types.push(...pointTypes.filter(type => parentOf.get(type.id) === types[i].id));
+      }
+      return { root, types, parentOf };
+    });
+}
+
+function withoutCoordinates({ x, y, width, height, ...attributes }) {
+  return attributes;
+}
+
+/**
+ * 把一张图像中某个关键点类别的标注点拆成实例
+ */
+function buildInstances(tree, keypointsByType) {
+  const consumed = new Set();
+  const instances = [];
+  const childTypes = startType => {
+    const result = [];
+    for (let i = tree.types.indexOf(startType) + 1; i < tree.types.length; i++) {
+      const parentId = tree.parentOf.get(tree.types[i].id);
+      if (parentId === startType.id || result.some(type => type.id === parentId)) {
+        result.push(tree.types[i]);
+      }
+    }
+    return result;
+  };
+
+  for (const type of tree.types) {
+    for (const keypoint of keypointsByType.get(type.id) || []) {
+      if (consumed.has(keypoint)) continue;
+      const slots = new Map([[type.id, keypoint]]);
+      consumed.add(keypoint);
+      for (const childType of childTypes(type)) {
+        const parentTypeId = tree.parentOf.get(childType.id);
+        const parent = slots.get(parentTypeId);
+        if (!parent || parent.order === undefined || parent.order === null) continue;
+        const child = (keypointsByType.get(childType.id) || []).find(candidate => !consumed.has(candidate) &&
+          candidate.parentAnnotationType === parentTypeId &&
+          candidate.parentAnnotationId === parent.order);
+        if (child) {
+          slots.set(childType.id, child);
+          consumed.add(child);
+        }
+      }
+      instances.push(slots);
+    }
+  }
+  return instances;
+}
+
+function boundingBox(points) {
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return [x, y, Math.max(...xs) - x, Math.max(...ys) - y];
+}
+
+/**
+ * 生成 COCO Keypoints 数据集
+ *
+ * @param {Object} params
+ * @param {Array<{ imageId: string, width?: number|null, height?: number|null, annotations: Array }>} params.images
+ * @param {Array<Object>} params.customTypes - Custom annotation types (CustomAnnotationManager.getAllCustomTypes())
+ * @param {Object} [params.info] - Extra fields for the `info` block
+ * @param {RegExp} [params.plantIdRegex] - The configured plantIdPattern, see parseImageId
+ * @returns {{ info: Object, licenses: Array, images: Array, annotations: Array, categories: Array }}
+ */
+export function buildCocoDataset({ images, customTypes = [], info = {}, plantIdRegex = null }) {
+  const types = collectAnnotationTypes(images, customTypes);
+  const trees = buildPointTypeTrees(types.filter(type => type.type !== 'region'));
+  const regionTypes = types.filter(type => type.type === 'region');
+
+  const categories = [];
+  const categoryOfTree = new Map();
+  const categoryOfRegion = new Map();
+  for (const tree of trees) {
+    const id = categories.length + 1;
+    categories.push({
+      id,
+      name: tree.root.name,
+      supercategory: COCO_SUPERCATEGORY,
+      keypoints: tree.types.map(type => type.name),
+      skeleton: tree.types.slice(1).map((type, i) => [
+        i + 2,
+        tree.types.findIndex(parent => parent.id === tree.parentOf.get(type.id)) + 1
+      ]),
+      custom_type_id: tree.root.id,
+      keypoint_type_ids: tree.types.map(type => type.id)
+    });
+    categoryOfTree.set(tree, id);
+  }
+  for (const type of regionTypes) {
+    const id = categories.length + 1;
+    categories.push({ id, name: type.name, supercategory: COCO_SUPERCATEGORY, keypoints: [], skeleton: [], custom_type_id: type.id });
+    categoryOfRegion.set(type.id, id);
+  }
+
+  const cocoImages = [];
+  const annotations = [];
+  images.forEach(({ imageId, width = null, height = null, annotations: keypoints = [] }, index) => {
+    const cocoImageId = index + 1;
+    cocoImages.push({
+      id: cocoImageId,
+      file_name: imageIdToPath(imageId, plantIdRegex) || imageId,
+      width,
+      height,
+      plant_id: parseImageId(imageId, plantIdRegex)?.plantId ?? null
+    });
+
+    const pointsByType = new Map();
+    for (const keypoint of keypoints) {
+      const typeId = getKeypointTypeId(keypoint);
+      if (categoryOfRegion.has(typeId)) {
+        const [x, y, w, h] = [keypoint.x, keypoint.y, keypoint.width || 0, keypoint.height || 0];
+        annotations.push({
+          id: annotations.length + 1,
+          image_id: cocoImageId,
+          category_id: categoryOfRegion.get(typeId),
+          bbox: [x, y, w, h],
+          area: w * h,
+          iscrowd: 0,
+          segmentation: [],
+          attributes: withoutCoordinates(keypoint)
+        });
+        continue;
+      }
+      if (!pointsByType.has(typeId)) pointsByType.set(typeId, []);
+      pointsByType.get(typeId).push(keypoint);
+    }
+
+    for (const tree of trees) {
+      for (const slots of buildInstances(tree, pointsByType)) {
+        const labeled = [...slots.values()];
+        const [x, y, w, h] = boundingBox(labeled);
+        annotations.push({
+          id: annotations.length + 1,
+          image_id: cocoImageId,
+          category_id: categoryOfTree.get(tree),
+          keypoints: tree.types.flatMap(type => {
+            const keypoint = slots.get(type.id);
+            return keypoint ? [keypoint.x, keypoint.y, 2] : [0, 0, 0];
+          }),
+          num_keypoints: labeled.length,
+          bbox: [x, y, w, h],
+          area: w * h,
+          iscrowd: 0,
+          keypoint_attributes: tree.types.map(type => slots.has(type.id) ? withoutCoordinates(slots.get(type.id)) : null)
+        });
+      }
+    }
+  });
+
+  return {
+    info: {
+      description: 'Plant annotation export',
+      version: '1.0',
+      date_created: new Date().toISOString(),
+      ...info
+    },
+    licenses: [],
+    images: cocoImages,
+    annotations,
+    categories
+  };
+}
+
+// ---------- 导入 ----------
+
+/**
+ * COCO 数据集格式错误
+ */
+export class CocoFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CocoFormatError';
+  }
+}
+
+/**
+ * 类别到自定义类型的映射：先按 custom_type_id / keypoint_type_ids，再按名称，
+ * 都找不到时新建类型
+ */
+function resolveCategoryTypes(categories, customTypes) {
+  const { resolve: findOrCreate, newTypes } = createTypeResolver(customTypes, { prefix: 'coco', source: 'COCO' });
+
+  const resolved = new Map();
+  for (const category of categories) {
+    const names = Array.isArray(category.keypoints) ? category.keypoints : [];
+    if (names.length === 0) {
+      resolved.set(category.id, { kind: 'region', typeId: findOrCreate(category.custom_type_id, category.name, 'region') });
+      continue;
+    }
+
+    const typeIds = [];
+    const exportedIds = Array.isArray(category.keypoint_type_ids) ? category.keypoint_type_ids : [];
+    // 本工具导出的骨架是 [子, 父]，据此恢复新建类型的父类型
+    const parentSlot = new Map((category.skeleton || []).map(([child, parent]) => [child - 1, parent - 1]));
+    names.forEach((name, slot) => {
+      const parentId = exportedIds.length > 0 && parentSlot.has(slot) ? typeIds[parentSlot.get(slot)] : null;
+      typeIds.push(findOrCreate(exportedIds[slot], name, 'point', parentId ? { associateTypeId: parentId } : {}));
+    });
+    resolved.set(category.id, {
+      kind: 'point',
+      typeIds,
+      parentSlot: exportedIds.length > 0 ? parentSlot : new Map()
+    });
+  }
+  return { resolved, newTypes };
+}
+
+/**
+ * 解析 COCO Keypoints 数据集
+ *
+ * Images are matched to image IDs by `file_name` (see matchImageId). Missing
+ * types are returned in `newTypes` for the caller to create. Keypoints
+ * without exported attributes (e.g. model predictions) get numbers per image
+ * and type in file order; in categories exported by this tool their children
+ * are bound to the parent keypoint of the same instance.
+ *
+ * @param {Object} coco - Parsed COCO JSON
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.customTypes] - Existing custom annotation types
+ * @param {string[]} [options.knownImageIds] - Images of the dataset, for matching bare file names
+ * @param {RegExp} [options.plantIdRegex] - The configured plantIdPattern, see parseImageId
+ * @returns {{ images: Array<{ imageId: string, plantId: string, annotations: Array }>, newTypes: Array<Object>, unmatchedImages: string[], skippedAnnotations: number }}
+ * @throws {CocoFormatError} When the file is not a COCO dataset
+ */
+export function parseCocoDataset(coco, { customTypes = [], knownImageIds = null, plantIdRegex = null } = {}) {
+  if (!coco || !Array.isArray(coco.images) || !Array.isArray(coco.annotations) || !Array.isArray(coco.categories)) {
+    throw new CocoFormatError('Not a COCO dataset: images, annotations and categories are required');
+  }
+
+  const { resolved, newTypes } = resolveCategoryTypes(coco.categories, customTypes);
+  const images = new Map();
+  const byImageId = new Map();
+  const unmatchedImages = [];
+  for (const image of coco.images) {
+    const imageId = matchImageId(image.file_name ?? '', knownImageIds, plantIdRegex);
+    if (imageId) {
+      if (!byImageId.has(imageId)) {
+        byImageId.set(imageId, { imageId, plantId: parseImageId(imageId, plantIdRegex).plantId, annotations: [], orders: new Map() });
+      }
+      images.set(image.id, byImageId.get(imageId));
+    } else {
+      unmatchedImages.push(String(image.file_name ?? image.id));
+    }
+  }
+
+  let skippedAnnotations = 0;
+  for (const annotation of coco.annotations) {
+    const image = images.get(annotation.image_id);
+    const category = resolved.get(annotation.category_id);
+    if (!image || !category) {
+      skippedAnnotations++;
+      continue;
+    }
+    const makeId = slot => `coco-${annotation.id}${slot === undefined ? '' : `-${slot}`}`;
+
+    if (category.kind === 'region') {
+      const [x, y, width, height] = annotation.bbox || [];
+      if (![x, y, width, height].every(Number.isFinite)) {
+        skippedAnnotations++;
+        continue;
+      }
+      const attributes = annotation.attributes || {};
+      image.annotations.push({
+        id: makeId(),
+        order: nextOrder(image.orders, category.typeId),
+        ...attributes,
+        x, y, width, height,
+        annotationType: 'custom',
+        customTypeId: category.typeId
+      });
+      continue;
+    }
+
+    const values = Array.isArray(annotation.keypoints) ? annotation.keypoints : [];
+    const slots = [];
+    category.typeIds.forEach((typeId, slot) => {
+      const [x, y, v] = values.slice(slot * 3, slot * 3 + 3);
+      if (!(v > 0) || !Number.isFinite(x) || !Number.isFinite(y)) return;
+      const attributes = annotation.keypoint_attributes?.[slot];
+      const keypoint = attributes
+        ? { ...attributes, x, y, annotationType: 'custom', customTypeId: typeId }
+        : { id: makeId(slot), x, y, order: nextOrder(image.orders, typeId), annotationType: 'custom', customTypeId: typeId };
+      slots[slot] = { keypoint, imported: !attributes };
+      image.annotations.push(keypoint);
+    });
+
+    // 没有导出属性的子标注点绑定到同一实例中的父标注点
+    for (const [slot, parentSlot] of category.parentSlot) {
+      const child = slots[slot];
+      const parent = slots[parentSlot];
+      if (child?.imported && parent) {
+        child.keypoint.parentAnnotationType = category.typeIds[parentSlot];
+        child.keypoint.parentAnnotationId = parent.keypoint.order;
+      }
+    }
+  }
+
+  return {
+    images: [...byImageId.values()].map(({ orders, ...image }) => image),
+    newTypes,
+    unmatchedImages,
+    skippedAnnotations
+  };
+}
@@ -0,0 +1,34 @@
+/**
+ * CSV 输出
+ *
+ * RFC 4180 style: comma separated, CRLF line ends, fields quoted when they
+ * contain a comma, quote or line break. Shared by the report exports in the
+ * browser and on the backend.
+ */
+
+/**
+ * 转义单个字段（null/undefined 输出为空字段）
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'number' && !Number.isFinite(value) ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 生成 CSV 文本
+ *
+ * @param {Array<string|{ key: string, header?: string }>} columns - Row keys, in output order
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+export function toCsv(columns, rows) {
+  const normalized = columns.map(column => (typeof column === 'string' ? { key: column } : column));
+  const lines = [normalized.map(column => escapeCsvValue(column.header ?? column.key)).join(',')];
+  for (const row of rows) {
+    lines.push(normalized.map(column => escapeCsvValue(row[column.key])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
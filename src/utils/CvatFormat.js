@@ -0,0 +1,287 @@
+/**
+ * CVAT for images 1.1 XML 导入导出
+ *
+ * Keypoints are `<points>` shapes with one point, regions are `<box>`
+ * shapes; the label is the custom annotation type name. Each shape carries
+ * `<attribute>` elements declared on its label in `<meta>`:
+ *
+ * - order        keypoint number (left out for keypoints without a number)
+ * - direction    direction in degrees, `;`-separated for several directions
+ * - parent_order number of the parent keypoint, for point types linked to a
+ *                parent type (`metadata.associateTypeId`)
+ *
+ * Image names are dataset paths `<plantId>/<view>/<fileName>`. On import,
+ * `<points>` with several points give one keypoint per point, and shapes
+ * without an order (missing or CVAT's default 0) are numbered per image and
+ * type in file order. Other shapes (polygons, polylines, ellipses, masks,
+ * skeletons, tags) and video tracks are counted in `skippedAnnotations`.
+ */
+
+import { getKeypointTypeId } from './AnnotationAgreement.js';
+import { imageIdToPath, matchImageId, parseImageId } from './ViewAngles.js';
+import { collectAnnotationTypes, createTypeResolver, isRegion, nextOrder } from './AnnotationInterchange.js';
+import { getDirectionAngles } from './TidyExport.js';
+import { escapeXml, parseXml, childElements, childText, XmlParseError } from './Xml.js';
+
+/**
+ * CVAT XML 格式错误
+ */
+export class CvatFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CvatFormatError';
+  }
+}
+
+// CVAT 的坐标保留两位小数
+function formatNumber(value) {
+  return String(Number(Number(value).toFixed(2)));
+}
+
+function attributeElement(name, value) {
+  return `<attribute name="${escapeXml(name)}">${escapeXml(value)}</attribute>`;
+}
+
+function labelAttributes(type) {
+  const attributes = [
+    { name: 'order', inputType: 'number', values: '0\n1000000\n1', defaultValue: '0' },
+    { name: 'direction', inputType: 'text', values: '', defaultValue: '' }
+  ];
+  if (type.type !== 'region' && type.metadata?.associateTypeId) {
+    attributes.push({ name: 'parent_order', inputType: 'number', values: '0\n1000000\n1', defaultValue: '0' });
+  }
+  return attributes.map(attribute => [
+    '          <attribute>',
+    `            <name>${attribute.name}</name>`,
+    '            <mutable>True</mutable>',
+    `            <input_type>${attribute.inputType}</input_type>`,
+    `            <default_value>${attribute.defaultValue}</default_value>`,
+    `            <values>${escapeXml(attribute.values)}</values>`,
+    '          </attribute>'
+  ].join('\n'));
+}
+
+function shapeAttributes(keypoint) {
+  const attributes = [];
+  if (keypoint.order !== undefined && keypoint.order !== null) {
+    attributes.push(attributeElement('order', keypoint.order));
+  }
+  const angles = getDirectionAngles(keypoint);
+  if (angles.length > 0) {
+    attributes.push(attributeElement('direction', angles.join(';')));
+  }
+  if (!isRegion(keypoint) && keypoint.parentAnnotationId !== undefined && keypoint.parentAnnotationId !== null) {
+    attributes.push(attributeElement('parent_order', keypoint.parentAnnotationId));
+  }
+  return attributes;
+}
+
+/**
+ * 生成 CVAT for images 1.1 XML
+ *
+ * @param {Object} params
+ * @param {Array<{ imageId: string, width?: number|null, height?: number|null, annotations: Array }>} params.images
+ * @param {Array<Object>} params.customTypes - Custom annotation types
+ * @param {string} [params.name] - Task name in `<meta>`
+ * @param {RegExp} [params.plantIdRegex] - The configured plantIdPattern, see parseImageId
+ * @returns {string}
+ */
+export function buildCvatXml({ images, customTypes = [], name = 'Plant annotation export', plantIdRegex = null }) {
+  const types = collectAnnotationTypes(images, customTypes);
+  const typesById = new Map(types.map(type => [type.id, type]));
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<annotations>',
+    '  <version>1.1</version>',
+    '  <meta>',
+    '    <task>',
+    `      <name>${escapeXml(name)}</name>`,
+    `      <size>${images.length}</size>`,
+    '      <mode>annotation</mode>',
+    `      <dumped>${new Date().toISOString()}</dumped>`,
+    '      <labels>'
+  ];
+  for (const type of types) {
+    lines.push(
+      '        <label>',
+      `          <name>${escapeXml(type.name)}</name>`,
+      `          <color>${escapeXml(type.color || '#3b82f6')}</color>`,
+      `          <type>${type.type === 'region' ? 'rectangle' : 'points'}</type>`,
+      '          <attributes>',
+      ...labelAttributes(type),
+      '          </attributes>',
+      '        </label>'
+    );
+  }
+  lines.push('      </labels>', '    </task>', '  </meta>');
+
+  images.forEach(({ imageId, width = null, height = null, annotations = [] }, index) => {
+    const size = width && height ? ` width="${width}" height="${height}"` : '';
+    lines.push(`  <image id="${index}" name="${escapeXml(imageIdToPath(imageId, plantIdRegex) || imageId)}"${size}>`);
+    for (const keypoint of annotations) {
+      const label = escapeXml(typesById.get(getKeypointTypeId(keypoint))?.name ?? getKeypointTypeId(keypoint));
+      const attributes = shapeAttributes(keypoint).map(attribute => `      ${attribute}`);
+      const open = isRegion(keypoint)
+        ? `    <box label="${label}" source="manual" occluded="0" xtl="${formatNumber(keypoint.x)}" ytl="${formatNumber(keypoint.y)}" ` +
+          `xbr="${formatNumber(keypoint.x + keypoint.width)}" ybr="${formatNumber(keypoint.y + keypoint.height)}" z_order="0"`
+        : `    <points label="${label}" source="manual" occluded="0" points="${formatNumber(keypoint.x)},${formatNumber(keypoint.y)}" z_order="0"`;
+      const tag = isRegion(keypoint) ? 'box' : 'points';
+      lines.push(...(attributes.length > 0 ? [`${open}>`, ...attributes, `    </${tag}>`] : [`${open} />`]));
+    }
+    lines.push('  </image>');
+  });
+
+  lines.push('</annotations>', '');
+  return lines.join('\n');
+}
+
+// ---------- 导入 ----------
+
+function readAttributes(shape) {
+  const attributes = {};
+  for (const element of childElements(shape, 'attribute')) {
+    attributes[element.attributes.name] = element.text.trim();
+  }
+  return attributes;
+}
+
+// 序号属性：CVAT 中未填写时为默认值 0
+function toOrder(value) {
+  const number = Number(value);
+  return value && Number.isInteger(number) && number > 0 ? number : null;
+}
+
+function directionFields(value) {
+  const angles = String(value ?? '').split(';').filter(part => part.trim() !== '').map(Number);
+  if (angles.length === 0 || !angles.every(Number.isFinite)) return {};
+  const fields = { direction: angles[0], directionType: 'angle' };
+  if (angles.length > 1) {
+    fields.directions = angles.map(angle => ({ angle, type: 'angle' }));
+  }
+  return fields;
+}
+
+// <meta> 中的标签：名称 -> CVAT 类型（points、rectangle、any...）
+function readLabels(root) {
+  const labels = new Map();
+  const visit = element => {
+    for (const child of element.children) {
+      if (child.name === 'label' && childText(child, 'name')) {
+        labels.set(childText(child, 'name'), childText(child, 'type'));
+      } else {
+        visit(child);
+      }
+    }
+  };
+  for (const meta of childElements(root, 'meta')) visit(meta);
+  return labels;
+}
+
+/**
+ * 解析 CVAT for images 1.1 XML
+ *
+ * @param {string} text - XML text
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.customTypes] - Existing custom annotation types
+ * @param {string[]} [options.knownImageIds] - Images of the dataset, for matching bare file names
+ * @param {RegExp} [options.plantIdRegex] - The configured plantIdPattern, see parseImageId
+ * @returns {{ images: Array<{ imageId: string, plantId: string, annotations: Array }>, newTypes: Array<Object>, unmatchedImages: string[], skippedAnnotations: number }}
+ * @throws {CvatFormatError} When the text is not a CVAT annotation file
+ */
+export function parseCvatXml(text, { customTypes = [], knownImageIds = null, plantIdRegex = null } = {}) {
+  let root;
+  try {
+    root = parseXml(text);
+  } catch (error) {
+    if (error instanceof XmlParseError) throw new CvatFormatError(`Not valid XML: ${error.message}`);
+    throw error;
+  }
+  if (root.name !== 'annotations') {
+    throw new CvatFormatError('Not a CVAT annotation file: the root element must be <annotations>');
+  }
+
+  const labels = readLabels(root);
+  const { resolve, newTypes } = createTypeResolver(customTypes, { prefix: 'cvat', source: 'CVAT' });
+  const typeOf = (label, kind) => resolve(null, label, kind);
+  const parentTypeOf = typeId => [...customTypes, ...newTypes].find(type => type.id === typeId)?.metadata?.associateTypeId || null;
+
+  const byImageId = new Map();
+  const unmatchedImages = [];
+  let skippedAnnotations = 0;
+
+  for (const track of childElements(root, 'track')) {
+    skippedAnnotations += track.children.length;
+  }
+
+  for (const element of childElements(root, 'image')) {
+    const name = element.attributes.name ?? '';
+    const imageId = matchImageId(name, knownImageIds, plantIdRegex);
+    if (!imageId) {
+      unmatchedImages.push(name || String(element.attributes.id));
+      continue;
+    }
+    if (!byImageId.has(imageId)) {
+      byImageId.set(imageId, { imageId, plantId: parseImageId(imageId, plantIdRegex).plantId, annotations: [], orders: new Map(), count: 0 });
+    }
+    const image = byImageId.get(imageId);
+    const makeId = () => `cvat-${element.attributes.id ?? byImageId.size}-${++image.count}`;
+
+    for (const shape of element.children) {
+      const label = shape.attributes.label;
+      const attributes = readAttributes(shape);
+      if (shape.name === 'box' && label && labels.get(label) !== 'points') {
+        const [xtl, ytl, xbr, ybr] = ['xtl', 'ytl', 'xbr', 'ybr'].map(key => Number(shape.attributes[key]));
+        if (![xtl, ytl, xbr, ybr].every(Number.isFinite) || Number(shape.attributes.rotation || 0) !== 0) {
+          skippedAnnotations++;
+          continue;
+        }
+        const typeId = typeOf(label, 'region');
+        image.annotations.push({
+          id: makeId(),
+          order: toOrder(attributes.order) ?? nextOrder(image.orders, typeId),
+          x: xtl,
+          y: ytl,
+          width: xbr - xtl,
+          height: ybr - ytl,
+          ...directionFields(attributes.direction),
+          annotationType: 'custom',
+          customTypeId: typeId
+        });
+      } else if (shape.name === 'points' && label && labels.get(label) !== 'rectangle') {
+        const points = String(shape.attributes.points || '')
+          .split(';')
+          .map(pair => pair.split(',').map(Number))
+          .filter(pair => pair.length === 2 && pair.every(Number.isFinite));
+        if (points.length === 0) {
+          skippedAnnotations++;
+          continue;
+        }
+        const typeId = typeOf(label, 'point');
+        const parentTypeId = parentTypeOf(typeId);
+        const parentOrder = toOrder(attributes.parent_order);
+        for (const [x, y] of points) {
+          const order = points.length === 1 ? toOrder(attributes.order) : null;
+          image.annotations.push({
+            id: makeId(),
+            x,
+            y,
+            order: order ?? nextOrder(image.orders, typeId),
+            ...directionFields(attributes.direction),
+            annotationType: 'custom',
+            customTypeId: typeId,
+            ...(parentTypeId && parentOrder !== null && { parentAnnotationType: parentTypeId, parentAnnotationId: parentOrder })
+          });
+        }
+      } else {
+        skippedAnnotations++;
+      }
+    }
+  }
+
+  return {
+    images: [...byImageId.values()].map(({ orders, count, ...image }) => image),
+    newTypes,
+    unmatchedImages,
+    skippedAnnotations
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * 数据集完整性检查的结果类型和标注点边界
+ *
+ * Shared by the backend check (backend/integrityCheck.js) and the report
+ * dialog (src/core/IntegrityReportUI.js). Every finding is
+ *
+ *   { id, kind, severity, message, actions, plantId, imageId?, noteId?,
+ *     recordKind?, duplicateOf?, keypoints? }
+ *
+ * and `actions` lists the fixes the backend can apply to it, the first one
+ * being the default.
+ */
+
+export const INTEGRITY_FINDING_KINDS = Object.freeze({
+  'orphaned-annotation': { severity: 'error', title: 'Annotations of missing images', actions: ['quarantine'] },
+  'keypoint-out-of-bounds': { severity: 'error', title: 'Keypoints outside the image', actions: ['clamp'] },
+  'epoch-timestamp': { severity: 'warning', title: 'Images without a capture time (epoch fallback)', actions: ['quarantine-image'] },
+  'duplicate-timestamp': { severity: 'warning', title: 'Images with the capture time of another image in the view', actions: ['quarantine-image'] },
+  'orphaned-plant-record': { severity: 'warning', title: 'Status, skip and review records of missing plants', actions: ['quarantine'] },
+  'orphaned-note': { severity: 'warning', title: 'Notes on missing images or plants', actions: ['detach', 'quarantine'] }
+});
+
+export const INTEGRITY_ACTION_LABELS = Object.freeze({
+  quarantine: 'Quarantine',
+  'quarantine-image': 'Quarantine image',
+  detach: 'Move to plant note',
+  clamp: 'Clamp to image'
+});
+
+/**
+ * 结果的唯一标识（类型 + 对象）
+ */
+export function getFindingId({ kind, imageId, plantId, noteId, recordKind }) {
+  if (kind === 'orphaned-plant-record') return `${kind}:${recordKind}:${plantId}`;
+  if (kind === 'orphaned-note') return `${kind}:${noteId}`;
+  return `${kind}:${imageId}`;
+}
+
+function isRegion(keypoint) {
+  return typeof keypoint.width === 'number' && typeof keypoint.height === 'number';
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * 超出图像范围的标注点（区域按左上角 + 宽高判断）
+ *
+ * @param {Array} keypoints
+ * @param {{ width: number, height: number }} size
+ * @returns {Array} The keypoints outside [0, width] × [0, height]
+ */
+export function findOutOfBoundsKeypoints(keypoints, { width, height }) {
+  return (keypoints || []).filter(keypoint => {
+    if (typeof keypoint?.x !== 'number' || typeof keypoint?.y !== 'number') return false;
+    const right = isRegion(keypoint) ? keypoint.x + keypoint.width : keypoint.x;
+    const bottom = isRegion(keypoint) ? keypoint.y + keypoint.height : keypoint.y;
+    return keypoint.x < 0 || keypoint.y < 0 || right > width || bottom > height;
+  });
+}
+
+/**
+ * 把标注点移回图像范围内，区域裁剪到图像内
+ *
+ * @returns {{ keypoints: Array, clamped: number }} Keypoints inside the image keep their identity
+ */
+export function clampKeypointsToImage(keypoints, size) {
+  const outside = new Set(findOutOfBoundsKeypoints(keypoints, size));
+  const result = (keypoints || []).map(keypoint => {
+    if (!outside.has(keypoint)) return keypoint;
+    const x = clamp(keypoint.x, 0, size.width);
+    const y = clamp(keypoint.y, 0, size.height);
+    if (!isRegion(keypoint)) {
+      return { ...keypoint, x, y };
+    }
+    return {
+      ...keypoint,
+      x,
+      y,
+      width: clamp(keypoint.x + keypoint.width, 0, size.width) - x,
+      height: clamp(keypoint.y + keypoint.height, 0, size.height) - y
+    };
+  });
+  return { keypoints: result, clamped: outside.size };
+}
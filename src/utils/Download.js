@@ -0,0 +1,32 @@
+/**
+ * 浏览器文件下载
+ */
+
+/**
+ * 把文本或 Blob 作为文件下载
+ *
+ * @param {string|Blob} content
+ * @param {string} fileName
+ * @param {string} [type] - MIME type when content is a string
+ */
+export function downloadFile(content, fileName, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 带日期的文件名，例如 agreement_2026-01-01.csv
+ */
+export function datedFileName(prefix, extension) {
+  return `${prefix}_${new Date().toISOString().split('T')[0]}.${extension}`;
+}
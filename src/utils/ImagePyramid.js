@@ -0,0 +1,103 @@
+/**
+ * 图像金字塔工具
+ *
+ * Shared by backend/imageCache.js (thumbnail and tile generation) and the
+ * frontend (thumbnail strip, branch point preview). Level 0 is the full
+ * resolution image; each further level halves both sides (rounding up)
+ * until the whole image fits in a single tile. Tiles are addressed by
+ * column and row within a level, `TILE_SIZE` pixels square except along
+ * the right and bottom edges.
+ */
+
+export const TILE_SIZE = 256;
+
+// 缩略图只生成这些尺寸（最长边），其他请求尺寸向上取整，避免缓存无限增长
+export const THUMBNAIL_SIZES = [64, 128, 256, 512, 1024, 2048];
+
+/**
+ * 将请求的缩略图尺寸取整到支持的尺寸
+ *
+ * @returns {number|null} null if the value is not a positive number
+ */
+export function snapThumbnailSize(size) {
+  const value = Number(size);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  return THUMBNAIL_SIZES.find(s => s >= value) ?? THUMBNAIL_SIZES[THUMBNAIL_SIZES.length - 1];
+}
+
+/**
+ * 某一层的尺寸
+ */
+export function getLevelSize(width, height, level) {
+  const factor = 2 ** level;
+  return {
+    width: Math.max(1, Math.ceil(width / factor)),
+    height: Math.max(1, Math.ceil(height / factor))
+  };
+}
+
+/**
+ * 计算金字塔的全部层级
+ *
+ * @returns {Array<{ level: number, width: number, height: number, columns: number, rows: number, scale: number }>}
+ */
+export function getPyramidLevels(width, height, tileSize = TILE_SIZE) {
+  const levels = [];
+  for (let level = 0; ; level++) {
+    const size = getLevelSize(width, height, level);
+    levels.push({
+      level,
+      ...size,
+      columns: Math.ceil(size.width / tileSize),
+      rows: Math.ceil(size.height / tileSize),
+      scale: 1 / 2 ** level
+    });
+    if (size.width <= tileSize && size.height <= tileSize) {
+      return levels;
+    }
+  }
+}
+
+/**
+ * 按显示比例（屏幕像素 / 原图像素）选择最粗但不损失细节的层级
+ */
+export function getLevelForScale(scale, levelCount) {
+  if (!(scale > 0) || scale >= 1) return 0;
+  const level = Math.floor(Math.log2(1 / scale));
+  return Math.min(Math.max(level, 0), levelCount - 1);
+}
+
+/**
+ * 覆盖原图区域所需的图块
+ *
+ * @param {Object} levelInfo - One entry of getPyramidLevels()
+ * @param {{ x: number, y: number, width: number, height: number }} region - In full-resolution pixels
+ * @returns {Array<{ column: number, row: number, x: number, y: number, width: number, height: number }>}
+ *   Tile positions and sizes in full-resolution pixels
+ */
+export function getTilesForRegion(levelInfo, region, tileSize = TILE_SIZE) {
+  const factor = 2 ** levelInfo.level;
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  const firstColumn = clamp(Math.floor(region.x / factor / tileSize), levelInfo.columns - 1);
+  const lastColumn = clamp(Math.floor((region.x + region.width - 1) / factor / tileSize), levelInfo.columns - 1);
+  const firstRow = clamp(Math.floor(region.y / factor / tileSize), levelInfo.rows - 1);
+  const lastRow = clamp(Math.floor((region.y + region.height - 1) / factor / tileSize), levelInfo.rows - 1);
+
+  const tiles = [];
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      const levelX = column * tileSize;
+      const levelY = row * tileSize;
+      tiles.push({
+        column,
+        row,
+        x: levelX * factor,
+        y: levelY * factor,
+        width: Math.min(tileSize, levelInfo.width - levelX) * factor,
+        height: Math.min(tileSize, levelInfo.height - levelY) * factor
+      });
+    }
+  }
+  return tiles;
+}
@@ -0,0 +1,106 @@
+/**
+ * 从文件头读取图像尺寸
+ *
+ * Reads the pixel size of PNG, JPEG, BMP, WebP and TIFF images from the
+ * first bytes of the file, without decoding it. The size is the stored one
+ * (EXIF orientation is not applied). Used by the dataset listing for
+ * exports that need image dimensions (COCO, YOLO).
+ */
+
+function readPng(view) {
+  // 签名后第一个块必须是 IHDR
+  if (view.getUint32(0) !== 0x89504e47 || view.getUint32(12) !== 0x49484452) return null;
+  return { width: view.getUint32(16), height: view.getUint32(20) };
+}
+
+// SOF0–SOF15，除去 DHT(C4)、JPG(C8)、DAC(CC)
+function isStartOfFrame(marker) {
+  return marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+}
+
+function readJpeg(view) {
+  if (view.getUint16(0) !== 0xffd8) return null;
+  let offset = 2;
+  while (offset + 9 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) return null;
+    const marker = view.getUint8(offset + 1);
+    // 填充字节
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (isStartOfFrame(marker)) {
+      return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+    }
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  return null;
+}
+
+function readBmp(view) {
+  if (view.getUint16(0) !== 0x424d || view.byteLength < 26) return null;
+  // 高度为负表示自上而下存储
+  return { width: view.getInt32(18, true), height: Math.abs(view.getInt32(22, true)) };
+}
+
+function readWebp(view) {
+  if (view.getUint32(0) !== 0x52494646 || view.getUint32(8) !== 0x57454250 || view.byteLength < 30) return null;
+  const chunk = view.getUint32(12);
+  if (chunk === 0x56503820) { // 'VP8 ' 有损
+    return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+  }
+  if (chunk === 0x5650384c) { // 'VP8L' 无损
+    const bits = view.getUint32(21, true);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 0x56503858) { // 'VP8X' 扩展
+    const read24 = offset => view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+    return { width: read24(24) + 1, height: read24(27) + 1 };
+  }
+  return null;
+}
+
+function readTiff(view) {
+  const order = view.getUint16(0);
+  if (order !== 0x4949 && order !== 0x4d4d) return null;
+  const little = order === 0x4949;
+  if (view.getUint16(2, little) !== 42) return null;
+
+  const ifd = view.getUint32(4, little);
+  if (ifd + 2 > view.byteLength) return null;
+  const size = {};
+  const count = view.getUint16(ifd, little);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    const tag = view.getUint16(entry, little);
+    if (tag !== 256 && tag !== 257) continue;
+    // SHORT(3) 或 LONG(4)
+    const value = view.getUint16(entry + 2, little) === 3 ? view.getUint16(entry + 8, little) : view.getUint32(entry + 8, little);
+    size[tag === 256 ? 'width' : 'height'] = value;
+  }
+  return size.width && size.height ? size : null;
+}
+
+/**
+ * 读取图像尺寸
+ *
+ * @param {Uint8Array} bytes - Start of the file (a few hundred KB covers JPEGs with large EXIF blocks)
+ * @returns {{ width: number, height: number }|null} null when the format is unknown or the header is cut off
+ */
+export function readImageSize(bytes) {
+  if (!bytes || bytes.length < 24) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  try {
+    for (const read of [readPng, readJpeg, readBmp, readWebp, readTiff]) {
+      const size = read(view);
+      if (size) {
+        return size.width > 0 && size.height > 0 ? size : null;
+      }
+    }
+  } catch (error) {
+    // 文件头不完整
+    if (!(error instanceof RangeError)) throw error;
+  }
+  return null;
+}
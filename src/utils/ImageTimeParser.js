@@ -0,0 +1,373 @@
+/**
+ * 图像时间解析器注册表
+ *
+ * Shared by backend-server.js, FileSystemManager and HttpFileSystemManager.
+ * A project picks an ordered list of parser profiles (`timestampParsers` in
+ * annotation-tool.config.json); the first profile that yields a date wins.
+ *
+ * Built-in parser types:
+ * - `regex`: filename regex with named groups
+ *   (`date`, `time`, `year`, `month`, `day`, `hour`, `minute`, `second`, `timestamp`)
+ * - `exif`:  EXIF DateTimeOriginal from JPEG / TIFF / PNG (needs file bytes)
+ * - `mtime`: file modification time
+ *
+ * Built-in named profiles: `lemnatec`, `exif`, `mtime`.
+ *
+ * Context passed to `parse()`:
+ *   { filename, mtime?, readFile?: () => Promise<ArrayBuffer|Uint8Array> }
+ */
+
+export const DEFAULT_TIMESTAMP_PARSERS = ['lemnatec'];
+
+// LemnaTec Scanalyzer: BR017-028111-2018-06-06_00_VIS_sv_000-0-0-0.png
+// Any modality (VIS/NIR/FLUO/IR) and side (sv) or top (tv) view.
+export const LEMNATEC_PATTERN = 'BR\\d+-\\d+-(?<date>\\d{4}-\\d{2}-\\d{2})_(?<hour>\\d{2})_(?<modality>[A-Za-z]+)_(?:sv|tv)_\\d+';
+
+function toInt(value, fallback = 0) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? fallback : n;
+}
+
+function isValidDate(date) {
+  return date instanceof Date && !Number.isNaN(date.getTime());
+}
+
+/**
+ * 由正则命名分组构造本地时间
+ */
+export function dateFromGroups(groups) {
+  if (!groups) return null;
+
+  if (groups.timestamp) {
+    const ts = Number(groups.timestamp);
+    if (!Number.isFinite(ts)) return null;
+    // 10位为秒，13位为毫秒
+    return new Date(groups.timestamp.length <= 10 ? ts * 1000 : ts);
+  }
+
+  let { year, month, day, hour, minute, second } = groups;
+
+  if (groups.date) {
+    const digits = groups.date.replace(/\D/g, '');
+    if (digits.length !== 8) return null;
+    year = digits.slice(0, 4);
+    month = digits.slice(4, 6);
+    day = digits.slice(6, 8);
+  }
+
+  if (groups.time) {
+    const digits = groups.time.replace(/\D/g, '');
+    hour = digits.slice(0, 2);
+    minute = digits.slice(2, 4);
+    second = digits.slice(4, 6);
+  }
+
+  if (!year || !month || !day) return null;
+
+  const date = new Date(
+    toInt(year),
+    toInt(month) - 1,
+    toInt(day),
+    toInt(hour),
+    toInt(minute),
+    toInt(second)
+  );
+  return isValidDate(date) ? date : null;
+}
+
+// ---------------------------------------------------------------------------
+// EXIF DateTimeOriginal reader (JPEG APP1, TIFF, PNG eXIf)
+// ---------------------------------------------------------------------------
+
+const EXIF_TAG_DATETIME = 0x0132;
+const EXIF_TAG_EXIF_IFD = 0x8769;
+const EXIF_TAG_DATETIME_ORIGINAL = 0x9003;
+const EXIF_TAG_DATETIME_DIGITIZED = 0x9004;
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  return null;
+}
+
+function readTiffIfd(view, tiffStart, ifdOffset, littleEndian) {
+  const entries = new Map();
+  const base = tiffStart + ifdOffset;
+  if (base + 2 > view.byteLength) return entries;
+
+  const count = view.getUint16(base, littleEndian);
+  for (let i = 0; i < count; i++) {
+    const entry = base + 2 + i * 12;
+    if (entry + 12 > view.byteLength) break;
+    entries.set(view.getUint16(entry, littleEndian), {
+      type: view.getUint16(entry + 2, littleEndian),
+      count: view.getUint32(entry + 4, littleEndian),
+      valueOffset: entry + 8
+    });
+  }
+  return entries;
+}
+
+function readAscii(view, tiffStart, entry, littleEndian) {
+  if (!entry || entry.type !== 2) return null;
+  const start = entry.count > 4
+    ? tiffStart + view.getUint32(entry.valueOffset, littleEndian)
+    : entry.valueOffset;
+  if (start + entry.count > view.byteLength) return null;
+
+  let text = '';
+  for (let i = 0; i < entry.count; i++) {
+    const code = view.getUint8(start + i);
+    if (code === 0) break;
+    text += String.fromCharCode(code);
+  }
+  return text;
+}
+
+function parseExifDateString(text) {
+  // "YYYY:MM:DD HH:MM:SS"
+  const match = text && text.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+  return dateFromGroups({
+    year: match[1], month: match[2], day: match[3],
+    hour: match[4], minute: match[5], second: match[6]
+  });
+}
+
+function readTiffDateTime(bytes, tiffStart) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (tiffStart + 8 > view.byteLength) return null;
+
+  const byteOrder = view.getUint16(tiffStart, false);
+  let littleEndian;
+  if (byteOrder === 0x4949) littleEndian = true;
+  else if (byteOrder === 0x4d4d) littleEndian = false;
+  else return null;
+
+  const ifd0 = readTiffIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+  const exifPointer = ifd0.get(EXIF_TAG_EXIF_IFD);
+  if (exifPointer) {
+    const exifIfd = readTiffIfd(view, tiffStart, view.getUint32(exifPointer.valueOffset, littleEndian), littleEndian);
+    const original = parseExifDateString(readAscii(view, tiffStart, exifIfd.get(EXIF_TAG_DATETIME_ORIGINAL), littleEndian)) ||
+      parseExifDateString(readAscii(view, tiffStart, exifIfd.get(EXIF_TAG_DATETIME_DIGITIZED), littleEndian));
+    if (original) return original;
+  }
+  return parseExifDateString(readAscii(view, tiffStart, ifd0.get(EXIF_TAG_DATETIME), littleEndian));
+}
+
+/**
+ * 从图像字节中读取 EXIF DateTimeOriginal
+ *
+ * @param {ArrayBuffer|Uint8Array} data - Image bytes (the file head is enough for JPEG)
+ * @returns {Date|null}
+ */
+export function readExifDateTimeOriginal(data) {
+  const bytes = toBytes(data);
+  if (!bytes || bytes.length < 12) return null;
+
+  try {
+    // TIFF
+    if ((bytes[0] === 0x49 && bytes[1] === 0x49) || (bytes[0] === 0x4d && bytes[1] === 0x4d)) {
+      return readTiffDateTime(bytes, 0);
+    }
+
+    // JPEG: scan APP1 segments for "Exif\0\0"
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        if (marker === 0xda || marker === 0xd9) break; // start of scan / end of image
+        if (marker === 0xe1 &&
+            bytes[offset + 4] === 0x45 && bytes[offset + 5] === 0x78 &&
+            bytes[offset + 6] === 0x69 && bytes[offset + 7] === 0x66) {
+          return readTiffDateTime(bytes, offset + 10);
+        }
+        offset += 2 + length;
+      }
+      return null;
+    }
+
+    // PNG: eXIf chunk holds a bare TIFF structure
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+      let offset = 8;
+      while (offset + 8 <= bytes.length) {
+        const length = ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+        const type = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6], bytes[offset + 7]);
+        if (type === 'eXIf') return readTiffDateTime(bytes, offset + 8);
+        if (type === 'IDAT' || type === 'IEND') break;
+        offset += 12 + length;
+      }
+    }
+  } catch (error) {
+    return null;
+  }
+
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+/**
+ * 时间解析器注册表
+ */
+export class ImageTimeParserRegistry {
+  constructor() {
+    this.types = new Map();
+    this.profiles = new Map();
+  }
+
+  /**
+   * 注册解析器类型
+   *
+   * @param {string} type
+   * @param {(options: Object) => { requiresFile?: boolean, parse: Function }} factory
+   *   `parse(context)` returns a Date, null, or a Promise of either.
+   */
+  registerType(type, factory) {
+    this.types.set(type, factory);
+    return this;
+  }
+
+  /**
+   * 注册命名配置（如 lemnatec）
+   */
+  registerProfile(name, spec) {
+    this.profiles.set(name, spec);
+    return this;
+  }
+
+  hasProfile(name) {
+    return this.profiles.has(name);
+  }
+
+  /**
+   * 将配置项解析为 { name, type, options }
+   */
+  resolveSpec(spec) {
+    if (typeof spec === 'string') {
+      const profile = this.profiles.get(spec);
+      if (!profile) {
+        throw new Error(`Unknown timestamp parser profile: ${spec}`);
+      }
+      return { ...this.resolveSpec(profile), name: spec };
+    }
+
+    if (!spec || typeof spec !== 'object' || !spec.type) {
+      throw new Error('Timestamp parser spec must be a profile name or an object with a "type"');
+    }
+    if (!this.types.has(spec.type)) {
+      throw new Error(`Unknown timestamp parser type: ${spec.type}`);
+    }
+    const { type, name, ...options } = spec;
+    return { name: name || type, type, options };
+  }
+
+  /**
+   * 按顺序组合多个配置创建解析器
+   */
+  createParser(specs = DEFAULT_TIMESTAMP_PARSERS) {
+    const list = Array.isArray(specs) ? specs : [specs];
+    const strategies = list.map(spec => {
+      const { name, type, options } = this.resolveSpec(spec);
+      const strategy = this.types.get(type)(options);
+      return { name, requiresFile: !!strategy.requiresFile, parse: strategy.parse };
+    });
+    return new ImageTimeParser(strategies);
+  }
+}
+
+/**
+ * 组合后的时间解析器
+ */
+export class ImageTimeParser {
+  constructor(strategies) {
+    this.strategies = strategies;
+  }
+
+  /**
+   * 异步解析（支持 EXIF 等需要读取文件的配置）
+   *
+   * @returns {Promise<{ dateTime: Date, source: string|null }>}
+   *   `source` is the matching profile name, or null when falling back to epoch.
+   */
+  async parse(context) {
+    for (const strategy of this.strategies) {
+      try {
+        const date = await strategy.parse(context);
+        if (isValidDate(date)) {
+          return { dateTime: date, source: strategy.name };
+        }
+      } catch (error) {
+        console.warn(`[时间解析] ${strategy.name} 解析 ${context.filename} 失败:`, error.message);
+      }
+    }
+    return { dateTime: new Date(0), source: null };
+  }
+
+  /**
+   * 同步解析，仅使用不需要读取文件的配置
+   */
+  parseSync(context) {
+    for (const strategy of this.strategies) {
+      if (strategy.requiresFile) continue;
+      const date = strategy.parse(context);
+      if (isValidDate(date)) {
+        return { dateTime: date, source: strategy.name };
+      }
+    }
+    return { dateTime: new Date(0), source: null };
+  }
+}
+
+/**
+ * 格式化显示时间 - 仅显示年/月/日；未能解析时返回文件名
+ */
+export function formatImageDate(result, filename) {
+  if (!result || !result.source || !isValidDate(result.dateTime)) {
+    return filename;
+  }
+  const date = result.dateTime;
+  return `${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()}`;
+}
+
+export const defaultImageTimeParserRegistry = new ImageTimeParserRegistry()
+  .registerType('regex', ({ pattern, flags = '' }) => {
+    if (!pattern) {
+      throw new Error('Regex timestamp parser requires a "pattern"');
+    }
+    const regex = new RegExp(pattern, flags);
+    return {
+      parse: ({ filename }) => {
+        const match = filename && filename.match(regex);
+        return match ? dateFromGroups(match.groups) : null;
+      }
+    };
+  })
+  .registerType('exif', () => ({
+    requiresFile: true,
+    parse: async ({ readFile }) => {
+      if (typeof readFile !== 'function') return null;
+      return readExifDateTimeOriginal(await readFile());
+    }
+  }))
+  .registerType('mtime', () => ({
+    parse: ({ mtime }) => {
+      if (mtime === undefined || mtime === null) return null;
+      return mtime instanceof Date ? mtime : new Date(mtime);
+    }
+  }))
+  .registerProfile('lemnatec', { type: 'regex', pattern: LEMNATEC_PATTERN })
+  .registerProfile('exif', { type: 'exif' })
+  .registerProfile('mtime', { type: 'mtime' });
+
+/**
+ * 使用默认注册表创建解析器
+ */
+export function createImageTimeParser(specs = DEFAULT_TIMESTAMP_PARSERS) {
+  return defaultImageTimeParserRegistry.createParser(specs);
+}
@@ -0,0 +1,254 @@
+/**
+ * Label Studio JSON 导入导出
+ *
+ * One task per image. Keypoints are `keypointlabels` results and regions
+ * `rectanglelabels` results; the label is the custom annotation type name
+ * and coordinates are percentages of `original_width` / `original_height`,
+ * so only images with a known size are exported. `buildLabelStudioConfig()`
+ * gives the matching labeling interface.
+ *
+ * Tasks carry the image ID in `data.image_id`; results carry the original
+ * keypoint fields (order, direction, parent...) in a non-standard
+ * `attributes` field, so importing an exported file restores the
+ * annotations. Results without it (labeled in Label Studio) are numbered per
+ * image and type in file order.
+ *
+ * On import, each task uses its most recent annotation that was not
+ * cancelled, or its most recent prediction when it has no annotation.
+ * Images are matched by `data.image_id`, else by the image URL (local file
+ * `?d=` paths, or upload names without Label Studio's 8-character prefix).
+ */
+
+import { getKeypointTypeId } from './AnnotationAgreement.js';
+import { imageIdToPath, matchImageId, parseImageId } from './ViewAngles.js';
+import { collectAnnotationTypes, createTypeResolver, isRegion, nextOrder } from './AnnotationInterchange.js';
+import { escapeXml } from './Xml.js';
+
+// 本地文件存储的图像地址前缀（LOCAL_FILES_DOCUMENT_ROOT 指向数据集根目录）
+export const DEFAULT_IMAGE_URL_PREFIX = '/data/local-files/?d=';
+
+const KEYPOINT_CONTROL = 'keypoints';
+const REGION_CONTROL = 'regions';
+const IMAGE_OBJECT = 'image';
+
+/**
+ * Label Studio JSON 格式错误
+ */
+export class LabelStudioFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LabelStudioFormatError';
+  }
+}
+
+// 百分比不取整，导入时取整到 6 位小数，往返不改变像素坐标
+function percent(value, size) {
+  return value / size * 100;
+}
+
+function fromPercent(value, size) {
+  return Number((value / 100 * size).toFixed(6));
+}
+
+function withoutCoordinates({ x, y, width, height, ...attributes }) {
+  return attributes;
+}
+
+/**
+ * 标注界面配置（Labeling Interface）
+ *
+ * @param {Array<Object>} customTypes
+ * @returns {string} XML config
+ */
+export function buildLabelStudioConfig(customTypes) {
+  const labels = types => types.map(type =>
+    `    <Label value="${escapeXml(type.name)}" background="${escapeXml(type.color || '#3b82f6')}"/>`
+  );
+  return [
+    '<View>',
+    `  <Image name="${IMAGE_OBJECT}" value="$image" zoom="true"/>`,
+    `  <KeyPointLabels name="${KEYPOINT_CONTROL}" toName="${IMAGE_OBJECT}">`,
+    ...labels(customTypes.filter(type => type.type !== 'region')),
+    '  </KeyPointLabels>',
+    `  <RectangleLabels name="${REGION_CONTROL}" toName="${IMAGE_OBJECT}">`,
+    ...labels(customTypes.filter(type => type.type === 'region')),
+    '  </RectangleLabels>',
+    '</View>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * 生成 Label Studio 任务
+ *
+ * @param {Object} params
+ * @param {Array<{ imageId: string, width?: number|null, height?: number|null, annotations: Array }>} params.images
+ * @param {Array<Object>} params.customTypes - Custom annotation types
+ * @param {string} [params.imageUrlPrefix] - Prepended to the dataset path of each image
+ * @param {RegExp} [params.plantIdRegex] - The configured plantIdPattern, see parseImageId
+ * @returns {{ tasks: Array<Object>, config: string, skippedImages: string[] }} skippedImages have no known size
+ */
+export function buildLabelStudioTasks({ images, customTypes = [], imageUrlPrefix = DEFAULT_IMAGE_URL_PREFIX, plantIdRegex = null }) {
+  const types = collectAnnotationTypes(images, customTypes);
+  const typesById = new Map(types.map(type => [type.id, type]));
+  const tasks = [];
+  const skippedImages = [];
+
+  for (const { imageId, width = null, height = null, annotations = [] } of images) {
+    if (!(width > 0) || !(height > 0)) {
+      skippedImages.push(imageId);
+      continue;
+    }
+    const result = annotations.map((keypoint, index) => {
+      const typeId = getKeypointTypeId(keypoint);
+      const label = typesById.get(typeId)?.name ?? typeId;
+      const common = {
+        id: `${tasks.length + 1}-${index + 1}`,
+        from_name: isRegion(keypoint) ? REGION_CONTROL : KEYPOINT_CONTROL,
+        to_name: IMAGE_OBJECT,
+        original_width: width,
+        original_height: height,
+        image_rotation: 0
+      };
+      const value = isRegion(keypoint)
+        ? {
+          x: percent(keypoint.x, width),
+          y: percent(keypoint.y, height),
+          width: percent(keypoint.width, width),
+          height: percent(keypoint.height, height),
+          rotation: 0,
+          rectanglelabels: [label]
+        }
+        : { x: percent(keypoint.x, width), y: percent(keypoint.y, height), keypointlabels: [label] };
+      return {
+        ...common,
+        type: isRegion(keypoint) ? 'rectanglelabels' : 'keypointlabels',
+        value,
+        attributes: { ...withoutCoordinates(keypoint), customTypeId: typeId }
+      };
+    });
+    tasks.push({
+      id: tasks.length + 1,
+      data: { image: `${imageUrlPrefix}${imageIdToPath(imageId, plantIdRegex) || imageId}`, image_id: imageId },
+      annotations: [{ result }]
+    });
+  }
+
+  return { tasks, config: buildLabelStudioConfig(types), skippedImages };
+}
+
+// ---------- 导入 ----------
+
+/**
+ * 图像地址中可用于匹配的名称
+ */
+function imageNamesFromUrl(url) {
+  const text = String(url);
+  const localFile = text.match(/[?&]d=([^&]+)/);
+  const path = localFile ? localFile[1] : text.split(/[?#]/)[0];
+  let decoded;
+  try {
+    decoded = decodeURIComponent(path);
+  } catch {
+    decoded = path;
+  }
+  const names = [decoded];
+  // 上传的文件名前有 8 位十六进制前缀，例如 1a2b3c4d-big_1.png
+  const baseName = decoded.split(/[\\/]/).pop();
+  if (/^[0-9a-f]{8}-/.test(baseName)) {
+    names.push(baseName.slice(9));
+  }
+  return names;
+}
+
+function matchTaskImage(task, knownImageIds, plantIdRegex) {
+  const data = task.data || {};
+  if (typeof data.image_id === 'string') {
+    const imageId = matchImageId(data.image_id, knownImageIds, plantIdRegex);
+    if (imageId) return { imageId };
+  }
+  const url = typeof data.image === 'string' ? data.image : Object.values(data).find(value => typeof value === 'string');
+  for (const name of url ? imageNamesFromUrl(url) : []) {
+    const imageId = matchImageId(name, knownImageIds, plantIdRegex);
+    if (imageId) return { imageId };
+  }
+  return { imageId: null, name: url ?? `task ${task.id}` };
+}
+
+function latest(list) {
+  const candidates = (Array.isArray(list) ? list : []).filter(entry => !entry.was_cancelled && Array.isArray(entry.result));
+  return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+}
+
+/**
+ * 解析 Label Studio JSON 导出
+ *
+ * @param {Array<Object>|Object} tasks - Parsed JSON: a task list (or one task)
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.customTypes] - Existing custom annotation types
+ * @param {string[]} [options.knownImageIds] - Images of the dataset, for matching bare file names
+ * @param {RegExp} [options.plantIdRegex] - The configured plantIdPattern, see parseImageId
+ * @returns {{ images: Array<{ imageId: string, plantId: string, annotations: Array }>, newTypes: Array<Object>, unmatchedImages: string[], skippedAnnotations: number }}
+ * @throws {LabelStudioFormatError} When the data is not a Label Studio export
+ */
+export function parseLabelStudioTasks(tasks, { customTypes = [], knownImageIds = null, plantIdRegex = null } = {}) {
+  const list = Array.isArray(tasks) ? tasks : [tasks];
+  if (list.length === 0 || !list.every(task => task && typeof task === 'object' && task.data && typeof task.data === 'object')) {
+    throw new LabelStudioFormatError('Not a Label Studio export: expected a list of tasks with data');
+  }
+
+  const { resolve, newTypes } = createTypeResolver(customTypes, { prefix: 'labelstudio', source: 'Label Studio' });
+  const byImageId = new Map();
+  const unmatchedImages = [];
+  let skippedAnnotations = 0;
+
+  for (const task of list) {
+    const completion = latest(task.annotations) || latest(task.predictions);
+    const { imageId, name } = matchTaskImage(task, knownImageIds, plantIdRegex);
+    if (!imageId) {
+      unmatchedImages.push(String(name));
+      continue;
+    }
+    if (!byImageId.has(imageId)) {
+      byImageId.set(imageId, { imageId, plantId: parseImageId(imageId, plantIdRegex).plantId, annotations: [], orders: new Map() });
+    }
+    const image = byImageId.get(imageId);
+
+    for (const [index, result] of (completion?.result || []).entries()) {
+      const { value = {}, original_width: width, original_height: height } = result;
+      const isBox = result.type === 'rectanglelabels';
+      const labels = isBox ? value.rectanglelabels : value.keypointlabels;
+      if ((result.type !== 'keypointlabels' && !isBox) || !Array.isArray(labels) || labels.length === 0 ||
+        !(width > 0) || !(height > 0) || !Number.isFinite(value.x) || !Number.isFinite(value.y) ||
+        (isBox && (!Number.isFinite(value.width) || !Number.isFinite(value.height) || Number(value.rotation || 0) !== 0))) {
+        skippedAnnotations++;
+        continue;
+      }
+
+      const kind = isBox ? 'region' : 'point';
+      const attributes = result.attributes && typeof result.attributes === 'object' ? result.attributes : null;
+      const typeId = resolve(attributes?.customTypeId, labels[0], kind);
+      const position = {
+        x: fromPercent(value.x, width),
+        y: fromPercent(value.y, height),
+        ...(isBox && { width: fromPercent(value.width, width), height: fromPercent(value.height, height) })
+      };
+      image.annotations.push(attributes
+        ? { ...attributes, ...position, annotationType: 'custom', customTypeId: typeId }
+        : {
+          id: `labelstudio-${task.id ?? byImageId.size}-${result.id ?? index}`,
+          ...position,
+          order: nextOrder(image.orders, typeId),
+          annotationType: 'custom',
+          customTypeId: typeId
+        });
+    }
+  }
+
+  return {
+    images: [...byImageId.values()].map(({ orders, ...image }) => image),
+    newTypes,
+    unmatchedImages,
+    skippedAnnotations
+  };
+}
@@ -0,0 +1,211 @@
+/**
+ * 训练图块（patch）采样
+ *
+ * Plans the crops of the training patch export (backend/patchExport.js):
+ *
+ * - every keypoint gives a `size` x `size` window centred on it
+ * - every region gives its box grown by `regionPadding` on each side
+ * - optional negatives: `size` windows at pseudo-random places of the image
+ *   whose centre is at least `minDistance` from every keypoint and which do
+ *   not overlap a region. The places depend only on the seed and the image
+ *   ID, so an export can be repeated.
+ *
+ * Windows are in image pixels and may reach past the image edge; the part
+ * outside is filled when cropping so keypoints stay centred. Windows that
+ * miss the image entirely are skipped.
+ */
+
+import { getKeypointTypeId } from './AnnotationAgreement.js';
+import { getDirectionAngles } from './TidyExport.js';
+import { hashString } from './YoloFormat.js';
+
+export const DEFAULT_PATCH_SIZE = 64;
+export const PATCH_FORMATS = ['png', 'jpeg'];
+export const NEGATIVE_LABEL = 'negative';
+
+// 每个负样本最多尝试的位置数
+const NEGATIVE_ATTEMPTS = 50;
+
+export const PATCH_MANIFEST_COLUMNS = [
+  'file', 'label', 'plantId', 'viewAngle', 'imageId', 'order', 'direction', 'directions',
+  'x', 'y', 'width', 'height', 'left', 'top', 'cropWidth', 'cropHeight'
+];
+
+function isRegion(keypoint) {
+  return typeof keypoint.width === 'number' && typeof keypoint.height === 'number';
+}
+
+/**
+ * 目录名：类型ID中不适合做文件名的字符替换为 "_"
+ */
+export function patchLabelDirectory(label) {
+  return String(label).replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+/, '_') || '_';
+}
+
+/**
+ * 标注的裁剪窗口
+ *
+ * @returns {{ left: number, top: number, width: number, height: number }}
+ */
+export function getPatchWindow(keypoint, { size = DEFAULT_PATCH_SIZE, regionPadding = 0 } = {}) {
+  if (isRegion(keypoint)) {
+    return {
+      left: Math.round(keypoint.x - regionPadding),
+      top: Math.round(keypoint.y - regionPadding),
+      width: Math.max(1, Math.round(keypoint.width + 2 * regionPadding)),
+      height: Math.max(1, Math.round(keypoint.height + 2 * regionPadding))
+    };
+  }
+  return { left: Math.round(keypoint.x - size / 2), top: Math.round(keypoint.y - size / 2), width: size, height: size };
+}
+
+/**
+ * 窗口在图像内的部分，以及四边需要填充的像素
+ *
+ * @returns {{ extract: { left, top, width, height }, extend: { left, top, right, bottom } }|null} null when the window misses the image
+ */
+export function clipPatchWindow(window, imageWidth, imageHeight) {
+  const left = Math.max(0, window.left);
+  const top = Math.max(0, window.top);
+  const right = Math.min(imageWidth, window.left + window.width);
+  const bottom = Math.min(imageHeight, window.top + window.height);
+  if (right <= left || bottom <= top) return null;
+  return {
+    extract: { left, top, width: right - left, height: bottom - top },
+    extend: {
+      left: left - window.left,
+      top: top - window.top,
+      right: window.left + window.width - right,
+      bottom: window.top + window.height - bottom
+    }
+  };
+}
+
+function overlaps(a, b) {
+  return a.left < b.left + b.width && b.left < a.left + a.width && a.top < b.top + b.height && b.top < a.top + a.height;
+}
+
+/**
+ * 负样本窗口
+ *
+ * @param {Array} keypoints - All annotations of the image
+ * @param {Object} options
+ * @param {string} options.imageId
+ * @param {number} options.width - Image width
+ * @param {number} options.height - Image height
+ * @param {number} options.count - Windows to find
+ * @param {number} [options.size]
+ * @param {number} [options.minDistance] - From every keypoint to the window centre, defaults to `size`
+ * @param {number} [options.seed]
+ * @returns {Array<{ left: number, top: number, width: number, height: number }>} Fewer than `count` when the image is crowded
+ */
+export function sampleNegativeWindows(keypoints, { imageId, width, height, count, size = DEFAULT_PATCH_SIZE, minDistance = size, seed = 0 }) {
+  if (count <= 0 || width < size || height < size) return [];
+  const points = keypoints.filter(keypoint => !isRegion(keypoint));
+  const boxes = keypoints.filter(isRegion).map(keypoint => getPatchWindow(keypoint));
+  const windows = [];
+
+  for (let attempt = 0; attempt < count * NEGATIVE_ATTEMPTS && windows.length < count; attempt++) {
+    const u = hashString(`${seed}:${imageId}:${attempt}:x`) / 0x100000000;
+    const v = hashString(`${seed}:${imageId}:${attempt}:y`) / 0x100000000;
+    const window = { left: Math.floor(u * (width - size + 1)), top: Math.floor(v * (height - size + 1)), width: size, height: size };
+    const centerX = window.left + size / 2;
+    const centerY = window.top + size / 2;
+    if (points.some(point => Math.hypot(point.x - centerX, point.y - centerY) < minDistance)) continue;
+    if (boxes.some(box => overlaps(box, window))) continue;
+    if (windows.some(other => overlaps(other, window))) continue;
+    windows.push(window);
+  }
+  return windows;
+}
+
+/**
+ * 规划一张图像的图块
+ *
+ * @param {Array} keypoints - Annotations of the image
+ * @param {Object} options
+ * @param {string} options.imageId
+ * @param {number} options.width - Image width
+ * @param {number} options.height - Image height
+ * @param {number} [options.size] - Keypoint and negative window size
+ * @param {number} [options.regionPadding]
+ * @param {string[]|null} [options.typeIds] - Only these annotation types
+ * @param {number} [options.negatives] - Negative windows per image
+ * @param {number} [options.minNegativeDistance]
+ * @param {number} [options.seed]
+ * @returns {{ patches: Array<{ label: string, name: string, window: Object, clip: Object, keypoint: Object|null }>, skippedKeypoints: number }}
+ *   `name` is unique in the image and in the label directory, without extension
+ */
+export function planImagePatches(keypoints, {
+  imageId,
+  width,
+  height,
+  size = DEFAULT_PATCH_SIZE,
+  regionPadding = 0,
+  typeIds = null,
+  negatives = 0,
+  minNegativeDistance = size,
+  seed = 0
+}) {
+  const baseName = imageId.replace(/\.[^.]+$/, '');
+  const usedNames = new Set();
+  const uniqueName = (label, name) => {
+    let candidate = name;
+    for (let i = 2; usedNames.has(`${label}/${candidate}`); i++) candidate = `${name}-${i}`;
+    usedNames.add(`${label}/${candidate}`);
+    return candidate;
+  };
+
+  const patches = [];
+  let skippedKeypoints = 0;
+  keypoints.forEach((keypoint, index) => {
+    const label = getKeypointTypeId(keypoint);
+    if (typeIds && !typeIds.includes(label)) return;
+    const window = getPatchWindow(keypoint, { size, regionPadding });
+    const clip = clipPatchWindow(window, width, height);
+    if (!clip) {
+      skippedKeypoints++;
+      return;
+    }
+    const suffix = Number.isInteger(keypoint.order) ? `o${keypoint.order}` : `k${index + 1}`;
+    patches.push({ label, name: uniqueName(label, `${baseName}_${suffix}`), window, clip, keypoint });
+  });
+
+  sampleNegativeWindows(keypoints, { imageId, width, height, count: negatives, size, minDistance: minNegativeDistance, seed })
+    .forEach((window, index) => {
+      patches.push({
+        label: NEGATIVE_LABEL,
+        name: uniqueName(NEGATIVE_LABEL, `${baseName}_n${index + 1}`),
+        window,
+        clip: clipPatchWindow(window, width, height),
+        keypoint: null
+      });
+    });
+
+  return { patches, skippedKeypoints };
+}
+
+/**
+ * 清单行
+ *
+ * @param {Object} patch - From planImagePatches()
+ * @param {{ file: string, plantId: string, viewAngle: string, imageId: string }} context
+ */
+export function buildManifestRow(patch, context) {
+  const { keypoint, window } = patch;
+  return {
+    ...context,
+    label: patch.label,
+    order: keypoint?.order ?? null,
+    direction: keypoint ? (getDirectionAngles(keypoint)[0] ?? null) : null,
+    directions: keypoint ? getDirectionAngles(keypoint).join(';') : '',
+    x: keypoint ? keypoint.x : window.left + window.width / 2,
+    y: keypoint ? keypoint.y : window.top + window.height / 2,
+    width: keypoint?.width ?? null,
+    height: keypoint?.height ?? null,
+    left: window.left,
+    top: window.top,
+    cropWidth: window.width,
+    cropHeight: window.height
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * 前端项目配置
+ *
+ * The Vite dev server injects the public part of annotation-tool.config.json
+ * as `__PROJECT_CONFIG__`. Values the backend resolved at runtime (CLI/env
+ * overrides) are fetched from `/api/config` and merged in via
+ * `applyServerConfig`.
+ */
+
+import { DEFAULT_TIMESTAMP_PARSERS, createImageTimeParser } from './ImageTimeParser.js';
+
+const DEFAULT_PROJECT_CONFIG = {
+  ports: {
+    backend: 3003,
+    storage: 3002,
+    frontend: 3000
+  },
+  viewAngles: ['sv-000', 'sv-045', 'sv-090'],
+  viewLabels: {},
+  annotators: [],
+  reviewers: [],
+  leaseMinutes: 15,
+  plantIdPattern: '^BR\\d+-\\d+$',
+  timestampParsers: DEFAULT_TIMESTAMP_PARSERS
+};
+
+/* global __PROJECT_CONFIG__ */
+const injectedConfig = typeof __PROJECT_CONFIG__ !== 'undefined' ? __PROJECT_CONFIG__ : {};
+
+let projectConfig = mergeConfig(DEFAULT_PROJECT_CONFIG, injectedConfig);
+
+function mergeConfig(base, overrides = {}) {
+  return {
+    ...base,
+    ...overrides,
+    ports: { ...base.ports, ...(overrides.ports || {}) }
+  };
+}
+
+function getHostname() {
+  return (typeof window !== 'undefined' && window.location?.hostname) || 'localhost';
+}
+
+/**
+ * 获取当前项目配置
+ */
+export function getProjectConfig() {
+  return projectConfig;
+}
+
+/**
+ * 合并后端返回的配置（/api/config）
+ */
+export function applyServerConfig(serverConfig) {
+  if (serverConfig && typeof serverConfig === 'object') {
+    projectConfig = mergeConfig(projectConfig, serverConfig);
+  }
+  return projectConfig;
+}
+
+/**
+ * 数据集后端 API 地址 (backend-server.js)
+ */
+export function getBackendApiUrl() {
+  return `http://${getHostname()}:${projectConfig.ports.backend}/api`;
+}
+
+/**
+ * 标注存储服务 API 地址 (server.js)
+ */
+export function getStorageApiUrl() {
+  return `http://${getHostname()}:${projectConfig.ports.storage}/api`;
+}
+
+/**
+ * 按项目配置创建图像时间解析器
+ */
+export function getImageTimeParser() {
+  return createImageTimeParser(projectConfig.timestampParsers);
+}
+
+/**
+ * 植物ID格式
+ */
+export function getPlantIdRegex() {
+  return new RegExp(projectConfig.plantIdPattern);
+}
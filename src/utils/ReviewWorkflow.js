@@ -0,0 +1,79 @@
+/**
+ * 审核流程的状态和规则
+ *
+ * Shared by the backend (backend/annotationService.js) and the review UI:
+ *
+ *   in-progress → submitted → in-review → approved
+ *                                       ↘ changes-requested → submitted → ...
+ *
+ * Only reviewers may start a review, judge keypoints and decide, and once a
+ * review has started only they may change the plant's status. Config
+ * `reviewers` lists them; when it is empty every signed-in annotator may
+ * review. A reviewer's verdicts live in one review record per plant:
+ *
+ *   { plantId, submittedBy, submittedAt, reviewer, decision, decidedAt, comment,
+ *     items: [{ id, imageId, keypointId, order, x, y, verdict, comment,
+ *               reviewer, createdAt, resolved, resolvedBy, resolvedAt }] }
+ *
+ * Flagged items that are not resolved yet are the annotator's rework list.
+ */
+
+export const REVIEW_STATUSES = Object.freeze({
+  SUBMITTED: 'submitted',
+  IN_REVIEW: 'in-review',
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes-requested'
+});
+
+// 只有审核者可以设置的状态
+export const REVIEWER_STATUSES = [
+  REVIEW_STATUSES.IN_REVIEW,
+  REVIEW_STATUSES.APPROVED,
+  REVIEW_STATUSES.CHANGES_REQUESTED
+];
+
+// 审核开始后只有审核者可以修改植物状态
+export const REVIEWER_LOCKED_STATUSES = [REVIEW_STATUSES.IN_REVIEW, REVIEW_STATUSES.APPROVED];
+
+// 审核的结论
+export const REVIEW_DECISIONS = [REVIEW_STATUSES.APPROVED, REVIEW_STATUSES.CHANGES_REQUESTED];
+
+// 等待或正在审核：标注者不再修改
+export const AWAITING_REVIEW_STATUSES = [REVIEW_STATUSES.SUBMITTED, REVIEW_STATUSES.IN_REVIEW];
+
+// 计入完成数的状态（completed 是引入审核之前的完成状态）
+export const FINISHED_STATUSES = ['completed', REVIEW_STATUSES.APPROVED];
+
+export const REVIEW_VERDICTS = ['accepted', 'flagged'];
+
+/**
+ * 标注者是否可以审核
+ *
+ * @param {string} annotator
+ * @param {string[]} [reviewers] - Config `reviewers`; empty means everyone
+ */
+export function isReviewer(annotator, reviewers = []) {
+  if (!annotator) return false;
+  return reviewers.length === 0 || reviewers.includes(annotator);
+}
+
+/**
+ * 标注者需要返工的标注点（已标记且未解决）
+ */
+export function getReworkItems(review) {
+  return (review?.items || []).filter(item => item.verdict === 'flagged' && !item.resolved);
+}
+
+/**
+ * 审核条目对应的标注点（标注点被删除后返回 null）
+ */
+export function findReviewedKeypoint(keypoints, item) {
+  return keypoints.find(keypoint => String(keypoint.id) === String(item.keypointId)) || null;
+}
+
+/**
+ * 标注点对应的审核条目
+ */
+export function findReviewItem(items, imageId, keypoint) {
+  return items.find(item => item.imageId === imageId && String(item.keypointId) === String(keypoint.id)) || null;
+}
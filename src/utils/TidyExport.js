@@ -0,0 +1,134 @@
+/**
+ * 长格式（tidy）CSV 导出
+ *
+ * One row per keypoint per frame, ready for R or pandas. Rows are sorted by
+ * plant, view, capture time and order. The `source` column tells whether the
+ * frame's keypoints were set by hand (`manual`) or copied from an earlier
+ * frame (`propagated`); it is empty when the frame was saved before the tool
+ * recorded this (see TimeSeriesAnnotationManager.getAnnotationSource()).
+ */
+
+import { toCsv } from './Csv.js';
+import { parseImageId } from './ViewAngles.js';
+import { getKeypointTypeId, directionToDegrees } from './AnnotationAgreement.js';
+
+export const TIDY_COLUMNS = [
+  { key: 'plantId', label: 'Plant ID' },
+  { key: 'viewAngle', label: 'View' },
+  { key: 'imageId', label: 'Image ID' },
+  { key: 'captureDateTime', label: 'Capture date/time (ISO 8601, UTC)' },
+  { key: 'order', label: 'Order' },
+  { key: 'customTypeId', label: 'Annotation type' },
+  { key: 'x', label: 'x' },
+  { key: 'y', label: 'y' },
+  { key: 'width', label: 'Width (regions)' },
+  { key: 'height', label: 'Height (regions)' },
+  { key: 'direction', label: 'Direction (degrees)' },
+  { key: 'directions', label: 'All directions (degrees, ";"-separated)' },
+  { key: 'annotator', label: 'Annotator' },
+  { key: 'source', label: 'Manual / propagated' }
+];
+
+export const TIDY_COLUMN_KEYS = TIDY_COLUMNS.map(column => column.key);
+
+/**
+ * 标注点的全部方向角度（多方向标注点取 directions，否则取 direction）
+ */
+export function getDirectionAngles(keypoint) {
+  if (Array.isArray(keypoint.directions) && keypoint.directions.length > 1) {
+    return keypoint.directions
+      .map(entry => directionToDegrees(typeof entry === 'object' && entry !== null ? entry.angle : entry))
+      .filter(angle => angle !== null);
+  }
+  const angle = directionToDegrees(keypoint.direction);
+  return angle === null ? [] : [angle];
+}
+
+/**
+ * 拍摄时间转为 ISO 8601（无效或缺少时为 null）
+ *
+ * @param {Date|string|null} value
+ */
+export function toIsoString(value) {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function compareRows(a, b) {
+  return a.plantId.localeCompare(b.plantId) ||
+    a.viewAngle.localeCompare(b.viewAngle) ||
+    (a.captureDateTime ?? '').localeCompare(b.captureDateTime ?? '') ||
+    a.imageId.localeCompare(b.imageId) ||
+    (a.order ?? Infinity) - (b.order ?? Infinity);
+}
+
+/**
+ * 生成长格式行
+ *
+ * @param {Array<{ imageId: string, plantId?: string, annotations: Array }>} images
+ * @param {Object} [options]
+ * @param {(imageId: string) => (Date|string|null)} [options.getCaptureTime] - Capture time of a frame
+ * @param {(imageId: string) => ('manual'|'propagated'|null)} [options.getAnnotationSource]
+ * @param {(plantId: string) => string} [options.getPlantStatus]
+ * @param {string[]|null} [options.statuses] - Only plants with one of these statuses
+ * @param {string|null} [options.from] - First capture date, `YYYY-MM-DD` (inclusive)
+ * @param {string|null} [options.to] - Last capture date, `YYYY-MM-DD` (inclusive)
+ * @param {RegExp} [options.plantIdRegex] - The configured plantIdPattern, see parseImageId
+ * @returns {Object[]} Rows keyed by TIDY_COLUMN_KEYS
+ */
+export function buildTidyRows(images, {
+  getCaptureTime = () => null,
+  getAnnotationSource = () => null,
+  getPlantStatus = () => null,
+  statuses = null,
+  from = null,
+  to = null,
+  plantIdRegex = null
+} = {}) {
+  const rows = [];
+  for (const image of images) {
+    const parsed = parseImageId(image.imageId, plantIdRegex);
+    const plantId = image.plantId || parsed?.plantId || '';
+    if (statuses && !statuses.includes(getPlantStatus(plantId) || 'pending')) continue;
+
+    const captureDateTime = toIsoString(getCaptureTime(image.imageId));
+    // 有日期范围时，没有拍摄时间的图像不导出
+    if ((from || to) && !captureDateTime) continue;
+    const captureDate = captureDateTime?.slice(0, 10);
+    if (from && captureDate < from) continue;
+    if (to && captureDate > to) continue;
+
+    const source = getAnnotationSource(image.imageId) || '';
+    for (const keypoint of image.annotations || []) {
+      const angles = getDirectionAngles(keypoint);
+      rows.push({
+        plantId,
+        viewAngle: parsed?.viewAngle || '',
+        imageId: image.imageId,
+        captureDateTime,
+        order: keypoint.order ?? null,
+        customTypeId: getKeypointTypeId(keypoint),
+        x: keypoint.x,
+        y: keypoint.y,
+        width: keypoint.width ?? null,
+        height: keypoint.height ?? null,
+        direction: angles[0] ?? null,
+        directions: angles.join(';'),
+        annotator: keypoint.modifiedBy || keypoint.createdBy || '',
+        source
+      });
+    }
+  }
+  return rows.sort(compareRows);
+}
+
+/**
+ * 长格式 CSV
+ *
+ * @param {Object[]} rows - From buildTidyRows()
+ * @param {string[]} [columns] - Column keys to write, in TIDY_COLUMNS order
+ */
+export function tidyRowsToCsv(rows, columns = TIDY_COLUMN_KEYS) {
+  return toCsv(TIDY_COLUMN_KEYS.filter(key => columns.includes(key)), rows);
+}
@@ -0,0 +1,209 @@
+/**
+ * 视角与成像模态工具
+ *
+ * Shared by backend-server.js (view discovery) and the frontend (labels,
+ * ordering). Any subdirectory of a plant folder that contains images is a
+ * view. Directory names such as `sv-000`, `tv-000`, `fluo-sv-090` or
+ * `nir-tv-000` are understood; anything else is shown under its own name.
+ */
+
+// Image IDs are `${plantId}_${viewAngle}_${fileName}`, so a view directory
+// name must not contain the separator.
+export const IMAGE_ID_SEPARATOR = '_';
+
+/**
+ * 拆分图像ID `<plantId>_<view>_<fileName>`（文件名中可以包含下划线）
+ *
+ * @param {string} imageId
+ * @param {RegExp} [plantIdRegex] - The configured plantIdPattern; plant IDs may then contain
+ *   the separator (the shortest prefix that matches is the plant ID). Without it, or when no
+ *   prefix matches, the plant ID ends at the first separator.
+ * @returns {{ plantId: string, viewAngle: string, imageName: string }|null}
+ */
+export function parseImageId(imageId, plantIdRegex = null) {
+  const parts = String(imageId).split(IMAGE_ID_SEPARATOR);
+  let plantParts = 1;
+  if (plantIdRegex) {
+    for (let count = 1; count <= parts.length - 2; count++) {
+      if (plantIdRegex.test(parts.slice(0, count).join(IMAGE_ID_SEPARATOR))) {
+        plantParts = count;
+        break;
+      }
+    }
+  }
+  if (parts.length < plantParts + 2 || !parts[plantParts - 1] || !parts[plantParts]) {
+    return null;
+  }
+  return {
+    plantId: parts.slice(0, plantParts).join(IMAGE_ID_SEPARATOR),
+    viewAngle: parts[plantParts],
+    imageName: parts.slice(plantParts + 1).join(IMAGE_ID_SEPARATOR)
+  };
+}
+
+/**
+ * 数据集内的相对路径 `<plantId>/<view>/<fileName>`
+ *
+ * @param {string} imageId
+ * @param {RegExp} [plantIdRegex] - See parseImageId
+ * @returns {string|null}
+ */
+export function imageIdToPath(imageId, plantIdRegex = null) {
+  const parsed = parseImageId(imageId, plantIdRegex);
+  return parsed ? [parsed.plantId, parsed.viewAngle, parsed.imageName].join('/') : null;
+}
+
+/**
+ * 外部标注文件中的图像名对应的图像ID
+ *
+ * Accepts an image ID, a path ending in `<plantId>/<view>/<fileName>` or, when
+ * `knownImageIds` is given, a bare file name that only one known image has.
+ *
+ * @param {string} fileName
+ * @param {string[]} [knownImageIds] - Restrict the result to these images
+ * @param {RegExp} [plantIdRegex] - See parseImageId
+ * @returns {string|null}
+ */
+export function matchImageId(fileName, knownImageIds = null, plantIdRegex = null) {
+  const segments = String(fileName).split(/[\\/]/).filter(Boolean);
+  const baseName = segments[segments.length - 1];
+  if (!baseName) return null;
+
+  const candidates = segments.length >= 3 ? [segments.slice(-3).join(IMAGE_ID_SEPARATOR), baseName] : [baseName];
+  if (!knownImageIds) {
+    return candidates.find(candidate => parseImageId(candidate, plantIdRegex)) ?? null;
+  }
+
+  const known = new Set(knownImageIds);
+  const exact = candidates.find(candidate => known.has(candidate));
+  if (exact) return exact;
+
+  const sameName = knownImageIds.filter(imageId => parseImageId(imageId, plantIdRegex)?.imageName === baseName);
+  return sameName.length === 1 ? sameName[0] : null;
+}
+
+export const KNOWN_MODALITIES = ['VIS', 'NIR', 'FLUO', 'IR'];
+
+// 兼容原有按钮文案
+export const DEFAULT_VIEW_LABELS = {
+  'sv-000': 'Front View',
+  'sv-045': '45-degree View',
+  'sv-090': 'Side View'
+};
+
+const VIEW_TYPE_NAMES = {
+  sv: 'side',
+  tv: 'top'
+};
+
+const VIEW_NAME_REGEX = /^(?:(?<prefix>[a-z]+)[-_])?(?<type>sv|tv)[-_]?(?<angle>\d{1,3})(?:[-_](?<suffix>[a-z]+))?$/i;
+const MODALITY_TOKEN_REGEX = new RegExp(`(?:^|[_\\-.])(${KNOWN_MODALITIES.join('|')})(?=[_\\-.]|$)`, 'i');
+
+/**
+ * 检查目录名是否可以作为视角ID
+ */
+export function isValidViewId(name) {
+  return typeof name === 'string' &&
+    name.length > 0 &&
+    !name.startsWith('.') &&
+    !name.includes(IMAGE_ID_SEPARATOR) &&
+    !name.includes('/') &&
+    !name.includes('\\');
+}
+
+/**
+ * 从文件名或目录名中识别成像模态（VIS/NIR/FLUO/IR）
+ */
+export function detectModality(name) {
+  const match = name && name.match(MODALITY_TOKEN_REGEX);
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * 解析视角目录名
+ *
+ * @returns {{ id: string, type: string|null, angle: number|null, modality: string|null }}
+ */
+export function parseViewName(name) {
+  const match = name.match(VIEW_NAME_REGEX);
+  if (!match) {
+    return { id: name, type: null, angle: null, modality: detectModality(name) };
+  }
+
+  const { prefix, type, angle, suffix } = match.groups;
+  const modalityToken = [prefix, suffix].find(token => token && KNOWN_MODALITIES.includes(token.toUpperCase()));
+
+  return {
+    id: name,
+    type: VIEW_TYPE_NAMES[type.toLowerCase()],
+    angle: parseInt(angle, 10),
+    modality: modalityToken ? modalityToken.toUpperCase() : null
+  };
+}
+
+/**
+ * 生成视角显示名称
+ */
+export function getViewLabel(view, labels = {}) {
+  const id = typeof view === 'string' ? view : view.id;
+  if (labels[id]) return labels[id];
+
+  const parsed = typeof view === 'string' ? parseViewName(view) : view;
+  const modality = parsed.modality && parsed.modality !== 'VIS' ? ` (${parsed.modality})` : '';
+
+  if (DEFAULT_VIEW_LABELS[id]) return `${DEFAULT_VIEW_LABELS[id]}${modality}`;
+  if (parsed.type === 'top') return `Top View${parsed.angle ? ` ${parsed.angle}°` : ''}${modality}`;
+  if (parsed.type === 'side') return `Side View ${parsed.angle}°${modality}`;
+  return id;
+}
+
+/**
+ * 汇总视角信息（目录名 + 目录内的图像文件名）
+ */
+export function describeView(name, fileNames = [], labels = {}) {
+  const parsed = parseViewName(name);
+
+  const modalityCounts = {};
+  for (const fileName of fileNames) {
+    const modality = detectModality(fileName);
+    if (modality) {
+      modalityCounts[modality] = (modalityCounts[modality] || 0) + 1;
+    }
+  }
+  const modalities = Object.keys(modalityCounts).sort((a, b) => modalityCounts[b] - modalityCounts[a]);
+  const modality = parsed.modality || modalities[0] || null;
+
+  const view = {
+    ...parsed,
+    modality,
+    modalities,
+    imageCount: fileNames.length
+  };
+  view.label = getViewLabel(view, labels);
+  return view;
+}
+
+/**
+ * 视角排序：已配置的视角在前（按配置顺序），其余按类型、角度、名称排序
+ */
+export function sortViewIds(ids, preferredOrder = []) {
+  const typeRank = { side: 0, top: 1 };
+  return [...ids].sort((a, b) => {
+    const ia = preferredOrder.indexOf(a);
+    const ib = preferredOrder.indexOf(b);
+    if (ia !== -1 || ib !== -1) {
+      if (ia === -1) return 1;
+      if (ib === -1) return -1;
+      return ia - ib;
+    }
+
+    const va = parseViewName(a);
+    const vb = parseViewName(b);
+    const ra = va.type in typeRank ? typeRank[va.type] : 2;
+    const rb = vb.type in typeRank ? typeRank[vb.type] : 2;
+    if (ra !== rb) return ra - rb;
+    if ((va.modality || '') !== (vb.modality || '')) return (va.modality || '').localeCompare(vb.modality || '');
+    if (va.angle !== vb.angle) return (va.angle ?? 0) - (vb.angle ?? 0);
+    return a.localeCompare(b);
+  });
+}
@@ -0,0 +1,153 @@
+/**
+ * XML 读写
+ *
+ * A small element-tree reader for the interchange formats (CVAT XML), so
+ * the converters run the same in the browser, in tests and on the backend
+ * without DOMParser. Supports elements, attributes, text, CDATA, comments,
+ * processing instructions and the predefined and numeric entities; DTDs
+ * are skipped.
+ */
+
+/**
+ * XML 格式错误
+ */
+export class XmlParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'XmlParseError';
+  }
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+/**
+ * 转义文本和属性值
+ */
+export function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+/**
+ * 解析 XML 文本
+ *
+ * @param {string} text
+ * @returns {{ name: string, attributes: Object<string, string>, children: Array, text: string }} Root element;
+ *   `text` is the concatenated character data directly inside an element
+ * @throws {XmlParseError}
+ */
+export function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let position = 0;
+
+  const fail = message => {
+    throw new XmlParseError(`${message} at offset ${position}`);
+  };
+  const skipPast = terminator => {
+    const end = text.indexOf(terminator, position);
+    if (end === -1) fail(`Missing ${terminator}`);
+    const content = text.slice(position, end);
+    position = end + terminator.length;
+    return content;
+  };
+  // 开始标签到 '>'，属性值中的 '>' 不算结束
+  const readTag = () => {
+    let quote = null;
+    for (let i = position; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '>') {
+        const content = text.slice(position, i);
+        position = i + 1;
+        return content;
+      }
+    }
+    return fail('Missing >');
+  };
+
+  while (position < text.length) {
+    const current = stack[stack.length - 1];
+    if (text[position] !== '<') {
+      const end = text.indexOf('<', position);
+      const chunk = text.slice(position, end === -1 ? text.length : end);
+      current.text += decodeEntities(chunk);
+      position += chunk.length;
+      continue;
+    }
+
+    if (text.startsWith('<!--', position)) {
+      position += 4;
+      skipPast('-->');
+    } else if (text.startsWith('<![CDATA[', position)) {
+      position += 9;
+      current.text += skipPast(']]>');
+    } else if (text.startsWith('<?', position)) {
+      position += 2;
+      skipPast('?>');
+    } else if (text.startsWith('<!', position)) {
+      // DOCTYPE（不支持内部子集）
+      position += 2;
+      skipPast('>');
+    } else if (text[position + 1] === '/') {
+      position += 2;
+      const name = skipPast('>').trim();
+      if (stack.length === 1 || current.name !== name) fail(`Unexpected </${name}>`);
+      stack.pop();
+    } else {
+      position += 1;
+      const tag = readTag();
+      const selfClosing = tag.endsWith('/');
+      const body = selfClosing ? tag.slice(0, -1) : tag;
+      const name = body.match(/^[^\s/>]+/)?.[0];
+      if (!name) fail('Invalid tag');
+      const element = { name, attributes: {}, children: [], text: '' };
+      for (const match of body.slice(name.length).matchAll(ATTRIBUTE_PATTERN)) {
+        element.attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+      }
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) fail(`Unclosed <${stack[stack.length - 1].name}>`);
+  const elements = root.children;
+  if (elements.length !== 1) fail('Expected one root element');
+  return elements[0];
+}
+
+/**
+ * 子元素
+ *
+ * @param {Object} element - From parseXml()
+ * @param {string} name
+ */
+export function childElements(element, name) {
+  return element.children.filter(child => child.name === name);
+}
+
+/**
+ * 第一个同名子元素的文本（去掉首尾空白），没有时返回 null
+ */
+export function childText(element, name) {
+  const child = element.children.find(candidate => candidate.name === name);
+  return child ? child.text.trim() : null;
+}
@@ -0,0 +1,208 @@
+/**
+ * YOLO 数据集格式
+ *
+ * Label lines, class list, plant-level splits and data.yaml for the YOLO
+ * export (backend/yoloExport.js). Two tasks:
+ *
+ * - pose    class 0 is one object per image whose keypoints are the numbered
+ *           `builtin-regular-keypoint` points: slot i holds the point with
+ *           order i + 1 (`x y 2`, or `0 0 0` when the image has no such
+ *           point); its box is the keypoints' extent plus `padding` pixels.
+ *           Region types follow as further classes with all keypoints `0 0 0`.
+ * - detect  one class per region type, boxes only.
+ *
+ * Coordinates are normalised by the image size; boxes are
+ * `class cx cy w h`.
+ */
+
+export const YOLO_TASKS = ['pose', 'detect'];
+export const YOLO_SPLITS = ['train', 'val', 'test'];
+export const DEFAULT_YOLO_SPLIT = { train: 0.8, val: 0.1, test: 0.1 };
+export const DEFAULT_BOX_PADDING = 20;
+
+// 作为姿态关键点导出的类型
+export const KEYPOINT_TYPE_ID = 'builtin-regular-keypoint';
+
+function isRegion(keypoint) {
+  return typeof keypoint.width === 'number' && typeof keypoint.height === 'number';
+}
+
+function isPoseKeypoint(keypoint) {
+  return !isRegion(keypoint) &&
+    (keypoint.annotationType !== 'custom' || !keypoint.customTypeId || keypoint.customTypeId === KEYPOINT_TYPE_ID) &&
+    Number.isInteger(keypoint.order) && keypoint.order > 0;
+}
+
+/**
+ * 关键点槽位数（所有图像中最大的序号）
+ *
+ * @param {Array<Array>} annotationLists - Keypoints of every exported image
+ */
+export function getKeypointCount(annotationLists) {
+  let count = 0;
+  for (const keypoints of annotationLists) {
+    for (const keypoint of keypoints) {
+      if (isPoseKeypoint(keypoint)) count = Math.max(count, keypoint.order);
+    }
+  }
+  return count;
+}
+
+/**
+ * 类别列表：姿态任务的关键点对象在前，区域类型按ID排序
+ *
+ * @param {Array<Array>} annotationLists
+ * @param {Object} [options]
+ * @param {'pose'|'detect'} [options.task]
+ * @param {Object<string, string>} [options.typeNames] - Type ID -> display name (defaults to the ID)
+ * @returns {Array<{ id: number, typeId: string, name: string }>}
+ */
+export function getYoloClasses(annotationLists, { task = 'pose', typeNames = {} } = {}) {
+  const regionTypeIds = new Set();
+  for (const keypoints of annotationLists) {
+    for (const keypoint of keypoints) {
+      if (isRegion(keypoint) && keypoint.customTypeId) regionTypeIds.add(keypoint.customTypeId);
+    }
+  }
+  const typeIds = [...(task === 'pose' ? [KEYPOINT_TYPE_ID] : []), ...[...regionTypeIds].sort()];
+  return typeIds.map((typeId, id) => ({ id, typeId, name: typeNames[typeId] || typeId }));
+}
+
+// 字符串哈希（FNV-1a），用于稳定地打乱植物顺序
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * 按植物划分 train/val/test，同一植物的所有图像在同一划分中
+ *
+ * Plants are shuffled by a hash of the seed and the plant ID, then cut by
+ * the ratios, so the same plants and seed always give the same split.
+ *
+ * @param {string[]} plantIds
+ * @param {{ train: number, val: number, test: number }} [ratios]
+ * @param {number} [seed]
+ * @returns {Map<string, 'train'|'val'|'test'>}
+ */
+export function splitPlants(plantIds, ratios = DEFAULT_YOLO_SPLIT, seed = 0) {
+  const shuffled = [...new Set(plantIds)]
+    .map(plantId => ({ plantId, key: hashString(`${seed}:${plantId}`) }))
+    .sort((a, b) => a.key - b.key || a.plantId.localeCompare(b.plantId))
+    .map(entry => entry.plantId);
+
+  const total = YOLO_SPLITS.reduce((sum, split) => sum + (ratios[split] || 0), 0) || 1;
+  const trainCount = Math.round(shuffled.length * (ratios.train || 0) / total);
+  const valCount = Math.min(shuffled.length - trainCount, Math.round(shuffled.length * (ratios.val || 0) / total));
+
+  const splits = new Map();
+  shuffled.forEach((plantId, i) => {
+    splits.set(plantId, i < trainCount ? 'train' : i < trainCount + valCount ? 'val' : 'test');
+  });
+  return splits;
+}
+
+function format(value) {
+  return String(Number(value.toFixed(6)));
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function boxFields(x, y, w, h, width, height) {
+  const left = clamp(x, 0, width);
+  const top = clamp(y, 0, height);
+  const right = clamp(x + w, 0, width);
+  const bottom = clamp(y + h, 0, height);
+  return [
+    (left + right) / 2 / width,
+    (top + bottom) / 2 / height,
+    (right - left) / width,
+    (bottom - top) / height
+  ].map(format);
+}
+
+/**
+ * 一张图像的标签文件内容
+ *
+ * Keypoints outside the image are left out (`0 0 0`) and counted in
+ * `skippedKeypoints`, as are numbered points beyond `keypointCount`.
+ *
+ * @param {Array} keypoints - The image's annotations
+ * @param {Object} options
+ * @param {number} options.width - Image width in pixels
+ * @param {number} options.height - Image height in pixels
+ * @param {'pose'|'detect'} options.task
+ * @param {Array<{ id: number, typeId: string }>} options.classes - From getYoloClasses()
+ * @param {number} [options.keypointCount] - Pose slots (from getKeypointCount())
+ * @param {number} [options.padding] - Pose box padding in pixels
+ * @returns {{ lines: string[], skippedKeypoints: number }}
+ */
+export function buildYoloLabel(keypoints, { width, height, task, classes, keypointCount = 0, padding = DEFAULT_BOX_PADDING }) {
+  const classOf = new Map(classes.map(entry => [entry.typeId, entry.id]));
+  const emptySlots = task === 'pose' ? Array(keypointCount).fill('0 0 0') : [];
+  const lines = [];
+  let skippedKeypoints = 0;
+
+  if (task === 'pose') {
+    const slots = [...emptySlots];
+    const inside = [];
+    for (const keypoint of keypoints.filter(isPoseKeypoint)) {
+      const isInside = keypoint.x >= 0 && keypoint.x <= width && keypoint.y >= 0 && keypoint.y <= height;
+      if (!isInside || keypoint.order > keypointCount) {
+        skippedKeypoints++;
+        continue;
+      }
+      slots[keypoint.order - 1] = `${format(keypoint.x / width)} ${format(keypoint.y / height)} 2`;
+      inside.push(keypoint);
+    }
+    if (inside.length > 0) {
+      const left = Math.min(...inside.map(point => point.x)) - padding;
+      const top = Math.min(...inside.map(point => point.y)) - padding;
+      const right = Math.max(...inside.map(point => point.x)) + padding;
+      const bottom = Math.max(...inside.map(point => point.y)) + padding;
+      lines.push([classOf.get(KEYPOINT_TYPE_ID), ...boxFields(left, top, right - left, bottom - top, width, height), ...slots].join(' '));
+    }
+  }
+
+  for (const region of keypoints.filter(isRegion)) {
+    const classId = classOf.get(region.customTypeId);
+    if (classId === undefined) continue;
+    const box = boxFields(region.x, region.y, region.width, region.height, width, height);
+    // 完全在图像外的区域
+    if (Number(box[2]) === 0 || Number(box[3]) === 0) continue;
+    lines.push([classId, ...box, ...emptySlots].join(' '));
+  }
+
+  return { lines, skippedKeypoints };
+}
+
+/**
+ * data.yaml
+ *
+ * @param {Object} params
+ * @param {string} params.path - Dataset directory (absolute)
+ * @param {'pose'|'detect'} params.task
+ * @param {Array<{ id: number, typeId: string, name: string }>} params.classes
+ * @param {number} [params.keypointCount]
+ */
+export function buildDataYaml({ path, task, classes, keypointCount = 0 }) {
+  const lines = [
+    '# YOLO dataset exported by the plant annotation tool',
+    `path: ${JSON.stringify(path)}`,
+    ...YOLO_SPLITS.map(split => `${split}: images/${split}`)
+  ];
+  if (task === 'pose') {
+    // 序号与左右无关，水平翻转时槽位不交换
+    lines.push(`kpt_shape: [${keypointCount}, 3]`);
+    lines.push(`flip_idx: [${Array.from({ length: keypointCount }, (_, i) => i).join(', ')}]`);
+  }
+  lines.push('names:', ...classes.map(entry => `  ${entry.id}: ${JSON.stringify(entry.name)}`));
+  lines.push('# class -> custom annotation type', 'custom_type_ids:', ...classes.map(entry => `  ${entry.id}: ${JSON.stringify(entry.typeId)}`));
+  return `${lines.join('\n')}\n`;
+}
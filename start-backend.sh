@@ -20,17 +20,28 @@ if [ ! -d "node_modules/express" ] || [ ! -d "node_modules/cors" ]; then
     fi
 fi
 
+# 后端端口：与服务器相同的解析顺序（默认值 < annotation-tool.config.json < PORT 环境变量 < --port）
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+CHECK_PORT=$(node --input-type=module -e "
+import { loadProjectConfig } from '$SCRIPT_DIR/backend/config.js';
+console.log(loadProjectConfig({ argv: process.argv.slice(1) }).ports.backend);
+" -- "$@")
+if [ $? -ne 0 ] || [ -z "$CHECK_PORT" ]; then
+    echo "错误: 无法读取项目配置"
+    exit 1
+fi
+
 # 检查端口是否被占用
-if lsof -Pi :3003 -sTCP:LISTEN -t >/dev/null ; then
-    echo "端口 3003 已被占用，正在停止现有服务..."
-    lsof -ti:3003 | xargs kill -9 2>/dev/null || true
+if lsof -Pi :$CHECK_PORT -sTCP:LISTEN -t >/dev/null ; then
+    echo "端口 $CHECK_PORT 已被占用，正在停止现有服务..."
+    lsof -ti:$CHECK_PORT | xargs kill -9 2>/dev/null || true
     sleep 2
 fi
 
 # 启动后端服务
-echo "启动后端服务 (端口: 3003)..."
-echo "数据集路径: /Users/tshoiasc/Brassica napus dataset/dataset"
-echo "健康检查: http://localhost:3003/api/health"
+echo "启动后端服务 (端口: $CHECK_PORT)..."
+echo "数据集路径: 见 annotation-tool.config.json 或 DATASET_ROOT 环境变量"
+echo "健康检查: http://localhost:$CHECK_PORT/api/health"
 echo ""
 
-node backend-server.js
\ No newline at end of file
+node backend-server.js "$@"
\ No newline at end of file
@@ -1,5 +1,9 @@
 import { defineConfig } from 'vite';
 import legacy from '@vitejs/plugin-legacy';
+import { loadProjectConfig, getPublicConfig } from './backend/config.js';
+
+// Vite's own CLI flags (e.g. --port) must not be read as project config flags
+const projectConfig = loadProjectConfig({ argv: [] });
 
 // [INTERNAL_ACTION: Fetching current time via mcp.server_time.]
 // {{CHENGQI:
@@ -7,13 +11,16 @@ import legacy from '@vitejs/plugin-legacy';
 // }}
 // {{START MODIFICATIONS}}
 export default defineConfig({
+  define: {
+    __PROJECT_CONFIG__: JSON.stringify(getPublicConfig(projectConfig))
+  },
   plugins: [
     legacy({
       targets: ['defaults', 'not IE 11']
     })
   ],
   server: {
-    port: 3000,
+    port: projectConfig.ports.frontend,
     open: true,
     host: 'localhost'
   },